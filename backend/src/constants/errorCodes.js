@@ -169,6 +169,12 @@ const ERROR_CODES = {
     statusCode: 400,
     userMessage: 'Please configure the required integration first'
   },
+  AI_BUDGET_EXCEEDED: {
+    code: 'AI_BUDGET_EXCEEDED',
+    message: 'Monthly AI spend cap reached',
+    statusCode: 402,
+    userMessage: 'AI drafting is paused because this month\'s AI budget has been reached'
+  },
   
   // Internal Server Errors (5xx)
   INTERNAL_SERVER_ERROR: {
@@ -309,7 +315,8 @@ const ERROR_CATEGORIES = {
   BUSINESS_LOGIC: [
     'BUSINESS_RULE_VIOLATION',
     'WORKFLOW_STATE_INVALID',
-    'INTEGRATION_NOT_CONFIGURED'
+    'INTEGRATION_NOT_CONFIGURED',
+    'AI_BUDGET_EXCEEDED'
   ],
   INTERNAL: [
     'INTERNAL_SERVER_ERROR',
@@ -0,0 +1,228 @@
+import { jest } from '@jest/globals';
+import {
+  DSR_DATA_MAP,
+  DataSubjectRequestProcessor,
+  hashSubject,
+  normalizeSubjectEmail
+} from '../dataSubjectRequests.js';
+import { createFakeSupabase } from '../../../../src/tests/fakeSupabase.js';
+
+const TENANT = 'tenant-1';
+const OTHER_TENANT = 'tenant-2';
+
+function seedTables() {
+  return {
+    data_subject_requests: [],
+    profiles: [
+      { id: TENANT, business_name: 'Hot Tub Pros', email_labels: { SALES: 'Label_1', SUPPORT: 'Label_2' } },
+      { id: OTHER_TENANT, business_name: 'Other' }
+    ],
+    integrations: [
+      { id: 'int-1', user_id: TENANT, provider: 'gmail', status: 'active', access_token: 'ya29.secret', refresh_token: 'refresh', n8n_credential_id: 'cred-gmail' },
+      { id: 'int-2', user_id: OTHER_TENANT, provider: 'gmail', status: 'active', access_token: 'other', n8n_credential_id: 'cred-other' }
+    ],
+    n8n_credential_mappings: [
+      { id: 'map-1', user_id: TENANT, gmail_credential_id: 'cred-gmail', openai_credential_id: 'cred-shared-openai' }
+    ],
+    workflows: [{ id: 'wf-1', user_id: TENANT, n8n_workflow_id: 'n8n-wf-1' }],
+    business_profiles: [{ id: 'bp-1', user_id: TENANT, n8n_workflow_id: 'n8n-wf-1' }],
+    business_labels: [
+      { id: 'bl-1', business_profile_id: 'bp-1', provider: 'gmail', provider_label_id: 'Label_3' },
+      { id: 'bl-2', business_profile_id: 'bp-other', provider: 'gmail', provider_label_id: 'Label_9' }
+    ],
+    email_queue: [
+      { id: 'q-1', user_id: TENANT, email_id: 'msg-1', from_email: 'Dana.Lee@Example.com', subject: 'Leaking filter' },
+      { id: 'q-2', user_id: TENANT, email_id: 'msg-2', from_email: 'someone@else.com', subject: 'Quote' },
+      { id: 'q-3', user_id: OTHER_TENANT, email_id: 'msg-3', from_email: 'dana.lee@example.com', subject: 'Other tenant' }
+    ],
+    email_logs: [
+      { id: 'log-1', user_id: TENANT, email_from: 'dana.lee@example.com', message_id: 'msg-1' },
+      { id: 'log-2', user_id: TENANT, email_from: 'dana_lee@example.com', message_id: 'msg-4' }
+    ],
+    ai_draft_learning: [
+      { id: 'dl-1', user_id: TENANT, original_from_email: 'dana.lee@example.com', thread_id: 'thread-1', message_id: 'msg-1' }
+    ],
+    ai_draft_corrections: [
+      { id: 'dc-1', user_id: TENANT, email_id: 'msg-1', thread_id: 'thread-1', ai_draft_text: 'Hi Dana' },
+      { id: 'dc-2', user_id: TENANT, email_id: 'msg-2', thread_id: 'thread-2', ai_draft_text: 'Hi' }
+    ],
+    classification_feedback: [
+      { id: 'cf-1', user_id: TENANT, email_id: 'msg-1', email_from: null, corrected_primary_category: 'SUPPORT' }
+    ],
+    email_thread_messages: [
+      { id: 'tm-1', user_id: TENANT, thread_id: 'thread-1', message_id: 'msg-1', from: 'dana.lee@example.com', body: 'My filter leaks' },
+      { id: 'tm-2', user_id: TENANT, thread_id: 'thread-3', message_id: 'msg-5', from: 'Dana Lee <Dana.Lee@example.com>', body: 'Any update?' },
+      { id: 'tm-3', user_id: TENANT, thread_id: 'thread-4', message_id: 'msg-6', from: 'installer@partner.com', body: 'Booked for dana.lee@example.com.' },
+      { id: 'tm-4', user_id: TENANT, thread_id: 'thread-5', message_id: 'msg-7', from: 'xdana.lee@example.com', body: 'Not the same address' }
+    ],
+    email_threads: [
+      { id: 'thread-1', user_id: TENANT, subject: 'Leaking filter', participants: [] },
+      { id: 'thread-3', user_id: TENANT, subject: 'Any update', participants: ['Dana Lee <Dana.Lee@example.com>'] },
+      { id: 'thread-4', user_id: TENANT, subject: 'Install booked', participants: ['installer@partner.com'] },
+      { id: 'thread-5', user_id: TENANT, subject: 'Other customer', participants: ['xdana.lee@example.com'] },
+      { id: 'thread-6', user_id: TENANT, subject: 'Cover quote', participants: ['dana.lee@example.com'] }
+    ],
+    communication_styles: [{ id: 'cs-1', user_id: TENANT, style_profile: { tone: 'friendly' } }],
+    mailbox_credentials: [{ id: 'mb-1', user_id: TENANT, password_encrypted: 'cipher', email_address: 'owner@hottubpros.com' }]
+  };
+}
+
+function createN8n() {
+  return {
+    listExecutions: jest.fn().mockResolvedValue({
+      data: [
+        { id: 'exec-1', workflowId: 'n8n-wf-1', data: { resultData: { from: 'Dana Lee <DANA.LEE@example.com>' } } },
+        { id: 'exec-2', workflowId: 'n8n-wf-1', data: { resultData: { from: 'someone@else.com' } } }
+      ],
+      nextCursor: null
+    }),
+    deleteExecution: jest.fn().mockResolvedValue(null),
+    deleteWorkflow: jest.fn().mockResolvedValue(null),
+    deleteCredential: jest.fn().mockResolvedValue(null)
+  };
+}
+
+describe('DataSubjectRequestProcessor', () => {
+  let supabase;
+  let n8n;
+  let labelDeleter;
+  let processor;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    supabase = createFakeSupabase(seedTables());
+    jest.spyOn(supabase.auth.admin, 'deleteUser');
+    n8n = createN8n();
+    labelDeleter = { deleteLabels: jest.fn(async ({ labelIds }) => ({ deleted: labelIds, failed: [] })) };
+    processor = new DataSubjectRequestProcessor({
+      supabase,
+      n8n,
+      labelDeleter,
+      sharedCredentialIds: ['cred-shared-openai']
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should list every table once with profiles deleted last', () => {
+    const tables = DSR_DATA_MAP.map(entry => entry.table);
+
+    expect(new Set(tables).size).toBe(tables.length);
+    expect(tables[tables.length - 1]).toBe('profiles');
+    expect(tables).toEqual(expect.arrayContaining([
+      'email_logs', 'classification_feedback', 'communication_styles', 'ai_draft_learning', 'ai_draft_corrections'
+    ]));
+    expect(tables.indexOf('business_labels')).toBeLessThan(tables.indexOf('business_profiles'));
+  });
+
+  test('should normalize and hash customer addresses', () => {
+    expect(normalizeSubjectEmail('  Dana.Lee@Example.com ')).toBe('dana.lee@example.com');
+    expect(normalizeSubjectEmail('not-an-email')).toBeNull();
+    expect(normalizeSubjectEmail('a@b.com,c@d.com')).toBeNull();
+    expect(hashSubject('DANA.LEE@example.com')).toBe(hashSubject('dana.lee@example.com'));
+    expect(hashSubject('dana.lee@example.com')).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('should export every tenant table with secrets redacted and n8n executions', async () => {
+    const { metadata, data } = await processor.exportUserData(TENANT);
+
+    expect(metadata.format).toBe('floworx-dsr-export');
+    expect(data.email_logs).toHaveLength(2);
+    expect(data.email_queue.map(row => row.id)).toEqual(['q-1', 'q-2']);
+    expect(data.business_labels.map(row => row.id)).toEqual(['bl-1']);
+    expect(data.integrations).toEqual([expect.objectContaining({ access_token: '[REDACTED]', refresh_token: '[REDACTED]', provider: 'gmail' })]);
+    expect(data.mailbox_credentials[0].password_encrypted).toBe('[REDACTED]');
+    expect(data.n8n_executions.map(execution => execution.id)).toEqual(['exec-1', 'exec-2']);
+    expect(n8n.listExecutions).toHaveBeenCalledWith('n8n-wf-1', { includeData: true, cursor: null });
+    expect(metadata.tables.email_logs).toEqual({ category: 'email_logs', count: 2 });
+    expect(metadata.skipped).toContain('ai_usage_logs');
+
+    expect(supabase.tables.data_subject_requests).toEqual([
+      expect.objectContaining({ user_id: TENANT, request_type: 'export', status: 'completed' })
+    ]);
+  });
+
+  test('should erase one customer, their linked rows and n8n executions, and verify', async () => {
+    const preview = await processor.previewCustomerErasure(TENANT, 'DANA.LEE@example.com');
+    expect(preview.tables).toEqual({
+      ai_draft_corrections: 1,
+      ai_draft_learning: 1,
+      classification_feedback: 1,
+      email_thread_messages: 3,
+      email_threads: 4,
+      email_queue: 1,
+      email_logs: 1
+    });
+
+    const receipt = await processor.eraseCustomerData(TENANT, 'DANA.LEE@example.com');
+
+    expect(receipt.verified).toBe(true);
+    expect(receipt.deleted).toEqual(preview.tables);
+    expect(receipt.n8n.executionsDeleted).toBe(1);
+    expect(n8n.deleteExecution).toHaveBeenCalledWith('exec-1');
+
+    // Other customers and other tenants are untouched; "_" is not a wildcard
+    expect(supabase.tables.email_queue.map(row => row.id)).toEqual(['q-2', 'q-3']);
+    expect(supabase.tables.email_logs.map(row => row.id)).toEqual(['log-2']);
+    expect(supabase.tables.ai_draft_corrections.map(row => row.id)).toEqual(['dc-2']);
+    // Thread messages by sender header or mention, and threads by participant
+    expect(supabase.tables.email_thread_messages.map(row => row.id)).toEqual(['tm-4']);
+    expect(supabase.tables.email_threads.map(row => row.id)).toEqual(['thread-5']);
+
+    const [request] = supabase.tables.data_subject_requests;
+    expect(request).toEqual(expect.objectContaining({
+      request_type: 'customer_erasure',
+      status: 'completed',
+      subject_hash: hashSubject('dana.lee@example.com')
+    }));
+    expect(JSON.stringify(request)).not.toContain('dana');
+  });
+
+  test('should reject customer erasure without a valid address', async () => {
+    await expect(processor.eraseCustomerData(TENANT, '*')).rejects.toThrow('A valid customer email address is required');
+    expect(supabase.tables.data_subject_requests).toHaveLength(0);
+  });
+
+  test('should erase an account with n8n resources and provider labels on request', async () => {
+    const receipt = await processor.eraseAccount(TENANT, { deleteN8n: true, deleteProviderLabels: true });
+
+    expect(receipt.verified).toBe(true);
+    expect(receipt.authUserDeleted).toBe(true);
+    expect(n8n.deleteWorkflow).toHaveBeenCalledWith('n8n-wf-1');
+    expect(n8n.deleteCredential.mock.calls.map(([id]) => id)).toEqual(['cred-gmail']);
+    expect(labelDeleter.deleteLabels).toHaveBeenCalledWith({
+      userId: TENANT,
+      provider: 'gmail',
+      labelIds: ['Label_1', 'Label_2', 'Label_3']
+    });
+    expect(supabase.auth.admin.deleteUser).toHaveBeenCalledWith(TENANT);
+
+    // Only the other tenant's rows are left
+    expect(supabase.tables.profiles.map(row => row.id)).toEqual([OTHER_TENANT]);
+    expect(supabase.tables.integrations.map(row => row.id)).toEqual(['int-2']);
+    expect(supabase.tables.business_labels.map(row => row.id)).toEqual(['bl-2']);
+    expect(supabase.tables.email_queue.map(row => row.id)).toEqual(['q-3']);
+    expect(supabase.tables.data_subject_requests[0]).toEqual(expect.objectContaining({ request_type: 'account_erasure', status: 'completed' }));
+  });
+
+  test('should leave n8n and mailbox labels alone unless asked, and keep the auth user when erasure fails', async () => {
+    const failing = createFakeSupabase(seedTables(), {
+      respond: (call) => (call.table === 'email_logs' && call.op === 'delete'
+        ? { data: null, error: { code: '42501', message: 'permission denied' } }
+        : undefined)
+    });
+    jest.spyOn(failing.auth.admin, 'deleteUser');
+
+    const receipt = await new DataSubjectRequestProcessor({ supabase: failing, n8n, labelDeleter }).eraseAccount(TENANT);
+
+    expect(n8n.deleteWorkflow).not.toHaveBeenCalled();
+    expect(labelDeleter.deleteLabels).not.toHaveBeenCalled();
+    expect(receipt.verified).toBe(false);
+    expect(receipt.status).toBe('failed');
+    expect(receipt.remaining).toEqual({ email_logs: 2 });
+    expect(receipt.errors).toEqual([{ table: 'email_logs', error: 'permission denied' }]);
+    expect(failing.auth.admin.deleteUser).not.toHaveBeenCalled();
+  });
+});
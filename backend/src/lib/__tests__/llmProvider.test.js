@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import {
+  AzureOpenAIProvider,
+  LLMRouter,
+  LocalLLMProvider,
+  MockLLMProvider,
+  OpenAIProvider,
+  createProvidersFromEnv
+} from '../llmProvider.js';
+
+/**
+ * SDK stand-in that records requests and answers with a fixed completion
+ */
+const fakeClient = (content = '{"category":"urgent"}', usage = { prompt_tokens: 120, completion_tokens: 30 }) => {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        create: async (request) => {
+          requests.push(request);
+          return { choices: [{ message: { content } }], usage };
+        }
+      }
+    }
+  };
+};
+
+const messages = [{ role: 'user', content: 'Classify: the hot tub heater stopped working' }];
+
+describe('llmProvider', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should route each tenant task to its provider and model', async () => {
+    const openai = new OpenAIProvider({ client: fakeClient() });
+    const local = new LocalLLMProvider({ client: fakeClient() });
+    const settingsLoader = jest.fn(async (userId) => (userId === 'tenant-local'
+      ? { classify: { provider: 'local', model: 'qwen2.5:7b' }, default: { provider: 'openai', model: 'gpt-4o' } }
+      : {}));
+
+    const router = new LLMRouter({
+      providers: { openai, local },
+      defaults: { provider: 'openai', classify: { model: 'gpt-4o-mini' } },
+      settingsLoader
+    });
+
+    await expect(router.resolveRoute('tenant-local', 'classify'))
+      .resolves.toEqual(expect.objectContaining({ providerName: 'local', routeModel: 'qwen2.5:7b' }));
+    await expect(router.resolveRoute('tenant-local', 'draft'))
+      .resolves.toEqual(expect.objectContaining({ providerName: 'openai', routeModel: 'gpt-4o' }));
+    await expect(router.resolveRoute('tenant-other', 'classify'))
+      .resolves.toEqual(expect.objectContaining({ providerName: 'openai', routeModel: 'gpt-4o-mini' }));
+    await expect(router.resolveRoute('tenant-other', 'draft'))
+      .resolves.toEqual(expect.objectContaining({ providerName: 'openai', routeModel: null }));
+    await expect(router.resolveRoute('tenant-other', 'summarize')).rejects.toThrow('Unknown LLM task');
+
+    // Settings are cached per tenant
+    expect(settingsLoader).toHaveBeenCalledTimes(2);
+
+    const azureTenant = new LLMRouter({ providers: { openai }, settingsLoader: async () => ({ draft: { provider: 'azure' } }) });
+    await expect(azureTenant.resolveRoute('tenant-azure', 'draft')).rejects.toThrow('LLM provider "azure" is not configured');
+  });
+
+  test('should send provider-specific model names', async () => {
+    const openaiClient = fakeClient();
+    const azureClient = fakeClient();
+    const localClient = fakeClient('ok', null);
+
+    const azure = new AzureOpenAIProvider({ client: azureClient, deployments: { 'gpt-4o': 'prod-gpt4o' } });
+    const local = new LocalLLMProvider({ client: localClient, defaultModel: 'llama3.1:8b' });
+    const openai = new OpenAIProvider({ client: openaiClient });
+
+    await openai.chat({ model: openai.resolveModel({ model: 'gpt-4o-mini', routeModel: 'gpt-4o' }), messages, maxTokens: 50 });
+    await azure.chat({ model: azure.resolveModel({ routeModel: 'gpt-4o' }), messages });
+    const localResult = await local.chat({ model: local.resolveModel({ model: 'gpt-4o-mini', defaultModel: 'gpt-4' }), messages });
+
+    expect(openaiClient.requests[0]).toEqual(expect.objectContaining({ model: 'gpt-4o-mini', max_tokens: 50 }));
+    expect(azureClient.requests[0].model).toBe('prod-gpt4o');
+    expect(localClient.requests[0].model).toBe('llama3.1:8b');
+    // Usage is estimated when the server does not report it
+    expect(localResult.usage).toEqual({ inputTokens: 11, outputTokens: 1, totalTokens: 12, estimated: true });
+  });
+
+  test('should build providers from environment variables', () => {
+    const providers = createProvidersFromEnv({
+      OPENAI_API_KEY: 'your-openai-api-key',
+      VITE_AZURE_OPENAI_ENDPOINT: 'https://acme.openai.azure.com',
+      VITE_AZURE_OPENAI_API_KEY: 'azure-key',
+      AZURE_OPENAI_DEPLOYMENTS: '{"gpt-4o":"prod-gpt4o"}',
+      LOCAL_LLM_BASE_URL: 'http://ollama:11434/v1',
+      LOCAL_LLM_MODEL: 'mistral'
+    });
+
+    expect(Object.keys(providers)).toEqual(['azure', 'local']);
+    expect(providers.azure.getRequestModel('gpt-4o')).toBe('prod-gpt4o');
+    expect(providers.local.defaultModel).toBe('mistral');
+    expect(() => createProvidersFromEnv({ AZURE_OPENAI_ENDPOINT: 'x', AZURE_OPENAI_API_KEY: 'y', AZURE_OPENAI_DEPLOYMENTS: 'gpt-4o' }))
+      .toThrow('AZURE_OPENAI_DEPLOYMENTS must be a JSON object');
+  });
+
+  test('should report usage for every call in the cost monitor shape', async () => {
+    const usageTracker = { trackUsage: jest.fn().mockResolvedValue({ success: true }) };
+    const failing = { name: 'openai', resolveModel: () => 'gpt-4o', chat: jest.fn().mockRejectedValue(new Error('429 rate limited')) };
+    const router = new LLMRouter({
+      providers: { local: new LocalLLMProvider({ client: fakeClient() }), openai: failing },
+      defaults: { provider: 'local' },
+      usageTracker
+    });
+
+    const result = await router.complete({ task: 'classify', userId: 'user-1', messages });
+    expect(result).toEqual(expect.objectContaining({
+      content: '{"category":"urgent"}',
+      provider: 'local',
+      model: 'llama3.1:8b',
+      usage: { inputTokens: 120, outputTokens: 30, totalTokens: 150, estimated: false }
+    }));
+    expect(usageTracker.trackUsage).toHaveBeenLastCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      provider: 'local',
+      model: 'llama3.1:8b',
+      inputTokens: 120,
+      outputTokens: 30,
+      operation: 'classify',
+      success: true,
+      unmetered: true
+    }));
+
+    router.defaults = { provider: 'openai' };
+    await expect(router.complete({ task: 'draft', userId: 'user-1', messages, operation: 'generate' })).rejects.toThrow('429');
+    expect(usageTracker.trackUsage).toHaveBeenLastCalledWith(expect.objectContaining({
+      provider: 'openai',
+      operation: 'generate',
+      inputTokens: 0,
+      success: false,
+      unmetered: false
+    }));
+
+    // Calls without a tenant are not logged
+    usageTracker.trackUsage.mockClear();
+    await expect(router.complete({ task: 'draft', messages })).rejects.toThrow();
+    expect(usageTracker.trackUsage).not.toHaveBeenCalled();
+  });
+
+  test('should record responses and replay them without the real provider', async () => {
+    const delegate = new OpenAIProvider({ client: fakeClient('{"category":"complaint"}') });
+    const recorder = new MockLLMProvider({ mode: 'record', delegate });
+    const request = { model: 'gpt-4o-mini', messages, temperature: 0.1, maxTokens: 300 };
+
+    await recorder.chat(request);
+    const cassette = JSON.parse(JSON.stringify(recorder.toCassette()));
+
+    const replay = new MockLLMProvider({ cassette });
+    await expect(replay.chat(request)).resolves.toEqual({
+      content: '{"category":"complaint"}',
+      model: 'gpt-4o-mini',
+      usage: { inputTokens: 120, outputTokens: 30, totalTokens: 150, estimated: false }
+    });
+    await expect(replay.chat({ ...request, temperature: 0.7 })).rejects.toThrow('No recorded LLM response');
+
+    const responder = new MockLLMProvider({ responder: ({ messages: sent }) => `echo:${sent.length}` });
+    await expect(responder.chat(request)).resolves.toEqual(expect.objectContaining({ content: 'echo:1' }));
+    expect(() => new MockLLMProvider({ mode: 'record' })).toThrow('delegate provider is required');
+  });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import {
+  PiiRedactor,
+  maskPii,
+  redactMessages,
+  resolvePiiSettings,
+  validatePiiSettings
+} from '../piiRedaction.js';
+import { LLMRouter, MockLLMProvider } from '../llmProvider.js';
+
+const customerEmail = `Hi, this is Dana at 42 Maple Crescent, Calgary T2P 1J9.
+Call me at (403) 555-0199 or 403.555.0199, or email dana.lee@example.com.
+Charge the deposit to 4111 1111 1111 1111. Order 1234 5678 9012 3456 is unrelated.`;
+
+describe('piiRedaction', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should tokenize each distinct value once and restore it', () => {
+    const redactor = new PiiRedactor();
+    const redacted = redactor.redact(customerEmail);
+
+    expect(redacted).toBe(`Hi, this is Dana at [ADDRESS_1], Calgary [POSTAL_CODE_1].
+Call me at [PHONE_1] or [PHONE_1], or email [EMAIL_1].
+Charge the deposit to [CARD_1]. Order 1234 5678 9012 3456 is unrelated.`);
+    expect(redactor.getCounts()).toEqual({ email: 1, card: 1, phone: 1, address: 1, postal_code: 1 });
+
+    // The model may reuse placeholders anywhere; unknown ones are left alone
+    expect(redactor.restore('We will call [PHONE_1] and send the receipt to [EMAIL_1]. [PHONE_7]'))
+      .toBe('We will call (403) 555-0199 and send the receipt to dana.lee@example.com. [PHONE_7]');
+  });
+
+  test('should only redact the configured entity types', () => {
+    const redactor = new PiiRedactor({ entityTypes: ['phone', 'card'] });
+
+    expect(redactor.redact('dana.lee@example.com, 403-555-0199, SSN 123-45-6789'))
+      .toBe('dana.lee@example.com, [PHONE_1], SSN 123-45-6789');
+    expect(new PiiRedactor({ entityTypes: ['government_id'] }).redact('SSN 123-45-6789, SIN 046 454 286'))
+      .toBe('SSN [GOVERNMENT_ID_1], SIN [GOVERNMENT_ID_2]');
+    expect(() => new PiiRedactor({ entityTypes: ['dna'] })).toThrow('Unknown PII entity type: dna');
+  });
+
+  test('should mask values with a fixed label per entity type', () => {
+    const masked = maskPii(customerEmail);
+
+    expect(masked).toContain('at [address], Calgary [postal code]');
+    expect(masked).toContain('Call me at [phone] or [phone], or email [email].');
+    expect(masked).toContain('deposit to [card]. Order 1234 5678 9012 3456 is unrelated.');
+    expect(maskPii('SSN 123-45-6789, call 403-555-0199', ['government_id'])).toBe('SSN [government id], call 403-555-0199');
+  });
+
+  test('should resolve tenant settings and fall back to redacting everything', () => {
+    expect(resolvePiiSettings(null)).toEqual({
+      enabled: true,
+      entityTypes: ['email', 'card', 'government_id', 'phone', 'address', 'postal_code']
+    });
+    expect(resolvePiiSettings({ entity_types: ['phone', 'email'] })).toEqual({ enabled: true, entityTypes: ['email', 'phone'] });
+    expect(resolvePiiSettings({ enabled: false, entity_types: [] })).toEqual({ enabled: false, entityTypes: [] });
+
+    expect(validatePiiSettings({ enabled: 'yes', entity_types: ['phone', 'dna'] })).toEqual({
+      isValid: false,
+      errors: ['enabled must be true or false', 'Unknown PII entity type: dna']
+    });
+    expect(resolvePiiSettings({ entity_types: 'phone' }).entityTypes).toHaveLength(6);
+  });
+
+  test('should keep placeholders consistent across messages', () => {
+    const redactor = new PiiRedactor();
+    const messages = redactMessages([
+      { role: 'system', content: 'Reply to dana.lee@example.com' },
+      { role: 'user', content: 'From: Dana.Lee@example.com\nMy number is +1 403 555 0199' },
+      { role: 'user', content: [{ type: 'image_url' }] }
+    ], redactor);
+
+    expect(messages.map(message => message.content)).toEqual([
+      'Reply to [EMAIL_1]',
+      'From: [EMAIL_1]\nMy number is [PHONE_1]',
+      [{ type: 'image_url' }]
+    ]);
+  });
+
+  test('should redact every router call, restore drafts and audit the categories', async () => {
+    const sent = [];
+    const redactionAuditor = { logRedaction: jest.fn().mockResolvedValue() };
+    const router = new LLMRouter({
+      providers: {
+        mock: new MockLLMProvider({
+          responder: ({ messages }) => {
+            sent.push(...messages.map(message => message.content));
+            return 'Thanks! A technician will call you at [PHONE_1].';
+          }
+        })
+      },
+      settingsLoader: async (userId) => (userId === 'tenant-phone-only'
+        ? { pii_redaction: { entity_types: ['phone'] } }
+        : userId === 'tenant-off' ? { pii_redaction: { enabled: false } } : {}),
+      redactionAuditor
+    });
+    const messages = [{ role: 'user', content: customerEmail }];
+
+    const result = await router.complete({ task: 'draft', userId: 'tenant-default', messages, operation: 'generate' });
+    expect(sent[0]).not.toMatch(/555-0199|dana\.lee|4111/);
+    expect(result.content).toBe('Thanks! A technician will call you at (403) 555-0199.');
+    expect(result.redactions).toEqual({ email: 1, card: 1, phone: 1, address: 1, postal_code: 1 });
+    expect(redactionAuditor.logRedaction).toHaveBeenCalledWith({
+      userId: 'tenant-default',
+      task: 'draft',
+      operation: 'generate',
+      provider: 'mock',
+      entityCounts: { email: 1, card: 1, phone: 1, address: 1, postal_code: 1 }
+    });
+
+    await router.complete({ task: 'classify', userId: 'tenant-phone-only', messages });
+    expect(sent[1]).toContain('dana.lee@example.com');
+    expect(sent[1]).not.toContain('555-0199');
+
+    redactionAuditor.logRedaction.mockClear();
+    await router.complete({ task: 'classify', userId: 'tenant-off', messages });
+    expect(sent[2]).toBe(customerEmail);
+    expect(redactionAuditor.logRedaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,745 @@
+/**
+ * Data Subject Requests (GDPR / CCPA)
+ *
+ * Export and erasure across every table that holds a tenant's data or their
+ * customers' data, plus the n8n workflows, credentials and executions and
+ * the labels/folders we created in the tenant's mailbox:
+ *
+ *   const processor = new DataSubjectRequestProcessor({ supabase, n8n, labelDeleter });
+ *   await processor.exportUserData(userId);
+ *   await processor.eraseAccount(userId, { deleteN8n: true, deleteProviderLabels: true });
+ *   await processor.eraseCustomerData(userId, 'customer@example.com');
+ *
+ * Runs server-side with the service role: every query here is scoped to the
+ * user explicitly. Erasures re-check the data afterwards and record a
+ * receipt in data_subject_requests; customer addresses are stored there as
+ * a SHA-256 hash only.
+ *
+ * @module dataSubjectRequests
+ */
+
+import crypto from 'crypto';
+
+export const DSR_EXPORT_FORMAT = 'floworx-dsr-export';
+export const DSR_EXPORT_VERSION = '2.0';
+
+const PAGE_SIZE = 1000;
+const DELETE_CHUNK_SIZE = 200;
+const MAX_EXECUTIONS_PER_WORKFLOW = 1000;
+const REDACTED = '[REDACTED]';
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+const EMAIL_PATTERN = /^[^\s@,()]+@[^\s@,()]+\.[^\s@,()]+$/;
+
+/**
+ * Every table holding a tenant's or their customers' data, in deletion
+ * order (dependents before what they reference, profiles last).
+ *
+ *   userColumn       Column holding the tenant id (default user_id)
+ *   parent           Tenant rows found through another table's ids instead
+ *   customerColumns  Columns holding a customer's email address
+ *   customerTextColumns  Free-text columns the address may appear in
+ *                    ("Dana Lee <dana@example.com>" headers, message bodies)
+ *   customerArrayColumns  text[] columns listing addresses
+ *   links            Link kind -> column; rows tied to an erased customer's
+ *                    emails/threads are erased with them
+ *   secretColumns    Replaced with [REDACTED] in exports
+ */
+export const DSR_DATA_MAP = [
+  // AI drafts and learning
+  { table: 'ai_draft_corrections', category: 'ai_drafts', links: { email_id: 'email_id', thread_id: 'thread_id' } },
+  { table: 'ai_draft_learning', category: 'ai_drafts', customerColumns: ['original_from_email'], links: { thread_id: 'thread_id', message_id: 'message_id' } },
+  { table: 'ai_responses', category: 'ai_drafts', links: { email_id: 'source_email_id' } },
+  { table: 'ai_human_comparison', category: 'ai_drafts', links: { email_id: 'email_id' } },
+  { table: 'classification_feedback', category: 'classification_feedback', customerColumns: ['email_from'], links: { email_id: 'email_id', thread_id: 'thread_id' } },
+
+  // Email
+  { table: 'email_sla_clocks', category: 'email', customerColumns: ['email_from'], links: { email_id: 'email_id' } },
+  { table: 'template_bandit_allocations', category: 'templates', links: { email_id: 'email_id' } },
+  { table: 'template_test_events', category: 'templates', links: { email_id: 'email_id' } },
+  { table: 'email_attachment_links', category: 'email', links: { email_id: 'email_id', attachment_id: 'attachment_id' } },
+  { table: 'email_attachments', category: 'email', links: { attachment_id: 'id' } },
+  { table: 'email_thread_messages', category: 'email', customerTextColumns: ['from', 'body'], links: { thread_id: 'thread_id', message_id: 'message_id' } },
+  { table: 'email_thread_corrections', category: 'email' },
+  // Participants hold raw From headers; display-name forms are reached through their messages
+  { table: 'email_threads', category: 'email', customerArrayColumns: ['participants'], links: { thread_id: 'id' } },
+  { table: 'email_queue', category: 'email', customerColumns: ['from_email', 'to_email'], links: { email_id: 'email_id' } },
+  { table: 'email_logs', category: 'email_logs', customerColumns: ['email_from'], links: { message_id: 'message_id' } },
+
+  // Voice profiles
+  { table: 'communication_styles', category: 'voice_profiles' },
+  { table: 'voice_learning_metrics', category: 'voice_profiles' },
+  { table: 'user_enhanced_prompts', category: 'voice_profiles' },
+
+  // Templates and rules
+  { table: 'template_bandit_arms', category: 'templates' },
+  { table: 'template_bandits', category: 'templates' },
+  { table: 'template_test_metrics', category: 'templates' },
+  { table: 'template_test_results', category: 'templates' },
+  { table: 'template_test_variants', category: 'templates' },
+  { table: 'template_test_activities', category: 'templates' },
+  { table: 'template_test_configurations', category: 'templates' },
+  { table: 'template_ab_tests', category: 'templates' },
+  { table: 'response_templates', category: 'templates' },
+  { table: 'escalation_rules', category: 'configuration' },
+  { table: 'sla_policies', category: 'configuration' },
+
+  // Analytics and audit
+  { table: 'ai_usage_logs', category: 'analytics' },
+  { table: 'pii_redaction_logs', category: 'analytics' },
+  { table: 'performance_metrics', category: 'analytics' },
+  { table: 'classification_performance_metrics', category: 'analytics' },
+  { table: 'workflow_executions', category: 'analytics' },
+  { table: 'outlook_analytics_events', category: 'analytics' },
+  { table: 'outlook_business_events', category: 'analytics' },
+  { table: 'outlook_alerts', category: 'analytics' },
+  { table: 'label_schema_migration_log', category: 'analytics' },
+  { table: 'team_reconfiguration_journal', category: 'analytics' },
+
+  // Integrations and deployment
+  { table: 'gmail_watch_state', category: 'integrations' },
+  { table: 'outlook_subscriptions', category: 'integrations', secretColumns: ['client_state'] },
+  { table: 'mailbox_credentials', category: 'integrations', secretColumns: ['password_encrypted', 'automation_token_hash'] },
+  { table: 'n8n_credential_mappings', category: 'integrations' },
+  { table: 'integrations', category: 'integrations', secretColumns: ['access_token', 'refresh_token'] },
+  { table: 'business_labels', category: 'configuration', parent: { table: 'business_profiles', column: 'business_profile_id' } },
+  { table: 'workflows', category: 'configuration' },
+  { table: 'business_profiles', category: 'configuration' },
+  { table: 'system_messages', category: 'configuration' },
+  { table: 'ai_budget_settings', category: 'configuration' },
+  { table: 'notification_settings', category: 'configuration' },
+  { table: 'migration_backups', category: 'migrations' },
+  { table: 'migration_logs', category: 'migrations' },
+  { table: 'data_exports', category: 'migrations' },
+  { table: 'profiles', category: 'profile', userColumn: 'id' }
+];
+
+/**
+ * Normalized customer address, or null if it is not a usable email address
+ * @param {string} email
+ * @returns {string|null}
+ */
+export function normalizeSubjectEmail(email) {
+  const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  return EMAIL_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Hash recorded in data_subject_requests instead of the customer's address
+ * @param {string} email
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashSubject(email) {
+  return crypto.createHash('sha256').update(normalizeSubjectEmail(email) || '').digest('hex');
+}
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+// The address as a whole, not the tail of a longer one ("xdana@example.com")
+const mentionsAddress = (text, subject) => typeof text === 'string' && new RegExp(
+  `(^|[^a-z0-9._%+-])${subject.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9.-]|\\.(?![a-z0-9]))`, 'i'
+).test(text);
+
+const isMissingTable = (error) => MISSING_TABLE_CODES.includes(error?.code);
+
+const chunk = (values, size) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const redactSecrets = (rows, secretColumns = []) => (secretColumns.length === 0
+  ? rows
+  : rows.map(row => {
+    const copy = { ...row };
+    secretColumns.forEach(column => {
+      if (copy[column] !== undefined && copy[column] !== null) copy[column] = REDACTED;
+    });
+    return copy;
+  }));
+
+export class DataSubjectRequestProcessor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.supabase - Service-role Supabase client
+   * @param {Object} [options.n8n] - { listExecutions(workflowId, { includeData, cursor }), deleteExecution(id), deleteWorkflow(id), deleteCredential(id) }
+   * @param {Object} [options.labelDeleter] - { deleteLabels({ userId, provider, labelIds }) } -> { deleted, failed }
+   * @param {Array<string>} [options.sharedCredentialIds] - n8n credentials shared between tenants, never deleted
+   * @param {Array} [options.dataMap] - Table inventory (defaults to DSR_DATA_MAP)
+   */
+  constructor({ supabase, n8n = null, labelDeleter = null, sharedCredentialIds = [], dataMap = DSR_DATA_MAP } = {}) {
+    if (!supabase) {
+      throw new Error('DataSubjectRequestProcessor requires a Supabase client');
+    }
+
+    this.supabase = supabase;
+    this.n8n = n8n;
+    this.labelDeleter = labelDeleter;
+    this.sharedCredentialIds = new Set(sharedCredentialIds.filter(Boolean));
+    this.dataMap = dataMap;
+  }
+
+  /**
+   * Machine-readable export of everything held for a tenant
+   * @param {string} userId - Tenant (business owner)
+   * @param {Object} [options]
+   * @param {boolean} [options.includeN8nExecutions=true] - Include n8n execution data
+   * @returns {Promise<Object>} { metadata, data }
+   */
+  async exportUserData(userId, { includeN8nExecutions = true } = {}) {
+    const requestId = await this.openRequest(userId, 'export', { includeN8nExecutions });
+    const metadata = {
+      format: DSR_EXPORT_FORMAT,
+      version: DSR_EXPORT_VERSION,
+      requestId,
+      userId,
+      exportDate: new Date().toISOString(),
+      tables: {},
+      skipped: [],
+      errors: []
+    };
+    const data = {};
+
+    try {
+      for (const entry of this.dataMap) {
+        try {
+          const rows = await this.selectTenantRows(entry, userId);
+          if (rows === null) {
+            metadata.skipped.push(entry.table);
+            continue;
+          }
+          data[entry.table] = redactSecrets(rows, entry.secretColumns);
+          metadata.tables[entry.table] = { category: entry.category, count: rows.length };
+        } catch (error) {
+          metadata.errors.push({ table: entry.table, error: error.message });
+        }
+      }
+
+      if (includeN8nExecutions && this.n8n) {
+        const workflowIds = await this.getN8nWorkflowIds(userId);
+        data.n8n_executions = [];
+        for (const workflowId of workflowIds) {
+          try {
+            const { executions, truncated } = await this.listExecutions(workflowId);
+            data.n8n_executions.push(...executions);
+            if (truncated) metadata.errors.push({ table: 'n8n_executions', error: `Workflow ${workflowId} has more than ${MAX_EXECUTIONS_PER_WORKFLOW} executions; newest exported` });
+          } catch (error) {
+            metadata.errors.push({ table: 'n8n_executions', error: `Workflow ${workflowId}: ${error.message}` });
+          }
+        }
+        metadata.tables.n8n_executions = { category: 'n8n', count: data.n8n_executions.length };
+      }
+
+      await this.closeRequest(requestId, metadata.errors.length === 0 ? 'completed' : 'failed', {
+        tables: metadata.tables,
+        skipped: metadata.skipped,
+        errors: metadata.errors
+      });
+      return { metadata, data };
+    } catch (error) {
+      await this.closeRequest(requestId, 'failed', null, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rows that a customer erasure would remove, without removing them
+   * @param {string} userId - Tenant
+   * @param {string} email - Customer address
+   * @returns {Promise<Object>} { tables: { table: count }, total }
+   */
+  async previewCustomerErasure(userId, email) {
+    const subject = this.requireSubject(email);
+    const { rowsByTable } = await this.collectCustomerRows(userId, subject);
+    const tables = Object.fromEntries(Object.entries(rowsByTable).map(([table, rows]) => [table, rows.length]));
+
+    return { tables, total: Object.values(tables).reduce((sum, count) => sum + count, 0) };
+  }
+
+  /**
+   * Erase everything held about one of the tenant's customers: rows that
+   * carry their address, drafts/feedback/threads tied to their emails, and
+   * n8n executions that processed their mail
+   * @param {string} userId - Tenant
+   * @param {string} email - Customer address
+   * @param {Object} [options]
+   * @param {boolean} [options.purgeN8nExecutions=true] - Delete matching n8n executions
+   * @returns {Promise<Object>} Receipt { requestId, status, deleted, n8n, remaining, errors }
+   */
+  async eraseCustomerData(userId, email, { purgeN8nExecutions = true } = {}) {
+    const subject = this.requireSubject(email);
+    const requestId = await this.openRequest(userId, 'customer_erasure', { purgeN8nExecutions }, hashSubject(subject));
+    const receipt = { requestId, deleted: {}, n8n: { executionsDeleted: 0 }, remaining: {}, errors: [] };
+
+    try {
+      const { rowsByTable } = await this.collectCustomerRows(userId, subject);
+
+      for (const entry of this.dataMap) {
+        const rows = rowsByTable[entry.table];
+        if (!rows?.length) continue;
+        try {
+          receipt.deleted[entry.table] = await this.deleteRowsById(entry.table, rows.map(row => row.id));
+        } catch (error) {
+          receipt.errors.push({ table: entry.table, error: error.message });
+        }
+      }
+
+      if (purgeN8nExecutions && this.n8n) {
+        receipt.n8n.executionsDeleted = await this.purgeExecutionsMentioning(userId, subject, receipt.errors);
+      }
+
+      // Verify: nothing tied to the customer is left
+      const { rowsByTable: remaining } = await this.collectCustomerRows(userId, subject);
+      Object.entries(remaining).forEach(([table, rows]) => {
+        if (rows.length > 0) receipt.remaining[table] = rows.length;
+      });
+
+      return await this.finishErasure(requestId, receipt);
+    } catch (error) {
+      await this.closeRequest(requestId, 'failed', receipt, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Erase a tenant's account. n8n workflows/credentials and the labels we
+   * created in their mailbox are only removed when asked for, and before
+   * the integrations holding their ids and tokens are deleted.
+   * @param {string} userId - Tenant
+   * @param {Object} [options]
+   * @param {boolean} [options.deleteN8n=false] - Delete n8n workflows and credentials
+   * @param {boolean} [options.deleteProviderLabels=false] - Delete Gmail labels / Outlook folders
+   * @param {boolean} [options.deleteAuthUser=true] - Delete the auth user last
+   * @returns {Promise<Object>} Receipt { requestId, status, deleted, n8n, labels, remaining, errors }
+   */
+  async eraseAccount(userId, { deleteN8n = false, deleteProviderLabels = false, deleteAuthUser = true } = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const requestId = await this.openRequest(userId, 'account_erasure', { deleteN8n, deleteProviderLabels, deleteAuthUser });
+    const receipt = { requestId, deleted: {}, n8n: null, labels: null, authUserDeleted: false, remaining: {}, errors: [] };
+
+    try {
+      if (deleteN8n) {
+        receipt.n8n = await this.deleteN8nResources(userId, receipt.errors);
+      }
+      if (deleteProviderLabels) {
+        receipt.labels = await this.deleteProviderLabels(userId, receipt.errors);
+      }
+
+      for (const entry of this.dataMap) {
+        try {
+          const deleted = await this.deleteTenantRows(entry, userId);
+          if (deleted !== null) receipt.deleted[entry.table] = deleted;
+        } catch (error) {
+          receipt.errors.push({ table: entry.table, error: error.message });
+        }
+      }
+
+      // Verify: no tenant rows are left in any table
+      for (const entry of this.dataMap) {
+        try {
+          const rows = await this.selectTenantRows(entry, userId);
+          if (rows?.length) receipt.remaining[entry.table] = rows.length;
+        } catch (error) {
+          receipt.errors.push({ table: entry.table, error: `Verification failed: ${error.message}` });
+        }
+      }
+
+      if (deleteAuthUser && receipt.errors.length === 0 && Object.keys(receipt.remaining).length === 0) {
+        const { error } = await this.supabase.auth.admin.deleteUser(userId);
+        if (error) {
+          receipt.errors.push({ table: 'auth.users', error: error.message });
+        } else {
+          receipt.authUserDeleted = true;
+        }
+      }
+
+      return await this.finishErasure(requestId, receipt);
+    } catch (error) {
+      await this.closeRequest(requestId, 'failed', receipt, error.message);
+      throw error;
+    }
+  }
+
+  requireSubject(email) {
+    const subject = normalizeSubjectEmail(email);
+    if (!subject) {
+      throw new Error('A valid customer email address is required');
+    }
+    return subject;
+  }
+
+  /**
+   * All of a tenant's rows in one table
+   * @returns {Promise<Array|null>} Rows, or null if the table does not exist
+   */
+  async selectTenantRows(entry, userId) {
+    const scope = await this.resolveScope(entry, userId);
+    if (scope === null) return null;
+    if (scope.values.length === 0) return [];
+
+    const rows = [];
+    for (const values of chunk(scope.values, DELETE_CHUNK_SIZE)) {
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await this.supabase
+          .from(entry.table)
+          .select('*')
+          .in(scope.column, values)
+          .range(from, from + PAGE_SIZE - 1);
+
+        if (error) {
+          if (isMissingTable(error)) return null;
+          throw error;
+        }
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) break;
+      }
+    }
+    return rows;
+  }
+
+  /**
+   * @returns {Promise<number|null>} Rows deleted, or null if the table does not exist
+   */
+  async deleteTenantRows(entry, userId) {
+    const scope = await this.resolveScope(entry, userId);
+    if (scope === null) return null;
+    if (scope.values.length === 0) return 0;
+
+    let deleted = 0;
+    for (const values of chunk(scope.values, DELETE_CHUNK_SIZE)) {
+      const { data, error } = await this.supabase
+        .from(entry.table)
+        .delete()
+        .in(scope.column, values)
+        .select(scope.column);
+
+      if (error) {
+        if (isMissingTable(error)) return null;
+        throw error;
+      }
+      deleted += data?.length || 0;
+    }
+    return deleted;
+  }
+
+  /**
+   * Column and values identifying a tenant's rows in a table. Tables owned
+   * through a parent (business_labels) are matched on the parent's ids.
+   * @returns {Promise<Object|null>} { column, values }, or null if the parent table does not exist
+   */
+  async resolveScope(entry, userId) {
+    if (!entry.parent) {
+      return { column: entry.userColumn || 'user_id', values: [userId] };
+    }
+
+    const { data, error } = await this.supabase
+      .from(entry.parent.table)
+      .select('id')
+      .eq('user_id', userId);
+
+    if (error) {
+      if (isMissingTable(error)) return null;
+      throw error;
+    }
+    return { column: entry.parent.column, values: (data || []).map(row => row.id) };
+  }
+
+  async deleteRowsById(table, ids) {
+    let deleted = 0;
+    for (const values of chunk([...new Set(ids)], DELETE_CHUNK_SIZE)) {
+      const { data, error } = await this.supabase
+        .from(table)
+        .delete()
+        .in('id', values)
+        .select('id');
+
+      if (error) throw error;
+      deleted += data?.length || 0;
+    }
+    return deleted;
+  }
+
+  /**
+   * Rows tied to one customer. Rows carrying the address are found first;
+   * the email, thread, message and attachment ids on them then pull in the
+   * drafts, feedback and thread rows that do not carry the address.
+   * @returns {Promise<Object>} { rowsByTable }
+   */
+  async collectCustomerRows(userId, subject) {
+    const links = {};
+    const rowsByTable = {};
+    const addRows = (entry, rows) => {
+      const byId = new Map((rowsByTable[entry.table] || []).map(row => [row.id, row]));
+      rows.forEach(row => {
+        byId.set(row.id, row);
+        Object.entries(entry.links || {}).forEach(([kind, column]) => {
+          if (row[column] === null || row[column] === undefined) return;
+          (links[kind] = links[kind] || new Set()).add(String(row[column]));
+        });
+      });
+      if (byId.size > 0) rowsByTable[entry.table] = [...byId.values()];
+    };
+
+    const pattern = escapeLike(subject);
+    for (const entry of this.dataMap.filter(item => item.customerColumns)) {
+      for (const column of entry.customerColumns) {
+        const rows = await this.selectCustomerRows(entry, userId, query => query.ilike(column, pattern));
+        if (rows) addRows(entry, rows);
+      }
+    }
+
+    for (const entry of this.dataMap.filter(item => item.customerTextColumns)) {
+      for (const column of entry.customerTextColumns) {
+        const rows = await this.selectCustomerRows(entry, userId, query => query.ilike(column, `%${pattern}%`));
+        if (rows) addRows(entry, rows.filter(row => mentionsAddress(row[column], subject)));
+      }
+    }
+
+    for (const entry of this.dataMap.filter(item => item.customerArrayColumns)) {
+      for (const column of entry.customerArrayColumns) {
+        const rows = await this.selectCustomerRows(entry, userId, query => query.contains(column, [subject]));
+        if (rows) addRows(entry, rows);
+      }
+    }
+
+    for (const entry of this.dataMap.filter(item => item.links)) {
+      for (const [kind, column] of Object.entries(entry.links)) {
+        const values = [...(links[kind] || [])];
+        for (const batch of chunk(values, DELETE_CHUNK_SIZE)) {
+          const rows = await this.selectCustomerRows(entry, userId, query => query.in(column, batch));
+          if (rows) addRows(entry, rows);
+        }
+      }
+    }
+
+    return { rowsByTable };
+  }
+
+  async selectCustomerRows(entry, userId, applyFilter) {
+    const scope = await this.resolveScope(entry, userId);
+    if (scope === null || scope.values.length === 0) return null;
+
+    const { data, error } = await applyFilter(
+      this.supabase.from(entry.table).select('*').in(scope.column, scope.values)
+    );
+
+    if (error) {
+      if (isMissingTable(error)) return null;
+      throw error;
+    }
+    return data || [];
+  }
+
+  /**
+   * n8n workflow ids deployed for a tenant
+   * @returns {Promise<Array<string>>}
+   */
+  async getN8nWorkflowIds(userId) {
+    const ids = new Set();
+    for (const table of ['workflows', 'business_profiles']) {
+      const { data, error } = await this.supabase
+        .from(table)
+        .select('n8n_workflow_id')
+        .eq('user_id', userId);
+
+      if (error && !isMissingTable(error)) throw error;
+      (data || []).forEach(row => row.n8n_workflow_id && ids.add(String(row.n8n_workflow_id)));
+    }
+    return [...ids];
+  }
+
+  /**
+   * n8n credential ids created for a tenant (shared credentials excluded)
+   * @returns {Promise<Array<string>>}
+   */
+  async getN8nCredentialIds(userId) {
+    const ids = new Set();
+
+    const { data: integrations, error: integrationsError } = await this.supabase
+      .from('integrations')
+      .select('n8n_credential_id')
+      .eq('user_id', userId);
+    if (integrationsError && !isMissingTable(integrationsError)) throw integrationsError;
+    (integrations || []).forEach(row => row.n8n_credential_id && ids.add(String(row.n8n_credential_id)));
+
+    const { data: mappings, error: mappingsError } = await this.supabase
+      .from('n8n_credential_mappings')
+      .select('*')
+      .eq('user_id', userId);
+    if (mappingsError && !isMissingTable(mappingsError)) throw mappingsError;
+    (mappings || []).forEach(row => {
+      Object.entries(row)
+        .filter(([column, value]) => column.endsWith('_credential_id') && value)
+        .forEach(([, value]) => ids.add(String(value)));
+    });
+
+    return [...ids].filter(id => !this.sharedCredentialIds.has(id));
+  }
+
+  /**
+   * Newest executions of a workflow, with their data
+   * @returns {Promise<Object>} { executions, truncated }
+   */
+  async listExecutions(workflowId) {
+    const executions = [];
+    let cursor = null;
+
+    do {
+      const page = await this.n8n.listExecutions(workflowId, { includeData: true, cursor });
+      executions.push(...(page?.data || []));
+      cursor = page?.nextCursor || null;
+    } while (cursor && executions.length < MAX_EXECUTIONS_PER_WORKFLOW);
+
+    return { executions: executions.slice(0, MAX_EXECUTIONS_PER_WORKFLOW), truncated: Boolean(cursor) };
+  }
+
+  async purgeExecutionsMentioning(userId, subject, errors) {
+    let deleted = 0;
+
+    for (const workflowId of await this.getN8nWorkflowIds(userId)) {
+      try {
+        const { executions, truncated } = await this.listExecutions(workflowId);
+        if (truncated) {
+          errors.push({ table: 'n8n_executions', error: `Workflow ${workflowId} has more than ${MAX_EXECUTIONS_PER_WORKFLOW} executions; older ones were not checked` });
+        }
+        for (const execution of executions) {
+          if (!JSON.stringify(execution.data || {}).toLowerCase().includes(subject)) continue;
+          await this.n8n.deleteExecution(execution.id);
+          deleted++;
+        }
+      } catch (error) {
+        errors.push({ table: 'n8n_executions', error: `Workflow ${workflowId}: ${error.message}` });
+      }
+    }
+
+    return deleted;
+  }
+
+  async deleteN8nResources(userId, errors) {
+    const result = { workflowsDeleted: [], credentialsDeleted: [] };
+    if (!this.n8n) {
+      errors.push({ table: 'n8n', error: 'n8n client not configured' });
+      return result;
+    }
+
+    // Deleting a workflow also removes its executions
+    for (const workflowId of await this.getN8nWorkflowIds(userId)) {
+      try {
+        await this.n8n.deleteWorkflow(workflowId);
+        result.workflowsDeleted.push(workflowId);
+      } catch (error) {
+        errors.push({ table: 'n8n_workflows', error: `${workflowId}: ${error.message}` });
+      }
+    }
+
+    for (const credentialId of await this.getN8nCredentialIds(userId)) {
+      try {
+        await this.n8n.deleteCredential(credentialId);
+        result.credentialsDeleted.push(credentialId);
+      } catch (error) {
+        errors.push({ table: 'n8n_credentials', error: `${credentialId}: ${error.message}` });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove the labels/folders we provisioned from each connected mailbox
+   * @returns {Promise<Object>} { [provider]: { deleted, failed } }
+   */
+  async deleteProviderLabels(userId, errors) {
+    const result = {};
+    if (!this.labelDeleter) {
+      errors.push({ table: 'provider_labels', error: 'Label deleter not configured' });
+      return result;
+    }
+
+    const [{ data: profile, error: profileError }, { data: integrations, error: integrationsError }] = await Promise.all([
+      this.supabase.from('profiles').select('email_labels').eq('id', userId).maybeSingle(),
+      this.supabase.from('integrations').select('provider').eq('user_id', userId).eq('status', 'active')
+    ]);
+    if (profileError) throw profileError;
+    if (integrationsError) throw integrationsError;
+
+    const businessLabels = await this.selectTenantRows(
+      this.dataMap.find(entry => entry.table === 'business_labels') || { table: 'business_labels', parent: { table: 'business_profiles', column: 'business_profile_id' } },
+      userId
+    ) || [];
+    const profileLabelIds = Object.values(profile?.email_labels || {}).filter(id => typeof id === 'string');
+
+    for (const provider of [...new Set((integrations || []).map(row => row.provider))]) {
+      const labelIds = [...new Set([
+        ...profileLabelIds,
+        ...businessLabels
+          .filter(label => label.provider === provider && label.provider_label_id)
+          .map(label => label.provider_label_id)
+      ])];
+      if (labelIds.length === 0) continue;
+
+      try {
+        result[provider] = await this.labelDeleter.deleteLabels({ userId, provider, labelIds });
+        (result[provider].failed || []).forEach(({ id, error }) => {
+          errors.push({ table: 'provider_labels', error: `${provider} ${id}: ${error}` });
+        });
+      } catch (error) {
+        errors.push({ table: 'provider_labels', error: `${provider}: ${error.message}` });
+      }
+    }
+
+    return result;
+  }
+
+  async finishErasure(requestId, receipt) {
+    const verified = receipt.errors.length === 0 && Object.keys(receipt.remaining).length === 0;
+    receipt.status = verified ? 'completed' : 'failed';
+    receipt.verified = verified;
+    await this.closeRequest(requestId, receipt.status, receipt);
+    return receipt;
+  }
+
+  /**
+   * Record a request in data_subject_requests (the receipt outlives the account)
+   * @returns {Promise<string|null>} Request id
+   */
+  async openRequest(userId, requestType, options, subjectHash = null) {
+    const { data, error } = await this.supabase
+      .from('data_subject_requests')
+      .insert({
+        user_id: userId,
+        request_type: requestType,
+        status: 'processing',
+        subject_hash: subjectHash,
+        options
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to record data subject request: ${error.message}`);
+    }
+    return data.id;
+  }
+
+  async closeRequest(requestId, status, result, errorMessage = null) {
+    const { error } = await this.supabase
+      .from('data_subject_requests')
+      .update({
+        status,
+        result,
+        error: errorMessage,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', requestId);
+
+    if (error) {
+      console.error(`Failed to update data subject request ${requestId}:`, error.message);
+    }
+  }
+}
+
+export default DataSubjectRequestProcessor;
@@ -1,21 +1,28 @@
-import OpenAI from 'openai';
+import { LLMRouter } from './llmProvider.js';
+import { UNTRUSTED_CONTENT_POLICY, extractVisibleText, wrapUntrustedContent } from './promptInjectionGuard.js';
 
 export class EmailClassifier {
-  constructor() {
-    // Use environment variable for OpenAI API key (standardized to VITE_OPENAI_API_KEY)
-    const apiKey = import.meta.env.VITE_OPENAI_API_KEY || 
-                   import.meta.env.OPENAI_API_KEY ||
-                   process.env.OPENAI_API_KEY;
-    
-    if (!apiKey || apiKey.includes('your-openai-api-key') || apiKey === 'test-openai-key') {
-      console.warn('OpenAI API key not found. Email classification will use rule-based approach.');
-      this.openai = null;
+  /**
+   * @param {Object} options
+   * @param {LLMRouter} [options.llm] - Provider router (defaults to one built from the environment)
+   * @param {Object} [options.usageTracker] - Passed to the default router, e.g. aiCostMonitor
+   */
+  constructor({ llm = null, usageTracker = null } = {}) {
+    if (llm) {
+      this.llm = llm;
     } else {
-      this.openai = new OpenAI({ 
-        apiKey, 
-        dangerouslyAllowBrowser: true 
-      });
-      console.log('OpenAI client initialized for email classification');
+      // import.meta.env only exists under Vite
+      const env = {
+        ...(typeof process !== 'undefined' ? process.env : {}),
+        ...(import.meta.env || {})
+      };
+      this.llm = LLMRouter.fromEnv(env, { usageTracker });
+    }
+
+    if (!this.llm.isEnabled()) {
+      console.warn('No LLM provider configured. Email classification will use rule-based approach.');
+    } else {
+      console.log('LLM providers initialized for email classification');
     }
 
     // Rule-based classification patterns
@@ -46,15 +53,15 @@ export class EmailClassifier {
   async classify(emailData) {
     try {
       // Try AI classification first if available
-      if (this.openai) {
+      if (this.llm.isEnabled()) {
         const aiClassification = await this.classifyWithAI(emailData);
         if (aiClassification) {
-          return aiClassification;
+          return this.withAttachmentReferences(aiClassification, emailData);
         }
       }
 
       // Fallback to rule-based classification
-      return this.classifyWithRules(emailData);
+      return this.withAttachmentReferences(this.classifyWithRules(emailData), emailData);
 
     } catch (error) {
       console.error('Email classification failed:', error);
@@ -64,17 +71,22 @@ export class EmailClassifier {
   }
 
   async classifyWithAI(emailData) {
-    if (!this.openai) return null;
+    if (!this.llm.isEnabled()) return null;
 
     try {
-      const emailContent = `Subject: ${emailData.subject || 'No subject'}
-From: ${emailData.from || 'Unknown sender'}
-Body: ${(emailData.body || '').substring(0, 1000)}`;
+      const emailContent = wrapUntrustedContent({
+        subject: emailData.subject || 'No subject',
+        from: emailData.from || 'Unknown sender',
+        body: extractVisibleText(emailData.body || '').text.substring(0, 1000),
+        attachment_text: (emailData.attachmentText || '').substring(0, 1500)
+      });
 
       const prompt = `Classify this business email into one of these categories and determine urgency:
 
 ${emailContent}
 
+${UNTRUSTED_CONTENT_POLICY}
+
 Analyze and return JSON with:
 {
   "category": "urgent|appointment|complaint|inquiry|followup|general",
@@ -89,17 +101,21 @@ Analyze and return JSON with:
 
 Return only valid JSON.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
+      const completion = await this.llm.complete({
+        task: 'classify',
+        userId: emailData.userId || emailData.user_id || null,
+        defaultModel: 'gpt-3.5-turbo',
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.1,
-        max_tokens: 300
+        maxTokens: 300
       });
 
-      const classification = JSON.parse(response.choices[0].message.content);
+      const classification = JSON.parse(completion.content);
       
       // Add metadata
       classification.method = 'ai';
+      classification.provider = completion.provider;
+      classification.model = completion.model;
       classification.timestamp = new Date().toISOString();
       
       return classification;
@@ -113,7 +129,8 @@ Return only valid JSON.`;
   classifyWithRules(emailData) {
     const subject = (emailData.subject || '').toLowerCase();
     const body = (emailData.body || '').toLowerCase();
-    const content = subject + ' ' + body;
+    const attachmentText = (emailData.attachmentText || '').toLowerCase();
+    const content = subject + ' ' + body + ' ' + attachmentText;
 
     const scores = {};
     let maxScore = 0;
@@ -161,6 +178,16 @@ Return only valid JSON.`;
     };
   }
 
+  // Carry reference numbers found in attachments so escalation rules can match on them
+  withAttachmentReferences(classification, emailData) {
+    if (!emailData.attachmentReferences) return classification;
+
+    return {
+      ...classification,
+      attachment_references: emailData.attachmentReferences
+    };
+  }
+
   determineUrgency(content, category) {
     const urgentWords = ['urgent', 'emergency', 'asap', 'immediately', 'critical', 'broken', 'not working', 'stopped'];
     const urgentCount = urgentWords.reduce((count, word) => {
@@ -0,0 +1,498 @@
+/**
+ * LLM Provider Layer
+ * One chat-completion interface in front of every model backend:
+ *   - openai: api.openai.com (OPENAI_API_KEY)
+ *   - azure:  Azure OpenAI deployments (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY)
+ *   - local:  any OpenAI-compatible endpoint such as Ollama or vLLM (LOCAL_LLM_BASE_URL)
+ *   - mock:   deterministic record/replay, for tests and offline runs
+ *
+ * LLMRouter picks a provider and model per tenant and per task (classify,
+ * draft, analysis) and reports token usage for every call in the
+ * aiCostMonitor.trackUsage shape.
+ *
+ * Tenant settings (profiles.llm_settings):
+ *   { "classify": { "provider": "local", "model": "llama3.1:8b" },
+ *     "draft": { "provider": "azure" },
+ *     "default": { "provider": "openai" } }
+ *
+ * Environment defaults: LLM_PROVIDER, LLM_<TASK>_PROVIDER, LLM_<TASK>_MODEL
+ *
+ * Message content is PII-redacted before it reaches any provider and the
+ * placeholders are restored in the completion (see piiRedaction.js). The
+ * tenant's entity types come from the "pii_redaction" key of the loaded
+ * settings: { "enabled": true, "entity_types": ["phone", "card"] }.
+ */
+
+import OpenAI, { AzureOpenAI } from 'openai';
+import { PiiRedactor, redactMessages, resolvePiiSettings } from './piiRedaction.js';
+
+export const LLM_TASKS = ['classify', 'draft', 'analysis'];
+
+// Providers whose calls are not billed per token
+const UNMETERED_PROVIDERS = ['local', 'mock'];
+
+/**
+ * Rough token count for providers that do not report usage
+ * @param {string} text - Prompt or completion text
+ * @returns {number} Estimated tokens (about 4 characters each)
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Normalize an OpenAI-style usage object
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @param {Array} messages - Request messages (for estimating missing usage)
+ * @param {string} content - Completion text
+ * @returns {Object} { inputTokens, outputTokens, totalTokens, estimated }
+ */
+export const normalizeUsage = (usage, messages = [], content = '') => {
+  if (usage && (usage.prompt_tokens !== undefined || usage.inputTokens !== undefined)) {
+    const inputTokens = usage.prompt_tokens ?? usage.inputTokens ?? 0;
+    const outputTokens = usage.completion_tokens ?? usage.outputTokens ?? 0;
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: false };
+  }
+
+  const inputTokens = estimateTokens(messages.map(message => message.content).join('\n'));
+  const outputTokens = estimateTokens(content);
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: true };
+};
+
+// ============================================================================
+// Providers
+// ============================================================================
+
+/**
+ * Chat completions through the OpenAI SDK. The local provider is the same
+ * client pointed at another base URL.
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key
+   * @param {string} [options.baseURL] - Override for OpenAI-compatible servers
+   * @param {string} [options.defaultModel] - Model when neither caller nor tenant picks one
+   * @param {Object} [options.client] - Preconfigured SDK client
+   */
+  constructor({ apiKey, baseURL, defaultModel = 'gpt-4o-mini', client = null, name = 'openai' } = {}) {
+    if (!client && !apiKey) {
+      throw new Error(`API key is required for the ${name} LLM provider`);
+    }
+
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.client = client || new OpenAI({ apiKey, baseURL, dangerouslyAllowBrowser: true });
+  }
+
+  /**
+   * Model for a call: the caller's explicit choice (e.g. the budget's cheaper
+   * model), then the tenant's, then the caller's default
+   */
+  resolveModel({ model, routeModel, defaultModel }) {
+    return model || routeModel || defaultModel || this.defaultModel;
+  }
+
+  /**
+   * Deployment or model name sent to the API
+   */
+  getRequestModel(model) {
+    return model;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { model, messages, temperature, maxTokens }
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  async chat({ model, messages, temperature, maxTokens }) {
+    const response = await this.client.chat.completions.create({
+      model: this.getRequestModel(model),
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    const content = response.choices?.[0]?.message?.content || '';
+    return { content, model, usage: normalizeUsage(response.usage, messages, content) };
+  }
+}
+
+/**
+ * Azure OpenAI. Requests address deployments, so models are mapped through
+ * AZURE_OPENAI_DEPLOYMENTS ({"gpt-4o":"prod-gpt4o"}); unmapped models use
+ * AZURE_OPENAI_DEPLOYMENT or a deployment named after the model.
+ */
+export class AzureOpenAIProvider extends OpenAIProvider {
+  constructor({ endpoint, apiKey, apiVersion = '2024-10-21', deployments = {}, defaultDeployment = null, defaultModel = 'gpt-4o-mini', client = null } = {}) {
+    if (!client && (!endpoint || !apiKey)) {
+      throw new Error('AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY are required for the azure LLM provider');
+    }
+
+    super({ client: client || new AzureOpenAI({ endpoint, apiKey, apiVersion, dangerouslyAllowBrowser: true }), defaultModel, name: 'azure' });
+    this.deployments = deployments;
+    this.defaultDeployment = defaultDeployment;
+  }
+
+  getRequestModel(model) {
+    return this.deployments[model] || this.defaultDeployment || model;
+  }
+}
+
+/**
+ * OpenAI-compatible local server (Ollama, vLLM). The server hosts its own
+ * model, so OpenAI model names chosen by callers or the budget are ignored.
+ */
+export class LocalLLMProvider extends OpenAIProvider {
+  constructor({ baseURL = 'http://localhost:11434/v1', apiKey = 'local', defaultModel = 'llama3.1:8b', client = null } = {}) {
+    super({ apiKey, baseURL, defaultModel, client, name: 'local' });
+  }
+
+  resolveModel({ routeModel }) {
+    return routeModel || this.defaultModel;
+  }
+}
+
+/**
+ * Small stable hash (FNV-1a) for cassette keys
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
+
+/**
+ * Deterministic provider backed by a cassette of recorded responses.
+ *
+ *   replay: answer from the cassette; unknown requests go to the responder
+ *           (or fail, so tests notice prompts that changed)
+ *   record: forward to a real provider and store each response
+ *
+ * Cassettes are plain JSON ({ version, entries }); callers read and write the file.
+ */
+export class MockLLMProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.mode] - 'replay' or 'record'
+   * @param {Object} [options.cassette] - Previously recorded cassette
+   * @param {Object} [options.delegate] - Real provider used when recording
+   * @param {Function} [options.responder] - (request) => string | { content, usage } for unrecorded requests
+   */
+  constructor({ mode = 'replay', cassette = null, delegate = null, responder = null, defaultModel = 'mock-model' } = {}) {
+    if (!['replay', 'record'].includes(mode)) {
+      throw new Error(`Invalid mock LLM mode: ${mode}`);
+    }
+    if (mode === 'record' && !delegate) {
+      throw new Error('A delegate provider is required to record LLM responses');
+    }
+
+    this.name = 'mock';
+    this.mode = mode;
+    this.delegate = delegate;
+    this.responder = responder;
+    this.defaultModel = defaultModel;
+    this.entries = { ...(cassette?.entries || {}) };
+    this.calls = [];
+  }
+
+  resolveModel({ model, routeModel, defaultModel }) {
+    return model || routeModel || defaultModel || this.defaultModel;
+  }
+
+  /**
+   * Cassette key for a request (the fields that change the completion)
+   */
+  static requestKey({ model, messages, temperature = null, maxTokens = null }) {
+    return hashString(JSON.stringify({ model, messages, temperature, maxTokens }));
+  }
+
+  async chat(request) {
+    const { model, messages, temperature = null, maxTokens = null } = request;
+    const key = MockLLMProvider.requestKey(request);
+    this.calls.push({ key, model, messages });
+
+    if (this.mode === 'record') {
+      const response = await this.delegate.chat(request);
+      this.entries[key] = {
+        request: { model, messages, temperature, maxTokens },
+        response: { content: response.content, usage: response.usage }
+      };
+      return response;
+    }
+
+    const recorded = this.entries[key];
+    if (recorded) {
+      return { content: recorded.response.content, model, usage: normalizeUsage(recorded.response.usage, messages, recorded.response.content) };
+    }
+
+    if (this.responder) {
+      const answer = await this.responder(request);
+      const content = typeof answer === 'string' ? answer : answer.content;
+      return { content, model, usage: normalizeUsage(answer?.usage, messages, content) };
+    }
+
+    throw new Error(`No recorded LLM response for request ${key} (model ${model})`);
+  }
+
+  /**
+   * Recorded responses, ready to be written as JSON
+   */
+  toCassette() {
+    return { version: 1, entries: this.entries };
+  }
+}
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const parseJsonEnv = (value, name) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${name} must be a JSON object`);
+  }
+};
+
+const isPlaceholderKey = (apiKey) => !apiKey || apiKey.includes('your-openai-api-key') || apiKey === 'test-openai-key';
+
+/**
+ * Build every provider the environment has credentials for
+ * @param {Object} env - process.env or import.meta.env
+ * @param {Object} [options] - { cassette, responder } for the mock provider
+ * @returns {Object} Providers keyed by name
+ */
+export const createProvidersFromEnv = (env = {}, { cassette = null, responder = null } = {}) => {
+  // Vite only exposes VITE_-prefixed variables to the browser
+  const read = (name) => env[`VITE_${name}`] || env[name] || undefined;
+  const providers = {};
+  const openaiKey = read('OPENAI_API_KEY');
+
+  if (!isPlaceholderKey(openaiKey)) {
+    providers.openai = new OpenAIProvider({ apiKey: openaiKey, baseURL: read('OPENAI_BASE_URL') });
+  }
+
+  if (read('AZURE_OPENAI_ENDPOINT') && read('AZURE_OPENAI_API_KEY')) {
+    providers.azure = new AzureOpenAIProvider({
+      endpoint: read('AZURE_OPENAI_ENDPOINT'),
+      apiKey: read('AZURE_OPENAI_API_KEY'),
+      apiVersion: read('AZURE_OPENAI_API_VERSION'),
+      deployments: parseJsonEnv(read('AZURE_OPENAI_DEPLOYMENTS'), 'AZURE_OPENAI_DEPLOYMENTS'),
+      defaultDeployment: read('AZURE_OPENAI_DEPLOYMENT') || null
+    });
+  }
+
+  if (read('LOCAL_LLM_BASE_URL')) {
+    providers.local = new LocalLLMProvider({
+      baseURL: read('LOCAL_LLM_BASE_URL'),
+      apiKey: read('LOCAL_LLM_API_KEY'),
+      defaultModel: read('LOCAL_LLM_MODEL')
+    });
+  }
+
+  if (read('LLM_PROVIDER') === 'mock' || cassette || responder) {
+    providers.mock = new MockLLMProvider({ cassette, responder });
+  }
+
+  return providers;
+};
+
+// ============================================================================
+// Router
+// ============================================================================
+
+export class LLMRouter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.providers - Providers keyed by name
+   * @param {Object} [options.defaults] - { provider, classify: { provider, model }, ... }
+   * @param {Function} [options.settingsLoader] - async (userId) => tenant llm_settings
+   * @param {Object} [options.usageTracker] - Object with trackUsage(usage), e.g. aiCostMonitor
+   * @param {Object} [options.redactionAuditor] - Object with logRedaction(entry) for the PII audit log
+   */
+  constructor({ providers = {}, defaults = {}, settingsLoader = null, usageTracker = null, redactionAuditor = null } = {}) {
+    this.providers = providers;
+    this.defaults = defaults;
+    this.settingsLoader = settingsLoader;
+    this.usageTracker = usageTracker;
+    this.redactionAuditor = redactionAuditor;
+    this.settingsCache = new Map(); // userId -> { settings, loadedAt }
+    this.cacheTimeout = 60 * 1000; // 1 minute
+  }
+
+  /**
+   * Router configured from environment variables
+   * @param {Object} env - process.env or import.meta.env
+   * @param {Object} [options] - { settingsLoader, usageTracker, redactionAuditor, cassette, responder }
+   * @returns {LLMRouter}
+   */
+  static fromEnv(env = {}, { settingsLoader = null, usageTracker = null, redactionAuditor = null, cassette = null, responder = null } = {}) {
+    const read = (name) => env[`VITE_${name}`] || env[name] || null;
+    const defaults = { provider: read('LLM_PROVIDER') };
+    LLM_TASKS.forEach(task => {
+      const prefix = `LLM_${task.toUpperCase()}`;
+      defaults[task] = { provider: read(`${prefix}_PROVIDER`), model: read(`${prefix}_MODEL`) };
+    });
+
+    return new LLMRouter({
+      providers: createProvidersFromEnv(env, { cassette, responder }),
+      defaults,
+      settingsLoader,
+      usageTracker,
+      redactionAuditor
+    });
+  }
+
+  /**
+   * Whether any provider is configured
+   */
+  isEnabled() {
+    return Object.keys(this.providers).length > 0;
+  }
+
+  /**
+   * Drop cached tenant settings (after the tenant changes them)
+   */
+  invalidateSettings(userId) {
+    this.settingsCache.delete(userId);
+  }
+
+  async getTenantSettings(userId) {
+    if (!userId || !this.settingsLoader) return {};
+
+    const cached = this.settingsCache.get(userId);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTimeout) {
+      return cached.settings;
+    }
+
+    const settings = (await this.settingsLoader(userId)) || {};
+    this.settingsCache.set(userId, { settings, loadedAt: Date.now() });
+    return settings;
+  }
+
+  /**
+   * Provider and model configured for a tenant's task. Settings are layered:
+   * tenant task, tenant default, environment task, environment default. The
+   * first layer naming a provider picks it; the model comes from the first
+   * layer with a model that does not name a different provider.
+   * @param {string} userId - Tenant
+   * @param {string} task - classify, draft or analysis
+   * @returns {Promise<Object>} { providerName, provider, routeModel }
+   */
+  async resolveRoute(userId, task) {
+    if (!LLM_TASKS.includes(task)) {
+      throw new Error(`Unknown LLM task: ${task}`);
+    }
+
+    const settings = await this.getTenantSettings(userId);
+    const layers = [settings[task], settings.default, this.defaults[task], { provider: this.defaults.provider }]
+      .filter(Boolean);
+
+    const providerName = layers.find(layer => layer.provider)?.provider || Object.keys(this.providers)[0];
+    const provider = this.providers[providerName];
+
+    // A tenant that chose a provider must not silently fall back to another one
+    if (!provider) {
+      throw new Error(`LLM provider "${providerName}" is not configured`);
+    }
+
+    const routeModel = layers.find(layer => layer.model && (!layer.provider || layer.provider === providerName))?.model;
+    return { providerName, provider, routeModel: routeModel || null };
+  }
+
+  /**
+   * Run a chat completion for a tenant's task and record its usage
+   * @param {Object} request
+   * @param {string} request.task - classify, draft or analysis
+   * @param {Array} request.messages - Chat messages
+   * @param {string} [request.userId] - Tenant (usage is tracked only with a user)
+   * @param {string} [request.model] - Explicit model, e.g. the budget's cheaper model
+   * @param {string} [request.defaultModel] - Caller's model when nothing else is configured
+   * @param {string} [request.operation] - Usage log operation (defaults to the task)
+   * @returns {Promise<Object>} { content, provider, model, usage, responseTime, redactions }
+   */
+  async complete({ task, messages, userId = null, model = null, defaultModel = null, temperature, maxTokens, operation = null }) {
+    const { providerName, provider, routeModel } = await this.resolveRoute(userId, task);
+    const resolvedModel = provider.resolveModel({ model, routeModel, defaultModel });
+
+    const redaction = resolvePiiSettings((await this.getTenantSettings(userId)).pii_redaction);
+    const redactor = redaction.enabled ? new PiiRedactor({ entityTypes: redaction.entityTypes }) : null;
+    const outboundMessages = redactor ? redactMessages(messages, redactor) : messages;
+    if (redactor?.hasRedactions()) {
+      await this.logRedaction({ userId, task, operation: operation || task, provider: providerName, counts: redactor.getCounts() });
+    }
+
+    const startTime = Date.now();
+
+    let result;
+    try {
+      result = await provider.chat({ model: resolvedModel, messages: outboundMessages, temperature, maxTokens });
+    } catch (error) {
+      await this.trackUsage({
+        userId,
+        provider: providerName,
+        model: resolvedModel,
+        operation: operation || task,
+        usage: { inputTokens: 0, outputTokens: 0 },
+        responseTime: Date.now() - startTime,
+        success: false
+      });
+      throw error;
+    }
+
+    const responseTime = Date.now() - startTime;
+    await this.trackUsage({
+      userId,
+      provider: providerName,
+      model: resolvedModel,
+      operation: operation || task,
+      usage: result.usage,
+      responseTime,
+      success: true
+    });
+
+    return {
+      content: redactor ? redactor.restore(result.content) : result.content,
+      provider: providerName,
+      model: resolvedModel,
+      usage: result.usage,
+      responseTime,
+      redactions: redactor ? redactor.getCounts() : {}
+    };
+  }
+
+  async logRedaction({ userId, task, operation, provider, counts }) {
+    if (!userId || !this.redactionAuditor) return;
+
+    try {
+      await this.redactionAuditor.logRedaction({ userId, task, operation, provider, entityCounts: counts });
+    } catch (error) {
+      console.error('Failed to log PII redaction:', error);
+    }
+  }
+
+  async trackUsage({ userId, provider, model, operation, usage, responseTime, success }) {
+    if (!userId || !this.usageTracker) return;
+
+    try {
+      await this.usageTracker.trackUsage({
+        userId,
+        provider,
+        model,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        operation,
+        responseTime,
+        success,
+        unmetered: UNMETERED_PROVIDERS.includes(provider)
+      });
+    } catch (error) {
+      console.error('Failed to track LLM usage:', error);
+    }
+  }
+}
+
+export default LLMRouter;
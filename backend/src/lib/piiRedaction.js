@@ -0,0 +1,242 @@
+/**
+ * PII Redaction for LLM calls
+ *
+ * Reversible tokenization of personal data before content leaves for a
+ * model provider. Each distinct value becomes a numbered placeholder
+ * ("[PHONE_1]", "[EMAIL_2]") that is consistent across every message of a
+ * call, and generated text has the placeholders restored afterwards:
+ *
+ *   const redactor = new PiiRedactor({ entityTypes: ['phone', 'card'] });
+ *   const messages = redactMessages(original, redactor);
+ *   const draft = redactor.restore(completion);
+ *   redactor.getCounts(); // { phone: 1 } - categories only, never values
+ *
+ * Tenants choose entity types in profiles.pii_redaction. The n8n Code nodes
+ * generated by supabase/functions/_shared/piiRedaction.ts use the same
+ * patterns - keep the two in sync.
+ *
+ * @module piiRedaction
+ */
+
+/**
+ * Entity types in matching order: cards and government ids are matched
+ * before phone numbers so their digits are not split into phone tokens.
+ */
+export const PII_ENTITY_TYPES = {
+  email: {
+    label: 'EMAIL',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  card: {
+    label: 'CARD',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: (value) => luhnValid(value.replace(/\D/g, ''))
+  },
+  government_id: {
+    label: 'GOVERNMENT_ID',
+    // US SSN (123-45-6789) and Canadian SIN (123 456 789 / 123-456-789)
+    pattern: /\b\d{3}-\d{2}-\d{4}\b|\b\d{3}[ -]\d{3}[ -]\d{3}\b/g
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]\d{4}\b/g
+  },
+  address: {
+    label: 'ADDRESS',
+    pattern: /\b\d{1,6}\s+(?:[A-Z][a-z]+\s+){1,3}(?:St|Street|Ave|Avenue|Rd|Road|Dr|Drive|Blvd|Boulevard|Ln|Lane|Way|Ct|Court|Cres|Crescent|Pl|Place)\b\.?/g
+  },
+  postal_code: {
+    label: 'POSTAL_CODE',
+    // Canadian postal codes and US ZIP+4
+    pattern: /\b[A-Z]\d[A-Z][ -]?\d[A-Z]\d\b|\b\d{5}-\d{4}\b/gi
+  }
+};
+
+export const DEFAULT_PII_ENTITY_TYPES = Object.keys(PII_ENTITY_TYPES);
+
+// Names of the Code nodes deploy-n8n wraps around each AI agent node
+export const REDACT_NODE_PREFIX = 'Redact PII: ';
+export const RESTORE_NODE_PREFIX = 'Restore PII: ';
+
+const TOKEN_PATTERN = new RegExp(
+  `\\[(${Object.values(PII_ENTITY_TYPES).map(type => type.label).join('|')})_(\\d+)\\]`,
+  'g'
+);
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+// Differently formatted copies of one value share a token
+const normalizeValue = (type, value) => (type === 'email'
+  ? value.toLowerCase()
+  : ['card', 'government_id', 'phone'].includes(type)
+    ? value.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '')
+    : value.toLowerCase().replace(/\s+/g, ' '));
+
+/**
+ * Replace PII with a fixed label per entity type ("[phone]", "[postal code]")
+ * for text that is kept rather than restored, such as few-shot examples
+ * @param {string} text - Text to mask
+ * @param {Array<string>} [entityTypes] - Entity types to mask (default: all)
+ * @returns {string} Masked text
+ */
+export function maskPii(text, entityTypes = DEFAULT_PII_ENTITY_TYPES) {
+  return DEFAULT_PII_ENTITY_TYPES
+    .filter(type => entityTypes.includes(type))
+    .reduce((current, type) => {
+      const { label, pattern, validate } = PII_ENTITY_TYPES[type];
+      return current.replace(pattern, (match) => (validate && !validate(match)
+        ? match
+        : `[${label.toLowerCase().replace(/_/g, ' ')}]`));
+    }, String(text || ''));
+}
+
+/**
+ * Validate tenant redaction settings
+ * @param {Object} settings - { enabled, entity_types }
+ * @returns {Object} { isValid, errors }
+ */
+export function validatePiiSettings(settings) {
+  const errors = [];
+
+  if (settings === null || settings === undefined) {
+    return { isValid: true, errors };
+  }
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return { isValid: false, errors: ['PII redaction settings must be an object'] };
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+  if (settings.entity_types !== undefined) {
+    if (!Array.isArray(settings.entity_types)) {
+      errors.push('entity_types must be an array');
+    } else {
+      settings.entity_types
+        .filter(type => !PII_ENTITY_TYPES[type])
+        .forEach(type => errors.push(`Unknown PII entity type: ${type}`));
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Effective redaction settings. Redaction is on with every entity type
+ * unless the tenant narrows it; invalid settings fall back to the default
+ * rather than sending content unredacted.
+ * @param {Object} [settings] - profiles.pii_redaction
+ * @returns {Object} { enabled, entityTypes }
+ */
+export function resolvePiiSettings(settings) {
+  const { isValid, errors } = validatePiiSettings(settings);
+  if (!isValid) {
+    console.warn('Invalid PII redaction settings, redacting all entity types:', errors.join('; '));
+    return { enabled: true, entityTypes: [...DEFAULT_PII_ENTITY_TYPES] };
+  }
+
+  return {
+    enabled: settings?.enabled !== false,
+    entityTypes: settings?.entity_types
+      ? DEFAULT_PII_ENTITY_TYPES.filter(type => settings.entity_types.includes(type))
+      : [...DEFAULT_PII_ENTITY_TYPES]
+  };
+}
+
+export class PiiRedactor {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.entityTypes] - Entity types to redact (default: all)
+   */
+  constructor({ entityTypes = DEFAULT_PII_ENTITY_TYPES } = {}) {
+    entityTypes.forEach(type => {
+      if (!PII_ENTITY_TYPES[type]) {
+        throw new Error(`Unknown PII entity type: ${type}`);
+      }
+    });
+
+    // Keep the canonical matching order whatever order was configured
+    this.entityTypes = DEFAULT_PII_ENTITY_TYPES.filter(type => entityTypes.includes(type));
+    this.tokens = new Map(); // token -> original value
+    this.valueTokens = new Map(); // type:normalized value -> token
+    this.counters = {};
+  }
+
+  /**
+   * Replace PII in text with placeholders
+   * @param {string} text - Text to redact
+   * @returns {string} Redacted text
+   */
+  redact(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    return this.entityTypes.reduce((current, type) => {
+      const { pattern, validate } = PII_ENTITY_TYPES[type];
+      return current.replace(pattern, (match) => {
+        if (validate && !validate(match)) return match;
+        return this.tokenFor(type, match);
+      });
+    }, text);
+  }
+
+  tokenFor(type, value) {
+    const key = `${type}:${normalizeValue(type, value)}`;
+    if (this.valueTokens.has(key)) {
+      return this.valueTokens.get(key);
+    }
+
+    this.counters[type] = (this.counters[type] || 0) + 1;
+    const token = `[${PII_ENTITY_TYPES[type].label}_${this.counters[type]}]`;
+    this.valueTokens.set(key, token);
+    this.tokens.set(token, value);
+    return token;
+  }
+
+  /**
+   * Put original values back in place of placeholders (unknown placeholders
+   * are left as they are)
+   * @param {string} text - Generated text
+   * @returns {string} Restored text
+   */
+  restore(text) {
+    if (typeof text !== 'string' || this.tokens.size === 0) return text;
+    return text.replace(TOKEN_PATTERN, (token) => this.tokens.get(token) ?? token);
+  }
+
+  /**
+   * Number of distinct values redacted per entity type
+   * @returns {Object} e.g. { phone: 2, email: 1 }
+   */
+  getCounts() {
+    return { ...this.counters };
+  }
+
+  hasRedactions() {
+    return this.tokens.size > 0;
+  }
+}
+
+/**
+ * Redact the content of chat messages with one redactor so a value gets the
+ * same placeholder in every message
+ * @param {Array} messages - Chat messages ({ role, content })
+ * @param {PiiRedactor} redactor - Redactor for this call
+ * @returns {Array} Redacted copies of the messages
+ */
+export function redactMessages(messages, redactor) {
+  return messages.map(message => (typeof message.content === 'string'
+    ? { ...message, content: redactor.redact(message.content) }
+    : message));
+}
+
+export default PiiRedactor;
@@ -0,0 +1,48 @@
+import { jest } from '@jest/globals';
+
+const checkBudget = jest.fn();
+
+const getBlockedMode = jest.fn((operation) => (operation === 'classify' ? 'rules_only' : 'drafts_paused'));
+
+jest.unstable_mockModule('../../services/aiBudgetService.js', () => ({ default: { checkBudget, getBlockedMode } }));
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { enforceAiBudget } = await import('../aiBudget.js');
+
+const run = async (operation) => {
+  const req = { user: { id: 'user-1' } };
+  const next = jest.fn();
+  await enforceAiBudget(operation)(req, {}, next);
+  return { req, next };
+};
+
+describe('enforceAiBudget', () => {
+  beforeEach(() => {
+    checkBudget.mockReset();
+  });
+
+  test('attaches the budget decision for the operation', async () => {
+    const decision = { status: 'soft_cap', mode: 'cheaper_model', model: 'gpt-4o-mini', spend: 60, softCap: 50, hardCap: 100 };
+    checkBudget.mockResolvedValue(decision);
+
+    const { req, next } = await run('analyze');
+
+    expect(checkBudget).toHaveBeenCalledWith('user-1', 'analyze');
+    expect(req.aiBudget).toBe(decision);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('runs the request as at the hard cap when the budget cannot be read', async () => {
+    checkBudget.mockRejectedValue(new Error('connection refused'));
+
+    const { req, next } = await run('generate');
+    expect(req.aiBudget).toEqual({ status: 'unknown', mode: 'drafts_paused', model: null });
+    expect(getBlockedMode).toHaveBeenCalledWith('generate');
+    expect(next).toHaveBeenCalledWith();
+
+    const classify = await run('classify');
+    expect(classify.req.aiBudget.mode).toBe('rules_only');
+  });
+});
@@ -0,0 +1,42 @@
+import aiBudgetService from '../services/aiBudgetService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * AI budget middleware
+ * Checks the caller's monthly AI spend before the route makes any OpenAI call
+ * and attaches the decision as req.aiBudget ({ mode, model, status, ... }).
+ * Routes degrade according to req.aiBudget.mode.
+ *
+ * If the budget cannot be read, the request runs as it would at the hard cap
+ * (rules-only classification, drafts and analysis paused): a database error
+ * must not lift the caps.
+ * @param {string} operation - 'classify', 'generate' or 'analyze'
+ */
+const enforceAiBudget = (operation) => {
+  return async (req, res, next) => {
+    try {
+      req.aiBudget = await aiBudgetService.checkBudget(req.user.id, operation);
+
+      if (req.aiBudget.status !== 'ok') {
+        logger.warn(`AI budget ${req.aiBudget.status} for user ${req.user.id}: ${operation} runs in ${req.aiBudget.mode} mode`, {
+          spend: req.aiBudget.spend,
+          softCap: req.aiBudget.softCap,
+          hardCap: req.aiBudget.hardCap
+        });
+      }
+    } catch (error) {
+      logger.error('AI budget check failed:', error);
+      req.aiBudget = { status: 'unknown', mode: aiBudgetService.getBlockedMode(operation), model: null };
+    }
+
+    next();
+  };
+};
+
+export {
+  enforceAiBudget
+};
+
+export default {
+  enforceAiBudget
+};
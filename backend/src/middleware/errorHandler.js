@@ -82,6 +82,17 @@ class RateLimitError extends APIError {
   }
 }
 
+/**
+ * AI budget error class
+ */
+class AIBudgetExceededError extends APIError {
+  constructor(message = null, budget = null) {
+    const errorInfo = ERROR_CODES.AI_BUDGET_EXCEEDED;
+    super(message || errorInfo.message, errorInfo.statusCode, errorInfo.code, budget);
+    this.name = 'AIBudgetExceededError';
+  }
+}
+
 /**
  * Main error handling middleware
  */
@@ -278,7 +289,8 @@ export {
   AuthorizationError,
   NotFoundError,
   ConflictError,
-  RateLimitError
+  RateLimitError,
+  AIBudgetExceededError
 };
 
 export default {
@@ -295,5 +307,6 @@ export default {
   AuthorizationError,
   NotFoundError,
   ConflictError,
-  RateLimitError
+  RateLimitError,
+  AIBudgetExceededError
 };
@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+
+const signInWithPassword = jest.fn();
+const eraseCustomerData = jest.fn();
+const eraseAccount = jest.fn();
+let legalHolds = { data: [], error: null };
+
+// legal_holds lookup: from().select().eq().is()
+const supabase = {
+  from: jest.fn(() => ({
+    select: () => ({ eq: () => ({ is: async () => legalHolds }) })
+  }))
+};
+
+jest.unstable_mockModule('@supabase/supabase-js', () => ({
+  createClient: () => ({ auth: { signInWithPassword } })
+}));
+jest.unstable_mockModule('../../services/dataSubjectRequests.js', () => ({
+  default: { supabase, eraseCustomerData, eraseAccount }
+}));
+jest.unstable_mockModule('../../middleware/auth.js', () => ({
+  userRateLimit: () => (req, res, next) => next(),
+  requireRole: () => (req, res, next) => next()
+}));
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: privacyRouter } = await import('../privacy.js');
+const { errorHandler } = await import('../../middleware/errorHandler.js');
+
+const USER = { id: 'user-1', email: 'owner@hottubpros.com' };
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = USER;
+  next();
+});
+app.use('/api/privacy', privacyRouter);
+app.use(errorHandler);
+
+// Access token as Supabase issues it; the auth middleware has verified it by the time the route runs
+const accessToken = (signedInSecondsAgo, sub = USER.id) => jwt.sign({
+  sub,
+  amr: [{ method: 'oauth', timestamp: Math.floor(Date.now() / 1000) - signedInSecondsAgo }]
+}, 'test-secret');
+
+const eraseAccountRequest = (token, body = {}) => request(app)
+  .post('/api/privacy/erasure/account')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ confirmation: 'DELETE MY ACCOUNT', ...body });
+
+describe('privacy erasure', () => {
+  beforeEach(() => {
+    legalHolds = { data: [], error: null };
+    signInWithPassword.mockReset();
+    eraseAccount.mockReset().mockResolvedValue({ requestId: 'dsr-1', status: 'completed', verified: true });
+    eraseCustomerData.mockReset().mockResolvedValue({ requestId: 'dsr-2', status: 'completed', verified: true });
+  });
+
+  test('accepts the account password', async () => {
+    signInWithPassword.mockResolvedValue({ error: null });
+
+    const response = await eraseAccountRequest(accessToken(3600), { password: 'correct horse' });
+
+    expect(response.status).toBe(200);
+    expect(signInWithPassword).toHaveBeenCalledWith({ email: USER.email, password: 'correct horse' });
+    expect(eraseAccount).toHaveBeenCalledWith(USER.id, { deleteN8n: false, deleteProviderLabels: false });
+  });
+
+  test('rejects a wrong password', async () => {
+    signInWithPassword.mockResolvedValue({ error: { message: 'Invalid login credentials' } });
+
+    const response = await eraseAccountRequest(accessToken(10), { password: 'wrong' });
+
+    expect(response.status).toBe(401);
+    expect(eraseAccount).not.toHaveBeenCalled();
+  });
+
+  test('accepts a session from a recent sign-in without a password', async () => {
+    const response = await request(app)
+      .post('/api/privacy/erasure/customer')
+      .set('Authorization', `Bearer ${accessToken(60)}`)
+      .send({ email: 'dana.lee@example.com' });
+
+    expect(response.status).toBe(200);
+    expect(signInWithPassword).not.toHaveBeenCalled();
+    expect(eraseCustomerData).toHaveBeenCalledWith(USER.id, 'dana.lee@example.com', { purgeN8nExecutions: true });
+  });
+
+  test('requires a fresh sign-in when no password is given', async () => {
+    const stale = await eraseAccountRequest(accessToken(60 * 60));
+    const otherUser = await eraseAccountRequest(accessToken(60, 'user-2'));
+    const noAmr = await eraseAccountRequest(jwt.sign({ sub: USER.id }, 'test-secret'));
+
+    [stale, otherUser, noAmr].forEach(response => {
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Sign in again to confirm this request, or enter your password');
+    });
+    expect(eraseAccount).not.toHaveBeenCalled();
+  });
+
+  test('refuses erasure while a legal hold is active', async () => {
+    legalHolds = { data: [{ id: 'hold-1', expires_at: null }], error: null };
+    signInWithPassword.mockResolvedValue({ error: null });
+
+    const account = await eraseAccountRequest(accessToken(3600), { password: 'correct horse' });
+    const customer = await request(app)
+      .post('/api/privacy/erasure/customer')
+      .set('Authorization', `Bearer ${accessToken(60)}`)
+      .send({ email: 'dana.lee@example.com' });
+
+    [account, customer].forEach(response => {
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe('Data cannot be erased while a legal hold is active');
+    });
+    expect(supabase.from).toHaveBeenCalledWith('legal_holds');
+    expect(eraseAccount).not.toHaveBeenCalled();
+    expect(eraseCustomerData).not.toHaveBeenCalled();
+  });
+
+  test('erases once holds have expired, and refuses when holds cannot be read', async () => {
+    legalHolds = { data: [{ id: 'hold-1', expires_at: '2020-01-01T00:00:00Z' }], error: null };
+    expect((await eraseAccountRequest(accessToken(60))).status).toBe(200);
+
+    legalHolds = { data: null, error: { message: 'permission denied' } };
+    expect((await eraseAccountRequest(accessToken(60))).status).toBe(500);
+    expect(eraseAccount).toHaveBeenCalledTimes(1);
+  });
+});
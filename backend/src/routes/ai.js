@@ -1,10 +1,14 @@
 import express from 'express';
 import Joi from 'joi';
 import {  createClient  } from '@supabase/supabase-js';
-import {  asyncHandler, validate, ValidationError, NotFoundError  } from '../middleware/errorHandler.js';
-import {  userRateLimit, authMiddleware  } from '../middleware/auth.js';
+import {  asyncHandler, validate, ValidationError, NotFoundError, AIBudgetExceededError  } from '../middleware/errorHandler.js';
+import {  userRateLimit, authMiddleware, requireRole  } from '../middleware/auth.js';
+import {  enforceAiBudget  } from '../middleware/aiBudget.js';
 import AIService from '../services/aiService.js';
+import aiBudgetService from '../services/aiBudgetService.js';
 import BusinessProfileService from '../services/businessProfileService.js';
+import llmRouter from '../services/llmRouter.js';
+import { DEFAULT_PII_ENTITY_TYPES, resolvePiiSettings } from '../lib/piiRedaction.js';
 import logger from '../utils/logger.js';
 import { parsePaginationParams, buildPaginatedResponse } from '../utils/pagination.js';
 
@@ -62,30 +66,48 @@ const businessProfileSchema = Joi.object({
   websiteUrl: Joi.string().uri().optional()
 });
 
-const emailVoiceSchema = Joi.object({
-  prompt: Joi.string().required(),
-  businessType: Joi.string().optional(),
-  emailSamples: Joi.array().items(Joi.object()).min(1).required()
+const budgetOverrideSchema = Joi.object({
+  userId: Joi.string().required(),
+  until: Joi.date().iso().greater('now').required(),
+  reason: Joi.string().min(3).max(500).required()
+});
+
+const piiRedactionSchema = Joi.object({
+  enabled: Joi.boolean().required(),
+  entity_types: Joi.array().items(Joi.string().valid(...DEFAULT_PII_ENTITY_TYPES)).unique().required()
 });
 
+/**
+ * Analysis runs on the cheaper model past the soft cap and stops at the hard cap
+ */
+const assertAnalysisAllowed = (budget) => {
+  if (budget.mode === 'analysis_paused') {
+    throw new AIBudgetExceededError(null, { status: budget.status, spend: budget.spend, hardCap: budget.hardCap });
+  }
+};
+
 // Apply rate limiting to AI endpoints
 router.use(userRateLimit(30, 15 * 60 * 1000)); // 30 requests per 15 minutes
 
 /**
  * Classify email using AI
  */
-router.post('/classify', validate(classifyEmailSchema), asyncHandler(async (req, res) => {
+router.post('/classify', validate(classifyEmailSchema), enforceAiBudget('classify'), asyncHandler(async (req, res) => {
   const emailData = req.body;
   const userId = req.user.id;
+  const { mode, model, status } = req.aiBudget;
 
   try {
-    const classification = await AIService.classifyEmail(emailData);
+    const classification = mode === 'rules_only'
+      ? await AIService.classifyWithRules(emailData)
+      : await AIService.classifyEmail(emailData, { userId, model });
 
     logger.info(`Email classified for user ${userId}: ${classification.category} (${classification.confidence}%)`);
 
     res.json({
       message: 'Email classified successfully',
-      classification
+      classification,
+      budget: { status, mode }
     });
 
   } catch (error) {
@@ -97,16 +119,22 @@ router.post('/classify', validate(classifyEmailSchema), asyncHandler(async (req,
 /**
  * Generate AI response
  */
-router.post('/generate-response', validate(generateResponseSchema), asyncHandler(async (req, res) => {
+router.post('/generate-response', validate(generateResponseSchema), enforceAiBudget('generate'), asyncHandler(async (req, res) => {
   const { emailData, category, businessContext } = req.body;
   const userId = req.user.id;
+  const { mode, model, status } = req.aiBudget;
+
+  if (mode === 'drafts_paused') {
+    throw new AIBudgetExceededError(null, { status, spend: req.aiBudget.spend, hardCap: req.aiBudget.hardCap });
+  }
 
   try {
     const response = await AIService.generateStyleAwareResponse(
       userId,
       emailData,
       category,
-      businessContext
+      businessContext,
+      { model }
     );
 
     logger.info(`AI response generated for user ${userId}: ${response.success}`);
@@ -116,7 +144,8 @@ router.post('/generate-response', validate(generateResponseSchema), asyncHandler
       response: response.response,
       styleApplied: response.styleApplied,
       confidence: response.confidence,
-      fallback: response.fallback || false
+      fallback: response.fallback || false,
+      budget: { status, mode }
     });
 
   } catch (error) {
@@ -128,10 +157,18 @@ router.post('/generate-response', validate(generateResponseSchema), asyncHandler
 /**
  * Analyze communication style
  */
-router.post('/analyze-style', validate(analyzeStyleSchema), asyncHandler(async (req, res) => {
+router.post('/analyze-style', validate(analyzeStyleSchema), enforceAiBudget('analyze'), asyncHandler(async (req, res) => {
   const { emailHistory } = req.body;
   const userId = req.user.id;
 
+  // The style analyzer chooses its own model, so it only runs with an unrestricted budget
+  if (req.aiBudget.mode !== 'normal') {
+    throw new AIBudgetExceededError(
+      'Style analysis is unavailable while the AI budget is restricted',
+      { status: req.aiBudget.status, mode: req.aiBudget.mode }
+    );
+  }
+
   try {
     const styleProfile = await AIService.analyzeCommunicationStyle(userId, emailHistory);
 
@@ -151,9 +188,12 @@ router.post('/analyze-style', validate(analyzeStyleSchema), asyncHandler(async (
 /**
  * Analyze email voice patterns (for voice training)
  */
-router.post('/analyze-email-voice', asyncHandler(async (req, res) => {
+router.post('/analyze-email-voice', enforceAiBudget('analyze'), asyncHandler(async (req, res) => {
   const { emails, businessType } = req.body;
   const userId = req.user.id;
+  const { model } = req.aiBudget;
+
+  assertAnalysisAllowed(req.aiBudget);
 
   try {
     logger.info(`Voice analysis request for user ${userId} with ${emails?.length || 0} emails`);
@@ -166,7 +206,7 @@ router.post('/analyze-email-voice', asyncHandler(async (req, res) => {
     }
 
     // Call AI service to analyze voice patterns
-    const voiceAnalysis = await AIService.analyzeEmailVoice(userId, emails, businessType);
+    const voiceAnalysis = await AIService.analyzeEmailVoice(userId, emails, businessType, { model });
 
     logger.info(`Voice analysis completed for user ${userId}`);
 
@@ -213,10 +253,18 @@ router.get('/style-profile', asyncHandler(async (req, res) => {
 /**
  * Process email through complete AI pipeline
  */
-router.post('/process-pipeline', validate(generateResponseSchema), asyncHandler(async (req, res) => {
+router.post('/process-pipeline', validate(generateResponseSchema), enforceAiBudget('generate'), asyncHandler(async (req, res) => {
   const { emailData, businessContext } = req.body;
   const userId = req.user.id;
 
+  // The pipeline chooses its own models, so it only runs with an unrestricted budget
+  if (req.aiBudget.mode !== 'normal') {
+    throw new AIBudgetExceededError(
+      'AI pipeline is unavailable while the AI budget is restricted',
+      { status: req.aiBudget.status, mode: req.aiBudget.mode }
+    );
+  }
+
   try {
     const result = await AIService.processEmailPipeline(emailData, businessContext, userId);
 
@@ -270,6 +318,142 @@ router.get('/stats', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * Get the current AI budget status
+ */
+router.get('/budget', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const [classify, generate] = await Promise.all([
+      aiBudgetService.checkBudget(userId, 'classify'),
+      aiBudgetService.checkBudget(userId, 'generate')
+    ]);
+
+    res.json({
+      message: 'AI budget retrieved successfully',
+      budget: {
+        status: classify.status,
+        spend: classify.spend,
+        softCap: classify.softCap,
+        hardCap: classify.hardCap,
+        overrideUntil: classify.overrideUntil || null,
+        modes: { classify: classify.mode, generate: generate.mode }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get AI budget:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Admin override: lift a business's AI caps until a given time
+ */
+router.post('/budget/override', requireRole('admin'), validate(budgetOverrideSchema), asyncHandler(async (req, res) => {
+  const { userId, until, reason } = req.body;
+
+  try {
+    const settings = await aiBudgetService.setOverride(userId, {
+      until: new Date(until).toISOString(),
+      reason,
+      adminId: req.user.id
+    });
+
+    res.json({
+      message: 'AI budget override set successfully',
+      settings
+    });
+
+  } catch (error) {
+    logger.error('Failed to set AI budget override:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Admin override: remove an override
+ */
+router.delete('/budget/override/:userId', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    await aiBudgetService.clearOverride(userId);
+
+    logger.info(`AI budget override cleared for user ${userId} by ${req.user.id}`);
+
+    res.json({
+      message: 'AI budget override cleared successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to clear AI budget override:', error);
+    throw error;
+  }
+}));
+
+/**
+ * Get PII redaction settings and what was redacted in the last 30 days
+ */
+router.get('/pii-redaction', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+
+  const [{ data: profile, error: profileError }, { data: logs, error: logsError }] = await Promise.all([
+    supabase.from('profiles').select('pii_redaction').eq('id', userId).maybeSingle(),
+    supabase.from('pii_redaction_logs').select('source, entity_counts').eq('user_id', userId).gte('created_at', since)
+  ]);
+
+  if (profileError || logsError) {
+    logger.error('Failed to get PII redaction settings:', profileError || logsError);
+    throw new Error('Failed to get PII redaction settings');
+  }
+
+  const redactedLast30Days = {};
+  (logs || []).forEach(log => {
+    Object.entries(log.entity_counts || {}).forEach(([type, count]) => {
+      redactedLast30Days[type] = (redactedLast30Days[type] || 0) + count;
+    });
+  });
+
+  const { enabled, entityTypes } = resolvePiiSettings(profile?.pii_redaction);
+
+  res.json({
+    message: 'PII redaction settings retrieved successfully',
+    settings: { enabled, entity_types: entityTypes },
+    availableEntityTypes: DEFAULT_PII_ENTITY_TYPES,
+    redactedLast30Days,
+    calls: logs?.length || 0
+  });
+}));
+
+/**
+ * Choose which PII entity types are redacted before LLM calls
+ */
+router.put('/pii-redaction', validate(piiRedactionSchema), asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const settings = { enabled: req.body.enabled, entity_types: req.body.entity_types };
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({ pii_redaction: settings })
+    .eq('id', userId);
+
+  if (error) {
+    logger.error('Failed to update PII redaction settings:', error);
+    throw new Error('Failed to update PII redaction settings');
+  }
+
+  llmRouter.invalidateSettings(userId);
+  logger.info(`PII redaction settings updated for user ${userId}: ${settings.enabled ? settings.entity_types.join(', ') : 'disabled'}`);
+
+  res.json({
+    message: 'PII redaction settings updated; redeploy the workflow to apply them in n8n',
+    settings
+  });
+}));
+
 /**
  * Create response template
  */
@@ -503,11 +687,13 @@ router.get('/health', asyncHandler(async (req, res) => {
 /**
  * Analyze business profile from emails
  */
-router.post('/analyze-business-profile', validate(businessProfileSchema), asyncHandler(async (req, res) => {
+router.post('/analyze-business-profile', validate(businessProfileSchema), enforceAiBudget('analyze'), asyncHandler(async (req, res) => {
   const { emails, userId, provider, websiteUrl } = req.body;
 
   logger.info(`Business profile analysis request for user ${userId}`);
 
+  assertAnalysisAllowed(req.aiBudget);
+
   // Verify user exists
   const { data: profile, error: profileError } = await supabase
     .from('profiles')
@@ -523,7 +709,7 @@ router.post('/analyze-business-profile', validate(businessProfileSchema), asyncH
   logger.info('User profile verified');
 
   // Analyze business profile using AI
-  const parsedProfile = await BusinessProfileService.analyzeBusinessProfile(emails, userId);
+  const parsedProfile = await BusinessProfileService.analyzeBusinessProfile(emails, userId, { model: req.aiBudget.model });
 
   res.json({
     success: true,
@@ -534,23 +720,4 @@ router.post('/analyze-business-profile', validate(businessProfileSchema), asyncH
   });
 }));
 
-/**
- * Analyze email voice/writing style
- */
-router.post('/analyze-email-voice', validate(emailVoiceSchema), asyncHandler(async (req, res) => {
-  const { prompt, businessType, emailSamples } = req.body;
-
-  logger.info(`Email voice analysis for ${businessType || 'unknown'} business`);
-
-  // Analyze email voice using AI
-  const analysis = await BusinessProfileService.analyzeEmailVoice(prompt, businessType, emailSamples);
-
-  res.json({
-    success: true,
-    analysis,
-    model: 'gpt-4o-mini',
-    timestamp: new Date().toISOString()
-  });
-}));
-
 export default router;
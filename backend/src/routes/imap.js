@@ -0,0 +1,222 @@
+import express from 'express';
+import Joi from 'joi';
+import {  asyncHandler, validate  } from '../middleware/errorHandler.js';
+import {  userRateLimit  } from '../middleware/auth.js';
+import imapService from '../services/imapService.js';
+import logger from '../utils/logger.js';
+import { ALLOWED_MAIL_PORTS } from '../utils/mailServerGuard.js';
+
+const router = express.Router();
+const automationRouter = express.Router();
+
+// Validation schemas
+// Hosts are also resolved and checked against private ranges before connecting
+const serverSchema = (ports) => Joi.object({
+  host: Joi.string().hostname().required(),
+  port: Joi.number().integer().valid(...ports).required(),
+  secure: Joi.boolean().default(true)
+});
+
+const connectSchema = Joi.object({
+  email: Joi.string().email().required(),
+  hosting: Joi.string().valid('godaddy', 'zoho', 'cpanel', 'custom').default('custom'),
+  username: Joi.string().max(320).optional(),
+  password: Joi.string().max(1024).required(),
+  imap: serverSchema(ALLOWED_MAIL_PORTS.imap).required(),
+  smtp: serverSchema(ALLOWED_MAIL_PORTS.smtp).required()
+});
+
+const folderSchema = Joi.object({
+  name: Joi.string().min(1).max(200).required(),
+  parentPath: Joi.string().max(1000).allow(null).optional()
+});
+
+const moveSchema = Joi.object({
+  uid: Joi.number().integer().min(1).optional(),
+  messageId: Joi.string().max(998).optional(),
+  folder: Joi.string().max(1000).required()
+}).or('uid', 'messageId');
+
+const messageSchema = Joi.object({
+  to: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).required(),
+  cc: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).optional(),
+  bcc: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).optional(),
+  subject: Joi.string().max(998).allow('').required(),
+  html: Joi.string().max(200000).optional(),
+  text: Joi.string().max(200000).optional(),
+  inReplyTo: Joi.string().max(998).optional(),
+  references: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())).optional()
+}).or('html', 'text');
+
+const sendSchema = messageSchema.keys({
+  saveToSent: Joi.boolean().default(true)
+});
+
+router.use(userRateLimit(120, 15 * 60 * 1000)); // 120 requests per 15 minutes
+
+/**
+ * Connect a mailbox: verify IMAP and SMTP, store encrypted credentials and start IDLE
+ */
+router.post('/connect', validate(connectSchema), asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const mailbox = await imapService.saveCredentials(userId, req.body);
+    await imapService.startWatching(userId);
+
+    res.json({
+      message: 'IMAP mailbox connected successfully',
+      mailbox
+    });
+
+  } catch (error) {
+    logger.error('Failed to connect IMAP mailbox:', error.message);
+    throw error;
+  }
+}));
+
+/**
+ * Disconnect the mailbox and delete its credentials
+ */
+router.delete('/connect', asyncHandler(async (req, res) => {
+  await imapService.deleteCredentials(req.user.id);
+
+  res.json({
+    message: 'IMAP mailbox disconnected successfully'
+  });
+}));
+
+/**
+ * List folders
+ */
+router.get('/folders', asyncHandler(async (req, res) => {
+  const folders = await imapService.listFolders(req.user.id);
+
+  res.json({
+    message: 'Folders retrieved successfully',
+    folders
+  });
+}));
+
+/**
+ * Create a label schema folder
+ */
+router.post('/folders', validate(folderSchema), asyncHandler(async (req, res) => {
+  const { name, parentPath } = req.body;
+  const folder = await imapService.createFolder(req.user.id, name, parentPath || null);
+
+  res.json({
+    message: folder.alreadyExists ? 'Folder already exists' : 'Folder created successfully',
+    folder
+  });
+}));
+
+/**
+ * Move an INBOX message into a folder
+ */
+router.post('/messages/move', validate(moveSchema), asyncHandler(async (req, res) => {
+  const result = await imapService.moveMessage(req.user.id, req.body);
+
+  res.json({
+    message: 'Message moved successfully',
+    ...result
+  });
+}));
+
+/**
+ * Polling fallback: record mail received since the last check
+ */
+router.post('/messages/check', asyncHandler(async (req, res) => {
+  const messages = await imapService.checkNewMessages(req.user.id);
+
+  res.json({
+    message: 'Mailbox checked successfully',
+    newMessages: messages.length
+  });
+}));
+
+/**
+ * Save a draft to the Drafts folder
+ */
+router.post('/drafts', validate(messageSchema), asyncHandler(async (req, res) => {
+  const draft = await imapService.saveDraft(req.user.id, req.body);
+
+  res.json({
+    message: 'Draft saved successfully',
+    draft
+  });
+}));
+
+/**
+ * Send over SMTP
+ */
+router.post('/send', validate(sendSchema), asyncHandler(async (req, res) => {
+  const { saveToSent, ...message } = req.body;
+  const result = await imapService.sendMail(req.user.id, message, { saveToSent });
+
+  logger.info(`IMAP mailbox for user ${req.user.id} sent ${result.messageId}`);
+
+  res.json({
+    message: 'Email sent successfully',
+    ...result
+  });
+}));
+
+/**
+ * Start or stop the IDLE watcher
+ */
+router.post('/watch', asyncHandler(async (req, res) => {
+  const result = await imapService.startWatching(req.user.id);
+
+  res.json({
+    message: 'IMAP push monitoring active',
+    ...result
+  });
+}));
+
+router.delete('/watch', asyncHandler(async (req, res) => {
+  await imapService.stopWatching(req.user.id);
+
+  res.json({
+    message: 'IMAP push monitoring stopped'
+  });
+}));
+
+/**
+ * n8n automation routes. The IMAP workflow has no OAuth identity, so it
+ * authenticates with the per-mailbox token deploy-n8n injects into it.
+ */
+const requireAutomationToken = asyncHandler(async (req, res, next) => {
+  const { userId } = req.body;
+  await imapService.verifyAutomationToken(userId, req.headers['x-automation-token']);
+  req.automationUserId = userId;
+  next();
+});
+
+const automationSchema = (schema) => schema.keys({
+  userId: Joi.string().guid().required()
+});
+
+automationRouter.post('/move', validate(automationSchema(moveSchema)), requireAutomationToken, asyncHandler(async (req, res) => {
+  const { userId, ...target } = req.body;
+  const result = await imapService.moveMessage(req.automationUserId, target);
+
+  res.json({
+    message: 'Message moved successfully',
+    ...result
+  });
+}));
+
+automationRouter.post('/drafts', validate(automationSchema(messageSchema)), requireAutomationToken, asyncHandler(async (req, res) => {
+  const { userId, ...draft } = req.body;
+  const result = await imapService.saveDraft(req.automationUserId, draft);
+
+  res.json({
+    message: 'Draft saved successfully',
+    draft: result
+  });
+}));
+
+export { automationRouter };
+
+export default router;
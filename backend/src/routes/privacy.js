@@ -0,0 +1,271 @@
+import express from 'express';
+import Joi from 'joi';
+import { createClient } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
+import { asyncHandler, validate, AuthenticationError, ConflictError, NotFoundError } from '../middleware/errorHandler.js';
+import { userRateLimit, requireRole } from '../middleware/auth.js';
+import dataSubjectRequests from '../services/dataSubjectRequests.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Used only to re-check passwords, so a sign-in never replaces the
+// service-role session of the clients that query data
+const authClient = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SERVICE_ROLE_KEY,
+  { auth: { autoRefreshToken: false, persistSession: false } }
+);
+
+const ACCOUNT_ERASURE_CONFIRMATION = 'DELETE MY ACCOUNT';
+
+// Without a password, the session must come from a sign-in this recent
+const REAUTH_MAX_AGE_SECONDS = 5 * 60;
+
+// Validation schemas
+const customerPreviewSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const customerErasureSchema = Joi.object({
+  email: Joi.string().email().required(),
+  // Omitted for OAuth-only accounts, which sign in again instead
+  password: Joi.string(),
+  purgeN8nExecutions: Joi.boolean().default(true)
+});
+
+const accountErasureSchema = Joi.object({
+  password: Joi.string(),
+  confirmation: Joi.string().valid(ACCOUNT_ERASURE_CONFIRMATION).required()
+    .messages({ 'any.only': `Type "${ACCOUNT_ERASURE_CONFIRMATION}" to confirm` }),
+  deleteN8n: Joi.boolean().default(false),
+  deleteProviderLabels: Joi.boolean().default(false)
+});
+
+const legalHoldSchema = Joi.object({
+  userId: Joi.string().required(),
+  reason: Joi.string().min(3).max(500).required(),
+  // Omitted or empty holds every data class
+  dataClasses: Joi.array().items(Joi.string().valid('bodies', 'metadata', 'analytics')).unique(),
+  expiresAt: Joi.date().iso().greater('now')
+});
+
+router.use(userRateLimit(10, 15 * 60 * 1000)); // 10 requests per 15 minutes
+
+/**
+ * Latest sign-in time (seconds) recorded in the session's access token. The
+ * token was already verified by the auth middleware; amr keeps the original
+ * sign-in times across refreshes, so only a new sign-in moves them forward.
+ */
+function getSignInTime(req) {
+  const token = (req.headers.authorization || '').replace('Bearer ', '');
+  const claims = jwt.decode(token);
+  if (!claims || claims.sub !== req.user.id || !Array.isArray(claims.amr)) return null;
+
+  const times = claims.amr.map(entry => Number(entry?.timestamp)).filter(Number.isFinite);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Erasures are only carried out after the account password is re-entered,
+ * or - for accounts that sign in with Google or Microsoft and have no
+ * password - on a session from a sign-in in the last few minutes
+ */
+async function verifyIdentity(req, password) {
+  const user = req.user;
+
+  if (password === undefined) {
+    const signedInAt = getSignInTime(req);
+    if (!signedInAt || Date.now() / 1000 - signedInAt > REAUTH_MAX_AGE_SECONDS) {
+      logger.warn(`Data subject request reauthentication required for user ${user.id}`);
+      throw new AuthenticationError('Sign in again to confirm this request, or enter your password');
+    }
+    return;
+  }
+
+  const { error } = await authClient.auth.signInWithPassword({
+    email: user.email,
+    password
+  });
+
+  if (error) {
+    logger.warn(`Data subject request identity check failed for user ${user.id}`);
+    throw new AuthenticationError('Password is incorrect');
+  }
+}
+
+/**
+ * Erasures wait while a legal hold is active: every data class an erasure
+ * removes may be under it. Fails closed when the holds cannot be read.
+ */
+async function assertNoLegalHold(userId) {
+  const { data: holds, error } = await dataSubjectRequests.supabase
+    .from('legal_holds')
+    .select('id, expires_at')
+    .eq('user_id', userId)
+    .is('released_at', null);
+
+  if (error) {
+    logger.error('Failed to check legal holds:', error);
+    throw new Error('Failed to check legal holds');
+  }
+
+  const now = new Date();
+  const active = (holds || []).filter(hold => !hold.expires_at || new Date(hold.expires_at) > now);
+  if (active.length > 0) {
+    logger.warn(`Erasure refused for user ${userId}: ${active.length} active legal hold(s)`);
+    throw new ConflictError('Data cannot be erased while a legal hold is active');
+  }
+}
+
+/**
+ * Export everything held for the current user, including n8n executions
+ */
+router.get('/export', asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const exportData = await dataSubjectRequests.exportUserData(userId);
+
+  logger.info(`Data export ${exportData.metadata.requestId} generated for user ${userId}`);
+
+  res.setHeader('Content-Disposition', `attachment; filename="floworx-data-export-${new Date().toISOString().split('T')[0]}.json"`);
+  res.json(exportData);
+}));
+
+/**
+ * Past export and erasure requests with their receipts
+ */
+router.get('/requests', asyncHandler(async (req, res) => {
+  const { data, error } = await dataSubjectRequests.supabase
+    .from('data_subject_requests')
+    .select('id, request_type, status, options, result, error, created_at, completed_at')
+    .eq('user_id', req.user.id)
+    .order('created_at', { ascending: false })
+    .limit(50);
+
+  if (error) {
+    logger.error('Failed to list data subject requests:', error);
+    throw new Error('Failed to list data subject requests');
+  }
+
+  res.json({
+    message: 'Data subject requests retrieved successfully',
+    requests: data || []
+  });
+}));
+
+/**
+ * What erasing one of the user's customers would remove
+ */
+router.post('/erasure/customer/preview', validate(customerPreviewSchema), asyncHandler(async (req, res) => {
+  const preview = await dataSubjectRequests.previewCustomerErasure(req.user.id, req.body.email);
+
+  res.json({
+    message: 'Customer erasure preview generated successfully',
+    ...preview
+  });
+}));
+
+/**
+ * Erase a customer of the user who asked to be forgotten
+ */
+router.post('/erasure/customer', validate(customerErasureSchema), asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  await verifyIdentity(req, req.body.password);
+  await assertNoLegalHold(userId);
+
+  const receipt = await dataSubjectRequests.eraseCustomerData(userId, req.body.email, {
+    purgeN8nExecutions: req.body.purgeN8nExecutions
+  });
+
+  logger.info(`Customer erasure ${receipt.requestId} for user ${userId}: ${receipt.status}`);
+
+  res.status(receipt.verified ? 200 : 207).json({
+    message: receipt.verified
+      ? 'Customer data erased and verified'
+      : 'Customer erasure incomplete; see remaining and errors',
+    receipt
+  });
+}));
+
+/**
+ * Erase the user's account, optionally with their n8n workflows/credentials
+ * and the labels provisioned in their mailbox
+ */
+router.post('/erasure/account', validate(accountErasureSchema), asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  await verifyIdentity(req, req.body.password);
+  await assertNoLegalHold(userId);
+
+  const receipt = await dataSubjectRequests.eraseAccount(userId, {
+    deleteN8n: req.body.deleteN8n,
+    deleteProviderLabels: req.body.deleteProviderLabels
+  });
+
+  logger.info(`Account erasure ${receipt.requestId} for user ${userId}: ${receipt.status}`);
+
+  res.status(receipt.verified ? 200 : 207).json({
+    message: receipt.verified
+      ? 'Account erased and verified'
+      : 'Account erasure incomplete; see remaining and errors',
+    receipt
+  });
+}));
+
+/**
+ * Admin: place a legal hold, pausing retention purges for a business
+ */
+router.post('/legal-holds', requireRole('admin'), validate(legalHoldSchema), asyncHandler(async (req, res) => {
+  const { userId, reason, dataClasses, expiresAt } = req.body;
+
+  const { data: hold, error } = await dataSubjectRequests.supabase
+    .from('legal_holds')
+    .insert({
+      user_id: userId,
+      reason,
+      data_classes: dataClasses?.length ? dataClasses : null,
+      created_by: req.user.id,
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Failed to place legal hold:', error);
+    throw new Error('Failed to place legal hold');
+  }
+
+  logger.info(`Legal hold ${hold.id} placed on user ${userId} by ${req.user.id}`);
+
+  res.status(201).json({
+    message: 'Legal hold placed successfully',
+    hold
+  });
+}));
+
+/**
+ * Admin: release a legal hold
+ */
+router.delete('/legal-holds/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { data, error } = await dataSubjectRequests.supabase
+    .from('legal_holds')
+    .update({ released_at: new Date().toISOString(), released_by: req.user.id })
+    .eq('id', req.params.id)
+    .is('released_at', null)
+    .select('id');
+
+  if (error) {
+    logger.error('Failed to release legal hold:', error);
+    throw new Error('Failed to release legal hold');
+  }
+  if (!data || data.length === 0) {
+    throw new NotFoundError('Active legal hold not found');
+  }
+
+  logger.info(`Legal hold ${req.params.id} released by ${req.user.id}`);
+
+  res.json({
+    message: 'Legal hold released successfully'
+  });
+}));
+
+export default router;
@@ -27,6 +27,8 @@ import analyticsRoutes from './routes/analytics.js';
 import securityRoutes from './routes/security.js';
 import templatesRoutes from './routes/templates.js';
 import voiceLearningRoutes from './routes/voice-learning.js';
+import imapRoutes, { automationRouter as imapAutomationRoutes } from './routes/imap.js';
+import privacyRoutes from './routes/privacy.js';
 
 // Import VPS N8N deployment service
 import { handleVpsN8nDeployment } from './services/vpsN8nDeployment.js';
@@ -34,6 +36,7 @@ import { handleVpsN8nDeployment } from './services/vpsN8nDeployment.js';
 // Import Redis client and cache manager
 import redisClient from './services/redisClient.js';
 import cacheManager from './services/cacheManager.js';
+import imapService from './services/imapService.js';
 
 // Function to create credentials in N8N
 async function createN8nCredentials(n8nBaseUrl, n8nApiKey, credentials) {
@@ -948,6 +951,9 @@ app.use('/api/emails', authMiddleware, emailRoutes);
 app.use('/api/workflows', authMiddleware, workflowRoutes);
 app.use('/api/ai', authMiddleware, aiRoutes);
 app.use('/api/analytics', authMiddleware, analyticsRoutes);
+app.use('/api/imap/automation', imapAutomationRoutes); // n8n IMAP workflow, per-mailbox token auth
+app.use('/api/imap', authMiddleware, imapRoutes);
+app.use('/api/privacy', authMiddleware, privacyRoutes); // GDPR/CCPA export and erasure
 app.use('/api/templates', templatesRoutes);
 app.use('/api/voice-learning', voiceLearningRoutes); // Voice learning endpoint
 app.use('/api', securityRoutes); // CSP reports don't require auth
@@ -1011,6 +1017,11 @@ const server = app.listen(PORT, () => {
   logger.info(`📊 Health check: http://localhost:${PORT}/health`);
   logger.info(`🌐 API base URL: http://localhost:${PORT}/api`);
   logger.info(`🔒 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Re-open IDLE connections for connected IMAP mailboxes
+  imapService.resumeWatchers()
+    .then(count => logger.info(`📬 Resumed ${count} IMAP mailbox watchers`))
+    .catch(error => logger.error('Failed to resume IMAP watchers:', error));
 });
 
 export default app;
\ No newline at end of file
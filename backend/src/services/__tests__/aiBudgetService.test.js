@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+
+const tables = {};
+const inserts = [];
+
+// Each query resolves with the seeded result for its table; inserts are recorded
+const rpc = jest.fn();
+
+const supabase = {
+  rpc,
+  from: (table) => {
+    const builder = {
+      select: () => builder,
+      eq: () => builder,
+      gte: () => builder,
+      insert: (row) => {
+        inserts.push({ table, row });
+        return Promise.resolve({ error: null });
+      },
+      maybeSingle: () => Promise.resolve(tables[table] || { data: null, error: null }),
+      then: (resolve, reject) => Promise.resolve(tables[table] || { data: [], error: null }).then(resolve, reject)
+    };
+    return builder;
+  }
+};
+
+jest.unstable_mockModule('../../lib/supabaseClient.js', () => ({ default: { supabase } }));
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { default: aiBudgetService } = await import('../aiBudgetService.js');
+
+const seed = ({ settings = null, costs = [] }) => {
+  tables.ai_budget_settings = { data: settings, error: null };
+  // ai_monthly_spend returns numeric, which PostgREST may send as a string
+  rpc.mockResolvedValue({ data: String(costs.reduce((total, cost) => total + Number(cost), 0)), error: null });
+};
+
+describe('AIBudgetService', () => {
+  beforeEach(() => {
+    aiBudgetService.spendCache.clear();
+    inserts.length = 0;
+  });
+
+  test('runs normally without caps or under the soft cap', async () => {
+    seed({});
+    await expect(aiBudgetService.checkBudget('user-1', 'generate')).resolves.toMatchObject({ status: 'ok', mode: 'normal', model: null });
+
+    aiBudgetService.spendCache.clear();
+    seed({ settings: { hard_cap_usd: 100 }, costs: [10, '20.5'] });
+    await expect(aiBudgetService.checkBudget('user-1', 'generate')).resolves.toMatchObject({
+      status: 'ok',
+      spend: 30.5,
+      softCap: 80,
+      hardCap: 100
+    });
+    expect(rpc).toHaveBeenCalledWith('ai_monthly_spend', { p_user_id: 'user-1', p_since: aiBudgetService.getMonthStart() });
+  });
+
+  test('degrades to the cheaper model at the soft cap unless the action fits the operation', async () => {
+    seed({ settings: { soft_cap_usd: 50, hard_cap_usd: 100 }, costs: [60] });
+    await expect(aiBudgetService.checkBudget('user-1', 'generate')).resolves.toMatchObject({ status: 'soft_cap', mode: 'cheaper_model', model: 'gpt-4o-mini' });
+
+    seed({ settings: { soft_cap_usd: 50, soft_cap_action: 'rules_only' }, costs: [60] });
+    await expect(aiBudgetService.checkBudget('user-1', 'classify')).resolves.toMatchObject({ mode: 'rules_only' });
+    await expect(aiBudgetService.checkBudget('user-1', 'generate')).resolves.toMatchObject({ mode: 'cheaper_model' });
+
+    seed({ settings: { soft_cap_usd: 50, soft_cap_action: 'drafts_paused' }, costs: [60] });
+    await expect(aiBudgetService.checkBudget('user-1', 'generate')).resolves.toMatchObject({ mode: 'drafts_paused' });
+    await expect(aiBudgetService.checkBudget('user-1', 'analyze')).resolves.toMatchObject({ mode: 'cheaper_model' });
+  });
+
+  test('blocks AI at the hard cap per operation', async () => {
+    seed({ settings: { monthly_budget: 20 }, costs: [25] });
+
+    await expect(aiBudgetService.checkBudget('user-1', 'classify')).resolves.toMatchObject({ status: 'hard_cap', mode: 'rules_only' });
+    await expect(aiBudgetService.checkBudget('user-1', 'generate')).resolves.toMatchObject({ mode: 'drafts_paused' });
+    await expect(aiBudgetService.checkBudget('user-1', 'analyze')).resolves.toMatchObject({ mode: 'analysis_paused' });
+  });
+
+  test('an active override lifts the caps until it expires', async () => {
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    seed({ settings: { hard_cap_usd: 10, override_until: future }, costs: [50] });
+    await expect(aiBudgetService.checkBudget('user-1', 'generate')).resolves.toMatchObject({ status: 'override', mode: 'normal', overrideUntil: future });
+
+    seed({ settings: { hard_cap_usd: 10, override_until: '2020-01-01T00:00:00Z' }, costs: [50] });
+    await expect(aiBudgetService.checkBudget('user-1', 'generate')).resolves.toMatchObject({ status: 'hard_cap' });
+  });
+
+  test('tracked usage is logged, priced and added to the cached spend', async () => {
+    seed({ costs: [1] });
+    await aiBudgetService.getMonthlySpend('user-1');
+
+    const { cost } = await aiBudgetService.trackUsage({ userId: 'user-1', model: 'gpt-4o', inputTokens: 1000, outputTokens: 2000, operation: 'generate' });
+    expect(cost).toBeCloseTo(0.035, 10);
+    expect(inserts[0]).toMatchObject({ table: 'ai_usage_logs', row: { user_id: 'user-1', total_tokens: 3000, estimated_cost: cost } });
+    await expect(aiBudgetService.getMonthlySpend('user-1')).resolves.toBeCloseTo(1.035, 10);
+
+    await expect(aiBudgetService.trackUsage({ userId: 'user-1', provider: 'local', model: 'llama3', inputTokens: 5000, unmetered: true }))
+      .resolves.toEqual({ success: true, cost: 0 });
+  });
+
+  test('unknown models are priced at the gpt-4 rate', () => {
+    expect(aiBudgetService.calculateCost('some-new-model', 1000, 1000)).toBeCloseTo(0.09, 10);
+  });
+});
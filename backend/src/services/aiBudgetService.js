@@ -0,0 +1,254 @@
+import supabaseClient from '../lib/supabaseClient.js';
+import logger from '../utils/logger.js';
+
+const { supabase } = supabaseClient;
+
+/**
+ * AI Budget Service
+ * Server-side monthly spend caps per business. Every OpenAI call in the ai
+ * routes is preceded by checkBudget(), which decides how the call may run:
+ *
+ *   normal        - under the soft cap (or an admin override is active)
+ *   cheaper_model - soft cap reached; use the cheaper model
+ *   rules_only    - classification without AI (soft cap action or hard cap)
+ *   drafts_paused - no AI drafts (soft cap action or hard cap)
+ *   analysis_paused - no style, voice or business profile analysis (hard cap)
+ *
+ * Spend is the sum of ai_usage_logs.estimated_cost since the start of the
+ * current UTC month.
+ */
+class AIBudgetService {
+  constructor() {
+    // USD per 1K tokens, kept in sync with src/lib/aiCostMonitor.js
+    this.costRates = {
+      'gpt-3.5-turbo': { input: 0.001, output: 0.002 },
+      'gpt-4': { input: 0.03, output: 0.06 },
+      'gpt-4-turbo-preview': { input: 0.01, output: 0.03 },
+      'gpt-4o': { input: 0.005, output: 0.015 },
+      'gpt-4o-mini': { input: 0.00015, output: 0.0006 }
+    };
+
+    this.cheaperModel = 'gpt-4o-mini';
+    this.softCapActions = ['cheaper_model', 'rules_only', 'drafts_paused'];
+    this.spendCache = new Map(); // userId -> { month, spend, loadedAt }
+    this.cacheTimeout = 60 * 1000; // 1 minute
+  }
+
+  /**
+   * Decide how an AI operation may run for a business
+   * @param {string} userId - Business owner
+   * @param {string} operation - 'classify', 'generate' or 'analyze'
+   * @returns {Promise<Object>} { mode, model, status, spend, softCap, hardCap }
+   */
+  async checkBudget(userId, operation) {
+    const [settings, spend] = await Promise.all([
+      this.getBudgetSettings(userId),
+      this.getMonthlySpend(userId)
+    ]);
+
+    const hardCap = settings?.hard_cap_usd ?? settings?.monthly_budget ?? null;
+    const softCap = settings?.soft_cap_usd ??
+      (hardCap !== null ? hardCap * (settings?.alert_threshold_percentage || 80) / 100 : null);
+
+    const budget = { userId, operation, spend, softCap, hardCap, model: null };
+
+    if (settings?.override_until && new Date(settings.override_until) > new Date()) {
+      return { ...budget, status: 'override', mode: 'normal', overrideUntil: settings.override_until };
+    }
+
+    if (hardCap !== null && spend >= hardCap) {
+      return { ...budget, status: 'hard_cap', mode: this.getBlockedMode(operation) };
+    }
+
+    if (softCap !== null && spend >= softCap) {
+      const action = this.softCapActions.includes(settings?.soft_cap_action) ? settings.soft_cap_action : 'cheaper_model';
+      return { ...budget, status: 'soft_cap', ...this.resolveSoftCapMode(action, operation) };
+    }
+
+    return { ...budget, status: 'ok', mode: 'normal' };
+  }
+
+  /**
+   * With no AI allowed, classification falls back to rules while drafting and
+   * analysis pause
+   */
+  getBlockedMode(operation) {
+    if (operation === 'classify') return 'rules_only';
+    return operation === 'analyze' ? 'analysis_paused' : 'drafts_paused';
+  }
+
+  /**
+   * Map a soft cap action onto an operation. Rule-only classification has no
+   * drafting equivalent (and vice versa), so those actions degrade drafts or
+   * classification to the cheaper model instead. Analysis always degrades to
+   * the cheaper model.
+   */
+  resolveSoftCapMode(action, operation) {
+    if (action === 'rules_only' && operation === 'classify') {
+      return { mode: 'rules_only' };
+    }
+    if (action === 'drafts_paused' && operation === 'generate') {
+      return { mode: 'drafts_paused' };
+    }
+    return { mode: 'cheaper_model', model: this.cheaperModel };
+  }
+
+  /**
+   * Record the cost of a completed OpenAI call
+   * @param {string} userId
+   * @param {Object} usage - { model, operation, usage: OpenAI usage object, responseTime }
+   */
+  async recordUsage(userId, { model, operation, usage, responseTime = null }) {
+    const result = await this.trackUsage({
+      userId,
+      model,
+      operation,
+      inputTokens: usage?.prompt_tokens || 0,
+      outputTokens: usage?.completion_tokens || 0,
+      responseTime
+    });
+    return result.cost;
+  }
+
+  /**
+   * Record an LLM call in ai_usage_logs. Same shape as
+   * AICostMonitor.trackUsage, so the LLM router reports usage the same way on
+   * both sides; unmetered calls (local or mock providers) cost nothing.
+   * @param {Object} usage - { userId, provider, model, inputTokens, outputTokens, operation, responseTime, success, unmetered }
+   * @returns {Promise<Object>} { success, cost }
+   */
+  async trackUsage({
+    userId,
+    provider = 'openai',
+    model,
+    inputTokens = 0,
+    outputTokens = 0,
+    operation,
+    responseTime = null,
+    success = true,
+    unmetered = false
+  }) {
+    try {
+      const cost = unmetered ? 0 : this.calculateCost(model, inputTokens, outputTokens);
+
+      const { error } = await supabase
+        .from('ai_usage_logs')
+        .insert({
+          user_id: userId,
+          provider,
+          model,
+          operation,
+          prompt_tokens: inputTokens,
+          completion_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens,
+          estimated_cost: cost,
+          response_time_ms: responseTime,
+          success,
+          created_at: new Date().toISOString()
+        });
+
+      if (error) {
+        logger.error('Failed to record AI usage:', error);
+      }
+
+      const cached = this.spendCache.get(userId);
+      if (cached && cached.month === this.getMonthStart()) {
+        cached.spend += cost;
+      }
+
+      return { success: !error, cost };
+    } catch (error) {
+      logger.error('Failed to record AI usage:', error);
+      return { success: false, cost: 0 };
+    }
+  }
+
+  /**
+   * Calculate cost in USD
+   */
+  calculateCost(model, inputTokens, outputTokens) {
+    const rates = this.costRates[model] || this.costRates['gpt-4'];
+    return (inputTokens / 1000) * rates.input + (outputTokens / 1000) * rates.output;
+  }
+
+  /**
+   * Spend since the start of the current UTC month
+   */
+  async getMonthlySpend(userId) {
+    const month = this.getMonthStart();
+    const cached = this.spendCache.get(userId);
+    if (cached && cached.month === month && Date.now() - cached.loadedAt < this.cacheTimeout) {
+      return cached.spend;
+    }
+
+    // Summed in SQL; selecting the rows would stop at PostgREST's 1000-row limit
+    const { data, error } = await supabase.rpc('ai_monthly_spend', {
+      p_user_id: userId,
+      p_since: month
+    });
+
+    if (error) throw error;
+
+    const spend = Number(data) || 0;
+    this.spendCache.set(userId, { month, spend, loadedAt: Date.now() });
+    return spend;
+  }
+
+  /**
+   * Get budget settings for a business
+   */
+  async getBudgetSettings(userId) {
+    const { data, error } = await supabase
+      .from('ai_budget_settings')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Lift the caps for a business until a given time
+   * @param {string} userId - Business owner
+   * @param {Object} override - { until, reason, adminId }
+   */
+  async setOverride(userId, { until, reason, adminId }) {
+    const { data, error } = await supabase
+      .from('ai_budget_settings')
+      .upsert({
+        user_id: userId,
+        override_until: until,
+        override_reason: reason,
+        override_by: adminId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.warn(`AI budget override for user ${userId} until ${until} by ${adminId}: ${reason}`);
+    return data;
+  }
+
+  /**
+   * Remove an override
+   */
+  async clearOverride(userId) {
+    const { error } = await supabase
+      .from('ai_budget_settings')
+      .update({ override_until: null, override_reason: null, override_by: null, updated_at: new Date().toISOString() })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+
+  getMonthStart() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+  }
+}
+
+export default new AIBudgetService();
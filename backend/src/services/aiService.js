@@ -1,6 +1,7 @@
-import OpenAI from 'openai';
 import {  createClient  } from '@supabase/supabase-js';
 import logger from '../utils/logger.js';
+import llmRouter from './llmRouter.js';
+import { UNTRUSTED_CONTENT_POLICY, extractVisibleText, wrapUntrustedContent } from '../lib/promptInjectionGuard.js';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -11,23 +12,21 @@ const supabase = createClient(
 class AIService {
   constructor() {
     this.initialized = false;
-    this.openai = null;
+    this.llm = null;
     this.isEnabled = false;
     this.init();
   }
 
   async init() {
     try {
-      // Initialize OpenAI client
-      const apiKey = process.env.OPENAI_API_KEY;
-      
-      if (!apiKey || apiKey.includes('your-openai-api-key')) {
-        logger.warn('OpenAI API key not configured. AI features will be limited.');
-        this.isEnabled = false;
+      // Providers (OpenAI, Azure OpenAI, local) come from the shared LLM router
+      this.llm = llmRouter;
+      this.isEnabled = llmRouter.isEnabled();
+
+      if (!this.isEnabled) {
+        logger.warn('No LLM provider configured. AI features will be limited.');
       } else {
-        this.openai = new OpenAI({ apiKey });
-        this.isEnabled = true;
-        logger.info('AIService initialized with OpenAI integration');
+        logger.info(`AIService initialized with LLM providers: ${Object.keys(llmRouter.providers).join(', ')}`);
       }
 
       this.initialized = true;
@@ -41,8 +40,9 @@ class AIService {
 
   /**
    * Generate email response using AI
+   * @param {Object} options - { model } chosen by the AI budget check
    */
-  async generateEmailResponse(email, businessContext, userId) {
+  async generateEmailResponse(email, businessContext, userId, options = {}) {
     if (!this.isEnabled) {
       return this.generateFallbackResponse(email, businessContext);
     }
@@ -51,28 +51,33 @@ class AIService {
       logger.info(`Generating AI response for email from ${email.from}`);
 
       const prompt = this.buildPrompt(email, businessContext);
-      
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
+
+      const completion = await this.llm.complete({
+        task: 'draft',
+        operation: 'generate',
+        userId,
+        model: options.model,
+        defaultModel: 'gpt-4',
         messages: [
           { role: 'system', content: this.getSystemPrompt(businessContext) },
           { role: 'user', content: prompt }
         ],
-        max_tokens: 500,
+        maxTokens: 500,
         temperature: 0.7
       });
 
-      const aiResponse = response.choices[0].message.content;
+      const aiResponse = completion.content;
+      const model = completion.model;
       
       // Store AI response in database
-      await this.storeAIResponse(userId, email.id || `email_${Date.now()}`, prompt, aiResponse);
+      await this.storeAIResponse(userId, email.id || `email_${Date.now()}`, prompt, aiResponse, model);
       
       logger.info('AI response generated successfully');
 
       return {
         response: aiResponse,
         success: true,
-        model: 'gpt-4',
+        model,
         confidence: 85,
         fallback: false
       };
@@ -89,9 +94,9 @@ class AIService {
   buildPrompt(email, businessContext) {
     return `
 Customer Email:
-From: ${email.from}
-Subject: ${email.subject}
-Body: ${email.body}
+${wrapUntrustedContent({ from: email.from, subject: email.subject, body: extractVisibleText(email.body || '').text })}
+
+${UNTRUSTED_CONTENT_POLICY}
 
 Business Context:
 - Name: ${businessContext.businessName || businessContext.name}
@@ -162,7 +167,7 @@ ${businessName} Team`;
   /**
    * Store AI response in database
    */
-  async storeAIResponse(userId, emailId, prompt, response) {
+  async storeAIResponse(userId, emailId, prompt, response, model = 'gpt-4') {
     try {
       const { error } = await supabase
         .from('ai_responses')
@@ -176,7 +181,7 @@ ${businessName} Team`;
           confidence: 85,
           style_applied: false,
           metadata: {
-            model: 'gpt-4',
+            model,
             prompt_length: prompt.length,
             response_length: response.length,
             generated_at: new Date().toISOString()
@@ -194,8 +199,9 @@ ${businessName} Team`;
 
   /**
    * Classify email using AI
+   * @param {Object} options - { userId, model } chosen by the AI budget check
    */
-  async classifyEmail(email) {
+  async classifyEmail(email, options = {}) {
     if (!this.isEnabled) {
       return this.getFallbackClassification(email);
     }
@@ -203,8 +209,12 @@ ${businessName} Team`;
     try {
       logger.info(`Classifying email: ${email.subject}`);
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
+      const completion = await this.llm.complete({
+        task: 'classify',
+        operation: 'classify',
+        userId: options.userId,
+        model: options.model,
+        defaultModel: 'gpt-4',
         messages: [
           { 
             role: 'system', 
@@ -214,25 +224,28 @@ Categories: urgent, complaint, appointment, inquiry, followup, general
 Urgency levels: critical, high, normal, low
 Sentiment: positive, neutral, negative
 
-Return JSON with category, urgency, sentiment, and confidence (0-100) fields.` 
+Return JSON with category, urgency, sentiment, and confidence (0-100) fields.
+
+${UNTRUSTED_CONTENT_POLICY}` 
           },
           { 
             role: 'user', 
-            content: `Subject: ${email.subject}\nBody: ${email.body}` 
+            content: wrapUntrustedContent({ subject: email.subject, body: extractVisibleText(email.body || '').text })
           }
         ],
-        max_tokens: 150,
+        maxTokens: 150,
         temperature: 0.3
       });
 
-      const classification = JSON.parse(response.choices[0].message.content);
+      const classification = JSON.parse(completion.content);
       
       logger.info(`Email classified: ${classification.category} (${classification.confidence}%)`);
 
       return {
         ...classification,
         method: 'ai',
-        model: 'gpt-4'
+        model: completion.model,
+        provider: completion.provider
       };
 
     } catch (error) {
@@ -241,6 +254,26 @@ Return JSON with category, urgency, sentiment, and confidence (0-100) fields.`
     }
   }
 
+  /**
+   * Classify email without AI using EmailClassifier.classifyWithRules
+   * (used when the AI budget is exhausted)
+   */
+  async classifyWithRules(email) {
+    try {
+      const { EmailClassifier } = await import('../lib/emailClassifier.js');
+      const classifier = new EmailClassifier();
+      const classification = classifier.classifyWithRules(email);
+
+      logger.info(`Email classified using rules: ${classification.category} (${classification.confidence}%)`);
+
+      return classification;
+
+    } catch (error) {
+      logger.error('Rule-based classification failed:', error);
+      return this.getFallbackClassification(email);
+    }
+  }
+
   /**
    * Get fallback classification when AI is unavailable
    */
@@ -325,8 +358,9 @@ Return JSON with category, urgency, sentiment, and confidence (0-100) fields.`
 
   /**
    * Analyze email voice patterns for voice training
+   * @param {Object} options - { model } chosen by the AI budget check
    */
-  async analyzeEmailVoice(userId, emails, businessType) {
+  async analyzeEmailVoice(userId, emails, businessType, options = {}) {
     if (!this.isEnabled) {
       throw new Error('AI service is not available for voice analysis');
     }
@@ -346,9 +380,12 @@ Return JSON with category, urgency, sentiment, and confidence (0-100) fields.`
       // Create analysis prompt
       const prompt = this.buildVoiceAnalysisPrompt(emailTexts, businessType);
 
-      // Call OpenAI API
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const completion = await this.llm.complete({
+        task: 'analysis',
+        operation: 'voice_analysis',
+        userId,
+        model: options.model,
+        defaultModel: 'gpt-4o-mini',
         messages: [
           {
             role: 'system',
@@ -360,10 +397,10 @@ Return JSON with category, urgency, sentiment, and confidence (0-100) fields.`
           }
         ],
         temperature: 0.3,
-        max_tokens: 2000
+        maxTokens: 2000
       });
 
-      const analysisText = response.choices[0]?.message?.content || '';
+      const analysisText = completion.content;
       
       // Parse the analysis result
       const voiceAnalysis = this.parseVoiceAnalysis(analysisText);
@@ -531,33 +568,127 @@ Please provide a JSON response with the following structure:
 
   /**
    * Generate style-aware response
+   * Drafts in the owner's learned voice (communication_styles) through the
+   * metered LLM router, the server-side counterpart of
+   * StyleAwareAI.generateResponseWithCategory in src/lib/styleAwareAI.js.
+   * Without a style profile the standard draft is generated instead.
+   * @param {Object} options - { model } chosen by the AI budget check
    */
-  async generateStyleAwareResponse(userId, emailData, category, businessContext) {
+  async generateStyleAwareResponse(userId, emailData, category, businessContext, options = {}) {
+    if (!this.isEnabled) {
+      return this.generateFallbackResponse(emailData, businessContext);
+    }
+
     try {
+      const styleProfile = await this.getStyleProfile(userId);
+      if (!styleProfile) {
+        return await this.generateEmailResponse(emailData, businessContext, userId, options);
+      }
+
       logger.info(`Generating style-aware response for user ${userId}`);
 
-      // Import StyleAwareAI dynamically
-      const { StyleAwareAI } = await import('../../src/lib/styleAwareAI.js');
-      const styleAI = new StyleAwareAI();
+      const prompt = this.buildPrompt(emailData, businessContext);
 
-      const response = await styleAI.generateResponseWithCategory(
+      const completion = await this.llm.complete({
+        task: 'draft',
+        operation: 'generate',
         userId,
-        emailData,
-        category,
-        businessContext
-      );
+        model: options.model,
+        defaultModel: 'gpt-3.5-turbo',
+        messages: [
+          { role: 'system', content: this.buildStyleSystemPrompt(styleProfile, businessContext, category) },
+          { role: 'user', content: prompt }
+        ],
+        maxTokens: 500,
+        temperature: 0.7
+      });
+
+      await this.storeAIResponse(userId, emailData.id || `email_${Date.now()}`, prompt, completion.content, completion.model);
 
       logger.info(`Style-aware response generated for user ${userId}`);
 
-      return response;
+      return {
+        response: completion.content,
+        success: true,
+        model: completion.model,
+        styleApplied: true,
+        confidence: styleProfile.confidence || 75,
+        fallback: false
+      };
 
     } catch (error) {
       logger.error('Style-aware response generation failed:', error);
       // Fallback to regular AI response
-      return await this.generateEmailResponse(emailData, businessContext, userId);
+      return await this.generateEmailResponse(emailData, businessContext, userId, options);
     }
   }
 
+  /**
+   * Learned communication style for a business, or null before voice training
+   */
+  async getStyleProfile(userId) {
+    const { data, error } = await supabase
+      .from('communication_styles')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * System prompt for drafting in the owner's voice; same guidance as
+   * StyleAwareAI.createPersonalizedPrompt
+   */
+  buildStyleSystemPrompt(styleProfile, businessContext, category) {
+    const categoryGuidance = {
+      urgent: 'This is an urgent matter that requires immediate attention and a prompt response.',
+      routine: 'This is a routine inquiry that should be handled professionally and thoroughly.',
+      complaint: 'This is a customer complaint that requires empathy, acknowledgment, and a solution-focused approach.',
+      inquiry: 'This is a general inquiry that requires helpful and informative response.',
+      appointment: 'This is about scheduling or appointment-related matters.',
+      followup: 'This is a follow-up communication that requires acknowledgment and next steps.'
+    };
+
+    const profile = styleProfile.style_profile || {};
+    const vocabulary = profile.vocabulary || {};
+    const signaturePhrases = profile.signaturePhrases || styleProfile.signature_phrases || [];
+    const businessName = businessContext.businessName || businessContext.name || 'the business';
+    const businessType = businessContext.businessType || businessContext.type || 'service business';
+
+    return `You are responding to emails as ${businessName}, a ${businessType}.
+
+${categoryGuidance[String(category || '').toLowerCase()] || categoryGuidance.routine}
+
+COMMUNICATION STYLE:
+- Tone: ${profile.tone || 'professional'}
+- Formality: ${profile.formality || 'balanced'}
+- Personality: ${Array.isArray(profile.personality) ? profile.personality.join(', ') : 'professional, helpful'}
+- Customer Approach: ${profile.customerApproach || 'professional and courteous'}
+
+PREFERRED PATTERNS:
+- Greeting: "${profile.greetingPattern || 'Hello'}"
+- Closing: "${profile.closingPattern || 'Best regards'}"
+- Industry Focus: ${businessType} terminology when appropriate
+
+SIGNATURE PHRASES TO INCORPORATE:
+${signaturePhrases.slice(0, 5).map(phrase => `- "${phrase}"`).join('\n')}
+
+VOCABULARY PREFERENCES:
+- Common words: ${vocabulary.common_words ? vocabulary.common_words.slice(0, 10).map(w => w.item || w).join(', ') : 'service, help, thank you'}
+- Technical terms: ${vocabulary.technical_terms ? vocabulary.technical_terms.slice(0, 5).join(', ') : 'professional terminology'}
+
+RESPONSE GUIDELINES:
+1. Match the tone and formality level exactly
+2. Use the preferred greeting and closing patterns
+3. Incorporate signature phrases naturally
+4. Keep the response length appropriate (${profile.averageEmailLength > 400 ? 'detailed' : 'concise'})
+5. Sound authentic and personal, not robotic
+
+Write a response that sounds exactly like how this business owner would personally respond.`;
+  }
+
   /**
    * Process email through complete AI pipeline
    */
@@ -655,7 +786,8 @@ Please provide a JSON response with the following structure:
    */
   async validateConfiguration() {
     const validation = {
-      openaiConfigured: !!this.openai,
+      openaiConfigured: this.isEnabled,
+      providers: this.llm ? Object.keys(this.llm.providers) : [],
       openaiEnabled: this.isEnabled,
       modelAvailable: false,
       databaseConnected: false,
@@ -664,17 +796,18 @@ Please provide a JSON response with the following structure:
     };
 
     try {
-      // Test OpenAI connection
-      if (this.isEnabled && this.openai) {
-        const testResponse = await this.openai.chat.completions.create({
-          model: 'gpt-4',
+      // Test the default provider
+      if (this.isEnabled) {
+        const testResponse = await this.llm.complete({
+          task: 'draft',
+          defaultModel: 'gpt-4',
           messages: [{ role: 'user', content: 'Test connection' }],
-          max_tokens: 10
+          maxTokens: 10
         });
         validation.modelAvailable = !!testResponse;
       } else {
-        validation.issues.push('OpenAI API key not configured');
-        validation.recommendations.push('Configure OPENAI_API_KEY environment variable');
+        validation.issues.push('No LLM provider configured');
+        validation.recommendations.push('Configure OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT/AZURE_OPENAI_API_KEY or LOCAL_LLM_BASE_URL');
       }
 
       // Test database connection
@@ -704,7 +837,8 @@ Please provide a JSON response with the following structure:
     return {
       initialized: this.initialized,
       enabled: this.isEnabled,
-      openaiConnected: !!this.openai,
+      openaiConnected: this.isEnabled,
+      providers: this.llm ? Object.keys(this.llm.providers) : [],
       timestamp: new Date().toISOString()
     };
   }
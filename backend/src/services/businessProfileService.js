@@ -1,10 +1,5 @@
-import OpenAI from 'openai';
 import logger from '../utils/logger.js';
-
-// Initialize OpenAI client
-const openai = new OpenAI({ 
-  apiKey: process.env.OPENAI_API_KEY 
-});
+import llmRouter from './llmRouter.js';
 
 /**
  * Build analysis prompt from emails
@@ -56,16 +51,21 @@ ${JSON.stringify(emailSamples, null, 2)}`;
 }
 
 /**
- * Analyze business profile from emails using OpenAI
+ * Analyze business profile from emails using the tenant's analysis model
+ * @param {Object} options - { model } chosen by the AI budget check
  */
-async function analyzeBusinessProfile(emails, userId) {
+async function analyzeBusinessProfile(emails, userId, options = {}) {
   try {
     logger.info(`Analyzing business profile for user ${userId} with ${emails.length} emails`);
 
     const analysisPrompt = buildAnalysisPrompt(emails);
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const completion = await llmRouter.complete({
+      task: 'analysis',
+      operation: 'business_profile',
+      userId,
+      model: options.model,
+      defaultModel: 'gpt-4o-mini',
       messages: [
         {
           role: 'system',
@@ -142,15 +142,15 @@ async function analyzeBusinessProfile(emails, userId) {
         }
       ],
       temperature: 0.1,
-      max_tokens: 2000
+      maxTokens: 2000
     });
 
-    const response = completion.choices[0]?.message?.content;
+    const response = completion.content;
     if (!response) {
-      throw new Error('No response from OpenAI');
+      throw new Error('No response from AI provider');
     }
 
-    logger.info('OpenAI API response received');
+    logger.info('AI response received');
 
     // Parse and validate JSON response
     let parsedProfile;
@@ -162,7 +162,7 @@ async function analyzeBusinessProfile(emails, userId) {
       
       parsedProfile = JSON.parse(cleanResponse);
     } catch (parseError) {
-      logger.error('Failed to parse OpenAI response:', parseError);
+      logger.error('Failed to parse AI response:', parseError);
       throw new Error('Invalid JSON response from AI');
     }
 
@@ -177,8 +177,9 @@ async function analyzeBusinessProfile(emails, userId) {
 
 /**
  * Analyze email voice/writing style
+ * @param {string} [userId] - Tenant whose LLM settings and usage apply
  */
-async function analyzeEmailVoice(prompt, businessType, emailSamples) {
+async function analyzeEmailVoice(prompt, businessType, emailSamples, userId = null) {
   try {
     logger.info(`Analyzing email voice for ${businessType} business with ${emailSamples.length} samples`);
 
@@ -193,17 +194,20 @@ Focus on:
 
 Provide a detailed analysis in JSON format that includes specific examples and patterns that can be used for AI training.`;
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const completion = await llmRouter.complete({
+      task: 'analysis',
+      operation: 'voice_analysis',
+      userId,
+      defaultModel: 'gpt-4o-mini',
       messages: [
         { role: 'system', content: systemMessage },
         { role: 'user', content: prompt }
       ],
-      max_tokens: 2000,
+      maxTokens: 2000,
       temperature: 0.3
     });
 
-    const analysisText = response.choices[0]?.message?.content || '';
+    const analysisText = completion.content;
     
     // Try to parse JSON from the response
     let analysis;
@@ -0,0 +1,107 @@
+import supabaseClient from '../lib/supabaseClient.js';
+import logger from '../utils/logger.js';
+import { DataSubjectRequestProcessor } from '../lib/dataSubjectRequests.js';
+
+const { supabase } = supabaseClient;
+
+/**
+ * Data Subject Requests (backend)
+ * Wires the shared DSR processor to the service-role client, the n8n public
+ * API and the mail providers so exports include n8n executions and erasures
+ * can remove workflows, credentials and provisioned labels.
+ */
+
+const N8N_BASE_URL = (process.env.N8N_BASE_URL || 'https://n8n.floworx-iq.com').replace(/\/$/, '');
+const N8N_API_KEY = process.env.N8N_API_KEY;
+
+async function n8nRequest(path, { method = 'GET' } = {}) {
+  if (!N8N_API_KEY) {
+    throw new Error('N8N_API_KEY is not configured');
+  }
+
+  const response = await fetch(`${N8N_BASE_URL}/api/v1${path}`, {
+    method,
+    headers: {
+      'X-N8N-API-KEY': N8N_API_KEY,
+      'Accept': 'application/json'
+    }
+  });
+
+  // Already gone is what an erasure wants
+  if (method === 'DELETE' && response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new Error(`n8n API error: ${response.status} ${errorText}`.trim());
+  }
+  return response.status === 204 ? null : response.json().catch(() => null);
+}
+
+const n8n = {
+  listExecutions(workflowId, { includeData = false, cursor = null } = {}) {
+    const params = new URLSearchParams({ workflowId, includeData: String(includeData), limit: '100' });
+    if (cursor) params.set('cursor', cursor);
+    return n8nRequest(`/executions?${params}`);
+  },
+  deleteExecution: (executionId) => n8nRequest(`/executions/${executionId}`, { method: 'DELETE' }),
+  deleteWorkflow: (workflowId) => n8nRequest(`/workflows/${workflowId}`, { method: 'DELETE' }),
+  deleteCredential: (credentialId) => n8nRequest(`/credentials/${credentialId}`, { method: 'DELETE' })
+};
+
+const LABEL_ENDPOINTS = {
+  gmail: (id) => `https://gmail.googleapis.com/gmail/v1/users/me/labels/${encodeURIComponent(id)}`,
+  outlook: (id) => `https://graph.microsoft.com/v1.0/me/mailFolders/${encodeURIComponent(id)}`
+};
+
+/**
+ * Deletes provisioned Gmail labels / Outlook folders with the tenant's
+ * stored access token. Mail keeps its place: Gmail only drops the label,
+ * Outlook moves the folder to Deleted Items.
+ */
+const labelDeleter = {
+  async deleteLabels({ userId, provider, labelIds }) {
+    const endpoint = LABEL_ENDPOINTS[provider];
+    if (!endpoint) {
+      return { deleted: [], failed: labelIds.map(id => ({ id, error: `Unsupported provider: ${provider}` })) };
+    }
+
+    const { data: integration, error } = await supabase
+      .from('integrations')
+      .select('access_token')
+      .eq('user_id', userId)
+      .eq('provider', provider)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (error || !integration?.access_token) {
+      throw new Error(`No active ${provider} access token`);
+    }
+
+    const result = { deleted: [], failed: [] };
+    for (const id of labelIds) {
+      const response = await fetch(endpoint(id), {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${integration.access_token}` }
+      });
+
+      if (response.ok || response.status === 404) {
+        result.deleted.push(id);
+      } else {
+        result.failed.push({ id, error: `${response.status} ${response.statusText}`.trim() });
+      }
+    }
+
+    logger.info(`Deleted ${result.deleted.length}/${labelIds.length} ${provider} labels for user ${userId}`);
+    return result;
+  }
+};
+
+const dataSubjectRequests = new DataSubjectRequestProcessor({
+  supabase,
+  n8n,
+  labelDeleter,
+  sharedCredentialIds: [process.env.N8N_OPENAI_CREDENTIAL_ID]
+});
+
+export default dataSubjectRequests;
@@ -0,0 +1,608 @@
+import { ImapFlow } from 'imapflow';
+import nodemailer from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+import supabaseClient from '../lib/supabaseClient.js';
+import logger from '../utils/logger.js';
+import { encryptSecret, decryptSecret, verifyToken } from '../utils/credentialCrypto.js';
+import { resolveMailServer } from '../utils/mailServerGuard.js';
+import { ValidationError, NotFoundError, AuthenticationError } from '../middleware/errorHandler.js';
+
+const { supabase } = supabaseClient;
+
+/**
+ * IMAP Service
+ * Generic IMAP/SMTP mailboxes (GoDaddy, Zoho, cPanel, ...) alongside the Gmail
+ * and Outlook APIs:
+ *
+ *   - credentials are verified against both servers, then stored encrypted
+ *     in mailbox_credentials
+ *   - one IDLE connection per mailbox records new INBOX mail in email_logs;
+ *     checkNewMessages() is the polling fallback and uses the same UID cursor
+ *   - label schema folders are IMAP mailboxes; a message's label is the
+ *     folder it is moved to
+ *   - drafts are APPENDed to the Drafts folder, sent mail goes out over SMTP
+ *     and a copy is APPENDed to Sent
+ */
+class ImapService {
+  constructor() {
+    this.watchers = new Map(); // userId -> { client, timer, retries, stopped, syncing }
+    this.connectionTimeout = 15 * 1000;
+    this.baseReconnectDelay = 5 * 1000;
+    this.maxReconnectDelay = 5 * 60 * 1000;
+    this.maxIdleTime = 25 * 60 * 1000; // Re-issue IDLE before the 29 minute RFC 2177 limit
+  }
+
+  /**
+   * Verify mailbox settings and store them encrypted
+   * @param {string} userId
+   * @param {Object} settings - { email, hosting, imap: {host, port, secure}, smtp: {host, port, secure}, username, password }
+   * @returns {Promise<Object>} Stored connection settings (without the password)
+   */
+  async saveCredentials(userId, settings) {
+    const credentials = {
+      email_address: settings.email,
+      hosting: settings.hosting || 'custom',
+      imap_host: settings.imap.host,
+      imap_port: settings.imap.port,
+      imap_secure: settings.imap.secure,
+      smtp_host: settings.smtp.host,
+      smtp_port: settings.smtp.port,
+      smtp_secure: settings.smtp.secure,
+      username: settings.username || settings.email,
+      password: settings.password
+    };
+
+    const mailbox = await this.verifyImap(credentials);
+    await this.verifySmtp(credentials);
+
+    const { password, ...connection } = credentials;
+    const { data, error } = await supabase
+      .from('mailbox_credentials')
+      .upsert({
+        user_id: userId,
+        ...connection,
+        password_encrypted: encryptSecret(password),
+        folder_delimiter: mailbox.delimiter,
+        drafts_folder: mailbox.draftsFolder,
+        sent_folder: mailbox.sentFolder,
+        last_verified_at: new Date().toISOString(),
+        last_error: null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select('id, email_address, hosting, imap_host, imap_port, imap_secure, smtp_host, smtp_port, smtp_secure, username, folder_delimiter, drafts_folder, sent_folder, last_verified_at')
+      .single();
+
+    if (error) throw error;
+
+    const { error: integrationError } = await supabase
+      .from('integrations')
+      .upsert({
+        user_id: userId,
+        provider: 'imap',
+        status: 'active',
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,provider' });
+
+    if (integrationError) throw integrationError;
+
+    logger.info(`IMAP mailbox connected for user ${userId} (${credentials.imap_host})`);
+    return data;
+  }
+
+  /**
+   * Remove stored credentials and deactivate the integration
+   */
+  async deleteCredentials(userId) {
+    await this.stopWatching(userId);
+
+    const { error } = await supabase
+      .from('mailbox_credentials')
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    await supabase
+      .from('integrations')
+      .update({ status: 'inactive', updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('provider', 'imap');
+  }
+
+  /**
+   * Load and decrypt a user's mailbox credentials
+   */
+  async getCredentials(userId) {
+    const { data, error } = await supabase
+      .from('mailbox_credentials')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      throw new NotFoundError('No IMAP mailbox is connected for this account');
+    }
+
+    return { ...data, password: decryptSecret(data.password_encrypted) };
+  }
+
+  /**
+   * Build an IMAP client for the checked server address, keeping the
+   * hostname for TLS certificate validation
+   */
+  async createClient(credentials) {
+    const address = await resolveMailServer(credentials.imap_host, credentials.imap_port, 'imap');
+
+    return new ImapFlow({
+      host: address,
+      servername: credentials.imap_host,
+      port: credentials.imap_port,
+      secure: credentials.imap_secure,
+      auth: { user: credentials.username, pass: credentials.password },
+      connectionTimeout: this.connectionTimeout,
+      maxIdleTime: this.maxIdleTime,
+      logger: false
+    });
+  }
+
+  async createTransport(credentials) {
+    const address = await resolveMailServer(credentials.smtp_host, credentials.smtp_port, 'smtp');
+
+    return nodemailer.createTransport({
+      host: address,
+      port: credentials.smtp_port,
+      secure: credentials.smtp_secure,
+      auth: { user: credentials.username, pass: credentials.password },
+      tls: { servername: credentials.smtp_host },
+      connectionTimeout: this.connectionTimeout
+    });
+  }
+
+  /**
+   * Run an operation on a short-lived connection
+   */
+  async withClient(credentials, operation) {
+    const client = await this.createClient(credentials);
+    await client.connect();
+    try {
+      return await operation(client);
+    } finally {
+      await client.logout().catch(() => client.close());
+    }
+  }
+
+  /**
+   * Log in and discover the folder layout
+   */
+  async verifyImap(credentials) {
+    try {
+      return await this.withClient(credentials, async (client) => {
+        const folders = await client.list();
+        return {
+          delimiter: client.namespace?.delimiter || folders[0]?.delimiter || '/',
+          draftsFolder: this.findSpecialUse(folders, '\\Drafts'),
+          sentFolder: this.findSpecialUse(folders, '\\Sent')
+        };
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      // Server responses can reveal what is listening on the host, so only log them
+      logger.warn(`IMAP sign-in to ${credentials.imap_host} failed:`, error.responseText || error.message);
+      throw new ValidationError('Could not sign in to the IMAP server. Check the server settings, username and password.');
+    }
+  }
+
+  async verifySmtp(credentials) {
+    try {
+      const transport = await this.createTransport(credentials);
+      await transport.verify();
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      logger.warn(`SMTP sign-in to ${credentials.smtp_host} failed:`, error.message);
+      throw new ValidationError('Could not sign in to the SMTP server. Check the server settings, username and password.');
+    }
+  }
+
+  /**
+   * Find a special-use folder, falling back to the common English names
+   */
+  findSpecialUse(folders, specialUse) {
+    const match = folders.find(folder => folder.specialUse === specialUse);
+    if (match) return match.path;
+
+    const fallbackName = specialUse === '\\Drafts' ? /^(inbox[./])?drafts$/i : /^(inbox[./])?sent( items| messages)?$/i;
+    return folders.find(folder => fallbackName.test(folder.path))?.path || null;
+  }
+
+  /**
+   * List folders
+   * @returns {Promise<Array>} [{ path, name, delimiter, parentPath, specialUse }]
+   */
+  async listFolders(userId) {
+    const credentials = await this.getCredentials(userId);
+
+    return this.withClient(credentials, async (client) => {
+      const folders = await client.list();
+      return folders.map(folder => ({
+        path: folder.path,
+        name: folder.name,
+        delimiter: folder.delimiter,
+        parentPath: folder.parentPath || null,
+        specialUse: folder.specialUse || null
+      }));
+    });
+  }
+
+  /**
+   * Create a folder for the label schema. Existing folders are returned as-is.
+   * @param {string} userId
+   * @param {string} name - Folder name (a single level)
+   * @param {string|null} parentPath - Full path of the parent folder
+   * @returns {Promise<Object>} { id, name, path, alreadyExists }
+   */
+  async createFolder(userId, name, parentPath = null) {
+    const credentials = await this.getCredentials(userId);
+
+    return this.withClient(credentials, async (client) => {
+      const delimiter = credentials.folder_delimiter || client.namespace?.delimiter || '/';
+      // The delimiter cannot appear inside a single level of the hierarchy
+      const safeName = name.split(delimiter).join('-');
+      const path = parentPath
+        ? `${parentPath}${delimiter}${safeName}`
+        : `${client.namespace?.prefix || ''}${safeName}`;
+
+      const result = await client.mailboxCreate(path);
+      await client.mailboxSubscribe(result.path).catch(() => null);
+
+      return { id: result.path, name, path: result.path, alreadyExists: !result.created };
+    });
+  }
+
+  /**
+   * Move an INBOX message into a label folder
+   * @param {string} userId
+   * @param {Object} target - { uid, messageId, folder }
+   */
+  async moveMessage(userId, { uid = null, messageId = null, folder }) {
+    const credentials = await this.getCredentials(userId);
+
+    return this.withClient(credentials, async (client) => {
+      const lock = await client.getMailboxLock('INBOX');
+      try {
+        let messageUid = uid;
+        if (!messageUid && messageId) {
+          const matches = await client.search({ header: { 'message-id': messageId } }, { uid: true });
+          messageUid = matches?.[0] || null;
+        }
+
+        if (!messageUid) {
+          throw new NotFoundError('Message not found in INBOX');
+        }
+
+        await client.messageMove(String(messageUid), folder, { uid: true });
+        return { uid: messageUid, folder };
+      } finally {
+        lock.release();
+      }
+    });
+  }
+
+  /**
+   * Build an RFC 5322 message
+   */
+  async composeMessage(credentials, message) {
+    const mail = new MailComposer({
+      from: message.from || credentials.email_address,
+      to: message.to,
+      cc: message.cc,
+      bcc: message.bcc,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      inReplyTo: message.inReplyTo,
+      references: message.references,
+      date: new Date()
+    });
+
+    return mail.compile().build();
+  }
+
+  /**
+   * Save a draft reply to the Drafts folder
+   * @param {string} userId
+   * @param {Object} draft - { to, cc, subject, html, text, inReplyTo, references }
+   * @returns {Promise<Object>} { folder, uid }
+   */
+  async saveDraft(userId, draft) {
+    const credentials = await this.getCredentials(userId);
+    const raw = await this.composeMessage(credentials, draft);
+
+    return this.withClient(credentials, async (client) => {
+      const folder = credentials.drafts_folder || await this.ensureSpecialFolder(client, credentials, 'drafts_folder', 'Drafts');
+      const result = await client.append(folder, raw, ['\\Draft', '\\Seen']);
+      return { folder, uid: result?.uid || null };
+    });
+  }
+
+  /**
+   * Send a message over SMTP and keep a copy in Sent
+   * @param {string} userId
+   * @param {Object} message - { to, cc, bcc, subject, html, text, inReplyTo, references }
+   * @param {Object} options - { saveToSent: APPEND a copy to Sent (default true) }
+   * @returns {Promise<Object>} { messageId, accepted, rejected }
+   */
+  async sendMail(userId, message, { saveToSent = true } = {}) {
+    const credentials = await this.getCredentials(userId);
+    const raw = await this.composeMessage(credentials, message);
+
+    const recipients = [message.to, message.cc, message.bcc]
+      .flat()
+      .filter(Boolean);
+
+    const transport = await this.createTransport(credentials);
+    const info = await transport.sendMail({
+      envelope: { from: credentials.email_address, to: recipients },
+      raw
+    });
+
+    if (saveToSent) {
+      try {
+        await this.withClient(credentials, async (client) => {
+          const folder = credentials.sent_folder || await this.ensureSpecialFolder(client, credentials, 'sent_folder', 'Sent');
+          await client.append(folder, raw, ['\\Seen']);
+        });
+      } catch (error) {
+        logger.warn(`Sent mail for user ${userId} but could not save a copy to Sent:`, error.message);
+      }
+    }
+
+    return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+  }
+
+  /**
+   * Create a missing Drafts/Sent folder and remember it
+   */
+  async ensureSpecialFolder(client, credentials, column, name) {
+    const folders = await client.list();
+    const specialUse = column === 'drafts_folder' ? '\\Drafts' : '\\Sent';
+    const path = this.findSpecialUse(folders, specialUse) ||
+      (await client.mailboxCreate(`${client.namespace?.prefix || ''}${name}`)).path;
+
+    await supabase
+      .from('mailbox_credentials')
+      .update({ [column]: path, updated_at: new Date().toISOString() })
+      .eq('user_id', credentials.user_id);
+
+    credentials[column] = path;
+    return path;
+  }
+
+  /**
+   * Polling fallback: record INBOX mail received since the last check
+   * @returns {Promise<Array>} Newly recorded messages
+   */
+  async checkNewMessages(userId) {
+    const watcher = this.watchers.get(userId);
+    if (watcher?.client?.usable) {
+      return this.syncNewMessages(userId, watcher);
+    }
+
+    const credentials = await this.getCredentials(userId);
+    return this.withClient(credentials, async (client) => {
+      const lock = await client.getMailboxLock('INBOX');
+      try {
+        return await this.syncNewMessages(userId, { client });
+      } finally {
+        lock.release();
+      }
+    });
+  }
+
+  /**
+   * Start the IDLE watcher for a mailbox. The connection stays in INBOX and
+   * the server pushes EXISTS when mail arrives.
+   */
+  async startWatching(userId) {
+    if (this.watchers.has(userId)) {
+      return { watching: true };
+    }
+
+    const watcher = { client: null, timer: null, retries: 0, stopped: false, syncing: null };
+    this.watchers.set(userId, watcher);
+
+    try {
+      await this.connectWatcher(userId, watcher);
+    } catch (error) {
+      logger.error(`IMAP IDLE connection failed for user ${userId}:`, error.message);
+      this.scheduleReconnect(userId, watcher);
+    }
+
+    return { watching: true };
+  }
+
+  async connectWatcher(userId, watcher) {
+    const credentials = await this.getCredentials(userId);
+    const client = await this.createClient(credentials);
+    watcher.client = client;
+
+    client.on('exists', () => {
+      this.syncNewMessages(userId, watcher).catch(error => {
+        logger.error(`IMAP sync failed for user ${userId}:`, error.message);
+      });
+    });
+    client.on('error', error => logger.warn(`IMAP connection error for user ${userId}:`, error.message));
+    client.on('close', () => this.scheduleReconnect(userId, watcher));
+
+    await client.connect();
+    await client.mailboxOpen('INBOX');
+    watcher.retries = 0;
+
+    // Catch up on anything that arrived while disconnected
+    await this.syncNewMessages(userId, watcher);
+    logger.info(`IMAP IDLE watcher active for user ${userId}`);
+  }
+
+  scheduleReconnect(userId, watcher) {
+    if (watcher.stopped || watcher.timer) return;
+
+    const delay = Math.min(this.maxReconnectDelay, this.baseReconnectDelay * 2 ** watcher.retries);
+    watcher.retries += 1;
+
+    logger.warn(`IMAP watcher for user ${userId} disconnected, reconnecting in ${delay / 1000}s`);
+    watcher.timer = setTimeout(async () => {
+      watcher.timer = null;
+      try {
+        await this.connectWatcher(userId, watcher);
+      } catch (error) {
+        logger.error(`IMAP reconnect failed for user ${userId}:`, error.message);
+        watcher.client?.close();
+        this.scheduleReconnect(userId, watcher);
+      }
+    }, delay);
+  }
+
+  async stopWatching(userId) {
+    const watcher = this.watchers.get(userId);
+    if (!watcher) return;
+
+    watcher.stopped = true;
+    clearTimeout(watcher.timer);
+    this.watchers.delete(userId);
+    await watcher.client?.logout().catch(() => watcher.client?.close());
+  }
+
+  /**
+   * Resume watchers for every active IMAP integration (server start)
+   */
+  async resumeWatchers() {
+    const { data, error } = await supabase
+      .from('integrations')
+      .select('user_id')
+      .eq('provider', 'imap')
+      .eq('status', 'active');
+
+    if (error) {
+      logger.error('Failed to load IMAP integrations:', error);
+      return 0;
+    }
+
+    for (const { user_id: userId } of data || []) {
+      await this.startWatching(userId);
+    }
+
+    return data?.length || 0;
+  }
+
+  /**
+   * Fetch INBOX messages above the stored UID cursor and record them.
+   * EXISTS events can arrive while a sync is running, so syncs are chained.
+   */
+  async syncNewMessages(userId, watcher) {
+    const run = async () => {
+      const { client } = watcher;
+      const { data: state, error } = await supabase
+        .from('mailbox_credentials')
+        .select('last_seen_uid, uid_validity')
+        .eq('user_id', userId)
+        .single();
+
+      if (error) throw error;
+
+      const uidValidity = Number(client.mailbox.uidValidity);
+      const currentUid = Math.max(Number(client.mailbox.uidNext) - 1, 0);
+
+      // First sync, or the server renumbered INBOX: start from now rather than importing the whole mailbox
+      if (Number(state.uid_validity) !== uidValidity) {
+        await this.saveSyncState(userId, currentUid, uidValidity);
+        return [];
+      }
+
+      const lastSeenUid = Number(state.last_seen_uid) || 0;
+      if (currentUid <= lastSeenUid) return [];
+
+      const messages = [];
+      for await (const message of client.fetch(`${lastSeenUid + 1}:*`, { uid: true, envelope: true, internalDate: true }, { uid: true })) {
+        // "n:*" always matches the newest message, even when its UID is below n
+        if (message.uid > lastSeenUid) {
+          messages.push(message);
+        }
+      }
+
+      if (messages.length === 0) return [];
+
+      await this.recordNewMessages(userId, messages, uidValidity);
+      await this.saveSyncState(userId, Math.max(...messages.map(message => message.uid)), uidValidity);
+      return messages;
+    };
+
+    watcher.syncing = (watcher.syncing || Promise.resolve()).then(run, run);
+    return watcher.syncing;
+  }
+
+  async saveSyncState(userId, lastSeenUid, uidValidity) {
+    const { error } = await supabase
+      .from('mailbox_credentials')
+      .update({ last_seen_uid: lastSeenUid, uid_validity: uidValidity, updated_at: new Date().toISOString() })
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Store new messages in email_logs, skipping ones already recorded
+   */
+  async recordNewMessages(userId, messages, uidValidity) {
+    const rows = messages.map(message => ({
+      user_id: userId,
+      provider: 'imap',
+      status: 'new',
+      processed_at: new Date().toISOString(),
+      email_from: message.envelope?.from?.[0]?.address || 'unknown@example.com',
+      email_subject: message.envelope?.subject || 'No Subject',
+      message_id: message.envelope?.messageId || `${uidValidity}:${message.uid}`
+    }));
+
+    const { data: existing, error: existingError } = await supabase
+      .from('email_logs')
+      .select('message_id')
+      .eq('user_id', userId)
+      .eq('provider', 'imap')
+      .in('message_id', rows.map(row => row.message_id));
+
+    if (existingError) throw existingError;
+
+    const seen = new Set((existing || []).map(row => row.message_id));
+    const newRows = rows.filter(row => !seen.has(row.message_id));
+    if (newRows.length === 0) return 0;
+
+    const { error } = await supabase
+      .from('email_logs')
+      .insert(newRows);
+
+    if (error) throw error;
+
+    logger.info(`Recorded ${newRows.length} new IMAP messages for user ${userId}`);
+    return newRows.length;
+  }
+
+  /**
+   * Check the per-mailbox token deploy-n8n injects into the IMAP workflow.
+   * Only its hash is stored; each deployment rotates it.
+   */
+  async verifyAutomationToken(userId, token) {
+    const { data, error } = await supabase
+      .from('mailbox_credentials')
+      .select('automation_token_hash')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!verifyToken(token, data?.automation_token_hash)) {
+      throw new AuthenticationError('Invalid automation token');
+    }
+  }
+}
+
+export default new ImapService();
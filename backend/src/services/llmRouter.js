@@ -0,0 +1,83 @@
+import fs from 'fs';
+import supabaseClient from '../lib/supabaseClient.js';
+import logger from '../utils/logger.js';
+import aiBudgetService from './aiBudgetService.js';
+import { LLMRouter } from '../lib/llmProvider.js';
+
+const { supabase } = supabaseClient;
+
+/**
+ * LLM Router (backend)
+ * Shared provider layer for the AI services. Tenants pick providers and
+ * models per task in profiles.llm_settings; usage is recorded through
+ * aiBudgetService so spend caps see every call.
+ *
+ * Message content is PII-redacted per profiles.pii_redaction before it
+ * leaves for a provider; the categories redacted on each call are written
+ * to pii_redaction_logs.
+ *
+ * LLM_PROVIDER=mock with LLM_MOCK_CASSETTE=path/to/cassette.json replays
+ * recorded responses without network access.
+ */
+
+/**
+ * Load a tenant's LLM settings
+ * @param {string} userId - Business owner
+ * @returns {Promise<Object>} llm_settings ({} when unset) with pii_redaction
+ */
+async function loadTenantSettings(userId) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('llm_settings, pii_redaction')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    logger.warn(`Failed to load LLM settings for ${userId}, using defaults:`, error.message);
+    return {};
+  }
+
+  return { ...(data?.llm_settings || {}), pii_redaction: data?.pii_redaction || null };
+}
+
+/**
+ * PII audit log: categories and counts only, never the redacted values
+ */
+const redactionAuditor = {
+  async logRedaction({ userId, task, operation, provider, entityCounts }) {
+    const { error } = await supabase
+      .from('pii_redaction_logs')
+      .insert({
+        user_id: userId,
+        source: 'backend',
+        task,
+        operation,
+        provider,
+        entity_counts: entityCounts
+      });
+
+    if (error) {
+      logger.warn(`Failed to log PII redaction for ${userId}:`, error.message);
+    }
+  }
+};
+
+function loadCassette(path) {
+  if (!path) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    logger.error(`Failed to read LLM cassette ${path}:`, error.message);
+    throw error;
+  }
+}
+
+const llmRouter = LLMRouter.fromEnv(process.env, {
+  settingsLoader: loadTenantSettings,
+  usageTracker: aiBudgetService,
+  redactionAuditor,
+  cassette: loadCassette(process.env.LLM_MOCK_CASSETTE)
+});
+
+export default llmRouter;
@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals';
+import dns from 'dns';
+import { ValidationError } from '../../middleware/errorHandler.js';
+import { isPublicAddress, resolveMailServer } from '../mailServerGuard.js';
+
+describe('mailServerGuard', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('isPublicAddress rejects private, loopback, link-local and mapped addresses', () => {
+    ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.20.0.5', '192.168.1.10', '100.64.0.1', '0.0.0.0', '224.0.0.1'].forEach(address => {
+      expect(isPublicAddress(address)).toBe(false);
+    });
+    ['::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', '64:ff9b::10.0.0.1'].forEach(address => {
+      expect(isPublicAddress(address)).toBe(false);
+    });
+    expect(isPublicAddress('not-an-ip')).toBe(false);
+
+    expect(isPublicAddress('173.201.192.101')).toBe(true);
+    expect(isPublicAddress('2607:f8b0:4004:c1b::6c')).toBe(true);
+  });
+
+  test('resolveMailServer returns a public address for an allowed port', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '173.201.192.101', family: 4 }]);
+
+    await expect(resolveMailServer('imap.secureserver.net', 993, 'imap')).resolves.toBe('173.201.192.101');
+    expect(dns.promises.lookup).toHaveBeenCalledWith('imap.secureserver.net', { all: true, verbatim: true });
+  });
+
+  test('resolveMailServer rejects ports outside the mail ports without resolving', async () => {
+    const lookup = jest.spyOn(dns.promises, 'lookup');
+
+    await expect(resolveMailServer('imap.example.com', 6379, 'imap')).rejects.toThrow('IMAP port must be one of 143, 993');
+    await expect(resolveMailServer('smtp.example.com', 993, 'smtp')).rejects.toThrow(ValidationError);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('resolveMailServer rejects hosts with any internal address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([
+      { address: '173.201.192.101', family: 4 },
+      { address: '10.0.0.8', family: 4 }
+    ]);
+
+    await expect(resolveMailServer('mail.example.com', 465, 'smtp')).rejects.toThrow('SMTP server mail.example.com is not a public mail server');
+  });
+
+  test('resolveMailServer reports hosts that do not resolve', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+    await expect(resolveMailServer('missing.example.com', 993, 'imap')).rejects.toThrow('Could not find the IMAP server missing.example.com');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Credential Encryption Utilities
+ * AES-256-GCM encryption for mailbox passwords stored in Supabase.
+ *
+ * Format: v1:<iv>:<ciphertext+authTag>, both base64. The auth tag is appended
+ * to the ciphertext so the deploy-n8n edge function can decrypt with Web
+ * Crypto, which expects the same layout.
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Load the 32-byte key from MAILBOX_CREDENTIAL_KEY (base64)
+ * @returns {Buffer} Encryption key
+ */
+function getKey() {
+  const encoded = process.env.MAILBOX_CREDENTIAL_KEY;
+  if (!encoded) {
+    throw new Error('MAILBOX_CREDENTIAL_KEY environment variable is required');
+  }
+
+  const key = Buffer.from(encoded, 'base64');
+  if (key.length !== 32) {
+    throw new Error('MAILBOX_CREDENTIAL_KEY must be 32 bytes, base64 encoded');
+  }
+  return key;
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} Encrypted value
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+  return `${VERSION}:${iv.toString('base64')}:${encrypted.toString('base64')}`;
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} value - Value produced by encryptSecret
+ * @returns {string} Plaintext
+ */
+function decryptSecret(value) {
+  const [version, ivPart, dataPart] = String(value || '').split(':');
+  if (version !== VERSION || !ivPart || !dataPart) {
+    throw new Error('Unsupported encrypted credential format');
+  }
+
+  const data = Buffer.from(dataPart, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(ivPart, 'base64'));
+  decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+
+  return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_LENGTH)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Hash a bearer token for storage
+ * @param {string} token
+ * @returns {string} sha256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Constant-time comparison of a token against a stored hash
+ * @param {string} token - Presented token
+ * @param {string} storedHash - Hash from hashToken
+ * @returns {boolean}
+ */
+function verifyToken(token, storedHash) {
+  if (!token || !storedHash) return false;
+
+  const presented = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(storedHash, 'hex');
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+export {
+  encryptSecret,
+  decryptSecret,
+  hashToken,
+  verifyToken
+};
+
+export default {
+  encryptSecret,
+  decryptSecret,
+  hashToken,
+  verifyToken
+};
@@ -0,0 +1,115 @@
+/**
+ * Mail Server Guard
+ * Keeps user-supplied IMAP/SMTP settings from reaching internal services.
+ *
+ * The backend connects to whatever host a tenant types in, so the host must
+ * resolve only to public addresses and the port must be a mail port.
+ * Connections are made to the address checked here (with the hostname kept for
+ * TLS), so a DNS answer that changes between check and connect cannot
+ * redirect them.
+ */
+
+import dns from 'dns';
+import net from 'net';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+const ALLOWED_MAIL_PORTS = {
+  imap: [143, 993],
+  smtp: [25, 465, 587]
+};
+
+const blockedAddresses = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // Link-local, including cloud metadata endpoints
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+  ['2001:db8::', 32]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Return the IPv4 address embedded in an IPv4-mapped or NAT64 IPv6 address
+ * @param {string} address - IPv6 address
+ * @returns {string|null}
+ */
+function embeddedIpv4(address) {
+  const match = address.toLowerCase().match(/^(?:::ffff:|64:ff9b::)(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (!match) return null;
+  if (match[1]) return match[1];
+
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * Check whether an IP address is routable on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return !blockedAddresses.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    const ipv4 = embeddedIpv4(address);
+    if (ipv4) return isPublicAddress(ipv4);
+    return !blockedAddresses.check(address, 'ipv6');
+  }
+  return false;
+}
+
+/**
+ * Resolve a mail server and check it may be connected to
+ * @param {string} host - Hostname or IP address entered by the tenant
+ * @param {number} port - Server port
+ * @param {string} protocol - 'imap' or 'smtp'
+ * @returns {Promise<string>} Public address to connect to
+ */
+async function resolveMailServer(host, port, protocol) {
+  const label = protocol.toUpperCase();
+
+  if (!ALLOWED_MAIL_PORTS[protocol].includes(Number(port))) {
+    throw new ValidationError(`${label} port must be one of ${ALLOWED_MAIL_PORTS[protocol].join(', ')}`);
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new ValidationError(`Could not find the ${label} server ${host}`);
+  }
+
+  // Every answer must be public, otherwise a record could mix in an internal address
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new ValidationError(`${label} server ${host} is not a public mail server`);
+  }
+
+  return addresses[0].address;
+}
+
+export {
+  ALLOWED_MAIL_PORTS,
+  isPublicAddress,
+  resolveMailServer
+};
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Classifier Evaluation
+ *
+ * Runs a candidate classifier system message against approved corrections
+ * from classification_feedback and compares it with the deployed prompt.
+ * Exits with code 1 when the candidate regresses.
+ *
+ * Usage:
+ *   node scripts/evaluate-classifier.js --business-type="Hot tub & Spa" --candidate=candidate.txt \
+ *     [--baseline=deployed.txt | --baseline-user=USER_ID] [--client=mock|openai] \
+ *     [--dataset=dataset.json] [--save-dataset=dataset.json] [--tolerance=0.02] [--min-support=5] [--json=report.json]
+ *
+ * --dataset skips Supabase entirely, so CI can run against a saved dataset with --client=mock.
+ * Supabase access needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY; --client=openai needs OPENAI_API_KEY.
+ */
+
+import fs from 'fs';
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import {
+  ClassifierEvaluator,
+  createMockClassifierClient,
+  createOpenAIClassifierClient,
+  formatEvaluationReport
+} from '../src/lib/classifierEvaluation.js';
+
+dotenv.config();
+
+const parseArgs = (argv) => Object.fromEntries(argv
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => {
+    const [key, ...value] = arg.slice(2).split('=');
+    return [key, value.length > 0 ? value.join('=') : true];
+  }));
+
+const readText = (path) => fs.readFileSync(path, 'utf8');
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args['business-type'] || !args.candidate) {
+    console.error('❌ --business-type and --candidate are required');
+    process.exit(2);
+  }
+
+  const needsSupabase = !args.dataset || args['baseline-user'];
+  const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (needsSupabase && (!supabaseUrl || !serviceRoleKey)) {
+    console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required to read feedback and workflows');
+    process.exit(2);
+  }
+
+  const llmClient = args.client === 'openai'
+    ? createOpenAIClassifierClient({ apiKey: process.env.OPENAI_API_KEY, model: args.model || 'gpt-4o-mini' })
+    : createMockClassifierClient();
+
+  const evaluator = new ClassifierEvaluator({
+    supabase: needsSupabase ? createClient(supabaseUrl, serviceRoleKey) : null,
+    llmClient
+  });
+
+  const businessType = args['business-type'];
+  const dataset = args.dataset
+    ? JSON.parse(readText(args.dataset))
+    : await evaluator.loadDataset(businessType);
+
+  if (args['save-dataset']) {
+    fs.writeFileSync(args['save-dataset'], JSON.stringify(dataset, null, 2));
+    console.log(`💾 Saved ${dataset.length} examples to ${args['save-dataset']}`);
+  }
+
+  let baselinePrompt = args.baseline ? readText(args.baseline) : null;
+  if (!baselinePrompt && args['baseline-user']) {
+    baselinePrompt = await evaluator.loadDeployedPrompt(args['baseline-user']);
+    if (!baselinePrompt) {
+      console.warn(`⚠️ No deployed classifier prompt found for user ${args['baseline-user']} - reporting candidate only`);
+    }
+  }
+
+  const report = await evaluator.evaluateCandidate({
+    businessType,
+    candidatePrompt: readText(args.candidate),
+    baselinePrompt,
+    dataset,
+    tolerance: args.tolerance ? Number(args.tolerance) : undefined,
+    minSupport: args['min-support'] ? Number(args['min-support']) : undefined
+  });
+
+  console.log(formatEvaluationReport(report));
+
+  if (args.json) {
+    fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+  }
+
+  if (report.comparison && !report.comparison.passed) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Classifier evaluation failed:', error.message);
+  process.exit(2);
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * N8N Template Linter
+ *
+ * Validates workflow templates before deployment: placeholder coverage against the
+ * injectors, connection graph, credentials, node types and Code node syntax.
+ * Exits with code 1 when any template has errors.
+ *
+ * Usage:
+ *   node scripts/lint-n8n-templates.js [template.json ...] [--json] [--allow-type=n8n-nodes-base.foo]
+ *
+ * Defaults to every template in src/lib/n8n-templates.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  N8nTemplateLinter,
+  collectInjectorPlaceholders,
+  formatTemplateLintReport
+} from '../src/lib/n8nTemplateLinter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+const TEMPLATES_DIR = path.join(ROOT, 'src/lib/n8n-templates');
+
+// Sources whose replacement maps fill template placeholders
+const INJECTOR_SOURCES = [
+  'src/lib/directTemplateInjector.js',
+  'src/lib/aiSchemaInjector.js',
+  'src/lib/behaviorSchemaInjector.js',
+  'src/lib/runtimeDataInjector.js'
+];
+
+function main() {
+  const args = process.argv.slice(2);
+  const files = args.filter(arg => !arg.startsWith('--'));
+  const allowedNodeTypes = args
+    .filter(arg => arg.startsWith('--allow-type='))
+    .map(arg => arg.slice('--allow-type='.length));
+
+  const templateFiles = files.length > 0
+    ? files.map(file => path.resolve(file))
+    : fs.readdirSync(TEMPLATES_DIR)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => path.join(TEMPLATES_DIR, file));
+
+  const sources = Object.fromEntries(INJECTOR_SOURCES.map(file => [
+    file,
+    fs.readFileSync(path.join(ROOT, file), 'utf8')
+  ]));
+  const coverage = collectInjectorPlaceholders(sources);
+
+  const linter = new N8nTemplateLinter({ ...coverage, allowedNodeTypes });
+  const templates = templateFiles.map(file => {
+    const name = path.relative(ROOT, file);
+    try {
+      return { name, template: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+      console.error(`❌ ${name}: could not read template - ${error.message}`);
+      return { name, template: null };
+    }
+  });
+
+  const report = linter.lintTemplates(templates);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatTemplateLintReport(report));
+  }
+
+  process.exit(report.summary.failed > 0 ? 1 : 0);
+}
+
+main();
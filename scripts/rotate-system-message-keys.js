@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * System Message Key Rotation
+ *
+ * Re-encrypts system message content with the active key and retires keys
+ * that no longer protect any row.
+ *
+ * Usage:
+ *   node scripts/rotate-system-message-keys.js status
+ *   node scripts/rotate-system-message-keys.js reencrypt [--batch-size=100] [--max-batches=N]
+ *   node scripts/rotate-system-message-keys.js retire <keyId>
+ *
+ * Rotation: add the new key to SYSTEM_MESSAGE_ENCRYPTION_KEYS, point
+ * SYSTEM_MESSAGE_ACTIVE_KEY_ID at it, run reencrypt (re-run to resume after an
+ * interruption), then retire the old key and remove it from the environment.
+ * Needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { SecureSystemMessageManager } from '../src/lib/secureSystemMessageManager.js';
+
+dotenv.config();
+
+const parseArgs = (argv) => Object.fromEntries(argv
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => {
+    const [key, ...value] = arg.slice(2).split('=');
+    return [key, value.length > 0 ? value.join('=') : true];
+  }));
+
+async function main() {
+  const [command, keyId] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!['status', 'reencrypt', 'retire'].includes(command) || (command === 'retire' && !keyId)) {
+    console.error('❌ Usage: rotate-system-message-keys.js status | reencrypt [--batch-size=N] | retire <keyId>');
+    process.exit(2);
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+    process.exit(2);
+  }
+
+  const manager = new SecureSystemMessageManager(createClient(supabaseUrl, serviceRoleKey));
+
+  if (command === 'status') {
+    const usage = await manager.getKeyUsage();
+    console.log(`🔑 Active key: ${manager.keyring.activeKeyId}`);
+    console.log(`🔑 Configured keys: ${manager.keyring.keyIds().join(', ')}`);
+    Object.entries(usage).forEach(([id, count]) => {
+      const marker = manager.keyring.has(id) ? '' : ' (not configured - cannot decrypt)';
+      console.log(`   ${id}: ${count} rows${marker}`);
+    });
+    return;
+  }
+
+  if (command === 'reencrypt') {
+    const job = await manager.reencryptAll({
+      batchSize: Number(args['batch-size']) || 100,
+      maxBatches: Number(args['max-batches']) || Infinity,
+      onProgress: progress => console.log(`   ${progress.processed} re-encrypted, ${progress.failed} failed`)
+    });
+    job.errors.forEach(error => console.warn(`⚠️ ${error.id} (${error.keyId}): ${error.error}`));
+    process.exit(job.status === 'completed_with_errors' ? 1 : 0);
+  }
+
+  await manager.retireKey(keyId);
+}
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
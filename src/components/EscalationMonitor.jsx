@@ -255,6 +255,57 @@ const EscalationMonitor = ({ userId }) => {
         </Card>
       )}
 
+      {/* SLA Attainment */}
+      {stats?.sla && stats.sla.total > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Response SLA</CardTitle>
+            <CardDescription>
+              Responses within each category's target, counted in business hours
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+              <div>
+                <h4 className="font-medium mb-2">Attainment</h4>
+                <div className="text-2xl font-bold text-blue-600">
+                  {stats.sla.attainmentRate === null ? '—' : `${Math.round(stats.sla.attainmentRate * 100)}%`}
+                </div>
+              </div>
+              <div>
+                <h4 className="font-medium mb-2">Met / Breached</h4>
+                <div className="text-2xl font-bold">
+                  <span className="text-green-600">{stats.sla.met}</span>
+                  {' / '}
+                  <span className="text-red-600">{stats.sla.breached}</span>
+                </div>
+              </div>
+              <div>
+                <h4 className="font-medium mb-2">Open Clocks</h4>
+                <div className="text-2xl font-bold text-orange-600">{stats.sla.open}</div>
+              </div>
+              <div>
+                <h4 className="font-medium mb-2">Avg. Response</h4>
+                <div className="text-2xl font-bold">
+                  {stats.sla.averageResponseMinutes === null ? '—' : `${stats.sla.averageResponseMinutes} min`}
+                </div>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              {Object.entries(stats.sla.byCategory).map(([category, bucket]) => (
+                <div key={category} className="flex justify-between items-center">
+                  <span className="text-sm">{category}</span>
+                  <span className="text-sm font-medium">
+                    {bucket.attainmentRate === null ? 'No outcomes yet' : `${Math.round(bucket.attainmentRate * 100)}% of ${bucket.met + bucket.breached}`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Pending Escalations */}
       <Card>
         <CardHeader>
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Clock, Lock, Loader2, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { useToast } from '@/components/ui/use-toast';
+import {
+  retentionPolicyManager,
+  validateRetentionPolicy,
+  DATA_CLASS_ORDER
+} from '@/lib/retentionPolicies';
+
+const toInputValue = (days) => (days === null || days === undefined ? '' : String(days));
+
+/**
+ * Retention policy editor and report: how long each data class is kept,
+ * what the next purge will touch, active legal holds and the last run
+ */
+const RetentionReport = ({ userId }) => {
+  const { toast } = useToast();
+  const [report, setReport] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const data = await retentionPolicyManager.getReport(userId);
+      setReport(data);
+      setDraft(Object.fromEntries(DATA_CLASS_ORDER.map(dataClass => [dataClass, toInputValue(data.policy[dataClass])])));
+    } catch (err) {
+      setError(err.message);
+      console.error('Failed to load retention report:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    if (userId) {
+      loadReport();
+    }
+  }, [userId, loadReport]);
+
+  // Empty keeps the class forever
+  const policy = Object.fromEntries(DATA_CLASS_ORDER.map(dataClass => [
+    dataClass,
+    draft[dataClass] === '' || draft[dataClass] === undefined ? null : Number(draft[dataClass])
+  ]));
+  const { isValid, errors } = validateRetentionPolicy(policy);
+  const changed = report && DATA_CLASS_ORDER.some(dataClass => policy[dataClass] !== report.policy[dataClass]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await retentionPolicyManager.savePolicy(userId, policy);
+      toast({
+        title: 'Retention policy saved',
+        description: 'The next scheduled purge will apply it.'
+      });
+      await loadReport();
+    } catch (err) {
+      toast({
+        variant: 'destructive',
+        title: 'Could not save retention policy',
+        description: err.message
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !report) {
+    return (
+      <div className="flex items-center text-gray-600 py-4">
+        <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+        Loading retention report...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+        <p className="text-sm text-red-700">Failed to load retention report: {error}</p>
+        <Button variant="outline" size="sm" className="mt-3" onClick={loadReport}>
+          Retry
+        </Button>
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  const { classes, holds, lastRun } = report;
+
+  return (
+    <div className="space-y-6">
+      {holds.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+          <div className="flex items-center space-x-2 mb-2">
+            <Lock className="h-4 w-4 text-amber-700" />
+            <p className="font-medium text-amber-800">Legal hold in place</p>
+          </div>
+          <ul className="text-sm text-amber-700 space-y-1">
+            {holds.map(hold => (
+              <li key={hold.id}>
+                {hold.reason} — {hold.data_classes?.length
+                  ? hold.data_classes.map(dataClass => classes[dataClass]?.label || dataClass).join(', ')
+                  : 'all data'}
+                {hold.expires_at && ` (until ${new Date(hold.expires_at).toLocaleDateString()})`}
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-amber-600 mt-2">Held data is not purged until the hold is released.</p>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {DATA_CLASS_ORDER.map(dataClass => {
+          const info = classes[dataClass];
+          const dueCounts = Object.entries(info.due);
+          const dueTotal = dueCounts.reduce((sum, [, count]) => sum + count, 0);
+
+          return (
+            <div key={dataClass} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="flex-1">
+                  <div className="flex items-center space-x-2">
+                    <p className="font-medium text-gray-800">{info.label}</p>
+                    {info.held && <Badge variant="secondary">On hold</Badge>}
+                  </div>
+                  <p className="text-sm text-gray-600">{info.description}</p>
+                </div>
+                <div className="w-full md:w-40">
+                  <Label htmlFor={`retention-${dataClass}`} className="text-xs text-gray-600">
+                    Keep for (days)
+                  </Label>
+                  <Input
+                    id={`retention-${dataClass}`}
+                    type="number"
+                    min={info.minDays}
+                    placeholder="Forever"
+                    value={draft[dataClass] ?? ''}
+                    onChange={(e) => setDraft(prev => ({ ...prev, [dataClass]: e.target.value }))}
+                  />
+                </div>
+              </div>
+
+              <div className="mt-3 text-sm text-gray-600">
+                {info.days === null ? (
+                  <p>Kept until you delete it.</p>
+                ) : info.held ? (
+                  <p>Purging paused by a legal hold.</p>
+                ) : dueTotal > 0 ? (
+                  <>
+                    <p className="flex items-center">
+                      <Trash2 className="h-4 w-4 mr-1 text-gray-500" />
+                      {dueTotal} record{dueTotal === 1 ? '' : 's'} older than {new Date(info.cutoff).toLocaleDateString()} due at the next purge
+                    </p>
+                    <ul className="text-xs text-gray-500 mt-1 ml-5">
+                      {dueCounts.map(([table, count]) => (
+                        <li key={table}>{table}: {count}</li>
+                      ))}
+                    </ul>
+                  </>
+                ) : (
+                  <p>Nothing older than {info.days} days is waiting to be purged.</p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-sm text-red-600 space-y-1">
+          {errors.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+        <p className="flex items-center text-sm text-gray-600">
+          <Clock className="h-4 w-4 mr-2 text-gray-500" />
+          {lastRun
+            ? `Last ${lastRun.dry_run ? 'dry run' : 'purge'} ${new Date(lastRun.started_at).toLocaleString()} (${lastRun.status})`
+            : 'No purge has run yet'}
+        </p>
+        <Button size="sm" onClick={handleSave} disabled={!changed || !isValid || saving}>
+          {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          Save Policy
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default RetentionReport;
@@ -14,6 +14,8 @@ import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { sanitizeUserInput } from '@/lib/sanitizers/htmlSanitizer';
+import { formatRuleDslCondition } from '@/lib/ruleDsl';
+import RuleDslEditor from '@/components/RuleDslEditor';
 import { 
   Plus, 
   Trash2, 
@@ -21,6 +23,7 @@ import {
   Play, 
   Settings, 
   Code, 
+  FileText,
   Eye, 
   Copy,
   ArrowRight,
@@ -200,6 +203,47 @@ const RuleBuilder = ({ userId, onRuleSaved, onRuleTested, initialRule = null })
     });
   }, [rule]);
 
+  const applyDslComposition = useCallback((composition) => {
+    // Sanitize text values from the rule editor the same way as form input
+    const sanitizeValue = (value) => {
+      if (typeof value === 'string') return sanitizeUserInput(value);
+      if (Array.isArray(value)) return value.map(sanitizeValue);
+      return value;
+    };
+    const withIds = (conditions, prefix) => conditions.map((condition, index) => ({
+      ...condition,
+      id: `${prefix}_${index}`,
+      ...(condition.type === 'group'
+        ? { conditions: withIds(condition.conditions, `${prefix}_${index}`) }
+        : { value: sanitizeValue(condition.value) })
+    }));
+    const stamp = Date.now();
+
+    setRuleComposition({
+      logic: composition.logic,
+      conditions: withIds(composition.conditions, `cond_${stamp}`),
+      actions: composition.actions.map((action, index) => ({
+        ...action,
+        id: `action_${stamp}_${index}`,
+        ...(action.target ? { target: sanitizeUserInput(action.target) } : {})
+      }))
+    });
+    setActiveTab('composition');
+
+    toast({
+      title: 'Rule Applied',
+      description: 'Rule text has been converted to a composition.'
+    });
+  }, []);
+
+  const describeCondition = (condition) => {
+    try {
+      return formatRuleDslCondition(condition);
+    } catch {
+      return String(condition.value ?? '');
+    }
+  };
+
   const validateRule = useCallback(() => {
     const errors = [];
 
@@ -558,7 +602,7 @@ const RuleBuilder = ({ userId, onRuleSaved, onRuleTested, initialRule = null })
                     <div className="flex items-center justify-between">
                       <div>
                         <Badge variant="secondary">{condition.type}</Badge>
-                        <span className="ml-2">{condition.value}</span>
+                        <span className="ml-2">{describeCondition(condition)}</span>
                       </div>
                       <Button
                         variant="ghost"
@@ -602,6 +646,7 @@ const RuleBuilder = ({ userId, onRuleSaved, onRuleTested, initialRule = null })
                       <div>
                         <Badge variant="secondary">{action.type}</Badge>
                         {action.target && <span className="ml-2">{action.target}</span>}
+                        {action.type === 'set_priority' && <span className="ml-2">{action.priority}</span>}
                       </div>
                       <Button
                         variant="ghost"
@@ -722,10 +767,11 @@ const RuleBuilder = ({ userId, onRuleSaved, onRuleTested, initialRule = null })
       </div>
 
       <Tabs value={activeTab} onValueChange={setActiveTab}>
-        <TabsList className="grid w-full grid-cols-4">
+        <TabsList className="grid w-full grid-cols-5">
           <TabsTrigger value="simple">Simple Rule</TabsTrigger>
           <TabsTrigger value="chain">Rule Chain</TabsTrigger>
           <TabsTrigger value="composition">Composition</TabsTrigger>
+          <TabsTrigger value="text">Rule Text</TabsTrigger>
           <TabsTrigger value="advanced">Advanced</TabsTrigger>
         </TabsList>
 
@@ -771,6 +817,20 @@ const RuleBuilder = ({ userId, onRuleSaved, onRuleTested, initialRule = null })
           </Card>
         </TabsContent>
 
+        <TabsContent value="text" className="space-y-6">
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <FileText className="h-5 w-5" />
+                Rule Text Editor
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <RuleDslEditor composition={ruleComposition} onApply={applyDslComposition} />
+            </CardContent>
+          </Card>
+        </TabsContent>
+
         <TabsContent value="advanced" className="space-y-6">
           <Card>
             <CardHeader>
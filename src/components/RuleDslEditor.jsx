@@ -0,0 +1,131 @@
+/**
+ * Rule DSL Editor
+ * Text editor for rule compositions with syntax highlighting and live validation
+ */
+
+import React, { useState, useMemo, useRef, useCallback } from 'react';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import {
+  RULE_DSL_ACTIONS,
+  RULE_DSL_FIELDS,
+  formatRuleDslError,
+  highlightRuleDsl,
+  parseRuleDsl,
+  toRuleDsl
+} from '@/lib/ruleDsl';
+import { AlertTriangle, CheckCircle, RefreshCw, ArrowRight } from 'lucide-react';
+
+const EXAMPLE_RULE = 'when category = URGENT and from.domain in suppliers and not business_hours\nthen notify manager:"Jillian", set priority 9';
+
+const TOKEN_CLASSES = {
+  keyword: 'text-purple-600 font-semibold',
+  field: 'text-blue-600',
+  action: 'text-emerald-600',
+  string: 'text-amber-700',
+  number: 'text-orange-600',
+  operator: 'text-pink-600',
+  comment: 'text-gray-400 italic',
+  error: 'text-red-600'
+};
+
+const compositionToText = (composition) => {
+  try {
+    return toRuleDsl(composition);
+  } catch {
+    return '';
+  }
+};
+
+const RuleDslEditor = ({ composition, onApply }) => {
+  const [source, setSource] = useState(() => compositionToText(composition) || EXAMPLE_RULE);
+  const highlightRef = useRef(null);
+
+  const result = useMemo(() => parseRuleDsl(source), [source]);
+  const segments = useMemo(() => highlightRuleDsl(source, result.errors), [source, result.errors]);
+  const flags = Object.keys(RULE_DSL_FIELDS).filter(field => RULE_DSL_FIELDS[field].kind === 'flag');
+  const fields = Object.keys(RULE_DSL_FIELDS).filter(field => RULE_DSL_FIELDS[field].kind !== 'flag');
+
+  const syncScroll = useCallback((e) => {
+    if (highlightRef.current) {
+      highlightRef.current.scrollTop = e.target.scrollTop;
+      highlightRef.current.scrollLeft = e.target.scrollLeft;
+    }
+  }, []);
+
+  const loadFromComposition = useCallback(() => {
+    const text = compositionToText(composition);
+    if (text) setSource(text);
+  }, [composition]);
+
+  const editorClasses = 'm-0 w-full min-h-[160px] p-3 font-mono text-sm leading-6 whitespace-pre-wrap break-words';
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="rule-dsl">Rule Text</Label>
+        <div className="relative border rounded-md bg-white">
+          <pre ref={highlightRef} aria-hidden="true" className={`${editorClasses} absolute inset-0 overflow-hidden pointer-events-none`}>
+            {segments.map((segment, index) => (
+              <span
+                key={index}
+                className={`${TOKEN_CLASSES[segment.type] || 'text-gray-900'} ${segment.error ? 'underline decoration-wavy decoration-red-500' : ''}`}
+              >
+                {segment.text}
+              </span>
+            ))}
+            {'\n'}
+          </pre>
+          <textarea
+            id="rule-dsl"
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            onScroll={syncScroll}
+            spellCheck={false}
+            rows={6}
+            className={`${editorClasses} relative block resize-y bg-transparent text-transparent caret-gray-900 outline-none`}
+          />
+        </div>
+      </div>
+
+      {result.isValid ? (
+        <div className="flex items-center gap-2 text-sm text-green-600">
+          <CheckCircle className="h-4 w-4" />
+          Rule is valid: {result.composition.conditions.length} condition(s), {result.composition.actions.length} action(s)
+        </div>
+      ) : (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertDescription>
+            <ul className="list-disc list-inside">
+              {result.errors.map((error, index) => (
+                <li key={index}>{formatRuleDslError(error)}</li>
+              ))}
+            </ul>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <div className="flex gap-2">
+        <Button variant="outline" size="sm" onClick={loadFromComposition}>
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Load from Composition
+        </Button>
+        <Button size="sm" disabled={!result.isValid} onClick={() => onApply(result.composition, source)}>
+          <ArrowRight className="h-4 w-4 mr-2" />
+          Apply to Composition
+        </Button>
+      </div>
+
+      <div className="text-sm text-gray-500 space-y-1">
+        <p><span className="font-medium">Syntax:</span> <code>when &lt;conditions&gt; then &lt;action&gt;, &lt;action&gt;</code> — combine conditions with and, or, not and parentheses.</p>
+        <p><span className="font-medium">Fields:</span> {fields.join(', ')} (=, !=, in, not in, contains)</p>
+        <p><span className="font-medium">Flags:</span> {flags.join(', ')}</p>
+        <p><span className="font-medium">Actions:</span> {Object.keys(RULE_DSL_ACTIONS).join(', ')}, set priority 1-10</p>
+      </div>
+    </div>
+  );
+};
+
+export default RuleDslEditor;
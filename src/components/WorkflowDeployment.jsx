@@ -1,24 +1,153 @@
 /**
  * Workflow Deployment Component
  * Example component showing how to deploy N8N workflows after OAuth
+ * Shows a dry-run diff against the deployed workflow and asks for confirmation before pushing
  */
 
 import { useState } from 'react';
 import { useSupabaseClient, useUser } from '@supabase/auth-helpers-react';
 import { deployWorkflowForUser, checkN8NAvailability } from '@/lib/n8nTemplateLoader';
+import { workflowDeployer } from '@/lib/workflowDeployer';
+
+const MAX_PROMPT_LINES = 20;
+
+const formatValue = (value) => {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text && text.length > 80 ? `${text.substring(0, 77)}...` : String(text);
+};
+
+function WorkflowDiffPreview({ preview }) {
+  const { diff } = preview;
+
+  if (diff.summary.isNewDeployment) {
+    return (
+      <div className="workflow-diff">
+        <p>{preview.description}</p>
+        <p>{diff.nodes.added.length} nodes will be created.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="workflow-diff">
+      <p>{preview.description}</p>
+
+      {diff.summary.nameChanged && (
+        <p>Workflow name: {diff.name.before} → {diff.name.after}</p>
+      )}
+
+      {(diff.nodes.added.length > 0 || diff.nodes.removed.length > 0 || diff.nodes.renamed.length > 0) && (
+        <div className="workflow-diff-section">
+          <h4>Nodes</h4>
+          <ul>
+            {diff.nodes.added.map(node => <li key={`added-${node.name}`} className="diff-added">+ {node.name} ({node.type})</li>)}
+            {diff.nodes.removed.map(node => <li key={`removed-${node.name}`} className="diff-removed">- {node.name} ({node.type})</li>)}
+            {diff.nodes.renamed.map(node => <li key={`renamed-${node.to}`}>{node.from} → {node.to}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {diff.prompts.length > 0 && (
+        <div className="workflow-diff-section">
+          <h4>Prompt changes</h4>
+          {diff.prompts.map(prompt => (
+            <details key={`${prompt.node}-${prompt.field}`}>
+              <summary>{prompt.node} ({prompt.field}): +{prompt.added.length} / -{prompt.removed.length} lines</summary>
+              <pre>
+                {[
+                  ...prompt.removed.slice(0, MAX_PROMPT_LINES).map(line => `- ${line}`),
+                  ...prompt.added.slice(0, MAX_PROMPT_LINES).map(line => `+ ${line}`)
+                ].join('\n')}
+              </pre>
+            </details>
+          ))}
+        </div>
+      )}
+
+      {diff.credentials.length > 0 && (
+        <div className="workflow-diff-section">
+          <h4>Credential swaps</h4>
+          <ul>
+            {diff.credentials.map(cred => (
+              <li key={`${cred.node}-${cred.credentialType}`}>
+                {cred.node} ({cred.credentialType}): {cred.before?.name || cred.before?.id || 'none'} → {cred.after?.name || cred.after?.id || 'none'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {diff.nodes.changed.length > 0 && (
+        <div className="workflow-diff-section">
+          <h4>Changed parameters</h4>
+          <ul>
+            {diff.nodes.changed.map(node => (
+              <li key={`changed-${node.name}`}>
+                {node.name}
+                <ul>
+                  {node.changes.map(change => (
+                    <li key={change.path}>{change.path}: {formatValue(change.before)} → {formatValue(change.after)}</li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {(diff.connections.added.length > 0 || diff.connections.removed.length > 0) && (
+        <div className="workflow-diff-section">
+          <h4>Connections</h4>
+          <ul>
+            {diff.connections.added.map(edge => <li key={`+${edge.from}-${edge.output}-${edge.to}-${edge.type}`} className="diff-added">+ {edge.from} → {edge.to} ({edge.type})</li>)}
+            {diff.connections.removed.map(edge => <li key={`-${edge.from}-${edge.output}-${edge.to}-${edge.type}`} className="diff-removed">- {edge.from} → {edge.to} ({edge.type})</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
 
 export default function WorkflowDeployment({ emailProvider = 'gmail', onSuccess, onError }) {
   const supabase = useSupabaseClient();
   const user = useUser();
   const [deploying, setDeploying] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
   const [status, setStatus] = useState(null);
 
+  const handlePreview = async () => {
+    if (!user) {
+      setStatus({ type: 'error', message: 'User not authenticated' });
+      return;
+    }
+
+    setPreviewing(true);
+    setPreview(null);
+    setStatus({ type: 'info', message: 'Comparing with the deployed workflow...' });
+
+    try {
+      const result = await workflowDeployer.previewRedeployment(user.id);
+      setPreview(result);
+      setStatus(null);
+    } catch (error) {
+      console.error('Preview error:', error);
+      setStatus({
+        type: 'error',
+        message: error.message || 'Failed to preview workflow changes'
+      });
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   const handleDeploy = async () => {
     if (!user) {
       setStatus({ type: 'error', message: 'User not authenticated' });
       return;
     }
 
+    setPreview(null);
     setDeploying(true);
     setStatus({ type: 'info', message: 'Loading workflow template...' });
 
@@ -63,13 +192,35 @@ export default function WorkflowDeployment({ emailProvider = 'gmail', onSuccess,
 
   return (
     <div className="workflow-deployment">
-      <button
-        onClick={handleDeploy}
-        disabled={deploying || !user}
-        className="btn btn-primary"
-      >
-        {deploying ? 'Deploying...' : `Deploy ${emailProvider} Workflow`}
-      </button>
+      {!preview && (
+        <button
+          onClick={handlePreview}
+          disabled={deploying || previewing || !user}
+          className="btn btn-primary"
+        >
+          {deploying ? 'Deploying...' : previewing ? 'Checking changes...' : `Deploy ${emailProvider} Workflow`}
+        </button>
+      )}
+
+      {preview && (
+        <div className="workflow-deployment-confirm">
+          <WorkflowDiffPreview preview={preview} />
+          <button
+            onClick={handleDeploy}
+            disabled={deploying || !preview.diff.hasChanges}
+            className="btn btn-primary"
+          >
+            Confirm and deploy
+          </button>
+          <button
+            onClick={() => setPreview(null)}
+            disabled={deploying}
+            className="btn btn-secondary"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
 
       {status && (
         <div className={`status status-${status.type}`}>
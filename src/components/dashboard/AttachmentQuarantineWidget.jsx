@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ShieldAlert, ShieldCheck, RefreshCw, Paperclip } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { useToast } from '@/components/ui/use-toast';
+import { attachmentProcessor } from '@/lib/attachmentProcessor';
+
+const formatSize = (bytes) => {
+  if (!bytes) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+export default function AttachmentQuarantineWidget({ userId }) {
+  const { toast } = useToast();
+  const [loading, setLoading] = useState(true);
+  const [releasingId, setReleasingId] = useState(null);
+  const [quarantined, setQuarantined] = useState([]);
+
+  useEffect(() => {
+    if (!userId) return;
+    fetchQuarantine();
+  }, [userId]);
+
+  const fetchQuarantine = async () => {
+    try {
+      setLoading(true);
+      const attachments = await attachmentProcessor.getQuarantinedAttachments(userId);
+      setQuarantined(attachments);
+    } catch (error) {
+      console.error('Error fetching quarantined attachments:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRelease = async (attachment) => {
+    setReleasingId(attachment.attachmentId);
+
+    const released = await attachmentProcessor.releaseQuarantinedAttachment(attachment.attachmentId, userId);
+    if (released) {
+      setQuarantined(current => current.filter(item => item.attachmentId !== attachment.attachmentId));
+      toast({
+        title: "Attachment Released",
+        description: `${attachment.name} was released from quarantine.`,
+      });
+    } else {
+      toast({
+        variant: "destructive",
+        title: "Release Failed",
+        description: "The attachment could not be released. Please try again.",
+      });
+    }
+
+    setReleasingId(null);
+  };
+
+  // Nothing to show once loaded with an empty quarantine
+  if (!loading && quarantined.length === 0) {
+    return null;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+      className="mb-6 sm:mb-8"
+    >
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle className="flex items-center gap-2">
+                <ShieldAlert className="w-5 h-5 text-red-600" />
+                Quarantined Attachments
+              </CardTitle>
+              <CardDescription>
+                Held back from AI processing until reviewed
+              </CardDescription>
+            </div>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={fetchQuarantine}
+              disabled={loading}
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {loading ? (
+            <div className="animate-pulse space-y-3">
+              <div className="h-4 bg-gray-200 rounded w-3/4"></div>
+              <div className="h-4 bg-gray-200 rounded w-1/2"></div>
+            </div>
+          ) : (
+            quarantined.map(attachment => (
+              <div
+                key={attachment.attachmentId}
+                className="flex items-start justify-between gap-3 p-3 rounded-lg border border-red-100 dark:border-red-900 bg-red-50 dark:bg-red-900/20"
+              >
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 text-sm font-medium text-gray-900 dark:text-white">
+                    <Paperclip className="w-4 h-4 shrink-0" />
+                    <span className="truncate">{attachment.name || 'Unnamed attachment'}</span>
+                    <Badge variant={attachment.status === 'infected' ? 'destructive' : 'secondary'}>
+                      {attachment.status}
+                    </Badge>
+                  </div>
+                  <div className="text-xs text-muted-foreground mt-1">
+                    {formatSize(attachment.size)}
+                    {attachment.detectedMimeType && ` · detected as ${attachment.detectedMimeType}`}
+                  </div>
+                  {attachment.threats.length > 0 && (
+                    <ul className="text-xs text-red-700 dark:text-red-300 mt-1 space-y-0.5">
+                      {attachment.threats.slice(0, 3).map(threat => (
+                        <li key={threat}>• {threat}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+                {attachment.status !== 'infected' && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleRelease(attachment)}
+                    disabled={releasingId === attachment.attachmentId}
+                  >
+                    <ShieldCheck className="w-4 h-4 mr-1" />
+                    Release
+                  </Button>
+                )}
+              </div>
+            ))
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+}
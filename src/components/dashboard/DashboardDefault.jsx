@@ -40,6 +40,7 @@ import { useNavigate } from 'react-router-dom';
 import dayjs from 'dayjs';
 import OutlookIcon from '@/components/OutlookIcon';
 import FolderHealthWidget from './FolderHealthWidget';
+import AttachmentQuarantineWidget from './AttachmentQuarantineWidget';
 
 // Gmail Icon Component (matching onboarding page)
 const GmailIcon = () => (
@@ -1155,6 +1156,9 @@ const DashboardDefault = ({ profile, integrations, metrics, recentEmails, timeFi
         />
       )}
 
+      {/* Quarantined Attachments */}
+      {profile?.id && <AttachmentQuarantineWidget userId={profile.id} />}
+
       {/* 🔄 Redeploy Automation Section */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -0,0 +1,176 @@
+import {
+  betaCdf,
+  betaPosterior,
+  calculateRequiredSampleSize,
+  normalQuantile,
+  obrienFlemingAlphaSpent,
+  probabilityBBeatsA,
+  probabilityBest,
+  sequentialBoundary,
+  twoProportionZTest
+} from '../abTestStatistics';
+import { TemplateABTesting } from '../templateABTesting';
+import { supabase } from '../customSupabaseClient';
+
+jest.mock('../logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+// Chainable query builder that resolves every call to { error: null }
+const createQuery = () => {
+  const query = {};
+  ['update', 'upsert', 'insert', 'eq', 'in', 'select'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve) => resolve({ data: null, error: null });
+  return query;
+};
+
+const variantResult = (id, sent, replies, isControl = false) => ({
+  variant_id: id,
+  variant_name: id,
+  is_control: isControl,
+  metrics: { sample_size: sent, replies, reply_rate: replies / sent },
+  performance_score: replies / sent
+});
+
+describe('A/B test statistics', () => {
+  describe('Distributions', () => {
+    test('should invert the normal CDF', () => {
+      expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+      expect(normalQuantile(0.5)).toBeCloseTo(0, 8);
+    });
+
+    test('should evaluate the beta CDF', () => {
+      expect(betaCdf(0.5, 2, 2)).toBeCloseTo(0.5, 8);
+      // Beta(1, 1) is uniform
+      expect(betaCdf(0.3, 1, 1)).toBeCloseTo(0.3, 8);
+    });
+  });
+
+  describe('Frequentist tests', () => {
+    test('should run a two-proportion z-test', () => {
+      const result = twoProportionZTest({ successes: 200, trials: 1000 }, { successes: 250, trials: 1000 });
+
+      expect(result.z).toBeCloseTo(2.677, 2);
+      expect(result.pValue).toBeCloseTo(0.0074, 3);
+      expect(result.relativeLift).toBeCloseTo(0.25, 8);
+      expect(result.confidenceInterval[0]).toBeGreaterThan(0);
+    });
+
+    test('should size a test for a relative lift', () => {
+      const perVariant = calculateRequiredSampleSize({ baselineRate: 0.2, minimumDetectableEffect: 0.2 });
+      expect(perVariant).toBeGreaterThan(1670);
+      expect(perVariant).toBeLessThan(1700);
+
+      // Extra variants split alpha, so each needs more traffic
+      expect(calculateRequiredSampleSize({ baselineRate: 0.2, minimumDetectableEffect: 0.2, variantCount: 3 }))
+        .toBeGreaterThan(perVariant);
+    });
+  });
+
+  describe('Sequential testing', () => {
+    test('should spend almost no alpha at early looks', () => {
+      expect(obrienFlemingAlphaSpent(0.25)).toBeLessThan(0.001);
+      expect(obrienFlemingAlphaSpent(1)).toBeCloseTo(0.05, 6);
+    });
+
+    test('should only allow alpha not spent by earlier looks', () => {
+      const firstLook = sequentialBoundary({ informationFraction: 0.5 });
+      const finalLook = sequentialBoundary({ informationFraction: 1, previousAlphaSpent: firstLook.alphaSpent });
+
+      expect(firstLook.zBoundary).toBeGreaterThan(2.7);
+      expect(firstLook.alphaSpent + finalLook.nominalAlpha).toBeCloseTo(0.05, 6);
+    });
+  });
+
+  describe('Bayesian posteriors', () => {
+    test('should agree between closed form and Monte Carlo', () => {
+      const control = betaPosterior(200, 1000);
+      const treatment = betaPosterior(250, 1000);
+
+      const exact = probabilityBBeatsA(control, treatment);
+      const simulated = probabilityBest([control, treatment], { draws: 20000 }).probabilityBest[1];
+
+      expect(exact).toBeGreaterThan(0.99);
+      expect(simulated).toBeCloseTo(exact, 2);
+      expect(probabilityBBeatsA(control, control)).toBeCloseTo(0.5, 2);
+    });
+  });
+
+  describe('TemplateABTesting', () => {
+    let abTesting;
+
+    beforeEach(() => {
+      abTesting = new TemplateABTesting();
+      supabase.from.mockReset();
+      supabase.from.mockImplementation(() => createQuery());
+    });
+
+    test('should not pick a winner when peeking early', async () => {
+      const variants = [variantResult('control', 1000, 200, true), variantResult('treatment', 1000, 250)];
+
+      const early = await abTesting.calculateStatisticalSignificance(variants, { informationFraction: 0.25 });
+      const final = await abTesting.calculateStatisticalSignificance(variants, { informationFraction: 1 });
+
+      expect(await abTesting.determineTestWinner(variants, early)).toBeNull();
+      expect((await abTesting.determineTestWinner(variants, final)).variant_id).toBe('treatment');
+    });
+
+    test('should not pick a losing variant as the winner', async () => {
+      const variants = [variantResult('control', 1000, 250, true), variantResult('treatment', 1000, 200)];
+      const significance = await abTesting.calculateStatisticalSignificance(variants);
+
+      expect(significance.is_significant).toBe(true);
+      expect(await abTesting.determineTestWinner(variants, significance)).toBeNull();
+    });
+
+    test('should store the required sample size when a test is created', async () => {
+      const result = await abTesting.createABTest('user-1', {
+        name: 'Quote follow-up',
+        baselineRate: 0.2,
+        minimumDetectableEffect: 0.2,
+        variants: [{ templateId: 'tpl-a' }, { templateId: 'tpl-b' }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.abTest.required_sample_size).toBe(
+        calculateRequiredSampleSize({ baselineRate: 0.2, minimumDetectableEffect: 0.2 })
+      );
+      expect(result.abTest.primary_metric).toBe('reply_rate');
+    });
+
+    test('should promote the winning template and disable the others', async () => {
+      const queries = [];
+      supabase.from.mockImplementation((table) => {
+        const query = createQuery();
+        queries.push({ table, query });
+        return query;
+      });
+
+      abTesting.testVariants.set('test-1', [
+        { id: 'control', test_id: 'test-1', template_id: 'tpl-a', is_control: true },
+        { id: 'treatment', test_id: 'test-1', template_id: 'tpl-b', is_control: false }
+      ]);
+
+      const promotion = await abTesting.promoteWinningTemplate('user-1', 'test-1', {
+        winner: { variant_id: 'treatment' }
+      });
+
+      const templateUpdates = queries.filter(q => q.table === 'response_templates').map(q => q.query);
+      expect(promotion).toEqual({ promoted: true, variantId: 'treatment', templateId: 'tpl-b', retiredTemplateIds: ['tpl-a'] });
+      expect(templateUpdates[0].update).toHaveBeenCalledWith(expect.objectContaining({ enabled: true }));
+      expect(templateUpdates[1].update).toHaveBeenCalledWith(expect.objectContaining({ enabled: false }));
+      expect(templateUpdates[1].in).toHaveBeenCalledWith('id', ['tpl-a']);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import { LLMRouter, MockLLMProvider } from '../../../backend/src/lib/llmProvider.js';
+import { supabase } from '../customSupabaseClient';
+import { AICostMonitor } from '../aiCostMonitor';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+const messages = [{ role: 'user', content: 'Classify: the hot tub heater stopped working' }];
+
+describe('aiCostMonitor', () => {
+  test('should log unmetered calls at zero cost with their provider', async () => {
+    const inserts = [];
+    supabase.from.mockImplementation(() => {
+      const builder = {
+        insert: (row) => { inserts.push(row); return builder; },
+        select: () => builder,
+        eq: () => builder,
+        gte: () => builder,
+        lte: () => builder,
+        order: () => builder,
+        limit: () => builder,
+        single: () => builder,
+        maybeSingle: () => builder,
+        then: (resolve) => Promise.resolve({ data: [], error: null }).then(resolve)
+      };
+      return builder;
+    });
+
+    const monitor = new AICostMonitor();
+    const router = new LLMRouter({
+      providers: { mock: new MockLLMProvider({ responder: () => ({ content: 'ok', usage: { prompt_tokens: 1000, completion_tokens: 1000 } }) }) },
+      usageTracker: monitor
+    });
+
+    await router.complete({ task: 'draft', userId: 'user-1', defaultModel: 'gpt-4', messages });
+    await monitor.trackUsage({ userId: 'user-1', model: 'gpt-4', inputTokens: 1000, outputTokens: 1000, operation: 'generate' });
+
+    expect(inserts.map(row => [row.provider, row.model, row.total_tokens, row.estimated_cost])).toEqual([
+      ['mock', 'gpt-4', 2000, 0],
+      ['openai', 'gpt-4', 2000, 0.09]
+    ]);
+  });
+});
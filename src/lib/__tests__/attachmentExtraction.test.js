@@ -0,0 +1,164 @@
+import { deflateRawSync, deflateSync } from 'zlib';
+import {
+  decodeAttachmentContent,
+  extractOfficeText,
+  extractPdfText,
+  extractPlainText,
+  extractReferenceNumbers,
+  readImageMetadata
+} from '../attachmentExtraction';
+
+const latin1 = (text) => Uint8Array.from(Buffer.from(text, 'latin1'));
+
+const buildPdf = (content) => {
+  const compressed = deflateSync(Buffer.from(content, 'latin1'));
+  return Uint8Array.from(Buffer.concat([
+    Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n'),
+    Buffer.from('2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n'),
+    Buffer.from('3 0 obj\n<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>\nendobj\n'),
+    Buffer.from(`4 0 obj\n<< /Length ${compressed.length} /Filter /FlateDecode >>\nstream\n`),
+    compressed,
+    Buffer.from('\nendstream\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF')
+  ]));
+};
+
+// Minimal ZIP writer: one deflated entry per file
+const buildZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, text]) => {
+    const nameBytes = Buffer.from(name);
+    const data = deflateRawSync(Buffer.from(text));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Uint8Array.from(Buffer.concat([...locals, centralDirectory, end]));
+};
+
+const buildJpegWithExif = () => {
+  // TIFF (little endian): IFD0 with Model "X1" and Orientation 6, plus a GPS pointer
+  const tiff = Buffer.alloc(8 + 2 + 3 * 12 + 4);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(3, 8);
+  [[0x0110, 2, 3, Buffer.from('X1\0')], [0x0112, 3, 1, 6], [0x8825, 4, 1, 0]].forEach(([tag, type, count, value], n) => {
+    const entry = 10 + n * 12;
+    tiff.writeUInt16LE(tag, entry);
+    tiff.writeUInt16LE(type, entry + 2);
+    tiff.writeUInt32LE(count, entry + 4);
+    if (Buffer.isBuffer(value)) value.copy(tiff, entry + 8);
+    else if (type === 3) tiff.writeUInt16LE(value, entry + 8);
+    else tiff.writeUInt32LE(value, entry + 8);
+  });
+
+  const app1 = Buffer.concat([Buffer.from([0xff, 0xe1, 0, 0]), Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  app1.writeUInt16BE(app1.length - 2, 2);
+
+  const sof = Buffer.from([0xff, 0xc0, 0, 11, 8, 0x01, 0xe0, 0x02, 0x80, 3, 0, 0, 0]);
+  return Uint8Array.from(Buffer.concat([Buffer.from([0xff, 0xd8]), app1, sof]));
+};
+
+describe('Attachment extraction', () => {
+  test('should decode Outlook base64 and Gmail base64url content', () => {
+    expect(Buffer.from(decodeAttachmentContent('aGk/Pz4+')).toString()).toBe('hi??>>');
+    expect(Buffer.from(decodeAttachmentContent('aGk_Pz4-')).toString()).toBe('hi??>>');
+    expect(decodeAttachmentContent(null)).toBeNull();
+  });
+
+  test('should extract text from a compressed PDF content stream', async () => {
+    const pdf = buildPdf('BT /F1 12 Tf 72 720 Td (Invoice #INV-2041) Tj T* [(Serial) -250 (No: SN4471-B)] TJ ET');
+    const result = await extractPdfText(pdf);
+
+    expect(result.pageCount).toBe(1);
+    expect(result.encrypted).toBe(false);
+    expect(result.text).toContain('Invoice #INV-2041');
+    expect(result.text).toContain('Serial No: SN4471-B');
+  });
+
+  test('should extract paragraphs and tables from DOCX', async () => {
+    const docx = buildZip({
+      '[Content_Types].xml': '<Types/>',
+      'word/document.xml': '<w:document><w:body><w:p><w:r><w:t>Quote for R&amp;D</w:t></w:r></w:p>' +
+        '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>Model 5500X</w:t></w:r></w:p></w:tc></w:tr></w:tbl></w:body></w:document>'
+    });
+    const result = await extractOfficeText(docx);
+
+    expect(result.text).toContain('Quote for R&D');
+    expect(result.text).toContain('Model 5500X');
+    expect(result.hasTables).toBe(true);
+    expect(result.hasImages).toBe(false);
+  });
+
+  test('should keep numeric entities outside the Unicode range as written', async () => {
+    const docx = buildZip({
+      'word/document.xml': '<w:document><w:body><w:p><w:r><w:t>Spa &#x2122; &#x110000; &#99999999;</w:t></w:r></w:p></w:body></w:document>'
+    });
+    const result = await extractOfficeText(docx);
+
+    expect(result.text).toContain('Spa ™ &#x110000; &#99999999;');
+  });
+
+  test('should strip RTF control words from plain text', () => {
+    const result = extractPlainText(latin1('{\\rtf1\\ansi {\\b PO 7781}\\par Thanks}'), '.rtf');
+    expect(result.text).toBe('PO 7781\nThanks');
+  });
+
+  test('should read JPEG dimensions and EXIF without GPS coordinates', () => {
+    const metadata = readImageMetadata(buildJpegWithExif());
+
+    expect(metadata.format).toBe('jpeg');
+    expect(metadata.width).toBe(640);
+    expect(metadata.height).toBe(480);
+    expect(metadata.exif).toEqual({ hasGps: true, model: 'X1', orientation: 6 });
+  });
+
+  test('should read PNG dimensions and transparency', () => {
+    const png = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png, 0);
+    png.write('IHDR', 12, 'latin1');
+    png.writeUInt32BE(1024, 16);
+    png.writeUInt32BE(768, 20);
+    png.writeUInt8(8, 24);
+    png.writeUInt8(6, 25);
+
+    expect(readImageMetadata(Uint8Array.from(png))).toMatchObject({
+      format: 'png', width: 1024, height: 768, hasTransparency: true
+    });
+  });
+
+  test('should find serial, model, invoice and PO numbers', () => {
+    const references = extractReferenceNumbers('Unit serial number: ab-99812, Model # RTU-45. Invoice No. 10023 for PO 5531. Serial Number pending.');
+
+    expect(references.serialNumbers).toEqual(['AB-99812']);
+    expect(references.modelNumbers).toEqual(['RTU-45']);
+    expect(references.invoiceNumbers).toEqual(['10023']);
+    expect(references.poNumbers).toEqual(['5531']);
+  });
+});
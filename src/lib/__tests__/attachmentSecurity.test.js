@@ -0,0 +1,178 @@
+import { deflateRawSync } from 'zlib';
+import {
+  SCAN_STATUS,
+  checkTypeConsistency,
+  detectOfficeMacros,
+  detectPdfActions,
+  inspectZipArchive,
+  sniffFileType
+} from '../attachmentSecurity';
+import { AttachmentProcessor } from '../attachmentProcessor';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn(), functions: { invoke: jest.fn() } }
+}));
+
+// Minimal ZIP writer: one deflated entry per file
+const buildZip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const data = deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Uint8Array.from(Buffer.concat([...locals, centralDirectory, end]));
+};
+
+const peHeader = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(62)]);
+
+describe('Attachment security', () => {
+  describe('File type sniffing', () => {
+    test('should flag an executable renamed to .pdf', () => {
+      const sniffed = sniffFileType(Uint8Array.from(peHeader));
+      const result = checkTypeConsistency('invoice.pdf', sniffed);
+
+      expect(sniffed.kind).toBe('executable');
+      expect(result.threats[0]).toMatch(/Executable content/);
+    });
+
+    test('should warn when content does not match a known extension', () => {
+      const sniffed = sniffFileType(Uint8Array.from(Buffer.from('%PDF-1.7\n')));
+      const result = checkTypeConsistency('photo.jpg', sniffed);
+
+      expect(result.threats).toEqual([]);
+      expect(result.warnings[0]).toMatch(/does not match/);
+    });
+
+    test('should accept matching content', () => {
+      const sniffed = sniffFileType(Uint8Array.from(Buffer.from('%PDF-1.7\n')));
+      expect(checkTypeConsistency('quote.pdf', sniffed)).toEqual({ threats: [], warnings: [] });
+    });
+  });
+
+  describe('Archive inspection', () => {
+    test('should detect a zip bomb by compression ratio', async () => {
+      const archive = buildZip({ 'zeros.bin': Buffer.alloc(2 * 1024 * 1024) });
+      const summary = await inspectZipArchive(archive);
+
+      expect(summary.threats[0]).toMatch(/zip bomb/);
+    });
+
+    test('should find executables nested by name and by content', async () => {
+      const archive = buildZip({
+        'readme.txt': 'hello',
+        'setup.exe': peHeader,
+        'scan.jpg': peHeader
+      });
+      const summary = await inspectZipArchive(archive);
+
+      expect(summary.nestedExecutables).toEqual(['setup.exe', 'scan.jpg']);
+      expect(summary.threats).toHaveLength(1);
+    });
+  });
+
+  describe('Macro and PDF action detection', () => {
+    test('should detect auto-executing macros in OOXML', async () => {
+      const docm = buildZip({
+        '[Content_Types].xml': '<Types/>',
+        'word/document.xml': '<w:document/>',
+        'word/vbaProject.bin': 'Attribute VB_Name = "ThisDocument"\nSub Document_Open()\nEnd Sub'
+      });
+      const result = await detectOfficeMacros(docm, sniffFileType(docm));
+
+      expect(result.hasMacros).toBe(true);
+      expect(result.autoExec).toBe(true);
+      expect(result.threats).toEqual(['Office document contains auto-executing macros']);
+    });
+
+    test('should flag PDF launch actions and JavaScript', () => {
+      const pdf = Uint8Array.from(Buffer.from('%PDF-1.4\n<< /OpenAction << /S /Launch /F (cmd.exe) >> /JS (app.alert(1)) >>'));
+      const result = detectPdfActions(pdf);
+
+      expect(result.threats).toEqual(['PDF contains a launch action']);
+      expect(result.warnings).toEqual(['PDF contains JavaScript']);
+    });
+  });
+
+  describe('AttachmentProcessor.scanAttachment', () => {
+    let processor;
+
+    beforeEach(() => {
+      processor = new AttachmentProcessor();
+    });
+
+    test('should quarantine a disguised executable', async () => {
+      const scan = await processor.scanAttachment({
+        name: 'invoice.pdf',
+        content: peHeader.toString('base64')
+      });
+
+      expect(scan.status).toBe(SCAN_STATUS.SUSPICIOUS);
+      expect(scan.quarantined).toBe(true);
+      expect(scan.detectedMimeType).toBe('application/x-msdownload');
+    });
+
+    test('should quarantine files a registered scanner reports as infected', async () => {
+      processor.registerScanner({
+        name: 'test-av',
+        scan: jest.fn().mockResolvedValue({ status: SCAN_STATUS.INFECTED, signature: 'Eicar-Test-Signature' })
+      });
+
+      const scan = await processor.scanAttachment({
+        name: 'notes.txt',
+        content: Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR').toString('base64')
+      });
+
+      expect(scan.status).toBe(SCAN_STATUS.INFECTED);
+      expect(scan.quarantined).toBe(true);
+      expect(scan.threats).toContain('test-av: Eicar-Test-Signature');
+    });
+
+    test('should not quarantine when a scanner errors', async () => {
+      processor.registerScanner({
+        name: 'test-av',
+        scan: jest.fn().mockRejectedValue(new Error('connection refused'))
+      });
+
+      const scan = await processor.scanAttachment({
+        name: 'quote.pdf',
+        content: Buffer.from('%PDF-1.7\n').toString('base64')
+      });
+
+      expect(scan.status).toBe(SCAN_STATUS.CLEAN);
+      expect(scan.quarantined).toBe(false);
+      expect(scan.warnings).toContain('test-av scan failed: connection refused');
+    });
+  });
+});
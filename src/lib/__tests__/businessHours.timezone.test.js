@@ -0,0 +1,128 @@
+import { BusinessHoursManager } from '../businessHours';
+
+describe('BusinessHoursManager timezone support', () => {
+  describe('Tenant timezone', () => {
+    test('should evaluate hours in the business timezone, not the host clock', () => {
+      const manager = new BusinessHoursManager(null, { timezone: 'America/Los_Angeles' });
+
+      // 17:00 UTC on a Monday in January is 09:00 in Los Angeles
+      expect(manager.isBusinessHours(new Date('2024-01-08T17:00:00Z'))).toBe(true);
+      // 10:00 UTC is 02:00 in Los Angeles
+      expect(manager.isBusinessHours(new Date('2024-01-08T10:00:00Z'))).toBe(false);
+    });
+
+    test('should fall back to the host timezone for an invalid timezone', () => {
+      const manager = new BusinessHoursManager(null, { timezone: 'Not/AZone' });
+      expect(manager.timezone).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    });
+
+    test('should follow daylight saving time transitions', () => {
+      const manager = new BusinessHoursManager(null, { timezone: 'America/New_York' });
+
+      // Friday 2024-03-08 at 18:00 EST; clocks spring forward on Sunday 2024-03-10
+      const nextOpening = manager.getNextOpening(new Date('2024-03-08T23:00:00Z'));
+
+      // Monday 09:00 EDT is 13:00 UTC
+      expect(nextOpening.toISOString()).toBe('2024-03-11T13:00:00.000Z');
+    });
+  });
+
+  describe('Split shifts', () => {
+    const hours = {
+      0: { enabled: false },
+      1: { enabled: true, windows: [{ start: 800, end: 1200 }, { start: 1300, end: 1700 }] },
+      2: { enabled: false },
+      3: { enabled: false },
+      4: { enabled: false },
+      5: { enabled: false },
+      6: { enabled: false }
+    };
+
+    test('should be closed during the lunch break', () => {
+      const manager = new BusinessHoursManager(hours, { timezone: 'UTC' });
+
+      expect(manager.isBusinessHours(new Date('2024-01-08T11:59:00Z'))).toBe(true);
+      expect(manager.isBusinessHours(new Date('2024-01-08T12:30:00Z'))).toBe(false);
+      expect(manager.isBusinessHours(new Date('2024-01-08T13:00:00Z'))).toBe(true);
+    });
+
+    test('should report the delay until the afternoon window reopens', () => {
+      const manager = new BusinessHoursManager(hours, { timezone: 'UTC' });
+
+      expect(manager.getResponseDelay(new Date('2024-01-08T12:30:00Z'))).toBe(30 * 60 * 1000);
+    });
+  });
+
+  describe('Holiday calendar', () => {
+    test('should close on a dated holiday', () => {
+      const manager = new BusinessHoursManager(null, {
+        timezone: 'UTC',
+        holidays: [{ date: '2024-12-25', name: 'Christmas' }]
+      });
+
+      expect(manager.isBusinessHours(new Date('2024-12-25T10:00:00Z'))).toBe(false);
+      expect(manager.isHoliday(new Date('2024-12-25T10:00:00Z')).name).toBe('Christmas');
+      expect(manager.getNextOpening(new Date('2024-12-25T10:00:00Z')).toISOString())
+        .toBe('2024-12-26T09:00:00.000Z');
+    });
+
+    test('should apply reduced hours on a holiday with windows', () => {
+      const manager = new BusinessHoursManager(null, {
+        timezone: 'UTC',
+        holidays: [{ date: '2024-12-24', windows: [{ start: 900, end: 1200 }] }]
+      });
+
+      expect(manager.isBusinessHours(new Date('2024-12-24T11:00:00Z'))).toBe(true);
+      expect(manager.isBusinessHours(new Date('2024-12-24T14:00:00Z'))).toBe(false);
+    });
+
+    test('should close across a closure range', () => {
+      const manager = new BusinessHoursManager(null, {
+        timezone: 'UTC',
+        holidays: [{ date: '2024-12-26', endDate: '2024-12-31' }]
+      });
+
+      expect(manager.getNextBusinessDay(new Date('2024-12-25T10:00:00Z')).toISOString())
+        .toBe('2025-01-01T09:00:00.000Z');
+    });
+
+    test('should resolve recurring nth-weekday rules', () => {
+      const manager = new BusinessHoursManager(null, {
+        timezone: 'UTC',
+        holidays: [
+          { recurring: 'yearly', month: 11, weekday: 4, nth: 4, name: 'Thanksgiving' },
+          { recurring: 'yearly', month: 5, weekday: 1, nth: -1, name: 'Memorial Day' },
+          { recurring: 'yearly', month: 7, day: 1, name: 'Canada Day' }
+        ]
+      });
+
+      expect(manager.isHoliday(new Date('2024-11-28T12:00:00Z')).name).toBe('Thanksgiving');
+      expect(manager.isHoliday(new Date('2025-05-26T12:00:00Z')).name).toBe('Memorial Day');
+      expect(manager.isHoliday(new Date('2025-07-01T12:00:00Z')).name).toBe('Canada Day');
+      expect(manager.isHoliday(new Date('2024-11-21T12:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('Schedule rows', () => {
+    test('should build a manager from a business_hours schedule', () => {
+      const manager = BusinessHoursManager.fromSchedule({
+        schedule: {
+          monday: { open: true, start: '09:00', end: '17:00' },
+          tuesday: { open: true, windows: [{ start: '07:00', end: '11:00' }, { start: '15:00', end: '19:00' }] }
+        },
+        timezone: 'America/Vancouver'
+      });
+
+      expect(manager.timezone).toBe('America/Vancouver');
+      // Tuesday 10:00 PST
+      expect(manager.isBusinessHours(new Date('2024-01-09T18:00:00Z'))).toBe(true);
+      // Tuesday 12:00 PST
+      expect(manager.isBusinessHours(new Date('2024-01-09T20:00:00Z'))).toBe(false);
+    });
+
+    test('should return null without a schedule', () => {
+      expect(BusinessHoursManager.fromSchedule({})).toBeNull();
+      expect(BusinessHoursManager.fromSchedule(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import {
+  ClassifierEvaluator,
+  buildEvaluationDataset,
+  compareEvaluations,
+  computeClassificationMetrics,
+  createMockClassifierClient,
+  extractPromptCategories,
+  formatEvaluationReport,
+  parseClassifierOutput
+} from '../classifierEvaluation';
+import { EnhancedDynamicClassifierGenerator } from '../enhancedDynamicClassifierGenerator';
+
+const result = (expected, predicted) => ({
+  expected: { primary: expected, secondary: null },
+  predicted: predicted ? { primary: predicted, secondary: null } : null
+});
+
+const PROMPT = `### Categories:
+
+**Sales**: New business
+Keywords: quote, pricing
+secondary_category: [New Spa Sales, Accessory Sales]
+New Spa Sales - Buying a new hot tub
+Keywords: new hot tub
+Accessory Sales - Covers and steps
+Keywords: cover, steps
+
+**Support**: Existing customers
+Keywords: broken, repair, error code
+
+### Business-Specific Rules:
+**Ignored**: not a category`;
+
+const example = (id, subject, body, primary) => ({
+  id,
+  businessType: 'Hot tub & Spa',
+  email: { subject, from: 'customer@example.com', body },
+  expected: { primary, secondary: null, tertiary: null }
+});
+
+describe('classifierEvaluation', () => {
+  test('should compute precision, recall and the confusion matrix', () => {
+    const metrics = computeClassificationMetrics([
+      result('SALES', 'SALES'),
+      result('SALES', 'SUPPORT'),
+      result('SUPPORT', 'SUPPORT'),
+      result('SUPPORT', 'SUPPORT'),
+      result('SUPPORT', null)
+    ]);
+
+    expect(metrics.accuracy).toBeCloseTo(3 / 5);
+    expect(metrics.unparsed).toBe(1);
+    expect(metrics.perCategory.SALES).toMatchObject({ precision: 1, recall: 0.5, support: 2 });
+    expect(metrics.perCategory.SUPPORT.precision).toBeCloseTo(2 / 3);
+    expect(metrics.perCategory.SUPPORT.recall).toBeCloseTo(2 / 3);
+    expect(metrics.confusionMatrix.SALES).toEqual({ SALES: 1, SUPPORT: 1 });
+    expect(metrics.confusionMatrix.SUPPORT['(unparsed)']).toBe(1);
+  });
+
+  test('should parse fenced model output and reject garbage', () => {
+    expect(parseClassifierOutput('```json\n{"primary_category": "Sales"}\n```')).toEqual({ primary_category: 'Sales' });
+    expect(parseClassifierOutput('{"primary_category": "Support"} trailing notes')).toEqual({ primary_category: 'Support' });
+    expect(parseClassifierOutput('I cannot classify this')).toBeNull();
+  });
+
+  test('should flag significant regressions and ignore low-support ones', () => {
+    const baseline = computeClassificationMetrics([
+      ...Array(6).fill(result('SALES', 'SALES')),
+      result('PHONE', 'PHONE')
+    ]);
+    const candidate = computeClassificationMetrics([
+      ...Array(3).fill(result('SALES', 'SALES')),
+      ...Array(3).fill(result('SALES', 'MISC')),
+      result('PHONE', 'PHONE')
+    ]);
+
+    const comparison = compareEvaluations(baseline, candidate, { minSupport: 5 });
+    expect(comparison.passed).toBe(false);
+    expect(comparison.regressions).toEqual([
+      expect.objectContaining({ category: 'SALES', metric: 'recall', baseline: 1, candidate: 0.5, significant: true })
+    ]);
+
+    const lowSupport = compareEvaluations(baseline, candidate, { minSupport: 10, tolerance: 1 });
+    expect(lowSupport.passed).toBe(true);
+  });
+
+  test('should build datasets from approved feedback rows', () => {
+    const dataset = buildEvaluationDataset([
+      { id: 'a', email_subject: 'Cover quote', email_body_preview: 'Price?', label_primary: 'Sales', label_secondary: 'Accessory Sales', primary_business_type: 'Hot tub & Spa' },
+      { id: 'a', email_subject: 'Duplicate', label_primary: 'Sales' },
+      { id: 'b', email_subject: '', email_body_preview: '', label_primary: 'Support' },
+      { id: 'c', email_subject: 'No label', label_primary: null }
+    ]);
+
+    expect(dataset).toHaveLength(1);
+    expect(dataset[0].expected).toEqual({ primary: 'SALES', secondary: 'ACCESSORY SALES', tertiary: null });
+    expect(dataset[0].businessType).toBe('Hot tub & Spa');
+  });
+
+  test('should only read categories from the categories section', () => {
+    const categories = extractPromptCategories(PROMPT);
+
+    expect(categories.map(c => c.name)).toEqual(['Sales', 'Support']);
+    expect(categories[0].secondary.map(s => s.name)).toEqual(['New Spa Sales', 'Accessory Sales']);
+    expect(categories[0].keywords).toEqual(expect.arrayContaining(['quote', 'cover']));
+  });
+
+  test('mock client should be deterministic and follow prompt keywords', async () => {
+    const client = createMockClassifierClient();
+    const input = 'Subject: Need a cover\n\nEmail Body:\nCan I get pricing on a cover?';
+
+    const first = JSON.parse(await client.classify({ systemMessage: PROMPT, input }));
+    const second = JSON.parse(await client.classify({ systemMessage: PROMPT, input }));
+
+    expect(first).toEqual(second);
+    expect(first.primary_category).toBe('Sales');
+    expect(first.secondary_category).toBe('Accessory Sales');
+
+    const noKeywords = JSON.parse(await client.classify({ systemMessage: PROMPT, input: 'Subject: hello' }));
+    expect(noKeywords.primary_category).toBe('Misc');
+  });
+
+  test('should load approved feedback for one business type', async () => {
+    const query = {
+      select: jest.fn(() => query),
+      limit: jest.fn(() => query),
+      eq: jest.fn(() => Promise.resolve({
+        data: [{ id: 'a', email_subject: 'Hot tub quote', label_primary: 'Sales', primary_business_type: 'Hot tub & Spa' }],
+        error: null
+      }))
+    };
+    const supabase = { from: jest.fn(() => query) };
+    const evaluator = new ClassifierEvaluator({ supabase, llmClient: createMockClassifierClient() });
+
+    const dataset = await evaluator.loadDataset('Hot tub & Spa');
+
+    expect(supabase.from).toHaveBeenCalledWith('classification_training_dataset');
+    expect(query.eq).toHaveBeenCalledWith('primary_business_type', 'Hot tub & Spa');
+    expect(dataset).toHaveLength(1);
+  });
+
+  test('should report a regression when a generated prompt drops a category', async () => {
+    const generator = new EnhancedDynamicClassifierGenerator(
+      'Hot tub & Spa',
+      { name: 'Test Spas', emailDomain: 'testspas.com' },
+      [{ name: 'Hailey', role: 'Manager' }],
+      []
+    );
+    const deployedPrompt = generator.generateClassifierSystemMessage();
+    const candidatePrompt = deployedPrompt.replace(/\*\*Phone\*\*:[\s\S]*?(?=\n\*\*)/, '');
+    expect(candidatePrompt).not.toBe(deployedPrompt);
+
+    const dataset = Array.from({ length: 5 }, (_, i) => example(
+      `phone-${i}`,
+      `You have a new voicemail (${i})`,
+      'Missed call from (403) 555-0100. Listen to the voice message transcript.',
+      'PHONE'
+    ));
+
+    const evaluator = new ClassifierEvaluator({ llmClient: createMockClassifierClient() });
+    const report = await evaluator.evaluateCandidate({
+      businessType: 'Hot tub & Spa',
+      candidatePrompt,
+      baselinePrompt: deployedPrompt,
+      dataset
+    });
+
+    expect(report.baseline.perCategory.PHONE.recall).toBe(1);
+    expect(report.candidate.accuracy).toBeLessThan(report.baseline.accuracy);
+    expect(report.comparison.passed).toBe(false);
+    expect(report.comparison.regressions.some(r => r.category === 'PHONE' && r.metric === 'recall')).toBe(true);
+    expect(formatEvaluationReport(report)).toContain('REGRESSION PHONE recall');
+  });
+});
@@ -0,0 +1,148 @@
+import {
+  FEW_SHOT_SECTION_HEADER,
+  estimateTokens,
+  fetchClassifierFewShotExamples,
+  formatFewShotSection,
+  injectFewShotSection,
+  scrubPii,
+  selectFewShotExamples
+} from '../classifierFewShotExamples';
+import { EnhancedDynamicClassifierGenerator } from '../enhancedDynamicClassifierGenerator';
+
+const row = (overrides = {}) => ({
+  id: overrides.id || 'fb-1',
+  email_subject: 'Heater not working',
+  email_from: 'Jane Smith <jane.smith@gmail.com>',
+  email_body_preview: 'Our spa heater shows an error code.',
+  original_primary_category: 'Sales',
+  corrected_primary_category: 'Support',
+  corrected_secondary_category: 'TechnicalSupport',
+  corrected_tertiary_category: null,
+  confidence_rating: 4,
+  training_status: 'pending',
+  created_at: '2025-11-01T10:00:00Z',
+  ...overrides
+});
+
+describe('classifierFewShotExamples', () => {
+  test('should redact contact details and names', () => {
+    const scrubbed = scrubPii(
+      'Hi John Smith,\nCall me at (403) 555-0100 or jane@example.com. ' +
+      'I live at 42 Maple Leaf Drive, T2P 1J9. Card 4111 1111 1111 1111. ' +
+      'See https://example.com/invoice?id=9\nThanks,\nJane'
+    );
+
+    expect(scrubbed).toContain('Hi [name],');
+    expect(scrubbed).toContain('[phone]');
+    expect(scrubbed).toContain('[email]');
+    expect(scrubbed).toContain('[address]');
+    expect(scrubbed).toContain('[postal code]');
+    expect(scrubbed).toContain('[card]');
+    expect(scrubbed).toContain('[link]');
+    expect(scrubbed).toMatch(/Thanks,\n\[name\]$/);
+    expect(scrubbed).not.toMatch(/John|Jane|555-0100|4111/);
+  });
+
+  test('should keep only the sender domain', () => {
+    const [example] = selectFewShotExamples([row()]);
+
+    expect(example.from).toBe('@gmail.com');
+    expect(example.misclassified).toBe(true);
+  });
+
+  test('should keep the newest label when an email was corrected twice', () => {
+    const examples = selectFewShotExamples([
+      row({ id: 'old', corrected_primary_category: 'Urgent', created_at: '2025-10-01T00:00:00Z' }),
+      row({ id: 'new', created_at: '2025-11-02T00:00:00Z' })
+    ]);
+
+    expect(examples.map(e => e.id)).toEqual(['new']);
+  });
+
+  test('should skip rejected, low-confidence and empty corrections', () => {
+    const examples = selectFewShotExamples([
+      row({ id: 'rejected', training_status: 'rejected' }),
+      row({ id: 'low', email_subject: 'Other', confidence_rating: 2 }),
+      row({ id: 'empty', email_subject: null, email_body_preview: null }),
+      row({ id: 'ok', email_subject: 'Quote request', corrected_primary_category: 'Sales' })
+    ]);
+
+    expect(examples.map(e => e.id)).toEqual(['ok']);
+  });
+
+  test('should prefer misclassifications and spread examples across categories', () => {
+    const rows = [
+      ...[1, 2, 3, 4].map(n => row({ id: `support-${n}`, email_subject: `Leak report ${'x'.repeat(n)}` })),
+      row({ id: 'sales-agreed', email_subject: 'Pricing', original_primary_category: 'Sales', corrected_primary_category: 'Sales' }),
+      row({ id: 'sales-fixed', email_subject: 'Quote', original_primary_category: 'Misc', corrected_primary_category: 'Sales', confidence_rating: 3 })
+    ];
+
+    const examples = selectFewShotExamples(rows, { maxPerCategory: 2 });
+
+    expect(examples.filter(e => e.primary === 'Support')).toHaveLength(2);
+    expect(examples.filter(e => e.primary === 'Sales').map(e => e.id)).toEqual(['sales-fixed', 'sales-agreed']);
+  });
+
+  test('should stay within the token budget', () => {
+    const rows = Array.from({ length: 20 }, (_, i) => row({
+      id: `fb-${i}`,
+      email_subject: `Subject ${'abc'.repeat(i + 1)}`,
+      corrected_primary_category: `Category${i}`,
+      email_body_preview: 'word '.repeat(100)
+    }));
+
+    const examples = selectFewShotExamples(rows, { maxTokens: 300, maxExamples: 20 });
+
+    expect(examples.length).toBeGreaterThan(0);
+    expect(estimateTokens(formatFewShotSection(examples))).toBeLessThanOrEqual(300);
+  });
+
+  test('should replace a stale section before the JSON output format', () => {
+    const base = '### Categories:\nSales\n\n### JSON Output Format:\n{}';
+    const first = injectFewShotSection(base, formatFewShotSection(selectFewShotExamples([row()])));
+    const refreshed = injectFewShotSection(first, formatFewShotSection(selectFewShotExamples([
+      row({ id: 'fb-2', email_subject: 'Invoice attached', corrected_primary_category: 'Banking' })
+    ])));
+
+    expect(refreshed.split(FEW_SHOT_SECTION_HEADER)).toHaveLength(2);
+    expect(refreshed).toContain('"primary_category":"Banking"');
+    expect(refreshed).not.toContain('Heater not working');
+    expect(refreshed.indexOf(FEW_SHOT_SECTION_HEADER)).toBeLessThan(refreshed.indexOf('### JSON Output Format:'));
+    expect(injectFewShotSection(refreshed, '')).toBe('### Categories:\nSales\n\n### JSON Output Format:\n{}');
+  });
+
+  test('should embed examples in the generated classifier prompt', () => {
+    const examples = selectFewShotExamples([row()]);
+    const withExamples = new EnhancedDynamicClassifierGenerator(
+      'Hot tub & Spa', { name: 'Test Spas', emailDomain: 'testspas.com' }, [], [], null, ['all'], examples
+    ).generateClassifierSystemMessage();
+    const withoutExamples = new EnhancedDynamicClassifierGenerator(
+      'Hot tub & Spa', { name: 'Test Spas', emailDomain: 'testspas.com' }
+    ).generateClassifierSystemMessage();
+
+    expect(withExamples).toContain(FEW_SHOT_SECTION_HEADER);
+    expect(withExamples).toContain('(Previously misclassified as Sales)');
+    expect(withExamples.indexOf(FEW_SHOT_SECTION_HEADER)).toBeLessThan(withExamples.indexOf('### JSON Output Format:'));
+    expect(withoutExamples).not.toContain(FEW_SHOT_SECTION_HEADER);
+  });
+
+  test('should load corrections for one business and fail soft', async () => {
+    const query = {
+      select: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      in: jest.fn(() => query),
+      order: jest.fn(() => query),
+      limit: jest.fn(() => Promise.resolve({ data: [row()], error: null }))
+    };
+    const supabase = { from: jest.fn(() => query) };
+
+    const examples = await fetchClassifierFewShotExamples(supabase, 'user-1');
+
+    expect(supabase.from).toHaveBeenCalledWith('classification_feedback');
+    expect(query.eq).toHaveBeenCalledWith('user_id', 'user-1');
+    expect(examples).toHaveLength(1);
+
+    query.limit.mockResolvedValueOnce({ data: null, error: { message: 'boom' } });
+    await expect(fetchClassifierFewShotExamples(supabase, 'user-1')).resolves.toEqual([]);
+  });
+});
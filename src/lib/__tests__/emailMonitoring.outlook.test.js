@@ -1,33 +1,64 @@
 import { EmailMonitoring } from '../emailMonitoring.js';
 import { supabase } from '../customSupabaseClient.js';
+import { escalationEngine } from '../escalationEngine.js';
 
 // Mock dependencies
 jest.mock('../oauthTokenManager.js', () => ({
   getValidAccessToken: jest.fn()
 }));
 
-jest.mock('../customSupabaseClient.js', () => ({
-  supabase: {
-    from: jest.fn(() => ({
-      select: jest.fn(() => ({
-        eq: jest.fn(() => ({
-          single: jest.fn(() => Promise.resolve({ data: null, error: null }))
-        }))
-      })),
-      insert: jest.fn(() => Promise.resolve({ error: null }))
-    }))
+jest.mock('../escalationEngine.js', () => ({
+  escalationEngine: {
+    startSlaMonitoring: jest.fn(),
+    stopSlaMonitoring: jest.fn()
   }
 }));
 
+jest.mock('../imapMailboxClient.js', () => ({
+  imapMailboxClient: {
+    startWatch: jest.fn(),
+    checkNewMessages: jest.fn()
+  }
+}));
+
+// Every from() returns the same chainable query so tests can reach its mocks.
+// Awaiting the chain itself (the integrations lookup) resolves the next
+// queued result, or no integrations.
+jest.mock('../customSupabaseClient.js', () => {
+  const query = { results: [] };
+  ['select', 'eq', 'limit'].forEach(method => {
+    query[method] = jest.fn(() => query);
+  });
+  query.single = jest.fn(() => Promise.resolve({ data: null, error: null }));
+  query.insert = jest.fn(() => Promise.resolve({ error: null }));
+  query.then = (resolve, reject) => {
+    const result = query.results.length ? query.results.shift() : { data: [], error: null };
+    return (result instanceof Error ? Promise.reject(result) : Promise.resolve(result)).then(resolve, reject);
+  };
+
+  return {
+    supabase: {
+      from: jest.fn(() => query),
+      functions: {
+        invoke: jest.fn(() => Promise.resolve({ data: { success: true, expiration: '2025-11-04T00:00:00Z' }, error: null }))
+      }
+    }
+  };
+});
+
 // Import the mocked function
 import { getValidAccessToken } from '../oauthTokenManager.js';
 
+const query = supabase.from();
+const queueQueryResult = (result) => query.results.push(result);
+
 describe('Email Monitoring System Tests', () => {
   let emailMonitoring;
 
   beforeEach(() => {
     emailMonitoring = new EmailMonitoring();
     jest.clearAllMocks();
+    query.results = [];
     
     // Mock fetch globally
     global.fetch = jest.fn();
@@ -41,6 +72,7 @@ describe('Email Monitoring System Tests', () => {
   });
 
   afterEach(() => {
+    emailMonitoring.stopMonitoring();
     jest.restoreAllMocks();
   });
 
@@ -121,7 +153,7 @@ describe('Email Monitoring System Tests', () => {
 
     test('should skip already processed Outlook emails', async () => {
       // Mock existing email check
-      supabase.from().select().eq().eq().eq().single.mockResolvedValueOnce({
+      query.single.mockResolvedValueOnce({
         data: { id: 'existing-log' },
         error: null
       });
@@ -188,7 +220,7 @@ describe('Email Monitoring System Tests', () => {
   describe('Provider Email Checking', () => {
     test('should check emails for both Gmail and Outlook providers', async () => {
       // Mock integrations query
-      supabase.from().select().eq().eq.mockResolvedValueOnce({
+      queueQueryResult({
         data: [
           { provider: 'gmail', id: 'gmail-integration' },
           { provider: 'outlook', id: 'outlook-integration' }
@@ -217,7 +249,7 @@ describe('Email Monitoring System Tests', () => {
 
     test('should handle provider-specific errors', async () => {
       // Mock integrations query
-      supabase.from().select().eq().eq.mockResolvedValueOnce({
+      queueQueryResult({
         data: [
           { provider: 'outlook', id: 'outlook-integration' }
         ],
@@ -239,7 +271,7 @@ describe('Email Monitoring System Tests', () => {
   describe('Monitoring Lifecycle', () => {
     test('should start monitoring successfully', async () => {
       // Mock integrations query
-      supabase.from().select().eq().eq.mockResolvedValueOnce({
+      queueQueryResult({
         data: [{ provider: 'outlook', id: 'outlook-integration' }],
         error: null
       });
@@ -248,6 +280,7 @@ describe('Email Monitoring System Tests', () => {
 
       expect(emailMonitoring.isMonitoring).toBe(true);
       expect(emailMonitoring.pollTimer).toBeDefined();
+      expect(escalationEngine.startSlaMonitoring).toHaveBeenCalledWith('user123');
     });
 
     test('should stop monitoring', () => {
@@ -259,6 +292,7 @@ describe('Email Monitoring System Tests', () => {
 
       expect(emailMonitoring.isMonitoring).toBe(false);
       expect(emailMonitoring.pollTimer).toBeNull();
+      expect(escalationEngine.stopSlaMonitoring).toHaveBeenCalled();
     });
 
     test('should not start monitoring if already active', async () => {
@@ -273,19 +307,34 @@ describe('Email Monitoring System Tests', () => {
   describe('Webhook Setup', () => {
     test('should setup Outlook webhook', async () => {
       // Mock integrations query
-      supabase.from().select().eq().eq.mockResolvedValueOnce({
+      queueQueryResult({
         data: [{ provider: 'outlook', id: 'outlook-integration' }],
         error: null
       });
 
       await emailMonitoring.setupWebhooks('user123');
 
-      expect(console.log).toHaveBeenCalledWith('📧 Outlook webhook setup simulated (using polling)');
+      expect(supabase.functions.invoke).toHaveBeenCalledWith('outlook-webhook', {
+        body: { action: 'subscribe', userId: 'user123', integrationId: 'outlook-integration' }
+      });
+      expect(emailMonitoring.pushEnabledProviders.has('outlook')).toBe(true);
+    });
+
+    test('should fall back to polling when the Graph subscription fails', async () => {
+      supabase.functions.invoke.mockResolvedValueOnce({ data: null, error: new Error('Forbidden') });
+
+      await emailMonitoring.setupOutlookWebhook('user123', 'outlook-integration');
+
+      expect(emailMonitoring.pushEnabledProviders.has('outlook')).toBe(false);
+      expect(console.error).toHaveBeenCalledWith(
+        '❌ Outlook webhook setup failed, falling back to polling:',
+        expect.any(Error)
+      );
     });
 
     test('should handle webhook setup errors gracefully', async () => {
       // Mock integrations query error
-      supabase.from().select().eq().eq.mockRejectedValueOnce(new Error('Database error'));
+      queueQueryResult(new Error('Database error'));
 
       await emailMonitoring.setupWebhooks('user123');
 
@@ -322,7 +371,7 @@ describe('Email Monitoring System Tests', () => {
   describe('Error Recovery', () => {
     test('should continue monitoring after individual email check errors', async () => {
       // Mock integrations query
-      supabase.from().select().eq().eq.mockResolvedValueOnce({
+      queueQueryResult({
         data: [{ provider: 'outlook', id: 'outlook-integration' }],
         error: null
       });
@@ -330,18 +379,18 @@ describe('Email Monitoring System Tests', () => {
       // Mock token error
       getValidAccessToken.mockRejectedValueOnce(new Error('Token error'));
 
-      // Should not throw, just log error
-      await expect(emailMonitoring.checkForNewEmails('user123')).resolves.not.toThrow();
+      // Should not throw, just log the provider error
+      await expect(emailMonitoring.checkForNewEmails('user123')).resolves.toBeUndefined();
       
       expect(console.error).toHaveBeenCalledWith(
-        '❌ Failed to check for new emails:',
+        '❌ Failed to check outlook emails:',
         expect.any(Error)
       );
     });
 
     test('should handle network errors during email checking', async () => {
       // Mock integrations query
-      supabase.from().select().eq().eq.mockResolvedValueOnce({
+      queueQueryResult({
         data: [{ provider: 'outlook', id: 'outlook-integration' }],
         error: null
       });
@@ -352,7 +401,7 @@ describe('Email Monitoring System Tests', () => {
       await emailMonitoring.checkProviderEmails('user123', 'outlook');
 
       expect(console.error).toHaveBeenCalledWith(
-        '❌ Failed to check outlook emails:',
+        '❌ Outlook email check failed:',
         expect.any(Error)
       );
     });
@@ -0,0 +1,65 @@
+import { EmailProviderDetector } from '../emailProviderDetector';
+
+describe('EmailProviderDetector - IMAP mailboxes', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new EmailProviderDetector();
+  });
+
+  test('should detect Zoho Mail addresses as IMAP with Zoho servers', () => {
+    const result = detector.detectProvider('owner@zoho.com');
+
+    expect(result.provider).toBe('imap');
+    expect(result.hosting).toBe('zoho');
+    expect(result.confidence).toBe(1.0);
+    expect(result.serverSettings.imap).toEqual({ host: 'imap.zoho.com', port: 993, secure: true });
+    expect(result.serverSettings.smtp).toEqual({ host: 'smtp.zoho.com', port: 465, secure: true });
+  });
+
+  test('should fall back to IMAP with cPanel servers for custom domains', () => {
+    const result = detector.detectProvider('office@acme-pools.ca');
+
+    expect(result.provider).toBe('imap');
+    expect(result.method).toBe('imap_fallback');
+    expect(result.serverSettings.imap.host).toBe('mail.acme-pools.ca');
+    expect(result.serverSettings.smtp.host).toBe('mail.acme-pools.ca');
+    expect(detector.isSupported('office@acme-pools.ca')).toBe(true);
+  });
+
+  test('should keep Gmail and Outlook addresses on OAuth', () => {
+    expect(detector.detectProvider('someone@gmail.com').provider).toBe('gmail');
+    expect(detector.detectProvider('someone@hotmail.com').provider).toBe('outlook');
+    expect(detector.getAuthMethod('gmail')).toBe('oauth');
+    expect(detector.getAuthMethod('outlook')).toBe('oauth');
+    expect(detector.getAuthMethod('imap')).toBe('password');
+  });
+
+  test('should identify the hosting company from MX records', () => {
+    expect(detector.detectHostingFromMx(['smtp.secureserver.net.', 'mailstore1.secureserver.net'], 'acme.com')).toBe('godaddy');
+    expect(detector.detectHostingFromMx(['mx.zoho.com', 'mx2.zoho.com'], 'acme.com')).toBe('zoho');
+    expect(detector.detectHostingFromMx(['mx.zoho.eu'], 'acme.com')).toBe('zoho');
+    expect(detector.detectHostingFromMx(['mail.acme.com'], 'acme.com')).toBe('cpanel');
+    expect(detector.detectHostingFromMx(['mx1.mailprovider.net'], 'acme.com')).toBe('custom');
+    expect(detector.detectHostingFromMx([], 'acme.com')).toBe('custom');
+  });
+
+  test('should return server settings per hosting company', () => {
+    expect(detector.getImapSettings('acme.com', 'godaddy')).toEqual({
+      hosting: 'godaddy',
+      imap: { host: 'imap.secureserver.net', port: 993, secure: true },
+      smtp: { host: 'smtpout.secureserver.net', port: 465, secure: true }
+    });
+
+    const custom = detector.getImapSettings('acme.com', 'custom');
+    expect(custom.hosting).toBe('custom');
+    expect(custom.imap.host).toBe('mail.acme.com');
+  });
+
+  test('should not share preset objects between results', () => {
+    const first = detector.getImapSettings('acme.com', 'zoho');
+    first.imap.port = 143;
+
+    expect(detector.getImapSettings('acme.com', 'zoho').imap.port).toBe(993);
+  });
+});
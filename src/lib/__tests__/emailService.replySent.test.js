@@ -0,0 +1,103 @@
+import { supabase } from '../customSupabaseClient';
+import { apiClient } from '../apiClient.js';
+import { escalationEngine } from '../escalationEngine.js';
+import { templateBandit } from '../templateBandit.js';
+import { EmailService } from '../emailService';
+import { createFakeSupabase } from '../../tests/fakeSupabase';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+jest.mock('../apiClient.js', () => ({
+  apiClient: { post: jest.fn() },
+  analyticsApi: {}
+}));
+
+jest.mock('../aiService.js', () => ({ openai: {} }));
+jest.mock('../analytics.js', () => ({ analytics: { trackBusinessEvent: jest.fn() } }));
+jest.mock('../n8nWebhookService.js', () => ({ n8nWebhookService: {} }));
+jest.mock('../outlookEmailService.js', () => ({ outlookEmailService: { replyToEmail: jest.fn() } }));
+
+jest.mock('../logger.js', () => ({
+  logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+jest.mock('../escalationEngine.js', () => ({
+  escalationEngine: { stopSlaClock: jest.fn() }
+}));
+
+jest.mock('../templateBandit.js', () => ({
+  templateBandit: { recordReward: jest.fn() }
+}));
+
+const DRAFT = 'Thanks for reaching out. A technician can visit on Tuesday morning to look at the heater.';
+
+describe('EmailService sent replies', () => {
+  let service;
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    client = createFakeSupabase({
+      ai_responses: [
+        { user_id: 'user-1', email_id: 'msg-1', category: 'SUPPORT', final_response: 'Older draft', metadata: {}, created_at: '2025-11-01T00:00:00Z' },
+        {
+          user_id: 'user-1',
+          email_id: 'msg-1',
+          category: 'SUPPORT',
+          final_response: DRAFT,
+          metadata: { template_allocation: { allocationId: 'alloc-1', templateId: 'tpl-a', probability: 0.6 } },
+          created_at: '2025-11-02T00:00:00Z'
+        }
+      ],
+      ai_human_comparison: []
+    });
+    supabase.from.mockImplementation(client.from);
+    apiClient.post.mockResolvedValue({ success: true });
+    templateBandit.recordReward.mockResolvedValue({ success: true, accepted: true });
+
+    service = new EmailService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should stop the SLA clock and reward the template the latest draft came from', async () => {
+    await service.replyToEmail('user-1', 'msg-1', { body: `${DRAFT} Thanks!` });
+
+    expect(escalationEngine.stopSlaClock).toHaveBeenCalledWith('user-1', 'msg-1');
+    expect(templateBandit.recordReward).toHaveBeenCalledTimes(1);
+
+    const [userId, allocationId, editSimilarity] = templateBandit.recordReward.mock.calls[0];
+    expect([userId, allocationId]).toEqual(['user-1', 'alloc-1']);
+    expect(editSimilarity).toBeCloseTo(16 / 17, 5);
+  });
+
+  test('should still stop the clock when no draft was generated for the email', async () => {
+    await service.replyToEmail('user-1', 'msg-2', { body: 'Handled by phone.' });
+
+    expect(escalationEngine.stopSlaClock).toHaveBeenCalledWith('user-1', 'msg-2');
+    expect(templateBandit.recordReward).not.toHaveBeenCalled();
+  });
+
+  test('should leave the clock running when the reply fails to send', async () => {
+    apiClient.post.mockRejectedValue(new Error('Gmail unavailable'));
+
+    await expect(service.replyToEmail('user-1', 'msg-1', { body: DRAFT })).rejects.toThrow('Reply failed: Gmail unavailable');
+
+    expect(escalationEngine.stopSlaClock).not.toHaveBeenCalled();
+    expect(templateBandit.recordReward).not.toHaveBeenCalled();
+  });
+
+  test('should not fail a sent reply when recording it does', async () => {
+    supabase.from.mockImplementation(createFakeSupabase({}).from);
+
+    await expect(service.replyToEmail('user-1', 'msg-1', { body: DRAFT })).resolves.toEqual({ success: true });
+    expect(escalationEngine.stopSlaClock).toHaveBeenCalled();
+  });
+});
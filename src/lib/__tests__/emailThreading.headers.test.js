@@ -0,0 +1,120 @@
+import { supabase } from '../customSupabaseClient';
+import { EmailThreading } from '../emailThreading';
+import { createFakeSupabase } from '../../tests/fakeSupabase';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+describe('EmailThreading header parsing', () => {
+  let threading;
+
+  beforeEach(() => {
+    threading = new EmailThreading();
+  });
+
+  test('should read RFC 5322 headers case-insensitively', () => {
+    const headers = threading.extractThreadingHeaders({
+      headers: {
+        'message-id': '<reply-2@example.com>',
+        'IN-REPLY-TO': '<reply-1@example.com>',
+        References: '<root@example.com>\r\n <reply-1@example.com>'
+      }
+    });
+
+    expect(headers.messageId).toBe('reply-2@example.com');
+    expect(headers.inReplyTo).toBe('reply-1@example.com');
+    expect(headers.references).toEqual(['root@example.com', 'reply-1@example.com']);
+  });
+
+  test('should read Gmail payload headers and threadId', () => {
+    const headers = threading.extractThreadingHeaders({
+      threadId: '18c2f',
+      payload: {
+        headers: [
+          { name: 'Message-Id', value: '<abc@mail.gmail.com>' },
+          { name: 'In-Reply-To', value: '<parent@mail.gmail.com>' }
+        ]
+      }
+    });
+
+    expect(headers.messageId).toBe('abc@mail.gmail.com');
+    expect(headers.inReplyTo).toBe('parent@mail.gmail.com');
+    expect(headers.provider).toBe('gmail');
+    expect(headers.providerThreadId).toBe('18c2f');
+  });
+
+  test('should read Outlook internetMessageId and conversationId', () => {
+    const headers = threading.extractThreadingHeaders({
+      internetMessageId: '<AM0PR@outlook.com>',
+      conversationId: 'AAQkADAw'
+    });
+
+    expect(headers.messageId).toBe('AM0PR@outlook.com');
+    expect(headers.references).toEqual([]);
+    expect(headers.provider).toBe('outlook');
+    expect(headers.providerThreadId).toBe('AAQkADAw');
+  });
+
+  test('should thread an email with only a provider id by subject', async () => {
+    const client = createFakeSupabase({
+      email_threads: [
+        { id: 'thread-a', user_id: 'user-1', original_subject: 'cover quote for the spa', participants: ['alice@customer-a.com'], message_count: 1, created_at: '2025-11-01T00:00:00Z' }
+      ],
+      email_thread_messages: [],
+      email_thread_corrections: []
+    });
+    supabase.from.mockImplementation(client.from);
+    const email = {
+      messageId: '18c2f9a7b3d4e5f6',
+      from: 'alice@customer-a.com',
+      subject: { original: 'Cover quote for the spa', cleaned: 'cover quote for the spa' }
+    };
+
+    expect(threading.extractThreadingHeaders(email)).toMatchObject({ messageId: '18c2f9a7b3d4e5f6', hasMessageIdHeader: false });
+    await expect(threading.detectThread(email, 'user-1')).resolves.toMatchObject({
+      threadId: 'thread-a',
+      threadingMethod: 'subject_match'
+    });
+  });
+
+  test('should require a shared participant for heuristic matches', () => {
+    const thread = { participants: ['alice@customer-a.com', 'office@business.com'] };
+
+    expect(threading.sharesParticipant(thread, { from: 'Alice <Alice@customer-a.com>' })).toBe(true);
+    expect(threading.sharesParticipant(thread, { from: 'bob@customer-b.com' })).toBe(false);
+  });
+
+  test('should lower heuristic confidence below the minimum as corrections accumulate', () => {
+    expect(threading.getMethodConfidence('subject_match')).toBeGreaterThanOrEqual(threading.minimumConfidence);
+    expect(threading.getMethodConfidence('subject_match', { subject_match: 0.5 })).toBeLessThan(threading.minimumConfidence);
+    expect(threading.getMethodConfidence('in_reply_to', { subject_match: 0.5 })).toBe(0.99);
+  });
+
+  test('should record a merge against the methods that placed the moved messages', async () => {
+    const client = createFakeSupabase({
+      email_threads: [
+        { id: 'thread-a', user_id: 'user-1', participants: ['alice@customer-a.com'], message_count: 2, last_message_at: '2025-11-02T00:00:00Z', threading_method: 'new' },
+        { id: 'thread-b', user_id: 'user-1', participants: ['alice@customer-a.com'], message_count: 1, last_message_at: '2025-11-01T00:00:00Z', threading_method: 'in_reply_to' }
+      ],
+      email_thread_messages: [
+        { thread_id: 'thread-a', message_id: 'm1', threading_method: 'new', thread_confidence: 1 },
+        { thread_id: 'thread-a', message_id: 'm2', threading_method: 'new', thread_confidence: 1 },
+        { thread_id: 'thread-a', message_id: 'm3', threading_method: 'subject_match', thread_confidence: 0.7 },
+        { thread_id: 'thread-b', message_id: 'm4', threading_method: 'in_reply_to', thread_confidence: 0.99 }
+      ],
+      email_thread_corrections: []
+    });
+    supabase.from.mockImplementation(client.from);
+
+    await expect(threading.mergeThreads('thread-a', 'thread-b', 'user-1')).resolves.toMatchObject({ success: true });
+
+    expect(client.tables.email_thread_corrections.map(({ correction_type, threading_method, thread_confidence, message_ids }) => (
+      { correction_type, threading_method, thread_confidence, message_ids }
+    ))).toEqual([
+      { correction_type: 'merge', threading_method: 'new', thread_confidence: 1, message_ids: ['m1', 'm2'] },
+      { correction_type: 'merge', threading_method: 'subject_match', thread_confidence: 0.7, message_ids: ['m3'] }
+    ]);
+    expect(client.tables.email_thread_messages.every(message => message.thread_id === 'thread-b')).toBe(true);
+  });
+});
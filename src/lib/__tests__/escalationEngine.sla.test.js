@@ -0,0 +1,152 @@
+import { supabase } from '../customSupabaseClient';
+import { EscalationEngine } from '../escalationEngine';
+import { SLA_STATUS } from '../slaClock';
+import { createFakeSupabase } from '../../tests/fakeSupabase';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+const USER = 'user-1';
+const NOW = new Date('2025-11-04T12:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+const URGENT = {
+  category: 'URGENT',
+  target_minutes: 60,
+  warning_thresholds: [0.5, 0.8],
+  business_hours_only: false,
+  breach_actions: ['notify_manager', 'send_sms']
+};
+
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * MINUTE_MS).toISOString();
+
+const openClock = (emailId, receivedMinutesAgo, overrides = {}) => ({
+  id: `clock-${emailId}`,
+  user_id: USER,
+  email_id: emailId,
+  email_from: 'customer@example.com',
+  email_subject: `About ${emailId}`,
+  category: 'URGENT',
+  policy: URGENT,
+  target_minutes: 60,
+  received_at: minutesAgo(receivedMinutesAgo),
+  responded_at: null,
+  status: SLA_STATUS.ON_TRACK,
+  warnings_sent: [],
+  ...overrides
+});
+
+describe('EscalationEngine SLA clocks', () => {
+  let client;
+  let engine;
+
+  const seed = (tables) => {
+    client = createFakeSupabase({
+      sla_policies: [{ user_id: USER, enabled: true, ...URGENT }],
+      business_hours: [],
+      email_sla_clocks: [],
+      ai_draft_corrections: [],
+      ...tables
+    });
+    supabase.from.mockImplementation(client.from);
+  };
+
+  const clock = (emailId) => client.tables.email_sla_clocks.find(row => row.email_id === emailId);
+
+  beforeEach(() => {
+    seed({});
+    engine = new EscalationEngine();
+    jest.spyOn(engine, 'executeEscalationAction').mockImplementation(async (ruleResult) => ({ action: ruleResult.action, success: true }));
+    jest.spyOn(engine, 'logEscalation').mockResolvedValue(undefined);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    engine.stopSlaMonitoring();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('startSlaClock should record the due time once per email', async () => {
+    const email = { id: 'msg-1', from: 'customer@example.com', subject: 'Hot tub leaking', received_at: minutesAgo(0) };
+
+    await engine.startSlaClock(email, USER, { category: 'Urgent/Emergency' });
+    await engine.startSlaClock({ ...email, received_at: minutesAgo(-30) }, USER, { category: 'URGENT' });
+
+    expect(client.tables.email_sla_clocks).toHaveLength(1);
+    expect(clock('msg-1')).toMatchObject({
+      category: 'Urgent/Emergency',
+      target_minutes: 60,
+      received_at: NOW.toISOString(),
+      due_at: new Date(NOW.getTime() + 60 * MINUTE_MS).toISOString(),
+      status: SLA_STATUS.ON_TRACK
+    });
+  });
+
+  test('stopSlaClock should close an open clock as met or breached', async () => {
+    seed({ email_sla_clocks: [openClock('msg-1', 20), openClock('msg-2', 90)] });
+
+    await expect(engine.stopSlaClock(USER, 'msg-1', NOW)).resolves.toMatchObject({ emailId: 'msg-1', status: SLA_STATUS.MET, elapsedMinutes: 20 });
+    await expect(engine.stopSlaClock(USER, 'msg-2', NOW)).resolves.toMatchObject({ status: SLA_STATUS.BREACHED });
+
+    expect(clock('msg-1')).toMatchObject({ responded_at: NOW.toISOString(), status: SLA_STATUS.MET, breached_at: null });
+    expect(clock('msg-2')).toMatchObject({ status: SLA_STATUS.BREACHED, breached_at: NOW.toISOString() });
+
+    // Already answered
+    await expect(engine.stopSlaClock(USER, 'msg-1', NOW)).resolves.toBeNull();
+  });
+
+  test('checkSlaClocks should warn once per threshold and escalate breaches through the policy actions', async () => {
+    seed({ email_sla_clocks: [openClock('msg-warn', 35), openClock('msg-late', 75), openClock('msg-fine', 5)] });
+
+    const results = await engine.checkSlaClocks(USER, NOW);
+
+    expect(results.map(result => [result.emailId, result.status, result.actions.map(action => action.action)])).toEqual([
+      ['msg-warn', SLA_STATUS.WARNING, ['notify_manager']],
+      ['msg-late', SLA_STATUS.BREACHED, ['notify_manager', 'send_sms']],
+      ['msg-fine', SLA_STATUS.ON_TRACK, []]
+    ]);
+    expect(engine.logEscalation).toHaveBeenCalledTimes(1);
+    expect(clock('msg-warn').warnings_sent).toEqual([0.5]);
+    expect(clock('msg-late')).toMatchObject({ status: SLA_STATUS.BREACHED, breached_at: NOW.toISOString() });
+
+    engine.executeEscalationAction.mockClear();
+    const again = await engine.checkSlaClocks(USER, new Date(NOW.getTime() + MINUTE_MS));
+
+    // Breached clocks are not re-escalated and the 50% warning is not repeated
+    expect(again.map(result => result.emailId)).toEqual(['msg-warn', 'msg-fine']);
+    expect(engine.executeEscalationAction).not.toHaveBeenCalled();
+  });
+
+  test('checkSlaClocks should stop clocks for emails answered from the mailbox', async () => {
+    seed({
+      email_sla_clocks: [openClock('msg-1', 75)],
+      ai_draft_corrections: [
+        { user_id: USER, email_id: 'msg-1', sent_at: minutesAgo(50) },
+        { user_id: 'user-2', email_id: 'msg-1', sent_at: minutesAgo(70) }
+      ]
+    });
+
+    const results = await engine.checkSlaClocks(USER, NOW);
+
+    expect(results).toEqual([expect.objectContaining({ emailId: 'msg-1', status: SLA_STATUS.MET, elapsedMinutes: 25, actions: [] })]);
+    expect(engine.executeEscalationAction).not.toHaveBeenCalled();
+    expect(clock('msg-1').responded_at).toBe(minutesAgo(50));
+  });
+
+  test('startSlaMonitoring should check clocks on an interval until stopped', () => {
+    jest.useFakeTimers();
+    const check = jest.spyOn(engine, 'checkSlaClocks').mockResolvedValue([]);
+
+    engine.startSlaMonitoring(USER, 1000);
+    jest.advanceTimersByTime(2500);
+    expect(check).toHaveBeenCalledTimes(2);
+    expect(check).toHaveBeenCalledWith(USER);
+
+    engine.stopSlaMonitoring();
+    jest.advanceTimersByTime(5000);
+    expect(check).toHaveBeenCalledTimes(2);
+    expect(engine.processingInterval).toBeNull();
+  });
+});
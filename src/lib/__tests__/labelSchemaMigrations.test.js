@@ -0,0 +1,189 @@
+import { supabase } from '../customSupabaseClient';
+import {
+  LabelSchemaMigrator,
+  getPendingMigrations,
+  planLabelMigration,
+  remapEmailLabels,
+  validateMigrationRegistry
+} from '../labelSchemaMigrations';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn(), rpc: jest.fn() }
+}));
+
+const toVariableName = (path) => path.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+
+describe('labelSchemaMigrations', () => {
+  test('should rename a label together with its sub-labels and be idempotent', () => {
+    const operations = [{ type: 'rename', from: 'PHONE', to: 'CALLS' }];
+    const first = planLabelMigration(['PHONE', 'PHONE/Voicemail', 'SALES'], operations);
+
+    expect(first.steps).toEqual([{ action: 'rename', from: 'PHONE', to: 'CALLS' }]);
+    expect(first.paths.sort()).toEqual(['CALLS', 'CALLS/Voicemail', 'SALES']);
+
+    // Re-running against the migrated mailbox is a no-op
+    expect(planLabelMigration(first.paths, operations).steps).toEqual([]);
+  });
+
+  test('should move under a parent, creating the parent when missing', () => {
+    const { steps } = planLabelMigration(['WARRANTY'], [{ type: 'move', from: 'WARRANTY', parent: 'SUPPORT' }]);
+
+    expect(steps).toEqual([
+      { action: 'create', path: 'SUPPORT' },
+      { action: 'move', from: 'WARRANTY', to: 'SUPPORT/WARRANTY' }
+    ]);
+  });
+
+  test('should merge by relabeling mail and deleting the sources', () => {
+    const { steps, errors } = planLabelMigration(
+      ['PROMO', 'PROMO/Deals', 'PROMO/Coupons'],
+      [{ type: 'merge', from: ['PROMO/Deals', 'PROMO/Coupons', 'PROMO/Missing'], into: 'PROMO/Offers' }]
+    );
+
+    expect(errors).toEqual([]);
+    expect(steps).toEqual([
+      { action: 'create', path: 'PROMO/Offers' },
+      { action: 'relabel', from: 'PROMO/Deals', to: 'PROMO/Offers', keywords: null },
+      { action: 'delete', path: 'PROMO/Deals' },
+      { action: 'relabel', from: 'PROMO/Coupons', to: 'PROMO/Offers', keywords: null },
+      { action: 'delete', path: 'PROMO/Coupons' }
+    ]);
+  });
+
+  test('should split matching mail into new labels and keep the source', () => {
+    const { steps, paths } = planLabelMigration(['SUPPORT', 'SUPPORT/General'], [{
+      type: 'split',
+      from: 'SUPPORT/General',
+      into: [{ to: 'SUPPORT/Parts', keywords: ['part', 'filter'] }]
+    }]);
+
+    expect(steps).toEqual([
+      { action: 'create', path: 'SUPPORT/Parts' },
+      { action: 'relabel', from: 'SUPPORT/General', to: 'SUPPORT/Parts', keywords: ['part', 'filter'] }
+    ]);
+    expect(paths).toContain('SUPPORT/General');
+  });
+
+  test('should refuse unsafe operations', () => {
+    const { errors } = planLabelMigration(['A', 'B', 'C', 'C/Child', 'S'], [
+      { type: 'rename', from: 'A', to: 'B' },
+      { type: 'rename', from: 'A', to: 'X/A' },
+      { type: 'merge', from: ['C'], into: 'B' },
+      { type: 'split', from: 'S', into: [{ to: 'S/Sub' }] },
+      { type: 'explode', from: 'A' }
+    ]);
+
+    expect(errors).toHaveLength(5);
+    expect(errors[0]).toContain('use merge');
+    expect(errors[1]).toContain('use move');
+  });
+
+  test('should re-key label maps stored by path or by n8n variable name', () => {
+    const changes = {
+      renamed: [{ from: 'PHONE', to: 'CALLS', id: 'L1' }],
+      deleted: ['L2'],
+      created: [{ path: 'PROMO/Offers', id: 'L3' }]
+    };
+
+    expect(remapEmailLabels({ PHONE: 'L1', 'PROMO/Deals': 'L2', SALES: 'L4' }, changes, toVariableName))
+      .toEqual({ CALLS: 'L1', SALES: 'L4', 'PROMO/Offers': 'L3' });
+    expect(remapEmailLabels({ PHONE: 'L1', PROMO_DEALS: 'L2' }, changes, toVariableName))
+      .toEqual({ CALLS: 'L1', PROMO_OFFERS: 'L3' });
+  });
+
+  test('should pick pending migrations by version and business type', () => {
+    const migrations = [
+      { version: '1.4.0', operations: [] },
+      { version: '1.5.0', businessTypes: ['HVAC'], operations: [] },
+      { version: '1.10.0', operations: [] }
+    ];
+
+    expect(getPendingMigrations(null, ['Pools & Spas'], migrations).map(m => m.version)).toEqual(['1.4.0', '1.10.0']);
+    expect(getPendingMigrations('1.4.0', ['HVAC'], migrations).map(m => m.version)).toEqual(['1.5.0', '1.10.0']);
+    expect(validateMigrationRegistry(migrations, '1.10.0')).toEqual([]);
+    expect(validateMigrationRegistry([...migrations].reverse(), '1.10.0')).not.toEqual([]);
+    expect(validateMigrationRegistry()).toEqual([]);
+    expect(validateMigrationRegistry([], '1.4.0')).toEqual(['Latest migration 1.3.0 does not match schemaVersion 1.4.0']);
+  });
+
+  test('should rename Gmail labels in place and persist the result atomically', async () => {
+    const labels = [
+      { id: 'L1', name: 'PHONE', type: 'user' },
+      { id: 'L2', name: 'PHONE/Voicemail', type: 'user' },
+      { id: 'INBOX', name: 'INBOX', type: 'system' }
+    ];
+    global.fetch = jest.fn(async (url, options = {}) => ({
+      ok: true,
+      status: 200,
+      json: async () => (options.method ? {} : { labels })
+    }));
+    supabase.rpc.mockResolvedValue({ error: null });
+    const redeploy = jest.fn().mockResolvedValue(true);
+
+    const migrator = new LabelSchemaMigrator('gmail', 'token', 'user-1');
+    const result = await migrator.migrate({
+      currentVersion: null,
+      emailLabels: { PHONE: 'L1', PHONE_VOICEMAIL: 'L2' },
+      toVariableName,
+      migrations: [{ version: '1.4.0', operations: [{ type: 'rename', from: 'PHONE', to: 'CALLS' }] }],
+      redeploy
+    });
+
+    const patches = global.fetch.mock.calls.filter(([, options]) => options?.method === 'PATCH');
+    expect(patches.map(([url, options]) => [url.split('/').pop(), JSON.parse(options.body).name])).toEqual([
+      ['L1', 'CALLS'],
+      ['L2', 'CALLS/Voicemail']
+    ]);
+    expect(supabase.rpc).toHaveBeenCalledWith('apply_label_schema_migration', expect.objectContaining({
+      p_user_id: 'user-1',
+      p_to_version: '1.4.0',
+      p_email_labels: { CALLS: 'L1', CALLS_VOICEMAIL: 'L2' },
+      p_label_changes: [
+        { op: 'rename', label_id: 'L1', label_name: 'CALLS' },
+        { op: 'rename', label_id: 'L2', label_name: 'CALLS/Voicemail' }
+      ]
+    }));
+    expect(redeploy).toHaveBeenCalledTimes(1);
+    expect(supabase.rpc.mock.invocationCallOrder[0]).toBeLessThan(redeploy.mock.invocationCallOrder[0]);
+    expect(result).toEqual({
+      version: '1.4.0',
+      applied: [{ version: '1.4.0', steps: 1, messagesMoved: 0 }],
+      requiresRedeploy: true,
+      redeployed: true,
+      error: null
+    });
+  });
+
+  test('should report a failed redeploy and skip it when nothing was migrated', async () => {
+    global.fetch = jest.fn(async (url, options = {}) => ({
+      ok: true,
+      status: 200,
+      json: async () => (options.method ? {} : { labels: [{ id: 'L1', name: 'PHONE', type: 'user' }] })
+    }));
+    supabase.rpc.mockResolvedValue({ error: null });
+    const redeploy = jest.fn().mockRejectedValue(new Error('N8N health check failed'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const migrator = new LabelSchemaMigrator('gmail', 'token', 'user-1');
+    const options = {
+      currentVersion: null,
+      emailLabels: { PHONE: 'L1' },
+      toVariableName,
+      migrations: [{ version: '1.4.0', operations: [{ type: 'rename', from: 'PHONE', to: 'CALLS' }] }],
+      redeploy
+    };
+
+    await expect(migrator.migrate(options)).resolves.toEqual(expect.objectContaining({
+      version: '1.4.0',
+      requiresRedeploy: true,
+      redeployed: false,
+      error: 'Migrated to 1.4.0 but the workflow redeploy failed - N8N health check failed'
+    }));
+
+    redeploy.mockClear();
+    await expect(migrator.migrate({ ...options, currentVersion: '1.4.0' })).resolves.toEqual(expect.objectContaining({ requiresRedeploy: false }));
+    expect(redeploy).not.toHaveBeenCalled();
+
+    console.error.mockRestore();
+  });
+});
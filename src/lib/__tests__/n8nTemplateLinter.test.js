@@ -0,0 +1,187 @@
+import {
+  N8nTemplateLinter,
+  collectInjectorPlaceholders,
+  formatTemplateLintReport
+} from '../n8nTemplateLinter';
+
+const coverage = {
+  placeholders: {
+    '<<<BUSINESS_NAME>>>': ['directTemplateInjector.js'],
+    '<<<CLIENT_GMAIL_CRED_ID>>>': ['directTemplateInjector.js'],
+    '<<<AI_SYSTEM_MESSAGE>>>': ['aiSchemaInjector.js']
+  },
+  runtimePatterns: ['businessName']
+};
+
+const baseTemplate = () => ({
+  name: '<<<BUSINESS_NAME>>> Email Automation',
+  nodes: [
+    {
+      id: 'trigger',
+      name: 'Email Trigger',
+      type: 'n8n-nodes-base.gmailTrigger',
+      parameters: {},
+      credentials: { gmailOAuth2: { id: '<<<CLIENT_GMAIL_CRED_ID>>>', name: 'Gmail' } }
+    },
+    {
+      id: 'prepare',
+      name: 'Prepare Email',
+      type: 'n8n-nodes-base.code',
+      parameters: { jsCode: 'const business = "<<<BUSINESS_NAME>>>";\nreturn [{ json: { business } }];' }
+    },
+    {
+      id: 'label',
+      name: 'Apply Label',
+      type: 'n8n-nodes-base.gmail',
+      parameters: { operation: 'addLabels' },
+      credentials: { gmailOAuth2: { id: '<<<CLIENT_GMAIL_CRED_ID>>>', name: 'Gmail' } }
+    }
+  ],
+  connections: {
+    'Email Trigger': { main: [[{ node: 'Prepare Email', type: 'main', index: 0 }]] },
+    'Prepare Email': { main: [[{ node: 'Apply Label', type: 'main', index: 0 }]] }
+  }
+});
+
+const rules = (issues) => issues.map(issue => issue.rule);
+
+describe('n8nTemplateLinter', () => {
+  let linter;
+
+  beforeEach(() => {
+    linter = new N8nTemplateLinter(coverage);
+  });
+
+  test('should pass a well-formed template and inventory its placeholders', () => {
+    const result = linter.lintTemplate(baseTemplate(), 'base');
+
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([]);
+    expect(result.isValid).toBe(true);
+    expect(result.placeholders).toEqual([
+      expect.objectContaining({ placeholder: '<<<BUSINESS_NAME>>>', count: 2 }),
+      expect.objectContaining({ placeholder: '<<<CLIENT_GMAIL_CRED_ID>>>', count: 2 })
+    ]);
+  });
+
+  test('should flag placeholders and runtime patterns no injector fills', () => {
+    const template = baseTemplate();
+    template.nodes[1].parameters.jsCode = 'return [{ json: { phone: "<<<EMERGENCY_PHONE>>>", name: "{{businessName}}", tone: "{{replyTone}}" } }];';
+
+    const result = linter.lintTemplate(template);
+
+    expect(rules(result.errors)).toEqual(['runtime-pattern-unknown', 'placeholder-unknown']);
+    expect(result.errors[1].message).toContain('<<<EMERGENCY_PHONE>>>');
+    expect(result.errors[1].message).toContain('Prepare Email: parameters.jsCode');
+    expect(result.isValid).toBe(false);
+  });
+
+  test('should explain connections keyed by node id', () => {
+    const template = baseTemplate();
+    template.connections = {
+      trigger: { main: [[{ node: 'prepare', type: 'main', index: 0 }]] },
+      'Prepare Email': { main: [[{ node: 'Missing Node', type: 'main', index: 0 }]] }
+    };
+
+    const result = linter.lintTemplate(template);
+
+    expect(result.errors.map(e => e.message)).toEqual([
+      'Connection source "trigger" is a node id - connections must use node names ("Email Trigger")',
+      'Connection trigger → "prepare" is a node id - connections must use node names ("Prepare Email")',
+      'Connection Prepare Email → "Missing Node" does not exist'
+    ]);
+    expect(rules(result.warnings)).toEqual(['orphan-node', 'orphan-node']);
+  });
+
+  test('should require credentials and suggest scoped node types', () => {
+    const template = baseTemplate();
+    delete template.nodes[2].credentials;
+    template.nodes.push({
+      id: 'model',
+      name: 'Chat Model',
+      type: 'n8n-nodes-langchain.lmChatOpenAi',
+      parameters: {},
+      credentials: { openAi: { id: '', name: 'OpenAI' } }
+    });
+    template.connections['Chat Model'] = { ai_languageModel: [[{ node: 'Prepare Email', type: 'ai_languageModel', index: 0 }]] };
+
+    const result = linter.lintTemplate(template);
+
+    expect(result.errors).toEqual([
+      { rule: 'credential-missing', message: 'Requires a gmailOAuth2 credential', node: 'Apply Label' },
+      {
+        rule: 'node-type-unknown',
+        message: 'Node type "n8n-nodes-langchain.lmChatOpenAi" is not on the allow-list - did you mean "@n8n/n8n-nodes-langchain.lmChatOpenAi"?',
+        node: 'Chat Model'
+      },
+      { rule: 'credential-id-empty', message: 'Credential "openAi" has no id', node: 'Chat Model' }
+    ]);
+    // Sub-nodes attach through ai_* connections and are not reported as unreachable
+    expect(result.warnings).toEqual([]);
+  });
+
+  test('should report Code node syntax errors but allow top-level return and await', () => {
+    const template = baseTemplate();
+    template.nodes[1].parameters.jsCode = 'const items = await $input.all();\nreturn items;';
+    expect(linter.lintTemplate(template).errors).toEqual([]);
+
+    template.nodes[1].parameters.jsCode = 'const x = {;\nreturn x;';
+    const result = linter.lintTemplate(template);
+
+    expect(rules(result.errors)).toEqual(['code-syntax']);
+    expect(result.errors[0].node).toBe('Prepare Email');
+  });
+
+  test('should warn about unreachable nodes and a missing trigger', () => {
+    const template = baseTemplate();
+    template.nodes.push(
+      { id: 'a', name: 'Loop A', type: 'n8n-nodes-base.noOp', parameters: {} },
+      { id: 'b', name: 'Loop B', type: 'n8n-nodes-base.noOp', parameters: {} }
+    );
+    template.connections['Loop A'] = { main: [[{ node: 'Loop B', type: 'main', index: 0 }]] };
+
+    const result = linter.lintTemplate(template);
+    expect(result.warnings).toEqual([
+      { rule: 'unreachable-node', message: 'Node is not reachable from any trigger', node: 'Loop A' },
+      { rule: 'unreachable-node', message: 'Node is not reachable from any trigger', node: 'Loop B' }
+    ]);
+
+    template.nodes.shift();
+    expect(rules(linter.lintTemplate(template).errors)).toContain('no-trigger');
+  });
+
+  test('should collect placeholders from injector sources', () => {
+    const collected = collectInjectorPlaceholders({
+      'directTemplateInjector.js': `
+        const replacements = {
+          '<<<BUSINESS_NAME>>>': business.name,
+          "<<<CLIENT_GMAIL_CRED_ID>>>": creds.gmail
+        };
+        replacements['<<<SIGNATURE_BLOCK>>>'] = signature;
+        if (text === '<<<NOT_A_KEY>>>') return;
+      `,
+      'runtimeDataInjector.js': 'const injectionPatterns = { businessName: /\\{\\{businessName\\}\\}/g };'
+    });
+
+    expect(Object.keys(collected.placeholders).sort()).toEqual([
+      '<<<BUSINESS_NAME>>>',
+      '<<<CLIENT_GMAIL_CRED_ID>>>',
+      '<<<SIGNATURE_BLOCK>>>'
+    ]);
+    expect(collected.runtimePatterns).toEqual(['businessName']);
+  });
+
+  test('should summarize several templates and list unused injector placeholders', () => {
+    const broken = baseTemplate();
+    broken.nodes = 'nope';
+
+    const report = linter.lintTemplates([
+      { name: 'good.json', template: baseTemplate() },
+      { name: 'broken.json', template: broken }
+    ]);
+
+    expect(report.summary).toEqual({ templates: 2, failed: 1, errors: 1, warnings: 0 });
+    expect(report.unusedPlaceholders).toEqual(['<<<AI_SYSTEM_MESSAGE>>>']);
+    expect(formatTemplateLintReport(report)).toContain('❌ broken.json (0 placeholders)\n   error   structure: Template has no nodes array');
+  });
+});
@@ -0,0 +1,151 @@
+import {
+  RetentionPolicyManager,
+  buildPurgePlan,
+  getHeldClasses,
+  pendingFilter,
+  resolveRetentionPolicy,
+  validateRetentionPolicy
+} from '../retentionPolicies';
+import { createFakeSupabase } from '../../tests/fakeSupabase';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+const NOW = new Date('2025-11-13T00:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+
+describe('validateRetentionPolicy', () => {
+  test('accepts defaults, partial policies and forever', () => {
+    expect(validateRetentionPolicy(null).isValid).toBe(true);
+    expect(validateRetentionPolicy({ bodies: 30 }).isValid).toBe(true);
+    expect(validateRetentionPolicy({ bodies: null, metadata: null, analytics: null }).isValid).toBe(true);
+    // Bodies kept by default go with their rows
+    expect(validateRetentionPolicy({ metadata: 365, analytics: 1095 }).isValid).toBe(true);
+  });
+
+  test('rejects unknown classes, short periods and bodies outliving metadata', () => {
+    expect(validateRetentionPolicy({ attachments: 30 }).errors).toEqual(['Unknown data class: attachments']);
+    expect(validateRetentionPolicy({ bodies: 3 }).isValid).toBe(false);
+    expect(validateRetentionPolicy({ metadata: 45.5 }).isValid).toBe(false);
+    expect(validateRetentionPolicy({ bodies: 400, metadata: 365 }).isValid).toBe(false);
+    // Metadata kept forever cannot be deleted as analytics after a year
+    expect(validateRetentionPolicy({ metadata: null, analytics: 365 }).isValid).toBe(false);
+  });
+
+  test('resolves missing classes to the defaults', () => {
+    expect(resolveRetentionPolicy({ bodies: 30 })).toEqual({ bodies: 30, metadata: 730, analytics: null });
+    expect(resolveRetentionPolicy(null)).toEqual({ bodies: null, metadata: 730, analytics: null });
+  });
+});
+
+describe('getHeldClasses', () => {
+  test('only active holds count, and a hold without classes holds everything', () => {
+    const holds = [
+      { data_classes: ['bodies'], released_at: null, expires_at: null },
+      { data_classes: null, released_at: '2025-11-01T00:00:00Z', expires_at: null },
+      { data_classes: ['analytics'], released_at: null, expires_at: '2025-11-01T00:00:00Z' }
+    ];
+    expect([...getHeldClasses(holds, NOW)]).toEqual(['bodies']);
+    expect([...getHeldClasses([{ data_classes: [] }], NOW)]).toEqual(['bodies', 'metadata', 'analytics']);
+  });
+});
+
+describe('buildPurgePlan', () => {
+  const policy = { bodies: 30, metadata: 365, analytics: 1095 };
+
+  test('scrubs bodies, anonymizes rows analytics depend on and deletes the rest', () => {
+    const plan = buildPurgePlan(policy, new Set(), NOW);
+    const step = (table, dataClass) => plan.find(s => s.table === table && s.dataClass === dataClass);
+
+    expect(step('email_queue', 'bodies')).toMatchObject({ action: 'scrub', values: { body: null } });
+    expect(step('email_queue', 'metadata')).toMatchObject({ action: 'delete' });
+    expect(step('email_logs', 'metadata')).toMatchObject({ action: 'anonymize', values: { email_from: null, email_subject: null } });
+    expect(step('email_logs', 'analytics')).toMatchObject({ action: 'delete' });
+    expect(step('email_queue', 'analytics')).toBeUndefined();
+    expect(step('email_threads', 'metadata').dateColumn).toBe('last_message_at');
+    expect(step('email_queue', 'bodies').cutoff).toBe(new Date(NOW.getTime() - 30 * DAY_MS).toISOString());
+    expect(step('email_thread_messages', 'bodies')).toMatchObject({
+      dateColumn: 'received_at',
+      scope: { table: 'email_threads', column: 'thread_id' }
+    });
+  });
+
+  test('scrubs nothing under the default policy', () => {
+    const plan = buildPurgePlan(resolveRetentionPolicy(null), new Set(), NOW);
+    expect(plan.map(step => step.dataClass)).not.toContain('bodies');
+  });
+
+  test('skips held classes and classes kept forever', () => {
+    const plan = buildPurgePlan({ ...policy, analytics: null }, new Set(['bodies']), NOW);
+    expect(plan.every(step => step.dataClass === 'metadata')).toBe(true);
+  });
+
+  test('pendingFilter only matches rows that still need changing', () => {
+    expect(pendingFilter({ body: null, ai_draft_text: '' })).toBe('body.not.is.null,ai_draft_text.neq.');
+  });
+});
+
+describe('RetentionPolicyManager', () => {
+  test('getReport counts due rows per class and reports holds and the last run', async () => {
+    const client = createFakeSupabase({
+      profiles: [{ id: 'tenant-1', retention_policy: { bodies: 30, metadata: 365 } }],
+      legal_holds: [
+        { id: 'hold-1', user_id: 'tenant-1', reason: 'Litigation', data_classes: ['metadata'], released_at: null, expires_at: null },
+        { id: 'hold-2', user_id: 'tenant-2', reason: 'Other tenant', data_classes: null, released_at: null, expires_at: null }
+      ],
+      retention_purge_runs: [
+        { id: 'run-1', user_id: 'tenant-1', status: 'completed', started_at: daysAgo(1) },
+        { id: 'run-0', user_id: 'tenant-1', status: 'completed', started_at: daysAgo(2) }
+      ],
+      email_queue: [
+        ...[1, 2, 3, 4].map(n => ({ id: `q-${n}`, user_id: 'tenant-1', body: 'Hello', created_at: daysAgo(40) })),
+        { id: 'q-5', user_id: 'tenant-1', body: null, created_at: daysAgo(40) },
+        { id: 'q-6', user_id: 'tenant-1', body: 'Recent', created_at: daysAgo(5) },
+        { id: 'q-7', user_id: 'tenant-2', body: 'Other tenant', created_at: daysAgo(40) }
+      ],
+      email_threads: [
+        { id: 'thread-1', user_id: 'tenant-1' },
+        { id: 'thread-2', user_id: 'tenant-2' }
+      ],
+      // Older messages have no user_id; they belong to the tenant through the thread
+      email_thread_messages: [
+        { id: 'tm-1', thread_id: 'thread-1', user_id: null, body: 'Old', received_at: daysAgo(40) },
+        { id: 'tm-2', thread_id: 'thread-1', user_id: 'tenant-1', body: 'Old', received_at: daysAgo(50) },
+        { id: 'tm-3', thread_id: 'thread-2', user_id: null, body: 'Other tenant', received_at: daysAgo(40) }
+      ]
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const report = await new RetentionPolicyManager(client).getReport('tenant-1', NOW);
+
+    expect(report.configured).toBe(true);
+    expect(report.heldClasses).toEqual(['metadata']);
+    expect(report.classes.metadata).toMatchObject({ held: true, cutoff: null, due: {} });
+    expect(report.classes.bodies.due).toEqual({ email_queue: 4, email_thread_messages: 2 });
+    expect(report.lastRun.id).toBe('run-1');
+
+    const queueCount = client.calls.find(call => call.table === 'email_queue');
+    expect(queueCount.filters).toContainEqual(['eq', 'user_id', 'tenant-1']);
+    expect(queueCount.filters).toContainEqual(['or', 'body.not.is.null']);
+
+    // Tables that are not deployed are skipped
+    expect(console.warn).toHaveBeenCalledWith('Retention report skipped ai_responses:', 'relation "ai_responses" does not exist');
+
+    console.warn.mockRestore();
+  });
+
+  test('savePolicy rejects invalid policies without writing', async () => {
+    const client = createFakeSupabase({ profiles: [{ id: 'tenant-1', retention_policy: null }] });
+    const manager = new RetentionPolicyManager(client);
+
+    await expect(manager.savePolicy('tenant-1', { bodies: 1 })).rejects.toThrow('at least 7 days');
+    expect(client.calls).toHaveLength(0);
+
+    await expect(manager.savePolicy('tenant-1', { bodies: 60 })).resolves.toEqual({ bodies: 60, metadata: 730, analytics: null });
+    expect(client.calls[0].filters).toContainEqual(['eq', 'id', 'tenant-1']);
+    expect(client.tables.profiles[0].retention_policy).toEqual({ bodies: 60 });
+  });
+});
@@ -0,0 +1,125 @@
+import { supabase } from '../customSupabaseClient';
+import { AdvancedRuleEngine } from '../advancedRuleEngine';
+import { RuleBacktester } from '../ruleBacktester';
+import { parseRuleDsl } from '../ruleDsl';
+import { createFakeSupabase } from '../../tests/fakeSupabase';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+jest.mock('../logger.js', () => ({
+  logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const emailLogs = [
+  // Newest first, as returned by the query
+  { id: 'log-3', email_queue_id: 'q-3', created_at: '2025-11-05T23:30:00Z', category: 'URGENT', urgency: 'high' },
+  { id: 'log-2', email_queue_id: 'q-2', created_at: '2025-11-04T15:00:00Z', category: 'URGENT', urgency: 'high' },
+  { id: 'log-1', email_queue_id: 'q-1', created_at: '2025-11-03T23:00:00Z', category: 'SALES', urgency: 'low' }
+];
+
+const queueRows = [
+  { id: 'q-1', from_addr: 'buyer@gmail.com', subject: 'Quote please', body_text: 'How much for a hot tub?' },
+  { id: 'q-2', from_addr: 'orders@strongspas.com', subject: 'Emergency: part recall', body_text: 'Urgent recall notice' },
+  { id: 'q-3', from_addr: 'orders@strongspas.com', subject: 'Shipment delayed', body_text: 'Your order ships Monday' }
+];
+
+const activeRules = [
+  { id: 'rule-emergency', rule_name: 'Emergency keywords', condition: 'emergency_keywords', escalation_action: 'escalate', priority: 9, enabled: true },
+  { id: 'rule-urgent', rule_name: 'Urgent to manager', condition: 'high_urgency', escalation_action: 'send_notification', priority: 5, enabled: true }
+];
+
+const respond = ({ table }) => {
+  switch (table) {
+    case 'email_logs': return { data: emailLogs, error: null };
+    case 'email_queue': return { data: queueRows, error: null };
+    case 'escalation_rules': return { data: activeRules, error: null };
+    case 'profiles': return { data: { suppliers: [{ name: 'StrongSpas', domains: ['strongspas.com'] }], managers: [] }, error: null };
+    case 'business_hours': return {
+      data: {
+        timezone: 'UTC',
+        schedule: Object.fromEntries(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+          .map(day => [day, { open: true, start: '08:00', end: '18:00' }]))
+      },
+      error: null
+    };
+    default: return { data: null, error: null };
+  }
+};
+
+// The window filters are relative to today, so each table answers with its fixture rows
+const fakeSupabase = () => {
+  const client = createFakeSupabase({}, { respond });
+  supabase.from.mockImplementation(client.from);
+  return client.calls;
+};
+
+const draftRule = () => {
+  const { composition } = parseRuleDsl(
+    'when category = URGENT and from.domain in suppliers and not business_hours then notify manager:"Jillian", set priority 9'
+  );
+  return { id: 'draft-supplier', name: 'After-hours supplier urgencies', ...composition };
+};
+
+describe('RuleBacktester', () => {
+  test('should report matches for the draft without side effects', async () => {
+    const calls = fakeSupabase();
+    const engine = new AdvancedRuleEngine();
+    const actionSpy = jest.spyOn(engine, 'executeRuleAction');
+
+    const report = await new RuleBacktester('user-1', { engine }).backtest({ rules: [draftRule()] }, { days: 30 });
+
+    expect(report.emailsScanned).toBe(3);
+    expect(report.errors).toEqual([]);
+    expect(report.matches).toEqual([{
+      emailId: 'log-3',
+      receivedAt: '2025-11-05T23:30:00Z',
+      from: 'orders@strongspas.com',
+      subject: 'Shipment delayed',
+      rules: [{
+        ruleId: 'draft-supplier',
+        name: 'After-hours supplier urgencies',
+        actions: ['send_notification:manager:Jillian', 'set_priority:9']
+      }]
+    }]);
+    expect(report.summary.actionCounts).toEqual({ 'send_notification:manager:Jillian': 1, 'set_priority:9': 1 });
+
+    expect(actionSpy).not.toHaveBeenCalled();
+    expect(calls.filter(call => call.op !== 'select')).toEqual([]);
+    expect(engine.getPerformanceMetrics().activeExecutions).toBe(0);
+  });
+
+  test('should diff outcomes against the active rules the draft replaces', async () => {
+    fakeSupabase();
+    const engine = new AdvancedRuleEngine();
+
+    const report = await new RuleBacktester('user-1', { engine }).backtest(
+      { rules: [draftRule()] },
+      { replaces: ['rule-urgent'] }
+    );
+
+    // log-1: nothing fires either way; log-2: the emergency rule still escalates but
+    // the replaced urgency notification disappears; log-3: the draft notifies instead
+    expect(report.differences.map(d => [d.emailId, d.added, d.removed])).toEqual([
+      ['log-2', [], ['send_notification']],
+      ['log-3', ['send_notification:manager:Jillian', 'set_priority:9'], ['send_notification']]
+    ]);
+    expect(report.differences[0].after).toEqual(['escalate']);
+    expect(report.summary).toEqual(expect.objectContaining({
+      matchedEmails: 1,
+      changedEmails: 2,
+      actionsRemoved: { send_notification: 2 }
+    }));
+  });
+
+  test('should reject drafts it cannot run', async () => {
+    const backtester = new RuleBacktester('user-1', { engine: new AdvancedRuleEngine() });
+
+    await expect(backtester.backtest({ rules: [] })).rejects.toThrow('at least one draft rule');
+    await expect(backtester.backtest({ rules: [draftRule()], chain: { executionMode: 'random' } }))
+      .rejects.toThrow('Invalid execution mode');
+    await expect(backtester.backtest({ rules: [draftRule()], chain: { ruleIds: ['draft-supplier', 'rule-x'] } }))
+      .rejects.toThrow('rule-x');
+  });
+});
@@ -0,0 +1,133 @@
+import {
+  highlightRuleDsl,
+  parseRuleDsl,
+  toRuleDsl
+} from '../ruleDsl';
+import { AdvancedRuleEngine } from '../advancedRuleEngine';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+jest.mock('../logger.js', () => ({
+  logger: { info: jest.fn(), debug: jest.fn(), error: jest.fn() }
+}));
+
+const EXAMPLE = 'when category = URGENT and from.domain in suppliers and not business_hours then notify manager:"Jillian", set priority 9';
+
+describe('ruleDsl', () => {
+  test('should compile the example rule to composition JSON', () => {
+    const { isValid, errors, composition } = parseRuleDsl(EXAMPLE);
+
+    expect(errors).toEqual([]);
+    expect(isValid).toBe(true);
+    expect(composition).toEqual({
+      logic: 'AND',
+      conditions: [
+        { type: 'category', operator: 'equals', value: 'URGENT' },
+        { type: 'from_domain', operator: 'in', value: { list: 'suppliers' } },
+        { type: 'business_hours', operator: 'is', value: true, negate: true }
+      ],
+      actions: [
+        { type: 'send_notification', target: 'manager:Jillian' },
+        { type: 'set_priority', priority: 9 }
+      ]
+    });
+  });
+
+  test('should round-trip between rule text and JSON', () => {
+    const sources = [
+      EXAMPLE,
+      'when (subject contains "refund" or body contains "chargeback") and sentiment != positive then escalate "billing@acme.com"',
+      'when category = SALES and not (urgency = 1 or after_hours) then create_task, high_priority',
+      'when from not in ["a@x.com", "b@y.com"] or text contains "in" then queue_for_review'
+    ];
+
+    for (const source of sources) {
+      const { composition, errors } = parseRuleDsl(source);
+      expect(errors).toEqual([]);
+      expect(toRuleDsl(composition)).toBe(source);
+      expect(parseRuleDsl(toRuleDsl(composition)).composition).toEqual(composition);
+    }
+  });
+
+  test('should read form-built compositions', () => {
+    const formComposition = {
+      logic: 'OR',
+      conditions: [
+        { id: 'cond_1', type: 'subject_contains', value: 'urgent repair', operator: 'equals' },
+        { id: 'cond_2', type: 'urgency_level', value: 'high', operator: 'equals' }
+      ],
+      actions: [{ id: 'action_1', type: 'escalate', target: 'jillian@acme.com', priority: 5 }]
+    };
+
+    expect(toRuleDsl(formComposition))
+      .toBe('when subject contains "urgent repair" or urgency = high then escalate "jillian@acme.com"');
+  });
+
+  test('should give precedence to not over and over or', () => {
+    const { composition } = parseRuleDsl('when after_hours or category = URGENT and not sentiment = positive then high_priority');
+
+    expect(composition.logic).toBe('OR');
+    expect(composition.conditions[1]).toEqual({
+      type: 'group',
+      logic: 'AND',
+      conditions: [
+        { type: 'category', operator: 'equals', value: 'URGENT' },
+        { type: 'sentiment', operator: 'equals', value: 'positive', negate: true }
+      ]
+    });
+  });
+
+  test('should report syntax errors with line and column', () => {
+    expect(parseRuleDsl('when category = URGENT\nnotify manager:"Jillian"').errors).toEqual([
+      { message: 'Expected "then" but found "notify"', line: 2, column: 1, offset: 23, length: 6 }
+    ]);
+    expect(parseRuleDsl('when subject contains "refund then high_priority').errors[0])
+      .toEqual(expect.objectContaining({ message: 'Unterminated string', line: 1, column: 23 }));
+    expect(parseRuleDsl('when category =').errors[0])
+      .toEqual(expect.objectContaining({ message: 'Expected a value after "=" but found end of rule', column: 16, length: 0 }));
+  });
+
+  test('should collect semantic errors across the rule', () => {
+    const { isValid, errors, composition } = parseRuleDsl(
+      'when categroy = URGENT and subject = "x" and from in suppliers then notfy, escalate, set priority 12'
+    );
+
+    expect(isValid).toBe(false);
+    expect(composition).toBeNull();
+    expect(errors.map(e => [e.column, e.message.split(';')[0]])).toEqual([
+      [6, 'Unknown field "categroy"'],
+      [36, 'Operator "=" is not supported for "subject"'],
+      [69, 'Unknown action "notfy"'],
+      [76, '"escalate" needs a target, e.g. escalate manager:"Jillian"'],
+      [99, 'Priority must be a whole number between 1 and 10']
+    ]);
+  });
+
+  test('should mark highlighted tokens and error ranges', () => {
+    const source = 'when categroy = URGENT then high_priority';
+    const segments = highlightRuleDsl(source, parseRuleDsl(source).errors);
+
+    expect(segments.map(s => s.text).join('')).toBe(source);
+    expect(segments.filter(s => s.text.trim()).map(s => [s.text, s.type, s.error])).toEqual([
+      ['when', 'keyword', false],
+      ['categroy', 'identifier', true],
+      ['=', 'operator', false],
+      ['URGENT', 'identifier', false],
+      ['then', 'keyword', false],
+      ['high_priority', 'action', false]
+    ]);
+  });
+
+  test('should evaluate compiled rules in the rule engine', async () => {
+    const engine = new AdvancedRuleEngine();
+    const { composition } = parseRuleDsl(EXAMPLE);
+    const group = { type: 'group', logic: composition.logic, conditions: composition.conditions };
+    const context = { category: 'urgent', isBusinessHours: false, lists: { suppliers: ['strongspas.com'] } };
+
+    await expect(engine.evaluateCompositionCondition(group, { from: 'orders@StrongSpas.com' }, context)).resolves.toBe(true);
+    await expect(engine.evaluateCompositionCondition(group, { from: 'orders@StrongSpas.com' }, { ...context, isBusinessHours: true })).resolves.toBe(false);
+    await expect(engine.evaluateCompositionCondition(group, { from: 'someone@gmail.com' }, context)).resolves.toBe(false);
+  });
+});
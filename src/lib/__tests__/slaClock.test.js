@@ -0,0 +1,95 @@
+import { BusinessHoursManager } from '../businessHours';
+import {
+  DEFAULT_SLA_POLICIES,
+  SLA_STATUS,
+  calculateSlaDueAt,
+  evaluateSlaClock,
+  resolveSlaPolicy
+} from '../slaClock';
+
+describe('SLA Clock', () => {
+  const urgentPolicy = {
+    category: 'URGENT',
+    target_minutes: 60,
+    warning_thresholds: [0.5, 0.8],
+    business_hours_only: true,
+    breach_actions: ['notify_manager', 'send_sms']
+  };
+
+  let hoursManager;
+
+  beforeEach(() => {
+    hoursManager = new BusinessHoursManager(null, { timezone: 'America/Los_Angeles' });
+  });
+
+  describe('Policy resolution', () => {
+    test('should match the primary category case-insensitively', () => {
+      expect(resolveSlaPolicy(DEFAULT_SLA_POLICIES, 'Urgent/Emergency').category).toBe('URGENT');
+      expect(resolveSlaPolicy(DEFAULT_SLA_POLICIES, 'sales').category).toBe('SALES');
+    });
+
+    test('should fall back to the DEFAULT policy', () => {
+      expect(resolveSlaPolicy(DEFAULT_SLA_POLICIES, 'MISC').category).toBe('DEFAULT');
+      expect(resolveSlaPolicy([], 'MISC').category).toBe('DEFAULT');
+    });
+  });
+
+  describe('Due time', () => {
+    test('should carry the clock over to the next business day', () => {
+      // Friday 16:30 PST; 30 business minutes remain that day
+      const receivedAt = new Date('2024-01-13T00:30:00Z');
+      const dueAt = calculateSlaDueAt(urgentPolicy, receivedAt, hoursManager);
+
+      // Monday 09:30 PST
+      expect(dueAt.toISOString()).toBe('2024-01-15T17:30:00.000Z');
+    });
+
+    test('should use wall-clock time for around-the-clock policies', () => {
+      const receivedAt = new Date('2024-01-13T00:30:00Z');
+      const dueAt = calculateSlaDueAt({ ...urgentPolicy, business_hours_only: false }, receivedAt, hoursManager);
+
+      expect(dueAt.toISOString()).toBe('2024-01-13T01:30:00.000Z');
+    });
+  });
+
+  describe('Clock evaluation', () => {
+    test('should pause outside business hours', () => {
+      const evaluation = evaluateSlaClock({
+        policy: urgentPolicy,
+        receivedAt: new Date('2024-01-13T00:30:00Z'), // Friday 16:30 PST
+        now: new Date('2024-01-13T20:00:00Z'), // Saturday noon PST
+        hoursManager
+      });
+
+      expect(evaluation.elapsedMinutes).toBe(30);
+      expect(evaluation.status).toBe(SLA_STATUS.WARNING);
+      expect(evaluation.thresholdsCrossed).toEqual([0.5]);
+      expect(evaluation.paused).toBe(true);
+    });
+
+    test('should breach once the business-time target is used up', () => {
+      const evaluation = evaluateSlaClock({
+        policy: urgentPolicy,
+        receivedAt: new Date('2024-01-13T00:30:00Z'),
+        now: new Date('2024-01-15T17:45:00Z'), // Monday 09:45 PST
+        hoursManager
+      });
+
+      expect(evaluation.elapsedMinutes).toBe(75);
+      expect(evaluation.status).toBe(SLA_STATUS.BREACHED);
+      expect(evaluation.remainingMinutes).toBe(0);
+    });
+
+    test('should report met when responded within target', () => {
+      const evaluation = evaluateSlaClock({
+        policy: urgentPolicy,
+        receivedAt: new Date('2024-01-15T17:00:00Z'),
+        respondedAt: new Date('2024-01-15T17:20:00Z'),
+        hoursManager
+      });
+
+      expect(evaluation.status).toBe(SLA_STATUS.MET);
+      expect(evaluation.elapsedMinutes).toBe(20);
+    });
+  });
+});
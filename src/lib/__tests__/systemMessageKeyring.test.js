@@ -0,0 +1,154 @@
+import { LEGACY_KEY_ID, SystemMessageKeyring, parseKeyringConfig } from '../systemMessageKeyring';
+import { SecureSystemMessageManager } from '../secureSystemMessageManager';
+import { createFakeSupabase } from '../../tests/fakeSupabase';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+const OLD_KEY = 'a'.repeat(64);
+const NEW_KEY = 'b'.repeat(64);
+
+// Written by the original crypto.createCipher('aes-256-gcm', OLD_KEY) code
+const LEGACY_ENVELOPE = JSON.stringify({
+  encrypted: '36581e5b4451078cba114f5ef694d59c2485',
+  iv: '9e9761d6bbca16a8a4cbd9c6953e86cf',
+  authTag: 'cd2a1d4ee71aa6424acd161977d7fae3'
+});
+
+/**
+ * Shared in-memory client plus the key usage RPC the manager calls before retiring a key
+ */
+const fakeSupabase = (tables) => createFakeSupabase(tables, {
+  rowDefaults: { system_message_reencryption_jobs: { cursor: null, created_at: new Date().toISOString() } },
+  rpc: {
+    system_message_key_usage: async () => {
+      const counts = {};
+      tables.system_message_content.forEach(row => {
+        const keyId = row.key_id || LEGACY_KEY_ID;
+        counts[keyId] = (counts[keyId] || 0) + 1;
+      });
+      return { data: Object.entries(counts).map(([key_id, row_count]) => ({ key_id, row_count })), error: null };
+    }
+  }
+});
+
+const rotatedKeyring = () => new SystemMessageKeyring({
+  keys: { [LEGACY_KEY_ID]: OLD_KEY, '2025-11': NEW_KEY },
+  activeKeyId: '2025-11'
+});
+
+const contentRows = (keyring) => [
+  { id: 'c-1', key_id: LEGACY_KEY_ID, content: LEGACY_ENVELOPE },
+  { id: 'c-2', key_id: null, content: LEGACY_ENVELOPE },
+  { id: 'c-3', key_id: '2025-11', content: keyring.encrypt('already rotated') },
+  { id: 'c-4', key_id: LEGACY_KEY_ID, content: LEGACY_ENVELOPE }
+];
+
+describe('SystemMessageKeyring', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record the key id with each ciphertext and decrypt with it', () => {
+    const keyring = rotatedKeyring();
+    const envelope = keyring.encrypt('You are a classifier.');
+
+    expect(JSON.parse(envelope)).toEqual(expect.objectContaining({ v: 2, kid: '2025-11' }));
+    expect(keyring.decrypt(envelope)).toEqual({ content: 'You are a classifier.', keyId: '2025-11' });
+    expect(keyring.needsReencryption(envelope)).toBe(false);
+
+    // A ciphertext cannot be relabelled to another key, even one with the same secret
+    const twin = new SystemMessageKeyring({ keys: { a: NEW_KEY, b: NEW_KEY }, activeKeyId: 'a' });
+    const relabelled = JSON.stringify({ ...JSON.parse(twin.encrypt('secret')), kid: 'b' });
+    expect(() => twin.decrypt(relabelled)).toThrow();
+  });
+
+  test('should decrypt envelopes written before key ids existed', () => {
+    const keyring = rotatedKeyring();
+
+    expect(keyring.decrypt(LEGACY_ENVELOPE)).toEqual({ content: 'Hello legacy world', keyId: LEGACY_KEY_ID });
+    expect(keyring.needsReencryption(LEGACY_ENVELOPE)).toBe(true);
+    expect(() => new SystemMessageKeyring({ keys: { '2025-11': NEW_KEY } }).decrypt(LEGACY_ENVELOPE))
+      .toThrow('Decryption key "legacy" is not in the keyring');
+  });
+
+  test('should load keys from the environment', () => {
+    expect(parseKeyringConfig('2025-11:abc, 2024-01:def')).toEqual({ '2025-11': 'abc', '2024-01': 'def' });
+    expect(parseKeyringConfig('{"2025-11":"abc"}')).toEqual({ '2025-11': 'abc' });
+
+    const keyring = SystemMessageKeyring.fromEnv({
+      SYSTEM_MESSAGE_ENCRYPTION_KEY: OLD_KEY,
+      SYSTEM_MESSAGE_ENCRYPTION_KEYS: `2025-11:${NEW_KEY}`,
+      SYSTEM_MESSAGE_ACTIVE_KEY_ID: '2025-11'
+    });
+    expect(keyring.keyIds()).toEqual(['2025-11', LEGACY_KEY_ID]);
+    expect(keyring.activeKeyId).toBe('2025-11');
+
+    expect(SystemMessageKeyring.fromEnv({ SYSTEM_MESSAGE_ENCRYPTION_KEY: OLD_KEY }).activeKeyId).toBe(LEGACY_KEY_ID);
+    expect(() => SystemMessageKeyring.fromEnv({})).toThrow('environment variable is required');
+    expect(() => SystemMessageKeyring.fromEnv({ SYSTEM_MESSAGE_ENCRYPTION_KEYS: `a:${OLD_KEY},b:${NEW_KEY}` }))
+      .toThrow('SYSTEM_MESSAGE_ACTIVE_KEY_ID is required');
+  });
+
+  test('should keep accepting a single key in the manager constructor', () => {
+    const manager = new SecureSystemMessageManager({}, OLD_KEY);
+
+    expect(manager.keyring.activeKeyId).toBe(LEGACY_KEY_ID);
+    expect(manager.decryptContent(LEGACY_ENVELOPE)).toBe('Hello legacy world');
+    expect(manager.decryptContent(manager.encryptContent('round trip'))).toBe('round trip');
+  });
+
+  test('should re-encrypt in resumable batches and retire the old key', async () => {
+    const keyring = rotatedKeyring();
+    const tables = { system_message_content: contentRows(keyring), system_message_reencryption_jobs: [], system_message_keys: [] };
+    const manager = new SecureSystemMessageManager(fakeSupabase(tables), keyring);
+
+    // Interrupted after the first batch
+    const partial = await manager.reencryptAll({ batchSize: 2, maxBatches: 1 });
+    expect(partial).toEqual(expect.objectContaining({ status: 'running', cursor: 'c-2', processed: 2 }));
+    await expect(manager.retireKey(LEGACY_KEY_ID)).rejects.toThrow('still encrypts 1 rows');
+
+    const progress = [];
+    const job = await manager.reencryptAll({ batchSize: 2, onProgress: p => progress.push(p.processed) });
+    expect(job).toEqual(expect.objectContaining({ id: partial.id, status: 'completed', processed: 3, failed: 0 }));
+    expect(progress).toEqual([3]);
+    expect(tables.system_message_reencryption_jobs).toHaveLength(1);
+
+    tables.system_message_content.forEach(row => {
+      expect(row.key_id).toBe('2025-11');
+      expect(keyring.getKeyId(row.content)).toBe('2025-11');
+    });
+    expect(keyring.decrypt(tables.system_message_content[0].content).content).toBe('Hello legacy world');
+    expect(keyring.decrypt(tables.system_message_content[2].content).content).toBe('already rotated');
+
+    await expect(manager.retireKey('2025-11')).rejects.toThrow('is the active key');
+    await expect(manager.retireKey(LEGACY_KEY_ID)).resolves.toEqual(expect.objectContaining({ keyId: LEGACY_KEY_ID }));
+    expect(tables.system_message_keys).toEqual(expect.arrayContaining([
+      expect.objectContaining({ key_id: '2025-11', status: 'active' }),
+      expect.objectContaining({ key_id: LEGACY_KEY_ID, status: 'retired' })
+    ]));
+  });
+
+  test('should leave rows it cannot decrypt and report them', async () => {
+    const keyring = new SystemMessageKeyring({ keys: { '2025-11': NEW_KEY } });
+    const tables = {
+      system_message_content: [{ id: 'c-1', key_id: LEGACY_KEY_ID, content: LEGACY_ENVELOPE }],
+      system_message_reencryption_jobs: [],
+      system_message_keys: []
+    };
+    const manager = new SecureSystemMessageManager(fakeSupabase(tables), keyring);
+
+    const job = await manager.reencryptAll();
+
+    expect(job.status).toBe('completed_with_errors');
+    expect(job.errors).toEqual([{ id: 'c-1', keyId: LEGACY_KEY_ID, error: 'Decryption key "legacy" is not in the keyring' }]);
+    expect(tables.system_message_content[0].content).toBe(LEGACY_ENVELOPE);
+    await expect(manager.retireKey(LEGACY_KEY_ID)).rejects.toThrow('still encrypts 1 rows');
+  });
+});
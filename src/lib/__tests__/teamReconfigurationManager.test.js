@@ -0,0 +1,191 @@
+import { supabase } from '../customSupabaseClient';
+import { TeamReconfigurationManager } from '../teamReconfigurationManager';
+import { createFakeSupabase } from '../../tests/fakeSupabase';
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+jest.mock('../labelSyncValidator.js', () => ({ FolderIntegrationManager: jest.fn() }));
+jest.mock('../multiBusinessTemplateAggregator.js', () => ({ universalTemplateManager: {} }));
+
+const oldTeam = {
+  managers: [
+    { name: 'Mark Johnson', email: 'mark@acme.com', roles: ['sales_manager'] },
+    { name: 'Jillian', email: '', roles: ['service_manager'] },
+    { name: 'Sarah Lee', email: 'sarah@acme.com', roles: ['sales_manager'] }
+  ],
+  suppliers: [{ name: 'StrongSpas', domains: ['strongspas.com'] }]
+};
+
+const newTeam = {
+  managers: [oldTeam.managers[1], oldTeam.managers[2]],
+  suppliers: []
+};
+
+const profileRow = () => ({
+  managers: oldTeam.managers,
+  suppliers: oldTeam.suppliers,
+  email_provider: 'gmail',
+  email_labels: {
+    MANAGER: { sub: ['Unassigned', 'Mark Johnson', 'Jillian', 'Sarah Lee'] },
+    SUPPLIERS: { sub: ['StrongSpas', 'AquaSpaPoolSupply'] }
+  },
+  n8n_workflow_config: {
+    nodes: [{
+      id: 'ai-classifier',
+      name: 'AI Master Classifier',
+      type: '@n8n/n8n-nodes-langchain.agent',
+      parameters: { options: { systemMessage: 'Route sales to Mark Johnson.\nParts come from StrongSpas.\nService goes to Jillian.' } }
+    }],
+    settings: { routingRules: { parts: ['StrongSpas orders', 'AquaSpaPoolSupply orders'] } }
+  }
+});
+
+/**
+ * Shared Supabase fake answering every query through respond(call)
+ */
+const fakeSupabase = (respond) => {
+  const client = createFakeSupabase({}, { respond });
+  supabase.from.mockImplementation(client.from);
+  return client.calls;
+};
+
+const planResponder = (state) => {
+  if (state.table === 'profiles') return { data: profileRow(), error: null };
+  if (state.table === 'email_logs' && state.head) {
+    const match = state.filters.find(([op]) => op === 'contains')[2];
+    return { count: match.assigned_to === 'mark@acme.com' ? 3 : 1, error: null };
+  }
+  return { data: null, error: null };
+};
+
+describe('TeamReconfigurationManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new TeamReconfigurationManager('user-1');
+    global.fetch = jest.fn();
+  });
+
+  test('should return a plan without changing anything until confirmed', async () => {
+    const calls = fakeSupabase(planResponder);
+
+    const { requiresConfirmation, plan } = await manager.handleTeamReconfiguration(oldTeam, newTeam);
+
+    expect(requiresConfirmation).toBe(true);
+    expect(calls.filter(call => call.op !== 'select')).toEqual([]);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    expect(plan.removedManagers.map(m => m.name)).toEqual(['Mark Johnson']);
+    expect(plan.labels).toEqual([
+      { type: 'manager', name: 'Mark Johnson', label: 'Mark Johnson', action: 'remove', reassignTo: { type: 'unassigned', name: 'Unassigned' } },
+      { type: 'supplier', name: 'StrongSpas', label: 'StrongSpas', action: 'remove', reassignTo: null }
+    ]);
+    expect(plan.emailReassignments).toEqual([
+      { type: 'manager', name: 'Mark Johnson', match: { assigned_to: 'mark@acme.com' }, count: 3, to: { name: 'Sarah Lee', email: 'sarah@acme.com' } },
+      { type: 'supplier', name: 'StrongSpas', match: { supplier: 'StrongSpas' }, count: 1, to: null }
+    ]);
+    expect(plan.promptChanges[0].removed).toEqual(['Route sales to Mark Johnson.', 'Parts come from StrongSpas.']);
+    expect(plan.ruleChanges.map(rule => rule.key)).toEqual(['routingRules']);
+
+    // The snapshot used for undo is left untouched by the planned rewrites
+    expect(plan.snapshot).toEqual(expect.objectContaining({
+      email_labels: profileRow().email_labels,
+      n8n_workflow_config: profileRow().n8n_workflow_config
+    }));
+    expect(plan.next.email_labels.MANAGER.sub).toEqual(['Unassigned', 'Jillian', 'Sarah Lee']);
+  });
+
+  test('should not match every label for a manager without an email', () => {
+    const labels = profileRow().email_labels;
+
+    expect(manager.findManagerLabels(labels, { name: 'Jillian', email: '' })).toEqual(['Jillian']);
+    expect(manager.identifyRemovedManagers(
+      [{ name: 'Jillian', email: '' }, { name: 'Tom', email: '' }],
+      [{ name: 'Jillian', email: '' }]
+    )).toEqual([{ name: 'Tom', email: '' }]);
+  });
+
+  test('should apply a confirmed plan and journal what undo needs', async () => {
+    fakeSupabase(planResponder);
+    const { plan } = await manager.handleTeamReconfiguration(oldTeam, newTeam);
+
+    const calls = fakeSupabase((state) => {
+      if (state.table === 'oauth_tokens') return { data: { access_token: 'token' }, error: null };
+      if (state.table === 'email_logs' && state.op === 'select') {
+        return { data: [{ id: 'log-1', meta: { assigned_to: 'mark@acme.com', priority: 'high' } }], error: null };
+      }
+      if (state.table === 'team_reconfiguration_journal') {
+        return { data: { id: 'journal-1', undo_expires_at: '2025-11-10T00:00:00Z' }, error: null };
+      }
+      return { data: null, error: null };
+    });
+    global.fetch.mockImplementation(async (url, options = {}) => {
+      if (options.method === 'DELETE') return { ok: true };
+      if (url.includes('/messages?')) return { ok: true, json: async () => ({ messages: [{ id: 'm1' }, { id: 'm2' }] }) };
+      return { ok: true, json: async () => ({ labels: [{ id: 'Label_1', name: 'Mark Johnson' }, { id: 'Label_2', name: 'StrongSpas' }] }) };
+    });
+
+    const result = await manager.handleTeamReconfiguration(oldTeam, newTeam, { confirmed: true, plan });
+
+    expect(result.journalId).toBe('journal-1');
+    expect(result.labelCleanup.removed).toHaveLength(2);
+    expect(result.failures).toEqual([]);
+
+    const logUpdate = calls.find(call => call.table === 'email_logs' && call.op === 'update');
+    expect(logUpdate.payload.meta).toEqual({ assigned_to: 'sarah@acme.com', priority: 'high' });
+
+    const journal = calls.find(call => call.table === 'team_reconfiguration_journal').payload;
+    expect(journal.label_entries[0]).toEqual(expect.objectContaining({
+      provider: 'gmail', label: 'Mark Johnson', labelId: 'Label_1', messageIds: ['m1', 'm2']
+    }));
+    expect(journal.email_log_entries).toContainEqual({ id: 'log-1', key: 'assigned_to', previous: 'mark@acme.com' });
+    expect(journal.snapshot.managers).toEqual(oldTeam.managers);
+  });
+
+  test('should refuse to undo outside the undo window', async () => {
+    fakeSupabase(() => ({
+      data: { id: 'journal-1', status: 'applied', undo_expires_at: '2020-01-01T00:00:00Z' },
+      error: null
+    }));
+
+    await expect(manager.undoReconfiguration('journal-1')).rejects.toThrow('undo window');
+  });
+
+  test('should restore labels, email assignments and the team snapshot', async () => {
+    const entry = {
+      id: 'journal-1',
+      status: 'applied',
+      undo_expires_at: new Date(Date.now() + 60000).toISOString(),
+      snapshot: { managers: oldTeam.managers, suppliers: oldTeam.suppliers, email_labels: profileRow().email_labels },
+      label_entries: [{ provider: 'gmail', label: 'Mark Johnson', labelId: 'Label_1', messageIds: ['m1'] }],
+      email_log_entries: [{ id: 'log-1', key: 'assigned_to', previous: 'mark@acme.com' }]
+    };
+    const calls = fakeSupabase((state) => {
+      if (state.table === 'team_reconfiguration_journal' && state.op === 'select') {
+        return state.columns === '*' ? { data: entry, error: null } : { data: [entry], error: null };
+      }
+      if (state.table === 'oauth_tokens') return { data: { access_token: 'token' }, error: null };
+      if (state.table === 'email_logs' && state.op === 'select') {
+        return { data: { meta: { assigned_to: 'sarah@acme.com', priority: 'high' } }, error: null };
+      }
+      return { data: null, error: null };
+    });
+    global.fetch.mockImplementation(async (url, options = {}) => {
+      if (options.method === 'POST' && url.endsWith('/labels')) return { ok: true, json: async () => ({ id: 'Label_9' }) };
+      if (options.method === 'POST') return { ok: true };
+      return { ok: true, json: async () => ({ labels: [] }) };
+    });
+
+    const result = await manager.undoReconfiguration('journal-1');
+
+    expect(result).toEqual(expect.objectContaining({ restoredLabels: ['Mark Johnson'], restoredEmails: 1, failures: [] }));
+    expect(JSON.parse(global.fetch.mock.calls.find(([url]) => url.includes('batchModify'))[1].body))
+      .toEqual({ ids: ['m1'], addLabelIds: ['Label_9'] });
+    expect(calls.find(call => call.table === 'email_logs' && call.op === 'update').payload.meta)
+      .toEqual({ assigned_to: 'mark@acme.com', priority: 'high' });
+    expect(calls.find(call => call.table === 'profiles').payload.managers).toEqual(oldTeam.managers);
+    expect(calls.filter(call => call.table === 'team_reconfiguration_journal' && call.op === 'update')[0].payload.status).toBe('undone');
+  });
+});
@@ -0,0 +1,124 @@
+import { supabase } from '../customSupabaseClient';
+import { TemplateBandit } from '../templateBandit';
+import { createFakeSupabase } from '../../tests/fakeSupabase';
+
+jest.mock('../logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../customSupabaseClient', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+const arm = (templateId, successes, failures) => ({ id: `arm-${templateId}`, template_id: templateId, successes, failures });
+
+describe('TemplateBandit', () => {
+  let bandit;
+
+  beforeEach(() => {
+    bandit = new TemplateBandit();
+  });
+
+  test('should shift traffic toward the better-accepted template', () => {
+    const { probabilities } = bandit.calculateAllocation([arm('a', 20, 80), arm('b', 60, 40)], 0);
+
+    expect(probabilities.b).toBeGreaterThan(0.99);
+    expect(probabilities.a + probabilities.b).toBeCloseTo(1, 8);
+  });
+
+  test('should keep the exploration floor for losing templates', () => {
+    const { probabilities, posteriorMeans } = bandit.calculateAllocation(
+      [arm('a', 5, 95), arm('b', 90, 10), arm('c', 4, 96)],
+      0.1
+    );
+
+    expect(probabilities.a).toBeGreaterThanOrEqual(0.1);
+    expect(probabilities.c).toBeGreaterThanOrEqual(0.1);
+    expect(probabilities.b).toBeLessThanOrEqual(0.8 + 1e-9);
+    expect(posteriorMeans.b).toBeCloseTo(91 / 102, 8);
+  });
+
+  test('should split traffic evenly before any feedback', () => {
+    const { probabilities } = bandit.calculateAllocation([arm('a', 0, 0), arm('b', 0, 0)]);
+
+    expect(probabilities.a).toBeCloseTo(0.5, 1);
+    expect(probabilities.b).toBeCloseTo(0.5, 1);
+  });
+
+  test('should sample arms by allocation probability', () => {
+    bandit.random = () => 0.35;
+    expect(bandit.sampleArm({ a: 0.3, b: 0.5, c: 0.2 })).toBe('b');
+
+    bandit.random = () => 0.95;
+    expect(bandit.sampleArm({ a: 0.3, b: 0.5, c: 0.2 })).toBe('c');
+  });
+});
+
+describe('TemplateBandit allocation and reward', () => {
+  let bandit;
+  let client;
+
+  beforeEach(() => {
+    bandit = new TemplateBandit();
+    client = createFakeSupabase({
+      template_bandits: [{ id: 'bandit-1', user_id: 'user-1', category: 'SALES', status: 'active', exploration_floor: 0 }],
+      template_bandit_arms: [
+        { id: 'arm-a', bandit_id: 'bandit-1', template_id: 'a', successes: 0, failures: 0, pulls: 0 },
+        { id: 'arm-b', bandit_id: 'bandit-1', template_id: 'b', successes: 0, failures: 0, pulls: 0 },
+        { id: 'arm-retired', bandit_id: 'bandit-1', template_id: 'retired', successes: 0, failures: 0, pulls: 0 }
+      ],
+      response_templates: [
+        { id: 'a', user_id: 'user-1', enabled: true },
+        { id: 'b', user_id: 'user-1', enabled: true },
+        { id: 'retired', user_id: 'user-1', enabled: false }
+      ],
+      template_bandit_allocations: []
+    });
+    supabase.from.mockImplementation(client.from);
+  });
+
+  const armFor = (templateId) => client.tables.template_bandit_arms.find(arm => arm.template_id === templateId);
+
+  test('should record the allocation for the email and count the pull', async () => {
+    bandit.random = () => 0.99;
+
+    const allocation = await bandit.selectTemplate('user-1', 'SALES', 'msg-1');
+
+    expect(allocation).toEqual(expect.objectContaining({ allocationId: 'template_bandit_allocations-1', templateId: 'b' }));
+    expect(client.tables.template_bandit_allocations[0]).toMatchObject({ bandit_id: 'bandit-1', email_id: 'msg-1', template_id: 'b' });
+    expect(armFor('b').pulls).toBe(1);
+    expect(Object.keys(client.tables.template_bandit_allocations[0].allocation_probabilities)).toEqual(['a', 'b']);
+  });
+
+  test('should not allocate when the category has no bandit', async () => {
+    await expect(bandit.selectTemplate('user-1', 'SUPPORT', 'msg-1')).resolves.toBeNull();
+    expect(client.tables.template_bandit_allocations).toEqual([]);
+  });
+
+  test('should reward an allocation once, against its acceptance threshold', async () => {
+    client.tables.template_bandit_allocations.push(
+      { id: 'alloc-1', user_id: 'user-1', bandit_id: 'bandit-1', category: 'SALES', template_id: 'a', template_bandits: { acceptance_threshold: 0.8 } },
+      { id: 'alloc-2', user_id: 'user-1', bandit_id: 'bandit-1', category: 'SALES', template_id: 'b', template_bandits: { acceptance_threshold: 0.8 } }
+    );
+
+    await expect(bandit.recordReward('user-1', 'alloc-1', 0.9)).resolves.toEqual({ success: true, accepted: true, templateId: 'a' });
+    await expect(bandit.recordReward('user-1', 'alloc-2', 0.5)).resolves.toEqual({ success: true, accepted: false, templateId: 'b' });
+    await expect(bandit.recordReward('user-1', 'alloc-1', 0.9)).resolves.toMatchObject({ skipped: true });
+
+    expect(armFor('a')).toMatchObject({ successes: 1, failures: 0 });
+    expect(armFor('b')).toMatchObject({ successes: 0, failures: 1 });
+    expect(client.tables.template_bandit_allocations[0]).toMatchObject({ accepted: true, edit_similarity: 0.9 });
+  });
+
+  test('should not reward another user\'s allocation', async () => {
+    client.tables.template_bandit_allocations.push({ id: 'alloc-1', user_id: 'user-2', bandit_id: 'bandit-1', template_id: 'a' });
+
+    await expect(bandit.recordReward('user-1', 'alloc-1', 1)).resolves.toMatchObject({ success: false });
+    expect(armFor('a').successes).toBe(0);
+  });
+});
@@ -0,0 +1,155 @@
+import { describeWorkflowDiff, diffLines, diffWorkflows, stripServerGeneratedNodes } from '../workflowDiff';
+
+const baseWorkflow = () => ({
+  name: 'Acme Spas Email Automation',
+  settings: { executionOrder: 'v1' },
+  nodes: [
+    {
+      id: 'trigger',
+      name: 'Email Trigger',
+      type: 'n8n-nodes-base.gmailTrigger',
+      typeVersion: 1,
+      position: [0, 0],
+      parameters: { pollTimes: { item: [{ mode: 'everyMinute' }] } },
+      credentials: { gmailOAuth2: { id: 'cred-old', name: 'Acme Gmail' } }
+    },
+    {
+      id: 'classifier',
+      name: 'AI Master Classifier',
+      type: '@n8n/n8n-nodes-langchain.agent',
+      typeVersion: 1.7,
+      position: [200, 0],
+      parameters: {
+        text: '={{ $json.body }}',
+        options: { systemMessage: 'You classify emails.\n### Categories:\nSales\nSupport' }
+      }
+    },
+    {
+      id: 'label',
+      name: 'Apply Label',
+      type: 'n8n-nodes-base.gmail',
+      typeVersion: 2,
+      position: [400, 0],
+      parameters: { operation: 'addLabels' }
+    }
+  ],
+  connections: {
+    'Email Trigger': { main: [[{ node: 'AI Master Classifier', type: 'main', index: 0 }]] },
+    'AI Master Classifier': { main: [[{ node: 'Apply Label', type: 'main', index: 0 }]] }
+  }
+});
+
+describe('workflowDiff', () => {
+  test('should report no changes for identical workflows, ignoring layout', () => {
+    const next = baseWorkflow();
+    next.nodes[0].position = [50, 80];
+    next.nodes[0].webhookId = 'abc';
+
+    const diff = diffWorkflows(baseWorkflow(), next);
+
+    expect(diff.hasChanges).toBe(false);
+    expect(describeWorkflowDiff(diff)).toBe('No changes - the deployed workflow already matches');
+  });
+
+  test('should treat a missing deployed workflow as a fresh deployment', () => {
+    const diff = diffWorkflows(null, baseWorkflow());
+
+    expect(diff.summary.isNewDeployment).toBe(true);
+    expect(diff.hasChanges).toBe(true);
+    expect(diff.nodes.added).toHaveLength(3);
+  });
+
+  test('should report added and removed nodes with their connections', () => {
+    const next = baseWorkflow();
+    next.nodes = next.nodes.filter(node => node.name !== 'Apply Label');
+    next.nodes.push({ id: 'draft', name: 'Create Draft', type: 'n8n-nodes-base.gmail', parameters: { operation: 'draft' } });
+    next.connections['AI Master Classifier'] = { main: [[{ node: 'Create Draft', type: 'main', index: 0 }]] };
+
+    const diff = diffWorkflows(baseWorkflow(), next);
+
+    expect(diff.nodes.added).toEqual([{ name: 'Create Draft', type: 'n8n-nodes-base.gmail' }]);
+    expect(diff.nodes.removed).toEqual([{ name: 'Apply Label', type: 'n8n-nodes-base.gmail' }]);
+    expect(diff.connections.added).toEqual([{ from: 'AI Master Classifier', output: 0, to: 'Create Draft', type: 'main', index: 0 }]);
+    expect(diff.connections.removed).toEqual([{ from: 'AI Master Classifier', output: 0, to: 'Apply Label', type: 'main', index: 0 }]);
+  });
+
+  test('should report prompt text changes line by line', () => {
+    const next = baseWorkflow();
+    next.nodes[1].parameters.options.systemMessage = 'You classify emails.\n### Categories:\nSales\nBanking';
+
+    const diff = diffWorkflows(baseWorkflow(), next);
+
+    expect(diff.prompts).toEqual([expect.objectContaining({
+      node: 'AI Master Classifier',
+      field: 'parameters.options.systemMessage',
+      added: ['Banking'],
+      removed: ['Support']
+    })]);
+    expect(diff.nodes.changed).toHaveLength(0);
+  });
+
+  test('should report credential swaps and parameter changes separately', () => {
+    const next = baseWorkflow();
+    next.nodes[0].credentials.gmailOAuth2 = { id: 'cred-new', name: 'Acme Gmail (reconnected)' };
+    next.nodes[2].parameters.operation = 'removeLabels';
+    next.nodes[2].typeVersion = 2.1;
+
+    const diff = diffWorkflows(baseWorkflow(), next);
+
+    expect(diff.credentials).toEqual([{
+      node: 'Email Trigger',
+      credentialType: 'gmailOAuth2',
+      before: { id: 'cred-old', name: 'Acme Gmail' },
+      after: { id: 'cred-new', name: 'Acme Gmail (reconnected)' }
+    }]);
+    expect(diff.nodes.changed).toEqual([{
+      name: 'Apply Label',
+      type: 'n8n-nodes-base.gmail',
+      changes: [
+        { path: 'typeVersion', before: 2, after: 2.1 },
+        { path: 'parameters.operation', before: 'addLabels', after: 'removeLabels' }
+      ]
+    }]);
+    expect(describeWorkflowDiff(diff)).toBe('1 node(s) changed, 1 credential swap(s)');
+  });
+
+  test('should detect renamed nodes by id', () => {
+    const next = baseWorkflow();
+    next.nodes[2].name = 'Apply Gmail Label';
+    next.connections['AI Master Classifier'].main[0][0].node = 'Apply Gmail Label';
+
+    const diff = diffWorkflows(baseWorkflow(), next);
+
+    expect(diff.nodes.renamed).toEqual([{ from: 'Apply Label', to: 'Apply Gmail Label', type: 'n8n-nodes-base.gmail' }]);
+    expect(diff.nodes.added).toHaveLength(0);
+    expect(diff.nodes.removed).toHaveLength(0);
+  });
+
+  test('should not report nodes and prompt sections deploy-n8n adds as removals', () => {
+    // Deployed copy as the Edge Function leaves it: PII nodes around the agent plus the department block
+    const deployed = baseWorkflow();
+    deployed.nodes[1].parameters.options.systemMessage += '\n\n━━━━━━\n🎯 DEPARTMENT SCOPE RESTRICTION - CRITICAL\n━━━━━━\n\nTHIS WORKFLOW HANDLES: Sales';
+    deployed.nodes.push(
+      { id: 'redact', name: 'Redact PII: AI Master Classifier', type: 'n8n-nodes-base.code', parameters: { jsCode: '// redact' } },
+      { id: 'restore', name: 'Restore PII: AI Master Classifier', type: 'n8n-nodes-base.code', parameters: { jsCode: '// restore' } }
+    );
+    deployed.connections = {
+      'Email Trigger': { main: [[{ node: 'Redact PII: AI Master Classifier', type: 'main', index: 0 }]] },
+      'Redact PII: AI Master Classifier': { main: [[{ node: 'AI Master Classifier', type: 'main', index: 0 }]] },
+      'AI Master Classifier': { main: [[{ node: 'Restore PII: AI Master Classifier', type: 'main', index: 0 }]] },
+      'Restore PII: AI Master Classifier': { main: [[{ node: 'Apply Label', type: 'main', index: 0 }]] }
+    };
+
+    expect(diffWorkflows(deployed, baseWorkflow()).summary.nodesRemoved).toBe(2);
+
+    const diff = diffWorkflows(stripServerGeneratedNodes(deployed), baseWorkflow());
+    expect(diff.hasChanges).toBe(false);
+    expect(deployed.nodes).toHaveLength(5);
+    expect(stripServerGeneratedNodes(null)).toBeNull();
+  });
+
+  test('should diff lines in order', () => {
+    expect(diffLines('a\nb\nc', 'a\nc\nd')).toEqual({ added: ['d'], removed: ['b'] });
+    expect(diffLines('', 'new')).toEqual({ added: ['new'], removed: [''] });
+  });
+});
@@ -0,0 +1,358 @@
+/**
+ * A/B Test Statistics
+ * Frequentist and Bayesian tests for conversion-style metrics (reply rate,
+ * acceptance rate) used by TemplateABTesting:
+ *   - two-proportion z-test with a confidence interval on the difference
+ *   - beta-binomial posteriors, P(variant beats control) and P(variant is best)
+ *   - O'Brien-Fleming-type alpha spending so interim looks do not inflate
+ *     the false-positive rate
+ *   - per-variant sample size for a target minimum detectable effect
+ */
+
+// ============================================================================
+// Distributions
+// ============================================================================
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+ */
+export const normalCdf = (z) => {
+  const sign = z < 0 ? -1 : 1;
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return 0.5 * (1 + sign * erf);
+};
+
+/**
+ * Standard normal quantile (Acklam's rational approximation)
+ */
+export const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+export const logGamma = (x) => {
+  const g = 7;
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  const shifted = x - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < g + 2; i++) {
+    sum += coefficients[i] / (shifted + i);
+  }
+  const t = shifted + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+const logBeta = (a, b) => logGamma(a) + logGamma(b) - logGamma(a + b);
+
+// Continued fraction for the incomplete beta function (Numerical Recipes betacf)
+const betaContinuedFraction = (x, a, b) => {
+  const maxIterations = 300;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+
+  return h;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b), i.e. the Beta(a, b) CDF
+ */
+export const betaCdf = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - logBeta(a, b));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+/**
+ * Beta(a, b) quantile by bisection on betaCdf
+ */
+export const betaQuantile = (p, a, b) => {
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (betaCdf(mid, a, b) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// ============================================================================
+// Frequentist
+// ============================================================================
+
+/**
+ * Two-sided two-proportion z-test of treatment against control
+ * @param {Object} control - { successes, trials }
+ * @param {Object} treatment - { successes, trials }
+ * @param {number} confidence - Confidence for the interval on the difference
+ * @returns {Object} rates, absolute and relative lift, z, pValue and confidence interval
+ */
+export const twoProportionZTest = (control, treatment, confidence = 0.95) => {
+  const p1 = control.trials > 0 ? control.successes / control.trials : 0;
+  const p2 = treatment.trials > 0 ? treatment.successes / treatment.trials : 0;
+  const difference = p2 - p1;
+
+  const result = {
+    controlRate: p1,
+    treatmentRate: p2,
+    difference,
+    relativeLift: p1 > 0 ? difference / p1 : null,
+    z: 0,
+    pValue: 1,
+    confidenceInterval: [difference, difference]
+  };
+
+  if (control.trials === 0 || treatment.trials === 0) {
+    return result;
+  }
+
+  const pooled = (control.successes + treatment.successes) / (control.trials + treatment.trials);
+  const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / control.trials + 1 / treatment.trials));
+  const unpooledSe = Math.sqrt(p1 * (1 - p1) / control.trials + p2 * (1 - p2) / treatment.trials);
+  const zCritical = normalQuantile(1 - (1 - confidence) / 2);
+
+  if (pooledSe > 0) {
+    result.z = difference / pooledSe;
+    result.pValue = Math.min(1, 2 * (1 - normalCdf(Math.abs(result.z))));
+  }
+  result.confidenceInterval = [difference - zCritical * unpooledSe, difference + zCritical * unpooledSe];
+
+  return result;
+};
+
+/**
+ * Per-variant sample size to detect a relative lift over the baseline rate
+ * @param {Object} params
+ * @param {number} params.baselineRate - Expected control rate (0-1)
+ * @param {number} params.minimumDetectableEffect - Relative lift to detect, e.g. 0.2 for +20%
+ * @param {number} [params.alpha=0.05] - Two-sided significance level
+ * @param {number} [params.power=0.8] - Statistical power
+ * @param {number} [params.variantCount=2] - Including control; alpha is Bonferroni-split across comparisons
+ * @returns {number} Required trials per variant
+ */
+export const calculateRequiredSampleSize = ({ baselineRate, minimumDetectableEffect, alpha = 0.05, power = 0.8, variantCount = 2 }) => {
+  const p1 = baselineRate;
+  const p2 = Math.min(0.9999, baselineRate * (1 + minimumDetectableEffect));
+  const delta = Math.abs(p2 - p1);
+  if (!(p1 > 0 && p1 < 1) || delta === 0) {
+    throw new Error('Baseline rate must be between 0 and 1 and the detectable effect non-zero');
+  }
+
+  const comparisons = Math.max(1, variantCount - 1);
+  const zAlpha = normalQuantile(1 - alpha / comparisons / 2);
+  const zBeta = normalQuantile(power);
+  const pBar = (p1 + p2) / 2;
+
+  const numerator = zAlpha * Math.sqrt(2 * pBar * (1 - pBar)) + zBeta * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2));
+  return Math.ceil((numerator * numerator) / (delta * delta));
+};
+
+// ============================================================================
+// Sequential testing
+// ============================================================================
+
+/**
+ * Cumulative alpha spent at an information fraction (Lan-DeMets O'Brien-Fleming type).
+ * Spends almost nothing early, so peeking at small samples cannot declare a winner.
+ */
+export const obrienFlemingAlphaSpent = (informationFraction, alpha = 0.05) => {
+  const t = Math.min(1, Math.max(0, informationFraction));
+  if (t === 0) return 0;
+  return Math.min(alpha, 2 - 2 * normalCdf(normalQuantile(1 - alpha / 2) / Math.sqrt(t)));
+};
+
+/**
+ * Nominal significance threshold for the current interim look.
+ * Each look may use only the alpha newly spent since the previous look
+ * (a conservative union bound), so the overall false-positive rate stays at alpha.
+ * @param {Object} params
+ * @param {number} params.informationFraction - Current sample / planned sample
+ * @param {number} [params.previousAlphaSpent=0] - Cumulative alpha spent at the last look
+ * @param {number} [params.alpha=0.05] - Overall two-sided alpha
+ * @returns {Object} alphaSpent (cumulative), nominalAlpha for this look and the matching z boundary
+ */
+export const sequentialBoundary = ({ informationFraction, previousAlphaSpent = 0, alpha = 0.05 }) => {
+  const alphaSpent = Math.max(previousAlphaSpent, obrienFlemingAlphaSpent(informationFraction, alpha));
+  const nominalAlpha = Math.max(0, alphaSpent - previousAlphaSpent);
+
+  return {
+    informationFraction: Math.min(1, informationFraction),
+    alphaSpent,
+    nominalAlpha,
+    zBoundary: nominalAlpha > 0 ? normalQuantile(1 - nominalAlpha / 2) : Infinity
+  };
+};
+
+// ============================================================================
+// Bayesian
+// ============================================================================
+
+/**
+ * Beta posterior for a binomial rate
+ * @param {number} successes
+ * @param {number} trials
+ * @param {Object} prior - { alpha, beta }, uniform by default
+ * @param {number} credibleMass - Width of the equal-tailed credible interval
+ */
+export const betaPosterior = (successes, trials, prior = { alpha: 1, beta: 1 }, credibleMass = 0.95) => {
+  const alpha = prior.alpha + successes;
+  const beta = prior.beta + (trials - successes);
+  const tail = (1 - credibleMass) / 2;
+
+  return {
+    alpha,
+    beta,
+    mean: alpha / (alpha + beta),
+    credibleInterval: [betaQuantile(tail, alpha, beta), betaQuantile(1 - tail, alpha, beta)]
+  };
+};
+
+/**
+ * Exact P(rate_B > rate_A) for Beta posteriors with integer B alpha (Evan Miller's closed form)
+ */
+export const probabilityBBeatsA = (posteriorA, posteriorB) => {
+  const { alpha: aA, beta: bA } = posteriorA;
+  const { alpha: aB, beta: bB } = posteriorB;
+
+  if (!Number.isInteger(aB)) {
+    throw new Error('probabilityBBeatsA requires an integer alpha for B');
+  }
+
+  let total = 0;
+  for (let i = 0; i < aB; i++) {
+    total += Math.exp(logBeta(aA + i, bA + bB) - Math.log(bB + i) - logBeta(1 + i, bB) - logBeta(aA, bA));
+  }
+  return Math.min(1, Math.max(0, total));
+};
+
+// Small seeded PRNG so Monte Carlo results are reproducible
+const mulberry32 = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const sampleStandardNormal = (random) => {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Marsaglia-Tsang gamma sampler (shape >= 1; boosted for shape < 1)
+const sampleGamma = (shape, random) => {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  while (true) {
+    let x;
+    let v;
+    do {
+      x = sampleStandardNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+};
+
+/**
+ * Monte Carlo P(each variant has the highest rate) and expected loss of choosing it
+ * @param {Array<Object>} posteriors - Beta posteriors
+ * @param {Object} options - draws and seed
+ * @returns {Object} probabilityBest and expectedLoss arrays, aligned with posteriors
+ */
+export const probabilityBest = (posteriors, { draws = 20000, seed = 42 } = {}) => {
+  const random = mulberry32(seed);
+  const wins = new Array(posteriors.length).fill(0);
+  const loss = new Array(posteriors.length).fill(0);
+
+  for (let n = 0; n < draws; n++) {
+    const samples = posteriors.map(({ alpha, beta }) => {
+      const x = sampleGamma(alpha, random);
+      const y = sampleGamma(beta, random);
+      return x / (x + y);
+    });
+    const max = Math.max(...samples);
+    wins[samples.indexOf(max)]++;
+    samples.forEach((sample, i) => { loss[i] += max - sample; });
+  }
+
+  return {
+    probabilityBest: wins.map(count => count / draws),
+    expectedLoss: loss.map(total => total / draws)
+  };
+};
@@ -18,6 +18,9 @@ export class AdvancedEmailProcessor extends EmailProcessor {
     this.contentAnalyzer = new EmailContentAnalyzer();
     this.threading = new EmailThreading();
     this.attachmentProcessor = new AttachmentProcessor();
+    if (import.meta.env.VITE_CLAMAV_ENABLED === 'true') {
+      this.attachmentProcessor.enableClamAv();
+    }
     this.optimizer = new EmailOptimizer();
     this.processingCache = new Map();
     this.performanceMetrics = new Map();
@@ -50,6 +53,8 @@ export class AdvancedEmailProcessor extends EmailProcessor {
         ...parsedData,
         threadInfo,
         attachmentData,
+        attachmentText: attachmentData.extractedText || '',
+        attachmentReferences: attachmentData.references || null,
         processingMetadata: {
           parsedAt: new Date().toISOString(),
           processingVersion: '2.0',
@@ -110,6 +115,9 @@ export class AdvancedEmailProcessor extends EmailProcessor {
       const analysis = await this.contentAnalyzer.analyze(emailData);
       
       return {
+        // Envelope and threading identifiers
+        ...this.extractEnvelope(emailData),
+
         // Basic parsing
         subject: this.parseSubject(emailData.subject),
         body: this.parseBody(emailData.body),
@@ -568,6 +576,23 @@ export class AdvancedEmailProcessor extends EmailProcessor {
     }
   }
 
+  /**
+   * Extract sender, recipients and threading headers used by EmailThreading
+   * @param {Object} emailData - Email data
+   * @returns {Object} Envelope fields
+   */
+  extractEnvelope(emailData) {
+    const threadingHeaders = this.threading.extractThreadingHeaders(emailData);
+
+    return {
+      from: emailData.from,
+      to: emailData.to,
+      cc: emailData.cc,
+      messageId: threadingHeaders.messageId,
+      threadingHeaders
+    };
+  }
+
   /**
    * Get basic parsed data as fallback
    * @param {Object} emailData - Email data
@@ -575,6 +600,7 @@ export class AdvancedEmailProcessor extends EmailProcessor {
    */
   getBasicParsedData(emailData) {
     return {
+      ...this.extractEnvelope(emailData),
       subject: this.parseSubject(emailData.subject),
       body: this.parseBody(emailData.body),
       htmlBody: this.parseHtmlBody(emailData.htmlBody),
@@ -5,6 +5,8 @@
 
 import { logger } from './logger.js';
 import { supabase } from './customSupabaseClient.js';
+import { formatRuleDslError, parseRuleDsl, toRuleDsl } from './ruleDsl.js';
+import { BusinessRulesEngine } from './businessRules.js';
 
 export class AdvancedRuleEngine {
   constructor() {
@@ -13,6 +15,7 @@ export class AdvancedRuleEngine {
     this.executionContext = new Map();
     this.performanceMetrics = new Map();
     this.debugMode = false;
+    this.businessRules = new BusinessRulesEngine();
   }
 
   /**
@@ -82,15 +85,20 @@ export class AdvancedRuleEngine {
    * @param {string} chainId - Chain identifier
    * @param {Object} emailData - Email data
    * @param {Object} context - Execution context
+   * @param {Object} options - Execution options
+   * @param {boolean} options.dryRun - Evaluate only: no rule actions, no execution log (used by backtests)
+   * @param {Object} options.chain - Unsaved chain configuration to run instead of loading chainId
+   * @param {Map} options.rules - Unsaved rules by id, checked before escalation_rules
    * @returns {Promise<Object>} Chain execution results
    */
-  async executeRuleChain(chainId, emailData, context = {}) {
+  async executeRuleChain(chainId, emailData, context = {}, options = {}) {
     const startTime = Date.now();
     const executionId = `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { dryRun = false } = options;
 
     try {
       // Get chain configuration
-      const chain = this.ruleChains.get(chainId) || await this.loadRuleChain(chainId);
+      const chain = options.chain || this.ruleChains.get(chainId) || await this.loadRuleChain(chainId);
       if (!chain) {
         throw new Error(`Rule chain not found: ${chainId}`);
       }
@@ -102,6 +110,8 @@ export class AdvancedRuleEngine {
         startTime,
         emailData,
         context: { ...context },
+        dryRun,
+        rules: options.rules || null,
         results: [],
         errors: [],
         metrics: {
@@ -141,10 +151,14 @@ export class AdvancedRuleEngine {
       const totalTime = Date.now() - startTime;
       executionContext.metrics.totalTime = totalTime;
 
-      // Store execution results
-      await this.storeExecutionResults(executionContext);
+      // Store execution results (dry runs leave no trace)
+      if (dryRun) {
+        this.executionContext.delete(executionId);
+      } else {
+        await this.storeExecutionResults(executionContext);
+      }
 
-      logger.info('Rule chain execution completed', {
+      logger[dryRun ? 'debug' : 'info']('Rule chain execution completed', {
         executionId,
         chainId,
         totalTime,
@@ -239,16 +253,19 @@ export class AdvancedRuleEngine {
     });
 
     // Wait for all rules to complete or timeout
+    let timeoutId;
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Parallel execution timeout')), chain.maxExecutionTime);
+      timeoutId = setTimeout(() => reject(new Error('Parallel execution timeout')), chain.maxExecutionTime);
     });
 
-    const results = await Promise.race([
-      Promise.all(rulePromises),
-      timeoutPromise
-    ]);
-
-    return results;
+    try {
+      return await Promise.race([
+        Promise.all(rulePromises),
+        timeoutPromise
+      ]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
   }
 
   /**
@@ -316,14 +333,9 @@ export class AdvancedRuleEngine {
 
     try {
       // Load rule configuration
-      const { data: rule, error } = await supabase
-        .from('escalation_rules')
-        .select('*')
-        .eq('id', ruleId)
-        .eq('enabled', true)
-        .single();
+      const rule = executionContext.rules?.get(ruleId) || await this.loadRule(ruleId);
 
-      if (error || !rule) {
+      if (!rule) {
         throw new Error(`Rule not found or disabled: ${ruleId}`);
       }
 
@@ -340,12 +352,13 @@ export class AdvancedRuleEngine {
         }
       };
 
-      // Simulate rule evaluation
       const conditionMet = await this.evaluateRuleCondition(rule, executionContext.emailData, executionContext.context);
       
       if (conditionMet) {
         ruleResult.data.triggered = true;
-        ruleResult.data.actionResult = await this.executeRuleAction(rule, executionContext);
+        ruleResult.data.actionResult = executionContext.dryRun
+          ? { action: rule.escalation_action || rule.actions, executed: false, dryRun: true }
+          : await this.executeRuleAction(rule, executionContext);
       } else {
         ruleResult.data.triggered = false;
       }
@@ -423,6 +436,38 @@ export class AdvancedRuleEngine {
     }
   }
 
+  /**
+   * Create a rule composition from rule DSL text (see ruleDsl.js for the grammar)
+   * @param {string} compositionId - Composition identifier
+   * @param {string} source - Rule text
+   * @param {Object} options - Name, description, priority, userId, metadata
+   * @returns {Promise<Object>} Created composition
+   */
+  async createRuleCompositionFromDsl(compositionId, source, options = {}) {
+    const { isValid, errors, composition } = parseRuleDsl(source);
+    if (!isValid) {
+      throw new Error(`Rule DSL validation failed: ${errors.map(formatRuleDslError).join('; ')}`);
+    }
+
+    return this.createRuleComposition(compositionId, {
+      ...options,
+      ...composition,
+      metadata: { ...options.metadata, dsl: toRuleDsl(composition) }
+    });
+  }
+
+  /**
+   * Get a stored rule composition as rule DSL text
+   * @param {string} compositionId - Composition identifier
+   * @returns {Promise<string|null>} Rule text
+   */
+  async getRuleCompositionDsl(compositionId) {
+    const composition = this.ruleCompositions.get(compositionId) ||
+                       await this.loadRuleComposition(compositionId);
+
+    return composition ? toRuleDsl(composition) : null;
+  }
+
   /**
    * Evaluate a rule composition
    * @param {string} compositionId - Composition identifier
@@ -579,6 +624,22 @@ export class AdvancedRuleEngine {
     return result;
   }
 
+  /**
+   * Load an enabled rule from escalation_rules
+   * @param {string} ruleId - Rule identifier
+   * @returns {Promise<Object|null>} Rule configuration
+   */
+  async loadRule(ruleId) {
+    const { data: rule, error } = await supabase
+      .from('escalation_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .eq('enabled', true)
+      .single();
+
+    return error ? null : rule;
+  }
+
   /**
    * Load rule chain from database
    * @param {string} chainId - Chain identifier
@@ -631,26 +692,81 @@ export class AdvancedRuleEngine {
    * Evaluate a condition within a composition
    * @param {Object} condition - Condition configuration
    * @param {Object} emailData - Email data
-   * @param {Object} context - Evaluation context
+   * @param {Object} context - Evaluation context (urgency, category, sentiment, isBusinessHours, lists)
    * @returns {Promise<boolean>} Condition result
    */
   async evaluateCompositionCondition(condition, emailData, context) {
-    // Simplified condition evaluation
-    // In a real implementation, this would parse and evaluate complex conditions
+    const result = await this.matchCompositionCondition(condition, emailData, context);
+    return condition.negate ? !result : result;
+  }
+
+  /**
+   * Match a condition before negation is applied
+   * @param {Object} condition - Condition configuration
+   * @param {Object} emailData - Email data
+   * @param {Object} context - Evaluation context
+   * @returns {Promise<boolean>} Condition result
+   */
+  async matchCompositionCondition(condition, emailData, context) {
+    const contains = (text) => (text || '').toLowerCase().includes(String(condition.value).toLowerCase());
+
     switch (condition.type) {
+      case 'group': {
+        const results = await Promise.all(
+          (condition.conditions || []).map(child => this.evaluateCompositionCondition(child, emailData, context))
+        );
+        return this.applyCompositionLogic(results, condition.logic);
+      }
       case 'subject_contains':
-        return (emailData.subject || '').toLowerCase().includes(condition.value.toLowerCase());
+        return contains(emailData.subject);
       case 'body_contains':
-        return (emailData.body || '').toLowerCase().includes(condition.value.toLowerCase());
+        return contains(emailData.body);
+      case 'keyword_match':
+        return contains(emailData.subject) || contains(emailData.body);
       case 'from_email':
-        return (emailData.from || '').toLowerCase() === condition.value.toLowerCase();
+        return this.compareConditionValue(emailData.from, condition, context);
+      case 'from_domain':
+        return this.compareConditionValue((emailData.from || '').split('@').pop(), condition, context);
       case 'urgency_level':
-        return context.urgency === condition.value;
+        return this.compareConditionValue(context.urgency, condition, context);
+      case 'category':
+        return this.compareConditionValue(context.category ?? emailData.category, condition, context);
+      case 'sentiment':
+        return this.compareConditionValue(context.sentiment, condition, context);
+      case 'business_hours':
+        return context.isBusinessHours === true;
+      case 'after_hours':
+        return context.isBusinessHours === false;
       default:
         return false;
     }
   }
 
+  /**
+   * Compare a value using the condition operator. Named lists
+   * ({ list: 'suppliers' }) are resolved from context.lists
+   * @param {*} actual - Value from the email or context
+   * @param {Object} condition - Condition with operator and value
+   * @param {Object} context - Evaluation context
+   * @returns {boolean} Comparison result
+   */
+  compareConditionValue(actual, condition, context) {
+    const normalize = (value) => String(value ?? '').toLowerCase();
+    const { operator = 'equals', value } = condition;
+
+    if (operator === 'in' || operator === 'not_in') {
+      const list = Array.isArray(value) ? value : (context.lists?.[value?.list] || []);
+      const found = list.map(normalize).includes(normalize(actual));
+      return operator === 'in' ? found : !found;
+    }
+
+    if (operator === 'not_equals') {
+      return normalize(actual) !== normalize(value);
+    }
+
+    return normalize(actual) === normalize(value);
+  }
+
   /**
    * Apply composition logic to condition results
    * @param {Array} conditionResults - Array of condition results
@@ -708,16 +824,31 @@ export class AdvancedRuleEngine {
   }
 
   /**
-   * Evaluate rule condition (simplified)
+   * Evaluate rule condition
    * @param {Object} rule - Rule configuration
    * @param {Object} emailData - Email data
-   * @param {Object} context - Evaluation context
+   * @param {Object} context - Evaluation context (userId, classification, isBusinessHours...)
    * @returns {Promise<boolean>} Condition result
    */
   async evaluateRuleCondition(rule, emailData, context) {
-    // Simplified rule condition evaluation
-    // This would integrate with the existing BusinessRulesEngine
-    return true; // Placeholder
+    // Rules saved from a composition (RuleBuilder / rule DSL) carry a condition list
+    if (Array.isArray(rule.conditions)) {
+      return this.evaluateCompositionCondition(
+        { type: 'group', logic: rule.logic || 'AND', conditions: rule.conditions },
+        emailData,
+        context
+      );
+    }
+
+    // Replays know whether the email arrived in business hours; the live check uses the current time
+    if (rule.condition === 'after_hours' && typeof context.isBusinessHours === 'boolean') {
+      return !context.isBusinessHours;
+    }
+
+    return this.businessRules.evaluateCondition(rule.condition, emailData, context.userId, {
+      ...context,
+      ruleValue: rule.value
+    });
   }
 
   /**
@@ -24,22 +24,26 @@ export class AICostMonitor {
 
   /**
    * Track AI usage and calculate cost
-   * @param {Object} usage - Usage data
+   * @param {Object} usage - Usage data ({ userId, provider, model, inputTokens, outputTokens,
+   *   operation, responseTime, success, unmetered }); unmetered calls (local or mock
+   *   LLM providers) are logged at zero cost
    * @returns {Promise<Object>} Tracking result
    */
   async trackUsage(usage) {
     const {
       userId,
+      provider = 'openai',
       model,
       inputTokens,
       outputTokens,
       operation,
       responseTime,
-      success = true
+      success = true,
+      unmetered = false
     } = usage;
 
     try {
-      const cost = this.calculateCost(model, inputTokens, outputTokens);
+      const cost = unmetered ? 0 : this.calculateCost(model, inputTokens, outputTokens);
       const totalTokens = inputTokens + outputTokens;
 
       // Store usage in database
@@ -47,6 +51,7 @@ export class AICostMonitor {
         .from('ai_usage_logs')
         .insert({
           user_id: userId,
+          provider,
           model: model,
           operation: operation || 'unknown',
           prompt_tokens: inputTokens,
@@ -283,6 +283,10 @@ export class AICostOptimization {
         cost_alerts_enabled: budgetSettings.costAlertsEnabled !== false,
         alert_threshold_percentage: budgetSettings.alertThresholdPercentage || 80,
         auto_optimization_enabled: budgetSettings.autoOptimizationEnabled || false,
+        // Enforced by the backend before every OpenAI call (see backend aiBudgetService)
+        soft_cap_usd: budgetSettings.softCap ?? null,
+        hard_cap_usd: budgetSettings.hardCap ?? null,
+        soft_cap_action: budgetSettings.softCapAction || 'cheaper_model',
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
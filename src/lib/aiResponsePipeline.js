@@ -1,21 +1,32 @@
 import { supabase } from './customSupabaseClient';
-import { EmailClassifier } from './emailClassifier';
+import { EmailClassifier } from '../../backend/src/lib/emailClassifier.js';
+import { aiCostMonitor } from './aiCostMonitor';
 import { StyleAwareAI } from './styleAwareAI';
 import { BusinessRulesEngine } from './businessRules';
 import { EscalationEngine } from './escalationEngine';
+import { templateBandit } from './templateBandit';
+import { PromptInjectionGuard } from '../../backend/src/lib/promptInjectionGuard.js';
 
 export class AIResponsePipeline {
   constructor() {
-    this.emailClassifier = new EmailClassifier();
+    this.emailClassifier = new EmailClassifier({ usageTracker: aiCostMonitor });
     this.styleAwareAI = new StyleAwareAI();
     this.businessRules = new BusinessRulesEngine();
     this.escalationEngine = new EscalationEngine();
+    this.injectionGuard = new PromptInjectionGuard({ llm: this.emailClassifier.llm });
   }
 
   async processEmail(emailData, businessContext, userId) {
     try {
       console.log(`AI Pipeline: Processing email from ${emailData.from}`);
       
+      // 0. Screen untrusted content for prompt injection
+      const inspection = await this.injectionGuard.inspect(emailData, { userId });
+      if (inspection.verdict === 'review') {
+        console.warn(`AI Pipeline: ${inspection.reason}`);
+        return this.routeToReview(emailData, userId, inspection);
+      }
+
       // 1. Classify email using our existing classifier
       const classification = await this.emailClassifier.classify(emailData);
       console.log('AI Pipeline: Email classified:', classification);
@@ -37,8 +48,9 @@ export class AIResponsePipeline {
       );
       console.log('AI Pipeline: AI response generated:', aiResponse.success);
       
-      // 4. Apply response templates and formatting
-      const finalResponse = await this.applyTemplates(aiResponse.response, businessContext, userId);
+      // 4. Apply response templates and formatting (bandit-allocated when enabled for the category)
+      const templateAllocation = await templateBandit.selectTemplate(userId, classification.category, emailData.id);
+      const finalResponse = await this.applyTemplates(aiResponse.response, businessContext, userId, templateAllocation?.templateId);
       
       // 5. Process escalations if needed
       let escalationResult = null;
@@ -49,6 +61,9 @@ export class AIResponsePipeline {
           classification,
           { action: 'auto_reply', priority: Math.max(...triggeredRules.map(r => r.priority)) }
         );
+      } else {
+        // No rule fired, but the email still gets an SLA clock
+        await this.escalationEngine.startSlaClock(emailData, userId, classification);
       }
       
       // 6. Store complete processing result
@@ -58,6 +73,7 @@ export class AIResponsePipeline {
         finalResponse,
         triggeredRules,
         escalationResult,
+        templateAllocation,
         confidence: classification.confidence || aiResponse.confidence || 75
       });
       
@@ -70,6 +86,7 @@ export class AIResponsePipeline {
         confidence: classification.confidence || aiResponse.confidence || 75,
         triggeredRules,
         escalationResult,
+        templateAllocation,
         processingId: processingResult.id,
         pipeline: 'complete'
       };
@@ -85,7 +102,7 @@ export class AIResponsePipeline {
     }
   }
 
-  async applyTemplates(response, businessContext, userId) {
+  async applyTemplates(response, businessContext, userId, preferredTemplateId = null) {
     try {
       // Get response templates for the user
       const { data: templates } = await supabase
@@ -101,7 +118,8 @@ export class AIResponsePipeline {
       }
 
       // Find the most appropriate template
-      const applicableTemplate = this.findBestTemplate(templates, businessContext);
+      const applicableTemplate = (preferredTemplateId && templates.find(t => t.id === preferredTemplateId))
+        || this.findBestTemplate(templates, businessContext);
       
       if (!applicableTemplate) {
         return response;
@@ -168,6 +186,49 @@ export class AIResponsePipeline {
     }
   }
 
+  /**
+   * Hold an email flagged by the injection guard for a human: it is
+   * classified on its visible text only, and no draft, template or
+   * escalation runs on it
+   * @param {Object} emailData - Inbound email
+   * @param {string} userId - User ID
+   * @param {Object} inspection - PromptInjectionGuard.inspect() result
+   * @returns {Promise<Object>} Pipeline result with pipeline 'review'
+   */
+  async routeToReview(emailData, userId, inspection) {
+    const classification = this.injectionGuard.applyPolicy(
+      await this.emailClassifier.classify({ ...emailData, ...inspection.sanitized }),
+      inspection
+    );
+
+    const processingResult = await this.storeProcessingResult(userId, emailData, {
+      classification,
+      aiResponse: null,
+      finalResponse: null,
+      triggeredRules: [],
+      escalationResult: null,
+      templateAllocation: null,
+      confidence: classification.confidence || 0,
+      review: { reason: inspection.reason, promptInjection: classification.prompt_injection }
+    });
+
+    return {
+      success: true,
+      classification,
+      aiResponse: null,
+      finalResponse: '',
+      styleApplied: false,
+      confidence: classification.confidence || 0,
+      triggeredRules: [],
+      escalationResult: null,
+      templateAllocation: null,
+      requiresReview: true,
+      reviewReason: inspection.reason,
+      processingId: processingResult.id,
+      pipeline: 'review'
+    };
+  }
+
   async storeProcessingResult(userId, emailData, result) {
     try {
       // Store in ai_responses table
@@ -183,11 +244,15 @@ export class AIResponsePipeline {
           style_applied: result.aiResponse?.styleApplied || false,
           confidence: result.confidence,
           response_type: 'pipeline_generated',
-          status: 'generated',
+          status: result.review ? 'pending_review' : 'generated',
           metadata: {
             classification: result.classification,
             triggered_rules: result.triggeredRules,
             escalation_result: result.escalationResult,
+            template_allocation: result.templateAllocation || null,
+            requires_review: Boolean(result.review),
+            review_reason: result.review?.reason || null,
+            prompt_injection: result.review?.promptInjection || null,
             pipeline_version: '1.0'
           }
         })
@@ -215,6 +280,8 @@ export class AIResponsePipeline {
             ai_response_id: aiResponseRecord?.id,
             confidence: result.confidence,
             style_applied: result.aiResponse?.styleApplied,
+            requires_review: Boolean(result.review),
+            review_reason: result.review?.reason || null,
             pipeline_processed: true
           }
         })
@@ -516,7 +583,7 @@ ${businessContext.businessName || 'Our Team'}`;
     quality.score += classificationScore;
 
     // Response length factor (0-10 points)
-    const responseLength = result.finalResponse.length;
+    const responseLength = (result.finalResponse || '').length;
     const lengthScore = responseLength >= 100 && responseLength <= 500 ? 10 : 
                        responseLength >= 50 && responseLength <= 800 ? 7 : 5;
     quality.factors.length = lengthScore;
@@ -337,9 +337,11 @@ export const loadLabelSchemaForBusinessTypes = async (businessTypes, managers =
  * @param {object} managers - Array of manager objects
  * @param {object} suppliers - Array of supplier objects
  * @param {object} actualLabels - Actual labels created in email system (optional)
+ * @param {Array<string>} departmentScope - Department scope for manager filtering
+ * @param {Array<object>} fewShotExamples - Corrections from fetchClassifierFewShotExamples() (optional)
  * @returns {string} - Production-ready classifier prompt
  */
-export const buildProductionClassifier = (aiConfig, labelConfig, businessInfo, managers = [], suppliers = [], actualLabels = null, departmentScope = ['all']) => {
+export const buildProductionClassifier = (aiConfig, labelConfig, businessInfo, managers = [], suppliers = [], actualLabels = null, departmentScope = ['all'], fewShotExamples = []) => {
   // Debug: Log what we're receiving
   console.log('🔍 DEBUG: buildProductionClassifier received:', {
     businessInfo: {
@@ -362,7 +364,8 @@ export const buildProductionClassifier = (aiConfig, labelConfig, businessInfo, m
     actualLabels: actualLabels?.length || 0,
     hasLabelConfig: !!labelConfig,
     labelConfigLabels: labelConfig?.labels?.length || 0,
-    departmentScope: departmentScope
+    departmentScope: departmentScope,
+    fewShotExamples: fewShotExamples?.length || 0
   });
   
   // ARCHITECTURAL DECISION: Use EnhancedDynamicClassifierGenerator as primary
@@ -391,7 +394,8 @@ export const buildProductionClassifier = (aiConfig, labelConfig, businessInfo, m
       managers || [],
       suppliers || [],
       actualLabels || null,  // Pass actual label IDs for debugging documentation
-      departmentScope || ['all']  // Department scope for filtering managers by role
+      departmentScope || ['all'],  // Department scope for filtering managers by role
+      fewShotExamples || []  // Business's own corrections as few-shot cases
     );
     
     console.log('✅ EnhancedDynamicClassifierGenerator instantiated successfully');
@@ -405,6 +409,7 @@ export const buildProductionClassifier = (aiConfig, labelConfig, businessInfo, m
       hasJSONFormat: enhancedSystemMessage?.includes('JSON Output Format') || false,
       hasTertiaryCategories: enhancedSystemMessage?.includes('FromBusiness') && enhancedSystemMessage?.includes('ToBusiness') || false,
       hasManagerInfo: enhancedSystemMessage?.includes('Team Manager Information') || false,
+      hasFewShotExamples: enhancedSystemMessage?.includes('Examples From Your Corrections') || false,
       messagePreview: enhancedSystemMessage?.substring(0, 200) + '...' || 'No message generated'
     });
     
@@ -1,4 +1,5 @@
 import { supabase } from './customSupabaseClient';
+import { BusinessHoursManager } from './businessHours';
 
 export class ApprovalWorkflow {
   constructor() {
@@ -549,27 +550,12 @@ export class ApprovalWorkflow {
         .eq('user_id', userId)
         .single();
 
-      if (!businessHours || !businessHours.schedule) {
+      const hoursManager = BusinessHoursManager.fromSchedule(businessHours);
+      if (!hoursManager) {
         return true; // Default to always open
       }
 
-      const now = new Date();
-      const dayOfWeek = now.getDay();
-      const currentTime = now.getHours() * 100 + now.getMinutes();
-
-      const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-      const dayName = dayNames[dayOfWeek];
-      
-      const todaySchedule = businessHours.schedule[dayName];
-      
-      if (!todaySchedule || !todaySchedule.open) {
-        return false;
-      }
-
-      const startTime = parseInt(todaySchedule.start.replace(':', ''));
-      const endTime = parseInt(todaySchedule.end.replace(':', ''));
-
-      return currentTime >= startTime && currentTime <= endTime;
+      return hoursManager.isBusinessHours(new Date());
 
     } catch (error) {
       console.error('Failed to check business hours:', error);
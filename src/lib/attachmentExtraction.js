@@ -0,0 +1,652 @@
+/**
+ * Attachment Content Extraction
+ * Dependency-free, local extraction of text from PDF, DOCX/ODT and plain
+ * text attachments, and dimension/EXIF metadata from images. Nothing is
+ * sent to a third-party service; compressed streams are inflated with the
+ * platform's DecompressionStream.
+ */
+
+export const MAX_EXTRACTED_TEXT_LENGTH = 20000;
+
+// Cap on decompressed output; declared sizes in archives can be forged
+export const MAX_INFLATED_BYTES = 50 * 1024 * 1024;
+
+const MAX_PDF_STREAMS = 500;
+
+/**
+ * Decode attachment content into bytes.
+ * Accepts Uint8Array/ArrayBuffer, Outlook `contentBytes` (base64) and Gmail
+ * `body.data` (base64url) strings.
+ * @param {string|ArrayBuffer|Uint8Array} content - Raw attachment content
+ * @returns {Uint8Array|null} Bytes, or null when content is missing or undecodable
+ */
+export const decodeAttachmentContent = (content) => {
+  if (!content) return null;
+  if (content instanceof Uint8Array) return content;
+  if (content instanceof ArrayBuffer) return new Uint8Array(content);
+  if (typeof content !== 'string') return null;
+
+  try {
+    const base64 = content.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  } catch (error) {
+    return null;
+  }
+};
+
+const bytesToLatin1 = (bytes) => {
+  let result = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return result;
+};
+
+const latin1ToBytes = (text) => {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+};
+
+const decodeUtf8 = (bytes) => new TextDecoder('utf-8').decode(bytes).replace(/^﻿/, '');
+
+/**
+ * Inflate zlib ('deflate') or raw ('deflate-raw') compressed bytes
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @param {string} format - DecompressionStream format
+ * @param {number} maxOutputBytes - Abort once the output grows past this size
+ * @returns {Promise<Uint8Array>} Inflated bytes
+ */
+export const inflateBytes = async (bytes, format = 'deflate', maxOutputBytes = MAX_INFLATED_BYTES) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('DecompressionStream is not available in this environment');
+  }
+
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+  const chunks = [];
+  let total = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    total += value.length;
+    if (total > maxOutputBytes) {
+      await reader.cancel();
+      throw new Error(`Decompressed size exceeds ${maxOutputBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+};
+
+const normalizeExtractedText = (text) => {
+  const normalized = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    text: normalized.slice(0, MAX_EXTRACTED_TEXT_LENGTH),
+    textLength: normalized.length,
+    truncated: normalized.length > MAX_EXTRACTED_TEXT_LENGTH
+  };
+};
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+const PDF_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+/**
+ * Read a PDF literal string starting after its opening parenthesis
+ * @returns {{ value: string, end: number }}
+ */
+const readPdfLiteral = (content, start) => {
+  let depth = 1;
+  let value = '';
+  let i = start;
+
+  while (i < content.length && depth > 0) {
+    const char = content[i];
+
+    if (char === '\\') {
+      const next = content[i + 1];
+      if (PDF_ESCAPES[next] !== undefined) {
+        value += PDF_ESCAPES[next];
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(octal, 8));
+        i += 1 + octal.length;
+      } else {
+        // Line continuation or unknown escape
+        i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+      }
+      continue;
+    }
+
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (depth > 0) value += char;
+    i++;
+  }
+
+  return { value, end: i };
+};
+
+const decodePdfHex = (hex) => {
+  const clean = hex.replace(/[^0-9a-fA-F]/g, '');
+  const padded = clean.length % 2 ? clean + '0' : clean;
+  let value = '';
+  for (let i = 0; i < padded.length; i += 2) {
+    value += String.fromCharCode(parseInt(padded.slice(i, i + 2), 16));
+  }
+  // Two-byte CID strings without a ToUnicode map are not recoverable here
+  return /^[\x09\x0a\x0d\x20-\x7e\xa0-\xff]*$/.test(value) ? value : '';
+};
+
+/**
+ * Extract visible text from a decoded PDF content stream
+ * @param {string} content - Content stream (latin1)
+ * @returns {string} Text
+ */
+export const extractTextFromPdfContentStream = (content) => {
+  let text = '';
+  let pending = [];
+  let i = 0;
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (char === '(') {
+      const literal = readPdfLiteral(content, i + 1);
+      pending.push(literal.value);
+      i = literal.end;
+      continue;
+    }
+
+    if (char === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      if (end === -1) break;
+      pending.push(decodePdfHex(content.slice(i + 1, end)));
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '%') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end + 1;
+      continue;
+    }
+
+    // Large negative kerning inside a TJ array is a word gap
+    if (char === '-' || /[0-9.]/.test(char)) {
+      const number = content.slice(i).match(/^-?[0-9.]+/);
+      if (number) {
+        if (pending.length > 0 && parseFloat(number[0]) < -200) pending.push(' ');
+        i += number[0].length;
+        continue;
+      }
+    }
+
+    if (/[A-Za-z'"*]/.test(char)) {
+      const operator = content.slice(i).match(/^[A-Za-z'"*]+/)[0];
+
+      if (operator === 'Tj' || operator === 'TJ') {
+        text += pending.join('');
+      } else if (operator === "'" || operator === '"') {
+        text += '\n' + pending.join('');
+      } else if (operator === 'T*' || operator === 'Td' || operator === 'TD' || operator === 'ET') {
+        text += '\n';
+      }
+
+      pending = [];
+      i += operator.length;
+      continue;
+    }
+
+    if (char === '[' || char === ']') {
+      i++;
+      continue;
+    }
+
+    i++;
+  }
+
+  return text;
+};
+
+/**
+ * Extract text from a PDF file
+ * @param {Uint8Array} bytes - PDF bytes
+ * @returns {Promise<Object>} text, textLength, truncated, pageCount, encrypted
+ */
+export const extractPdfText = async (bytes) => {
+  const source = bytesToLatin1(bytes);
+  const pageCount = (source.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length || null;
+
+  if (/\/Encrypt\s/.test(source)) {
+    return { ...normalizeExtractedText(''), pageCount, encrypted: true };
+  }
+
+  const parts = [];
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  let streamCount = 0;
+
+  while ((match = streamPattern.exec(source)) && streamCount < MAX_PDF_STREAMS) {
+    // Skip the "endstream" keyword itself
+    if (source.slice(match.index - 3, match.index) === 'end') continue;
+
+    const dataStart = match.index + match[0].length;
+    const dataEnd = source.indexOf('endstream', dataStart);
+    if (dataEnd === -1) break;
+
+    const dictionary = source.slice(Math.max(0, source.lastIndexOf('obj', match.index)), match.index);
+    streamPattern.lastIndex = dataEnd + 9;
+    streamCount++;
+
+    // Images, fonts and embedded files carry no page text
+    if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType)|\/Length1|\/Type\s*\/(XObject|EmbeddedFile|XRef|ObjStm)/.test(dictionary)) {
+      continue;
+    }
+
+    const raw = source.slice(dataStart, dataEnd).replace(/\r?\n$/, '');
+    let decoded = raw;
+
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        decoded = bytesToLatin1(await inflateBytes(latin1ToBytes(raw), 'deflate'));
+      } catch (error) {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      continue;
+    }
+
+    if (/\bBT\b/.test(decoded)) {
+      parts.push(extractTextFromPdfContentStream(decoded));
+    }
+  }
+
+  return { ...normalizeExtractedText(parts.join('\n')), pageCount, encrypted: false };
+};
+
+// ============================================================================
+// ZIP containers (DOCX, ODT)
+// ============================================================================
+
+/**
+ * List entries of a ZIP archive from its central directory
+ * @param {Uint8Array} bytes - Archive bytes
+ * @returns {Map<string, Object>} Entries by file name
+ */
+export const readZipEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = new Map();
+
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) return entries;
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  for (let n = 0; n < entryCount && offset + 46 <= bytes.length; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const uncompressedSize = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decodeUtf8(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, {
+      name,
+      method,
+      compressedSize,
+      uncompressedSize,
+      encrypted: Boolean(flags & 0x1),
+      localOffset
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Read and decompress one ZIP entry
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {Object} entry - Entry from readZipEntries
+ * @param {number} maxOutputBytes - Decompression cap
+ * @returns {Promise<Uint8Array>} Entry content
+ */
+export const readZipEntry = async (bytes, entry, maxOutputBytes = MAX_INFLATED_BYTES) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.localOffset, true) !== 0x04034b50) {
+    throw new Error(`Invalid local header for ${entry.name}`);
+  }
+
+  const nameLength = view.getUint16(entry.localOffset + 26, true);
+  const extraLength = view.getUint16(entry.localOffset + 28, true);
+  const start = entry.localOffset + 30 + nameLength + extraLength;
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return inflateBytes(data, 'deflate-raw', maxOutputBytes);
+  throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXmlEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(value) && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+  }
+  return XML_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Extract text from a DOCX or ODT document
+ * @param {Uint8Array} bytes - Document bytes
+ * @returns {Promise<Object>} text, textLength, truncated, hasTables, hasImages
+ */
+export const extractOfficeText = async (bytes) => {
+  const entries = readZipEntries(bytes);
+  const documentEntry = entries.get('word/document.xml') || entries.get('content.xml');
+  if (!documentEntry) {
+    throw new Error('Document body not found in archive');
+  }
+
+  const xml = decodeUtf8(await readZipEntry(bytes, documentEntry));
+  const text = decodeXmlEntities(
+    xml
+      .replace(/<w:tab\/>|<text:tab\/>|<\/w:tc>/g, '\t')
+      .replace(/<w:br\/>|<w:cr\/>|<text:line-break\/>|<\/w:p>|<\/text:p>|<\/text:h>/g, '\n')
+      .replace(/<[^>]+>/g, '')
+  );
+
+  const names = [...entries.keys()];
+
+  return {
+    ...normalizeExtractedText(text),
+    hasTables: /<w:tbl>|<table:table[\s>]/.test(xml),
+    hasImages: names.some(name => name.startsWith('word/media/') || name.startsWith('Pictures/'))
+  };
+};
+
+/**
+ * Extract text from plain text, CSV or RTF content
+ * @param {Uint8Array} bytes - File bytes
+ * @param {string} extension - File extension including the dot
+ * @returns {Object} text, textLength, truncated
+ */
+export const extractPlainText = (bytes, extension = '.txt') => {
+  let text = decodeUtf8(bytes);
+
+  if (extension === '.rtf') {
+    text = text
+      .replace(/\\par[d]?\b/g, '\n')
+      .replace(/\\'([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/\{\\\*[^{}]*\}/g, '')
+      .replace(/\\[a-z]+-?\d* ?/gi, '')
+      .replace(/[{}]/g, '');
+  }
+
+  return normalizeExtractedText(text);
+};
+
+// ============================================================================
+// Images
+// ============================================================================
+
+const EXIF_TAGS = {
+  0x010f: 'make',
+  0x0110: 'model',
+  0x0112: 'orientation',
+  0x0131: 'software',
+  0x0132: 'modifiedAt',
+  0x9003: 'takenAt'
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+const toIsoExifDate = (value) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : value;
+};
+
+/**
+ * Parse the TIFF structure inside a JPEG APP1 Exif segment.
+ * GPS coordinates are deliberately not read; only their presence is reported.
+ * @param {DataView} view - View over the image
+ * @param {number} tiffStart - Offset of the TIFF header
+ * @returns {Object|null} EXIF fields
+ */
+const readExif = (view, tiffStart) => {
+  const byteOrder = view.getUint16(tiffStart);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return null;
+  const little = byteOrder === 0x4949;
+
+  const exif = { hasGps: false };
+
+  const readIfd = (ifdOffset, depth = 0) => {
+    const base = tiffStart + ifdOffset;
+    if (depth > 1 || base + 2 > view.byteLength) return;
+
+    const count = view.getUint16(base, little);
+    for (let n = 0; n < count; n++) {
+      const entry = base + 2 + n * 12;
+      if (entry + 12 > view.byteLength) return;
+
+      const tag = view.getUint16(entry, little);
+      const type = view.getUint16(entry + 2, little);
+      const valueCount = view.getUint32(entry + 4, little);
+
+      if (tag === EXIF_IFD_POINTER) {
+        readIfd(view.getUint32(entry + 8, little), depth + 1);
+        continue;
+      }
+      if (tag === GPS_IFD_POINTER) {
+        exif.hasGps = true;
+        continue;
+      }
+
+      const field = EXIF_TAGS[tag];
+      if (!field) continue;
+
+      if (type === 2) {
+        const start = valueCount > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+        let value = '';
+        for (let i = 0; i < valueCount - 1 && start + i < view.byteLength; i++) {
+          value += String.fromCharCode(view.getUint8(start + i));
+        }
+        exif[field] = value.trim();
+      } else if (type === 3) {
+        exif[field] = view.getUint16(entry + 8, little);
+      } else if (type === 4) {
+        exif[field] = view.getUint32(entry + 8, little);
+      }
+    }
+  };
+
+  readIfd(view.getUint32(tiffStart + 4, little));
+
+  if (exif.takenAt) exif.takenAt = toIsoExifDate(exif.takenAt);
+  if (exif.modifiedAt) exif.modifiedAt = toIsoExifDate(exif.modifiedAt);
+
+  return exif;
+};
+
+const readJpegMetadata = (view) => {
+  const metadata = { format: 'jpeg', width: null, height: null, hasTransparency: false, exif: null };
+  let offset = 2;
+
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) break;
+    const marker = view.getUint8(offset + 1);
+    const length = view.getUint16(offset + 2);
+
+    if (marker === 0xe1 && view.getUint32(offset + 4) === 0x45786966) {
+      metadata.exif = readExif(view, offset + 10);
+    }
+
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      metadata.height = view.getUint16(offset + 5);
+      metadata.width = view.getUint16(offset + 7);
+      metadata.colorComponents = view.getUint8(offset + 9);
+      break;
+    }
+
+    offset += 2 + length;
+  }
+
+  return metadata;
+};
+
+/**
+ * Read format, dimensions and EXIF metadata from image bytes
+ * @param {Uint8Array} bytes - Image bytes
+ * @returns {Object|null} Image metadata, or null for unrecognized formats
+ */
+export const readImageMetadata = (bytes) => {
+  if (!bytes || bytes.length < 12) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (start, length) => bytesToLatin1(bytes.subarray(start, start + length));
+
+  if (view.getUint32(0) === 0x89504e47 && bytes.length >= 26) {
+    const colorType = view.getUint8(25);
+    return {
+      format: 'png',
+      width: view.getUint32(16),
+      height: view.getUint32(20),
+      bitDepth: view.getUint8(24),
+      hasTransparency: colorType === 4 || colorType === 6 || bytesToLatin1(bytes.subarray(0, 4096)).includes('tRNS'),
+      exif: null
+    };
+  }
+
+  if (view.getUint16(0) === 0xffd8) {
+    return readJpegMetadata(view);
+  }
+
+  if (ascii(0, 4) === 'GIF8') {
+    return {
+      format: 'gif',
+      width: view.getUint16(6, true),
+      height: view.getUint16(8, true),
+      hasTransparency: false,
+      exif: null
+    };
+  }
+
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP' && bytes.length >= 30) {
+    const chunk = ascii(12, 4);
+    const metadata = { format: 'webp', width: null, height: null, hasTransparency: false, exif: null };
+
+    if (chunk === 'VP8 ') {
+      metadata.width = view.getUint16(26, true) & 0x3fff;
+      metadata.height = view.getUint16(28, true) & 0x3fff;
+    } else if (chunk === 'VP8L') {
+      const bits = view.getUint32(21, true);
+      metadata.width = (bits & 0x3fff) + 1;
+      metadata.height = ((bits >> 14) & 0x3fff) + 1;
+      metadata.hasTransparency = Boolean((bits >> 28) & 1);
+    } else if (chunk === 'VP8X') {
+      metadata.hasTransparency = Boolean(view.getUint8(20) & 0x10);
+      metadata.width = (view.getUint32(24, true) & 0xffffff) + 1;
+      metadata.height = (view.getUint32(27, true) & 0xffffff) + 1;
+    }
+
+    return metadata;
+  }
+
+  if (ascii(0, 2) === 'BM' && bytes.length >= 26) {
+    return {
+      format: 'bmp',
+      width: view.getInt32(18, true),
+      height: Math.abs(view.getInt32(22, true)),
+      hasTransparency: false,
+      exif: null
+    };
+  }
+
+  return null;
+};
+
+// ============================================================================
+// Reference numbers
+// ============================================================================
+
+const REFERENCE_PATTERNS = {
+  serialNumbers: /\b(?:serial|s\/n|ser\.)\s*(?:no\.?|number|#)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9-]{3,})/gi,
+  modelNumbers: /\bmodel\s*(?:no\.?|number|#)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9-]{2,})/gi,
+  invoiceNumbers: /\binvoice\s*(?:no\.?|number|#)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9-]{2,})/gi,
+  poNumbers: /\b(?:p\.?o\.?|purchase order)\s*(?:no\.?|number|#)?\s*[:#.]?\s*([A-Z0-9][A-Z0-9-]{2,})/gi
+};
+
+/**
+ * Find serial, model, invoice and PO numbers in extracted text
+ * @param {string} text - Extracted text
+ * @returns {Object} Arrays of unique values by reference type
+ */
+export const extractReferenceNumbers = (text) => {
+  const references = {};
+
+  Object.entries(REFERENCE_PATTERNS).forEach(([type, pattern]) => {
+    const values = new Set();
+    for (const match of (text || '').matchAll(pattern)) {
+      // Require a digit so words like "Number" are not captured
+      if (/\d/.test(match[1])) values.add(match[1].toUpperCase());
+    }
+    references[type] = [...values];
+  });
+
+  return references;
+};
+
+/**
+ * Merge reference lists from several attachments
+ * @param {Array<Object>} referenceSets - Results of extractReferenceNumbers
+ * @returns {Object} Merged unique references
+ */
+export const mergeReferenceNumbers = (referenceSets) => {
+  const merged = {};
+  Object.keys(REFERENCE_PATTERNS).forEach(type => {
+    merged[type] = [...new Set(referenceSets.flatMap(set => set?.[type] || []))];
+  });
+  return merged;
+};
@@ -6,6 +6,24 @@
  */
 
 import { supabase } from './customSupabaseClient';
+import {
+  decodeAttachmentContent,
+  extractOfficeText,
+  extractPdfText,
+  extractPlainText,
+  extractReferenceNumbers,
+  mergeReferenceNumbers,
+  readImageMetadata
+} from './attachmentExtraction';
+import {
+  SCAN_STATUS,
+  checkTypeConsistency,
+  createClamAvScanner,
+  detectOfficeMacros,
+  detectPdfActions,
+  inspectZipArchive,
+  sniffFileType
+} from './attachmentSecurity';
 
 export class AttachmentProcessor {
   constructor() {
@@ -22,6 +40,16 @@ export class AttachmentProcessor {
 
     this.maxFileSize = 25 * 1024 * 1024; // 25MB
     this.dangerousExtensions = ['.exe', '.bat', '.cmd', '.scr', '.pif', '.vbs', '.js', '.jar'];
+    this.textExtractors = {
+      '.pdf': 'pdf',
+      '.docx': 'office',
+      '.odt': 'office',
+      '.txt': 'plain',
+      '.rtf': 'plain',
+      '.csv': 'plain'
+    };
+    this.maxContextTextLength = 4000; // Attachment text passed on to classification and drafts
+    this.scanners = [];
     this.processingCache = new Map();
   }
 
@@ -69,6 +97,10 @@ export class AttachmentProcessor {
         attachments: processedAttachments,
         totalCount: processedAttachments.length,
         totalSize,
+        extractedText: this.buildAttachmentContext(processedAttachments),
+        references: mergeReferenceNumbers(
+          processedAttachments.map(att => att.analysis?.documentAnalysis?.references)
+        ),
         processingStatus: processingErrors.length > 0 ? 'partial_success' : 'success',
         errors: processingErrors
       };
@@ -104,6 +136,17 @@ export class AttachmentProcessor {
       attachments.push(...parsedData.metadata.attachments);
     }
 
+    // Provider attachments carrying their content (Outlook contentBytes, Gmail body.data)
+    if (Array.isArray(parsedData.attachments)) {
+      attachments.push(...parsedData.attachments.map(att => ({
+        ...att,
+        name: att.name || att.filename,
+        type: att.type || att.contentType || att.mimeType,
+        size: att.size ?? att.body?.size,
+        content: att.content || att.contentBytes || att.body?.data || att.data
+      })));
+    }
+
     // Remove duplicates based on name and size
     const uniqueAttachments = this.removeDuplicateAttachments(attachments);
 
@@ -253,12 +296,14 @@ export class AttachmentProcessor {
         throw new Error(validation.error);
       }
 
-      // Analyze attachment
-      const analysis = await this.analyzeAttachment(attachment);
-
       // Security scan
       const securityScan = await this.scanAttachment(attachment);
 
+      // Analyze attachment; quarantined content is never parsed
+      const analysis = await this.analyzeAttachment(
+        securityScan.quarantined ? { ...attachment, content: null } : attachment
+      );
+
       // Generate metadata
       const metadata = this.generateAttachmentMetadata(attachment, analysis, securityScan);
 
@@ -339,7 +384,7 @@ export class AttachmentProcessor {
       // Additional analysis based on file type
       if (fileType === 'images') {
         analysis.imageAnalysis = await this.analyzeImage(attachment);
-      } else if (fileType === 'documents') {
+      } else if (fileType === 'documents' || this.textExtractors[extension]) {
         analysis.documentAnalysis = await this.analyzeDocument(attachment);
       }
 
@@ -396,6 +441,19 @@ export class AttachmentProcessor {
     return thumbnailTypes.includes(fileType);
   }
 
+  /**
+   * Get attachment bytes from content delivered with the email.
+   * Links found in the email body are never fetched, so extraction cannot be
+   * used to probe URLs or signal to the sender that the email was opened.
+   * @param {Object} attachment - Attachment data
+   * @returns {Uint8Array|null} Attachment bytes
+   */
+  getAttachmentBytes(attachment) {
+    const bytes = decodeAttachmentContent(attachment.content);
+    if (!bytes || bytes.length > this.maxFileSize) return null;
+    return bytes;
+  }
+
   /**
    * Analyze image attachment
    * @param {Object} attachment - Attachment data
@@ -403,15 +461,27 @@ export class AttachmentProcessor {
    */
   async analyzeImage(attachment) {
     try {
-      // In a real implementation, you would analyze the actual image
-      // For now, we'll return basic analysis
+      const bytes = this.getAttachmentBytes(attachment);
+      const metadata = bytes ? readImageMetadata(bytes) : null;
+
+      if (!metadata) {
+        return {
+          format: this.getFileExtension(attachment.name),
+          estimatedDimensions: 'unknown',
+          hasTransparency: false,
+          contentAvailable: Boolean(bytes)
+        };
+      }
+
       return {
-        format: this.getFileExtension(attachment.name),
-        estimatedDimensions: 'unknown',
-        colorSpace: 'unknown',
-        hasTransparency: false,
-        compressionType: 'unknown',
-        quality: 'unknown'
+        format: metadata.format,
+        width: metadata.width,
+        height: metadata.height,
+        estimatedDimensions: metadata.width && metadata.height ? `${metadata.width}x${metadata.height}` : 'unknown',
+        hasTransparency: metadata.hasTransparency,
+        orientation: metadata.exif?.orientation || null,
+        exif: metadata.exif,
+        contentAvailable: true
       };
     } catch (error) {
       return { error: error.message };
@@ -419,29 +489,93 @@ export class AttachmentProcessor {
   }
 
   /**
-   * Analyze document attachment
+   * Analyze document attachment, extracting its text where the format is supported
    * @param {Object} attachment - Attachment data
    * @returns {Promise<Object>} Document analysis
    */
   async analyzeDocument(attachment) {
     try {
       const extension = this.getFileExtension(attachment.name);
-      
-      return {
+      const extractor = this.textExtractors[extension];
+      const bytes = extractor ? this.getAttachmentBytes(attachment) : null;
+
+      const analysis = {
         format: extension,
         estimatedPages: 'unknown',
         hasImages: false,
         hasTables: false,
-        language: 'unknown',
-        encoding: 'unknown'
+        textExtracted: false,
+        text: '',
+        textLength: 0,
+        references: extractReferenceNumbers('')
+      };
+
+      if (!bytes) return analysis;
+
+      let extraction;
+      if (extractor === 'pdf') {
+        extraction = await extractPdfText(bytes);
+        analysis.estimatedPages = extraction.pageCount || 'unknown';
+        analysis.encrypted = extraction.encrypted;
+      } else if (extractor === 'office') {
+        extraction = await extractOfficeText(bytes);
+        analysis.hasImages = extraction.hasImages;
+        analysis.hasTables = extraction.hasTables;
+      } else {
+        extraction = extractPlainText(bytes, extension);
+        analysis.hasTables = extension === '.csv';
+      }
+
+      return {
+        ...analysis,
+        textExtracted: extraction.text.length > 0,
+        text: extraction.text,
+        textLength: extraction.textLength,
+        truncated: extraction.truncated,
+        references: extractReferenceNumbers(extraction.text)
       };
     } catch (error) {
-      return { error: error.message };
+      return { error: error.message, textExtracted: false };
     }
   }
 
+  /**
+   * Combine extracted attachment text into one block for classification and drafting
+   * @param {Array} processedAttachments - Processed attachments
+   * @returns {string} Labelled attachment text, capped at maxContextTextLength
+   */
+  buildAttachmentContext(processedAttachments) {
+    const sections = processedAttachments
+      .filter(att => att.securityScan?.isSafe !== false && att.analysis?.documentAnalysis?.textExtracted)
+      .map(att => `[${att.name}]\n${att.analysis.documentAnalysis.text}`);
+
+    return sections.join('\n\n').slice(0, this.maxContextTextLength);
+  }
+
+  /**
+   * Register an antivirus scanner. Scanners run after the built-in content checks.
+   * @param {Object} scanner - { name, scan(bytes, attachment) } (see attachmentSecurity.js)
+   */
+  registerScanner(scanner) {
+    if (!scanner?.name || typeof scanner.scan !== 'function') {
+      throw new Error('Scanner must have a name and a scan(bytes, attachment) method');
+    }
+    this.scanners = [...this.scanners.filter(existing => existing.name !== scanner.name), scanner];
+  }
+
+  /**
+   * Register the ClamAV daemon adapter (via the attachment-scan edge function)
+   * @param {Object} options - Adapter options
+   */
+  enableClamAv(options = {}) {
+    this.registerScanner(createClamAvScanner(supabase, options));
+  }
+
   /**
    * Scan attachment for security issues
+   * Combines extension checks, magic-byte sniffing, archive and macro
+   * inspection and any registered scanners. Anything infected or suspicious
+   * is quarantined.
    * @param {Object} attachment - Attachment data
    * @returns {Promise<Object>} Security scan result
    */
@@ -451,18 +585,21 @@ export class AttachmentProcessor {
       
       const scan = {
         isSafe: true,
+        status: SCAN_STATUS.CLEAN,
+        quarantined: false,
+        detectedMimeType: null,
         threats: [],
         warnings: [],
+        scannerResults: [],
         scanTime: new Date().toISOString()
       };
 
       // Check for dangerous extensions
       if (this.dangerousExtensions.includes(extension)) {
-        scan.isSafe = false;
         scan.threats.push('Dangerous file type detected');
       }
 
-      // Check for suspicious patterns in filename
+      // Check for suspicious patterns in filename (double extensions like invoice.pdf.exe included)
       const suspiciousPatterns = [
         /\.exe$/i,
         /\.scr$/i,
@@ -474,7 +611,6 @@ export class AttachmentProcessor {
       ];
 
       if (suspiciousPatterns.some(pattern => pattern.test(attachment.name))) {
-        scan.isSafe = false;
         scan.threats.push('Suspicious filename pattern');
       }
 
@@ -483,20 +619,96 @@ export class AttachmentProcessor {
         scan.warnings.push('Large file size may indicate potential issues');
       }
 
+      const bytes = this.getAttachmentBytes(attachment);
+      if (bytes) {
+        await this.inspectContent(bytes, attachment, scan);
+      } else {
+        scan.status = SCAN_STATUS.UNSCANNED;
+        scan.warnings.push('Attachment content unavailable; only the file name was checked');
+      }
+
+      const hasInfection = scan.scannerResults.some(result => result.status === SCAN_STATUS.INFECTED);
+      if (hasInfection) {
+        scan.status = SCAN_STATUS.INFECTED;
+      } else if (scan.threats.length > 0) {
+        scan.status = SCAN_STATUS.SUSPICIOUS;
+      }
+
+      scan.isSafe = scan.threats.length === 0 && !hasInfection;
+      scan.quarantined = scan.status === SCAN_STATUS.INFECTED || scan.status === SCAN_STATUS.SUSPICIOUS;
+
       return scan;
 
     } catch (error) {
       console.error('Security scan failed:', error);
       return {
         isSafe: false,
+        status: SCAN_STATUS.ERROR,
+        quarantined: true,
         threats: ['Security scan failed'],
         warnings: [],
+        scannerResults: [],
         scanTime: new Date().toISOString(),
         error: error.message
       };
     }
   }
 
+  /**
+   * Content checks: type sniffing, archive/macro/PDF inspection and registered scanners
+   * @param {Uint8Array} bytes - Attachment bytes
+   * @param {Object} attachment - Attachment data
+   * @param {Object} scan - Scan result, updated in place
+   */
+  async inspectContent(bytes, attachment, scan) {
+    const sniffed = sniffFileType(bytes);
+    scan.detectedMimeType = sniffed?.mime || null;
+
+    const collect = (result) => {
+      scan.threats.push(...(result.threats || []));
+      scan.warnings.push(...(result.warnings || []));
+    };
+
+    collect(checkTypeConsistency(attachment.name, sniffed));
+
+    if (sniffed?.mime === 'application/zip') {
+      const archive = await inspectZipArchive(bytes);
+      scan.archive = {
+        entryCount: archive.entryCount,
+        totalUncompressedSize: archive.totalUncompressedSize,
+        nestedExecutables: archive.nestedExecutables,
+        nestedArchives: archive.nestedArchives
+      };
+      collect(archive);
+    }
+
+    if (sniffed?.mime === 'application/zip' || sniffed?.mime === 'application/x-ole-storage') {
+      const macros = await detectOfficeMacros(bytes, sniffed);
+      scan.hasMacros = macros.hasMacros;
+      collect(macros);
+    }
+
+    if (sniffed?.mime === 'application/pdf') {
+      collect(detectPdfActions(bytes));
+    }
+
+    for (const scanner of this.scanners) {
+      try {
+        const result = await scanner.scan(bytes, attachment);
+        scan.scannerResults.push({ scanner: scanner.name, ...result });
+
+        if (result.status === SCAN_STATUS.INFECTED) {
+          scan.threats.push(`${scanner.name}: ${result.signature || 'malware detected'}`);
+        } else if (result.status === SCAN_STATUS.ERROR) {
+          scan.warnings.push(`${scanner.name} scan failed: ${result.error || 'unknown error'}`);
+        }
+      } catch (error) {
+        scan.scannerResults.push({ scanner: scanner.name, status: SCAN_STATUS.ERROR, error: error.message });
+        scan.warnings.push(`${scanner.name} scan failed: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Generate attachment metadata
    * @param {Object} attachment - Attachment data
@@ -512,10 +724,19 @@ export class AttachmentProcessor {
       size: attachment.size,
       extension: analysis.extension,
       isSafe: securityScan.isSafe,
+      scanStatus: securityScan.status,
+      quarantined: securityScan.quarantined,
+      detectedMimeType: securityScan.detectedMimeType,
       threats: securityScan.threats,
       warnings: securityScan.warnings,
       processingRequired: analysis.processingRequired,
       thumbnailAvailable: analysis.thumbnailAvailable,
+      textExtracted: analysis.documentAnalysis?.textExtracted || false,
+      extractedTextLength: analysis.documentAnalysis?.textLength || 0,
+      references: analysis.documentAnalysis?.references || null,
+      imageDimensions: analysis.imageAnalysis?.width
+        ? { width: analysis.imageAnalysis.width, height: analysis.imageAnalysis.height }
+        : null,
       createdAt: new Date().toISOString(),
       processedAt: new Date().toISOString()
     };
@@ -564,15 +785,24 @@ export class AttachmentProcessor {
    */
   async storeAttachmentMetadata(userId, emailId, attachments) {
     try {
-      const attachmentIds = attachments.map(att => att.id);
-
       await supabase
         .from('email_attachment_links')
         .insert(
-          attachmentIds.map(attachmentId => ({
+          attachments.map(att => ({
             email_id: emailId,
-            attachment_id: attachmentId,
+            attachment_id: att.id,
             user_id: userId,
+            scan_status: att.securityScan?.status || SCAN_STATUS.UNSCANNED,
+            quarantined: att.securityScan?.quarantined || false,
+            detected_mime_type: att.securityScan?.detectedMimeType || null,
+            threats: att.securityScan?.threats || [],
+            scan_results: {
+              warnings: att.securityScan?.warnings || [],
+              scanners: att.securityScan?.scannerResults || [],
+              archive: att.securityScan?.archive || null,
+              hasMacros: att.securityScan?.hasMacros || false
+            },
+            scanned_at: att.securityScan?.scanTime || null,
             created_at: new Date().toISOString()
           }))
         );
@@ -666,6 +896,78 @@ export class AttachmentProcessor {
     }
   }
 
+  /**
+   * Get quarantined attachments for the dashboard
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum rows
+   * @returns {Promise<Array>} Quarantined attachments, newest first
+   */
+  async getQuarantinedAttachments(userId, limit = 20) {
+    try {
+      const { data, error } = await supabase
+        .from('email_attachment_links')
+        .select(`
+          attachment_id,
+          email_id,
+          scan_status,
+          threats,
+          detected_mime_type,
+          scanned_at,
+          email_attachments (name, type, size)
+        `)
+        .eq('user_id', userId)
+        .eq('quarantined', true)
+        .order('scanned_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return (data || []).map(row => ({
+        attachmentId: row.attachment_id,
+        emailId: row.email_id,
+        name: row.email_attachments?.name,
+        type: row.email_attachments?.type,
+        size: row.email_attachments?.size,
+        status: row.scan_status,
+        threats: row.threats || [],
+        detectedMimeType: row.detected_mime_type,
+        scannedAt: row.scanned_at
+      }));
+
+    } catch (error) {
+      console.error('Failed to get quarantined attachments:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Release an attachment from quarantine after manual review
+   * @param {string} attachmentId - Attachment ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async releaseQuarantinedAttachment(attachmentId, userId) {
+    try {
+      const { error } = await supabase
+        .from('email_attachment_links')
+        .update({
+          quarantined: false,
+          released_at: new Date().toISOString(),
+          released_by: userId
+        })
+        .eq('attachment_id', attachmentId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      return true;
+
+    } catch (error) {
+      console.error('Failed to release quarantined attachment:', error);
+      return false;
+    }
+  }
+
   /**
    * Get attachment statistics
    * @param {string} userId - User ID
@@ -0,0 +1,330 @@
+/**
+ * Attachment Security
+ * Content-based checks for attachments: magic-byte file type sniffing,
+ * archive inspection (zip bombs, nested executables), Office macro and
+ * risky PDF action detection, plus the pluggable scanner interface used by
+ * AttachmentProcessor.scanAttachment.
+ *
+ * A scanner is any object of the shape
+ *   { name: string, scan(bytes, attachment) => Promise<{ status, signature?, error? }> }
+ * where status is one of SCAN_STATUS.
+ */
+
+import { readZipEntries, readZipEntry } from './attachmentExtraction';
+
+export const SCAN_STATUS = {
+  CLEAN: 'clean',
+  SUSPICIOUS: 'suspicious',
+  INFECTED: 'infected',
+  ERROR: 'error',
+  UNSCANNED: 'unscanned'
+};
+
+export const ARCHIVE_LIMITS = {
+  maxEntries: 10000,
+  maxUncompressedSize: 512 * 1024 * 1024, // 512MB
+  maxCompressionRatio: 100,
+  maxSniffedEntries: 50,
+  maxSniffedEntrySize: 10 * 1024 * 1024
+};
+
+const EXECUTABLE_EXTENSIONS = [
+  '.exe', '.dll', '.scr', '.com', '.pif', '.bat', '.cmd', '.msi', '.ps1',
+  '.vbs', '.vbe', '.js', '.jse', '.wsf', '.hta', '.lnk', '.jar', '.sh', '.app'
+];
+
+const ARCHIVE_EXTENSIONS = ['.zip', '.rar', '.7z', '.tar', '.gz', '.iso', '.img'];
+
+const startsWith = (bytes, signature, offset = 0) =>
+  bytes.length >= offset + signature.length && signature.every((byte, i) => bytes[offset + i] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+const FILE_SIGNATURES = [
+  { mime: 'application/x-msdownload', kind: 'executable', test: bytes => startsWith(bytes, ascii('MZ')) },
+  { mime: 'application/x-elf', kind: 'executable', test: bytes => startsWith(bytes, [0x7f, 0x45, 0x4c, 0x46]) },
+  {
+    mime: 'application/x-mach-binary',
+    kind: 'executable',
+    test: bytes => [[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]]
+      .some(signature => startsWith(bytes, signature))
+  },
+  { mime: 'application/x-ms-shortcut', kind: 'executable', test: bytes => startsWith(bytes, [0x4c, 0x00, 0x00, 0x00, 0x01, 0x14, 0x02, 0x00]) },
+  { mime: 'text/x-shellscript', kind: 'script', test: bytes => startsWith(bytes, ascii('#!')) },
+  { mime: 'application/pdf', kind: 'document', test: bytes => startsWith(bytes, ascii('%PDF-')) },
+  { mime: 'application/rtf', kind: 'document', test: bytes => startsWith(bytes, ascii('{\\rtf')) },
+  { mime: 'application/x-ole-storage', kind: 'office-legacy', test: bytes => startsWith(bytes, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+  { mime: 'application/zip', kind: 'archive', test: bytes => startsWith(bytes, [0x50, 0x4b, 0x03, 0x04]) || startsWith(bytes, [0x50, 0x4b, 0x05, 0x06]) },
+  { mime: 'application/vnd.rar', kind: 'archive', test: bytes => startsWith(bytes, ascii('Rar!\x1a\x07')) },
+  { mime: 'application/x-7z-compressed', kind: 'archive', test: bytes => startsWith(bytes, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+  { mime: 'application/gzip', kind: 'archive', test: bytes => startsWith(bytes, [0x1f, 0x8b]) },
+  { mime: 'image/png', kind: 'image', test: bytes => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47]) },
+  { mime: 'image/jpeg', kind: 'image', test: bytes => startsWith(bytes, [0xff, 0xd8, 0xff]) },
+  { mime: 'image/gif', kind: 'image', test: bytes => startsWith(bytes, ascii('GIF8')) },
+  { mime: 'image/webp', kind: 'image', test: bytes => startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WEBP'), 8) },
+  { mime: 'image/bmp', kind: 'image', test: bytes => startsWith(bytes, ascii('BM')) && bytes.length > 26 },
+  { mime: 'image/tiff', kind: 'image', test: bytes => startsWith(bytes, [0x49, 0x49, 0x2a, 0x00]) || startsWith(bytes, [0x4d, 0x4d, 0x00, 0x2a]) }
+];
+
+// What each extension's content is allowed to look like
+const EXPECTED_MIME_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.rtf': ['application/rtf'],
+  '.doc': ['application/x-ole-storage', 'application/rtf'],
+  '.xls': ['application/x-ole-storage'],
+  '.ppt': ['application/x-ole-storage'],
+  '.docx': ['application/zip'],
+  '.xlsx': ['application/zip'],
+  '.pptx': ['application/zip'],
+  '.odt': ['application/zip'],
+  '.ods': ['application/zip'],
+  '.odp': ['application/zip'],
+  '.zip': ['application/zip'],
+  '.rar': ['application/vnd.rar'],
+  '.7z': ['application/x-7z-compressed'],
+  '.gz': ['application/gzip'],
+  '.png': ['image/png'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.gif': ['image/gif'],
+  '.webp': ['image/webp'],
+  '.bmp': ['image/bmp'],
+  '.tiff': ['image/tiff']
+};
+
+const getExtension = (name) => {
+  const index = (name || '').lastIndexOf('.');
+  return index >= 0 ? name.slice(index).toLowerCase() : '';
+};
+
+const bytesToLatin1 = (bytes) => {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+};
+
+const utf16 = (text) => [...text].map(char => `${char}\0`).join('');
+
+/**
+ * Identify file content by its magic bytes
+ * @param {Uint8Array} bytes - File content
+ * @returns {Object|null} mime and kind, or null when no signature matches (e.g. plain text)
+ */
+export const sniffFileType = (bytes) => {
+  if (!bytes || bytes.length < 2) return null;
+  const signature = FILE_SIGNATURES.find(candidate => candidate.test(bytes));
+  return signature ? { mime: signature.mime, kind: signature.kind } : null;
+};
+
+/**
+ * Compare sniffed content against the file name's extension
+ * @param {string} fileName - Attachment name
+ * @param {Object|null} sniffed - Result of sniffFileType
+ * @returns {Object} threats and warnings
+ */
+export const checkTypeConsistency = (fileName, sniffed) => {
+  const result = { threats: [], warnings: [] };
+  if (!sniffed) return result;
+
+  const extension = getExtension(fileName);
+  const isExecutableContent = sniffed.kind === 'executable' || sniffed.kind === 'script';
+
+  if (isExecutableContent && !EXECUTABLE_EXTENSIONS.includes(extension)) {
+    result.threats.push(`Executable content (${sniffed.mime}) disguised as ${extension || 'a file without extension'}`);
+    return result;
+  }
+
+  const expected = EXPECTED_MIME_TYPES[extension];
+  if (expected && !expected.includes(sniffed.mime)) {
+    result.warnings.push(`File content (${sniffed.mime}) does not match the ${extension} extension`);
+  }
+
+  return result;
+};
+
+/**
+ * Inspect a ZIP container: size and ratio limits, encrypted entries, nested
+ * archives and executables (by name and by sniffing small entries).
+ * @param {Uint8Array} bytes - Archive bytes
+ * @param {Object} limits - Overrides for ARCHIVE_LIMITS
+ * @returns {Promise<Object>} Archive summary with threats and warnings
+ */
+export const inspectZipArchive = async (bytes, limits = {}) => {
+  const { maxEntries, maxUncompressedSize, maxCompressionRatio, maxSniffedEntries, maxSniffedEntrySize } = { ...ARCHIVE_LIMITS, ...limits };
+  const entries = [...readZipEntries(bytes).values()];
+
+  const summary = {
+    entryCount: entries.length,
+    totalUncompressedSize: entries.reduce((sum, entry) => sum + entry.uncompressedSize, 0),
+    compressionRatio: 0,
+    encryptedEntries: entries.filter(entry => entry.encrypted).length,
+    nestedArchives: [],
+    nestedExecutables: [],
+    threats: [],
+    warnings: []
+  };
+
+  summary.compressionRatio = bytes.length > 0 ? summary.totalUncompressedSize / bytes.length : 0;
+
+  const isZipBomb = entries.length > maxEntries
+    || summary.totalUncompressedSize > maxUncompressedSize
+    || summary.compressionRatio > maxCompressionRatio;
+
+  if (isZipBomb) {
+    summary.threats.push(`Possible zip bomb (${entries.length} entries, ${Math.round(summary.compressionRatio)}:1 compression)`);
+    return summary;
+  }
+
+  if (summary.encryptedEntries > 0) {
+    summary.warnings.push(`${summary.encryptedEntries} password-protected entries could not be inspected`);
+  }
+
+  let sniffedCount = 0;
+  for (const entry of entries) {
+    const extension = getExtension(entry.name);
+
+    if (EXECUTABLE_EXTENSIONS.includes(extension)) {
+      summary.nestedExecutables.push(entry.name);
+      continue;
+    }
+    if (ARCHIVE_EXTENSIONS.includes(extension)) {
+      summary.nestedArchives.push(entry.name);
+    }
+
+    const canSniff = !entry.encrypted && entry.uncompressedSize > 0 && entry.uncompressedSize <= maxSniffedEntrySize;
+    if (!canSniff || sniffedCount >= maxSniffedEntries || entry.name.endsWith('/')) continue;
+
+    sniffedCount++;
+    try {
+      const content = await readZipEntry(bytes, entry, maxSniffedEntrySize);
+      const sniffed = sniffFileType(content);
+      if (sniffed && (sniffed.kind === 'executable' || sniffed.kind === 'script')) {
+        summary.nestedExecutables.push(entry.name);
+      }
+    } catch (error) {
+      if (/exceeds/.test(error.message)) {
+        summary.threats.push(`Archive entry ${entry.name} expands beyond its declared size`);
+        break;
+      }
+      summary.warnings.push(`Could not read archive entry ${entry.name}`);
+    }
+  }
+
+  if (summary.nestedExecutables.length > 0) {
+    summary.threats.push(`Archive contains executables: ${summary.nestedExecutables.slice(0, 5).join(', ')}`);
+  }
+  if (summary.nestedArchives.length > 0) {
+    summary.warnings.push(`Archive contains nested archives: ${summary.nestedArchives.slice(0, 5).join(', ')}`);
+  }
+
+  return summary;
+};
+
+const AUTO_EXEC_MACROS = /\b(AutoOpen|AutoExec|AutoClose|Document_Open|Workbook_Open|Auto_Open|DocumentOpen)\b/i;
+
+/**
+ * Detect VBA macros in OOXML (zip) or legacy OLE Office documents
+ * @param {Uint8Array} bytes - Document bytes
+ * @param {Object|null} sniffed - Result of sniffFileType
+ * @returns {Promise<Object>} hasMacros, autoExec, remoteTemplate, threats and warnings
+ */
+export const detectOfficeMacros = async (bytes, sniffed) => {
+  const result = { hasMacros: false, autoExec: false, remoteTemplate: false, threats: [], warnings: [] };
+
+  if (sniffed?.mime === 'application/zip') {
+    const entries = readZipEntries(bytes);
+    const names = [...entries.keys()];
+    result.hasMacros = names.some(name => /vbaProject\.bin$|vbaData\.xml$|^xl\/macrosheets\//i.test(name));
+
+    const vbaEntry = names.find(name => /vbaProject\.bin$/i.test(name));
+    if (vbaEntry) {
+      try {
+        result.autoExec = AUTO_EXEC_MACROS.test(bytesToLatin1(await readZipEntry(bytes, entries.get(vbaEntry))));
+      } catch (error) {
+        result.warnings.push('Macro project could not be read');
+      }
+    }
+
+    const settingsRels = entries.get('word/_rels/settings.xml.rels');
+    if (settingsRels) {
+      try {
+        const rels = bytesToLatin1(await readZipEntry(bytes, settingsRels));
+        result.remoteTemplate = /attachedTemplate[^>]*TargetMode="External"|TargetMode="External"[^>]*attachedTemplate/.test(rels);
+      } catch (error) {
+        result.warnings.push('Document relationships could not be read');
+      }
+    }
+  } else if (sniffed?.mime === 'application/x-ole-storage') {
+    const content = bytesToLatin1(bytes);
+    // Word keeps macros under Macros/_VBA_PROJECT, Excel under _VBA_PROJECT_CUR
+    result.hasMacros = content.includes(utf16('_VBA_PROJECT'));
+    result.autoExec = result.hasMacros && AUTO_EXEC_MACROS.test(content);
+  }
+
+  if (result.autoExec) {
+    result.threats.push('Office document contains auto-executing macros');
+  } else if (result.hasMacros) {
+    result.warnings.push('Office document contains macros');
+  }
+  if (result.remoteTemplate) {
+    result.threats.push('Office document loads a remote template');
+  }
+
+  return result;
+};
+
+/**
+ * Flag PDF features commonly used to deliver malware
+ * @param {Uint8Array} bytes - PDF bytes
+ * @returns {Object} threats and warnings
+ */
+export const detectPdfActions = (bytes) => {
+  const content = bytesToLatin1(bytes);
+  const result = { threats: [], warnings: [] };
+
+  if (/\/Launch\b/.test(content)) result.threats.push('PDF contains a launch action');
+  if (/\/JavaScript\b|\/JS\b/.test(content)) result.warnings.push('PDF contains JavaScript');
+  if (/\/EmbeddedFile\b/.test(content)) result.warnings.push('PDF contains embedded files');
+
+  return result;
+};
+
+/**
+ * Encode bytes as base64 for transport to a scanner service
+ * @param {Uint8Array} bytes - Content
+ * @returns {string} Base64 string
+ */
+export const encodeBase64 = (bytes) => btoa(bytesToLatin1(bytes));
+
+/**
+ * ClamAV adapter. Streams the attachment to clamd through the
+ * attachment-scan edge function, since browsers cannot open raw TCP sockets.
+ * @param {Object} client - Supabase client
+ * @param {Object} options - maxBytes: largest attachment sent for scanning
+ * @returns {Object} Scanner
+ */
+export const createClamAvScanner = (client, { maxBytes = 25 * 1024 * 1024 } = {}) => ({
+  name: 'clamav',
+
+  async scan(bytes, attachment) {
+    if (bytes.length > maxBytes) {
+      return { status: SCAN_STATUS.UNSCANNED, error: 'Attachment exceeds scanner size limit' };
+    }
+
+    const { data, error } = await client.functions.invoke('attachment-scan', {
+      body: { fileName: attachment.name, content: encodeBase64(bytes) }
+    });
+
+    if (error) {
+      return { status: SCAN_STATUS.ERROR, error: error.message };
+    }
+
+    return {
+      status: data?.status || SCAN_STATUS.ERROR,
+      signature: data?.signature || null,
+      error: data?.error
+    };
+  }
+});
@@ -1,39 +1,404 @@
+/**
+ * Business Hours Engine
+ *
+ * Evaluates a tenant's opening hours in the tenant's own IANA timezone rather
+ * than the host clock. Each weekday may have several windows (split shifts,
+ * lunch closures) and a holiday calendar can close or shorten specific dates,
+ * either once or on a recurring rule.
+ *
+ * Hours use the HHMM integer format (900 = 09:00, 1730 = 17:30):
+ *   { 1: { enabled: true, start: 900, end: 1700 } }
+ *   { 1: { enabled: true, windows: [{ start: 800, end: 1200 }, { start: 1300, end: 1700 }] } }
+ *
+ * Holiday entries:
+ *   { date: '2024-12-25', name: 'Christmas' }                       closed all day
+ *   { date: '2024-12-24', windows: [{ start: 900, end: 1200 }] }    reduced hours
+ *   { date: '2024-12-27', endDate: '2024-12-31' }                   closure range
+ *   { recurring: 'yearly', month: 7, day: 1 }                       fixed date every year
+ *   { recurring: 'yearly', month: 11, weekday: 4, nth: 4 }          4th Thursday of November
+ *   { recurring: 'yearly', month: 5, weekday: 1, nth: -1 }          last Monday of May
+ */
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DISPLAY_DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Days since 1970-01-01 for a proleptic Gregorian date (month is 1-based).
+ * Pure arithmetic so it is unaffected by the host timezone.
+ */
+const daysFromCivil = (year, month, day) => {
+  const y = month <= 2 ? year - 1 : year;
+  const era = Math.floor(y / 400);
+  const yoe = y - era * 400;
+  const mp = (month + 9) % 12;
+  const doy = Math.floor((153 * mp + 2) / 5) + day - 1;
+  const doe = yoe * 365 + Math.floor(yoe / 4) - Math.floor(yoe / 100) + doy;
+  return era * 146097 + doe - 719468;
+};
+
+const civilFromDays = (days) => {
+  const z = days + 719468;
+  const era = Math.floor(z / 146097);
+  const doe = z - era * 146097;
+  const yoe = Math.floor((doe - Math.floor(doe / 1460) + Math.floor(doe / 36524) - Math.floor(doe / 146096)) / 365);
+  const doy = doe - (365 * yoe + Math.floor(yoe / 4) - Math.floor(yoe / 100));
+  const mp = Math.floor((5 * doy + 2) / 153);
+  const day = doy - Math.floor((153 * mp + 2) / 5) + 1;
+  const month = mp < 10 ? mp + 3 : mp - 9;
+  return { year: yoe + era * 400 + (month <= 2 ? 1 : 0), month, day };
+};
+
+const weekdayFromDays = (days) => ((days % 7) + 11) % 7;
+
+const daysInMonth = (year, month) => (
+  month === 12
+    ? daysFromCivil(year + 1, 1, 1) - daysFromCivil(year, 12, 1)
+    : daysFromCivil(year, month + 1, 1) - daysFromCivil(year, month, 1)
+);
+
+const hhmmToMinutes = (value) => {
+  if (typeof value === 'string') {
+    const [hours, minutes = '0'] = value.split(':');
+    return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+  }
+  return Math.floor(value / 100) * 60 + (value % 100);
+};
+
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return daysFromCivil(year, month, day);
+};
+
+export const getHostTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock fields of an instant in the given timezone.
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timeZone - IANA timezone
+ */
+export const getZonedParts = (ms, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(ms)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  const days = daysFromCivil(parts.year, parts.month, parts.day);
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    days,
+    weekday: weekdayFromDays(days),
+    minuteOfDay: parts.hour * 60 + parts.minute,
+    second: parts.second
+  };
+};
+
+const getOffsetMs = (ms, timeZone) => {
+  const parts = getZonedParts(ms, timeZone);
+  const wallMs = parts.days * DAY_MS + parts.minuteOfDay * MINUTE_MS + parts.second * 1000;
+  return wallMs - (ms - (((ms % 1000) + 1000) % 1000));
+};
+
+/**
+ * Instant for a wall-clock minute on a civil day in the given timezone.
+ * Wall times skipped by a DST jump resolve to the instant just after the gap.
+ */
+export const zonedTimeToInstant = (days, minuteOfDay, timeZone) => {
+  const wallMs = days * DAY_MS + minuteOfDay * MINUTE_MS;
+  const firstGuess = wallMs - getOffsetMs(wallMs, timeZone);
+  const offset = getOffsetMs(firstGuess, timeZone);
+  const instant = wallMs - offset;
+  return getOffsetMs(instant, timeZone) === offset ? instant : wallMs - getOffsetMs(instant, timeZone);
+};
+
 export class BusinessHoursManager {
-  constructor(hours = null) {
+  /**
+   * @param {Object|Array|null} hours - Weekday hours keyed 0 (Sunday) to 6 (Saturday)
+   * @param {Object} options
+   * @param {string} [options.timezone] - IANA timezone of the business (defaults to the host timezone)
+   * @param {Array} [options.holidays] - Holiday and closure calendar entries
+   */
+  constructor(hours = null, options = {}) {
     this.hours = hours || this.getDefaultHours();
+    this.timezone = isValidTimezone(options.timezone) ? options.timezone : getHostTimezone();
+    this.holidays = Array.isArray(options.holidays) ? options.holidays : [];
   }
 
-  isBusinessHours() {
-    const now = new Date();
-    const day = now.getDay();
-    const time = now.getHours() * 100 + now.getMinutes();
+  /**
+   * Build a manager from a `business_hours` row or profile field, which uses
+   * `{ schedule: { monday: { open, start: '09:00', end: '17:00' } }, timezone, holidays }`.
+   * Returns null when no schedule is configured so callers can treat the
+   * business as always available.
+   */
+  static fromSchedule(businessHours) {
+    if (!businessHours?.schedule) {
+      return null;
+    }
+
+    const hours = {};
+    DAY_NAMES.forEach((dayName, index) => {
+      const daySchedule = businessHours.schedule[dayName];
+      if (!daySchedule || !daySchedule.open) {
+        hours[index] = { enabled: false };
+        return;
+      }
+
+      const toHHMM = (value) => {
+        const minutes = hhmmToMinutes(value);
+        return Math.floor(minutes / 60) * 100 + (minutes % 60);
+      };
+
+      hours[index] = Array.isArray(daySchedule.windows) && daySchedule.windows.length > 0
+        ? { enabled: true, windows: daySchedule.windows.map(w => ({ start: toHHMM(w.start), end: toHHMM(w.end) })) }
+        : { enabled: true, start: toHHMM(daySchedule.start), end: toHHMM(daySchedule.end) };
+    });
+
+    return new BusinessHoursManager(hours, {
+      timezone: businessHours.timezone,
+      holidays: businessHours.holidays
+    });
+  }
+
+  isBusinessHours(at = new Date()) {
+    const ms = at.getTime();
+    const parts = getZonedParts(ms, this.timezone);
+    return this.getWindowsForDay(parts.days).some(
+      window => parts.minuteOfDay >= window.start && parts.minuteOfDay < window.end
+    );
+  }
+
+  /**
+   * Opening windows for a civil day, in minutes since midnight, after
+   * applying the holiday calendar.
+   * @param {number} days - Days since 1970-01-01 in the business timezone
+   */
+  getWindowsForDay(days) {
+    const holiday = this.findHoliday(days);
+    if (holiday) {
+      return Array.isArray(holiday.windows) ? this.normalizeWindows(holiday.windows) : [];
+    }
+
+    const dayHours = this.hours[weekdayFromDays(days)];
+    if (!dayHours || !dayHours.enabled) {
+      return [];
+    }
+
+    return this.normalizeWindows(
+      Array.isArray(dayHours.windows) && dayHours.windows.length > 0
+        ? dayHours.windows
+        : [{ start: dayHours.start, end: dayHours.end }]
+    );
+  }
+
+  normalizeWindows(windows) {
+    return windows
+      .filter(window => window && window.start != null && window.end != null)
+      .map(window => ({ start: hhmmToMinutes(window.start), end: hhmmToMinutes(window.end) }))
+      .filter(window => window.end > window.start)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Holiday entry covering the given civil day, or null.
+   */
+  findHoliday(days) {
+    const { year, month, day } = civilFromDays(days);
+
+    return this.holidays.find(holiday => {
+      if (holiday.date) {
+        const startDays = parseDateKey(holiday.date);
+        const endDays = holiday.endDate ? parseDateKey(holiday.endDate) : startDays;
+        return days >= startDays && days <= endDays;
+      }
+
+      if (holiday.recurring === 'yearly' && holiday.month === month) {
+        if (holiday.day != null) {
+          return holiday.day === day;
+        }
+        if (holiday.weekday != null && holiday.nth != null) {
+          return this.resolveNthWeekday(year, month, holiday.weekday, holiday.nth) === day;
+        }
+      }
 
-    const todayHours = this.hours[day];
-    if (!todayHours || !todayHours.enabled) {
       return false;
+    }) || null;
+  }
+
+  resolveNthWeekday(year, month, weekday, nth) {
+    if (nth > 0) {
+      const firstWeekday = weekdayFromDays(daysFromCivil(year, month, 1));
+      const day = 1 + ((weekday - firstWeekday + 7) % 7) + (nth - 1) * 7;
+      return day <= daysInMonth(year, month) ? day : null;
+    }
+
+    const lastDay = daysInMonth(year, month);
+    const lastWeekday = weekdayFromDays(daysFromCivil(year, month, lastDay));
+    return lastDay - ((lastWeekday - weekday + 7) % 7) + (nth + 1) * 7;
+  }
+
+  isHoliday(at = new Date()) {
+    return this.findHoliday(getZonedParts(at.getTime(), this.timezone).days);
+  }
+
+  /**
+   * Start of the next opening window at or after `from`. Returns `from`
+   * itself when the business is currently open, or null if nothing opens
+   * within a year.
+   */
+  getNextOpening(from = new Date()) {
+    const ms = this.findNextOpeningMs(from.getTime(), false);
+    return ms === null ? null : this.toDate(from, ms);
+  }
+
+  /**
+   * Opening time of the first business day after the current one in the
+   * business timezone.
+   */
+  getNextBusinessDay(from = new Date()) {
+    const ms = this.findNextOpeningMs(from.getTime(), true);
+    return ms === null ? null : this.toDate(from, ms);
+  }
+
+  findNextOpeningMs(fromMs, skipToday) {
+    const parts = getZonedParts(fromMs, this.timezone);
+
+    for (let offset = skipToday ? 1 : 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      const days = parts.days + offset;
+      for (const window of this.getWindowsForDay(days)) {
+        if (offset === 0 && parts.minuteOfDay >= window.end) continue;
+        if (offset === 0 && parts.minuteOfDay >= window.start) return fromMs;
+
+        const openingMs = zonedTimeToInstant(days, window.start, this.timezone);
+        if (openingMs >= fromMs) return openingMs;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * End of the window the business is currently in, or null when closed.
+   */
+  getCurrentWindowEnd(at = new Date()) {
+    const parts = getZonedParts(at.getTime(), this.timezone);
+    const window = this.getWindowsForDay(parts.days).find(
+      w => parts.minuteOfDay >= w.start && parts.minuteOfDay < w.end
+    );
+    return window ? this.toDate(at, zonedTimeToInstant(parts.days, window.end, this.timezone)) : null;
+  }
+
+  /**
+   * Opening windows overlapping [startMs, endMs) as epoch-millisecond ranges.
+   */
+  getWindowInstantsBetween(startMs, endMs) {
+    const ranges = [];
+    const firstDay = getZonedParts(startMs, this.timezone).days;
+    const lastDay = getZonedParts(endMs, this.timezone).days;
+
+    for (let days = firstDay; days <= lastDay; days++) {
+      for (const window of this.getWindowsForDay(days)) {
+        const windowStart = Math.max(zonedTimeToInstant(days, window.start, this.timezone), startMs);
+        const windowEnd = Math.min(zonedTimeToInstant(days, window.end, this.timezone), endMs);
+        if (windowEnd > windowStart) {
+          ranges.push([windowStart, windowEnd]);
+        }
+      }
     }
 
-    return time >= todayHours.start && time <= todayHours.end;
+    return ranges;
+  }
+
+  /**
+   * Milliseconds of open business time between two instants.
+   */
+  getBusinessMillisBetween(start, end) {
+    const startMs = start.getTime();
+    const endMs = end.getTime();
+    if (endMs <= startMs) return 0;
+
+    return this.getWindowInstantsBetween(startMs, endMs)
+      .reduce((total, [windowStart, windowEnd]) => total + (windowEnd - windowStart), 0);
   }
 
-  getNextBusinessDay() {
-    const now = new Date();
-    let nextDay = new Date(now);
-    
-    do {
-      nextDay.setDate(nextDay.getDate() + 1);
-    } while (!this.hours[nextDay.getDay()]?.enabled);
+  /**
+   * Instant at which `durationMs` of business time has elapsed after `start`,
+   * or null if that does not happen within a year.
+   */
+  addBusinessTime(start, durationMs) {
+    const startMs = start.getTime();
+    let remaining = durationMs;
+    let cursorMs = startMs;
+
+    const firstDay = getZonedParts(startMs, this.timezone).days;
+    for (let days = firstDay; days <= firstDay + MAX_LOOKAHEAD_DAYS; days++) {
+      for (const window of this.getWindowsForDay(days)) {
+        const windowStart = Math.max(zonedTimeToInstant(days, window.start, this.timezone), cursorMs);
+        const windowEnd = zonedTimeToInstant(days, window.end, this.timezone);
+        if (windowEnd <= windowStart) continue;
+
+        if (windowEnd - windowStart >= remaining) {
+          return this.toDate(start, windowStart + remaining);
+        }
+        remaining -= windowEnd - windowStart;
+        cursorMs = windowEnd;
+      }
+    }
+
+    return null;
+  }
 
-    return nextDay;
+  // Reuse the caller's Date instance so mocked clocks keep working
+  toDate(reference, ms) {
+    const result = new Date(reference.getTime());
+    result.setTime(ms);
+    return result;
   }
 
-  getResponseDelay() {
-    if (this.isBusinessHours()) {
+  getResponseDelay(from = new Date()) {
+    if (this.isBusinessHours(from)) {
       return 0; // Immediate response
-    } else {
-      const nextDay = this.getNextBusinessDay();
-      return nextDay.getTime() - Date.now();
     }
+
+    const fromMs = from.getTime();
+    const nextOpeningMs = this.findNextOpeningMs(fromMs, false);
+    return nextOpeningMs === null ? Infinity : nextOpeningMs - fromMs;
   }
 
   getDefaultHours() {
@@ -48,7 +413,7 @@ export class BusinessHoursManager {
     };
   }
 
-  // Helper method to format time from minutes since midnight
+  // Helper method to format time from HHMM integer
   formatTime(timeInMinutes) {
     const hours = Math.floor(timeInMinutes / 100);
     const minutes = timeInMinutes % 100;
@@ -56,14 +421,18 @@ export class BusinessHoursManager {
   }
 
   // Helper method to get business hours status message
-  getStatusMessage() {
-    if (this.isBusinessHours()) {
+  getStatusMessage(at = new Date()) {
+    if (this.isBusinessHours(at)) {
       return "We're currently open for business";
-    } else {
-      const nextDay = this.getNextBusinessDay();
-      const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      return `We're currently closed. Next business day: ${days[nextDay.getDay()]}`;
     }
+
+    const nextOpening = this.getNextOpening(at);
+    if (!nextOpening) {
+      return "We're currently closed";
+    }
+
+    const { weekday } = getZonedParts(nextOpening.getTime(), this.timezone);
+    return `We're currently closed. Next business day: ${DISPLAY_DAY_NAMES[weekday]}`;
   }
 
   // Method to update business hours
@@ -71,6 +440,17 @@ export class BusinessHoursManager {
     this.hours = { ...this.getDefaultHours(), ...newHours };
   }
 
+  setTimezone(timezone) {
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+    this.timezone = timezone;
+  }
+
+  setHolidays(holidays) {
+    this.holidays = Array.isArray(holidays) ? holidays : [];
+  }
+
   // Method to get current hours configuration
   getHours() {
     return this.hours;
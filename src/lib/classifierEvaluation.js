@@ -0,0 +1,549 @@
+/**
+ * Classifier Evaluation Harness
+ * Offline accuracy checks for classifier system messages
+ * (EnhancedDynamicClassifierGenerator) against approved user corrections:
+ *   - labeled datasets per business type from classification_training_dataset
+ *     (approved classification_feedback rows, confidence_rating >= 3)
+ *   - pluggable LLM clients: OpenAI for real runs, a deterministic keyword
+ *     client for CI
+ *   - per-category precision/recall/F1 and a confusion matrix
+ *   - regressions of a candidate prompt versus the deployed prompt
+ */
+
+const UNPARSED_LABEL = '(unparsed)';
+
+/**
+ * Normalize a category name for comparison ("Support", " SUPPORT " -> "SUPPORT")
+ */
+export const normalizeCategory = (category) => {
+  if (category === null || category === undefined) return null;
+  const normalized = String(category).trim().toUpperCase();
+  return normalized || null;
+};
+
+// ============================================================================
+// Datasets
+// ============================================================================
+
+/**
+ * Format an example the way the n8n "AI Master Classifier" node does
+ * @param {Object} email - { subject, from, body }
+ * @returns {string}
+ */
+export const formatClassifierInput = (email) =>
+  `Subject: ${email.subject || ''}\nFrom: ${email.from || ''}\n\nEmail Body:\n${email.body || ''}`;
+
+/**
+ * Turn classification_training_dataset rows into labeled examples.
+ * Rows without a label or without any email content are skipped.
+ * @param {Array} rows - View rows
+ * @returns {Array} [{ id, businessType, email: {subject, from, body}, expected: {primary, secondary, tertiary} }]
+ */
+export const buildEvaluationDataset = (rows = []) => {
+  const seen = new Set();
+  const examples = [];
+
+  for (const row of rows) {
+    const primary = normalizeCategory(row.label_primary);
+    const hasContent = row.email_subject || row.email_body_preview;
+    if (!primary || !hasContent || seen.has(row.id)) continue;
+    seen.add(row.id);
+
+    examples.push({
+      id: row.id,
+      businessType: row.primary_business_type || row.business_types?.[0] || null,
+      email: {
+        subject: row.email_subject || '',
+        from: row.email_from || '',
+        body: row.email_body_preview || ''
+      },
+      expected: {
+        primary,
+        secondary: normalizeCategory(row.label_secondary),
+        tertiary: normalizeCategory(row.label_tertiary)
+      }
+    });
+  }
+
+  return examples;
+};
+
+/**
+ * Group examples by business type
+ * @returns {Object} { [businessType]: examples[] }
+ */
+export const groupByBusinessType = (examples) => examples.reduce((groups, example) => {
+  const key = example.businessType || 'unknown';
+  (groups[key] = groups[key] || []).push(example);
+  return groups;
+}, {});
+
+// ============================================================================
+// Classifier Output
+// ============================================================================
+
+/**
+ * Parse a classifier response the same way the workflow's "Parse AI
+ * Classification" node does: strip markdown fences, drop anything after the
+ * last closing brace, then JSON.parse.
+ * @param {string|Object} output - Raw model output
+ * @returns {Object|null} Parsed classification or null if unparseable
+ */
+export const parseClassifierOutput = (output) => {
+  if (output && typeof output === 'object') return output;
+  if (typeof output !== 'string') return null;
+
+  let clean = output.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  const lastBrace = clean.lastIndexOf('}');
+  if (lastBrace !== -1) clean = clean.slice(0, lastBrace + 1);
+
+  try {
+    return JSON.parse(clean);
+  } catch {
+    return null;
+  }
+};
+
+// ============================================================================
+// Metrics
+// ============================================================================
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+/**
+ * Per-category precision/recall/F1, accuracy and confusion matrix for
+ * primary categories. Unparseable responses count as a "(unparsed)" prediction.
+ * @param {Array} results - [{ expected: {primary, secondary}, predicted: {primary, secondary} | null }]
+ * @returns {Object} Metrics
+ */
+export const computeClassificationMetrics = (results) => {
+  const confusionMatrix = {};
+  const labels = new Set();
+  let correct = 0;
+  let secondaryTotal = 0;
+  let secondaryCorrect = 0;
+  let unparsed = 0;
+
+  for (const { expected, predicted } of results) {
+    const actual = expected.primary;
+    const guess = predicted?.primary || UNPARSED_LABEL;
+    if (guess === UNPARSED_LABEL) unparsed++;
+
+    labels.add(actual);
+    labels.add(guess);
+    confusionMatrix[actual] = confusionMatrix[actual] || {};
+    confusionMatrix[actual][guess] = (confusionMatrix[actual][guess] || 0) + 1;
+
+    if (actual === guess) {
+      correct++;
+      // Secondary accuracy only means something once the primary is right
+      if (expected.secondary) {
+        secondaryTotal++;
+        if (predicted.secondary === expected.secondary) secondaryCorrect++;
+      }
+    }
+  }
+
+  const sortedLabels = [...labels].sort();
+  const perCategory = {};
+
+  for (const label of sortedLabels) {
+    if (label === UNPARSED_LABEL) continue;
+
+    const truePositives = confusionMatrix[label]?.[label] || 0;
+    const support = Object.values(confusionMatrix[label] || {}).reduce((sum, n) => sum + n, 0);
+    const predictedCount = Object.values(confusionMatrix).reduce((sum, row) => sum + (row[label] || 0), 0);
+    const precision = ratio(truePositives, predictedCount);
+    const recall = ratio(truePositives, support);
+
+    perCategory[label] = {
+      precision,
+      recall,
+      f1: ratio(2 * precision * recall, precision + recall),
+      support,
+      predicted: predictedCount
+    };
+  }
+
+  // Macro averages over categories that actually occur in the dataset
+  const present = Object.values(perCategory).filter(metrics => metrics.support > 0);
+
+  return {
+    total: results.length,
+    correct,
+    accuracy: ratio(correct, results.length),
+    secondaryAccuracy: secondaryTotal > 0 ? secondaryCorrect / secondaryTotal : null,
+    macroPrecision: ratio(present.reduce((sum, m) => sum + m.precision, 0), present.length),
+    macroRecall: ratio(present.reduce((sum, m) => sum + m.recall, 0), present.length),
+    macroF1: ratio(present.reduce((sum, m) => sum + m.f1, 0), present.length),
+    unparsed,
+    labels: sortedLabels,
+    perCategory,
+    confusionMatrix
+  };
+};
+
+/**
+ * Compare a candidate evaluation against the baseline (deployed prompt).
+ * A category regresses when its precision or recall drops by more than
+ * `tolerance`; categories with fewer than `minSupport` examples are reported
+ * but do not fail the comparison.
+ * @param {Object} baseline - Metrics from computeClassificationMetrics
+ * @param {Object} candidate - Metrics from computeClassificationMetrics
+ * @param {Object} options - { tolerance, minSupport }
+ * @returns {Object} { passed, accuracyDelta, macroF1Delta, regressions, improvements }
+ */
+export const compareEvaluations = (baseline, candidate, { tolerance = 0.02, minSupport = 5 } = {}) => {
+  const regressions = [];
+  const improvements = [];
+  const categories = new Set([...Object.keys(baseline.perCategory), ...Object.keys(candidate.perCategory)]);
+
+  for (const category of [...categories].sort()) {
+    const before = baseline.perCategory[category];
+    const after = candidate.perCategory[category];
+    const support = before?.support || after?.support || 0;
+    if (support === 0) continue;
+
+    for (const metric of ['precision', 'recall']) {
+      const delta = (after?.[metric] || 0) - (before?.[metric] || 0);
+      const entry = {
+        category,
+        metric,
+        baseline: before?.[metric] || 0,
+        candidate: after?.[metric] || 0,
+        delta,
+        support,
+        significant: support >= minSupport
+      };
+
+      if (delta < -tolerance) regressions.push(entry);
+      else if (delta > tolerance) improvements.push(entry);
+    }
+  }
+
+  const accuracyDelta = candidate.accuracy - baseline.accuracy;
+
+  return {
+    passed: accuracyDelta >= -tolerance && !regressions.some(r => r.significant),
+    accuracyDelta,
+    macroF1Delta: candidate.macroF1 - baseline.macroF1,
+    regressions,
+    improvements
+  };
+};
+
+// ============================================================================
+// LLM Clients
+// ============================================================================
+
+/**
+ * Extract categories and their keywords from the "### Categories:" section
+ * of a generated classifier system message
+ * @param {string} systemMessage
+ * @returns {Array} [{ name, keywords, secondary: [{ name, keywords }] }]
+ */
+export const extractPromptCategories = (systemMessage) => {
+  const start = systemMessage.indexOf('### Categories:');
+  if (start === -1) return [];
+
+  const rest = systemMessage.slice(start + '### Categories:'.length);
+  const end = rest.search(/\n### /);
+  const section = end === -1 ? rest : rest.slice(0, end);
+
+  const categories = [];
+  let current = null;
+  let currentSecondary = null;
+
+  for (const line of section.split('\n')) {
+    const header = line.match(/^\*\*(.+?)\*\*:/);
+    if (header) {
+      current = { name: header[1].trim(), keywords: [header[1].trim()], secondary: [] };
+      currentSecondary = null;
+      categories.push(current);
+      continue;
+    }
+    if (!current) continue;
+
+    const sub = line.match(/^([^:]+?) - /);
+    if (sub && !line.startsWith('Keywords:') && !line.startsWith('Examples:')) {
+      currentSecondary = { name: sub[1].trim(), keywords: [sub[1].trim()] };
+      current.secondary.push(currentSecondary);
+      continue;
+    }
+
+    const keywordLine = line.match(/^Keywords:\s*(.+)$/);
+    if (keywordLine) {
+      const keywords = keywordLine[1].split(',').map(k => k.trim()).filter(Boolean);
+      (currentSecondary || current).keywords.push(...keywords);
+      // Secondary keywords are evidence for the parent category too
+      if (currentSecondary) current.keywords.push(...keywords);
+    }
+  }
+
+  return categories;
+};
+
+const countMatches = (text, keywords) =>
+  keywords.reduce((score, keyword) => score + (text.includes(keyword.toLowerCase()) ? 1 : 0), 0);
+
+/**
+ * Deterministic classifier for CI. Scores each category in the prompt by how
+ * many of its keywords appear in the email, so prompt changes that add or
+ * remove keywords move the results the way a real model would be nudged.
+ * Ties go to the category listed first; no matches fall back to `fallbackCategory`.
+ * @param {Object} options - { fallbackCategory }
+ * @returns {Object} LLM client ({ name, classify })
+ */
+export const createMockClassifierClient = ({ fallbackCategory = 'Misc' } = {}) => {
+  const cache = new Map();
+
+  return {
+    name: 'mock-keyword',
+    async classify({ systemMessage, input }) {
+      if (!cache.has(systemMessage)) cache.set(systemMessage, extractPromptCategories(systemMessage));
+      const categories = cache.get(systemMessage);
+      const text = input.toLowerCase();
+
+      let best = null;
+      let bestScore = 0;
+      for (const category of categories) {
+        const score = countMatches(text, category.keywords);
+        if (score > bestScore) {
+          best = category;
+          bestScore = score;
+        }
+      }
+
+      let secondary = null;
+      let secondaryScore = 0;
+      for (const sub of best?.secondary || []) {
+        const score = countMatches(text, sub.keywords);
+        if (score > secondaryScore) {
+          secondary = sub.name;
+          secondaryScore = score;
+        }
+      }
+
+      return JSON.stringify({
+        primary_category: best?.name || fallbackCategory,
+        secondary_category: secondary,
+        tertiary_category: null,
+        confidence: best ? Math.min(0.5 + bestScore * 0.1, 0.99) : 0.3
+      });
+    }
+  };
+};
+
+/**
+ * OpenAI chat completions client (temperature 0 so reruns are comparable)
+ * @param {Object} options - { apiKey, model, fetchImpl }
+ * @returns {Object} LLM client ({ name, classify })
+ */
+export const createOpenAIClassifierClient = ({ apiKey, model = 'gpt-4o-mini', fetchImpl = fetch } = {}) => {
+  if (!apiKey) {
+    throw new Error('OpenAI API key is required for the OpenAI classifier client');
+  }
+
+  return {
+    name: `openai:${model}`,
+    async classify({ systemMessage, input }) {
+      const response = await fetchImpl('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          messages: [
+            { role: 'system', content: systemMessage },
+            { role: 'user', content: input }
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+    }
+  };
+};
+
+// ============================================================================
+// Evaluator
+// ============================================================================
+
+/**
+ * Runs classifier prompts against labeled datasets.
+ * The Supabase client is injected so the harness works from CI scripts
+ * (service role) as well as the app.
+ */
+export class ClassifierEvaluator {
+  constructor({ supabase = null, llmClient } = {}) {
+    if (!llmClient) {
+      throw new Error('An LLM client is required (createMockClassifierClient or createOpenAIClassifierClient)');
+    }
+    this.supabase = supabase;
+    this.llmClient = llmClient;
+  }
+
+  /**
+   * Load approved corrections for a business type
+   * @param {string} businessType - e.g. 'Hot tub & Spa'
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} Labeled examples
+   */
+  async loadDataset(businessType, { limit = 1000 } = {}) {
+    if (!this.supabase) {
+      throw new Error('A Supabase client is required to load datasets');
+    }
+
+    let query = this.supabase
+      .from('classification_training_dataset')
+      .select('id, email_subject, email_from, email_body_preview, label_primary, label_secondary, label_tertiary, business_types, primary_business_type')
+      .limit(limit);
+
+    if (businessType) {
+      query = query.eq('primary_business_type', businessType);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Failed to load classification feedback: ${error.message}`);
+    }
+
+    return buildEvaluationDataset(data || []);
+  }
+
+  /**
+   * Load the classifier system message from a user's active workflow
+   * @param {string} userId
+   * @returns {Promise<string|null>} Deployed system message
+   */
+  async loadDeployedPrompt(userId) {
+    if (!this.supabase) {
+      throw new Error('A Supabase client is required to load the deployed prompt');
+    }
+
+    const { data, error } = await this.supabase
+      .from('workflows')
+      .select('workflow_json')
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load deployed workflow: ${error.message}`);
+    }
+
+    const classifierNode = data?.workflow_json?.nodes?.find(node => node.name === 'AI Master Classifier');
+    return classifierNode?.parameters?.options?.systemMessage || null;
+  }
+
+  /**
+   * Classify every example with one system message
+   * @param {string} systemMessage - Classifier prompt under test
+   * @param {Array} dataset - Labeled examples
+   * @returns {Promise<Object>} { results, metrics }
+   */
+  async evaluatePrompt(systemMessage, dataset) {
+    const results = [];
+
+    // Sequential on purpose: keeps OpenAI runs inside rate limits and mock runs reproducible
+    for (const example of dataset) {
+      let predicted = null;
+      let error = null;
+
+      try {
+        const output = await this.llmClient.classify({ systemMessage, input: formatClassifierInput(example.email) });
+        const parsed = parseClassifierOutput(output);
+        if (parsed) {
+          predicted = {
+            primary: normalizeCategory(parsed.primary_category),
+            secondary: normalizeCategory(parsed.secondary_category),
+            tertiary: normalizeCategory(parsed.tertiary_category),
+            confidence: parsed.confidence ?? null
+          };
+        }
+      } catch (classifyError) {
+        error = classifyError.message;
+      }
+
+      results.push({ id: example.id, expected: example.expected, predicted, error });
+    }
+
+    return { results, metrics: computeClassificationMetrics(results) };
+  }
+
+  /**
+   * Evaluate a candidate prompt and compare it with the deployed one
+   * @param {Object} params - { businessType, candidatePrompt, baselinePrompt, dataset, tolerance, minSupport }
+   * @returns {Promise<Object>} Evaluation report
+   */
+  async evaluateCandidate({ businessType, candidatePrompt, baselinePrompt = null, dataset = null, tolerance, minSupport }) {
+    const examples = dataset || await this.loadDataset(businessType);
+    if (examples.length === 0) {
+      throw new Error(`No approved feedback found for business type: ${businessType}`);
+    }
+
+    console.log(`🧪 Evaluating classifier for ${businessType} on ${examples.length} examples (${this.llmClient.name})`);
+
+    const candidate = await this.evaluatePrompt(candidatePrompt, examples);
+    const baseline = baselinePrompt ? await this.evaluatePrompt(baselinePrompt, examples) : null;
+
+    return {
+      businessType,
+      client: this.llmClient.name,
+      datasetSize: examples.length,
+      candidate: candidate.metrics,
+      baseline: baseline?.metrics || null,
+      comparison: baseline ? compareEvaluations(baseline.metrics, candidate.metrics, { tolerance, minSupport }) : null,
+      misclassified: candidate.results.filter(r => r.predicted?.primary !== r.expected.primary)
+    };
+  }
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Plain-text report for CI logs
+ * @param {Object} report - From evaluateCandidate
+ * @returns {string}
+ */
+export const formatEvaluationReport = (report) => {
+  const lines = [
+    `Classifier evaluation: ${report.businessType} (${report.datasetSize} examples, ${report.client})`,
+    `Accuracy: ${percent(report.candidate.accuracy)}  Macro F1: ${percent(report.candidate.macroF1)}  Unparsed: ${report.candidate.unparsed}`
+  ];
+
+  if (report.baseline) {
+    lines.push(`Baseline accuracy: ${percent(report.baseline.accuracy)}  Delta: ${(report.comparison.accuracyDelta * 100).toFixed(1)} pts`);
+  }
+
+  lines.push('', 'Category                 Precision  Recall   F1       Support');
+  for (const [category, m] of Object.entries(report.candidate.perCategory)) {
+    lines.push(`${category.padEnd(24)} ${percent(m.precision).padEnd(10)} ${percent(m.recall).padEnd(8)} ${percent(m.f1).padEnd(8)} ${m.support}`);
+  }
+
+  if (report.comparison) {
+    lines.push('');
+    if (report.comparison.regressions.length === 0) {
+      lines.push('No regressions versus the deployed prompt');
+    }
+    for (const r of report.comparison.regressions) {
+      lines.push(`REGRESSION ${r.category} ${r.metric}: ${percent(r.baseline)} -> ${percent(r.candidate)}${r.significant ? '' : ' (low support)'}`);
+    }
+    lines.push(report.comparison.passed ? 'PASSED' : 'FAILED');
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,243 @@
+/**
+ * CLASSIFIER FEW-SHOT EXAMPLES
+ *
+ * Turns a business's own corrections from classification_feedback into
+ * few-shot cases for the classifier system message, so corrections change
+ * behavior on the next deploy instead of sitting in a table.
+ *
+ * - Examples are PII-scrubbed before they reach the prompt
+ * - Re-corrections of the same email keep only the latest label
+ * - Misclassifications and high-confidence corrections are preferred,
+ *   spread across categories and capped by an approximate token budget
+ *
+ * supabase/functions/_shared/fewShotExamples.ts mirrors this module for the
+ * deploy-n8n refresh - keep the two in sync.
+ */
+
+import { maskPii } from '../../backend/src/lib/piiRedaction.js';
+
+export const FEW_SHOT_SECTION_HEADER = '### Examples From Your Corrections:';
+
+export const DEFAULT_FEW_SHOT_OPTIONS = {
+  maxExamples: 8,
+  maxTokens: 800,
+  maxPerCategory: 2,
+  bodyChars: 240,
+  minConfidenceRating: 3,
+  lookback: 200
+};
+
+// Rejected and discarded corrections never become examples
+const USABLE_STATUSES = ['pending', 'approved', 'used_in_training'];
+
+// On top of the PII entity types shared with the LLM redaction (piiRedaction.js)
+const LINK_PATTERN = /\bhttps?:\/\/\S+/gi;
+const NAME_PATTERNS = [
+  [/\b(Hi|Hello|Hey|Dear)\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?/g, '$1 [name]'],
+  [/\b(Thanks|Thank you|Regards|Best regards|Cheers|Sincerely|Best),?(\s*\n\s*)[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?/g, '$1,$2[name]']
+];
+
+/**
+ * Rough token estimate (~4 characters per token) used for the prompt budget
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Redact links, every PII entity type and greeting/sign-off names
+ * @param {string} text
+ * @returns {string}
+ */
+export function scrubPii(text) {
+  // Links first, so digits in URLs are not read as phone numbers
+  const masked = maskPii(String(text || '').replace(LINK_PATTERN, '[link]'));
+  return NAME_PATTERNS.reduce((scrubbed, [pattern, replacement]) => scrubbed.replace(pattern, replacement), masked);
+}
+
+// The sender domain is the useful signal (e.g. ringcentral.com); the mailbox is PII
+const senderDomain = (from) => {
+  const match = String(from || '').match(/@([A-Z0-9.-]+\.[A-Z]{2,})/i);
+  return match ? `@${match[1].toLowerCase()}` : null;
+};
+
+const sameCategory = (a, b) => String(a || '').trim().toUpperCase() === String(b || '').trim().toUpperCase();
+
+const dedupeKey = (row) => `${row.email_subject || ''}|${String(row.email_body_preview || '').slice(0, 120)}`
+  .toLowerCase()
+  .replace(/\d+/g, '#')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max).trimEnd()}…` : text);
+
+const formatExample = (example, index) => {
+  const classification = JSON.stringify({
+    primary_category: example.primary,
+    secondary_category: example.secondary,
+    tertiary_category: example.tertiary
+  });
+  const lines = [
+    `Example ${index + 1}:`,
+    `Subject: ${example.subject || '(no subject)'}`
+  ];
+  if (example.from) lines.push(`From: ${example.from}`);
+  if (example.body) lines.push(`Body: ${example.body}`);
+  lines.push(`Correct classification: ${classification}`);
+  if (example.originalPrimary && !sameCategory(example.originalPrimary, example.primary)) {
+    lines.push(`(Previously misclassified as ${example.originalPrimary})`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Pick the most useful corrections for the prompt
+ * @param {Array<object>} rows - classification_feedback rows, newest first
+ * @param {object} options - See DEFAULT_FEW_SHOT_OPTIONS
+ * @returns {Array<object>} Scrubbed examples ready for formatFewShotSection
+ */
+export function selectFewShotExamples(rows = [], options = {}) {
+  const { maxExamples, maxTokens, maxPerCategory, bodyChars, minConfidenceRating } = {
+    ...DEFAULT_FEW_SHOT_OPTIONS,
+    ...options
+  };
+
+  const seen = new Set();
+  const candidates = [];
+
+  [...(rows || [])]
+    .sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0))
+    .forEach(row => {
+      if (!row?.corrected_primary_category) return;
+      if (row.training_status && !USABLE_STATUSES.includes(row.training_status)) return;
+      if ((row.confidence_rating ?? 3) < minConfidenceRating) return;
+      if (!row.email_subject && !row.email_body_preview) return;
+
+      // Newest correction wins when the same email was re-labelled
+      const key = dedupeKey(row);
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      candidates.push({
+        id: row.id,
+        subject: truncate(scrubPii(row.email_subject).trim(), 120),
+        from: senderDomain(row.email_from),
+        body: truncate(scrubPii(row.email_body_preview).replace(/\s+/g, ' ').trim(), bodyChars),
+        primary: row.corrected_primary_category,
+        secondary: row.corrected_secondary_category || null,
+        tertiary: row.corrected_tertiary_category || null,
+        originalPrimary: row.original_primary_category || null,
+        misclassified: !sameCategory(row.original_primary_category, row.corrected_primary_category),
+        rating: row.confidence_rating ?? 3
+      });
+    });
+
+  // Misclassifications teach the most, then the user's confidence; ties stay newest first
+  const ranked = candidates
+    .map((example, order) => ({ example, order }))
+    .sort((a, b) => (Number(b.example.misclassified) - Number(a.example.misclassified))
+      || (b.example.rating - a.example.rating)
+      || (a.order - b.order))
+    .map(({ example }) => example);
+
+  // Round-robin across categories so one noisy category can't fill the budget
+  const byCategory = new Map();
+  ranked.forEach(example => {
+    const category = example.primary.toUpperCase();
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push(example);
+  });
+
+  const selected = [];
+  let tokens = estimateTokens(FEW_SHOT_SECTION_HEADER) + 40;
+  for (let round = 0; round < maxPerCategory; round++) {
+    for (const examples of byCategory.values()) {
+      const example = examples[round];
+      if (!example || selected.length >= maxExamples) continue;
+
+      const cost = estimateTokens(formatExample(example, selected.length)) + 1;
+      if (tokens + cost > maxTokens) continue;
+
+      tokens += cost;
+      selected.push(example);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Render the few-shot section for the classifier system message
+ * @param {Array<object>} examples - Output of selectFewShotExamples
+ * @returns {string} Empty string when there are no examples
+ */
+export function formatFewShotSection(examples = []) {
+  if (!examples || examples.length === 0) {
+    return '';
+  }
+
+  return `${FEW_SHOT_SECTION_HEADER}
+These are real emails this business re-classified by hand. Personal details are redacted.
+Classify similar emails the same way; they take precedence over the generic keywords above.
+
+${examples.map(formatExample).join('\n\n')}
+`;
+}
+
+/**
+ * Replace any previous few-shot section in a system message with a fresh one,
+ * placed before the JSON output format when present
+ * @param {string} systemMessage
+ * @param {string} section - Output of formatFewShotSection
+ * @returns {string}
+ */
+export function injectFewShotSection(systemMessage, section) {
+  const message = String(systemMessage || '');
+  const start = message.indexOf(FEW_SHOT_SECTION_HEADER);
+  let stripped = message;
+  if (start !== -1) {
+    const next = message.indexOf('\n### ', start + FEW_SHOT_SECTION_HEADER.length);
+    stripped = `${message.slice(0, start).trimEnd()}\n\n${next === -1 ? '' : message.slice(next + 1)}`.trimEnd();
+  }
+
+  if (!section) {
+    return stripped;
+  }
+
+  const anchor = stripped.indexOf('### JSON Output Format:');
+  if (anchor === -1) {
+    return `${stripped}\n\n${section}`;
+  }
+  return `${stripped.slice(0, anchor)}${section}\n${stripped.slice(anchor)}`;
+}
+
+/**
+ * Load and select few-shot examples for one business
+ * @param {object} supabase - Supabase client
+ * @param {string} userId - Business owner user ID
+ * @param {object} options - See DEFAULT_FEW_SHOT_OPTIONS
+ * @returns {Promise<Array<object>>} Never throws; returns [] on failure
+ */
+export async function fetchClassifierFewShotExamples(supabase, userId, options = {}) {
+  if (!supabase || !userId) {
+    return [];
+  }
+
+  const { lookback } = { ...DEFAULT_FEW_SHOT_OPTIONS, ...options };
+  const { data, error } = await supabase
+    .from('classification_feedback')
+    .select('id, email_subject, email_from, email_body_preview, original_primary_category, corrected_primary_category, corrected_secondary_category, corrected_tertiary_category, confidence_rating, training_status, created_at')
+    .eq('user_id', userId)
+    .in('training_status', USABLE_STATUSES)
+    .order('created_at', { ascending: false })
+    .limit(lookback);
+
+  if (error) {
+    console.warn('⚠️ Could not load classification feedback for few-shot examples:', error.message);
+    return [];
+  }
+
+  const examples = selectFewShotExamples(data || [], options);
+  console.log(`🎓 Selected ${examples.length} few-shot examples from ${data?.length || 0} corrections`);
+  return examples;
+}
@@ -3,7 +3,11 @@ import { analytics } from '@/lib/analytics';
 
 /**
  * Data Portability Service
- * Handles data export/import for provider migration and data portability
+ * Handles data export/import for provider migration and data portability.
+ *
+ * Data subject requests (the complete GDPR/CCPA export including n8n
+ * executions, account erasure and per-customer erasure) run on the backend
+ * /api/privacy routes, which hold the service-role and n8n credentials.
  */
 export class DataPortabilityService {
   constructor(userId) {
@@ -62,6 +66,23 @@ export class DataPortabilityService {
         exportData.metadata.includes.push('contacts');
       }
 
+      // Export email activity, AI drafts, classification feedback and voice profile
+      if (options.includeEmailActivity !== false) {
+        exportData.data.emailLogs = await this.exportUserRows('email_logs');
+        exportData.data.aiDrafts = {
+          learning: await this.exportUserRows('ai_draft_learning'),
+          corrections: await this.exportUserRows('ai_draft_corrections'),
+          responses: await this.exportUserRows('ai_responses')
+        };
+        exportData.data.classificationFeedback = await this.exportUserRows('classification_feedback');
+        exportData.data.voiceProfile = {
+          communicationStyles: await this.exportUserRows('communication_styles'),
+          learningMetrics: await this.exportUserRows('voice_learning_metrics'),
+          enhancedPrompts: await this.exportUserRows('user_enhanced_prompts')
+        };
+        exportData.metadata.includes.push('emailLogs', 'aiDrafts', 'classificationFeedback', 'voiceProfile');
+      }
+
       // Export analytics data (optional)
       if (options.includeAnalytics) {
         const analyticsData = await this.exportAnalyticsData();
@@ -286,6 +307,36 @@ export class DataPortabilityService {
     }
   }
 
+  /**
+   * Export every row a user owns in a table
+   * @param {string} table - Table with a user_id column
+   * @returns {Promise<Array>} Rows
+   */
+  async exportUserRows(table) {
+    const pageSize = 1000;
+    const rows = [];
+
+    try {
+      for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabase
+          .from(table)
+          .select('*')
+          .eq('user_id', this.userId)
+          .range(from, from + pageSize - 1);
+
+        if (error) throw error;
+
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+      }
+
+      return rows;
+    } catch (error) {
+      console.error(`Failed to export ${table}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Export analytics data
    */
@@ -466,6 +517,23 @@ export class DataPortabilityService {
       summary.recordCounts.suppliers = exportData.data.contacts.suppliers?.length || 0;
     }
 
+    if (exportData.data.emailLogs) {
+      summary.recordCounts.emailLogs = exportData.data.emailLogs.length;
+    }
+
+    if (exportData.data.aiDrafts) {
+      summary.recordCounts.aiDrafts = Object.values(exportData.data.aiDrafts)
+        .reduce((total, rows) => total + rows.length, 0);
+    }
+
+    if (exportData.data.classificationFeedback) {
+      summary.recordCounts.classificationFeedback = exportData.data.classificationFeedback.length;
+    }
+
+    if (exportData.data.voiceProfile) {
+      summary.recordCounts.voiceProfile = exportData.data.voiceProfile.communicationStyles.length;
+    }
+
     if (exportData.data.analytics) {
       summary.recordCounts.analytics = exportData.data.analytics.length;
     }
@@ -473,6 +541,121 @@ export class DataPortabilityService {
     return summary;
   }
 
+  /**
+   * Resolve the backend base URL (runtime config first, then build env)
+   * @returns {string}
+   */
+  getBackendUrl() {
+    const runtimeConfig = typeof window !== 'undefined' && window.__RUNTIME_CONFIG__;
+    return runtimeConfig?.BACKEND_URL ||
+           import.meta.env?.BACKEND_URL ||
+           'http://localhost:3001';
+  }
+
+  /**
+   * Call a backend /api/privacy route with the current session token
+   * @param {string} path - Route below /api/privacy
+   * @param {Object} options - { method, body }
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async privacyRequest(path, { method = 'GET', body } = {}) {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(`${this.getBackendUrl()}/api/privacy${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`
+      },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok && response.status !== 207) {
+      throw new Error(data.message || data.error || `Privacy API error: ${response.status}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Complete machine-readable export across every table holding the user's
+   * or their customers' data, including n8n executions
+   * @returns {Promise<Object>} { metadata, data }
+   */
+  async exportDataSubjectData() {
+    console.log('📦 Requesting full data subject export...');
+    const exportData = await this.privacyRequest('/export');
+
+    await analytics.trackBusinessEvent('data_subject_export', {
+      tables: Object.keys(exportData.metadata?.tables || {}).length,
+      errors: exportData.metadata?.errors?.length || 0
+    });
+
+    return exportData;
+  }
+
+  /**
+   * Rows that erasing one of the user's customers would remove
+   * @param {string} customerEmail - Customer address
+   * @returns {Promise<Object>} { tables, total }
+   */
+  async previewCustomerErasure(customerEmail) {
+    return this.privacyRequest('/erasure/customer/preview', {
+      method: 'POST',
+      body: { email: customerEmail }
+    });
+  }
+
+  /**
+   * Forget one of the user's customers
+   * @param {string} customerEmail - Customer address
+   * @param {string} password - Account password (identity check)
+   * @param {Object} options - { purgeN8nExecutions }
+   * @returns {Promise<Object>} Erasure receipt
+   */
+  async eraseCustomerData(customerEmail, password, options = {}) {
+    const { receipt } = await this.privacyRequest('/erasure/customer', {
+      method: 'POST',
+      body: { email: customerEmail, password, ...options }
+    });
+
+    await analytics.trackBusinessEvent('customer_data_erased', {
+      status: receipt.status,
+      tables: Object.keys(receipt.deleted || {}).length
+    });
+
+    return receipt;
+  }
+
+  /**
+   * Erase the user's account
+   * @param {string} password - Account password (identity check)
+   * @param {string} confirmation - Must be "DELETE MY ACCOUNT"
+   * @param {Object} options - { deleteN8n, deleteProviderLabels }
+   * @returns {Promise<Object>} Erasure receipt
+   */
+  async eraseAccount(password, confirmation, options = {}) {
+    const { receipt } = await this.privacyRequest('/erasure/account', {
+      method: 'POST',
+      body: { password, confirmation, ...options }
+    });
+
+    return receipt;
+  }
+
+  /**
+   * Past export and erasure requests with their receipts
+   * @returns {Promise<Array>}
+   */
+  async getDataSubjectRequests() {
+    const { requests } = await this.privacyRequest('/requests');
+    return requests;
+  }
+
   /**
    * Download export data as JSON file
    */
@@ -5,6 +5,8 @@
 
 import { supabase } from './customSupabaseClient.js';
 import { getValidAccessToken } from './oauthTokenManager.js';
+import { imapMailboxClient } from './imapMailboxClient.js';
+import { escalationEngine } from './escalationEngine.js';
 
 export class EmailMonitoring {
   constructor() {
@@ -12,6 +14,7 @@ export class EmailMonitoring {
     this.pollInterval = 30000; // 30 seconds
     this.pollTimer = null;
     this.lastChecked = {};
+    this.pushEnabledProviders = new Set(); // Providers delivering new mail via webhooks
   }
 
   /**
@@ -33,6 +36,9 @@ export class EmailMonitoring {
       
       // Start polling as fallback
       this.startPolling(userId);
+
+      // Warn on and escalate SLA clocks for unanswered mail
+      escalationEngine.startSlaMonitoring(userId);
       
       console.log('✅ Email monitoring started successfully');
     } catch (error) {
@@ -50,7 +56,9 @@ export class EmailMonitoring {
       clearInterval(this.pollTimer);
       this.pollTimer = null;
     }
+    escalationEngine.stopSlaMonitoring();
     this.isMonitoring = false;
+    this.pushEnabledProviders.clear();
     console.log('🛑 Email monitoring stopped');
   }
 
@@ -74,6 +82,8 @@ export class EmailMonitoring {
           await this.setupGmailWebhook(userId, integration.id);
         } else if (integration.provider === 'outlook') {
           await this.setupOutlookWebhook(userId, integration.id);
+        } else if (integration.provider === 'imap') {
+          await this.setupImapIdle(userId);
         }
       }
     } catch (error) {
@@ -89,12 +99,20 @@ export class EmailMonitoring {
    */
   async setupGmailWebhook(userId, integrationId) {
     try {
-      const webhookUrl = `${import.meta.env?.VITE_SUPABASE_URL || process.env.VITE_SUPABASE_URL}/functions/v1/gmail-webhook`;
-      
-      // For now, we'll use polling as Gmail webhooks require Pub/Sub setup
-      console.log('📧 Gmail webhook setup simulated (using polling)');
+      // Register users.watch so Pub/Sub pushes reach the gmail-webhook function
+      const { data, error } = await supabase.functions.invoke('gmail-webhook', {
+        body: { action: 'watch', userId, integrationId }
+      });
+
+      if (error || !data?.success) {
+        throw error || new Error(data?.error || 'Gmail watch registration failed');
+      }
+
+      this.pushEnabledProviders.add('gmail');
+      console.log(`📧 Gmail push notifications active until ${data.expiration}`);
     } catch (error) {
-      console.error('❌ Gmail webhook setup failed:', error);
+      this.pushEnabledProviders.delete('gmail');
+      console.error('❌ Gmail webhook setup failed, falling back to polling:', error);
     }
   }
 
@@ -105,12 +123,37 @@ export class EmailMonitoring {
    */
   async setupOutlookWebhook(userId, integrationId) {
     try {
-      const webhookUrl = `${import.meta.env?.VITE_SUPABASE_URL || process.env.VITE_SUPABASE_URL}/functions/v1/outlook-webhook`;
-      
-      // For now, we'll use polling as Outlook webhooks require app registration
-      console.log('📧 Outlook webhook setup simulated (using polling)');
+      // Create the Graph subscription; outlook-webhook renews it and catches up missed mail
+      const { data, error } = await supabase.functions.invoke('outlook-webhook', {
+        body: { action: 'subscribe', userId, integrationId }
+      });
+
+      if (error || !data?.success) {
+        throw error || new Error(data?.error || 'Graph subscription failed');
+      }
+
+      this.pushEnabledProviders.add('outlook');
+      console.log(`📧 Outlook push notifications active until ${data.expiration}`);
     } catch (error) {
-      console.error('❌ Outlook webhook setup failed:', error);
+      this.pushEnabledProviders.delete('outlook');
+      console.error('❌ Outlook webhook setup failed, falling back to polling:', error);
+    }
+  }
+
+  /**
+   * Set up IMAP IDLE monitoring
+   * @param {string} userId - User ID
+   */
+  async setupImapIdle(userId) {
+    try {
+      // The backend holds an IDLE connection to INBOX and records new mail as it arrives
+      await imapMailboxClient.startWatch();
+
+      this.pushEnabledProviders.add('imap');
+      console.log('📧 IMAP IDLE monitoring active');
+    } catch (error) {
+      this.pushEnabledProviders.delete('imap');
+      console.error('❌ IMAP IDLE setup failed, falling back to polling:', error);
     }
   }
 
@@ -149,6 +192,10 @@ export class EmailMonitoring {
       if (error) throw error;
 
       for (const integration of integrations) {
+        // Push-enabled providers sync through their webhook; skip polling them
+        if (this.pushEnabledProviders.has(integration.provider)) {
+          continue;
+        }
         await this.checkProviderEmails(userId, integration.provider);
       }
     } catch (error) {
@@ -159,10 +206,16 @@ export class EmailMonitoring {
   /**
    * Check for new emails from a specific provider
    * @param {string} userId - User ID
-   * @param {string} provider - Email provider (gmail/outlook)
+   * @param {string} provider - Email provider (gmail/outlook/imap)
    */
   async checkProviderEmails(userId, provider) {
     try {
+      // IMAP mailboxes use stored credentials on the backend, not OAuth tokens
+      if (provider === 'imap') {
+        await this.checkImapEmails(userId);
+        return;
+      }
+
       const accessToken = await getValidAccessToken(userId, provider);
       
       if (provider === 'gmail') {
@@ -257,6 +310,23 @@ export class EmailMonitoring {
     }
   }
 
+  /**
+   * Check for new IMAP emails
+   * @param {string} userId - User ID
+   */
+  async checkImapEmails(userId) {
+    try {
+      // The backend fetches INBOX mail above its UID cursor and logs it to email_logs
+      const newMessages = await imapMailboxClient.checkNewMessages();
+
+      if (newMessages > 0) {
+        console.log(`📧 Found ${newMessages} new IMAP messages`);
+      }
+    } catch (error) {
+      console.error('❌ IMAP email check failed:', error);
+    }
+  }
+
   /**
    * Process new Outlook emails and store them in the database
    * @param {string} userId - User ID
@@ -1,15 +1,18 @@
 import { supabase } from './customSupabaseClient';
-import { EmailClassifier } from './emailClassifier';
+import { EmailClassifier } from '../../backend/src/lib/emailClassifier.js';
+import { aiCostMonitor } from './aiCostMonitor';
 import { EmailRouter } from './emailRouter';
 import { EmailQueue } from './emailQueue';
 import { StyleAwareAI } from './styleAwareAI';
+import { PromptInjectionGuard } from '../../backend/src/lib/promptInjectionGuard.js';
 
 export class EmailProcessor {
   constructor() {
-    this.classifier = new EmailClassifier();
+    this.classifier = new EmailClassifier({ usageTracker: aiCostMonitor });
     this.router = new EmailRouter();
     this.queue = new EmailQueue();
     this.styleAI = new StyleAwareAI();
+    this.injectionGuard = new PromptInjectionGuard({ llm: this.classifier.llm });
     this.isProcessing = false;
   }
 
@@ -20,12 +23,18 @@ export class EmailProcessor {
       // 1. Add to email queue with initial priority
       const queueId = await this.addToQueue(emailData, userId);
       
-      // 2. Classify email
-      const classification = await this.classifier.classify(emailData);
+      // 2. Screen for prompt injection, then classify. Flagged emails are
+      // classified on their visible text and held for a human
+      const inspection = await this.injectionGuard.inspect(emailData, { userId });
+      const classification = inspection.verdict === 'review'
+        ? this.injectionGuard.applyPolicy(await this.classifier.classify({ ...emailData, ...inspection.sanitized }), inspection)
+        : await this.classifier.classify(emailData);
       console.log('Email classified:', classification);
       
       // 3. Route email based on classification
-      const routing = await this.router.route(classification, userId);
+      const routing = classification.requires_review
+        ? this.router.getReviewRouting(classification)
+        : await this.router.route(classification, userId);
       console.log('Email routed:', routing);
       
       // 4. Update queue item with classification and routing
@@ -125,8 +134,12 @@ export class EmailProcessor {
           results.default = await this.defaultAction(queueId, userId, emailData, classification);
       }
 
-      // Mark as completed
-      await this.queue.markAsCompleted(queueId, results);
+      // Mark as completed; items held for review keep their pending_review status
+      if (results.queued?.success) {
+        await this.queue.updateQueueItem(queueId, { result: results });
+      } else {
+        await this.queue.markAsCompleted(queueId, results);
+      }
       
       return results;
 
@@ -251,7 +264,7 @@ export class EmailProcessor {
       await this.queue.updateQueueItem(queueId, {
         status: 'pending_review',
         review_required: true,
-        review_reason: 'Requires manual review based on classification and routing rules'
+        review_reason: classification.review_reason || 'Requires manual review based on classification and routing rules'
       });
 
       return {
@@ -385,10 +398,22 @@ export class EmailProcessor {
       if (rule.condition === 'urgency' && rule.value === classification.urgency) return true;
       if (rule.condition === 'category' && rule.value === classification.category) return true;
       if (rule.condition === 'sentiment' && rule.value === classification.sentiment) return true;
+      if (rule.condition === 'attachment_reference' && this.matchesAttachmentReference(rule.value, classification)) return true;
       return false;
     });
   }
 
+  // Matches serial/model/invoice/PO numbers extracted from attachments; a trailing * matches a prefix
+  matchesAttachmentReference(value, classification) {
+    const references = Object.values(classification.attachment_references || {}).flat();
+    if (!value || references.length === 0) return false;
+
+    const target = String(value).toUpperCase();
+    return references.some(reference => target.endsWith('*')
+      ? reference.startsWith(target.slice(0, -1))
+      : reference === target);
+  }
+
   async logProcessingResult(userId, emailData, classification, routing, processingResult) {
     try {
       await supabase
@@ -1,8 +1,9 @@
 /**
  * Email Provider Detection Utility
  * 
- * Automatically detects email provider (Gmail/Outlook) based on email domain
- * Supports gmail.com, outlook.com and their variants
+ * Automatically detects email provider (Gmail/Outlook/IMAP) based on email domain
+ * Supports gmail.com, outlook.com and their variants. Any other domain is
+ * treated as a generic IMAP/SMTP mailbox (GoDaddy, Zoho, cPanel hosting, ...)
  */
 
 class EmailProviderDetector {
@@ -26,6 +27,34 @@ class EmailProviderDetector {
       'office365.com',
       'onmicrosoft.com'
     ];
+
+    // Zoho Mail domains (IMAP/SMTP)
+    this.zohoDomains = [
+      'zoho.com',
+      'zohomail.com'
+    ];
+
+    // Server settings for common IMAP hosts; cPanel serves mail from mail.<domain>
+    this.imapHostingPresets = {
+      godaddy: {
+        imap: { host: 'imap.secureserver.net', port: 993, secure: true },
+        smtp: { host: 'smtpout.secureserver.net', port: 465, secure: true }
+      },
+      zoho: {
+        imap: { host: 'imap.zoho.com', port: 993, secure: true },
+        smtp: { host: 'smtp.zoho.com', port: 465, secure: true }
+      },
+      cpanel: domain => ({
+        imap: { host: `mail.${domain}`, port: 993, secure: true },
+        smtp: { host: `mail.${domain}`, port: 465, secure: true }
+      })
+    };
+
+    // MX hosts that identify the hosting company
+    this.hostingMxPatterns = {
+      godaddy: [/\.secureserver\.net$/i],
+      zoho: [/(^|\.)zoho(mail)?\.(com|eu|in|com\.au|jp)$/i]
+    };
   }
 
   /**
@@ -105,13 +134,67 @@ class EmailProviderDetector {
       };
     }
 
-    // Default: unsupported domain
+    // Check Zoho Mail domains
+    if (this.zohoDomains.includes(domain)) {
+      return {
+        provider: 'imap',
+        confidence: 1.0,
+        domain: domain,
+        method: 'exact_match',
+        hosting: 'zoho',
+        serverSettings: this.getImapSettings(domain, 'zoho')
+      };
+    }
+
+    // Default: custom domain, connect over IMAP/SMTP. Without an MX lookup the
+    // host is a guess (cPanel's mail.<domain>); the user confirms it on connect.
     return {
-      provider: null,
-      confidence: 0,
+      provider: 'imap',
+      confidence: 0.6,
       domain: domain,
-      error: 'Unsupported email domain. We currently support Gmail and Outlook only.',
-      supportedDomains: [...this.gmailDomains, ...this.outlookDomains]
+      method: 'imap_fallback',
+      hosting: 'cpanel',
+      serverSettings: this.getImapSettings(domain, 'cpanel')
+    };
+  }
+
+  /**
+   * Identify the hosting company from MX records
+   * @param {Array<string>} mxHosts - MX exchange host names
+   * @param {string} domain - Email domain
+   * @returns {string} - 'godaddy' | 'zoho' | 'cpanel' | 'custom'
+   */
+  detectHostingFromMx(mxHosts, domain) {
+    const hosts = (mxHosts || []).map(host => String(host).toLowerCase().replace(/\.$/, ''));
+
+    for (const [hosting, patterns] of Object.entries(this.hostingMxPatterns)) {
+      if (hosts.some(host => patterns.some(pattern => pattern.test(host)))) {
+        return hosting;
+      }
+    }
+
+    // cPanel servers receive mail for the domain itself
+    if (domain && hosts.some(host => host === domain || host === `mail.${domain}`)) {
+      return 'cpanel';
+    }
+
+    return 'custom';
+  }
+
+  /**
+   * Get IMAP/SMTP server settings for a hosting company
+   * @param {string} domain - Email domain
+   * @param {string} hosting - 'godaddy' | 'zoho' | 'cpanel' | 'custom'
+   * @returns {Object} - { hosting, imap: {host, port, secure}, smtp: {host, port, secure} }
+   */
+  getImapSettings(domain, hosting = 'cpanel') {
+    const preset = this.imapHostingPresets[hosting] || this.imapHostingPresets.cpanel;
+    const settings = typeof preset === 'function' ? preset(domain) : preset;
+
+    return {
+      hosting: this.imapHostingPresets[hosting] ? hosting : 'custom',
+      imap: { ...settings.imap },
+      smtp: { ...settings.smtp }
     };
   }
 
@@ -175,6 +258,9 @@ class EmailProviderDetector {
         return 'google';
       case 'outlook':
         return 'azure';
+      case 'imap':
+        // Password-based login, no OAuth provider
+        return null;
       default:
         return null;
     }
@@ -196,6 +282,23 @@ class EmailProviderDetector {
     }
   }
 
+  /**
+   * Get how the user signs in to the provider
+   * @param {string} provider - Provider from detection
+   * @returns {string|null} - 'oauth' | 'password'
+   */
+  getAuthMethod(provider) {
+    switch (provider) {
+      case 'gmail':
+      case 'outlook':
+        return 'oauth';
+      case 'imap':
+        return 'password';
+      default:
+        return null;
+    }
+  }
+
   /**
    * Validate if email domain is supported
    * @param {string} email - Email to validate
@@ -217,6 +320,8 @@ class EmailProviderDetector {
         return 'Gmail';
       case 'outlook':
         return 'Outlook';
+      case 'imap':
+        return 'IMAP / SMTP';
       default:
         return 'Unknown';
     }
@@ -1,4 +1,5 @@
 import { supabase } from './customSupabaseClient';
+import { BusinessHoursManager } from './businessHours';
 
 export class EmailRouter {
   constructor() {
@@ -184,17 +185,24 @@ export class EmailRouter {
 
   applyBusinessHourConstraints(routing, businessRules) {
     const now = new Date();
-    const isBusinessHours = this.isWithinBusinessHours(now, businessRules.businessHours);
+    const hoursManager = BusinessHoursManager.fromSchedule(businessRules.businessHours);
+    const isBusinessHours = hoursManager ? hoursManager.isBusinessHours(now) : true;
     
     // If outside business hours and not critical
     if (!isBusinessHours && routing.business_hours_dependent) {
       // Modify response time expectations
-      const nextBusinessDay = this.getNextBusinessDay(now, businessRules.businessHours);
+      const nextBusinessDay = hoursManager.getNextOpening(now);
+      if (!nextBusinessDay) {
+        routing.outside_business_hours = true;
+        return routing;
+      }
+
       const hoursUntilBusiness = Math.ceil((nextBusinessDay - now) / (1000 * 60 * 60));
       
       routing.max_response_time = Math.max(routing.max_response_time, hoursUntilBusiness * 60);
       routing.outside_business_hours = true;
       routing.next_business_day = nextBusinessDay.toISOString();
+      routing.business_timezone = hoursManager.timezone;
       
       // Adjust auto-reply message to mention business hours
       if (routing.auto_reply) {
@@ -206,51 +214,17 @@ export class EmailRouter {
   }
 
   isWithinBusinessHours(dateTime, businessHours) {
-    if (!businessHours || !businessHours.schedule) {
+    const hoursManager = BusinessHoursManager.fromSchedule(businessHours);
+    if (!hoursManager) {
       return true; // Default to always available if no schedule defined
     }
 
-    const dayOfWeek = dateTime.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const timeString = dateTime.toTimeString().slice(0, 5); // HH:MM format
-    
-    const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    const dayName = dayNames[dayOfWeek];
-    
-    const daySchedule = businessHours.schedule[dayName];
-    
-    if (!daySchedule || !daySchedule.open) {
-      return false; // Closed on this day
-    }
-
-    return timeString >= daySchedule.start && timeString <= daySchedule.end;
+    return hoursManager.isBusinessHours(dateTime);
   }
 
   getNextBusinessDay(currentDate, businessHours) {
-    const nextDay = new Date(currentDate);
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(9, 0, 0, 0); // Default to 9 AM
-
-    // If business hours are defined, use the opening time
-    if (businessHours?.schedule) {
-      const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-      
-      // Find next open day
-      for (let i = 0; i < 7; i++) {
-        const checkDate = new Date(currentDate);
-        checkDate.setDate(checkDate.getDate() + i + 1);
-        
-        const dayName = dayNames[checkDate.getDay()];
-        const daySchedule = businessHours.schedule[dayName];
-        
-        if (daySchedule?.open) {
-          const [hours, minutes] = daySchedule.start.split(':');
-          checkDate.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-          return checkDate;
-        }
-      }
-    }
-
-    return nextDay;
+    const hoursManager = BusinessHoursManager.fromSchedule(businessHours || this.getDefaultBusinessHours());
+    return hoursManager.getNextBusinessDay(currentDate);
   }
 
   calculatePriority(urgency, category, sentiment) {
@@ -332,6 +306,26 @@ export class EmailRouter {
     };
   }
 
+  /**
+   * Routing for an email held for a human (e.g. a suspected prompt
+   * injection): no auto-reply, escalation or notification
+   * @param {Object} classification - Classification with review_reason
+   * @returns {Object} Routing decision
+   */
+  getReviewRouting(classification) {
+    return {
+      action: 'queue_for_review',
+      auto_reply: false,
+      escalate: false,
+      notify_immediately: false,
+      max_response_time: 1440, // 24 hours
+      priority: 50,
+      routing_reason: classification.review_reason || 'Held for manual review',
+      business_hours_dependent: true,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   getDefaultBusinessHours() {
     return {
       schedule: {
@@ -6,6 +6,8 @@
 import { apiClient } from './apiClient.js';
 import { supabase } from './customSupabaseClient.js';
 import { outlookEmailService } from './outlookEmailService.js';
+import { escalationEngine } from './escalationEngine.js';
+import { recordDraftComparison } from './voicePromptEnhancer.js';
 
 export class EmailService {
   constructor() {
@@ -354,25 +356,62 @@ export class EmailService {
     try {
       console.log(`↩️ Replying to ${provider} email`);
       
+      let response;
       if (provider === 'outlook') {
-        return await outlookEmailService.replyToEmail(userId, messageId, replyData);
+        response = await outlookEmailService.replyToEmail(userId, messageId, replyData);
       } else {
         // Use backend API for Gmail replies
-        const response = await this.apiClient.post(`/emails/reply/${messageId}`, {
+        response = await this.apiClient.post(`/emails/reply/${messageId}`, {
           userId,
           body: replyData.body,
           contentType: replyData.contentType || 'Text'
         });
 
         console.log('✅ Reply sent successfully');
-        return response;
       }
+
+      await this.recordReplySent(userId, messageId, replyData.body);
+      return response;
     } catch (error) {
       console.error('❌ Failed to reply to email:', error);
       throw new Error(`Reply failed: ${error.message}`);
     }
   }
 
+  /**
+   * Follow-up for a sent reply: stop the email's SLA clock and compare the
+   * reply with the AI draft, rewarding the template the draft was built from
+   * @param {string} userId - User ID
+   * @param {string} messageId - Original message ID
+   * @param {string} replyBody - Body of the reply as sent
+   */
+  async recordReplySent(userId, messageId, replyBody) {
+    await escalationEngine.stopSlaClock(userId, messageId);
+
+    try {
+      const { data: draft, error } = await supabase
+        .from('ai_responses')
+        .select('category, final_response, metadata')
+        .eq('user_id', userId)
+        .eq('email_id', messageId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!draft?.final_response || !replyBody) return null;
+
+      return await recordDraftComparison(userId, messageId, draft.final_response, replyBody, draft.category, {
+        source: 'reply_sent',
+        banditAllocationId: draft.metadata?.template_allocation?.allocationId || null
+      });
+    } catch (error) {
+      // The reply already went out; learning from it is best effort
+      console.error('❌ Failed to record sent reply:', error);
+      return null;
+    }
+  }
+
   /**
    * Get emails from provider
    * @param {string} userId - User ID
@@ -15,42 +15,84 @@ export class EmailThreading {
       forwardPrefixes: ['fwd:', 'fw:', 'fwd ', 'fw ', 'fwd-', 'fw-'],
       threadIndicators: ['thread', 'conversation', 'discussion']
     };
+
+    // Base confidence per threading method, before learned adjustments
+    this.methodConfidence = {
+      existing: 1.0,
+      in_reply_to: 0.99,
+      provider_thread: 0.95,
+      references: 0.9,
+      reply_subject: 0.7,
+      subject_match: 0.6,
+      sender_match: 0.45
+    };
+    this.minimumConfidence = 0.4;
   }
 
   /**
    * Detect thread for an email
+   *
+   * Threads are resolved from RFC 5322 headers first (In-Reply-To, then
+   * References), then the provider's own thread key (Gmail threadId, Outlook
+   * conversationId). Subject and sender heuristics only run when the email
+   * carries no usable headers or replies to a message we never saw, and are
+   * skipped once corrections have pushed their learned confidence below
+   * minimumConfidence.
    * @param {Object} parsedData - Parsed email data
    * @param {string} userId - User ID
-   * @returns {Promise<Object>} Thread information
+   * @returns {Promise<Object>} Thread information including threadConfidence and threadingMethod
    */
   async detectThread(parsedData, userId) {
     try {
+      const headers = parsedData.threadingHeaders || this.extractThreadingHeaders(parsedData);
+      const enrichedData = { ...parsedData, messageId: headers.messageId || parsedData.messageId, threadingHeaders: headers };
+
       // 1. Check for existing thread by message ID
-      const existingThread = await this.findExistingThread(parsedData, userId);
+      const existingThread = await this.findExistingThread(enrichedData, userId);
       if (existingThread) {
         return existingThread;
       }
 
-      // 2. Check for reply/forward patterns
-      const replyThread = await this.detectReplyThread(parsedData, userId);
-      if (replyThread) {
-        return replyThread;
+      // 2. Follow In-Reply-To / References headers
+      const headerThread = await this.detectHeaderThread(enrichedData, userId);
+      if (headerThread) {
+        return headerThread;
       }
 
-      // 3. Check for subject-based threading
-      const subjectThread = await this.detectSubjectThread(parsedData, userId);
-      if (subjectThread) {
-        return subjectThread;
+      // 3. Provider thread keys
+      const providerThread = await this.detectProviderThread(enrichedData, userId);
+      if (providerThread) {
+        return providerThread;
       }
 
-      // 4. Check for sender-based threading
-      const senderThread = await this.detectSenderThread(parsedData, userId);
-      if (senderThread) {
-        return senderThread;
+      // A message with a Message-ID header and no parent references starts a new
+      // conversation; a provider's own message id says nothing about parents
+      const hasParentHeaders = headers.inReplyTo || headers.references.length > 0;
+      if (headers.hasMessageIdHeader && !hasParentHeaders) {
+        return await this.createNewThread(enrichedData, userId);
+      }
+
+      // 4. Heuristic fallbacks, in decreasing order of confidence
+      const adjustments = await this.getMethodConfidenceAdjustments(userId);
+      const heuristics = [
+        ['reply_subject', () => this.detectReplyThread(enrichedData, userId)],
+        ['subject_match', () => this.detectSubjectThread(enrichedData, userId)],
+        ['sender_match', () => this.detectSenderThread(enrichedData, userId)]
+      ];
+
+      for (const [method, detect] of heuristics) {
+        if (this.getMethodConfidence(method, adjustments) < this.minimumConfidence) {
+          continue;
+        }
+
+        const heuristicThread = await detect();
+        if (heuristicThread) {
+          return heuristicThread;
+        }
       }
 
       // 5. Create new thread
-      return await this.createNewThread(parsedData, userId);
+      return await this.createNewThread(enrichedData, userId);
 
     } catch (error) {
       console.error('Thread detection failed:', error);
@@ -58,6 +100,354 @@ export class EmailThreading {
     }
   }
 
+  /**
+   * Normalize a Message-ID style value (strip angle brackets and whitespace)
+   * @param {string} value - Raw header value
+   * @returns {string|null} Normalized ID or null
+   */
+  normalizeMessageId(value) {
+    if (!value || typeof value !== 'string') return null;
+    const trimmed = value.trim().replace(/^<|>$/g, '').trim();
+    return trimmed || null;
+  }
+
+  /**
+   * Parse a list of message IDs from an In-Reply-To or References header
+   * @param {string|Array} value - Raw header value
+   * @returns {Array<string>} Normalized IDs in header order
+   */
+  parseMessageIdList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) {
+      return value.map(id => this.normalizeMessageId(id)).filter(Boolean);
+    }
+
+    const bracketed = value.match(/<[^<>]+>/g);
+    const ids = bracketed || value.split(/[\s,]+/);
+    return ids.map(id => this.normalizeMessageId(id)).filter(Boolean);
+  }
+
+  /**
+   * Read a header from a name/value map or a Gmail-style [{ name, value }] list
+   * @param {Object|Array} headers - Email headers
+   * @param {string} name - Header name (case-insensitive)
+   * @returns {string|null} Header value
+   */
+  getHeader(headers, name) {
+    if (!headers) return null;
+    const lowerName = name.toLowerCase();
+
+    if (Array.isArray(headers)) {
+      const header = headers.find(h => h?.name?.toLowerCase() === lowerName);
+      return header ? header.value : null;
+    }
+
+    const key = Object.keys(headers).find(k => k.toLowerCase() === lowerName);
+    return key ? headers[key] : null;
+  }
+
+  /**
+   * Extract threading identifiers from raw email data
+   * @param {Object} emailData - Raw or parsed email data
+   * @returns {Object} messageId, hasMessageIdHeader, inReplyTo, references, providerThreadId and provider
+   */
+  extractThreadingHeaders(emailData) {
+    const headers = emailData.headers || emailData.payload?.headers || emailData.internetMessageHeaders;
+
+    // internetMessageId is Graph's copy of the Message-ID header; messageId and
+    // message_id may be provider-internal ids and only stand in for one
+    const headerMessageId = this.normalizeMessageId(this.getHeader(headers, 'Message-ID') || emailData.internetMessageId);
+    const messageId = headerMessageId || this.normalizeMessageId(emailData.messageId || emailData.message_id);
+    const inReplyTo = this.parseMessageIdList(
+      this.getHeader(headers, 'In-Reply-To') || emailData.inReplyTo || emailData.in_reply_to
+    )[0] || null;
+    const references = this.parseMessageIdList(
+      this.getHeader(headers, 'References') || emailData.references
+    );
+
+    let provider = emailData.provider || null;
+    let providerThreadId = null;
+    if (emailData.conversationId) {
+      provider = provider || 'outlook';
+      providerThreadId = emailData.conversationId;
+    } else if (emailData.threadId || emailData.thread_id) {
+      provider = provider || 'gmail';
+      providerThreadId = emailData.threadId || emailData.thread_id;
+    }
+
+    return { messageId, hasMessageIdHeader: Boolean(headerMessageId), inReplyTo, references, provider, providerThreadId };
+  }
+
+  /**
+   * Detect thread through In-Reply-To and References headers
+   * @param {Object} parsedData - Parsed email data with threadingHeaders
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Header thread or null
+   */
+  async detectHeaderThread(parsedData, userId) {
+    try {
+      const { inReplyTo, references } = parsedData.threadingHeaders;
+      const candidates = [...new Set([inReplyTo, ...[...references].reverse()].filter(Boolean))];
+      if (candidates.length === 0) return null;
+
+      const { data: messages, error } = await supabase
+        .from('email_thread_messages')
+        .select('thread_id, message_id')
+        .eq('user_id', userId)
+        .in('message_id', candidates);
+
+      if (error || !messages || messages.length === 0) return null;
+
+      // Prefer the direct parent, then the most recent reference
+      const byMessageId = new Map(messages.map(m => [m.message_id, m.thread_id]));
+      const matchedId = candidates.find(id => byMessageId.has(id));
+      const method = matchedId === inReplyTo ? 'in_reply_to' : 'references';
+
+      return await this.attachToThread(byMessageId.get(matchedId), parsedData, userId, method);
+
+    } catch (error) {
+      console.error('Failed to detect header thread:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Detect thread through the provider's thread key (Gmail threadId / Outlook conversationId)
+   * @param {Object} parsedData - Parsed email data with threadingHeaders
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Provider thread or null
+   */
+  async detectProviderThread(parsedData, userId) {
+    try {
+      const { providerThreadId, provider } = parsedData.threadingHeaders;
+      if (!providerThreadId) return null;
+
+      let query = supabase
+        .from('email_threads')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('provider_thread_id', providerThreadId);
+
+      if (provider) {
+        query = query.eq('provider', provider);
+      }
+
+      const { data: thread, error } = await query.limit(1).maybeSingle();
+      if (error || !thread) return null;
+
+      return await this.attachToThread(thread.id, parsedData, userId, 'provider_thread');
+
+    } catch (error) {
+      console.error('Failed to detect provider thread:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Add a message to a known thread and return its thread info
+   * @param {string} threadId - Thread ID
+   * @param {Object} parsedData - Parsed email data
+   * @param {string} userId - User ID
+   * @param {string} method - Threading method that matched
+   * @returns {Promise<Object|null>} Thread info
+   */
+  async attachToThread(threadId, parsedData, userId, method) {
+    const { data: thread, error } = await supabase
+      .from('email_threads')
+      .select('*')
+      .eq('id', threadId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !thread) return null;
+
+    const confidence = this.getMethodConfidence(method, await this.getMethodConfidenceAdjustments(userId));
+    await this.updateThreadWithNewMessage(thread.id, parsedData, { method, confidence, userId });
+
+    return {
+      threadId: thread.id,
+      threadType: method,
+      threadingMethod: method,
+      threadConfidence: confidence,
+      originalSubject: thread.original_subject,
+      subject: parsedData.subject?.original || '',
+      participants: [...new Set([...(thread.participants || []), parsedData.from].filter(Boolean))],
+      messageCount: thread.message_count + 1,
+      lastMessage: new Date().toISOString(),
+      createdAt: thread.created_at
+    };
+  }
+
+  /**
+   * Confidence for a threading method after learned adjustments
+   * @param {string} method - Threading method
+   * @param {Object} adjustments - Multipliers by method
+   * @returns {number} Confidence (0-1)
+   */
+  getMethodConfidence(method, adjustments = {}) {
+    const base = this.methodConfidence[method] ?? 0.5;
+    return Math.max(0, Math.min(1, base * (adjustments[method] ?? 1)));
+  }
+
+  /**
+   * Learn per-method confidence multipliers from merge/split corrections.
+   * A split means the method grouped messages it should not have; a merge
+   * means threading missed a link, which counts against the heuristics that
+   * created the separate thread.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Multipliers keyed by threading method
+   */
+  async getMethodConfidenceAdjustments(userId) {
+    const cached = this.threadCache.get(userId);
+    if (cached?.adjustments && Date.now() - cached.loadedAt < 10 * 60 * 1000) {
+      return cached.adjustments;
+    }
+
+    try {
+      const [{ data: corrections }, { data: usage }] = await Promise.all([
+        supabase
+          .from('email_thread_corrections')
+          .select('correction_type, threading_method')
+          .eq('user_id', userId),
+        supabase
+          .from('email_thread_messages')
+          .select('threading_method')
+          .eq('user_id', userId)
+          .not('threading_method', 'is', null)
+          .limit(5000)
+      ]);
+
+      const usageByMethod = {};
+      (usage || []).forEach(row => {
+        usageByMethod[row.threading_method] = (usageByMethod[row.threading_method] || 0) + 1;
+      });
+
+      const correctionsByMethod = {};
+      (corrections || []).forEach(row => {
+        if (!row.threading_method) return;
+        correctionsByMethod[row.threading_method] = (correctionsByMethod[row.threading_method] || 0) + 1;
+      });
+
+      const adjustments = {};
+      Object.entries(correctionsByMethod).forEach(([method, count]) => {
+        // Laplace-smoothed error rate so a single correction does not zero a method out
+        const errorRate = (count + 1) / ((usageByMethod[method] || 0) + 2);
+        adjustments[method] = Math.max(0, 1 - errorRate);
+      });
+
+      this.threadCache.set(userId, { adjustments, loadedAt: Date.now() });
+      return adjustments;
+
+    } catch (error) {
+      console.error('Failed to load threading corrections:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Record a manual merge/split so threading confidence can learn from it
+   * @param {string} userId - User ID
+   * @param {Object} correction - Correction details
+   */
+  async recordThreadCorrection(userId, correction) {
+    try {
+      await supabase
+        .from('email_thread_corrections')
+        .insert({
+          user_id: userId,
+          correction_type: correction.type,
+          source_thread_id: correction.sourceThreadId,
+          target_thread_id: correction.targetThreadId || null,
+          threading_method: correction.threadingMethod || null,
+          thread_confidence: correction.threadConfidence ?? null,
+          message_ids: correction.messageIds || [],
+          created_at: new Date().toISOString()
+        });
+
+      this.threadCache.delete(userId);
+    } catch (error) {
+      console.error('Failed to record thread correction:', error);
+    }
+  }
+
+  /**
+   * Record one correction per threading method among the messages a manual
+   * merge/split moved, so the blame lands on the method that placed them
+   * @param {string} userId - User ID
+   * @param {string} type - 'merge' or 'split'
+   * @param {string} sourceThreadId - Thread the messages were moved out of
+   * @param {string} targetThreadId - Thread the messages were moved into
+   * @param {Array} movedMessages - Rows with message_id, threading_method and thread_confidence
+   */
+  async recordMovedMessageCorrections(userId, type, sourceThreadId, targetThreadId, movedMessages) {
+    const methods = [...new Set((movedMessages || []).map(m => m.threading_method).filter(Boolean))];
+    for (const method of methods) {
+      const attached = movedMessages.filter(m => m.threading_method === method);
+      await this.recordThreadCorrection(userId, {
+        type,
+        sourceThreadId,
+        targetThreadId,
+        threadingMethod: method,
+        threadConfidence: attached[0].thread_confidence,
+        messageIds: attached.map(m => m.message_id)
+      });
+    }
+  }
+
+  /**
+   * Threading accuracy per method, measured against manual corrections
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Usage, corrections, accuracy and effective confidence by method
+   */
+  async getThreadingAccuracy(userId) {
+    try {
+      const [{ data: usage }, { data: corrections }] = await Promise.all([
+        supabase
+          .from('email_thread_messages')
+          .select('threading_method')
+          .eq('user_id', userId)
+          .not('threading_method', 'is', null)
+          .limit(5000),
+        supabase
+          .from('email_thread_corrections')
+          .select('correction_type, threading_method')
+          .eq('user_id', userId)
+      ]);
+
+      const adjustments = await this.getMethodConfidenceAdjustments(userId);
+      const byMethod = {};
+      const ensure = method => {
+        byMethod[method] = byMethod[method] || { messages: 0, merges: 0, splits: 0 };
+        return byMethod[method];
+      };
+
+      (usage || []).forEach(row => { ensure(row.threading_method).messages++; });
+      (corrections || []).forEach(row => {
+        if (!row.threading_method) return;
+        const entry = ensure(row.threading_method);
+        if (row.correction_type === 'merge') entry.merges++;
+        if (row.correction_type === 'split') entry.splits++;
+      });
+
+      Object.entries(byMethod).forEach(([method, entry]) => {
+        const corrected = entry.merges + entry.splits;
+        entry.accuracy = entry.messages > 0 ? Math.max(0, 1 - corrected / entry.messages) : null;
+        entry.confidence = this.getMethodConfidence(method, adjustments);
+        entry.enabled = entry.confidence >= this.minimumConfidence || !['reply_subject', 'subject_match', 'sender_match'].includes(method);
+      });
+
+      return {
+        totalMessages: (usage || []).length,
+        totalCorrections: (corrections || []).length,
+        byMethod
+      };
+
+    } catch (error) {
+      console.error('Failed to get threading accuracy:', error);
+      return { totalMessages: 0, totalCorrections: 0, byMethod: {} };
+    }
+  }
+
   /**
    * Find existing thread by message ID
    * @param {Object} parsedData - Parsed email data
@@ -68,18 +458,33 @@ export class EmailThreading {
     try {
       if (!parsedData.messageId) return null;
 
-      const { data: thread, error } = await supabase
-        .from('email_threads')
-        .select('*')
+      // Already-threaded message (redelivery, resync) keeps its thread
+      const { data: message } = await supabase
+        .from('email_thread_messages')
+        .select('thread_id')
         .eq('user_id', userId)
         .eq('message_id', parsedData.messageId)
-        .single();
+        .limit(1)
+        .maybeSingle();
+
+      let query = supabase
+        .from('email_threads')
+        .select('*')
+        .eq('user_id', userId);
+
+      query = message?.thread_id
+        ? query.eq('id', message.thread_id)
+        : query.eq('message_id', parsedData.messageId);
+
+      const { data: thread, error } = await query.single();
 
       if (error || !thread) return null;
 
       return {
         threadId: thread.id,
         threadType: 'existing',
+        threadingMethod: 'existing',
+        threadConfidence: this.methodConfidence.existing,
         messageId: thread.message_id,
         subject: thread.subject,
         participants: thread.participants,
@@ -122,12 +527,17 @@ export class EmailThreading {
 
       if (error || !thread) return null;
 
-      // Update thread with new message
-      await this.updateThreadWithNewMessage(thread.id, parsedData);
+      // A matching subject alone is not enough; someone on the thread must be involved
+      if (!this.sharesParticipant(thread, parsedData)) return null;
+
+      const confidence = this.getMethodConfidence('reply_subject', await this.getMethodConfidenceAdjustments(userId));
+      await this.updateThreadWithNewMessage(thread.id, parsedData, { method: 'reply_subject', confidence, userId });
 
       return {
         threadId: thread.id,
         threadType: 'reply',
+        threadingMethod: 'reply_subject',
+        threadConfidence: confidence,
         originalSubject,
         subject: parsedData.subject?.original || '',
         participants: [...(thread.participants || []), parsedData.from],
@@ -163,16 +573,19 @@ export class EmailThreading {
 
       if (error || !threads) return null;
 
-      // Find best matching thread
-      const bestMatch = this.findBestSubjectMatch(subject, threads);
+      // Find best matching thread among those sharing a participant
+      const candidates = threads.filter(thread => this.sharesParticipant(thread, parsedData));
+      const bestMatch = this.findBestSubjectMatch(subject, candidates);
       if (!bestMatch) return null;
 
-      // Update thread with new message
-      await this.updateThreadWithNewMessage(bestMatch.id, parsedData);
+      const confidence = this.getMethodConfidence('subject_match', await this.getMethodConfidenceAdjustments(userId));
+      await this.updateThreadWithNewMessage(bestMatch.id, parsedData, { method: 'subject_match', confidence, userId });
 
       return {
         threadId: bestMatch.id,
         threadType: 'subject_match',
+        threadingMethod: 'subject_match',
+        threadConfidence: confidence,
         originalSubject: bestMatch.original_subject,
         subject: parsedData.subject?.original || '',
         participants: [...(bestMatch.participants || []), parsedData.from],
@@ -213,12 +626,14 @@ export class EmailThreading {
       // Use the most recent thread
       const recentThread = threads[0];
 
-      // Update thread with new message
-      await this.updateThreadWithNewMessage(recentThread.id, parsedData);
+      const confidence = this.getMethodConfidence('sender_match', await this.getMethodConfidenceAdjustments(userId));
+      await this.updateThreadWithNewMessage(recentThread.id, parsedData, { method: 'sender_match', confidence, userId });
 
       return {
         threadId: recentThread.id,
         threadType: 'sender_match',
+        threadingMethod: 'sender_match',
+        threadConfidence: confidence,
         originalSubject: recentThread.original_subject,
         subject: parsedData.subject?.original || '',
         participants: recentThread.participants,
@@ -256,6 +671,10 @@ export class EmailThreading {
           message_count: 1,
           message_id: parsedData.messageId,
           thread_type: 'new',
+          provider: parsedData.threadingHeaders?.provider || null,
+          provider_thread_id: parsedData.threadingHeaders?.providerThreadId || null,
+          threading_method: 'new',
+          thread_confidence: 1.0,
           created_at: new Date().toISOString(),
           last_message_at: new Date().toISOString()
         })
@@ -267,9 +686,14 @@ export class EmailThreading {
         return this.getDefaultThreadInfo(parsedData);
       }
 
+      // Record the first message so later In-Reply-To/References headers can find it
+      await this.recordThreadMessage(thread.id, parsedData, { method: 'new', confidence: 1.0, userId });
+
       return {
         threadId: thread.id,
         threadType: 'new',
+        threadingMethod: 'new',
+        threadConfidence: 1.0,
         originalSubject,
         subject: parsedData.subject?.original || '',
         participants: [parsedData.from],
@@ -288,8 +712,9 @@ export class EmailThreading {
    * Update thread with new message
    * @param {string} threadId - Thread ID
    * @param {Object} parsedData - Parsed email data
+   * @param {Object} [match] - Threading method, confidence and user ID of the match
    */
-  async updateThreadWithNewMessage(threadId, parsedData) {
+  async updateThreadWithNewMessage(threadId, parsedData, match = {}) {
     try {
       // Update thread record
       await supabase
@@ -302,22 +727,72 @@ export class EmailThreading {
         .eq('id', threadId);
 
       // Add message to thread
-      await supabase
-        .from('email_thread_messages')
-        .insert({
-          thread_id: threadId,
-          message_id: parsedData.messageId,
-          from: parsedData.from,
-          subject: parsedData.subject?.original || '',
-          body: parsedData.body?.cleaned || '',
-          received_at: new Date().toISOString()
-        });
+      await this.recordThreadMessage(threadId, parsedData, match);
 
     } catch (error) {
       console.error('Failed to update thread with new message:', error);
     }
   }
 
+  /**
+   * Insert a thread message row with its threading headers and match details
+   * @param {string} threadId - Thread ID
+   * @param {Object} parsedData - Parsed email data
+   * @param {Object} match - Threading method, confidence and user ID of the match
+   */
+  async recordThreadMessage(threadId, parsedData, match = {}) {
+    const headers = parsedData.threadingHeaders || {};
+
+    await supabase
+      .from('email_thread_messages')
+      .insert({
+        thread_id: threadId,
+        user_id: match.userId || null,
+        message_id: parsedData.messageId,
+        in_reply_to: headers.inReplyTo || null,
+        references: headers.references || [],
+        from: parsedData.from,
+        subject: parsedData.subject?.original || '',
+        body: parsedData.body?.cleaned || '',
+        threading_method: match.method || null,
+        thread_confidence: match.confidence ?? null,
+        received_at: new Date().toISOString()
+      });
+  }
+
+  /**
+   * Collect lowercased addresses involved in an email
+   * @param {Object} parsedData - Parsed email data
+   * @returns {Set<string>} Participant addresses
+   */
+  getEmailParticipants(parsedData) {
+    const addresses = [parsedData.from, parsedData.to, parsedData.cc]
+      .flat()
+      .filter(Boolean)
+      .flatMap(value => String(value).split(','))
+      .map(value => {
+        const match = value.match(/<([^>]+)>/);
+        return (match ? match[1] : value).trim().toLowerCase();
+      })
+      .filter(Boolean);
+
+    return new Set(addresses);
+  }
+
+  /**
+   * Check whether an email involves anyone already on a thread
+   * @param {Object} thread - Thread record
+   * @param {Object} parsedData - Parsed email data
+   * @returns {boolean} True when at least one participant overlaps
+   */
+  sharesParticipant(thread, parsedData) {
+    const emailParticipants = this.getEmailParticipants(parsedData);
+    if (emailParticipants.size === 0) return false;
+
+    const threadParticipants = this.getEmailParticipants({ to: thread.participants || [] });
+    return [...emailParticipants].some(address => threadParticipants.has(address));
+  }
+
   /**
    * Check if email is a reply
    * @param {string} subject - Email subject
@@ -556,6 +1031,12 @@ export class EmailThreading {
         })
         .eq('id', targetThreadId);
 
+      // Note how the misthreaded messages were placed before moving them
+      const { data: movedMessages } = await supabase
+        .from('email_thread_messages')
+        .select('message_id, threading_method, thread_confidence')
+        .eq('thread_id', sourceThreadId);
+
       // Move messages from source to target
       await supabase
         .from('email_thread_messages')
@@ -568,6 +1049,9 @@ export class EmailThreading {
         .delete()
         .eq('id', sourceThreadId);
 
+      // A merge means threading missed a link for these messages
+      await this.recordMovedMessageCorrections(userId, 'merge', sourceThreadId, targetThreadId, movedMessages);
+
       return {
         success: true,
         mergedThreadId: targetThreadId,
@@ -585,6 +1069,7 @@ export class EmailThreading {
 
   /**
    * Split thread
+   * Recorded as a correction against the method that attached the moved messages.
    * @param {string} threadId - Thread ID
    * @param {Array} messageIds - Message IDs to move to new thread
    * @param {string} userId - User ID
@@ -621,6 +1106,13 @@ export class EmailThreading {
           last_message_at: new Date().toISOString()
         });
 
+      // Note how the split-off messages were attached before moving them
+      const { data: movedMessages } = await supabase
+        .from('email_thread_messages')
+        .select('message_id, threading_method, thread_confidence')
+        .eq('thread_id', threadId)
+        .in('message_id', messageIds);
+
       // Move messages to new thread
       await supabase
         .from('email_thread_messages')
@@ -628,6 +1120,9 @@ export class EmailThreading {
         .eq('thread_id', threadId)
         .in('message_id', messageIds);
 
+      // A split means the method that attached these messages grouped them wrongly
+      await this.recordMovedMessageCorrections(userId, 'split', threadId, newThreadId, movedMessages);
+
       // Update original thread message count
       await supabase
         .from('email_threads')
@@ -661,6 +1156,8 @@ export class EmailThreading {
     return {
       threadId: null,
       threadType: 'none',
+      threadingMethod: 'none',
+      threadConfidence: 0,
       originalSubject: parsedData.subject?.cleaned || 'No Subject',
       subject: parsedData.subject?.original || '',
       participants: [parsedData.from],
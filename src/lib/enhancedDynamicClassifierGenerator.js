@@ -13,9 +13,11 @@
  * - Comprehensive category descriptions
  * - Form submission override logic
  * - Manager-specific routing by name and role
+ * - Few-shot examples from the business's own classification corrections
  */
 
 import { buildManagerInfoForAI, buildSupplierInfoForAI } from '@/constants/managerRoles.js';
+import { formatFewShotSection } from './classifierFewShotExamples.js';
 
 // Business-specific tertiary customizations for all 12 business types
 const BUSINESS_TERTIARY_CUSTOMIZATIONS = {
@@ -346,13 +348,14 @@ const BUSINESS_TERTIARY_CUSTOMIZATIONS = {
 
 
 export class EnhancedDynamicClassifierGenerator {
-  constructor(businessType, businessInfo, managers = [], suppliers = [], actualLabels = null, departmentScope = ['all']) {
+  constructor(businessType, businessInfo, managers = [], suppliers = [], actualLabels = null, departmentScope = ['all'], fewShotExamples = []) {
     this.businessType = businessType;
     this.businessInfo = businessInfo;
     this.managers = managers;
     this.suppliers = suppliers;
     this.actualLabels = actualLabels || {}; // Store actual label IDs for debugging
     this.departmentScope = departmentScope; // Department scope for filtering (e.g., ['sales', 'support'] or ['all'])
+    this.fewShotExamples = fewShotExamples || []; // Selected corrections from classifierFewShotExamples.js
   }
   
   generateClassifierSystemMessage() {
@@ -362,6 +365,7 @@ export class EnhancedDynamicClassifierGenerator {
     const managerInfo = this.generateManagerInfo();
     const supplierInfo = this.generateSupplierInfo();
     const labelIdInfo = this.generateLabelIdDocumentation();
+    const fewShotInfo = this.generateFewShotExamples();
     
     return `You are an expert email processing and routing system for "${this.businessInfo.name}".
 
@@ -399,7 +403,7 @@ ${supplierInfo}
 
 ${labelIdInfo}
 
-### JSON Output Format:
+${fewShotInfo}### JSON Output Format:
 Return ONLY the following JSON structure. Do not add any other text or explanations.
 
 \`\`\`json
@@ -1310,6 +1314,15 @@ Return ONLY the following JSON structure. Do not add any other text or explanati
     return tertiary;
   }
   
+  /**
+   * Generate few-shot examples section from the business's own corrections
+   * Examples are already scrubbed and token-capped by selectFewShotExamples()
+   */
+  generateFewShotExamples() {
+    const section = formatFewShotSection(this.fewShotExamples);
+    return section ? `${section}\n` : '';
+  }
+  
   /**
    * Generate label ID documentation section
    * Shows actual folder IDs for debugging purposes
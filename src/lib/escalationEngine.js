@@ -1,5 +1,13 @@
 import { supabase } from './customSupabaseClient';
 import { BusinessRulesEngine } from './businessRules';
+import { BusinessHoursManager } from './businessHours';
+import {
+  DEFAULT_SLA_POLICIES,
+  SLA_STATUS,
+  calculateSlaDueAt,
+  evaluateSlaClock,
+  resolveSlaPolicy
+} from './slaClock';
 
 export class EscalationEngine {
   constructor() {
@@ -12,6 +20,9 @@ export class EscalationEngine {
     try {
       console.log(`Processing escalation for email from ${emailData.from}`);
 
+      // Every email gets an SLA clock, whether or not a rule fires
+      await this.startSlaClock(emailData, userId, classification);
+
       // Evaluate business rules to determine escalation needs
       const triggeredRules = await this.rulesEngine.evaluateRules(
         emailData, 
@@ -504,6 +515,7 @@ export class EscalationEngine {
       });
 
       stats.averagePerDay = escalations.length / (hours / 24);
+      stats.sla = await this.getSlaStats(userId, since);
 
       return stats;
 
@@ -543,6 +555,329 @@ export class EscalationEngine {
     }
   }
 
+  // SLA clocks
+
+  async getSlaPolicies(userId) {
+    try {
+      const { data: policies, error } = await supabase
+        .from('sla_policies')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('enabled', true);
+
+      if (error) throw error;
+      return policies && policies.length > 0 ? policies : DEFAULT_SLA_POLICIES;
+
+    } catch (error) {
+      console.error('Failed to get SLA policies:', error);
+      return DEFAULT_SLA_POLICIES;
+    }
+  }
+
+  async getBusinessHoursManager(userId) {
+    try {
+      const { data: businessHours } = await supabase
+        .from('business_hours')
+        .select('*')
+        .eq('user_id', userId)
+        .single();
+
+      return BusinessHoursManager.fromSchedule(businessHours);
+
+    } catch (error) {
+      console.error('Failed to load business hours for SLA:', error);
+      return null;
+    }
+  }
+
+  async startSlaClock(emailData, userId, classification = {}) {
+    if (!emailData?.id) {
+      return null;
+    }
+
+    try {
+      const category = classification.category || emailData.category;
+      const policy = resolveSlaPolicy(await this.getSlaPolicies(userId), category);
+      const hoursManager = await this.getBusinessHoursManager(userId);
+      const receivedAt = new Date(emailData.received_at || emailData.receivedAt || Date.now());
+      const dueAt = calculateSlaDueAt(policy, receivedAt, hoursManager);
+
+      const { data, error } = await supabase
+        .from('email_sla_clocks')
+        .upsert({
+          user_id: userId,
+          email_id: emailData.id,
+          email_from: emailData.from,
+          email_subject: emailData.subject,
+          category: category || 'DEFAULT',
+          policy,
+          target_minutes: policy.target_minutes,
+          received_at: receivedAt.toISOString(),
+          due_at: dueAt ? dueAt.toISOString() : null,
+          status: SLA_STATUS.ON_TRACK
+        }, { onConflict: 'user_id,email_id', ignoreDuplicates: true })
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+
+    } catch (error) {
+      console.error('Failed to start SLA clock:', error);
+      return null;
+    }
+  }
+
+  async stopSlaClock(userId, emailId, respondedAt = new Date()) {
+    try {
+      const { data: clock, error } = await supabase
+        .from('email_sla_clocks')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('email_id', emailId)
+        .is('responded_at', null)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!clock) return null;
+
+      const hoursManager = await this.getBusinessHoursManager(userId);
+      const evaluation = evaluateSlaClock({
+        policy: clock.policy,
+        receivedAt: new Date(clock.received_at),
+        respondedAt,
+        hoursManager
+      });
+
+      await supabase
+        .from('email_sla_clocks')
+        .update({
+          responded_at: respondedAt.toISOString(),
+          status: evaluation.status,
+          elapsed_minutes: evaluation.elapsedMinutes,
+          breached_at: clock.breached_at || (evaluation.status === SLA_STATUS.BREACHED ? respondedAt.toISOString() : null)
+        })
+        .eq('id', clock.id);
+
+      return { emailId, ...evaluation };
+
+    } catch (error) {
+      console.error('Failed to stop SLA clock:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Send times of replies recorded for the given emails. Drafts sent from the
+   * mailbox are reported through the draft-correction endpoint, which is the
+   * only signal that an email outside the app's own reply path was answered.
+   */
+  async getRecordedReplies(userId, emailIds) {
+    const { data: corrections, error } = await supabase
+      .from('ai_draft_corrections')
+      .select('email_id, sent_at')
+      .eq('user_id', userId)
+      .in('email_id', emailIds)
+      .not('sent_at', 'is', null);
+
+    if (error) throw error;
+
+    const replies = new Map();
+    (corrections || []).forEach(({ email_id: emailId, sent_at: sentAt }) => {
+      if (!replies.has(emailId) || sentAt < replies.get(emailId)) {
+        replies.set(emailId, sentAt);
+      }
+    });
+    return replies;
+  }
+
+  /**
+   * Re-evaluate every open SLA clock for a user, stopping clocks whose email
+   * has since been answered, sending warnings for newly crossed thresholds
+   * and escalating breaches through the policy's actions
+   */
+  async checkSlaClocks(userId, now = new Date()) {
+    try {
+      const { data: clocks, error } = await supabase
+        .from('email_sla_clocks')
+        .select('*')
+        .eq('user_id', userId)
+        .is('responded_at', null)
+        .neq('status', SLA_STATUS.BREACHED);
+
+      if (error) throw error;
+      if (!clocks || clocks.length === 0) return [];
+
+      const replies = await this.getRecordedReplies(userId, clocks.map(clock => clock.email_id));
+      const hoursManager = await this.getBusinessHoursManager(userId);
+      const results = [];
+
+      for (const clock of clocks) {
+        if (replies.has(clock.email_id)) {
+          const stopped = await this.stopSlaClock(userId, clock.email_id, new Date(replies.get(clock.email_id)));
+          if (stopped) results.push({ ...stopped, actions: [] });
+          continue;
+        }
+
+        const evaluation = evaluateSlaClock({
+          policy: clock.policy,
+          receivedAt: new Date(clock.received_at),
+          now,
+          hoursManager
+        });
+
+        const warningsSent = clock.warnings_sent || [];
+        const newWarnings = evaluation.thresholdsCrossed.filter(t => !warningsSent.includes(t));
+        const actions = [];
+
+        if (evaluation.status === SLA_STATUS.BREACHED) {
+          actions.push(...await this.handleSlaBreach(clock, evaluation, userId));
+        } else if (newWarnings.length > 0) {
+          // One notification for the highest threshold crossed since the last check
+          actions.push(await this.sendSlaWarning(clock, evaluation, Math.max(...newWarnings), userId));
+        }
+
+        await supabase
+          .from('email_sla_clocks')
+          .update({
+            status: evaluation.status,
+            elapsed_minutes: evaluation.elapsedMinutes,
+            warnings_sent: [...warningsSent, ...newWarnings],
+            breached_at: evaluation.status === SLA_STATUS.BREACHED ? now.toISOString() : null
+          })
+          .eq('id', clock.id);
+
+        results.push({ emailId: clock.email_id, ...evaluation, actions });
+      }
+
+      return results;
+
+    } catch (error) {
+      console.error('Failed to check SLA clocks:', error);
+      return [];
+    }
+  }
+
+  buildSlaEmailData(clock) {
+    return {
+      id: clock.email_id,
+      from: clock.email_from,
+      subject: clock.email_subject
+    };
+  }
+
+  async sendSlaWarning(clock, evaluation, threshold, userId) {
+    const ruleResult = {
+      ruleId: 'sla_warning',
+      rule: { condition: 'sla_warning', action: 'notify_manager' },
+      action: 'notify_manager',
+      priority: 6,
+      condition: 'sla_warning',
+      description: `SLA warning: ${Math.round(threshold * 100)}% of the ${clock.target_minutes}-minute ${clock.category} response target used, ${evaluation.remainingMinutes} minutes remaining`,
+      timestamp: new Date().toISOString()
+    };
+
+    return await this.executeEscalationAction(ruleResult, this.buildSlaEmailData(clock), userId);
+  }
+
+  async handleSlaBreach(clock, evaluation, userId) {
+    const emailData = this.buildSlaEmailData(clock);
+    const breachActions = clock.policy?.breach_actions?.length ? clock.policy.breach_actions : ['notify_manager'];
+
+    const ruleResults = breachActions.map(action => ({
+      ruleId: 'sla_breach',
+      rule: { condition: 'sla_breach', action },
+      action,
+      priority: 9,
+      condition: 'sla_breach',
+      description: `SLA breached: ${clock.category} response target of ${clock.target_minutes} minutes exceeded (${evaluation.elapsedMinutes} minutes elapsed)`,
+      timestamp: new Date().toISOString()
+    }));
+
+    const results = [];
+    for (const ruleResult of ruleResults) {
+      results.push(await this.executeEscalationAction(ruleResult, emailData, userId));
+    }
+
+    await this.logEscalation(emailData, userId, ruleResults, results);
+    return results;
+  }
+
+  startSlaMonitoring(userId, intervalMs = 60000) {
+    this.stopSlaMonitoring();
+    this.processingInterval = setInterval(() => {
+      this.checkSlaClocks(userId).catch(error => console.error('SLA monitoring failed:', error));
+    }, intervalMs);
+  }
+
+  stopSlaMonitoring() {
+    if (this.processingInterval) {
+      clearInterval(this.processingInterval);
+      this.processingInterval = null;
+    }
+  }
+
+  async getSlaStats(userId, since) {
+    try {
+      const { data: clocks, error } = await supabase
+        .from('email_sla_clocks')
+        .select('category, status, elapsed_minutes, target_minutes, responded_at')
+        .eq('user_id', userId)
+        .gte('received_at', since);
+
+      if (error) throw error;
+
+      const stats = {
+        total: clocks.length,
+        met: 0,
+        breached: 0,
+        open: 0,
+        attainmentRate: null,
+        averageResponseMinutes: null,
+        byCategory: {}
+      };
+
+      let respondedMinutes = 0;
+      let respondedCount = 0;
+
+      clocks.forEach(clock => {
+        const category = clock.category || 'DEFAULT';
+        const bucket = stats.byCategory[category] || (stats.byCategory[category] = { total: 0, met: 0, breached: 0, open: 0, attainmentRate: null });
+        bucket.total++;
+
+        if (clock.status === SLA_STATUS.BREACHED) {
+          stats.breached++;
+          bucket.breached++;
+        } else if (clock.status === SLA_STATUS.MET) {
+          stats.met++;
+          bucket.met++;
+        } else {
+          stats.open++;
+          bucket.open++;
+        }
+
+        if (clock.responded_at) {
+          respondedMinutes += clock.elapsed_minutes || 0;
+          respondedCount++;
+        }
+      });
+
+      // Attainment only counts clocks with an outcome; open clocks are still undecided
+      const rate = (met, breached) => (met + breached > 0 ? met / (met + breached) : null);
+      stats.attainmentRate = rate(stats.met, stats.breached);
+      Object.values(stats.byCategory).forEach(bucket => {
+        bucket.attainmentRate = rate(bucket.met, bucket.breached);
+      });
+      stats.averageResponseMinutes = respondedCount > 0 ? Math.round(respondedMinutes / respondedCount) : null;
+
+      return stats;
+
+    } catch (error) {
+      console.error('Failed to get SLA stats:', error);
+      return null;
+    }
+  }
+
   // Clear escalation queue
   clearEscalationQueue() {
     this.escalationQueue.clear();
@@ -553,3 +888,6 @@ export class EscalationEngine {
     return Array.from(this.escalationQueue.values());
   }
 }
+
+// Export singleton instance
+export const escalationEngine = new EscalationEngine();
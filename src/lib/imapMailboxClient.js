@@ -0,0 +1,122 @@
+/**
+ * IMAP Mailbox Client
+ *
+ * Browser-side access to generic IMAP/SMTP mailboxes. The browser cannot open
+ * IMAP connections and never sees the mailbox password after it is saved, so
+ * every operation goes through the backend /api/imap routes.
+ */
+
+import { supabase } from './customSupabaseClient.js';
+
+class ImapMailboxClient {
+  /**
+   * Resolve the backend base URL (runtime config first, then build env)
+   * @returns {string}
+   */
+  getBackendUrl() {
+    const runtimeConfig = typeof window !== 'undefined' && window.__RUNTIME_CONFIG__;
+    return runtimeConfig?.BACKEND_URL ||
+           import.meta.env?.BACKEND_URL ||
+           'http://localhost:3001';
+  }
+
+  /**
+   * Call a backend IMAP route with the current session token
+   * @param {string} path - Route below /api/imap
+   * @param {Object} options - { method, body }
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async request(path, { method = 'GET', body } = {}) {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session?.access_token) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(`${this.getBackendUrl()}/api/imap${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session.access_token}`
+      },
+      ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || data.error || `IMAP API error: ${response.status}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Verify and store mailbox settings
+   * @param {Object} settings - { email, hosting, username, password, imap: {host, port, secure}, smtp: {host, port, secure} }
+   * @returns {Promise<Object>} Stored connection settings
+   */
+  async connect(settings) {
+    const { mailbox } = await this.request('/connect', { method: 'POST', body: settings });
+    return mailbox;
+  }
+
+  async disconnect() {
+    await this.request('/connect', { method: 'DELETE' });
+  }
+
+  /**
+   * @returns {Promise<Array>} [{ path, name, delimiter, parentPath, specialUse }]
+   */
+  async listFolders() {
+    const { folders } = await this.request('/folders');
+    return folders;
+  }
+
+  /**
+   * Create a folder (a no-op if it already exists)
+   * @param {string} name - Folder name
+   * @param {string|null} parentPath - Full path of the parent folder
+   * @returns {Promise<Object>} { id, name, path, alreadyExists }
+   */
+  async createFolder(name, parentPath = null) {
+    const { folder } = await this.request('/folders', { method: 'POST', body: { name, parentPath } });
+    return folder;
+  }
+
+  /**
+   * Record mail received since the last check (polling fallback for IDLE)
+   * @returns {Promise<number>} Number of new messages
+   */
+  async checkNewMessages() {
+    const { newMessages } = await this.request('/messages/check', { method: 'POST' });
+    return newMessages;
+  }
+
+  async startWatch() {
+    return this.request('/watch', { method: 'POST' });
+  }
+
+  async stopWatch() {
+    return this.request('/watch', { method: 'DELETE' });
+  }
+
+  /**
+   * @param {Object} draft - { to, cc, subject, html, text, inReplyTo, references }
+   */
+  async saveDraft(draft) {
+    const { draft: saved } = await this.request('/drafts', { method: 'POST', body: draft });
+    return saved;
+  }
+
+  /**
+   * @param {Object} message - { to, cc, bcc, subject, html, text, inReplyTo, references, saveToSent }
+   */
+  async send(message) {
+    return this.request('/send', { method: 'POST', body: message });
+  }
+}
+
+// Export singleton instance
+export const imapMailboxClient = new ImapMailboxClient();
+
+// Export class for testing
+export { ImapMailboxClient };
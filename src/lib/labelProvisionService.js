@@ -11,6 +11,7 @@ import { mergeBusinessTypeSchemas } from './labelSchemaMerger';
 import { getExistingLabels } from './labelSyncService';
 import { labelColors } from './labelSyncValidator';
 import { syncGmailLabelsWithDatabase } from './gmailLabelSync';
+import { migrateLabelSchemaFor } from './labelSchemaMigrations';
 
 /**
  * Process schema using base master schema with business extensions
@@ -204,7 +205,7 @@ export async function provisionLabelSchemaFor(userId, businessType, options = {}
     
     // CRITICAL: Sync current Gmail label state with database first
     console.log('🔄 Syncing current Gmail label state with database...');
-    const syncResult = await syncGmailLabelsWithDatabase(userId, integrations.provider, businessProfileId, businessTypes[0]);
+    let syncResult = await syncGmailLabelsWithDatabase(userId, integrations.provider, businessProfileId, businessTypes[0]);
     
     if (!syncResult.success) {
       console.warn(`⚠️ Label sync failed: ${syncResult.error}`);
@@ -218,6 +219,25 @@ export async function provisionLabelSchemaFor(userId, businessType, options = {}
     if (syncResult.validAccessToken) {
       console.log('✅ Using refreshed access token from sync for label creation');
     }
+
+    // Rename/move/merge/split existing labels to the current schema version before
+    // anything is created, so restructured categories keep their mail
+    const schemaMigration = await migrateLabelSchemaFor(userId, {
+      provider: integrations.provider,
+      accessToken: accessTokenToUse,
+      businessTypes: finalBusinessTypes,
+      toVariableName: generateN8nVariableName
+    });
+    if (schemaMigration.error) {
+      console.warn(`⚠️ Label schema migration incomplete: ${schemaMigration.error}`);
+    }
+    if (schemaMigration.applied.length > 0) {
+      console.log(`🔄 Label schema migrated to ${schemaMigration.version}, re-syncing labels...`);
+      if (schemaMigration.redeployed) {
+        console.log('✅ n8n workflow redeployed with the migrated label map');
+      }
+      syncResult = await syncGmailLabelsWithDatabase(userId, integrations.provider, businessProfileId, businessTypes[0]);
+    }
     
     // Check if manual deletion was detected - if so, create labels immediately
     if (syncResult.manualDeletionDetected) {
@@ -243,6 +263,7 @@ export async function provisionLabelSchemaFor(userId, businessType, options = {}
         return {
           success: true,
           skipped: true,
+          schemaMigration,
           reason: 'labels_provisioned_by_n8n',
           message: 'Labels will be created automatically during n8n workflow deployment.',
           businessType: businessTypes.join(' + '),
@@ -412,6 +433,7 @@ export async function provisionLabelSchemaFor(userId, businessType, options = {}
       return {
         success: true,
         labelMap,
+        schemaMigration,
         businessType,
         provider: integrations.provider,
         labelsCreated: 0,
@@ -460,6 +482,7 @@ export async function provisionLabelSchemaFor(userId, businessType, options = {}
     return {
       success: true,
       labelMap,
+      schemaMigration,
       businessType,
       provider: integrations.provider,
       labelsCreated: result.created?.length || 0,
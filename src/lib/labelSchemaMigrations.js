@@ -0,0 +1,551 @@
+/**
+ * Label Schema Migrations
+ * Versioned, declarative changes to the label schema (baseMasterSchema + business
+ * extensions), applied to each tenant's existing mailbox so renamed or restructured
+ * categories keep their mail instead of being recreated next to the old labels.
+ *
+ * Operations (paths use "/" between levels, as in Gmail label names):
+ * - { type: 'rename', from: 'PHONE', to: 'CALLS' }                 same parent, new name
+ * - { type: 'move', from: 'WARRANTY', parent: 'SUPPORT' }          parent '' = top level
+ * - { type: 'merge', from: ['PROMO/Deals'], into: 'PROMO/Offers' } relabel mail, delete sources
+ * - { type: 'split', from: 'SUPPORT/General',
+ *     into: [{ to: 'SUPPORT/Parts', keywords: ['part', 'filter'] }] } matching mail moves out
+ *
+ * Every operation is idempotent against the tenant's current labels, so a run that
+ * fails part-way is simply resumed on the next provisioning. Once migrations are
+ * applied the tenant's active n8n workflow is redeployed, because it embeds the
+ * label map by variable name and label id.
+ */
+
+import { supabase } from './customSupabaseClient.js';
+import { baseMasterSchema } from './baseMasterSchema.js';
+
+// Version every tenant provisioned before migrations existed is assumed to be on
+export const BASELINE_SCHEMA_VERSION = '1.3.0';
+
+/**
+ * Registered migrations, oldest first. Bump baseMasterSchema.schemaVersion together
+ * with a new entry; businessTypes limits an entry to tenants with one of those types.
+ * Empty while the schema is still at BASELINE_SCHEMA_VERSION - validateMigrationRegistry()
+ * fails as soon as the schema version moves past the last entry.
+ * @type {Array<{version: string, description: string, businessTypes?: string[], operations: Object[]}>}
+ */
+export const LABEL_SCHEMA_MIGRATIONS = [];
+
+// Messages moved per relabel step; the rest are picked up on the next run
+const MAX_MESSAGES_PER_STEP = 5000;
+
+const GMAIL_API = 'https://gmail.googleapis.com/gmail/v1/users/me';
+const GRAPH_API = 'https://graph.microsoft.com/v1.0/me';
+
+const OUTLOOK_SYSTEM_FOLDERS = ['inbox', 'sent items', 'drafts', 'deleted items', 'junk email', 'outbox', 'archive', 'conversation history', 'sync issues'];
+
+const parentOf = (path) => (path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '');
+const leafOf = (path) => path.slice(path.lastIndexOf('/') + 1);
+const isWithin = (path, root) => path === root || path.startsWith(`${root}/`);
+
+/**
+ * Compare dotted versions
+ * @returns {number} <0 if a<b, 0 if equal, >0 if a>b
+ */
+export function compareVersions(a, b) {
+  const left = String(a || '0').split('.').map(Number);
+  const right = String(b || '0').split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Check the registry is ordered and ends at the current schema version
+ * @param {Array} migrations
+ * @param {string} schemaVersion - baseMasterSchema.schemaVersion
+ * @returns {string[]} Problems found
+ */
+export function validateMigrationRegistry(migrations = LABEL_SCHEMA_MIGRATIONS, schemaVersion = baseMasterSchema.schemaVersion) {
+  const problems = [];
+  let previous = BASELINE_SCHEMA_VERSION;
+
+  migrations.forEach(migration => {
+    if (compareVersions(migration.version, previous) <= 0) {
+      problems.push(`Migration ${migration.version} must be newer than ${previous}`);
+    }
+    previous = migration.version;
+  });
+
+  // A schema bump without a migration would leave existing tenants on the old labels
+  if (compareVersions(previous, schemaVersion) !== 0) {
+    problems.push(`Latest migration ${previous} does not match schemaVersion ${schemaVersion}`);
+  }
+  return problems;
+}
+
+/**
+ * Migrations a tenant still needs
+ * @param {string|null} currentVersion - profiles.label_schema_version
+ * @param {string[]} businessTypes - Tenant business types
+ * @param {Array} migrations
+ * @returns {Array}
+ */
+export function getPendingMigrations(currentVersion, businessTypes = [], migrations = LABEL_SCHEMA_MIGRATIONS) {
+  const version = currentVersion || BASELINE_SCHEMA_VERSION;
+  return migrations.filter(migration =>
+    compareVersions(migration.version, version) > 0 &&
+    (!migration.businessTypes || migration.businessTypes.some(type => businessTypes.includes(type)))
+  );
+}
+
+/**
+ * Turn declarative operations into provider-agnostic steps for the labels a tenant has
+ * @param {string[]} paths - Existing label paths
+ * @param {Object[]} operations - Migration operations
+ * @returns {{steps: Object[], errors: string[], paths: string[]}} Steps plus the resulting paths
+ */
+export function planLabelMigration(paths, operations = []) {
+  const current = new Set(paths);
+  const steps = [];
+  const errors = [];
+
+  const has = (path) => current.has(path);
+  const hasChildren = (path) => [...current].some(existing => existing.startsWith(`${path}/`));
+  const relocate = (from, to) => {
+    [...current].filter(path => isWithin(path, from)).forEach(path => {
+      current.delete(path);
+      current.add(to + path.slice(from.length));
+    });
+  };
+  const ensure = (path) => {
+    const parent = parentOf(path);
+    if (parent && !has(parent)) ensure(parent);
+    if (!has(path)) {
+      steps.push({ action: 'create', path });
+      current.add(path);
+    }
+  };
+  const relabelInto = (from, to, keywords = null) => {
+    ensure(to);
+    steps.push({ action: 'relabel', from, to, keywords });
+  };
+
+  operations.forEach(operation => {
+    switch (operation.type) {
+      case 'rename':
+      case 'move': {
+        const to = operation.type === 'move'
+          ? [operation.parent, leafOf(operation.from)].filter(Boolean).join('/')
+          : operation.to;
+        if (to === operation.from) {
+          break;
+        } else if (operation.type === 'rename' && parentOf(operation.from) !== parentOf(to)) {
+          errors.push(`rename ${operation.from} → ${to} changes the parent; use move`);
+        } else if (has(operation.from) && has(to)) {
+          errors.push(`${operation.type} ${operation.from} → ${to}: target already exists; use merge`);
+        } else if (has(operation.from)) {
+          if (operation.type === 'move' && operation.parent) ensure(operation.parent);
+          steps.push({ action: operation.type, from: operation.from, to });
+          relocate(operation.from, to);
+        }
+        // Neither present: the tenant never had the label; only the target: already applied
+        break;
+      }
+
+      case 'merge': {
+        const sources = (operation.from || []).filter(path => path !== operation.into && has(path));
+        const nested = sources.filter(hasChildren);
+        if (nested.length > 0) {
+          errors.push(`merge into ${operation.into}: ${nested.join(', ')} has sub-labels; move them first`);
+          break;
+        }
+        sources.forEach(source => {
+          relabelInto(source, operation.into);
+          steps.push({ action: 'delete', path: source });
+          current.delete(source);
+        });
+        break;
+      }
+
+      case 'split': {
+        if (!has(operation.from)) break;
+        (operation.into || []).forEach(target => {
+          if (!target.keywords?.length) {
+            errors.push(`split ${operation.from} → ${target.to}: keywords are required`);
+            return;
+          }
+          relabelInto(operation.from, target.to, target.keywords);
+        });
+        break;
+      }
+
+      default:
+        errors.push(`Unknown label migration operation "${operation.type}"`);
+    }
+  });
+
+  return { steps, errors, paths: [...current] };
+}
+
+/**
+ * Re-key the stored label map after paths changed
+ *
+ * email_labels is keyed either by label path (after a sync) or by the n8n variable
+ * name derived from the path (after provisioning); both forms are handled.
+ *
+ * @param {Object} emailLabels - profiles.email_labels
+ * @param {Object} changes - { renamed: [{from, to, id}], deleted: [id], created: [{path, id}] }
+ * @param {Function} toVariableName - Label path → n8n variable name
+ * @returns {Object} Updated label map
+ */
+export function remapEmailLabels(emailLabels = {}, changes, toVariableName = (path) => path) {
+  const deleted = new Set(changes.deleted || []);
+  const renames = new Map();
+  (changes.renamed || []).forEach(({ from, to }) => {
+    renames.set(from, to);
+    renames.set(toVariableName(from), toVariableName(to));
+  });
+
+  const keyedByPath = Object.keys(emailLabels).some(key => key.includes('/'));
+  const next = {};
+
+  Object.entries(emailLabels || {}).forEach(([key, id]) => {
+    if (deleted.has(id)) return;
+    next[renames.get(key) || key] = id;
+  });
+  (changes.created || []).forEach(({ path, id }) => {
+    next[keyedByPath ? path : toVariableName(path)] = id;
+  });
+
+  return next;
+}
+
+export class LabelSchemaMigrator {
+  /**
+   * @param {string} provider - gmail/outlook
+   * @param {string} accessToken - Provider access token
+   * @param {string} userId - User ID
+   */
+  constructor(provider, accessToken, userId) {
+    this.provider = provider;
+    this.accessToken = accessToken;
+    this.userId = userId;
+  }
+
+  async request(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json',
+        ...(options.headers || {})
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.provider} API error: ${response.status} ${response.statusText || ''}`.trim());
+    }
+    return response.status === 204 ? null : response.json().catch(() => null);
+  }
+
+  /**
+   * Current labels/folders as path → id
+   * @returns {Promise<Map<string, string>>}
+   */
+  async getInventory() {
+    const inventory = new Map();
+
+    if (this.provider === 'gmail') {
+      const data = await this.request(`${GMAIL_API}/labels`);
+      (data?.labels || [])
+        .filter(label => label.type === 'user')
+        .forEach(label => inventory.set(label.name, label.id));
+      return inventory;
+    }
+
+    // Outlook folders only expose display names, so walk the tree to build paths
+    const walk = async (url, prefix, depth) => {
+      let next = url;
+      while (next) {
+        const data = await this.request(next);
+        for (const folder of data?.value || []) {
+          if (!prefix && OUTLOOK_SYSTEM_FOLDERS.includes(folder.displayName.toLowerCase())) continue;
+          const path = prefix ? `${prefix}/${folder.displayName}` : folder.displayName;
+          inventory.set(path, folder.id);
+          if (depth < 3 && folder.childFolderCount > 0) {
+            await walk(`${GRAPH_API}/mailFolders/${folder.id}/childFolders?$top=100`, path, depth + 1);
+          }
+        }
+        next = data?.['@odata.nextLink'] || null;
+      }
+    };
+    await walk(`${GRAPH_API}/mailFolders?$top=100`, '', 1);
+    return inventory;
+  }
+
+  /**
+   * Apply one planned step and update the inventory
+   * @param {Object} step - From planLabelMigration()
+   * @param {Map<string, string>} inventory - path → id, updated in place
+   * @param {Object} changes - { renamed, deleted, created } accumulated for persistence
+   * @returns {Promise<number>} Messages moved (relabel steps)
+   */
+  async executeStep(step, inventory, changes) {
+    switch (step.action) {
+      case 'rename':
+      case 'move': {
+        const affected = [...inventory.keys()].filter(path => isWithin(path, step.from));
+
+        if (this.provider === 'gmail') {
+          // Gmail nesting is by name, so every descendant label is renamed too
+          for (const path of affected) {
+            await this.request(`${GMAIL_API}/labels/${inventory.get(path)}`, {
+              method: 'PATCH',
+              body: JSON.stringify({ name: step.to + path.slice(step.from.length) })
+            });
+          }
+        } else if (step.action === 'rename') {
+          await this.request(`${GRAPH_API}/mailFolders/${inventory.get(step.from)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ displayName: leafOf(step.to) })
+          });
+        } else {
+          const parent = parentOf(step.to);
+          await this.request(`${GRAPH_API}/mailFolders/${inventory.get(step.from)}/move`, {
+            method: 'POST',
+            body: JSON.stringify({ destinationId: parent ? inventory.get(parent) : 'msgfolderroot' })
+          });
+        }
+
+        affected.forEach(path => {
+          const id = inventory.get(path);
+          const to = step.to + path.slice(step.from.length);
+          inventory.delete(path);
+          inventory.set(to, id);
+          changes.renamed.push({ from: path, to, id });
+        });
+        return 0;
+      }
+
+      case 'create': {
+        let created;
+        if (this.provider === 'gmail') {
+          created = await this.request(`${GMAIL_API}/labels`, {
+            method: 'POST',
+            body: JSON.stringify({ name: step.path, labelListVisibility: 'labelShow', messageListVisibility: 'show' })
+          });
+        } else {
+          const parent = parentOf(step.path);
+          created = await this.request(
+            parent ? `${GRAPH_API}/mailFolders/${inventory.get(parent)}/childFolders` : `${GRAPH_API}/mailFolders`,
+            { method: 'POST', body: JSON.stringify({ displayName: leafOf(step.path) }) }
+          );
+        }
+        inventory.set(step.path, created.id);
+        changes.created.push({ path: step.path, id: created.id });
+        return 0;
+      }
+
+      case 'relabel':
+        return this.relabelMessages(inventory.get(step.from), inventory.get(step.to), step.keywords);
+
+      case 'delete': {
+        const id = inventory.get(step.path);
+        await this.request(
+          this.provider === 'gmail' ? `${GMAIL_API}/labels/${id}` : `${GRAPH_API}/mailFolders/${id}`,
+          { method: 'DELETE' }
+        );
+        inventory.delete(step.path);
+        changes.deleted.push(id);
+        return 0;
+      }
+
+      default:
+        throw new Error(`Unknown label migration step "${step.action}"`);
+    }
+  }
+
+  /**
+   * Move mail from one label/folder to another, optionally only keyword matches
+   * @returns {Promise<number>} Messages moved
+   */
+  async relabelMessages(fromId, toId, keywords = null) {
+    const ids = [];
+
+    if (this.provider === 'gmail') {
+      let pageToken = null;
+      do {
+        const params = new URLSearchParams({ labelIds: fromId, maxResults: '500' });
+        if (keywords) params.set('q', `(${keywords.map(k => `"${k}"`).join(' OR ')})`);
+        if (pageToken) params.set('pageToken', pageToken);
+        const data = await this.request(`${GMAIL_API}/messages?${params}`);
+        ids.push(...(data?.messages || []).map(m => m.id));
+        pageToken = data?.nextPageToken || null;
+      } while (pageToken && ids.length < MAX_MESSAGES_PER_STEP);
+
+      const batch = ids.slice(0, MAX_MESSAGES_PER_STEP);
+      for (let i = 0; i < batch.length; i += 1000) {
+        await this.request(`${GMAIL_API}/messages/batchModify`, {
+          method: 'POST',
+          body: JSON.stringify({ ids: batch.slice(i, i + 1000), addLabelIds: [toId], removeLabelIds: [fromId] })
+        });
+      }
+      return batch.length;
+    }
+
+    const search = keywords ? `&$search=${encodeURIComponent(`"${keywords.join(' OR ')}"`)}` : '';
+    let next = `${GRAPH_API}/mailFolders/${fromId}/messages?$select=id&$top=100${search}`;
+    while (next && ids.length < MAX_MESSAGES_PER_STEP) {
+      const data = await this.request(next);
+      ids.push(...(data?.value || []).map(m => m.id));
+      next = data?.['@odata.nextLink'] || null;
+    }
+
+    // Collected up front because moving shifts the folder's paging
+    const batch = ids.slice(0, MAX_MESSAGES_PER_STEP);
+    for (const id of batch) {
+      await this.request(`${GRAPH_API}/messages/${id}/move`, {
+        method: 'POST',
+        body: JSON.stringify({ destinationId: toId })
+      });
+    }
+    return batch.length;
+  }
+
+  /**
+   * Apply pending migrations one version at a time, persisting each atomically
+   * @param {Object} options
+   * @param {string|null} options.currentVersion - profiles.label_schema_version
+   * @param {string[]} options.businessTypes - Tenant business types
+   * @param {Object} options.emailLabels - profiles.email_labels
+   * @param {Function} options.toVariableName - Label path → n8n variable name
+   * @param {Array} options.migrations - Registry (defaults to LABEL_SCHEMA_MIGRATIONS)
+   * @param {Function} options.redeploy - Pushes the saved label map to n8n; resolves false when nothing is deployed
+   * @returns {Promise<Object>} { version, applied, requiresRedeploy, redeployed, error }
+   */
+  async migrate({ currentVersion, businessTypes = [], emailLabels = {}, toVariableName, migrations = LABEL_SCHEMA_MIGRATIONS, redeploy = null }) {
+    const result = { version: currentVersion || BASELINE_SCHEMA_VERSION, applied: [], requiresRedeploy: false, redeployed: false, error: null };
+    const pending = getPendingMigrations(currentVersion, businessTypes, migrations);
+    if (pending.length === 0) return result;
+
+    const inventory = await this.getInventory();
+    let labels = emailLabels || {};
+
+    for (const migration of pending) {
+      const plan = planLabelMigration([...inventory.keys()], migration.operations);
+      if (plan.errors.length > 0) {
+        result.error = `Migration ${migration.version}: ${plan.errors.join('; ')}`;
+        break;
+      }
+
+      const changes = { renamed: [], deleted: [], created: [] };
+      let messagesMoved = 0;
+      try {
+        for (const step of plan.steps) {
+          messagesMoved += await this.executeStep(step, inventory, changes);
+        }
+      } catch (error) {
+        // Completed steps are idempotent, so the next run resumes from here
+        result.error = `Migration ${migration.version}: ${error.message}`;
+        break;
+      }
+
+      labels = remapEmailLabels(labels, changes, toVariableName);
+
+      const { error } = await supabase.rpc('apply_label_schema_migration', {
+        p_user_id: this.userId,
+        p_provider: this.provider,
+        p_from_version: result.version,
+        p_to_version: migration.version,
+        p_label_changes: [
+          ...changes.renamed.map(({ id, to }) => ({ op: 'rename', label_id: id, label_name: to })),
+          ...changes.deleted.map(id => ({ op: 'delete', label_id: id })),
+          ...changes.created.map(({ id, path }) => ({ op: 'create', label_id: id, label_name: path }))
+        ],
+        p_email_labels: labels,
+        p_steps: plan.steps
+      });
+
+      if (error) {
+        result.error = `Migration ${migration.version}: failed to save label changes - ${error.message}`;
+        break;
+      }
+
+      console.log(`✅ Label schema migrated to ${migration.version}: ${plan.steps.length} steps, ${messagesMoved} messages moved`);
+      result.version = migration.version;
+      result.applied.push({ version: migration.version, steps: plan.steps.length, messagesMoved });
+      // The workflow references labels by variable name and id, so renames need it redeployed too
+      result.requiresRedeploy = true;
+    }
+
+    // Also after a failed later migration: the versions already saved must reach n8n
+    if (result.requiresRedeploy && redeploy) {
+      try {
+        result.redeployed = await redeploy(result);
+      } catch (error) {
+        console.error('❌ Redeploy after label schema migration failed:', error);
+        result.error = result.error || `Migrated to ${result.version} but the workflow redeploy failed - ${error.message}`;
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Redeploy the tenant's active workflow so n8n picks up the migrated label map
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} false when no workflow is deployed yet
+ */
+export async function redeployActiveWorkflow(userId) {
+  const { data: workflow, error } = await supabase
+    .from('workflows')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  // The first deployment renders the migrated labels
+  if (!workflow) return false;
+
+  // Loaded on demand: the deployer pulls in the whole n8n client stack
+  const { workflowDeployer } = await import('./workflowDeployer.js');
+  await workflowDeployer.redeployWorkflow(userId);
+  return true;
+}
+
+/**
+ * Bring a tenant's labels up to the current schema version
+ * @param {string} userId - User ID
+ * @param {Object} options
+ * @param {string} options.provider - gmail/outlook
+ * @param {string} options.accessToken - Provider access token
+ * @param {string[]} options.businessTypes - Tenant business types
+ * @param {Function} options.toVariableName - Label path → n8n variable name
+ * @param {Array} options.migrations - Registry (defaults to LABEL_SCHEMA_MIGRATIONS)
+ * @param {Function} options.redeploy - Defaults to redeployActiveWorkflow(userId)
+ * @returns {Promise<Object>} { version, applied, requiresRedeploy, redeployed, error }
+ */
+export async function migrateLabelSchemaFor(userId, { provider, accessToken, businessTypes = [], toVariableName, migrations = LABEL_SCHEMA_MIGRATIONS, redeploy = () => redeployActiveWorkflow(userId) } = {}) {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('label_schema_version, email_labels')
+      .eq('id', userId)
+      .single();
+
+    const migrator = new LabelSchemaMigrator(provider, accessToken, userId);
+    return await migrator.migrate({
+      currentVersion: profile?.label_schema_version || null,
+      businessTypes,
+      emailLabels: profile?.email_labels || {},
+      toVariableName,
+      migrations,
+      redeploy
+    });
+  } catch (error) {
+    console.error('❌ Label schema migration failed:', error);
+    return { version: null, applied: [], requiresRedeploy: false, redeployed: false, error: error.message };
+  }
+}
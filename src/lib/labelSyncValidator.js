@@ -4,6 +4,7 @@ import { retryService } from './retryService.js';
 import { supabase } from './customSupabaseClient.js';
 import { validateTokensForLabels } from './oauthTokenManager.js';
 import { needsLabelSync, syncGmailLabelsWithDatabase, verifyAndCreateGmailLabels } from './gmailLabelSync.js';
+import { imapMailboxClient } from './imapMailboxClient.js';
 
 // Ordered folder structure from top to bottom
 const standardLabels = {
@@ -92,6 +93,12 @@ const createLabelOrFolder = async (provider, accessToken, name, parentId = null,
     console.log(`🔧 Creating label/folder '${name}' with provider '${provider}'${parentId ? ` under parent ID: ${parentId}` : ''}`);
     console.log(`🔧 DEBUG: createLabelOrFolder called with - name: "${name}", parentId: ${parentId}, provider: ${provider}`);
   }
+
+  // IMAP folders are created by the backend, which holds the mailbox session.
+  // parentId is the parent's full mailbox path; the new folder's path is its ID.
+  if (provider === 'imap') {
+    return imapMailboxClient.createFolder(name, parentId);
+  }
   
   const endpoints = getApiEndpoints(provider);
   let body;
@@ -310,6 +317,20 @@ const createLabelOrFolder = async (provider, accessToken, name, parentId = null,
 };
 
 const findExistingLabels = async (provider, accessToken, userId = null) => {
+    if (provider === 'imap') {
+      const folders = await imapMailboxClient.listFolders();
+      return folders.reduce((acc, folder) => {
+        acc[folder.path] = {
+          id: folder.path,
+          displayName: folder.name,
+          name: folder.name,
+          path: folder.path,
+          parentPath: folder.parentPath
+        };
+        return acc;
+      }, {});
+    }
+
     const endpoints = getApiEndpoints(provider);
     
     // Create retry wrapper for Microsoft Graph API calls
@@ -898,6 +919,87 @@ const synchronizeOutlookFolders = async (accessToken, existingFolders, requiredL
   return syncResults;
 };
 
+/**
+ * Synchronize the label schema as IMAP folders. Folder IDs are full mailbox
+ * paths (e.g. "INBOX.BANKING.e-Transfer"), which the n8n IMAP workflow sends
+ * back to the backend when it moves a message.
+ * @param {Object} requiredLabels - Required labels structure
+ * @param {Array<string>} provisioningOrder - Parent folder order
+ * @returns {Promise<Object>} Label map keyed like Gmail labels ("PARENT/Sub")
+ */
+const synchronizeImapFolders = async (requiredLabels, provisioningOrder) => {
+  console.log('🔄 Synchronizing IMAP folder hierarchy...');
+
+  const existingFolders = Object.values(await findExistingLabels('imap', null));
+  const finalLabelMap = {};
+  let created = 0;
+
+  // Root folders may live under a namespace prefix only the server knows, so
+  // they always go through the (idempotent) create call to resolve their path
+  const ensureFolder = async (name, parentPath = null) => {
+    const existing = parentPath && existingFolders.find(f => f.parentPath === parentPath && f.name === name);
+    if (existing) return existing.path;
+
+    const folder = await createLabelOrFolder('imap', null, name, parentPath);
+    if (!folder.alreadyExists) created++;
+    return folder.id;
+  };
+
+  for (const parentLabelName of provisioningOrder) {
+    const labelData = requiredLabels[parentLabelName];
+    if (!labelData) continue;
+
+    const parentPath = await ensureFolder(parentLabelName);
+    finalLabelMap[parentLabelName] = { id: parentPath, name: parentLabelName };
+
+    for (const subLabelName of labelData.sub) {
+      const fullLabelName = `${parentLabelName}/${subLabelName}`;
+      finalLabelMap[fullLabelName] = { id: await ensureFolder(subLabelName, parentPath), name: fullLabelName };
+    }
+
+    for (const [nestedParentName, nestedChildren] of Object.entries(labelData.nested || {})) {
+      const nestedParentLabel = `${parentLabelName}/${nestedParentName}`;
+      const nestedParentPath = finalLabelMap[nestedParentLabel]?.id || await ensureFolder(nestedParentName, parentPath);
+      finalLabelMap[nestedParentLabel] = { id: nestedParentPath, name: nestedParentLabel };
+
+      for (const nestedChildName of nestedChildren) {
+        const nestedChildLabel = `${nestedParentLabel}/${nestedChildName}`;
+        finalLabelMap[nestedChildLabel] = { id: await ensureFolder(nestedChildName, nestedParentPath), name: nestedChildLabel };
+      }
+    }
+  }
+
+  console.log(`✅ IMAP folder sync completed: ${created} created, ${Object.keys(finalLabelMap).length} mapped`);
+  return finalLabelMap;
+};
+
+/**
+ * Store the provisioned label map in the profile's client_config
+ * @param {string} userId - User ID
+ * @param {Object} profile - Profile row (client_config)
+ * @param {Object} finalLabelMap - Label map to store
+ */
+const saveLabelMapToProfile = async (userId, profile, finalLabelMap) => {
+  const newConfig = {
+    ...profile.client_config,
+    channels: {
+      ...profile.client_config?.channels,
+      email: {
+        ...profile.client_config?.channels?.email,
+        label_map: finalLabelMap,
+      },
+    },
+    version: (profile.client_config?.version || 0) + 1,
+  };
+
+  const { error: updateError } = await supabase
+    .from('profiles')
+    .update({ client_config: newConfig })
+    .eq('id', userId);
+
+  if (updateError) throw new Error('Failed to update label map in database.');
+};
+
 export const validateAndSyncLabels = async (userId) => {
   // Starting label provisioning
   // Processing user
@@ -908,7 +1010,7 @@ export const validateAndSyncLabels = async (userId) => {
     .select('provider')
     .eq('user_id', userId)
     .eq('status', 'active')
-    .in('provider', ['gmail', 'outlook'])
+    .in('provider', ['gmail', 'outlook', 'imap'])
     .order('updated_at', { ascending: false })
     .limit(1)
     .single();
@@ -919,14 +1021,19 @@ export const validateAndSyncLabels = async (userId) => {
 
   const { provider } = integrationData;
 
-  // Use the new token manager to get valid tokens
-  const { accessToken, integration } = await validateTokensForLabels(userId, provider);
-  
-  console.log('🔍 Integration validated with fresh tokens:', { 
-    provider: integration.provider, 
-    hasAccessToken: !!accessToken,
-    integrationId: integration.id 
-  });
+  // IMAP mailboxes have no OAuth token - the backend holds the mailbox session
+  let accessToken = null;
+  if (provider !== 'imap') {
+    // Use the new token manager to get valid tokens
+    const validated = await validateTokensForLabels(userId, provider);
+    accessToken = validated.accessToken;
+
+    console.log('🔍 Integration validated with fresh tokens:', { 
+      provider: validated.integration.provider, 
+      hasAccessToken: !!accessToken,
+      integrationId: validated.integration.id 
+    });
+  }
 
   const { data: profile, error: profileError } = await supabase
     .from('profiles')
@@ -1021,6 +1128,12 @@ export const validateAndSyncLabels = async (userId) => {
     SUPPLIERS: requiredLabels.SUPPLIERS
   });
 
+  if (provider === 'imap') {
+    const imapLabelMap = await synchronizeImapFolders(requiredLabels, businessProvisioningOrder);
+    await saveLabelMapToProfile(userId, profile, imapLabelMap);
+    return imapLabelMap;
+  }
+
   const finalLabelMap = {};
   let existingLabels;
   
@@ -1340,24 +1453,7 @@ export const validateAndSyncLabels = async (userId) => {
       }
   }
 
-  const newConfig = {
-    ...profile.client_config,
-    channels: {
-      ...profile.client_config?.channels,
-      email: {
-        ...profile.client_config?.channels?.email,
-        label_map: finalLabelMap,
-      },
-    },
-    version: (profile.client_config?.version || 0) + 1,
-  };
-
-  const { error: updateError } = await supabase
-    .from('profiles')
-    .update({ client_config: newConfig })
-    .eq('id', userId);
-
-  if (updateError) throw new Error('Failed to update label map in database.');
+  await saveLabelMapToProfile(userId, profile, finalLabelMap);
 
   // For Outlook, perform additional folder synchronization with proper hierarchy
   if (provider === 'outlook') {
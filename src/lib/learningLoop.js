@@ -7,6 +7,7 @@ import { supabase } from './customSupabaseClient.js';
 import { openai } from './aiService.js';
 import { logger } from './logger.js';
 import { analytics } from './analytics.js';
+import { templateBandit } from './templateBandit.js';
 
 export class CommunicationLearningLoop {
   constructor() {
@@ -46,6 +47,12 @@ export class CommunicationLearningLoop {
 
       // Calculate similarity to determine if this is a meaningful comparison
       const similarity = await this.calculateSimilarity(aiDraft, humanResponse);
+
+      // Reward the bandit arm that produced this draft, including near-verbatim sends
+      if (metadata.banditAllocationId) {
+        const editSimilarity = this.calculateEditSimilarity(aiDraft, humanResponse);
+        await templateBandit.recordReward(userId, metadata.banditAllocationId, editSimilarity);
+      }
       
       if (similarity > 0.95) {
         logger.info('AI and human responses too similar, skipping learning', { 
@@ -576,6 +583,33 @@ Return your analysis in the following JSON format:
     }
   }
 
+  /**
+   * Word-level edit similarity: 1 - Levenshtein distance / longer length
+   * @param {string} text1 - First text
+   * @param {string} text2 - Second text
+   * @returns {number} Similarity score (0-1)
+   */
+  calculateEditSimilarity(text1, text2) {
+    const words1 = text1.trim().split(/\s+/).filter(Boolean);
+    const words2 = text2.trim().split(/\s+/).filter(Boolean);
+    const longest = Math.max(words1.length, words2.length);
+    if (longest === 0) {
+      return 1;
+    }
+
+    let previous = Array.from({ length: words2.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= words1.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= words2.length; j++) {
+        const substitution = previous[j - 1] + (words1[i - 1] === words2[j - 1] ? 0 : 1);
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+      }
+      previous = current;
+    }
+
+    return 1 - previous[words2.length] / longest;
+  }
+
   /**
    * Get style profile for user
    * @param {string} userId - User ID
@@ -0,0 +1,342 @@
+/**
+ * N8N Template Linter
+ * Static checks for workflow templates (src/lib/n8n-templates/*.json) before they are
+ * injected and deployed. Unlike N8nWorkflowValidator, which checks the final injected
+ * JSON, this runs against raw templates and the injector sources that fill them.
+ *
+ * Checks:
+ * - Placeholder inventory vs injector coverage (<<<PLACEHOLDER>>> and {{runtimePattern}})
+ * - Connection graph integrity (dangling sources/targets, orphans, unreachable nodes)
+ * - Required credentials per node type
+ * - Node type allow-list
+ * - Code node JavaScript syntax
+ */
+
+const PLACEHOLDER_PATTERN = /<<<([A-Z0-9_]+)>>>/g;
+
+// {{businessName}} style patterns handled by runtimeDataInjector (n8n expressions use {{ $json... }})
+const RUNTIME_PATTERN = /\{\{([A-Za-z][A-Za-z0-9]*)\}\}/g;
+
+const DEFAULT_ALLOWED_NODE_TYPES = [
+  'n8n-nodes-base.gmailTrigger',
+  'n8n-nodes-base.gmail',
+  'n8n-nodes-base.microsoftOutlookTrigger',
+  'n8n-nodes-base.microsoftOutlook',
+  'n8n-nodes-base.emailReadImap',
+  'n8n-nodes-base.emailSend',
+  'n8n-nodes-base.code',
+  'n8n-nodes-base.if',
+  'n8n-nodes-base.switch',
+  'n8n-nodes-base.merge',
+  'n8n-nodes-base.set',
+  'n8n-nodes-base.filter',
+  'n8n-nodes-base.noOp',
+  'n8n-nodes-base.wait',
+  'n8n-nodes-base.httpRequest',
+  'n8n-nodes-base.supabase',
+  'n8n-nodes-base.postgres',
+  'n8n-nodes-base.mySql',
+  'n8n-nodes-base.webhook',
+  'n8n-nodes-base.scheduleTrigger',
+  'n8n-nodes-base.stickyNote',
+  '@n8n/n8n-nodes-langchain.agent',
+  '@n8n/n8n-nodes-langchain.openAi',
+  '@n8n/n8n-nodes-langchain.lmChatOpenAi',
+  '@n8n/n8n-nodes-langchain.lmChatGoogleGemini',
+  '@n8n/n8n-nodes-langchain.memoryBufferWindow'
+];
+
+// Credential keys accepted per node type; types not listed need no credential
+const REQUIRED_CREDENTIALS = {
+  'n8n-nodes-base.gmailTrigger': ['gmailOAuth2'],
+  'n8n-nodes-base.gmail': ['gmailOAuth2'],
+  'n8n-nodes-base.microsoftOutlookTrigger': ['microsoftOutlookOAuth2Api'],
+  'n8n-nodes-base.microsoftOutlook': ['microsoftOutlookOAuth2Api'],
+  'n8n-nodes-base.emailReadImap': ['imap'],
+  'n8n-nodes-base.emailSend': ['smtp'],
+  'n8n-nodes-base.supabase': ['supabaseApi'],
+  'n8n-nodes-base.postgres': ['postgres'],
+  'n8n-nodes-base.mySql': ['mySql'],
+  '@n8n/n8n-nodes-langchain.openAi': ['openAiApi'],
+  '@n8n/n8n-nodes-langchain.lmChatOpenAi': ['openAiApi'],
+  '@n8n/n8n-nodes-langchain.lmChatGoogleGemini': ['googlePalmApi']
+};
+
+// Polling/event nodes that start an execution without an incoming connection
+const TRIGGER_TYPES = ['n8n-nodes-base.emailReadImap', 'n8n-nodes-base.webhook'];
+
+const CODE_PARAMETERS = ['jsCode', 'functionCode'];
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+const isTrigger = (node) => /trigger$/i.test(node.type || '') || TRIGGER_TYPES.includes(node.type);
+
+const collectStrings = (value, path, out) => {
+  if (typeof value === 'string') {
+    out.push({ path, value });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectStrings(item, `${path}[${index}]`, out));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => collectStrings(child, path ? `${path}.${key}` : key, out));
+  }
+  return out;
+};
+
+/**
+ * Collect the placeholders and runtime patterns the injectors know how to fill,
+ * by scanning their source for replacement keys
+ * @param {Object<string, string>} sources - Map of file name to source text
+ * @returns {{placeholders: Object<string, string[]>, runtimePatterns: string[]}}
+ */
+export function collectInjectorPlaceholders(sources = {}) {
+  const placeholders = {};
+  const runtimePatterns = new Set();
+
+  Object.entries(sources).forEach(([file, text]) => {
+    // Object keys ("<<<X>>>": value) and assignments (map['<<<X>>>'] = value)
+    for (const match of String(text).matchAll(/['"`](<<<[A-Z0-9_]+>>>)['"`]\s*(?:\]\s*=[^=]|:)/g)) {
+      placeholders[match[1]] = [...new Set([...(placeholders[match[1]] || []), file])];
+    }
+    // Regex literals such as /\{\{businessName\}\}/g
+    for (const match of String(text).matchAll(/\\\{\\\{([A-Za-z][A-Za-z0-9]*)\\\}\\\}/g)) {
+      runtimePatterns.add(match[1]);
+    }
+  });
+
+  return { placeholders, runtimePatterns: [...runtimePatterns].sort() };
+}
+
+export class N8nTemplateLinter {
+  /**
+   * @param {Object} options
+   * @param {Object<string, string[]>} options.placeholders - From collectInjectorPlaceholders()
+   * @param {string[]} options.runtimePatterns - From collectInjectorPlaceholders()
+   * @param {string[]} options.allowedNodeTypes - Extra node types to allow
+   */
+  constructor({ placeholders = {}, runtimePatterns = [], allowedNodeTypes = [] } = {}) {
+    this.knownPlaceholders = new Set(Object.keys(placeholders));
+    this.runtimePatterns = new Set(runtimePatterns);
+    this.allowedNodeTypes = new Set([...DEFAULT_ALLOWED_NODE_TYPES, ...allowedNodeTypes]);
+  }
+
+  /**
+   * Lint a single template
+   * @param {Object} template - Parsed template JSON
+   * @param {string} name - Template name for reporting
+   * @returns {Object} { name, isValid, errors, warnings, placeholders }
+   */
+  lintTemplate(template, name = template?.name || 'template') {
+    const result = { name, isValid: true, errors: [], warnings: [], placeholders: [] };
+    const error = (rule, message, node) => result.errors.push({ rule, message, ...(node ? { node } : {}) });
+    const warning = (rule, message, node) => result.warnings.push({ rule, message, ...(node ? { node } : {}) });
+
+    if (!template || !Array.isArray(template.nodes)) {
+      error('structure', 'Template has no nodes array');
+      result.isValid = false;
+      return result;
+    }
+    if (!template.connections || typeof template.connections !== 'object') {
+      error('structure', 'Template has no connections object');
+    }
+
+    this.checkPlaceholders(template, result, error);
+    this.checkNodes(template.nodes, error, warning);
+    this.checkConnections(template, error, warning);
+
+    result.isValid = result.errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Lint several templates and report injector placeholders no template uses
+   * @param {Array<{name: string, template: Object}>} templates
+   * @returns {Object} { results, unusedPlaceholders, summary }
+   */
+  lintTemplates(templates = []) {
+    const results = templates.map(({ name, template }) => this.lintTemplate(template, name));
+    const used = new Set(results.flatMap(r => r.placeholders.map(p => p.placeholder)));
+
+    return {
+      results,
+      unusedPlaceholders: [...this.knownPlaceholders].filter(p => !used.has(p)).sort(),
+      summary: {
+        templates: results.length,
+        failed: results.filter(r => !r.isValid).length,
+        errors: results.reduce((sum, r) => sum + r.errors.length, 0),
+        warnings: results.reduce((sum, r) => sum + r.warnings.length, 0)
+      }
+    };
+  }
+
+  checkPlaceholders(template, result, error) {
+    const inventory = new Map();
+    const strings = [
+      ...collectStrings(template.name, 'name', []),
+      ...template.nodes.flatMap(node => collectStrings(
+        { name: node.name, parameters: node.parameters, credentials: node.credentials },
+        '',
+        []
+      ).map(entry => ({ ...entry, node: node.name })))
+    ];
+
+    strings.forEach(({ path, value, node }) => {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+        const entry = inventory.get(match[0]) || { placeholder: match[0], count: 0, locations: [] };
+        entry.count++;
+        entry.locations.push(node ? `${node}: ${path}` : path);
+        inventory.set(match[0], entry);
+      }
+      for (const match of value.matchAll(RUNTIME_PATTERN)) {
+        if (!this.runtimePatterns.has(match[1])) {
+          error('runtime-pattern-unknown', `{{${match[1]}}} is not filled by runtimeDataInjector (${path})`, node);
+        }
+      }
+    });
+
+    result.placeholders = [...inventory.values()].sort((a, b) => a.placeholder.localeCompare(b.placeholder));
+    result.placeholders
+      .filter(entry => !this.knownPlaceholders.has(entry.placeholder))
+      .forEach(entry => {
+        error('placeholder-unknown', `${entry.placeholder} is not filled by any injector (${entry.locations.join(', ')})`);
+      });
+  }
+
+  checkNodes(nodes, error, warning) {
+    const names = new Map();
+    const ids = new Map();
+
+    nodes.forEach((node, index) => {
+      const label = node.name || `#${index}`;
+
+      if (!node.name) error('node-name-missing', `Node #${index} has no name`);
+      if (node.name && names.has(node.name)) error('duplicate-node-name', `Node name "${node.name}" is used more than once`, label);
+      if (node.id && ids.has(node.id)) warning('duplicate-node-id', `Node id "${node.id}" is used more than once`, label);
+      names.set(node.name, node);
+      ids.set(node.id, node);
+
+      if (!this.allowedNodeTypes.has(node.type)) {
+        const scoped = `@n8n/${node.type}`;
+        const hint = this.allowedNodeTypes.has(scoped) ? ` - did you mean "${scoped}"?` : '';
+        error('node-type-unknown', `Node type "${node.type}" is not on the allow-list${hint}`, label);
+      }
+
+      const required = REQUIRED_CREDENTIALS[node.type];
+      const credentials = node.credentials || {};
+      if (required && !required.some(key => credentials[key])) {
+        const found = Object.keys(credentials);
+        error(
+          'credential-missing',
+          `Requires a ${required.join(' or ')} credential${found.length ? ` (found ${found.join(', ')})` : ''}`,
+          label
+        );
+      }
+      Object.entries(credentials).forEach(([key, credential]) => {
+        if (!credential?.id) {
+          error('credential-id-empty', `Credential "${key}" has no id`, label);
+        }
+      });
+
+      CODE_PARAMETERS.forEach(parameter => {
+        const code = node.parameters?.[parameter];
+        if (typeof code !== 'string') return;
+        try {
+          // n8n runs Code nodes as an async function body, so top-level return/await are valid
+          new AsyncFunction(code.replace(PLACEHOLDER_PATTERN, '__PLACEHOLDER__'));
+        } catch (syntaxError) {
+          error('code-syntax', `${parameter} does not parse: ${syntaxError.message}`, label);
+        }
+      });
+    });
+  }
+
+  checkConnections(template, error, warning) {
+    const nodes = template.nodes;
+    const byName = new Map(nodes.map(node => [node.name, node]));
+    const byId = new Map(nodes.filter(node => node.id).map(node => [node.id, node]));
+    const incoming = new Map();
+    const outgoing = new Map();
+    const mainEdges = new Map();
+
+    const describeMissing = (reference) => {
+      const idMatch = byId.get(reference);
+      return idMatch
+        ? `"${reference}" is a node id - connections must use node names ("${idMatch.name}")`
+        : `"${reference}" does not exist`;
+    };
+
+    Object.entries(template.connections || {}).forEach(([from, byType]) => {
+      if (!byName.has(from)) {
+        error('connection-source-missing', `Connection source ${describeMissing(from)}`);
+      }
+      Object.entries(byType || {}).forEach(([connectionType, outputs]) => {
+        (outputs || []).forEach(targets => {
+          (targets || []).forEach(target => {
+            if (!byName.has(target?.node)) {
+              error('connection-target-missing', `Connection ${from} → ${describeMissing(target?.node)}`);
+              return;
+            }
+            outgoing.set(from, (outgoing.get(from) || 0) + 1);
+            incoming.set(target.node, (incoming.get(target.node) || 0) + 1);
+            if (connectionType === 'main') {
+              mainEdges.set(from, [...(mainEdges.get(from) || []), target.node]);
+            }
+          });
+        });
+      });
+    });
+
+    const triggers = nodes.filter(isTrigger);
+    if (triggers.length === 0) {
+      error('no-trigger', 'Template has no trigger node');
+    }
+
+    // Walk main connections from every trigger
+    const reachable = new Set();
+    const queue = triggers.map(node => node.name);
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (reachable.has(name)) continue;
+      reachable.add(name);
+      (mainEdges.get(name) || []).forEach(next => queue.push(next));
+    }
+
+    nodes
+      .filter(node => node.name && node.type !== 'n8n-nodes-base.stickyNote' && !isTrigger(node))
+      .forEach(node => {
+        if (!incoming.has(node.name) && !outgoing.has(node.name)) {
+          warning('orphan-node', 'Node is not connected to anything', node.name);
+          return;
+        }
+        // Sub-nodes (models, memory) attach through ai_* outputs rather than main inputs
+        const isSubNode = outgoing.has(node.name) && !mainEdges.has(node.name) && !incoming.has(node.name);
+        if (triggers.length > 0 && !isSubNode && !reachable.has(node.name)) {
+          warning('unreachable-node', 'Node is not reachable from any trigger', node.name);
+        }
+      });
+  }
+}
+
+/**
+ * Format lint results for the console
+ * @param {Object} report - Result of lintTemplates()
+ * @returns {string}
+ */
+export function formatTemplateLintReport(report) {
+  const lines = [];
+
+  report.results.forEach(result => {
+    lines.push(`${result.isValid ? '✅' : '❌'} ${result.name} (${result.placeholders.length} placeholders)`);
+    result.errors.forEach(issue => lines.push(`   error   ${issue.rule}: ${issue.node ? `[${issue.node}] ` : ''}${issue.message}`));
+    result.warnings.forEach(issue => lines.push(`   warning ${issue.rule}: ${issue.node ? `[${issue.node}] ` : ''}${issue.message}`));
+  });
+
+  if (report.unusedPlaceholders.length > 0) {
+    lines.push('');
+    lines.push(`ℹ️ Injector placeholders not used by these templates: ${report.unusedPlaceholders.join(', ')}`);
+  }
+
+  const { summary } = report;
+  lines.push('');
+  lines.push(`${summary.templates} template(s), ${summary.failed} failed, ${summary.errors} error(s), ${summary.warnings} warning(s)`);
+  return lines.join('\n');
+}
@@ -242,10 +242,11 @@ class ProviderValidationService {
    */
   getProviderRequirements() {
     return {
-      supportedProviders: ['gmail', 'outlook'],
+      supportedProviders: ['gmail', 'outlook', 'imap'],
       supportedDomains: {
         gmail: ['gmail.com', 'googlemail.com'],
-        outlook: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com']
+        outlook: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com'],
+        imap: ['*'] // Any domain with IMAP/SMTP access
       },
       restrictions: {
         oneProviderPerUser: true,
@@ -253,7 +254,7 @@ class ProviderValidationService {
         autoDetectionEnabled: true
       },
       messages: {
-        unsupportedDomain: 'We currently only support Gmail and Outlook email addresses.',
+        unsupportedDomain: 'We support Gmail, Outlook and any mailbox with IMAP/SMTP access.',
         alreadyConnected: 'You can only connect one email provider per account.',
         providerMismatch: 'Your email domain must match your connected provider.'
       }
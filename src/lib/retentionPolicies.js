@@ -0,0 +1,344 @@
+/**
+ * Data Retention Policies
+ *
+ * Tenants choose how long each class of data is kept, in days (null keeps
+ * it forever), in profiles.retention_policy:
+ *
+ *   bodies     Email bodies and AI draft text - scrubbed, the row stays
+ *   metadata   Senders, subjects, queue/log/thread/attachment rows - deleted,
+ *              or anonymized where analytics are computed from the row
+ *   analytics  Aggregates and anonymized rows - deleted
+ *
+ * The retention-purge edge function applies the policies on a schedule and
+ * skips classes under an active legal hold. It uses the same rules from
+ * supabase/functions/_shared/retentionPolicies.ts - keep the two in sync.
+ *
+ * @module retentionPolicies
+ */
+
+import { supabase } from '@/lib/customSupabaseClient';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCOPE_PAGE_SIZE = 1000;
+// Ids per in() filter, keeping request URLs short
+const SCOPE_CHUNK_SIZE = 100;
+
+export const DATA_CLASSES = {
+  bodies: {
+    label: 'Email bodies & drafts',
+    description: 'Message text, body previews and AI draft text',
+    // Kept until the row goes with the metadata; scrubbing only on the tenant's say-so
+    defaultDays: null,
+    minDays: 7
+  },
+  metadata: {
+    label: 'Email metadata',
+    description: 'Senders, subjects, queue and log entries, threads and attachment details',
+    defaultDays: 730,
+    minDays: 30
+  },
+  analytics: {
+    label: 'Analytics',
+    description: 'Usage, performance and accuracy aggregates, kept anonymized',
+    defaultDays: null,
+    minDays: 90
+  }
+};
+
+export const DATA_CLASS_ORDER = ['bodies', 'metadata', 'analytics'];
+
+/**
+ * What each class means per table (dateColumn defaults to created_at):
+ *   bodies     column -> value written when the body is scrubbed
+ *   metadata   'delete', or column -> value for rows analytics depend on
+ *   analytics  rows are deleted once past the analytics period
+ *   scope      { table, column }: the tenant's rows are found through that
+ *              table's ids rather than user_id (older thread messages have
+ *              no user_id)
+ */
+export const RETENTION_RULES = [
+  { table: 'classification_feedback', bodies: { email_body_preview: null }, metadata: { email_from: null, email_subject: null, email_metadata: null }, analytics: true },
+  { table: 'ai_draft_learning', bodies: { original_body: null, ai_draft: null }, metadata: 'delete' },
+  { table: 'ai_draft_corrections', bodies: { ai_draft_text: '', ai_draft_html: null, user_final_text: '', user_final_html: null }, metadata: { metadata: null }, analytics: true },
+  { table: 'ai_responses', bodies: { response_text: null }, metadata: { source_email_id: null }, analytics: true },
+  { table: 'email_queue', bodies: { body: null }, metadata: 'delete' },
+  { table: 'email_thread_messages', dateColumn: 'received_at', scope: { table: 'email_threads', column: 'thread_id' }, bodies: { body: null }, metadata: 'delete' },
+  { table: 'email_threads', dateColumn: 'last_message_at', metadata: 'delete' },
+  { table: 'email_attachment_links', metadata: 'delete' },
+  { table: 'email_attachments', metadata: 'delete' },
+  { table: 'email_logs', metadata: { email_from: null, email_subject: null }, analytics: true },
+  { table: 'email_sla_clocks', metadata: { email_from: null, email_subject: null }, analytics: true },
+  { table: 'pii_redaction_logs', metadata: 'delete' },
+  { table: 'ai_usage_logs', analytics: true },
+  { table: 'performance_metrics', analytics: true },
+  { table: 'classification_performance_metrics', analytics: true },
+  { table: 'outlook_analytics_events', analytics: true },
+  { table: 'outlook_business_events', analytics: true }
+];
+
+/**
+ * Validate a tenant retention policy
+ * @param {Object} policy - { bodies, metadata, analytics } in days, null = forever
+ * @returns {Object} { isValid, errors }
+ */
+export function validateRetentionPolicy(policy) {
+  const errors = [];
+
+  if (policy === null || policy === undefined) {
+    return { isValid: true, errors };
+  }
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { isValid: false, errors: ['Retention policy must be an object'] };
+  }
+
+  Object.keys(policy)
+    .filter(key => !DATA_CLASSES[key])
+    .forEach(key => errors.push(`Unknown data class: ${key}`));
+
+  DATA_CLASS_ORDER.forEach(dataClass => {
+    const days = policy[dataClass];
+    if (days === undefined || days === null) return;
+    if (!Number.isInteger(days) || days < DATA_CLASSES[dataClass].minDays) {
+      errors.push(`${DATA_CLASSES[dataClass].label} must be kept at least ${DATA_CLASSES[dataClass].minDays} days`);
+    }
+  });
+
+  // A body cannot outlive its row, nor a row the analytics built from it.
+  // Bodies kept forever simply go with their rows.
+  if (errors.length === 0) {
+    const resolved = resolveRetentionPolicy(policy);
+    for (let i = 1; i < DATA_CLASS_ORDER.length; i++) {
+      const shorter = resolved[DATA_CLASS_ORDER[i - 1]];
+      const longer = resolved[DATA_CLASS_ORDER[i]];
+      if (longer === null) continue;
+      if (shorter === null ? DATA_CLASS_ORDER[i - 1] !== 'bodies' : shorter > longer) {
+        errors.push(`${DATA_CLASSES[DATA_CLASS_ORDER[i - 1]].label} cannot be kept longer than ${DATA_CLASSES[DATA_CLASS_ORDER[i]].label.toLowerCase()}`);
+      }
+    }
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Effective policy: tenant values over the defaults
+ * @param {Object} [policy] - profiles.retention_policy
+ * @returns {Object} { bodies, metadata, analytics } in days, null = forever
+ */
+export function resolveRetentionPolicy(policy) {
+  return Object.fromEntries(DATA_CLASS_ORDER.map(dataClass => [
+    dataClass,
+    policy && policy[dataClass] !== undefined ? policy[dataClass] : DATA_CLASSES[dataClass].defaultDays
+  ]));
+}
+
+/**
+ * Data classes covered by active legal holds
+ * @param {Array} holds - legal_holds rows ({ data_classes, released_at, expires_at })
+ * @param {Date} [now]
+ * @returns {Set<string>}
+ */
+export function getHeldClasses(holds = [], now = new Date()) {
+  const held = new Set();
+
+  holds
+    .filter(hold => !hold.released_at && (!hold.expires_at || new Date(hold.expires_at) > now))
+    .forEach(hold => {
+      (hold.data_classes?.length ? hold.data_classes : DATA_CLASS_ORDER).forEach(dataClass => held.add(dataClass));
+    });
+
+  return held;
+}
+
+/**
+ * Steps that bring a tenant's data in line with their policy. Classes under
+ * a legal hold get no steps.
+ * @param {Object} policy - Resolved policy
+ * @param {Set<string>} heldClasses - From getHeldClasses
+ * @param {Date} [now]
+ * @returns {Array} [{ table, dataClass, action: 'scrub'|'anonymize'|'delete', dateColumn, cutoff, scope, values }]
+ */
+export function buildPurgePlan(policy, heldClasses = new Set(), now = new Date()) {
+  const cutoffFor = (dataClass) => (policy[dataClass] === null || heldClasses.has(dataClass)
+    ? null
+    : new Date(now.getTime() - policy[dataClass] * DAY_MS).toISOString());
+  const steps = [];
+
+  DATA_CLASS_ORDER.forEach(dataClass => {
+    const cutoff = cutoffFor(dataClass);
+    if (!cutoff) return;
+
+    RETENTION_RULES.forEach(rule => {
+      const base = { table: rule.table, dataClass, dateColumn: rule.dateColumn || 'created_at', cutoff, ...(rule.scope && { scope: rule.scope }) };
+      const setting = rule[dataClass];
+
+      if (dataClass === 'bodies' && setting) {
+        steps.push({ ...base, action: 'scrub', values: setting });
+      } else if (dataClass === 'metadata' && setting === 'delete') {
+        steps.push({ ...base, action: 'delete' });
+      } else if (dataClass === 'metadata' && setting) {
+        steps.push({ ...base, action: 'anonymize', values: setting });
+      } else if (dataClass === 'analytics' && setting) {
+        steps.push({ ...base, action: 'delete' });
+      }
+    });
+  });
+
+  return steps;
+}
+
+/**
+ * PostgREST filter matching rows that still hold a value a step would clear
+ * @param {Object} values - column -> value written by the step
+ * @returns {string} Filter for .or()
+ */
+export function pendingFilter(values) {
+  return Object.entries(values)
+    .map(([column, value]) => {
+      if (value === null) return `${column}.not.is.null`;
+      return `${column}.neq.${value}`;
+    })
+    .join(',');
+}
+
+export class RetentionPolicyManager {
+  /**
+   * @param {Object} [client] - Supabase client (defaults to the app client)
+   */
+  constructor(client = supabase) {
+    this.supabase = client;
+  }
+
+  /**
+   * Policy, holds, what is due for purging and the last purge run
+   * @param {string} userId - Tenant
+   * @returns {Promise<Object>} { policy, configured, holds, heldClasses, classes, lastRun }
+   */
+  async getReport(userId, now = new Date()) {
+    const [{ data: profile, error: profileError }, { data: holds }, { data: runs }] = await Promise.all([
+      this.supabase.from('profiles').select('retention_policy').eq('id', userId).maybeSingle(),
+      this.supabase.from('legal_holds').select('id, reason, data_classes, created_at, expires_at, released_at').eq('user_id', userId).is('released_at', null),
+      this.supabase.from('retention_purge_runs').select('id, status, dry_run, results, held_classes, started_at, completed_at').eq('user_id', userId).order('started_at', { ascending: false }).limit(1)
+    ]);
+
+    if (profileError) {
+      console.error('Failed to load retention policy:', profileError);
+      throw profileError;
+    }
+
+    const policy = resolveRetentionPolicy(profile?.retention_policy);
+    const heldClasses = getHeldClasses(holds || [], now);
+    const plan = buildPurgePlan(policy, heldClasses, now);
+
+    const classes = Object.fromEntries(DATA_CLASS_ORDER.map(dataClass => [dataClass, {
+      ...DATA_CLASSES[dataClass],
+      days: policy[dataClass],
+      held: heldClasses.has(dataClass),
+      cutoff: plan.find(step => step.dataClass === dataClass)?.cutoff || null,
+      due: {}
+    }]));
+
+    await Promise.all(plan.map(async (step) => {
+      const count = await this.countDue(userId, step);
+      if (count > 0) {
+        classes[step.dataClass].due[step.table] = count;
+      }
+    }));
+
+    return {
+      policy,
+      configured: Boolean(profile?.retention_policy),
+      holds: (holds || []).filter(hold => !hold.expires_at || new Date(hold.expires_at) > now),
+      heldClasses: [...heldClasses],
+      classes,
+      lastRun: runs?.[0] || null
+    };
+  }
+
+  /**
+   * Rows a purge step would change right now
+   * @returns {Promise<number>}
+   */
+  async countDue(userId, step) {
+    const count = async (scopeFilter) => {
+      let query = scopeFilter(this.supabase
+        .from(step.table)
+        .select('*', { count: 'exact', head: true }))
+        .lt(step.dateColumn, step.cutoff);
+
+      if (step.values) {
+        query = query.or(pendingFilter(step.values));
+      }
+
+      const { count: due, error } = await query;
+      if (error) throw error;
+      return due || 0;
+    };
+
+    try {
+      if (!step.scope) {
+        return await count(query => query.eq('user_id', userId));
+      }
+
+      const ids = await this.loadScopeIds(userId, step.scope);
+      let total = 0;
+      for (let i = 0; i < ids.length; i += SCOPE_CHUNK_SIZE) {
+        total += await count(query => query.in(step.scope.column, ids.slice(i, i + SCOPE_CHUNK_SIZE)));
+      }
+      return total;
+    } catch (error) {
+      // Tables that are not deployed or not readable simply have nothing due
+      console.warn(`Retention report skipped ${step.table}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Ids of the tenant's rows in a scope table, e.g. their thread ids
+   * @returns {Promise<Array<string>>}
+   */
+  async loadScopeIds(userId, scope) {
+    const ids = [];
+    for (let from = 0; ; from += SCOPE_PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from(scope.table)
+        .select('id')
+        .eq('user_id', userId)
+        .order('id')
+        .range(from, from + SCOPE_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      ids.push(...(data || []).map(row => String(row.id)));
+      if (!data || data.length < SCOPE_PAGE_SIZE) return ids;
+    }
+  }
+
+  /**
+   * Save a tenant's retention policy (null values keep a class forever)
+   * @param {string} userId - Tenant
+   * @param {Object} policy - { bodies, metadata, analytics }
+   * @returns {Promise<Object>} Saved policy
+   */
+  async savePolicy(userId, policy) {
+    const { isValid, errors } = validateRetentionPolicy(policy);
+    if (!isValid) {
+      throw new Error(errors.join('; '));
+    }
+
+    const { error } = await this.supabase
+      .from('profiles')
+      .update({ retention_policy: policy, updated_at: new Date().toISOString() })
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Failed to save retention policy:', error);
+      throw error;
+    }
+
+    return resolveRetentionPolicy(policy);
+  }
+}
+
+export const retentionPolicyManager = new RetentionPolicyManager();
+
+export default retentionPolicyManager;
@@ -0,0 +1,385 @@
+/**
+ * Rule Backtester
+ * Replays a draft rule or rule chain against the tenant's recently processed
+ * email through AdvancedRuleEngine.executeRuleChain in dry-run mode, and
+ * compares the outcome with the rules that are currently active
+ */
+
+import { supabase } from './customSupabaseClient.js';
+import { logger } from './logger.js';
+import { advancedRuleEngine } from './advancedRuleEngine.js';
+import { BusinessHoursManager } from './businessHours.js';
+
+const DEFAULT_DAYS = 30;
+const DEFAULT_MAX_EMAILS = 2000;
+const QUEUE_BATCH_SIZE = 100;
+const EXECUTION_MODES = ['sequential', 'parallel', 'conditional'];
+
+// Conditions that look at the mailbox as it is now rather than when the email arrived
+const LIVE_STATE_CONDITIONS = ['response_overdue', 'multiple_emails'];
+
+/**
+ * Describe the actions a rule fires as comparable strings
+ * @param {Object} rule - escalation_rules row or composition rule
+ * @returns {Array<string>} e.g. ['escalate', 'send_notification:manager:Jillian']
+ */
+export function describeRuleActions(rule) {
+  if (!rule) return [];
+
+  if (Array.isArray(rule.actions)) {
+    return rule.actions.map(action => {
+      if (action.type === 'set_priority') return `set_priority:${action.priority}`;
+      return action.target ? `${action.type}:${action.target}` : action.type;
+    });
+  }
+
+  const action = rule.escalation_action || rule.action;
+  return action ? [action] : [];
+}
+
+const unique = (values) => [...new Set(values)];
+
+const countInto = (counts, values) => {
+  values.forEach(value => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return counts;
+};
+
+export class RuleBacktester {
+  /**
+   * @param {string} userId - Tenant user id
+   * @param {Object} options
+   * @param {Object} [options.engine] - Rule engine (defaults to the shared AdvancedRuleEngine)
+   * @param {number} [options.maxEmails] - Cap on replayed emails
+   */
+  constructor(userId, options = {}) {
+    this.userId = userId;
+    this.engine = options.engine || advancedRuleEngine;
+    this.maxEmails = options.maxEmails || DEFAULT_MAX_EMAILS;
+  }
+
+  /**
+   * Replay a draft against the last N days of email
+   * @param {Object} draft - { rules: [rule], chain?: { executionMode, stopOnFailure, conditions, ruleIds } }
+   * @param {Object} options
+   * @param {number} [options.days] - How far back to replay
+   * @param {Array<string>} [options.replaces] - Active rule ids the draft supersedes
+   *   (defaults to active rules sharing an id with a draft rule)
+   * @returns {Promise<Object>} Backtest report
+   */
+  async backtest(draft, options = {}) {
+    const days = options.days || DEFAULT_DAYS;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const startTime = Date.now();
+
+    const draftRules = (draft?.rules || []).map((rule, index) => ({ ...rule, id: rule.id || `draft_${index + 1}` }));
+    if (draftRules.length === 0) {
+      throw new Error('Backtest needs at least one draft rule');
+    }
+
+    const draftRuleMap = new Map(draftRules.map(rule => [rule.id, rule]));
+    const draftChain = this.buildDraftChain(draft.chain, draftRules);
+
+    const [activeRules, { emails, truncated }, hours, lists] = await Promise.all([
+      this.loadActiveRules(),
+      this.loadEmails(since),
+      this.loadBusinessHours(),
+      this.loadLists()
+    ]);
+
+    const activeRuleMap = new Map(activeRules.map(rule => [rule.id, rule]));
+    const replaced = new Set(options.replaces || draftRules.map(rule => rule.id).filter(id => activeRuleMap.has(id)));
+    const baselineChain = {
+      id: 'backtest_baseline',
+      executionMode: 'sequential',
+      stopOnFailure: false,
+      maxExecutionTime: 30000,
+      conditions: [],
+      ruleIds: activeRules.map(rule => rule.id)
+    };
+
+    logger.info('Starting rule backtest', {
+      userId: this.userId,
+      days,
+      emails: emails.length,
+      draftRules: draftRules.length,
+      activeRules: activeRules.length
+    });
+
+    const report = {
+      userId: this.userId,
+      days,
+      since,
+      generatedAt: new Date().toISOString(),
+      emailsScanned: emails.length,
+      truncated,
+      draft: { executionMode: draftChain.executionMode, ruleIds: draftChain.ruleIds },
+      replacedRuleIds: [...replaced],
+      matches: [],
+      differences: [],
+      summary: {
+        matchedEmails: 0,
+        changedEmails: 0,
+        ruleMatches: {},
+        actionCounts: {},
+        actionsAdded: {},
+        actionsRemoved: {}
+      },
+      approximations: this.findApproximations([...draftRules, ...activeRules]),
+      errors: [],
+      durationMs: 0
+    };
+
+    for (const { log, emailData, receivedAt } of emails) {
+      const context = this.buildContext(log, emailData, receivedAt, hours, lists);
+
+      try {
+        const draftRun = await this.engine.executeRuleChain(draftChain.id, emailData, context, {
+          dryRun: true,
+          chain: draftChain,
+          rules: draftRuleMap
+        });
+        const baselineRun = baselineChain.ruleIds.length > 0
+          ? await this.engine.executeRuleChain(baselineChain.id, emailData, context, {
+            dryRun: true,
+            chain: baselineChain,
+            rules: activeRuleMap
+          })
+          : { results: [] };
+
+        this.collectRuleErrors(report, emailData, [...draftRun.results, ...baselineRun.results]);
+
+        const draftFired = this.firedRules(draftRun.results, draftRuleMap);
+        const baselineFired = this.firedRules(baselineRun.results, activeRuleMap);
+        const email = { emailId: emailData.id, receivedAt, from: emailData.from, subject: emailData.subject };
+
+        if (draftFired.length > 0) {
+          report.matches.push({ ...email, rules: draftFired });
+          report.summary.matchedEmails++;
+          countInto(report.summary.ruleMatches, draftFired.map(rule => rule.ruleId));
+          countInto(report.summary.actionCounts, unique(draftFired.flatMap(rule => rule.actions)));
+        }
+
+        const before = unique(baselineFired.flatMap(rule => rule.actions));
+        const after = unique([
+          ...baselineFired.filter(rule => !replaced.has(rule.ruleId)),
+          ...draftFired
+        ].flatMap(rule => rule.actions));
+        const added = after.filter(action => !before.includes(action));
+        const removed = before.filter(action => !after.includes(action));
+
+        if (added.length > 0 || removed.length > 0) {
+          report.differences.push({ ...email, before, after, added, removed });
+          report.summary.changedEmails++;
+          countInto(report.summary.actionsAdded, added);
+          countInto(report.summary.actionsRemoved, removed);
+        }
+      } catch (error) {
+        report.errors.push({ emailId: emailData.id, error: error.message });
+      }
+    }
+
+    report.durationMs = Date.now() - startTime;
+
+    logger.info('Rule backtest completed', {
+      userId: this.userId,
+      emailsScanned: report.emailsScanned,
+      matchedEmails: report.summary.matchedEmails,
+      changedEmails: report.summary.changedEmails,
+      errors: report.errors.length
+    });
+
+    return report;
+  }
+
+  /**
+   * Chain configuration for the draft; a bare rule list runs sequentially
+   * without stopping so every rule is evaluated against every email
+   * @param {Object} chain - Draft chain options
+   * @param {Array} draftRules - Draft rules
+   * @returns {Object} Chain configuration
+   */
+  buildDraftChain(chain = {}, draftRules) {
+    const executionMode = chain.executionMode || 'sequential';
+    if (!EXECUTION_MODES.includes(executionMode)) {
+      throw new Error(`Invalid execution mode: ${executionMode}`);
+    }
+
+    const ruleIds = chain.ruleIds || draftRules.map(rule => rule.id);
+    const unknown = ruleIds.filter(id => !draftRules.some(rule => rule.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Draft chain references rules that are not in the draft: ${unknown.join(', ')}`);
+    }
+
+    return {
+      id: 'backtest_draft',
+      name: chain.name || 'Backtest draft',
+      executionMode,
+      stopOnFailure: chain.stopOnFailure === true,
+      maxExecutionTime: chain.maxExecutionTime || 30000,
+      conditions: chain.conditions || [],
+      ruleIds
+    };
+  }
+
+  /**
+   * Evaluation context for one historical email, built from what was
+   * recorded when it was processed
+   */
+  buildContext(log, emailData, receivedAt, hours, lists) {
+    const meta = log.meta || {};
+    const classification = {
+      category: log.category || meta.category,
+      urgency: log.urgency || meta.urgency,
+      sentiment: log.sentiment || meta.sentiment
+    };
+
+    return {
+      userId: this.userId,
+      backtest: true,
+      ...classification,
+      classification,
+      isBusinessHours: hours ? hours.isBusinessHours(new Date(receivedAt)) : true,
+      lists
+    };
+  }
+
+  firedRules(results, ruleMap) {
+    return results
+      .filter(result => result.success && result.data?.triggered)
+      .map(result => {
+        const rule = ruleMap.get(result.ruleId);
+        return {
+          ruleId: result.ruleId,
+          name: rule?.rule_name || rule?.name || result.ruleId,
+          actions: describeRuleActions(rule)
+        };
+      });
+  }
+
+  collectRuleErrors(report, emailData, results) {
+    results
+      .filter(result => result.success === false)
+      .forEach(result => report.errors.push({ emailId: emailData.id, ruleId: result.ruleId, error: result.error }));
+  }
+
+  findApproximations(rules) {
+    return rules
+      .filter(rule => LIVE_STATE_CONDITIONS.includes(rule.condition))
+      .map(rule => ({
+        ruleId: rule.id,
+        condition: rule.condition,
+        reason: 'Evaluated against the mailbox as it is now, not as it was when each email arrived'
+      }));
+  }
+
+  /**
+   * Rules currently applied to incoming email, highest priority first
+   * @returns {Promise<Array>} escalation_rules rows
+   */
+  async loadActiveRules() {
+    const { data, error } = await supabase
+      .from('escalation_rules')
+      .select('*')
+      .eq('user_id', this.userId)
+      .eq('enabled', true)
+      .order('priority', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Most recent processed emails since a date, oldest first, with bodies
+   * from email_queue where the log row links to one
+   * @param {string} since - ISO date
+   * @returns {Promise<Object>} { emails: [{ log, emailData, receivedAt }], truncated }
+   */
+  async loadEmails(since) {
+    const { data, error } = await supabase
+      .from('email_logs')
+      .select('*')
+      .eq('user_id', this.userId)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(this.maxEmails + 1);
+
+    if (error) throw error;
+
+    const logs = (data || []).slice(0, this.maxEmails).reverse();
+    const queueRows = await this.loadQueueRows(logs.map(log => log.email_queue_id).filter(Boolean));
+
+    const emails = logs.map(log => {
+      const meta = log.meta || {};
+      const queued = queueRows.get(log.email_queue_id) || {};
+      const receivedAt = log.received_at || log.created_at;
+
+      return {
+        log,
+        receivedAt,
+        emailData: {
+          id: log.id,
+          from: log.email_from || queued.from_addr || meta.from || '',
+          subject: log.email_subject || queued.subject || meta.subject || '',
+          body: queued.body_text || meta.body || '',
+          category: log.category || meta.category,
+          receivedAt
+        }
+      };
+    });
+
+    return { emails, truncated: (data || []).length > this.maxEmails };
+  }
+
+  async loadQueueRows(ids) {
+    const rows = new Map();
+    const uniqueIds = unique(ids);
+
+    for (let i = 0; i < uniqueIds.length; i += QUEUE_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('email_queue')
+        .select('id, from_addr, subject, body_text')
+        .in('id', uniqueIds.slice(i, i + QUEUE_BATCH_SIZE));
+
+      if (error) {
+        logger.warn('Failed to load email bodies for backtest', { error: error.message });
+        continue;
+      }
+      (data || []).forEach(row => rows.set(row.id, row));
+    }
+
+    return rows;
+  }
+
+  async loadBusinessHours() {
+    try {
+      const { data } = await supabase
+        .from('business_hours')
+        .select('*')
+        .eq('user_id', this.userId)
+        .single();
+
+      return BusinessHoursManager.fromSchedule(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Named lists for rule DSL `in` conditions (from.domain in suppliers)
+   * @returns {Promise<Object>} { suppliers: [domain], managers: [email] }
+   */
+  async loadLists() {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('managers, suppliers')
+      .eq('id', this.userId)
+      .single();
+
+    return {
+      suppliers: (profile?.suppliers || []).flatMap(supplier => supplier.domains || []),
+      managers: (profile?.managers || []).map(manager => manager.email).filter(Boolean)
+    };
+  }
+}
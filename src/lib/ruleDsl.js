@@ -0,0 +1,591 @@
+/**
+ * Rule DSL
+ * Text syntax for AdvancedRuleEngine rule compositions, e.g.
+ *
+ *   when category = URGENT and from.domain in suppliers and not business_hours
+ *   then notify manager:"Jillian", set priority 9
+ *
+ * Grammar (keywords are case-insensitive, `#` starts a comment):
+ *
+ *   rule      = "when" expr "then" action { "," action }
+ *   expr      = term { "or" term }
+ *   term      = factor { "and" factor }
+ *   factor    = "not" factor | "(" expr ")" | condition
+ *   condition = flag | field operator value
+ *   operator  = "=" | "!=" | "contains" | "in" | "not" "in"
+ *   value     = literal | "[" [ literal { "," literal } ] "]"
+ *   literal   = STRING | NUMBER | IDENT
+ *   action    = "set" "priority" NUMBER | verb [ target ]
+ *   target    = IDENT ":" ( STRING | IDENT ) | STRING | IDENT
+ *
+ * Fields, flags and verbs are listed in RULE_DSL_FIELDS and RULE_DSL_ACTIONS.
+ * A bare identifier after `in` names a list resolved at evaluation time
+ * (context.lists.suppliers); anywhere else it is a literal value.
+ *
+ * Rules compile to the composition JSON RuleBuilder and createRuleComposition
+ * already use ({ logic, conditions, actions }). Nested expressions become
+ * { type: 'group', logic, conditions } entries and `not` sets negate: true.
+ */
+
+export const RULE_DSL_FIELDS = {
+  category: { type: 'category', kind: 'value' },
+  urgency: { type: 'urgency_level', kind: 'value' },
+  sentiment: { type: 'sentiment', kind: 'value' },
+  from: { type: 'from_email', kind: 'value' },
+  'from.domain': { type: 'from_domain', kind: 'value' },
+  subject: { type: 'subject_contains', kind: 'text' },
+  body: { type: 'body_contains', kind: 'text' },
+  text: { type: 'keyword_match', kind: 'text' },
+  business_hours: { type: 'business_hours', kind: 'flag' },
+  after_hours: { type: 'after_hours', kind: 'flag' }
+};
+
+export const RULE_DSL_ACTIONS = {
+  escalate: { type: 'escalate', target: 'required' },
+  notify: { type: 'send_notification', target: 'required' },
+  auto_reply: { type: 'auto_reply', target: 'optional' },
+  create_task: { type: 'create_task', target: 'optional' },
+  queue_for_review: { type: 'queue_for_review', target: 'none' },
+  high_priority: { type: 'high_priority', target: 'none' }
+};
+
+const KEYWORDS = new Set(['when', 'then', 'and', 'or', 'not', 'in', 'contains', 'set']);
+
+const OPERATORS_BY_KIND = {
+  value: ['=', '!=', 'in', 'not in'],
+  text: ['contains']
+};
+
+const OPERATOR_TO_JSON = { '=': 'equals', '!=': 'not_equals', in: 'in', 'not in': 'not_in', contains: 'contains' };
+const JSON_TO_OPERATOR = Object.fromEntries(Object.entries(OPERATOR_TO_JSON).map(([dsl, json]) => [json, dsl]));
+
+const FIELD_BY_TYPE = Object.fromEntries(
+  Object.entries(RULE_DSL_FIELDS).map(([field, spec]) => [spec.type, { field, ...spec }])
+);
+const VERB_BY_TYPE = Object.fromEntries(
+  Object.entries(RULE_DSL_ACTIONS).map(([verb, spec]) => [spec.type, verb])
+);
+
+const TOKEN_PATTERNS = [
+  ['whitespace', /\s+/y],
+  ['comment', /#[^\n]*/y],
+  ['string', /"(?:[^"\\\n]|\\.)*"/y],
+  ['unterminated', /"[^\n]*/y],
+  ['number', /-?\d+(?:\.\d+)?(?![\w.])/y],
+  ['word', /[A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)*/y],
+  ['operator', /!=|=/y],
+  ['punctuation', /[()[\],:]/y]
+];
+
+const IDENT_PATTERN = /^[A-Za-z_][\w-]*(?:\.[A-Za-z_][\w-]*)*$/;
+
+const unescape = (text) => text.slice(1, -1).replace(/\\(.)/g, (_, ch) => (ch === 'n' ? '\n' : ch));
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+/**
+ * Split rule text into tokens, including whitespace and comments so the
+ * editor can render the source verbatim
+ * @param {string} source - Rule text
+ * @returns {Array<Object>} Tokens { type, value, text, offset, line, column, length }
+ */
+export function tokenizeRuleDsl(source = '') {
+  const tokens = [];
+  let offset = 0;
+  let line = 1;
+  let column = 1;
+
+  const push = (type, value, text) => {
+    tokens.push({ type, value, text, offset, line, column, length: text.length });
+    for (const ch of text) {
+      if (ch === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+    }
+    offset += text.length;
+  };
+
+  while (offset < source.length) {
+    let matched = false;
+
+    for (const [kind, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = offset;
+      const match = pattern.exec(source);
+      if (!match) continue;
+
+      const text = match[0];
+      if (kind === 'string') push('string', unescape(text), text);
+      else if (kind === 'unterminated') push('error', 'Unterminated string', text);
+      else if (kind === 'number') push('number', Number(text), text);
+      else if (kind === 'word') {
+        const lower = text.toLowerCase();
+        if (KEYWORDS.has(lower)) push('keyword', lower, text);
+        else push('identifier', text, text);
+      } else push(kind, text, text);
+
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      push('error', `Unexpected character "${source[offset]}"`, source[offset]);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Position of the end of the source, used for "unexpected end" errors
+ * @param {string} source - Rule text
+ * @returns {Object} { offset, line, column, length }
+ */
+function endPosition(source) {
+  const lines = source.split('\n');
+  return { offset: source.length, line: lines.length, column: lines[lines.length - 1].length + 1, length: 0 };
+}
+
+const describeToken = (token) => (token ? `"${token.text}"` : 'end of rule');
+
+/**
+ * Recursive descent parser over non-trivia tokens. Syntax errors stop the
+ * parse; semantic errors (unknown field, bad priority...) are collected so
+ * the editor can show all of them at once
+ */
+class RuleDslParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenizeRuleDsl(source).filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+    this.index = 0;
+    this.errors = [];
+  }
+
+  peek(ahead = 0) {
+    return this.tokens[this.index + ahead] || null;
+  }
+
+  next() {
+    return this.tokens[this.index++] || null;
+  }
+
+  isKeyword(token, word) {
+    return token?.type === 'keyword' && token.value === word;
+  }
+
+  isPunctuation(token, char) {
+    return token?.type === 'punctuation' && token.value === char;
+  }
+
+  position(token) {
+    return token
+      ? { offset: token.offset, line: token.line, column: token.column, length: token.length }
+      : endPosition(this.source);
+  }
+
+  fail(message, token = this.peek()) {
+    const error = new Error(message);
+    error.position = this.position(token);
+    throw error;
+  }
+
+  report(message, token) {
+    this.errors.push({ message, ...this.position(token) });
+  }
+
+  expectKeyword(word) {
+    const token = this.peek();
+    if (!this.isKeyword(token, word)) {
+      this.fail(`Expected "${word}" but found ${describeToken(token)}`, token);
+    }
+    return this.next();
+  }
+
+  expectPunctuation(char) {
+    const token = this.peek();
+    if (!this.isPunctuation(token, char)) {
+      this.fail(`Expected "${char}" but found ${describeToken(token)}`, token);
+    }
+    return this.next();
+  }
+
+  parseRule() {
+    const lexError = this.tokens.find(token => token.type === 'error');
+    if (lexError) this.fail(lexError.value, lexError);
+
+    this.expectKeyword('when');
+    const condition = this.parseExpression();
+    this.expectKeyword('then');
+
+    const actions = [this.parseAction()];
+    while (this.isPunctuation(this.peek(), ',')) {
+      this.next();
+      actions.push(this.parseAction());
+    }
+
+    if (this.peek()) {
+      this.fail(`Unexpected ${describeToken(this.peek())} after the last action; separate actions with ","`);
+    }
+
+    return { condition, actions };
+  }
+
+  parseExpression() {
+    const operands = [this.parseTerm()];
+    while (this.isKeyword(this.peek(), 'or')) {
+      this.next();
+      operands.push(this.parseTerm());
+    }
+    return operands.length === 1 ? operands[0] : { kind: 'or', operands };
+  }
+
+  parseTerm() {
+    const operands = [this.parseFactor()];
+    while (this.isKeyword(this.peek(), 'and')) {
+      this.next();
+      operands.push(this.parseFactor());
+    }
+    return operands.length === 1 ? operands[0] : { kind: 'and', operands };
+  }
+
+  parseFactor() {
+    const token = this.peek();
+
+    if (this.isKeyword(token, 'not')) {
+      this.next();
+      return { kind: 'not', operand: this.parseFactor() };
+    }
+
+    if (this.isPunctuation(token, '(')) {
+      this.next();
+      const expression = this.parseExpression();
+      this.expectPunctuation(')');
+      return expression;
+    }
+
+    if (token?.type === 'identifier') {
+      return this.parseCondition();
+    }
+
+    return this.fail(`Expected a condition but found ${describeToken(token)}`, token);
+  }
+
+  parseCondition() {
+    const fieldToken = this.next();
+    const name = fieldToken.value.toLowerCase();
+    const spec = RULE_DSL_FIELDS[name];
+    const operator = this.parseOperator();
+
+    if (!operator) {
+      if (!spec) {
+        this.report(`Unknown field or flag "${fieldToken.text}"; expected one of: ${Object.keys(RULE_DSL_FIELDS).join(', ')}`, fieldToken);
+      } else if (spec.kind !== 'flag') {
+        this.fail(`Expected an operator after "${fieldToken.text}" (${OPERATORS_BY_KIND[spec.kind].join(', ')})`);
+      }
+      return { kind: 'condition', spec, field: name, operator: 'is', value: true };
+    }
+
+    const value = this.parseValue(operator);
+
+    if (!spec) {
+      this.report(`Unknown field "${fieldToken.text}"; expected one of: ${Object.keys(RULE_DSL_FIELDS).join(', ')}`, fieldToken);
+    } else if (spec.kind === 'flag') {
+      this.report(`"${name}" is a flag and takes no operator; write "${name}" or "not ${name}"`, operator.token);
+    } else if (!OPERATORS_BY_KIND[spec.kind].includes(operator.value)) {
+      this.report(`Operator "${operator.value}" is not supported for "${name}"; use ${OPERATORS_BY_KIND[spec.kind].join(', ')}`, operator.token);
+    }
+
+    const isListOperator = operator.value === 'in' || operator.value === 'not in';
+    if (isListOperator && !value.isList) {
+      this.report(`"${operator.value}" needs a list such as ["a", "b"] or a named list like suppliers`, value.token);
+    } else if (!isListOperator && value.isList) {
+      this.report(`Use "in" to compare "${name}" against a list`, value.token);
+    }
+
+    return { kind: 'condition', spec, field: name, operator: operator.value, value: value.value };
+  }
+
+  parseOperator() {
+    const token = this.peek();
+
+    if (token?.type === 'operator') {
+      this.next();
+      return { value: token.value, token };
+    }
+    if (this.isKeyword(token, 'contains') || this.isKeyword(token, 'in')) {
+      this.next();
+      return { value: token.value, token };
+    }
+    if (this.isKeyword(token, 'not') && this.isKeyword(this.peek(1), 'in')) {
+      this.next();
+      this.next();
+      return { value: 'not in', token };
+    }
+    return null;
+  }
+
+  parseValue(operator) {
+    const token = this.peek();
+
+    if (this.isPunctuation(token, '[')) {
+      this.next();
+      const items = [];
+      if (!this.isPunctuation(this.peek(), ']')) {
+        items.push(this.parseLiteral());
+        while (this.isPunctuation(this.peek(), ',')) {
+          this.next();
+          items.push(this.parseLiteral());
+        }
+      }
+      this.expectPunctuation(']');
+      return { value: items, isList: true, token };
+    }
+
+    if (token?.type === 'identifier' && (operator.value === 'in' || operator.value === 'not in')) {
+      this.next();
+      return { value: { list: token.value }, isList: true, token };
+    }
+
+    return { value: this.parseLiteral(`a value after "${operator.value}"`), isList: false, token };
+  }
+
+  parseLiteral(expected = 'a value') {
+    const token = this.peek();
+    if (token && ['string', 'number', 'identifier'].includes(token.type)) {
+      this.next();
+      return token.value;
+    }
+    return this.fail(`Expected ${expected} but found ${describeToken(token)}`, token);
+  }
+
+  parseAction() {
+    const token = this.peek();
+
+    if (this.isKeyword(token, 'set')) {
+      this.next();
+      const property = this.peek();
+      if (property?.type !== 'identifier' || property.value.toLowerCase() !== 'priority') {
+        this.fail(`Expected "priority" after "set" but found ${describeToken(property)}`, property);
+      }
+      this.next();
+
+      const valueToken = this.peek();
+      if (valueToken?.type !== 'number') {
+        this.fail(`Expected a priority from 1 to 10 but found ${describeToken(valueToken)}`, valueToken);
+      }
+      this.next();
+      if (!Number.isInteger(valueToken.value) || valueToken.value < 1 || valueToken.value > 10) {
+        this.report('Priority must be a whole number between 1 and 10', valueToken);
+      }
+      return { type: 'set_priority', priority: valueToken.value };
+    }
+
+    if (token?.type !== 'identifier') {
+      return this.fail(`Expected an action (${Object.keys(RULE_DSL_ACTIONS).join(', ')}, set priority) but found ${describeToken(token)}`, token);
+    }
+
+    this.next();
+    const verb = token.value.toLowerCase();
+    const spec = RULE_DSL_ACTIONS[verb];
+    const targetToken = this.peek();
+    const target = targetToken && (targetToken.type === 'identifier' || targetToken.type === 'string')
+      ? this.parseTarget()
+      : null;
+
+    if (!spec) {
+      this.report(`Unknown action "${token.text}"; expected one of: ${Object.keys(RULE_DSL_ACTIONS).join(', ')}, set priority`, token);
+      return { type: verb, target };
+    }
+    if (spec.target === 'required' && target === null) {
+      this.report(`"${verb}" needs a target, e.g. ${verb} manager:"Jillian"`, token);
+    }
+    if (spec.target === 'none' && target !== null) {
+      this.report(`"${verb}" does not take a target`, targetToken);
+    }
+
+    return target === null ? { type: spec.type } : { type: spec.type, target };
+  }
+
+  parseTarget() {
+    const token = this.next();
+    if (token.type === 'identifier' && this.isPunctuation(this.peek(), ':')) {
+      this.next();
+      const valueToken = this.peek();
+      if (valueToken?.type !== 'string' && valueToken?.type !== 'identifier') {
+        this.fail(`Expected a name after "${token.text}:" but found ${describeToken(valueToken)}`, valueToken);
+      }
+      this.next();
+      return `${token.value}:${valueToken.value}`;
+    }
+    return token.value;
+  }
+}
+
+/**
+ * Convert a parsed expression into composition condition JSON
+ * @param {Object} node - Expression node
+ * @returns {Object} Condition
+ */
+function toCondition(node) {
+  if (node.kind === 'not') {
+    const { negate, ...condition } = toCondition(node.operand);
+    return negate ? condition : { ...condition, negate: true };
+  }
+
+  if (node.kind === 'and' || node.kind === 'or') {
+    const logic = node.kind.toUpperCase();
+    const conditions = node.operands.flatMap(operand => {
+      const condition = toCondition(operand);
+      return condition.type === 'group' && condition.logic === logic && !condition.negate
+        ? condition.conditions
+        : [condition];
+    });
+    return { type: 'group', logic, conditions };
+  }
+
+  return {
+    type: node.spec?.type || node.field,
+    operator: OPERATOR_TO_JSON[node.operator] || node.operator,
+    value: node.value
+  };
+}
+
+/**
+ * Parse and validate rule text
+ * @param {string} source - Rule text
+ * @returns {Object} { isValid, errors: [{ message, line, column, offset, length }], composition }
+ */
+export function parseRuleDsl(source = '') {
+  const parser = new RuleDslParser(source);
+
+  try {
+    const { condition, actions } = parser.parseRule();
+    const root = toCondition(condition);
+    const composition = root.type === 'group' && !root.negate
+      ? { logic: root.logic, conditions: root.conditions, actions }
+      : { logic: 'AND', conditions: [root], actions };
+
+    return {
+      isValid: parser.errors.length === 0,
+      errors: parser.errors,
+      composition: parser.errors.length === 0 ? composition : null
+    };
+  } catch (error) {
+    return {
+      isValid: false,
+      errors: [...parser.errors, { message: error.message, ...error.position }]
+        .sort((a, b) => a.offset - b.offset),
+      composition: null
+    };
+  }
+}
+
+/**
+ * Format a parse error for logs and toasts
+ * @param {Object} error - Error from parseRuleDsl
+ * @returns {string} "Line 1, column 6: ..."
+ */
+export function formatRuleDslError(error) {
+  return `Line ${error.line}, column ${error.column}: ${error.message}`;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  if (value && typeof value === 'object' && value.list) return value.list;
+  if (typeof value === 'number') return String(value);
+  const text = String(value ?? '');
+  return IDENT_PATTERN.test(text) && !KEYWORDS.has(text.toLowerCase()) ? text : quote(text);
+}
+
+/**
+ * Format one composition condition as rule text
+ * @param {Object} condition - Composition condition
+ * @param {string} parentLogic - Logic of the enclosing list, for parentheses
+ * @returns {string} Rule text
+ */
+export function formatRuleDslCondition(condition, parentLogic = 'AND') {
+  if (condition.type === 'group') {
+    const logic = condition.logic === 'OR' ? 'OR' : 'AND';
+    const parts = (condition.conditions || []).map(child => formatRuleDslCondition(child, logic));
+    const text = parts.join(` ${logic.toLowerCase()} `);
+
+    if (condition.negate) return `not (${text})`;
+    return logic === 'OR' && parentLogic === 'AND' && parts.length > 1 ? `(${text})` : text;
+  }
+
+  const spec = FIELD_BY_TYPE[condition.type];
+  if (!spec) {
+    throw new Error(`Condition type "${condition.type}" has no rule text form`);
+  }
+
+  if (spec.kind === 'flag') {
+    const isFalse = condition.value === false || condition.value === 'false';
+    return isFalse !== Boolean(condition.negate) ? `not ${spec.field}` : spec.field;
+  }
+
+  // Form-built text conditions are stored with operator 'equals' but match as contains
+  const operator = spec.kind === 'text' ? 'contains' : JSON_TO_OPERATOR[condition.operator || 'equals'];
+  if (!operator) {
+    throw new Error(`Operator "${condition.operator}" has no rule text form`);
+  }
+
+  const value = spec.kind === 'text' ? quote(condition.value ?? '') : formatValue(condition.value);
+  const text = `${spec.field} ${operator} ${value}`;
+  return condition.negate ? `not ${text}` : text;
+}
+
+function formatAction(action) {
+  if (action.type === 'set_priority') {
+    return `set priority ${action.priority}`;
+  }
+
+  const verb = VERB_BY_TYPE[action.type];
+  if (!verb) {
+    throw new Error(`Action type "${action.type}" has no rule text form`);
+  }
+  if (!action.target) return verb;
+
+  const match = /^([A-Za-z_][\w-]*):(.+)$/s.exec(action.target);
+  return match ? `${verb} ${match[1]}:${quote(match[2])}` : `${verb} ${quote(action.target)}`;
+}
+
+/**
+ * Format a composition ({ logic, conditions, actions }) as rule text.
+ * parseRuleDsl(toRuleDsl(composition)) yields the same composition
+ * @param {Object} composition - Rule composition
+ * @returns {string} Rule text
+ */
+export function toRuleDsl(composition = {}) {
+  const { logic = 'AND', conditions = [], actions = [] } = composition;
+
+  if (conditions.length === 0 || actions.length === 0) {
+    throw new Error('A rule needs at least one condition and one action');
+  }
+
+  const condition = formatRuleDslCondition({ type: 'group', logic, conditions }, logic);
+  return `when ${condition} then ${actions.map(formatAction).join(', ')}`;
+}
+
+/**
+ * Token segments for syntax highlighting. Segments cover the whole source;
+ * those overlapping an error range are flagged
+ * @param {string} source - Rule text
+ * @param {Array} errors - Errors from parseRuleDsl
+ * @returns {Array<Object>} { text, type, error }
+ */
+export function highlightRuleDsl(source = '', errors = []) {
+  return tokenizeRuleDsl(source).map(token => {
+    let type = token.type;
+    if (type === 'identifier') {
+      const name = token.value.toLowerCase();
+      if (RULE_DSL_FIELDS[name]) type = 'field';
+      else if (RULE_DSL_ACTIONS[name] || name === 'priority') type = 'action';
+    }
+
+    const end = token.offset + token.length;
+    const error = type === 'error' || errors.some(e => e.length > 0 && e.offset < end && e.offset + e.length > token.offset);
+
+    return { text: token.text, type, error };
+  });
+}
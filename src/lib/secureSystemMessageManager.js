@@ -9,16 +9,27 @@
 
 import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import { LEGACY_KEY_ID, SystemMessageKeyring } from './systemMessageKeyring.js';
 
-const ALGORITHM = 'aes-256-gcm';
+const REENCRYPTION_JOBS_TABLE = 'system_message_reencryption_jobs';
+const KEYS_TABLE = 'system_message_keys';
+const MAX_JOB_ERRORS = 50;
 
 export class SecureSystemMessageManager {
-  constructor(supabaseClient, encryptionKey) {
+  /**
+   * @param {Object} supabaseClient - Supabase client
+   * @param {string|SystemMessageKeyring} [keyring] - Keyring, or a single key (loaded as "legacy");
+   *   defaults to SystemMessageKeyring.fromEnv()
+   */
+  constructor(supabaseClient, keyring) {
     this.supabase = supabaseClient;
-    this.encryptionKey = encryptionKey || process.env.SYSTEM_MESSAGE_ENCRYPTION_KEY;
-    
-    if (!this.encryptionKey) {
-      throw new Error('SYSTEM_MESSAGE_ENCRYPTION_KEY environment variable is required');
+
+    if (keyring instanceof SystemMessageKeyring) {
+      this.keyring = keyring;
+    } else if (keyring) {
+      this.keyring = new SystemMessageKeyring({ keys: { [LEGACY_KEY_ID]: keyring } });
+    } else {
+      this.keyring = SystemMessageKeyring.fromEnv();
     }
   }
 
@@ -64,6 +75,7 @@ export class SecureSystemMessageManager {
         .insert({
           message_id: message.id,
           content: encryptedContent,
+          key_id: this.keyring.activeKeyId,
           version: 1
         });
 
@@ -200,6 +212,7 @@ export class SecureSystemMessageManager {
         .insert({
           message_id: messageId,
           content: encryptedContent,
+          key_id: this.keyring.activeKeyId,
           version: (currentContent?.version || 0) + 1
         });
 
@@ -298,27 +311,13 @@ export class SecureSystemMessageManager {
   }
 
   /**
-   * Encrypt content
+   * Encrypt content with the active key
    * @param {string} content - Content to encrypt
-   * @returns {string} - Encrypted content as JSON string
+   * @returns {string} - Encrypted envelope as JSON string (includes the key id)
    */
   encryptContent(content) {
     try {
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipher(ALGORITHM, this.encryptionKey);
-      cipher.setAAD(Buffer.from('system-message', 'utf8'));
-      
-      let encrypted = cipher.update(content, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      const authTag = cipher.getAuthTag();
-      
-      return JSON.stringify({
-        encrypted,
-        iv: iv.toString('hex'),
-        authTag: authTag.toString('hex')
-      });
-      
+      return this.keyring.encrypt(content);
     } catch (error) {
       console.error('❌ Error encrypting content:', error);
       throw error;
@@ -326,28 +325,186 @@ export class SecureSystemMessageManager {
   }
 
   /**
-   * Decrypt content
-   * @param {string} encryptedDataString - Encrypted data as JSON string
+   * Decrypt content with the key recorded in the envelope
+   * @param {string} encryptedDataString - Encrypted envelope as JSON string
    * @returns {string} - Decrypted content
    */
   decryptContent(encryptedDataString) {
     try {
-      const encryptedData = JSON.parse(encryptedDataString);
-      const decipher = crypto.createDecipher(ALGORITHM, this.encryptionKey);
-      decipher.setAAD(Buffer.from('system-message', 'utf8'));
-      decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-      
-      let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
-      
+      return this.keyring.decrypt(encryptedDataString).content;
     } catch (error) {
       console.error('❌ Error decrypting content:', error);
       throw error;
     }
   }
 
+  /**
+   * Re-encrypt every content row that is not under the active key. Progress is
+   * checkpointed in system_message_reencryption_jobs after each batch, so an
+   * interrupted run resumes from its cursor. Rows that cannot be decrypted are
+   * counted as failed and left untouched (their key cannot be retired)
+   * @param {Object} options
+   * @param {number} [options.batchSize] - Rows per batch
+   * @param {number} [options.maxBatches] - Stop after this many batches (the job stays resumable)
+   * @param {Function} [options.onProgress] - Called with the job row after each batch
+   * @returns {Object} - Job row { id, target_key_id, status, cursor, processed, failed, errors }
+   */
+  async reencryptAll({ batchSize = 100, maxBatches = Infinity, onProgress = null } = {}) {
+    const targetKeyId = this.keyring.activeKeyId;
+    await this.registerKeys();
+
+    let job = await this.getResumableJob(targetKeyId);
+    if (job) {
+      console.log(`🔁 Resuming re-encryption job ${job.id} after ${job.processed} rows`);
+    } else {
+      const { data, error } = await this.supabase
+        .from(REENCRYPTION_JOBS_TABLE)
+        .insert({ target_key_id: targetKeyId, status: 'running', processed: 0, failed: 0, errors: [] })
+        .select()
+        .single();
+      if (error) throw error;
+      job = data;
+      console.log(`🔐 Started re-encryption job ${job.id} to key ${targetKeyId}`);
+    }
+
+    for (let batch = 0; batch < maxBatches; batch++) {
+      let query = this.supabase
+        .from('system_message_content')
+        .select('id, content, key_id')
+        .or(`key_id.is.null,key_id.neq.${targetKeyId}`)
+        .order('id', { ascending: true })
+        .limit(batchSize);
+      if (job.cursor) {
+        query = query.gt('id', job.cursor);
+      }
+
+      const { data: rows, error } = await query;
+      if (error) throw error;
+
+      for (const row of rows) {
+        try {
+          const { content } = this.keyring.decrypt(row.content);
+          const { error: updateError } = await this.supabase
+            .from('system_message_content')
+            .update({ content: this.keyring.encrypt(content), key_id: targetKeyId })
+            .eq('id', row.id)
+            .eq('content', row.content);
+          if (updateError) throw updateError;
+          job.processed++;
+        } catch (rowError) {
+          job.failed++;
+          if (job.errors.length < MAX_JOB_ERRORS) {
+            job.errors.push({ id: row.id, keyId: row.key_id || LEGACY_KEY_ID, error: rowError.message });
+          }
+        }
+      }
+
+      const done = rows.length < batchSize;
+      job = {
+        ...job,
+        cursor: rows.length > 0 ? rows[rows.length - 1].id : job.cursor,
+        status: done ? (job.failed > 0 ? 'completed_with_errors' : 'completed') : 'running',
+        completed_at: done ? new Date().toISOString() : null
+      };
+
+      const { error: saveError } = await this.supabase
+        .from(REENCRYPTION_JOBS_TABLE)
+        .update({
+          cursor: job.cursor,
+          status: job.status,
+          processed: job.processed,
+          failed: job.failed,
+          errors: job.errors,
+          completed_at: job.completed_at,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job.id);
+      if (saveError) throw saveError;
+
+      if (onProgress) onProgress(job);
+      if (done) break;
+    }
+
+    console.log(`✅ Re-encryption job ${job.id}: ${job.status}, ${job.processed} re-encrypted, ${job.failed} failed`);
+    return job;
+  }
+
+  /**
+   * Latest unfinished job for a target key
+   * @param {string} targetKeyId - Active key id
+   * @returns {Object|null} - Job row
+   */
+  async getResumableJob(targetKeyId) {
+    const { data, error } = await this.supabase
+      .from(REENCRYPTION_JOBS_TABLE)
+      .select('*')
+      .eq('target_key_id', targetKeyId)
+      .eq('status', 'running')
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] ? { ...data[0], errors: data[0].errors || [] } : null;
+  }
+
+  /**
+   * Record the configured keys (ids only) in system_message_keys; the active
+   * key is marked active and the others decrypt_only. Retired keys stay retired
+   */
+  async registerKeys() {
+    const { data: existing, error } = await this.supabase
+      .from(KEYS_TABLE)
+      .select('key_id, status');
+    if (error) throw error;
+
+    const retired = new Set((existing || []).filter(key => key.status === 'retired').map(key => key.key_id));
+    const rows = this.keyring.keyIds()
+      .filter(keyId => !retired.has(keyId))
+      .map(keyId => ({ key_id: keyId, status: keyId === this.keyring.activeKeyId ? 'active' : 'decrypt_only' }));
+
+    const { error: upsertError } = await this.supabase
+      .from(KEYS_TABLE)
+      .upsert(rows, { onConflict: 'key_id' });
+    if (upsertError) throw upsertError;
+  }
+
+  /**
+   * Count content rows per key id
+   * @returns {Object} - { [keyId]: rowCount }
+   */
+  async getKeyUsage() {
+    const { data, error } = await this.supabase.rpc('system_message_key_usage');
+    if (error) throw error;
+
+    return Object.fromEntries((data || []).map(row => [row.key_id || LEGACY_KEY_ID, Number(row.row_count)]));
+  }
+
+  /**
+   * Mark a key retired once no content row depends on it. The secret itself
+   * lives in the environment and must be removed from SYSTEM_MESSAGE_ENCRYPTION_KEYS afterwards
+   * @param {string} keyId - Key to retire
+   * @returns {Object} - { keyId, retiredAt }
+   */
+  async retireKey(keyId) {
+    if (keyId === this.keyring.activeKeyId) {
+      throw new Error(`Key ${keyId} is the active key; activate another key before retiring it`);
+    }
+
+    const usage = await this.getKeyUsage();
+    if (usage[keyId] > 0) {
+      throw new Error(`Key ${keyId} still encrypts ${usage[keyId]} rows; run the re-encryption job first`);
+    }
+
+    const retiredAt = new Date().toISOString();
+    const { error } = await this.supabase
+      .from(KEYS_TABLE)
+      .upsert({ key_id: keyId, status: 'retired', retired_at: retiredAt }, { onConflict: 'key_id' });
+    if (error) throw error;
+
+    console.log(`🗝️ Key ${keyId} retired; remove it from SYSTEM_MESSAGE_ENCRYPTION_KEYS`);
+    return { keyId, retiredAt };
+  }
+
   /**
    * Generate encryption key (for setup)
    * @returns {string} - 256-bit encryption key
@@ -0,0 +1,98 @@
+/**
+ * SLA Clock
+ * Response-time SLA policies per category and the business-hours-aware clock
+ * that measures each email against them. Time outside business hours does
+ * not count against the SLA when the policy is business_hours_only.
+ */
+
+export const DEFAULT_SLA_POLICIES = [
+  { category: 'URGENT', target_minutes: 60, warning_thresholds: [0.5, 0.8], business_hours_only: true, breach_actions: ['notify_manager', 'send_sms'] },
+  { category: 'SALES', target_minutes: 240, warning_thresholds: [0.75], business_hours_only: true, breach_actions: ['notify_manager'] },
+  { category: 'SUPPORT', target_minutes: 480, warning_thresholds: [0.75], business_hours_only: true, breach_actions: ['notify_manager'] },
+  { category: 'DEFAULT', target_minutes: 1440, warning_thresholds: [0.8], business_hours_only: true, breach_actions: ['notify_manager'] }
+];
+
+export const SLA_STATUS = {
+  ON_TRACK: 'on_track',
+  WARNING: 'warning',
+  BREACHED: 'breached',
+  MET: 'met'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Pick the policy for a category, falling back to DEFAULT.
+ * Categories are matched case-insensitively on their primary segment, so
+ * "Urgent/Emergency" resolves to the URGENT policy.
+ * @param {Array} policies - Enabled policies for the business
+ * @param {string} category - Classified category of the email
+ */
+export const resolveSlaPolicy = (policies, category) => {
+  const available = policies && policies.length > 0 ? policies : DEFAULT_SLA_POLICIES;
+  const primary = String(category || '').split('/')[0].trim().toUpperCase();
+
+  return available.find(policy => policy.category?.toUpperCase() === primary)
+    || available.find(policy => policy.category?.toUpperCase() === 'DEFAULT')
+    || DEFAULT_SLA_POLICIES[DEFAULT_SLA_POLICIES.length - 1];
+};
+
+/**
+ * Due time for an email received at `receivedAt` under `policy`.
+ * @param {Object} policy - SLA policy
+ * @param {Date} receivedAt - When the email arrived
+ * @param {BusinessHoursManager|null} hoursManager - Null means the business is always open
+ */
+export const calculateSlaDueAt = (policy, receivedAt, hoursManager = null) => {
+  const targetMs = policy.target_minutes * MINUTE_MS;
+
+  if (policy.business_hours_only && hoursManager) {
+    return hoursManager.addBusinessTime(receivedAt, targetMs);
+  }
+
+  return new Date(receivedAt.getTime() + targetMs);
+};
+
+/**
+ * Evaluate a running (or stopped) SLA clock.
+ * @param {Object} params
+ * @param {Object} params.policy - SLA policy
+ * @param {Date} params.receivedAt - When the clock started
+ * @param {Date} [params.respondedAt] - When the clock stopped, if it has
+ * @param {Date} [params.now] - Evaluation time for running clocks
+ * @param {BusinessHoursManager|null} [params.hoursManager]
+ * @returns {Object} elapsed and remaining minutes, fraction used, status and crossed warning thresholds
+ */
+export const evaluateSlaClock = ({ policy, receivedAt, respondedAt = null, now = new Date(), hoursManager = null }) => {
+  const stopAt = respondedAt || now;
+  const targetMs = policy.target_minutes * MINUTE_MS;
+
+  const elapsedMs = policy.business_hours_only && hoursManager
+    ? hoursManager.getBusinessMillisBetween(receivedAt, stopAt)
+    : Math.max(0, stopAt.getTime() - receivedAt.getTime());
+
+  const fractionUsed = targetMs > 0 ? elapsedMs / targetMs : 1;
+  const thresholdsCrossed = (policy.warning_thresholds || [])
+    .filter(threshold => fractionUsed >= threshold)
+    .sort((a, b) => a - b);
+
+  let status;
+  if (fractionUsed >= 1) {
+    status = SLA_STATUS.BREACHED;
+  } else if (respondedAt) {
+    status = SLA_STATUS.MET;
+  } else if (thresholdsCrossed.length > 0) {
+    status = SLA_STATUS.WARNING;
+  } else {
+    status = SLA_STATUS.ON_TRACK;
+  }
+
+  return {
+    status,
+    elapsedMinutes: Math.round(elapsedMs / MINUTE_MS),
+    remainingMinutes: Math.max(0, Math.round((targetMs - elapsedMs) / MINUTE_MS)),
+    fractionUsed,
+    thresholdsCrossed,
+    paused: !respondedAt && policy.business_hours_only && hoursManager ? !hoursManager.isBusinessHours(now) : false
+  };
+};
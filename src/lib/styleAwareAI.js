@@ -1,5 +1,7 @@
 import OpenAI from 'openai';
 import { supabase } from '@/lib/customSupabaseClient';
+import { UNTRUSTED_CONTENT_POLICY, extractVisibleText, wrapUntrustedContent } from '../../backend/src/lib/promptInjectionGuard.js';
+import { PiiRedactor, redactMessages, resolvePiiSettings } from '../../backend/src/lib/piiRedaction.js';
 
 export class StyleAwareAI {
   constructor() {
@@ -33,20 +35,23 @@ export class StyleAwareAI {
       // Create personalized system prompt
       const personalizedPrompt = this.createPersonalizedPrompt(styleProfile, context);
       
-      // Generate response using learned style
+      // Generate response using learned style; customer PII is tokenized
+      // for the request and restored in the draft
+      const piiSettings = await this.getPiiSettings(userId);
+      const redactor = new PiiRedactor({ entityTypes: piiSettings.enabled ? piiSettings.entityTypes : [] });
       const response = await this.openai.chat.completions.create({
         model: 'gpt-3.5-turbo',
-        messages: [
+        messages: redactMessages([
           { role: 'system', content: personalizedPrompt },
           { role: 'user', content: this.formatIncomingEmail(incomingEmail) }
-        ],
+        ], redactor),
         temperature: 0.7,
         max_tokens: 500
       });
 
       return {
         success: true,
-        response: response.choices[0].message.content,
+        response: redactor.restore(response.choices[0].message.content),
         styleApplied: true,
         confidence: styleProfile.confidence || 75
       };
@@ -110,16 +115,17 @@ Write a response that sounds exactly like how this business owner would personal
   }
 
   formatIncomingEmail(email) {
-    const subject = email.subject || 'No subject';
-    const body = email.body || email.content || 'No content';
-    const from = email.from || 'Customer';
+    const content = wrapUntrustedContent({
+      from: email.from || 'Customer',
+      subject: email.subject || 'No subject',
+      body: extractVisibleText(email.body || email.content || '').text || 'No content',
+      attached_documents: (email.attachmentText || '').substring(0, 2000)
+    });
 
-    return `From: ${from}
-Subject: ${subject}
-
-${body}
+    return `${content}
 
 ---
+${UNTRUSTED_CONTENT_POLICY}
 Please respond to this email in the business owner's authentic communication style.`;
   }
 
@@ -143,6 +149,21 @@ Please respond to this email in the business owner's authentic communication sty
     }
   }
 
+  async getPiiSettings(userId) {
+    try {
+      const { data } = await supabase
+        .from('profiles')
+        .select('pii_redaction')
+        .eq('id', userId)
+        .single();
+
+      return resolvePiiSettings(data?.pii_redaction);
+    } catch (error) {
+      console.error('Failed to get PII redaction settings:', error);
+      return resolvePiiSettings(null);
+    }
+  }
+
   generateGenericResponse(incomingEmail, context = {}) {
     const businessName = context.businessName || 'our team';
     const businessType = context.businessType || 'service';
@@ -0,0 +1,211 @@
+/**
+ * System Message Keyring
+ *
+ * Holds every key that may have encrypted a system message and encrypts new
+ * content with the active one. Ciphertexts are JSON envelopes that carry the
+ * id of the key that produced them:
+ *
+ *   { "v": 2, "kid": "2025-11", "iv": "<12 bytes hex>", "authTag": "...", "encrypted": "..." }
+ *
+ * The key id is bound into the GCM additional data, so an envelope cannot be
+ * relabelled to another key. Envelopes without "v" were written by the
+ * original crypto.createCipher code (key and IV derived from the passphrase
+ * with EVP_BytesToKey/MD5) and are decrypted with the "legacy" key.
+ *
+ * Configuration:
+ *   SYSTEM_MESSAGE_ENCRYPTION_KEYS   {"2025-11":"<64 hex>","2024-01":"<64 hex>"} or 2025-11:<hex>,2024-01:<hex>
+ *   SYSTEM_MESSAGE_ACTIVE_KEY_ID     Key used for new ciphertexts (required with more than one key)
+ *   SYSTEM_MESSAGE_ENCRYPTION_KEY    Original single key, loaded as "legacy"
+ *
+ * @module systemMessageKeyring
+ */
+
+import crypto from 'crypto';
+
+export const LEGACY_KEY_ID = 'legacy';
+
+const ALGORITHM = 'aes-256-gcm';
+const ENVELOPE_VERSION = 2;
+const AAD_PREFIX = 'system-message';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Parse SYSTEM_MESSAGE_ENCRYPTION_KEYS
+ * @param {string} value - JSON object or comma-separated id:secret pairs
+ * @returns {Object} Secrets keyed by key id
+ */
+export function parseKeyringConfig(value) {
+  if (!value || !value.trim()) return {};
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+
+  return Object.fromEntries(trimmed.split(',').map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid keyring entry "${entry.trim().slice(0, 16)}..."; expected keyId:secret`);
+    }
+    return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+  }));
+}
+
+/**
+ * 32 key bytes from a configured secret. 64-character hex secrets (the
+ * format generateEncryptionKey produces) are used as-is, anything else is
+ * hashed with SHA-256
+ * @param {string} secret - Configured secret
+ * @returns {Buffer} AES-256 key
+ */
+function deriveKeyBytes(secret) {
+  return /^[a-f0-9]{64}$/i.test(secret)
+    ? Buffer.from(secret, 'hex')
+    : crypto.createHash('sha256').update(secret, 'utf8').digest();
+}
+
+/**
+ * Key and IV as crypto.createCipher derived them (EVP_BytesToKey, MD5, no salt)
+ * @param {string} passphrase - Legacy SYSTEM_MESSAGE_ENCRYPTION_KEY
+ * @returns {Object} { key, iv }
+ */
+function deriveLegacyKeyAndIv(passphrase) {
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+
+  while (derived.length < 32 + 12) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(passphrase, 'utf8')])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  return { key: derived.subarray(0, 32), iv: derived.subarray(32, 44) };
+}
+
+export class SystemMessageKeyring {
+  /**
+   * @param {Object} options
+   * @param {Object} options.keys - Secrets keyed by key id
+   * @param {string} [options.activeKeyId] - Key for new ciphertexts (optional with a single key)
+   */
+  constructor({ keys = {}, activeKeyId = null } = {}) {
+    this.keys = new Map();
+
+    Object.entries(keys).forEach(([keyId, secret]) => {
+      if (!KEY_ID_PATTERN.test(keyId)) {
+        throw new Error(`Invalid key id "${keyId}"; use letters, digits, ".", "_" or "-"`);
+      }
+      if (!secret) {
+        throw new Error(`Key "${keyId}" has no secret`);
+      }
+      this.keys.set(keyId, secret);
+    });
+
+    if (this.keys.size === 0) {
+      throw new Error('SYSTEM_MESSAGE_ENCRYPTION_KEYS or SYSTEM_MESSAGE_ENCRYPTION_KEY environment variable is required');
+    }
+
+    this.activeKeyId = activeKeyId || (this.keys.size === 1 ? [...this.keys.keys()][0] : null);
+    if (!this.activeKeyId) {
+      throw new Error('SYSTEM_MESSAGE_ACTIVE_KEY_ID is required when more than one key is configured');
+    }
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active key "${this.activeKeyId}" is not in the keyring`);
+    }
+  }
+
+  /**
+   * Build the keyring from environment variables
+   * @param {Object} env - Environment (defaults to process.env)
+   * @returns {SystemMessageKeyring} Keyring
+   */
+  static fromEnv(env = process.env) {
+    const keys = parseKeyringConfig(env.SYSTEM_MESSAGE_ENCRYPTION_KEYS);
+    if (env.SYSTEM_MESSAGE_ENCRYPTION_KEY && !keys[LEGACY_KEY_ID]) {
+      keys[LEGACY_KEY_ID] = env.SYSTEM_MESSAGE_ENCRYPTION_KEY;
+    }
+
+    return new SystemMessageKeyring({ keys, activeKeyId: env.SYSTEM_MESSAGE_ACTIVE_KEY_ID || null });
+  }
+
+  keyIds() {
+    return [...this.keys.keys()];
+  }
+
+  has(keyId) {
+    return this.keys.has(keyId);
+  }
+
+  /**
+   * Encrypt with the active key
+   * @param {string} content - Plain text
+   * @returns {string} Envelope JSON
+   */
+  encrypt(content) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, deriveKeyBytes(this.keys.get(this.activeKeyId)), iv);
+    cipher.setAAD(Buffer.from(`${AAD_PREFIX}:${this.activeKeyId}`, 'utf8'));
+
+    let encrypted = cipher.update(content, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+
+    return JSON.stringify({
+      v: ENVELOPE_VERSION,
+      kid: this.activeKeyId,
+      iv: iv.toString('hex'),
+      authTag: cipher.getAuthTag().toString('hex'),
+      encrypted
+    });
+  }
+
+  /**
+   * Decrypt an envelope with whichever key produced it
+   * @param {string} envelopeString - Envelope JSON
+   * @returns {Object} { content, keyId }
+   */
+  decrypt(envelopeString) {
+    const envelope = JSON.parse(envelopeString);
+    const keyId = this.getKeyId(envelope);
+    const secret = this.keys.get(keyId);
+
+    if (!secret) {
+      throw new Error(`Decryption key "${keyId}" is not in the keyring`);
+    }
+
+    let decipher;
+    if (envelope.v === ENVELOPE_VERSION) {
+      decipher = crypto.createDecipheriv(ALGORITHM, deriveKeyBytes(secret), Buffer.from(envelope.iv, 'hex'));
+      decipher.setAAD(Buffer.from(`${AAD_PREFIX}:${keyId}`, 'utf8'));
+    } else {
+      // The stored iv of legacy envelopes was never used by createCipher
+      const { key, iv } = deriveLegacyKeyAndIv(secret);
+      decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+      decipher.setAAD(Buffer.from(AAD_PREFIX, 'utf8'));
+    }
+    decipher.setAuthTag(Buffer.from(envelope.authTag, 'hex'));
+
+    let content = decipher.update(envelope.encrypted, 'hex', 'utf8');
+    content += decipher.final('utf8');
+
+    return { content, keyId };
+  }
+
+  /**
+   * Key id of an envelope (legacy envelopes have none)
+   * @param {string|Object} envelope - Envelope JSON or parsed envelope
+   * @returns {string} Key id
+   */
+  getKeyId(envelope) {
+    const parsed = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+    return parsed.v === ENVELOPE_VERSION ? parsed.kid : LEGACY_KEY_ID;
+  }
+
+  /**
+   * Whether an envelope should be rewritten with the active key
+   * @param {string|Object} envelope - Envelope JSON or parsed envelope
+   * @returns {boolean}
+   */
+  needsReencryption(envelope) {
+    const parsed = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+    return parsed.v !== ENVELOPE_VERSION || parsed.kid !== this.activeKeyId;
+  }
+}
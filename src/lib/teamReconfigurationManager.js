@@ -1,11 +1,31 @@
 /**
  * Team Reconfiguration Manager
  * Handles cleanup and restructuring when managers/suppliers are removed during reconfigure
+ *
+ * Removing a team member is destructive (labels/folders are deleted, prompts rewritten),
+ * so reconfiguration runs in two phases:
+ * 1. planTeamReconfiguration() - read-only plan of every change, shown for confirmation
+ * 2. applyReconfigurationPlan() - performs the plan and records an undo journal entry
+ *
+ * undoReconfiguration() reverts a journal entry within UNDO_WINDOW_HOURS.
  */
 
 import { supabase } from './customSupabaseClient.js';
 import { FolderIntegrationManager } from './labelSyncValidator.js';
 import { universalTemplateManager } from './multiBusinessTemplateAggregator.js';
+import { diffWorkflows } from './workflowDiff.js';
+
+// How long an applied reconfiguration can be reverted
+export const UNDO_WINDOW_HOURS = 24;
+
+// Message ids recorded per deleted Gmail label so undo can re-apply the label
+const MAX_JOURNAL_MESSAGES = 2000;
+
+const JOURNAL_TABLE = 'team_reconfiguration_journal';
+
+const clone = (value) => (value === undefined || value === null ? value : JSON.parse(JSON.stringify(value)));
+
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 export class TeamReconfigurationManager {
   constructor(userId) {
@@ -14,49 +34,34 @@ export class TeamReconfigurationManager {
 
   /**
    * Handle team member removal during reconfigure
+   *
+   * Without confirmation this only returns the plan; nothing is changed until the
+   * caller passes { confirmed: true } (optionally with the plan the user reviewed).
+   *
    * @param {Object} oldTeam - Previous team configuration
    * @param {Object} newTeam - New team configuration
-   * @returns {Promise<Object>} Reconfiguration result
+   * @param {Object} options
+   * @param {boolean} options.confirmed - Apply the changes
+   * @param {Object} options.plan - Plan previously returned for review
+   * @returns {Promise<Object>} { requiresConfirmation, plan } or the reconfiguration result
    */
-  async handleTeamReconfiguration(oldTeam, newTeam) {
+  async handleTeamReconfiguration(oldTeam, newTeam, { confirmed = false, plan = null } = {}) {
     try {
       console.log('🔄 Starting team reconfiguration...', {
         oldManagers: oldTeam.managers?.length || 0,
         newManagers: newTeam.managers?.length || 0,
         oldSuppliers: oldTeam.suppliers?.length || 0,
-        newSuppliers: newTeam.suppliers?.length || 0
+        newSuppliers: newTeam.suppliers?.length || 0,
+        confirmed
       });
 
-      const result = {
-        removedManagers: [],
-        removedSuppliers: [],
-        labelCleanup: { removed: [], reassigned: [] },
-        templateUpdates: { updated: false, changes: [] },
-        dataCleanup: { orphanedRecords: 0, cleaned: 0 }
-      };
-
-      // 1. Identify removed team members
-      const removedManagers = this.identifyRemovedManagers(oldTeam.managers, newTeam.managers);
-      const removedSuppliers = this.identifyRemovedSuppliers(oldTeam.suppliers, newTeam.suppliers);
+      const reconfigurationPlan = plan || await this.planTeamReconfiguration(oldTeam, newTeam);
 
-      result.removedManagers = removedManagers;
-      result.removedSuppliers = removedSuppliers;
-
-      // 2. Handle label/folder cleanup
-      if (removedManagers.length > 0 || removedSuppliers.length > 0) {
-        result.labelCleanup = await this.cleanupLabelsAndFolders(removedManagers, removedSuppliers);
+      if (!confirmed) {
+        return { requiresConfirmation: reconfigurationPlan.hasChanges, plan: reconfigurationPlan };
       }
 
-      // 3. Update N8N templates
-      if (removedManagers.length > 0 || removedSuppliers.length > 0) {
-        result.templateUpdates = await this.updateN8nTemplates(removedManagers, removedSuppliers);
-      }
-
-      // 4. Clean up orphaned data
-      result.dataCleanup = await this.cleanupOrphanedData(removedManagers, removedSuppliers);
-
-      // 5. Update profile with new team configuration
-      await this.updateProfileTeamData(newTeam);
+      const result = await this.applyReconfigurationPlan(reconfigurationPlan);
 
       console.log('✅ Team reconfiguration completed:', result);
       return result;
@@ -67,6 +72,408 @@ export class TeamReconfigurationManager {
     }
   }
 
+  /**
+   * Build the reconfiguration plan without changing anything
+   * @param {Object} oldTeam - Previous team configuration
+   * @param {Object} newTeam - New team configuration
+   * @returns {Promise<Object>} Plan of label removals, email reassignments and prompt/rule changes
+   */
+  async planTeamReconfiguration(oldTeam, newTeam) {
+    const removedManagers = this.identifyRemovedManagers(oldTeam.managers, newTeam.managers);
+    const removedSuppliers = this.identifyRemovedSuppliers(oldTeam.suppliers, newTeam.suppliers);
+
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('managers, suppliers, email_labels, email_provider, n8n_workflow_config')
+      .eq('id', this.userId)
+      .single();
+
+    const emailLabels = profile?.email_labels || null;
+    const workflowConfig = profile?.n8n_workflow_config || null;
+    const hasRemovals = removedManagers.length > 0 || removedSuppliers.length > 0;
+
+    // Labels/folders that will be deleted
+    const labels = [];
+    if (emailLabels && hasRemovals) {
+      const reassignmentTarget = this.findReassignmentTarget(emailLabels);
+      removedManagers.forEach(manager => {
+        this.findManagerLabels(emailLabels, manager).forEach(label => {
+          labels.push({ type: 'manager', name: manager.name, label, action: 'remove', reassignTo: reassignmentTarget });
+        });
+      });
+      removedSuppliers.forEach(supplier => {
+        this.findSupplierLabels(emailLabels, supplier).forEach(label => {
+          labels.push({ type: 'supplier', name: supplier.name, label, action: 'remove', reassignTo: null });
+        });
+      });
+    }
+
+    // Logged emails that will be reassigned
+    const emailReassignments = [];
+    for (const manager of removedManagers.filter(m => m.email)) {
+      const count = await this.countEmailLogs({ assigned_to: manager.email });
+      if (count > 0) {
+        emailReassignments.push({
+          type: 'manager',
+          name: manager.name,
+          match: { assigned_to: manager.email },
+          count,
+          to: this.findEmailReassignmentTarget(manager, newTeam.managers)
+        });
+      }
+    }
+    for (const supplier of removedSuppliers) {
+      const count = await this.countEmailLogs({ supplier: supplier.name });
+      if (count > 0) {
+        emailReassignments.push({ type: 'supplier', name: supplier.name, match: { supplier: supplier.name }, count, to: null });
+      }
+    }
+
+    // Prompt and routing/escalation rule changes
+    let nextWorkflowConfig = null;
+    let promptChanges = [];
+    let ruleChanges = [];
+    if (workflowConfig && hasRemovals) {
+      nextWorkflowConfig = this.updateRoutingRules(
+        this.updateEscalationRules(
+          this.updateWorkflowPrompts(clone(workflowConfig), removedManagers, removedSuppliers),
+          removedManagers
+        ),
+        removedSuppliers
+      );
+      const workflowChanges = diffWorkflows(workflowConfig, nextWorkflowConfig);
+      promptChanges = workflowChanges.prompts;
+      ruleChanges = workflowChanges.settings;
+    }
+
+    const nextEmailLabels = emailLabels && hasRemovals
+      ? this.updateEmailLabelsStructure(clone(emailLabels), removedManagers, removedSuppliers)
+      : emailLabels;
+
+    return {
+      createdAt: new Date().toISOString(),
+      hasChanges: hasRemovals,
+      provider: profile?.email_provider || 'gmail',
+      removedManagers,
+      removedSuppliers,
+      labels,
+      emailReassignments,
+      promptChanges,
+      ruleChanges,
+      snapshot: {
+        managers: profile?.managers ?? oldTeam.managers ?? [],
+        suppliers: profile?.suppliers ?? oldTeam.suppliers ?? [],
+        email_labels: emailLabels,
+        n8n_workflow_config: workflowConfig
+      },
+      next: {
+        managers: newTeam.managers,
+        suppliers: newTeam.suppliers,
+        email_labels: nextEmailLabels,
+        n8n_workflow_config: nextWorkflowConfig
+      }
+    };
+  }
+
+  /**
+   * Apply a confirmed plan and record it in the undo journal
+   * @param {Object} plan - Result of planTeamReconfiguration()
+   * @returns {Promise<Object>} Reconfiguration result with journalId and undoExpiresAt
+   */
+  async applyReconfigurationPlan(plan) {
+    const result = {
+      removedManagers: plan.removedManagers,
+      removedSuppliers: plan.removedSuppliers,
+      labelCleanup: { removed: [], reassigned: [] },
+      templateUpdates: { updated: false, changes: [] },
+      dataCleanup: { orphanedRecords: 0, cleaned: 0 },
+      failures: [],
+      journalId: null,
+      undoExpiresAt: null
+    };
+    const journal = { labels: [], emailLogs: [] };
+
+    // 1. Remove labels/folders, keeping what undo needs to recreate them
+    for (const item of plan.labels) {
+      const removed = await this.removeLabel(plan.provider, item.label);
+      if (!removed) {
+        result.failures.push({ step: 'label', label: item.label, name: item.name });
+        continue;
+      }
+      journal.labels.push({ ...removed, type: item.type, name: item.name });
+      result.labelCleanup.removed.push({ type: item.type, name: item.name, label: item.label, action: 'removed' });
+      if (item.reassignTo) {
+        result.labelCleanup.reassigned.push({
+          type: item.type,
+          name: item.name,
+          label: item.label,
+          action: 'reassigned',
+          newAssignee: item.reassignTo
+        });
+      }
+    }
+
+    // 2. Reassign logged emails
+    for (const item of plan.emailReassignments) {
+      try {
+        const changed = await this.reassignEmailLogs(item);
+        journal.emailLogs.push(...changed);
+        result.dataCleanup.orphanedRecords += item.count;
+        result.dataCleanup.cleaned += changed.length;
+      } catch (error) {
+        console.error(`❌ Failed to reassign emails for ${item.name}:`, error);
+        result.failures.push({ step: 'emails', name: item.name, error: error.message });
+      }
+    }
+
+    // 3. Store updated labels and workflow prompts/rules
+    const profileUpdates = {};
+    if (plan.next.email_labels && plan.labels.length > 0) {
+      profileUpdates.email_labels = plan.next.email_labels;
+    }
+    if (plan.next.n8n_workflow_config) {
+      profileUpdates.n8n_workflow_config = plan.next.n8n_workflow_config;
+    }
+    if (Object.keys(profileUpdates).length > 0) {
+      const { error } = await supabase
+        .from('profiles')
+        .update(profileUpdates)
+        .eq('id', this.userId);
+
+      if (error) {
+        result.failures.push({ step: 'profile', error: error.message });
+      } else if (profileUpdates.n8n_workflow_config) {
+        result.templateUpdates.updated = true;
+        result.templateUpdates.changes = [
+          ...plan.removedManagers.map(m => ({ type: 'manager_removed', name: m.name })),
+          ...plan.removedSuppliers.map(s => ({ type: 'supplier_removed', name: s.name }))
+        ];
+      }
+    }
+
+    // 4. Update profile with new team configuration
+    await this.updateProfileTeamData(plan.next);
+
+    // 5. Record the undo journal
+    const undoExpiresAt = new Date(Date.now() + UNDO_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+    const { data: entry, error: journalError } = await supabase
+      .from(JOURNAL_TABLE)
+      .insert({
+        user_id: this.userId,
+        status: 'applied',
+        plan: {
+          removedManagers: plan.removedManagers,
+          removedSuppliers: plan.removedSuppliers,
+          labels: plan.labels,
+          emailReassignments: plan.emailReassignments,
+          promptChanges: plan.promptChanges.length,
+          ruleChanges: plan.ruleChanges.length
+        },
+        snapshot: plan.snapshot,
+        label_entries: journal.labels,
+        email_log_entries: journal.emailLogs,
+        undo_expires_at: undoExpiresAt
+      })
+      .select('id, undo_expires_at')
+      .single();
+
+    if (journalError) {
+      // The change itself succeeded; it just cannot be undone automatically
+      console.error('❌ Failed to record reconfiguration journal:', journalError);
+      result.failures.push({ step: 'journal', error: journalError.message });
+    } else {
+      result.journalId = entry.id;
+      result.undoExpiresAt = entry.undo_expires_at;
+    }
+
+    return result;
+  }
+
+  /**
+   * Latest reconfiguration that can still be undone
+   * @returns {Promise<Object|null>} Journal entry or null
+   */
+  async getUndoableReconfiguration() {
+    const { data, error } = await supabase
+      .from(JOURNAL_TABLE)
+      .select('id, plan, created_at, undo_expires_at')
+      .eq('user_id', this.userId)
+      .eq('status', 'applied')
+      .gt('undo_expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.error('❌ Failed to load reconfiguration journal:', error);
+      return null;
+    }
+    return data?.[0] || null;
+  }
+
+  /**
+   * Revert an applied reconfiguration from its journal entry
+   * @param {string} journalId - Journal entry id
+   * @returns {Promise<Object>} { restoredLabels, restoredEmails, team, failures }
+   */
+  async undoReconfiguration(journalId) {
+    const { data: entry, error } = await supabase
+      .from(JOURNAL_TABLE)
+      .select('*')
+      .eq('id', journalId)
+      .eq('user_id', this.userId)
+      .single();
+
+    if (error || !entry) {
+      throw new Error('Reconfiguration journal entry not found');
+    }
+    if (entry.status !== 'applied') {
+      throw new Error(`This reconfiguration was already ${entry.status}`);
+    }
+    if (new Date(entry.undo_expires_at) <= new Date()) {
+      throw new Error(`The ${UNDO_WINDOW_HOURS}-hour undo window for this reconfiguration has expired`);
+    }
+
+    // Profile snapshots are whole-team, so only the latest change can be reverted
+    const latest = await this.getUndoableReconfiguration();
+    if (latest && latest.id !== entry.id) {
+      throw new Error('A newer team change exists - undo that one first');
+    }
+
+    const result = { restoredLabels: [], restoredEmails: 0, team: null, failures: [] };
+
+    // 1. Recreate labels/folders
+    for (const label of entry.label_entries || []) {
+      const restored = label.provider === 'outlook'
+        ? await this.restoreOutlookFolder(label)
+        : await this.restoreGmailLabel(label);
+      if (restored) {
+        result.restoredLabels.push(label.label);
+      } else {
+        result.failures.push({ step: 'label', label: label.label });
+      }
+    }
+
+    // 2. Put logged emails back
+    for (const change of entry.email_log_entries || []) {
+      try {
+        const { data: row } = await supabase
+          .from('email_logs')
+          .select('meta')
+          .eq('id', change.id)
+          .eq('user_id', this.userId)
+          .single();
+        if (!row) continue;
+
+        await supabase
+          .from('email_logs')
+          .update({ meta: { ...(row.meta || {}), [change.key]: change.previous } })
+          .eq('id', change.id)
+          .eq('user_id', this.userId);
+        result.restoredEmails++;
+      } catch (restoreError) {
+        result.failures.push({ step: 'emails', id: change.id, error: restoreError.message });
+      }
+    }
+
+    // 3. Restore team, labels and workflow prompts/rules
+    const { snapshot } = entry;
+    const profileUpdates = {
+      managers: snapshot.managers,
+      suppliers: snapshot.suppliers,
+      team_updated_at: new Date().toISOString()
+    };
+    if (snapshot.email_labels) profileUpdates.email_labels = snapshot.email_labels;
+    if (snapshot.n8n_workflow_config) profileUpdates.n8n_workflow_config = snapshot.n8n_workflow_config;
+
+    const { error: profileError } = await supabase
+      .from('profiles')
+      .update(profileUpdates)
+      .eq('id', this.userId);
+
+    if (profileError) {
+      throw new Error(`Failed to restore team configuration: ${profileError.message}`);
+    }
+    result.team = { managers: snapshot.managers, suppliers: snapshot.suppliers };
+
+    await supabase
+      .from(JOURNAL_TABLE)
+      .update({ status: 'undone', undone_at: new Date().toISOString(), undo_result: result })
+      .eq('id', entry.id)
+      .eq('user_id', this.userId);
+
+    console.log('↩️ Team reconfiguration undone:', result);
+    return result;
+  }
+
+  /**
+   * Count logged emails whose meta matches
+   * @param {Object} match - Meta containment filter
+   * @returns {Promise<number>}
+   */
+  async countEmailLogs(match) {
+    const { count, error } = await supabase
+      .from('email_logs')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', this.userId)
+      .contains('meta', match);
+
+    if (error) {
+      console.warn('⚠️ Failed to count email logs:', error.message);
+      return 0;
+    }
+    return count || 0;
+  }
+
+  /**
+   * Reassign logged emails for a removed team member
+   * @param {Object} item - Plan email reassignment
+   * @returns {Promise<Array>} Changed rows as { id, key, previous } for the journal
+   */
+  async reassignEmailLogs(item) {
+    const key = item.type === 'manager' ? 'assigned_to' : 'supplier';
+    const { data: rows, error } = await supabase
+      .from('email_logs')
+      .select('id, meta')
+      .eq('user_id', this.userId)
+      .contains('meta', item.match);
+
+    if (error) throw new Error(error.message);
+
+    const changed = [];
+    for (const row of rows || []) {
+      const meta = { ...(row.meta || {}) };
+      if (item.type === 'manager') {
+        meta.assigned_to = item.to?.email || 'unassigned';
+      } else {
+        delete meta.supplier;
+      }
+
+      const { error: updateError } = await supabase
+        .from('email_logs')
+        .update({ meta })
+        .eq('id', row.id)
+        .eq('user_id', this.userId);
+
+      if (!updateError) {
+        changed.push({ id: row.id, key, previous: row.meta?.[key] ?? null });
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Pick the remaining manager who takes over a removed manager's emails
+   * @param {Object} manager - Removed manager
+   * @param {Array} newManagers - Remaining managers
+   * @returns {Object|null} { name, email } or null for "unassigned"
+   */
+  findEmailReassignmentTarget(manager, newManagers = []) {
+    const candidates = newManagers.filter(m => m.email);
+    const roles = new Set(manager.roles || (manager.role ? [manager.role] : []));
+    const target = candidates.find(m => (m.roles || (m.role ? [m.role] : [])).some(role => roles.has(role)));
+    return target ? { name: target.name, email: target.email } : null;
+  }
+
   /**
    * Identify managers that were removed
    * @param {Array} oldManagers - Previous managers
@@ -74,11 +481,12 @@ export class TeamReconfigurationManager {
    * @returns {Array} Removed managers
    */
   identifyRemovedManagers(oldManagers = [], newManagers = []) {
-    const oldEmails = new Set(oldManagers.map(m => m.email?.toLowerCase()));
-    const newEmails = new Set(newManagers.map(m => m.email?.toLowerCase()));
+    // Email is optional, so managers without one are matched by name
+    const managerKey = (m) => (m.email || m.name || '').toLowerCase();
+    const newKeys = new Set(newManagers.map(managerKey));
     
     return oldManagers.filter(manager => 
-      !newEmails.has(manager.email?.toLowerCase())
+      !newKeys.has(managerKey(manager))
     );
   }
 
@@ -97,92 +505,6 @@ export class TeamReconfigurationManager {
     );
   }
 
-  /**
-   * Clean up labels and folders for removed team members
-   * @param {Array} removedManagers - Removed managers
-   * @param {Array} removedSuppliers - Removed suppliers
-   * @returns {Promise<Object>} Cleanup result
-   */
-  async cleanupLabelsAndFolders(removedManagers, removedSuppliers) {
-    const result = { removed: [], reassigned: [] };
-
-    try {
-      // Get current email labels configuration
-      const { data: profile } = await supabase
-        .from('profiles')
-        .select('email_labels, email_provider')
-        .eq('id', this.userId)
-        .single();
-
-      if (!profile?.email_labels) {
-        console.log('No email labels found, skipping cleanup');
-        return result;
-      }
-
-      const emailLabels = profile.email_labels;
-      const provider = profile.email_provider || 'gmail';
-
-      // Handle removed managers
-      for (const manager of removedManagers) {
-        const managerLabels = this.findManagerLabels(emailLabels, manager);
-        
-        for (const label of managerLabels) {
-          // Option 1: Remove the label entirely
-          const removed = await this.removeLabel(provider, label);
-          if (removed) {
-            result.removed.push({
-              type: 'manager',
-              name: manager.name,
-              label: label,
-              action: 'removed'
-            });
-          }
-
-          // Option 2: Reassign to "Unassigned" or first remaining manager
-          const reassigned = await this.reassignLabel(provider, label, emailLabels);
-          if (reassigned) {
-            result.reassigned.push({
-              type: 'manager',
-              name: manager.name,
-              label: label,
-              action: 'reassigned',
-              newAssignee: reassigned.newAssignee
-            });
-          }
-        }
-      }
-
-      // Handle removed suppliers
-      for (const supplier of removedSuppliers) {
-        const supplierLabels = this.findSupplierLabels(emailLabels, supplier);
-        
-        for (const label of supplierLabels) {
-          const removed = await this.removeLabel(provider, label);
-          if (removed) {
-            result.removed.push({
-              type: 'supplier',
-              name: supplier.name,
-              label: label,
-              action: 'removed'
-            });
-          }
-        }
-      }
-
-      // Update email_labels in profile
-      const updatedLabels = this.updateEmailLabelsStructure(emailLabels, removedManagers, removedSuppliers);
-      await supabase
-        .from('profiles')
-        .update({ email_labels: updatedLabels })
-        .eq('id', this.userId);
-
-    } catch (error) {
-      console.error('❌ Label cleanup failed:', error);
-    }
-
-    return result;
-  }
-
   /**
    * Find labels associated with a specific manager
    * @param {Object} emailLabels - Email labels structure
@@ -194,16 +516,27 @@ export class TeamReconfigurationManager {
     
     // Look for manager-specific labels
     if (emailLabels.MANAGER?.sub) {
-      const managerLabels = emailLabels.MANAGER.sub.filter(label => 
-        label.toLowerCase().includes(manager.name.toLowerCase()) ||
-        label.toLowerCase().includes(manager.email.split('@')[0].toLowerCase())
-      );
+      const managerLabels = emailLabels.MANAGER.sub.filter(label => this.matchesManagerLabel(label, manager));
       labels.push(...managerLabels);
     }
 
     return labels;
   }
 
+  /**
+   * Whether a MANAGER sub-label belongs to a manager (by name or email local part)
+   * @param {string} label - Label name
+   * @param {Object} manager - Manager object
+   * @returns {boolean}
+   */
+  matchesManagerLabel(label, manager) {
+    const value = label.toLowerCase();
+    const name = manager.name?.trim().toLowerCase();
+    const emailLocal = manager.email?.split('@')[0].trim().toLowerCase();
+    // Guard against empty strings, which every label "includes"
+    return Boolean((name && value.includes(name)) || (emailLocal && value.includes(emailLocal)));
+  }
+
   /**
    * Find labels associated with a specific supplier
    * @param {Object} emailLabels - Email labels structure
@@ -228,7 +561,7 @@ export class TeamReconfigurationManager {
    * Remove a label from the email provider
    * @param {string} provider - Email provider (gmail/outlook)
    * @param {string} labelName - Label name to remove
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object|false>} Journal record needed to restore the label, or false
    */
   async removeLabel(provider, labelName) {
     try {
@@ -247,42 +580,38 @@ export class TeamReconfigurationManager {
   /**
    * Remove Gmail label
    * @param {string} labelName - Label name
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object|false>} { provider, label, labelId, messageIds } or false
    */
   async removeGmailLabel(labelName) {
     try {
-      // Get access token
-      const { data: tokenData } = await supabase
-        .from('oauth_tokens')
-        .select('access_token')
-        .eq('user_id', this.userId)
-        .eq('provider', 'gmail')
-        .single();
-
-      if (!tokenData?.access_token) {
+      const accessToken = await this.getAccessToken('gmail');
+      if (!accessToken) {
         console.warn('No Gmail access token found');
         return false;
       }
 
       // Find label ID
-      const labelId = await this.findGmailLabelId(tokenData.access_token, labelName);
+      const labelId = await this.findGmailLabelId(accessToken, labelName);
       if (!labelId) {
         console.warn(`Gmail label '${labelName}' not found`);
         return false;
       }
 
+      // Deleting a Gmail label strips it from every message, so remember which ones had it
+      const messageIds = await this.listGmailLabelMessages(accessToken, labelId);
+
       // Remove label
       const response = await fetch(`https://gmail.googleapis.com/gmail/v1/users/me/labels/${labelId}`, {
         method: 'DELETE',
         headers: {
-          'Authorization': `Bearer ${tokenData.access_token}`,
+          'Authorization': `Bearer ${accessToken}`,
           'Content-Type': 'application/json'
         }
       });
 
       if (response.ok) {
         console.log(`✅ Removed Gmail label '${labelName}'`);
-        return true;
+        return { provider: 'gmail', label: labelName, labelId, messageIds };
       } else {
         console.error(`❌ Failed to remove Gmail label '${labelName}':`, response.status);
         return false;
@@ -297,42 +626,42 @@ export class TeamReconfigurationManager {
   /**
    * Remove Outlook folder
    * @param {string} folderName - Folder name
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<Object|false>} { provider, label, folderId, parentFolderId } or false
    */
   async removeOutlookFolder(folderName) {
     try {
-      // Get access token
-      const { data: tokenData } = await supabase
-        .from('oauth_tokens')
-        .select('access_token')
-        .eq('user_id', this.userId)
-        .eq('provider', 'outlook')
-        .single();
-
-      if (!tokenData?.access_token) {
+      const accessToken = await this.getAccessToken('outlook');
+      if (!accessToken) {
         console.warn('No Outlook access token found');
         return false;
       }
 
       // Find folder ID
-      const folderId = await this.findOutlookFolderId(tokenData.access_token, folderName);
+      const folderId = await this.findOutlookFolderId(accessToken, folderName);
       if (!folderId) {
         console.warn(`Outlook folder '${folderName}' not found`);
         return false;
       }
 
+      // Deleted folders move to Deleted Items with their messages; undo moves them back here
+      const folderResponse = await fetch(
+        `https://graph.microsoft.com/v1.0/me/mailFolders/${folderId}?$select=id,parentFolderId`,
+        { headers: { 'Authorization': `Bearer ${accessToken}` } }
+      );
+      const folder = folderResponse.ok ? await folderResponse.json() : {};
+
       // Remove folder
       const response = await fetch(`https://graph.microsoft.com/v1.0/me/mailFolders/${folderId}`, {
         method: 'DELETE',
         headers: {
-          'Authorization': `Bearer ${tokenData.access_token}`,
+          'Authorization': `Bearer ${accessToken}`,
           'Content-Type': 'application/json'
         }
       });
 
       if (response.ok) {
         console.log(`✅ Removed Outlook folder '${folderName}'`);
-        return true;
+        return { provider: 'outlook', label: folderName, folderId, parentFolderId: folder.parentFolderId || null };
       } else {
         console.error(`❌ Failed to remove Outlook folder '${folderName}':`, response.status);
         return false;
@@ -345,39 +674,128 @@ export class TeamReconfigurationManager {
   }
 
   /**
-   * Reassign label to another team member
-   * @param {string} provider - Email provider
-   * @param {string} labelName - Label name
-   * @param {Object} emailLabels - Email labels structure
-   * @returns {Promise<Object|null>} Reassignment result
+   * Recreate a deleted Gmail label and re-apply it to the messages that had it
+   * @param {Object} entry - Journal record from removeGmailLabel()
+   * @returns {Promise<boolean>} Success status
    */
-  async reassignLabel(provider, labelName, emailLabels) {
+  async restoreGmailLabel(entry) {
     try {
-      // Find a suitable reassignment target
-      const reassignmentTarget = this.findReassignmentTarget(emailLabels);
-      
-      if (!reassignmentTarget) {
-        console.warn(`No suitable reassignment target found for label '${labelName}'`);
-        return null;
+      const accessToken = await this.getAccessToken('gmail');
+      if (!accessToken) return false;
+
+      const headers = {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      };
+
+      let labelId = await this.findGmailLabelId(accessToken, entry.label);
+      if (!labelId) {
+        const response = await fetch('https://gmail.googleapis.com/gmail/v1/users/me/labels', {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ name: entry.label, labelListVisibility: 'labelShow', messageListVisibility: 'show' })
+        });
+        if (!response.ok) {
+          console.error(`❌ Failed to recreate Gmail label '${entry.label}':`, response.status);
+          return false;
+        }
+        labelId = (await response.json()).id;
+      }
+
+      const messageIds = entry.messageIds || [];
+      for (let i = 0; i < messageIds.length; i += 1000) {
+        await fetch('https://gmail.googleapis.com/gmail/v1/users/me/messages/batchModify', {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ ids: messageIds.slice(i, i + 1000), addLabelIds: [labelId] })
+        });
       }
 
-      // For now, we'll just log the reassignment
-      // In a full implementation, you might want to:
-      // 1. Rename the label to include the new assignee
-      // 2. Update the label structure
-      // 3. Notify the new assignee
+      console.log(`↩️ Restored Gmail label '${entry.label}' on ${messageIds.length} messages`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Gmail label restore error:`, error);
+      return false;
+    }
+  }
 
-      console.log(`🔄 Reassigning label '${labelName}' to ${reassignmentTarget.type}: ${reassignmentTarget.name}`);
-      
-      return {
-        newAssignee: reassignmentTarget,
-        action: 'reassigned'
-      };
+  /**
+   * Move a deleted Outlook folder back out of Deleted Items
+   * @param {Object} entry - Journal record from removeOutlookFolder()
+   * @returns {Promise<boolean>} Success status
+   */
+  async restoreOutlookFolder(entry) {
+    try {
+      const accessToken = await this.getAccessToken('outlook');
+      if (!accessToken || !entry.folderId) return false;
+
+      const response = await fetch(`https://graph.microsoft.com/v1.0/me/mailFolders/${entry.folderId}/move`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ destinationId: entry.parentFolderId || 'msgfolderroot' })
+      });
 
+      if (!response.ok) {
+        console.error(`❌ Failed to restore Outlook folder '${entry.label}':`, response.status);
+        return false;
+      }
+
+      console.log(`↩️ Restored Outlook folder '${entry.label}'`);
+      return true;
     } catch (error) {
-      console.error(`❌ Label reassignment failed:`, error);
-      return null;
+      console.error(`❌ Outlook folder restore error:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the stored access token for a provider
+   * @param {string} provider - gmail/outlook
+   * @returns {Promise<string|null>}
+   */
+  async getAccessToken(provider) {
+    const { data: tokenData } = await supabase
+      .from('oauth_tokens')
+      .select('access_token')
+      .eq('user_id', this.userId)
+      .eq('provider', provider)
+      .single();
+
+    return tokenData?.access_token || null;
+  }
+
+  /**
+   * List message ids carrying a Gmail label (capped at MAX_JOURNAL_MESSAGES)
+   * @param {string} accessToken - Gmail access token
+   * @param {string} labelId - Label ID
+   * @returns {Promise<string[]>}
+   */
+  async listGmailLabelMessages(accessToken, labelId) {
+    const ids = [];
+    let pageToken = null;
+
+    try {
+      do {
+        const params = new URLSearchParams({ labelIds: labelId, maxResults: '500' });
+        if (pageToken) params.set('pageToken', pageToken);
+
+        const response = await fetch(`https://gmail.googleapis.com/gmail/v1/users/me/messages?${params}`, {
+          headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+        if (!response.ok) break;
+
+        const data = await response.json();
+        ids.push(...(data.messages || []).map(m => m.id));
+        pageToken = data.nextPageToken || null;
+      } while (pageToken && ids.length < MAX_JOURNAL_MESSAGES);
+    } catch (error) {
+      console.warn('⚠️ Failed to list Gmail label messages:', error);
     }
+
+    return ids.slice(0, MAX_JOURNAL_MESSAGES);
   }
 
   /**
@@ -406,61 +824,6 @@ export class TeamReconfigurationManager {
     return null;
   }
 
-  /**
-   * Update N8N templates to remove references to deleted team members
-   * @param {Array} removedManagers - Removed managers
-   * @param {Array} removedSuppliers - Removed suppliers
-   * @returns {Promise<Object>} Template update result
-   */
-  async updateN8nTemplates(removedManagers, removedSuppliers) {
-    const result = { updated: false, changes: [] };
-
-    try {
-      // Get current workflow configuration
-      const { data: profile } = await supabase
-        .from('profiles')
-        .select('n8n_workflow_config, business_types')
-        .eq('id', this.userId)
-        .single();
-
-      if (!profile?.n8n_workflow_config) {
-        console.log('No N8N workflow config found, skipping template updates');
-        return result;
-      }
-
-      const workflowConfig = profile.n8n_workflow_config;
-      const businessTypes = profile.business_types || [];
-
-      // Update AI prompts to remove references to deleted team members
-      const updatedConfig = this.updateWorkflowPrompts(workflowConfig, removedManagers, removedSuppliers);
-      
-      // Update escalation rules
-      const updatedEscalationRules = this.updateEscalationRules(updatedConfig, removedManagers);
-
-      // Update routing rules
-      const updatedRoutingRules = this.updateRoutingRules(updatedEscalationRules, removedSuppliers);
-
-      // Store updated configuration
-      await supabase
-        .from('profiles')
-        .update({ n8n_workflow_config: updatedRoutingRules })
-        .eq('id', this.userId);
-
-      result.updated = true;
-      result.changes = [
-        ...removedManagers.map(m => ({ type: 'manager_removed', name: m.name })),
-        ...removedSuppliers.map(s => ({ type: 'supplier_removed', name: s.name }))
-      ];
-
-      console.log('✅ N8N templates updated for team changes');
-
-    } catch (error) {
-      console.error('❌ N8N template update failed:', error);
-    }
-
-    return result;
-  }
-
   /**
    * Update workflow prompts to remove deleted team member references
    * @param {Object} workflowConfig - Workflow configuration
@@ -482,12 +845,13 @@ export class TeamReconfigurationManager {
             
             // Remove references to deleted managers
             removedManagers.forEach(manager => {
+              const name = escapeRegExp(manager.name);
               const managerPatterns = [
-                new RegExp(`\\b${manager.name}\\b`, 'gi'),
-                new RegExp(`\\b${manager.email}\\b`, 'gi'),
-                new RegExp(`manager.*${manager.name}`, 'gi'),
-                new RegExp(`${manager.name}.*manager`, 'gi')
-              ];
+                new RegExp(`\\b${name}\\b`, 'gi'),
+                manager.email && new RegExp(`\\b${escapeRegExp(manager.email)}\\b`, 'gi'),
+                new RegExp(`manager.*${name}`, 'gi'),
+                new RegExp(`${name}.*manager`, 'gi')
+              ].filter(Boolean);
               
               managerPatterns.forEach(pattern => {
                 systemMessage = systemMessage.replace(pattern, '[REMOVED_MANAGER]');
@@ -496,10 +860,11 @@ export class TeamReconfigurationManager {
 
             // Remove references to deleted suppliers
             removedSuppliers.forEach(supplier => {
+              const name = escapeRegExp(supplier.name);
               const supplierPatterns = [
-                new RegExp(`\\b${supplier.name}\\b`, 'gi'),
-                new RegExp(`supplier.*${supplier.name}`, 'gi'),
-                new RegExp(`${supplier.name}.*supplier`, 'gi')
+                new RegExp(`\\b${name}\\b`, 'gi'),
+                new RegExp(`supplier.*${name}`, 'gi'),
+                new RegExp(`${name}.*supplier`, 'gi')
               ];
               
               supplierPatterns.forEach(pattern => {
@@ -535,9 +900,9 @@ export class TeamReconfigurationManager {
       removedManagers.forEach(manager => {
         // Remove manager-specific escalation rules
         Object.keys(escalationRules).forEach(key => {
-          if (escalationRules[key]?.includes && escalationRules[key].includes(manager.name)) {
+          if (Array.isArray(escalationRules[key])) {
             escalationRules[key] = escalationRules[key].filter(rule => 
-              !rule.toLowerCase().includes(manager.name.toLowerCase())
+              !String(rule).toLowerCase().includes(manager.name.toLowerCase())
             );
           }
         });
@@ -565,9 +930,9 @@ export class TeamReconfigurationManager {
       removedSuppliers.forEach(supplier => {
         // Remove supplier-specific routing rules
         Object.keys(routingRules).forEach(key => {
-          if (routingRules[key]?.includes && routingRules[key].includes(supplier.name)) {
+          if (Array.isArray(routingRules[key])) {
             routingRules[key] = routingRules[key].filter(rule => 
-              !rule.toLowerCase().includes(supplier.name.toLowerCase())
+              !String(rule).toLowerCase().includes(supplier.name.toLowerCase())
             );
           }
         });
@@ -579,71 +944,6 @@ export class TeamReconfigurationManager {
     return updatedConfig;
   }
 
-  /**
-   * Clean up orphaned data references
-   * @param {Array} removedManagers - Removed managers
-   * @param {Array} removedSuppliers - Removed suppliers
-   * @returns {Promise<Object>} Cleanup result
-   */
-  async cleanupOrphanedData(removedManagers, removedSuppliers) {
-    const result = { orphanedRecords: 0, cleaned: 0 };
-
-    try {
-      // Clean up email logs that reference removed managers
-      for (const manager of removedManagers) {
-        const { count } = await supabase
-          .from('email_logs')
-          .select('*', { count: 'exact', head: true })
-          .eq('user_id', this.userId)
-          .contains('meta', { assigned_to: manager.email });
-
-        if (count > 0) {
-          // Reassign to 'unassigned' or remove assignment
-          await supabase
-            .from('email_logs')
-            .update({ 
-              meta: supabase.raw(`meta - 'assigned_to' || '{"assigned_to": "unassigned"}'::jsonb`)
-            })
-            .eq('user_id', this.userId)
-            .contains('meta', { assigned_to: manager.email });
-
-          result.orphanedRecords += count;
-          result.cleaned += count;
-        }
-      }
-
-      // Clean up email logs that reference removed suppliers
-      for (const supplier of removedSuppliers) {
-        const { count } = await supabase
-          .from('email_logs')
-          .select('*', { count: 'exact', head: true })
-          .eq('user_id', this.userId)
-          .contains('meta', { supplier: supplier.name });
-
-        if (count > 0) {
-          // Remove supplier reference
-          await supabase
-            .from('email_logs')
-            .update({ 
-              meta: supabase.raw(`meta - 'supplier'`)
-            })
-            .eq('user_id', this.userId)
-            .contains('meta', { supplier: supplier.name });
-
-          result.orphanedRecords += count;
-          result.cleaned += count;
-        }
-      }
-
-      console.log(`✅ Cleaned up ${result.cleaned} orphaned records`);
-
-    } catch (error) {
-      console.error('❌ Orphaned data cleanup failed:', error);
-    }
-
-    return result;
-  }
-
   /**
    * Update profile with new team configuration
    * @param {Object} newTeam - New team configuration
@@ -681,8 +981,7 @@ export class TeamReconfigurationManager {
     if (updatedLabels.MANAGER?.sub) {
       removedManagers.forEach(manager => {
         updatedLabels.MANAGER.sub = updatedLabels.MANAGER.sub.filter(label => 
-          !label.toLowerCase().includes(manager.name.toLowerCase()) &&
-          !label.toLowerCase().includes(manager.email.split('@')[0].toLowerCase())
+          !this.matchesManagerLabel(label, manager)
         );
       });
     }
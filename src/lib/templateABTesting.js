@@ -7,6 +7,28 @@
 
 import { logger } from './logger.js';
 import { supabase } from './customSupabaseClient.js';
+import {
+  betaPosterior,
+  calculateRequiredSampleSize,
+  probabilityBBeatsA,
+  probabilityBest,
+  sequentialBoundary,
+  twoProportionZTest
+} from './abTestStatistics.js';
+import { templateBandit } from './templateBandit.js';
+
+// Rate metrics the statistical engine understands, and the counter each one divides by sends
+const RATE_METRICS = {
+  reply_rate: 'replies',
+  acceptance_rate: 'acceptances'
+};
+
+// Event types counted into template_test_metrics
+const EVENT_COUNTERS = {
+  sent: 'sent',
+  replied: 'replies',
+  accepted: 'acceptances'
+};
 
 export class TemplateABTesting {
   constructor() {
@@ -16,6 +38,17 @@ export class TemplateABTesting {
     this.testMetrics = new Map();
     this.testConfigurations = new Map();
     this.isInitialized = false;
+
+    // Statistical defaults, overridable per test
+    this.statisticsConfig = {
+      alpha: 0.05,
+      power: 0.8,
+      baselineRate: 0.2,
+      minimumDetectableEffect: 0.2, // Relative lift
+      posteriorThreshold: 0.95, // Required P(variant beats control) on top of the z-test
+      minimumSamplePerVariant: 100, // No look counts before every variant has this many sends
+      interimLooks: [0.25, 0.5, 0.75, 1] // Information fractions at which the test may stop
+    };
   }
 
   /**
@@ -49,6 +82,16 @@ export class TemplateABTesting {
     try {
       logger.info('Creating A/B test', { userId, testName: testConfig.name });
 
+      // Bandit mode: continuous Thompson-sampling allocation instead of a fixed split
+      if (testConfig.mode === 'bandit') {
+        return templateBandit.createBandit(userId, {
+          category: testConfig.category,
+          templateIds: (testConfig.variants || []).map(variant => variant.templateId),
+          explorationFloor: testConfig.explorationFloor,
+          acceptanceThreshold: testConfig.acceptanceThreshold
+        });
+      }
+
       // Validate test configuration
       const validationResult = await this.validateTestConfig(testConfig);
       if (!validationResult.valid) {
@@ -131,8 +174,10 @@ export class TemplateABTesting {
 
   /**
    * Stop A/B test
+   * @param {Object} lookResults - Results of the interim look that triggered an automatic stop;
+   *   reused so the same look does not spend alpha twice
    */
-  async stopABTest(userId, testId, stopConfig = {}) {
+  async stopABTest(userId, testId, stopConfig = {}, lookResults = null) {
     try {
       logger.info('Stopping A/B test', { userId, testId });
 
@@ -154,7 +199,16 @@ export class TemplateABTesting {
       await this.updateABTestStatus(userId, testId, 'completed');
 
       // Generate test results
-      const testResults = await this.generateTestResults(userId, testId);
+      const testResults = lookResults || await this.generateTestResults(userId, testId);
+
+      // A manual stop is a look too: it spends alpha like any interim analysis
+      if (!lookResults) {
+        await this.recordSequentialLook(userId, testId, testResults.statistical_significance.sequential);
+      }
+      await this.storeTestResults(userId, testResults);
+
+      // Promote the winning response template
+      const promotion = await this.promoteWinningTemplate(userId, testId, testResults);
 
       // Log test stop activity
       await this.logTestActivity(userId, 'test_stopped', { testId, stopConfig, testResults });
@@ -167,7 +221,8 @@ export class TemplateABTesting {
       return {
         success: true,
         abTest: stoppedTest,
-        testResults
+        testResults,
+        promotion
       };
     } catch (error) {
       logger.error('Failed to stop A/B test', { error: error.message, userId });
@@ -227,6 +282,9 @@ export class TemplateABTesting {
       // Update test metrics
       await this.updateTestMetrics(userId, testId, eventData);
 
+      // Run an interim analysis if one is due
+      const sequentialCheck = await this.checkSequentialStop(userId, testId);
+
       logger.info('Test event tracked successfully', { 
         userId, 
         testId,
@@ -235,7 +293,8 @@ export class TemplateABTesting {
 
       return {
         success: true,
-        event: trackedEvent
+        event: trackedEvent,
+        sequentialCheck
       };
     } catch (error) {
       logger.error('Failed to track test event', { error: error.message, userId });
@@ -291,7 +350,7 @@ export class TemplateABTesting {
       const insights = {
         testOverview: await this.generateTestOverview(abTest, testResults),
         performanceAnalysis: await this.generatePerformanceAnalysis(testResults, metrics),
-        statisticalSignificance: await this.calculateStatisticalSignificance(testResults),
+        statisticalSignificance: testResults?.statistical_significance || await this.calculateStatisticalSignificance(testResults?.variants || []),
         recommendations: await this.generateTestRecommendations(userId, testId, testResults),
         trends: await this.analyzeTestTrends(testResults)
       };
@@ -311,6 +370,12 @@ export class TemplateABTesting {
    */
   async createABTestRecord(userId, testConfig) {
     try {
+      const primaryMetric = testConfig.primaryMetric || 'reply_rate';
+      const baselineRate = testConfig.baselineRate ?? this.statisticsConfig.baselineRate;
+      const minimumDetectableEffect = testConfig.minimumDetectableEffect ?? this.statisticsConfig.minimumDetectableEffect;
+      const alpha = testConfig.alpha ?? this.statisticsConfig.alpha;
+      const power = testConfig.power ?? this.statisticsConfig.power;
+
       const abTest = {
         id: this.generateTestId(),
         user_id: userId,
@@ -321,7 +386,21 @@ export class TemplateABTesting {
         target_audience: testConfig.targetAudience || 'all',
         test_duration: testConfig.duration || 7, // days
         traffic_split: testConfig.trafficSplit || 50, // percentage
-        success_metrics: testConfig.successMetrics || ['open_rate', 'click_rate'],
+        success_metrics: testConfig.successMetrics || Object.keys(RATE_METRICS),
+        primary_metric: primaryMetric,
+        baseline_rate: baselineRate,
+        minimum_detectable_effect: minimumDetectableEffect,
+        alpha,
+        power,
+        required_sample_size: calculateRequiredSampleSize({
+          baselineRate,
+          minimumDetectableEffect,
+          alpha,
+          power,
+          variantCount: testConfig.variants.length
+        }), // per variant
+        alpha_spent: 0,
+        interim_looks: 0,
         status: 'draft',
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
@@ -367,6 +446,192 @@ export class TemplateABTesting {
     }
   }
 
+  /**
+   * Validate test configuration
+   */
+  async validateTestConfig(testConfig) {
+    try {
+      if (!testConfig?.name) {
+        return { valid: false, error: 'Test name is required' };
+      }
+
+      if (!Array.isArray(testConfig.variants) || testConfig.variants.length < 2) {
+        return { valid: false, error: 'At least two variants are required' };
+      }
+
+      if (testConfig.variants.some(variant => !variant.templateId)) {
+        return { valid: false, error: 'Every variant needs a templateId' };
+      }
+
+      const primaryMetric = testConfig.primaryMetric || 'reply_rate';
+      if (!RATE_METRICS[primaryMetric]) {
+        return { valid: false, error: `Unsupported primary metric: ${primaryMetric}` };
+      }
+
+      const baselineRate = testConfig.baselineRate ?? this.statisticsConfig.baselineRate;
+      if (!(baselineRate > 0 && baselineRate < 1)) {
+        return { valid: false, error: 'Baseline rate must be between 0 and 1' };
+      }
+
+      const minimumDetectableEffect = testConfig.minimumDetectableEffect ?? this.statisticsConfig.minimumDetectableEffect;
+      if (!(minimumDetectableEffect > 0)) {
+        return { valid: false, error: 'Minimum detectable effect must be positive' };
+      }
+
+      return { valid: true };
+    } catch (error) {
+      logger.error('Failed to validate test config', { error: error.message });
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Initialize test metrics (one zeroed counter row per variant)
+   */
+  async initializeTestMetrics(userId, testId) {
+    try {
+      const variants = await this.getTestVariants(userId, testId);
+      const rows = variants.map(variant => ({
+        test_id: testId,
+        variant_id: variant.id,
+        user_id: userId,
+        sent: 0,
+        replies: 0,
+        acceptances: 0,
+        updated_at: new Date().toISOString()
+      }));
+
+      const { error } = await supabase
+        .from('template_test_metrics')
+        .upsert(rows, { onConflict: 'test_id,variant_id' });
+
+      if (error) throw error;
+
+      this.testMetrics.set(testId, rows);
+    } catch (error) {
+      logger.error('Failed to initialize test metrics', { error: error.message, userId });
+    }
+  }
+
+  /**
+   * Validate event data
+   */
+  async validateEventData(eventData) {
+    try {
+      if (!eventData?.eventType || !EVENT_COUNTERS[eventData.eventType]) {
+        return { valid: false, error: `Unsupported event type: ${eventData?.eventType}` };
+      }
+
+      if (!eventData.variantId) {
+        return { valid: false, error: 'Event variantId is required' };
+      }
+
+      return { valid: true };
+    } catch (error) {
+      logger.error('Failed to validate event data', { error: error.message });
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Track event
+   */
+  async trackEvent(userId, testId, eventData) {
+    try {
+      const event = {
+        test_id: testId,
+        variant_id: eventData.variantId,
+        user_id: userId,
+        event_type: eventData.eventType,
+        email_id: eventData.emailId || null,
+        occurred_at: eventData.occurredAt || new Date().toISOString()
+      };
+
+      const { error } = await supabase
+        .from('template_test_events')
+        .insert(event);
+
+      if (error) throw error;
+
+      return event;
+    } catch (error) {
+      logger.error('Failed to track event', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update test metrics
+   */
+  async updateTestMetrics(userId, testId, eventData) {
+    try {
+      let row = await this.getVariantMetricRow(userId, testId, eventData.variantId);
+      if (!row) {
+        row = { test_id: testId, variant_id: eventData.variantId, user_id: userId, sent: 0, replies: 0, acceptances: 0 };
+        if (!this.testMetrics.has(testId)) {
+          this.testMetrics.set(testId, []);
+        }
+        this.testMetrics.get(testId).push(row);
+      }
+
+      const counter = EVENT_COUNTERS[eventData.eventType];
+      row[counter] = (row[counter] || 0) + 1;
+      row.updated_at = new Date().toISOString();
+
+      const { error } = await supabase
+        .from('template_test_metrics')
+        .upsert(row, { onConflict: 'test_id,variant_id' });
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Failed to update test metrics', { error: error.message, userId });
+    }
+  }
+
+  /**
+   * Get the counter row for a variant
+   */
+  async getVariantMetricRow(userId, testId, variantId) {
+    try {
+      // Check in-memory first
+      if (!this.testMetrics.has(testId)) {
+        const { data: metrics, error } = await supabase
+          .from('template_test_metrics')
+          .select('*')
+          .eq('test_id', testId)
+          .eq('user_id', userId);
+
+        if (error) throw error;
+
+        this.testMetrics.set(testId, metrics || []);
+      }
+
+      return this.testMetrics.get(testId).find(metric => metric.variant_id === variantId) || null;
+    } catch (error) {
+      logger.error('Failed to get variant metric row', { error: error.message, userId });
+      return null;
+    }
+  }
+
+  /**
+   * Get variant metrics (counts and rates)
+   */
+  async getVariantMetrics(userId, testId, variantId) {
+    const row = await this.getVariantMetricRow(userId, testId, variantId);
+    const sent = row?.sent || 0;
+    const replies = row?.replies || 0;
+    const acceptances = row?.acceptances || 0;
+
+    return {
+      sample_size: sent,
+      sent,
+      replies,
+      acceptances,
+      reply_rate: sent > 0 ? replies / sent : 0,
+      acceptance_rate: sent > 0 ? acceptances / sent : 0
+    };
+  }
+
   /**
    * Start A/B test execution
    */
@@ -422,10 +687,14 @@ export class TemplateABTesting {
    */
   async generateTestResults(userId, testId) {
     try {
+      const abTest = await this.getABTest(userId, testId);
+      const primaryMetric = abTest?.primary_metric || 'reply_rate';
+
       const testResults = {
         test_id: testId,
         user_id: userId,
         generated_at: new Date().toISOString(),
+        primary_metric: primaryMetric,
         variants: [],
         overall_metrics: {},
         statistical_significance: {},
@@ -438,18 +707,32 @@ export class TemplateABTesting {
 
       // Calculate results for each variant
       for (const variant of variants) {
-        const variantResults = await this.calculateVariantResults(userId, testId, variant.id);
+        const variantResults = await this.calculateVariantResults(userId, testId, variant.id, primaryMetric);
         testResults.variants.push(variantResults);
       }
 
-      // Determine winner
-      testResults.winner = await this.determineTestWinner(testResults.variants);
+      // Lift against control
+      const control = testResults.variants.find(v => v.is_control);
+      for (const variantResults of testResults.variants) {
+        variantResults.improvement_percentage = await this.calculateImprovementPercentage(
+          variantResults.metrics,
+          variantResults.is_control,
+          control?.metrics,
+          primaryMetric
+        );
+      }
 
-      // Calculate statistical significance
-      testResults.statistical_significance = await this.calculateStatisticalSignificance(testResults.variants);
+      // Calculate statistical significance at the current point of the sequential design
+      testResults.statistical_significance = await this.calculateStatisticalSignificance(
+        testResults.variants,
+        this.getSequentialOptions(abTest, testResults.variants)
+      );
+
+      // Determine winner
+      testResults.winner = await this.determineTestWinner(testResults.variants, testResults.statistical_significance);
 
       // Calculate confidence level
-      testResults.confidence_level = await this.calculateConfidenceLevel(testResults.variants);
+      testResults.confidence_level = testResults.statistical_significance.confidence_level;
 
       return testResults;
     } catch (error) {
@@ -458,10 +741,27 @@ export class TemplateABTesting {
     }
   }
 
+  /**
+   * Sequential analysis options for a test at its current sample size
+   */
+  getSequentialOptions(abTest, variantResults) {
+    const requiredSampleSize = abTest?.required_sample_size || 0;
+    const smallestSample = variantResults.length > 0
+      ? Math.min(...variantResults.map(v => v.metrics.sample_size || 0))
+      : 0;
+
+    return {
+      primaryMetric: abTest?.primary_metric || 'reply_rate',
+      alpha: abTest?.alpha ?? this.statisticsConfig.alpha,
+      previousAlphaSpent: abTest?.alpha_spent || 0,
+      informationFraction: requiredSampleSize > 0 ? smallestSample / requiredSampleSize : 1
+    };
+  }
+
   /**
    * Calculate variant results
    */
-  async calculateVariantResults(userId, testId, variantId) {
+  async calculateVariantResults(userId, testId, variantId, primaryMetric = 'reply_rate') {
     try {
       const variant = await this.getTestVariant(userId, testId, variantId);
       if (!variant) {
@@ -474,10 +774,11 @@ export class TemplateABTesting {
       const variantResults = {
         variant_id: variantId,
         variant_name: variant.name,
+        template_id: variant.template_id,
         is_control: variant.is_control,
         metrics: metrics,
-        performance_score: await this.calculatePerformanceScore(metrics),
-        improvement_percentage: await this.calculateImprovementPercentage(metrics, variant.is_control)
+        performance_score: await this.calculatePerformanceScore(metrics, primaryMetric),
+        improvement_percentage: 0 // Filled in once the control is known
       };
 
       return variantResults;
@@ -488,27 +789,11 @@ export class TemplateABTesting {
   }
 
   /**
-   * Calculate performance score
+   * Calculate performance score (the primary metric's rate)
    */
-  async calculatePerformanceScore(metrics) {
+  async calculatePerformanceScore(metrics, primaryMetric = 'reply_rate') {
     try {
-      const weights = {
-        open_rate: 0.3,
-        click_rate: 0.4,
-        conversion_rate: 0.3
-      };
-
-      let score = 0;
-      let totalWeight = 0;
-
-      for (const [metric, value] of Object.entries(metrics)) {
-        if (weights[metric]) {
-          score += value * weights[metric];
-          totalWeight += weights[metric];
-        }
-      }
-
-      return totalWeight > 0 ? score / totalWeight : 0;
+      return metrics[primaryMetric] || 0;
     } catch (error) {
       logger.error('Failed to calculate performance score', { error: error.message });
       return 0;
@@ -516,17 +801,20 @@ export class TemplateABTesting {
   }
 
   /**
-   * Calculate improvement percentage
+   * Calculate improvement percentage (relative lift over control)
    */
-  async calculateImprovementPercentage(metrics, isControl) {
+  async calculateImprovementPercentage(metrics, isControl, controlMetrics = null, primaryMetric = 'reply_rate') {
     try {
-      if (isControl) {
+      if (isControl || !controlMetrics) {
         return 0; // Control variant has no improvement
       }
 
-      // This would typically compare against control variant
-      // For now, return a simulated improvement
-      const improvement = (Math.random() - 0.5) * 20; // -10% to +10%
+      const baseline = controlMetrics[primaryMetric] || 0;
+      if (baseline === 0) {
+        return 0;
+      }
+
+      const improvement = ((metrics[primaryMetric] || 0) - baseline) / baseline * 100;
       return Math.round(improvement * 100) / 100;
     } catch (error) {
       logger.error('Failed to calculate improvement percentage', { error: error.message });
@@ -536,19 +824,31 @@ export class TemplateABTesting {
 
   /**
    * Determine test winner
+   * Only a variant that beats control at the current sequential boundary (and
+   * with enough posterior probability) wins; otherwise control stays in place.
    */
-  async determineTestWinner(variants) {
+  async determineTestWinner(variants, significance = null) {
     try {
       if (variants.length === 0) {
         return null;
       }
 
-      // Find variant with highest performance score
-      const winner = variants.reduce((best, current) => {
+      const stats = significance || await this.calculateStatisticalSignificance(variants);
+      const winningIds = new Set(
+        (stats.comparisons || [])
+          .filter(comparison => comparison.significant && comparison.difference > 0)
+          .map(comparison => comparison.variant_id)
+      );
+
+      const candidates = variants.filter(variant => winningIds.has(variant.variant_id));
+      if (candidates.length === 0) {
+        return null;
+      }
+
+      // Among significant variants, pick the highest rate
+      return candidates.reduce((best, current) => {
         return current.performance_score > best.performance_score ? current : best;
       });
-
-      return winner;
     } catch (error) {
       logger.error('Failed to determine test winner', { error: error.message });
       return null;
@@ -557,41 +857,95 @@ export class TemplateABTesting {
 
   /**
    * Calculate statistical significance
+   * Each non-control variant gets a two-proportion z-test and a beta-binomial
+   * posterior against control. The significance threshold is the alpha spent
+   * at this look (O'Brien-Fleming), Bonferroni-split across comparisons.
+   * @param {Array} variants - Variant results from calculateVariantResults
+   * @param {Object} options - primaryMetric, alpha, previousAlphaSpent, informationFraction,
+   *   posteriorThreshold, minimumSamplePerVariant
    */
-  async calculateStatisticalSignificance(variants) {
-    try {
-      // Simplified statistical significance calculation
-      const significance = {
-        is_significant: false,
-        p_value: 0.05,
-        confidence_level: 95,
-        sample_size: 0
-      };
+  async calculateStatisticalSignificance(variants, options = {}) {
+    const {
+      primaryMetric = 'reply_rate',
+      alpha = this.statisticsConfig.alpha,
+      previousAlphaSpent = 0,
+      informationFraction = 1,
+      posteriorThreshold = this.statisticsConfig.posteriorThreshold,
+      minimumSamplePerVariant = this.statisticsConfig.minimumSamplePerVariant
+    } = options;
 
-      // Calculate total sample size
-      significance.sample_size = variants.reduce((total, variant) => {
-        return total + (variant.metrics.sample_size || 0);
-      }, 0);
-
-      // Determine if results are statistically significant
-      if (significance.sample_size > 1000) {
-        significance.is_significant = true;
-        significance.p_value = 0.01;
-        significance.confidence_level = 99;
-      } else if (significance.sample_size > 500) {
-        significance.is_significant = true;
-        significance.p_value = 0.03;
-        significance.confidence_level = 97;
-      }
+    try {
+      const counter = RATE_METRICS[primaryMetric] || RATE_METRICS.reply_rate;
+      const counts = variants.map(variant => ({
+        variant,
+        trials: variant.metrics.sample_size || 0,
+        successes: variant.metrics[counter] || 0
+      }));
+
+      const sequential = sequentialBoundary({ informationFraction, previousAlphaSpent, alpha });
+      const control = counts.find(c => c.variant.is_control) || counts[0];
+      const treatments = counts.filter(c => c !== control);
+      const threshold = treatments.length > 0 ? sequential.nominalAlpha / treatments.length : 0;
+      const smallestSample = counts.length > 0 ? Math.min(...counts.map(c => c.trials)) : 0;
+      const enoughData = smallestSample >= minimumSamplePerVariant;
+
+      const posteriors = counts.map(c => betaPosterior(c.successes, c.trials));
+      const controlPosterior = posteriors[counts.indexOf(control)];
+      const bayesian = counts.length > 0
+        ? probabilityBest(posteriors)
+        : { probabilityBest: [], expectedLoss: [] };
+
+      const comparisons = treatments.map(treatment => {
+        const zTest = twoProportionZTest(control, treatment, 1 - alpha);
+        const probabilityToBeatControl = probabilityBBeatsA(controlPosterior, posteriors[counts.indexOf(treatment)]);
+        const posteriorAgrees = zTest.difference > 0
+          ? probabilityToBeatControl >= posteriorThreshold
+          : probabilityToBeatControl <= 1 - posteriorThreshold;
+
+        return {
+          variant_id: treatment.variant.variant_id,
+          control_rate: zTest.controlRate,
+          treatment_rate: zTest.treatmentRate,
+          difference: zTest.difference,
+          relative_lift: zTest.relativeLift,
+          z_score: zTest.z,
+          p_value: zTest.pValue,
+          confidence_interval: zTest.confidenceInterval,
+          probability_to_beat_control: probabilityToBeatControl,
+          significant: enoughData && zTest.pValue < threshold && posteriorAgrees
+        };
+      });
 
-      return significance;
+      return {
+        is_significant: comparisons.some(c => c.significant),
+        p_value: comparisons.length > 0 ? Math.min(...comparisons.map(c => c.p_value)) : 1,
+        significance_threshold: threshold,
+        confidence_level: Math.round((1 - alpha) * 100),
+        sample_size: counts.reduce((total, c) => total + c.trials, 0),
+        method: 'two_proportion_z_test',
+        primary_metric: primaryMetric,
+        reason: enoughData ? null : 'insufficient_sample',
+        comparisons,
+        bayesian: {
+          probability_best: Object.fromEntries(counts.map((c, i) => [c.variant.variant_id, bayesian.probabilityBest[i]])),
+          expected_loss: Object.fromEntries(counts.map((c, i) => [c.variant.variant_id, bayesian.expectedLoss[i]]))
+        },
+        sequential: {
+          information_fraction: sequential.informationFraction,
+          alpha_spent: sequential.alphaSpent,
+          nominal_alpha: sequential.nominalAlpha,
+          z_boundary: sequential.zBoundary
+        }
+      };
     } catch (error) {
       logger.error('Failed to calculate statistical significance', { error: error.message });
       return {
         is_significant: false,
-        p_value: 0.05,
-        confidence_level: 95,
-        sample_size: 0
+        p_value: 1,
+        confidence_level: Math.round((1 - alpha) * 100),
+        sample_size: 0,
+        comparisons: [],
+        sequential: null
       };
     }
   }
@@ -599,9 +953,9 @@ export class TemplateABTesting {
   /**
    * Calculate confidence level
    */
-  async calculateConfidenceLevel(variants) {
+  async calculateConfidenceLevel(variants, options = {}) {
     try {
-      const significance = await this.calculateStatisticalSignificance(variants);
+      const significance = await this.calculateStatisticalSignificance(variants, options);
       return significance.confidence_level;
     } catch (error) {
       logger.error('Failed to calculate confidence level', { error: error.message });
@@ -609,6 +963,172 @@ export class TemplateABTesting {
     }
   }
 
+  /**
+   * Run an interim analysis if the test has reached its next scheduled look.
+   * Looks happen only at the configured information fractions, never on every
+   * event, and stop the test when a variant crosses the boundary or the
+   * planned sample size is reached.
+   */
+  async checkSequentialStop(userId, testId) {
+    try {
+      const abTest = await this.getABTest(userId, testId);
+      if (!abTest || abTest.status !== 'running') {
+        return { action: 'none' };
+      }
+
+      const variants = await this.getTestVariants(userId, testId);
+      const variantMetrics = await Promise.all(variants.map(variant => this.getVariantMetrics(userId, testId, variant.id)));
+      const smallestSample = variantMetrics.length > 0 ? Math.min(...variantMetrics.map(m => m.sample_size)) : 0;
+      const informationFraction = abTest.required_sample_size > 0 ? smallestSample / abTest.required_sample_size : 0;
+      const looksDue = this.statisticsConfig.interimLooks.filter(fraction => informationFraction >= fraction).length;
+
+      if (looksDue <= (abTest.interim_looks || 0) || smallestSample < this.statisticsConfig.minimumSamplePerVariant) {
+        return { action: 'continue', information_fraction: informationFraction };
+      }
+
+      const testResults = await this.generateTestResults(userId, testId);
+      const significance = testResults.statistical_significance;
+      await this.recordSequentialLook(userId, testId, significance.sequential, looksDue);
+
+      logger.info('Interim A/B test analysis', {
+        userId,
+        testId,
+        look: looksDue,
+        informationFraction,
+        isSignificant: significance.is_significant
+      });
+
+      if (significance.is_significant || informationFraction >= 1) {
+        const stopResult = await this.stopABTest(userId, testId, {
+          reason: significance.is_significant ? 'boundary_crossed' : 'sample_size_reached',
+          automatic: true
+        }, testResults);
+
+        return { action: 'stopped', information_fraction: informationFraction, ...stopResult };
+      }
+
+      return { action: 'continue', information_fraction: informationFraction, look: looksDue };
+    } catch (error) {
+      logger.error('Failed to check sequential stop', { error: error.message, userId, testId });
+      return { action: 'continue', error: error.message };
+    }
+  }
+
+  /**
+   * Record an analysis look and the cumulative alpha it spent
+   */
+  async recordSequentialLook(userId, testId, sequential, lookCount = null) {
+    try {
+      if (!sequential) {
+        return;
+      }
+
+      const abTest = await this.getABTest(userId, testId);
+      const updates = {
+        alpha_spent: sequential.alpha_spent,
+        interim_looks: lookCount ?? ((abTest?.interim_looks || 0) + 1),
+        updated_at: new Date().toISOString()
+      };
+
+      const { error } = await supabase
+        .from('template_ab_tests')
+        .update(updates)
+        .eq('id', testId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      // Update in-memory test
+      if (this.abTests.has(testId)) {
+        this.abTests.set(testId, { ...this.abTests.get(testId), ...updates });
+      }
+    } catch (error) {
+      logger.error('Failed to record sequential look', { error: error.message, userId });
+    }
+  }
+
+  /**
+   * Promote the winning variant's response template.
+   * The winner is enabled and the other variants' templates are disabled, so
+   * template selection falls through to the winner. Without a significant
+   * winner nothing changes.
+   */
+  async promoteWinningTemplate(userId, testId, testResults) {
+    try {
+      const winner = testResults?.winner;
+      if (!winner) {
+        logger.info('No significant winner; keeping control template', { userId, testId });
+        return { promoted: false, reason: 'no_significant_winner' };
+      }
+
+      const variants = await this.getTestVariants(userId, testId);
+      const winningVariant = variants.find(variant => variant.id === winner.variant_id);
+      if (!winningVariant?.template_id) {
+        return { promoted: false, reason: 'winner_has_no_template' };
+      }
+
+      const retiredTemplateIds = [...new Set(variants
+        .filter(variant => variant.template_id && variant.template_id !== winningVariant.template_id)
+        .map(variant => variant.template_id))];
+      const now = new Date().toISOString();
+
+      const { error: promoteError } = await supabase
+        .from('response_templates')
+        .update({ enabled: true, updated_at: now })
+        .eq('id', winningVariant.template_id)
+        .eq('user_id', userId);
+
+      if (promoteError) throw promoteError;
+
+      if (retiredTemplateIds.length > 0) {
+        const { error: retireError } = await supabase
+          .from('response_templates')
+          .update({ enabled: false, updated_at: now })
+          .in('id', retiredTemplateIds)
+          .eq('user_id', userId);
+
+        if (retireError) throw retireError;
+      }
+
+      const promotion = {
+        promoted_variant_id: winningVariant.id,
+        promoted_template_id: winningVariant.template_id,
+        promoted_at: now
+      };
+
+      const { error } = await supabase
+        .from('template_ab_tests')
+        .update(promotion)
+        .eq('id', testId)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      if (this.abTests.has(testId)) {
+        this.abTests.set(testId, { ...this.abTests.get(testId), ...promotion });
+      }
+
+      await this.logTestActivity(userId, 'template_promoted', {
+        testId,
+        variantId: winningVariant.id,
+        templateId: winningVariant.template_id,
+        retiredTemplateIds
+      });
+
+      logger.info('Winning template promoted', { userId, testId, templateId: winningVariant.template_id });
+
+      return {
+        promoted: true,
+        variantId: winningVariant.id,
+        templateId: winningVariant.template_id,
+        retiredTemplateIds
+      };
+    } catch (error) {
+      logger.error('Failed to promote winning template', { error: error.message, userId, testId });
+      return { promoted: false, error: error.message };
+    }
+  }
+
   /**
    * Analyze test results
    */
@@ -653,7 +1173,7 @@ export class TemplateABTesting {
       if (testResults.winner) {
         findings.push({
           type: 'winner',
-          message: `${testResults.winner.variant_name} performed best with a score of ${testResults.winner.performance_score.toFixed(2)}`,
+          message: `${testResults.winner.variant_name} beat control with a ${(testResults.primary_metric || 'reply_rate').replace('_', ' ')} of ${(testResults.winner.performance_score * 100).toFixed(1)}%`,
           impact: 'high'
         });
       }
@@ -684,8 +1204,12 @@ export class TemplateABTesting {
    */
   async comparePerformance(testResults) {
     try {
+      const bestPerformer = testResults.winner || (testResults.variants.length > 0
+        ? testResults.variants.reduce((best, current) => current.performance_score > best.performance_score ? current : best)
+        : null);
+
       const comparison = {
-        best_performer: testResults.winner,
+        best_performer: bestPerformer,
         worst_performer: null,
         performance_gap: 0,
         improvement_potential: 0
@@ -698,10 +1222,12 @@ export class TemplateABTesting {
         });
 
         // Calculate performance gap
-        comparison.performance_gap = testResults.winner.performance_score - comparison.worst_performer.performance_score;
+        comparison.performance_gap = bestPerformer.performance_score - comparison.worst_performer.performance_score;
 
         // Calculate improvement potential
-        comparison.improvement_potential = (comparison.performance_gap / comparison.worst_performer.performance_score) * 100;
+        comparison.improvement_potential = comparison.worst_performer.performance_score > 0
+          ? (comparison.performance_gap / comparison.worst_performer.performance_score) * 100
+          : 0;
       }
 
       return comparison;
@@ -820,6 +1346,67 @@ export class TemplateABTesting {
     }
   }
 
+  /**
+   * Store test results
+   */
+  async storeTestResults(userId, testResults) {
+    try {
+      const record = {
+        test_id: testResults.test_id,
+        user_id: userId,
+        results: testResults,
+        winner_variant_id: testResults.winner?.variant_id || null,
+        is_significant: testResults.statistical_significance?.is_significant || false,
+        generated_at: testResults.generated_at
+      };
+
+      const { error } = await supabase
+        .from('template_test_results')
+        .upsert(record, { onConflict: 'test_id' });
+
+      if (error) throw error;
+
+      // Update in-memory results
+      this.testResults.set(testResults.test_id, record);
+    } catch (error) {
+      logger.error('Failed to store test results', { error: error.message, userId });
+    }
+  }
+
+  /**
+   * Get test results
+   * Completed tests return their stored results. Running tests get a provisional
+   * analysis that does not count as a sequential look.
+   */
+  async getTestResults(userId, testId) {
+    try {
+      if (!this.testResults.has(testId)) {
+        const { data: record, error } = await supabase
+          .from('template_test_results')
+          .select('*')
+          .eq('test_id', testId)
+          .eq('user_id', userId)
+          .maybeSingle();
+
+        if (error) throw error;
+
+        if (record) {
+          this.testResults.set(testId, record);
+        }
+      }
+
+      const stored = this.testResults.get(testId);
+      if (stored?.results) {
+        return stored.results;
+      }
+
+      return { ...(await this.generateTestResults(userId, testId)), provisional: true };
+    } catch (error) {
+      logger.error('Failed to get test results', { error: error.message, userId });
+      throw error;
+    }
+  }
+
   /**
    * Get A/B test
    */
@@ -0,0 +1,375 @@
+/**
+ * Template Bandit
+ *
+ * Thompson-sampling traffic allocation for draft templates. Unlike the
+ * fixed-split tests in templateABTesting.js, a bandit keeps shifting traffic
+ * toward the templates whose drafts humans accept with the fewest edits.
+ * Bandits are scoped per business (user) and email category; every
+ * allocation is recorded with the probabilities behind it.
+ */
+
+import { logger } from './logger.js';
+import { supabase } from './customSupabaseClient.js';
+import { betaPosterior, probabilityBest } from './abTestStatistics.js';
+
+export class TemplateBandit {
+  constructor() {
+    this.bandits = new Map(); // `${userId}:${category}` -> { state: { bandit, arms }, loadedAt }
+    this.cacheTimeout = 10 * 60 * 1000; // 10 minutes
+    this.random = Math.random;
+
+    this.defaults = {
+      explorationFloor: 0.05, // Minimum share of traffic each arm keeps
+      acceptanceThreshold: 0.8, // Edit similarity at or above which a draft counts as accepted
+      posteriorDraws: 2000
+    };
+  }
+
+  /**
+   * Create (or update) a bandit for a category
+   * @param {string} userId - Business owner
+   * @param {Object} config - { category, templateIds, explorationFloor, acceptanceThreshold }
+   */
+  async createBandit(userId, config) {
+    try {
+      const templateIds = [...new Set(config.templateIds || [])];
+      if (!config.category) {
+        return { success: false, error: 'Bandit category is required' };
+      }
+      if (templateIds.length < 2) {
+        return { success: false, error: 'At least two templates are required' };
+      }
+
+      const explorationFloor = config.explorationFloor ?? this.defaults.explorationFloor;
+      if (explorationFloor < 0 || explorationFloor * templateIds.length > 1) {
+        return { success: false, error: 'Exploration floor times template count cannot exceed 1' };
+      }
+
+      const { data: bandit, error } = await supabase
+        .from('template_bandits')
+        .upsert({
+          user_id: userId,
+          category: config.category,
+          exploration_floor: explorationFloor,
+          acceptance_threshold: config.acceptanceThreshold ?? this.defaults.acceptanceThreshold,
+          status: 'active',
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id,category' })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // New arms start from a uniform prior; existing arms keep their history
+      const { error: armError } = await supabase
+        .from('template_bandit_arms')
+        .upsert(templateIds.map(templateId => ({
+          bandit_id: bandit.id,
+          user_id: userId,
+          template_id: templateId
+        })), { onConflict: 'bandit_id,template_id', ignoreDuplicates: true });
+
+      if (armError) throw armError;
+
+      this.bandits.delete(this.getCacheKey(userId, config.category));
+      logger.info('Template bandit created', { userId, category: config.category, armCount: templateIds.length });
+
+      return { success: true, bandit };
+    } catch (error) {
+      logger.error('Failed to create template bandit', { error: error.message, userId });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pick a template for a draft by Thompson sampling
+   * @returns {Promise<Object|null>} { allocationId, templateId, probability } or null if no active bandit
+   */
+  async selectTemplate(userId, category, emailId = null) {
+    try {
+      if (!category) {
+        return null;
+      }
+
+      const state = await this.loadBandit(userId, category);
+      if (!state || state.arms.length === 0) {
+        return null;
+      }
+
+      const allocation = this.calculateAllocation(state.arms, state.bandit.exploration_floor);
+      const templateId = this.sampleArm(allocation.probabilities);
+      const arm = state.arms.find(a => a.template_id === templateId);
+
+      const { data: record, error } = await supabase
+        .from('template_bandit_allocations')
+        .insert({
+          bandit_id: state.bandit.id,
+          user_id: userId,
+          category,
+          template_id: templateId,
+          email_id: emailId,
+          allocation_probabilities: allocation.probabilities,
+          posterior_means: allocation.posteriorMeans
+        })
+        .select('id')
+        .single();
+
+      if (error) throw error;
+
+      arm.pulls = (arm.pulls || 0) + 1;
+      const { error: armError } = await supabase
+        .from('template_bandit_arms')
+        .update({ pulls: arm.pulls, last_pulled_at: new Date().toISOString() })
+        .eq('id', arm.id);
+
+      if (armError) {
+        logger.warn('Failed to update bandit arm pulls', { error: armError.message, userId, armId: arm.id });
+      }
+
+      return {
+        allocationId: record.id,
+        templateId,
+        probability: allocation.probabilities[templateId]
+      };
+    } catch (error) {
+      logger.error('Failed to select bandit template', { error: error.message, userId, category });
+      return null;
+    }
+  }
+
+  /**
+   * Record the human verdict on a draft
+   * @param {string} userId
+   * @param {string} allocationId - From selectTemplate
+   * @param {number} editSimilarity - 1 - normalized edit distance between draft and sent reply
+   */
+  async recordReward(userId, allocationId, editSimilarity) {
+    try {
+      const { data: allocation, error } = await supabase
+        .from('template_bandit_allocations')
+        .select('*, template_bandits(acceptance_threshold)')
+        .eq('id', allocationId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) throw error;
+
+      if (allocation.rewarded_at) {
+        return { success: true, skipped: true, reason: 'Allocation already rewarded' };
+      }
+
+      const threshold = allocation.template_bandits?.acceptance_threshold ?? this.defaults.acceptanceThreshold;
+      const accepted = editSimilarity >= threshold;
+      const now = new Date().toISOString();
+
+      const { error: allocationError } = await supabase
+        .from('template_bandit_allocations')
+        .update({ accepted, edit_similarity: editSimilarity, rewarded_at: now })
+        .eq('id', allocationId);
+
+      if (allocationError) throw allocationError;
+
+      const { data: arm, error: armError } = await supabase
+        .from('template_bandit_arms')
+        .select('*')
+        .eq('bandit_id', allocation.bandit_id)
+        .eq('template_id', allocation.template_id)
+        .single();
+
+      if (armError) throw armError;
+
+      const { error: updateError } = await supabase
+        .from('template_bandit_arms')
+        .update({
+          successes: (arm.successes || 0) + (accepted ? 1 : 0),
+          failures: (arm.failures || 0) + (accepted ? 0 : 1),
+          last_rewarded_at: now
+        })
+        .eq('id', arm.id);
+
+      if (updateError) throw updateError;
+
+      this.bandits.delete(this.getCacheKey(userId, allocation.category));
+
+      return { success: true, accepted, templateId: allocation.template_id };
+    } catch (error) {
+      logger.error('Failed to record bandit reward', { error: error.message, userId, allocationId });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Allocation probabilities: P(arm is best) under the Beta posteriors, mixed
+   * with a uniform floor so no arm stops being explored
+   */
+  calculateAllocation(arms, explorationFloor = this.defaults.explorationFloor) {
+    const posteriors = arms.map(arm => betaPosterior(arm.successes || 0, (arm.successes || 0) + (arm.failures || 0)));
+    const { probabilityBest: best } = probabilityBest(posteriors, { draws: this.defaults.posteriorDraws });
+    const floor = Math.min(explorationFloor || 0, 1 / arms.length);
+    const remaining = 1 - floor * arms.length;
+
+    const probabilities = {};
+    const posteriorMeans = {};
+    arms.forEach((arm, i) => {
+      probabilities[arm.template_id] = floor + remaining * best[i];
+      posteriorMeans[arm.template_id] = posteriors[i].mean;
+    });
+
+    return { probabilities, posteriorMeans };
+  }
+
+  /**
+   * Draw a template ID from allocation probabilities
+   */
+  sampleArm(probabilities) {
+    const entries = Object.entries(probabilities);
+    let draw = this.random();
+
+    for (const [templateId, probability] of entries) {
+      draw -= probability;
+      if (draw < 0) {
+        return templateId;
+      }
+    }
+
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Current arm statistics, explaining the allocation
+   */
+  async getArmStats(userId, category) {
+    try {
+      const state = await this.loadBandit(userId, category, { force: true });
+      if (!state) {
+        return null;
+      }
+
+      const allocation = this.calculateAllocation(state.arms, state.bandit.exploration_floor);
+
+      return {
+        bandit: state.bandit,
+        arms: state.arms.map(arm => {
+          const posterior = betaPosterior(arm.successes || 0, (arm.successes || 0) + (arm.failures || 0));
+          return {
+            templateId: arm.template_id,
+            pulls: arm.pulls || 0,
+            accepted: arm.successes || 0,
+            rejected: arm.failures || 0,
+            acceptanceRate: posterior.mean,
+            credibleInterval: posterior.credibleInterval,
+            allocationProbability: allocation.probabilities[arm.template_id]
+          };
+        })
+      };
+    } catch (error) {
+      logger.error('Failed to get bandit arm stats', { error: error.message, userId, category });
+      return null;
+    }
+  }
+
+  /**
+   * Allocation history: each draft's chosen template, the probabilities it
+   * was chosen with, and the outcome
+   */
+  async getAllocationHistory(userId, category, options = {}) {
+    try {
+      let query = supabase
+        .from('template_bandit_allocations')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('category', category)
+        .order('created_at', { ascending: false })
+        .limit(options.limit || 100);
+
+      if (options.since) {
+        query = query.gte('created_at', options.since);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get bandit allocation history', { error: error.message, userId, category });
+      return [];
+    }
+  }
+
+  /**
+   * Pause or resume a bandit
+   */
+  async setBanditStatus(userId, category, status) {
+    try {
+      const { error } = await supabase
+        .from('template_bandits')
+        .update({ status, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('category', category);
+
+      if (error) throw error;
+
+      this.bandits.delete(this.getCacheKey(userId, category));
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to update bandit status', { error: error.message, userId, category });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Load an active bandit and its arms on enabled templates
+   */
+  async loadBandit(userId, category, options = {}) {
+    const cacheKey = this.getCacheKey(userId, category);
+    const cached = this.bandits.get(cacheKey);
+    if (!options.force && cached && Date.now() - cached.loadedAt < this.cacheTimeout) {
+      return cached.state;
+    }
+
+    const { data: bandit, error } = await supabase
+      .from('template_bandits')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('category', category)
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    let state = null;
+    if (bandit) {
+      const { data: arms, error: armError } = await supabase
+        .from('template_bandit_arms')
+        .select('*')
+        .eq('bandit_id', bandit.id);
+
+      if (armError) throw armError;
+
+      // Templates disabled since the bandit started (e.g. retired by an A/B test) get no traffic
+      const { data: enabledTemplates, error: templateError } = await supabase
+        .from('response_templates')
+        .select('id')
+        .in('id', (arms || []).map(arm => arm.template_id))
+        .eq('user_id', userId)
+        .eq('enabled', true);
+
+      if (templateError) throw templateError;
+
+      const enabledIds = new Set((enabledTemplates || []).map(template => template.id));
+      state = { bandit, arms: (arms || []).filter(arm => enabledIds.has(arm.template_id)) };
+    }
+
+    this.bandits.set(cacheKey, { state, loadedAt: Date.now() });
+    return state;
+  }
+
+  getCacheKey(userId, category) {
+    return `${userId}:${category}`;
+  }
+}
+
+export const templateBandit = new TemplateBandit();
+
+export default TemplateBandit;
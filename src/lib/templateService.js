@@ -347,7 +347,9 @@ export const injectOnboardingData = async (clientData) => {
         businessInfo,
         clientData.managers || [],
         clientData.suppliers || [],
-        clientData.email_labels || null  // Pass actual labels created in email system
+        clientData.email_labels || null,  // Pass actual labels created in email system
+        ['all'],
+        clientData.fewShotExamples || []  // Business's own corrections as few-shot cases
       );
       aiPlaceholders['<<<AI_SYSTEM_MESSAGE>>>'] = productionClassifier;
       console.log('✅ Production-style classifier generated with tertiary categories, special rules, and auto-reply logic');
@@ -160,9 +160,10 @@ export const getVoiceProfileSummary = (voiceProfile) => {
  * @param {string} aiDraft - AI-generated draft
  * @param {string} humanResponse - Human-edited response
  * @param {string} category - Email category
+ * @param {object} metadata - Extra metadata, e.g. banditAllocationId from the draft's template allocation
  * @returns {Promise<object>} - Recording result
  */
-export const recordDraftComparison = async (userId, emailId, aiDraft, humanResponse, category) => {
+export const recordDraftComparison = async (userId, emailId, aiDraft, humanResponse, category, metadata = {}) => {
   try {
     // Import learning loop dynamically to avoid circular dependencies
     const { learningLoop } = await import('./learningLoop.js');
@@ -174,8 +175,9 @@ export const recordDraftComparison = async (userId, emailId, aiDraft, humanRespo
       humanResponse,
       category,
       {
-        timestamp: new Date().toISOString(),
-        source: 'n8n_workflow'
+        source: 'n8n_workflow',
+        ...metadata,
+        timestamp: new Date().toISOString()
       }
     );
     
@@ -13,6 +13,8 @@ import { n8nPreDeploymentValidator } from './n8nPreDeploymentValidator.js';
 import { n8nCredentialCreator } from './n8nCredentialCreator.js';
 import { n8nHealthChecker } from './n8nHealthChecker.js';
 import { getTemplateForBusinessType, injectOnboardingData } from './templateService.js';
+import { fetchClassifierFewShotExamples } from './classifierFewShotExamples.js';
+import { diffWorkflows, describeWorkflowDiff, stripServerGeneratedNodes } from './workflowDiff.js';
 import { OnboardingDataAggregator } from './onboardingDataAggregator.js';
 import { mapClientConfigToN8n } from './n8nConfigMapper.js';
 import { createN8nCredentialsWithBusinessName } from './createN8nCredentials.js';
@@ -231,15 +233,13 @@ export class WorkflowDeployer {
   }
 
   /**
-   * Deploy workflow to N8N via backend API with template injection
+   * Render the workflow that a deployment would push, from the template plus the current profile
+   * Shared by deployToN8n and previewRedeployment so dry-runs see exactly what would be deployed
    * @param {string} userId - User ID
-   * @param {Object} workflowData - Workflow configuration data (optional, will be generated from template)
-   * @returns {Promise<Object>} Deployed workflow information
+   * @returns {Promise<Object>} Injected workflow and the client data it was rendered from
    */
-  async deployToN8n(userId, workflowData) {
+  async renderWorkflowForUser(userId) {
     try {
-      console.log('📝 Deploying workflow via backend API with template injection...');
-      
       // Step 1: Get comprehensive onboarding data with voice profile integration
       console.log('📊 Step 1: Retrieving complete profile data (including voice training)...');
       
@@ -470,6 +470,9 @@ export class WorkflowDeployer {
         // Voice profile (NEW - from voice training system)
         voiceProfile: onboardingData.voiceProfile || null,
         
+        // Few-shot examples from the business's own classification corrections
+        fewShotExamples: await fetchClassifierFewShotExamples(supabase, userId),
+        
         // Integrations (credential IDs) - USE REAL CREDENTIALS FETCHED FROM DATABASE
         integrations: realIntegrations
       };
@@ -528,6 +531,25 @@ export class WorkflowDeployer {
         hasConnections: !!injectedWorkflow.connections
       });
       
+      return { injectedWorkflow, completeClientData, provider, capturedData, realIntegrations };
+    } catch (error) {
+      console.error('❌ Workflow rendering failed:', error);
+      throw new Error(`Workflow rendering failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deploy workflow to N8N via backend API with template injection
+   * @param {string} userId - User ID
+   * @param {Object} workflowData - Workflow configuration data (optional, will be generated from template)
+   * @returns {Promise<Object>} Deployed workflow information
+   */
+  async deployToN8n(userId, workflowData) {
+    try {
+      console.log('📝 Deploying workflow via backend API with template injection...');
+      
+      const { injectedWorkflow, completeClientData, provider, capturedData, realIntegrations } = await this.renderWorkflowForUser(userId);
+      
       // Step 5: Prepare deployment payload with injected workflow
       
       console.log('📋 Deployment details:', {
@@ -1482,13 +1504,82 @@ return {
     }
   }
 
+  /**
+   * Preview a redeployment without touching n8n or the database
+   * Renders the workflow from the template plus the current profile and diffs it against
+   * the JSON currently deployed in n8n. Nodes and prompt sections the deploy-n8n Edge
+   * Function adds server-side (PII redaction, department scope) are stripped from the
+   * deployed copy first so they are not reported as removals.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Dry-run result with a structural diff
+   */
+  async previewRedeployment(userId) {
+    try {
+      console.log('🔎 Previewing workflow redeployment for user:', userId);
+
+      const { data: existingWorkflow, error: fetchError } = await supabase
+        .from('workflows')
+        .select('n8n_workflow_id, version')
+        .eq('user_id', userId)
+        .eq('status', 'active')
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .single();
+
+      if (fetchError && fetchError.code !== 'PGRST116') {
+        throw new Error(`Failed to fetch existing workflow: ${fetchError.message}`);
+      }
+
+      const { injectedWorkflow } = await this.renderWorkflowForUser(userId);
+
+      let currentWorkflow = null;
+      let currentSource = 'none';
+      if (existingWorkflow?.n8n_workflow_id) {
+        try {
+          const { data } = await this.apiClient.getWorkflow(existingWorkflow.n8n_workflow_id);
+          currentWorkflow = data;
+          currentSource = 'n8n';
+        } catch (n8nError) {
+          if (n8nError.message.includes('404') || n8nError.message.includes('Not Found')) {
+            console.warn('⚠️ Active workflow not found in n8n, previewing as a fresh deployment');
+            currentSource = 'missing';
+          } else {
+            throw new Error(`Failed to fetch deployed workflow from n8n: ${n8nError.message}`);
+          }
+        }
+      }
+
+      const diff = diffWorkflows(stripServerGeneratedNodes(currentWorkflow), injectedWorkflow);
+      console.log('📋 Redeployment preview:', describeWorkflowDiff(diff));
+
+      return {
+        success: true,
+        dryRun: true,
+        currentWorkflowId: existingWorkflow?.n8n_workflow_id || null,
+        currentVersion: existingWorkflow?.version || null,
+        currentSource,
+        renderedWorkflow: injectedWorkflow,
+        diff,
+        description: describeWorkflowDiff(diff)
+      };
+    } catch (error) {
+      console.error('❌ Workflow redeployment preview failed:', error);
+      throw new Error(`Workflow redeployment preview failed: ${error.message}`);
+    }
+  }
+
   /**
    * Redeploy workflow - Delete old workflow and deploy new one with updated configuration
    * @param {string} userId - User ID
    * @param {Object} workflowData - Updated workflow configuration data
+   * @param {Object} options - { dryRun: true } returns previewRedeployment() without deploying
    * @returns {Promise<Object>} New deployed workflow information
    */
-  async redeployWorkflow(userId, workflowData) {
+  async redeployWorkflow(userId, workflowData, { dryRun = false } = {}) {
+    if (dryRun) {
+      return this.previewRedeployment(userId);
+    }
+
     try {
       console.log('🔄 Starting workflow redeployment for user:', userId);
 
@@ -1557,9 +1648,14 @@ return {
    * Redeploy workflow with archive option (deactivate and archive old, deploy new)
    * @param {string} userId - User ID
    * @param {Object} workflowData - Updated workflow configuration data
+   * @param {Object} options - { dryRun: true } returns previewRedeployment() without deploying
    * @returns {Promise<Object>} New deployed workflow information
    */
-  async redeployWorkflowWithArchive(userId, workflowData) {
+  async redeployWorkflowWithArchive(userId, workflowData, { dryRun = false } = {}) {
+    if (dryRun) {
+      return this.previewRedeployment(userId);
+    }
+
     try {
       console.log('🔄 Starting workflow redeployment with archive option...');
 
@@ -0,0 +1,326 @@
+/**
+ * Workflow Diff
+ * Structural diff between a deployed n8n workflow and a freshly rendered one,
+ * used by WorkflowDeployer dry-run redeploys so nothing is pushed blind.
+ *
+ * Nodes are matched by name (n8n connections reference names), falling back to
+ * node id to detect renames. Layout-only fields (position, webhookId) are ignored.
+ */
+
+import { REDACT_NODE_PREFIX, RESTORE_NODE_PREFIX } from '../../backend/src/lib/piiRedaction.js';
+
+// Long-form text parameters reported as prompt changes rather than parameter changes
+const PROMPT_KEYS = ['systemMessage', 'text', 'prompt'];
+
+const IGNORED_NODE_FIELDS = ['position', 'webhookId', 'id', 'notes', 'notesInFlow'];
+
+// LCS tables above this size fall back to a set-based line comparison
+const MAX_LCS_CELLS = 250000;
+
+// Department scope block deploy-n8n appends to server-rendered classifier prompts
+const DEPARTMENT_SCOPE_SECTION = /\n*━+\n🎯 DEPARTMENT SCOPE RESTRICTION[\s\S]*$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const flattenParameters = (value, prefix = '', out = {}) => {
+  if (isPlainObject(value) && (Object.keys(value).length > 0 || !prefix)) {
+    Object.entries(value).forEach(([key, child]) => {
+      flattenParameters(child, prefix ? `${prefix}.${key}` : key, out);
+    });
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+const isPromptPath = (path, before, after) => {
+  const key = path.split('.').pop();
+  return PROMPT_KEYS.includes(key) && (typeof before === 'string' || typeof after === 'string');
+};
+
+/**
+ * Line-level diff of two prompt texts
+ * @param {string} before
+ * @param {string} after
+ * @returns {{added: string[], removed: string[]}}
+ */
+export function diffLines(before = '', after = '') {
+  const a = String(before ?? '').split('\n');
+  const b = String(after ?? '').split('\n');
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    const inA = new Set(a);
+    const inB = new Set(b);
+    return {
+      added: b.filter(line => !inA.has(line)),
+      removed: a.filter(line => !inB.has(line))
+    };
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      removed.push(a[i++]);
+    } else {
+      added.push(b[j++]);
+    }
+  }
+  removed.push(...a.slice(i));
+  added.push(...b.slice(j));
+
+  return { added, removed };
+}
+
+const flattenConnections = (connections = {}) => {
+  const edges = new Map();
+  Object.entries(connections || {}).forEach(([from, byType]) => {
+    Object.entries(byType || {}).forEach(([connectionType, outputs]) => {
+      (outputs || []).forEach((targets, output) => {
+        (targets || []).forEach(target => {
+          if (!target?.node) return;
+          const edge = { from, output, to: target.node, type: target.type || connectionType, index: target.index || 0 };
+          edges.set(`${from}#${connectionType}#${output}->${edge.to}#${edge.type}#${edge.index}`, edge);
+        });
+      });
+    });
+  });
+  return edges;
+};
+
+const matchNodes = (currentNodes, nextNodes) => {
+  const byName = new Map(currentNodes.map(node => [node.name, node]));
+  const byId = new Map(currentNodes.filter(node => node.id).map(node => [node.id, node]));
+  const pairs = [];
+  const matched = new Set();
+
+  nextNodes.forEach(node => {
+    let current = byName.get(node.name);
+    if (!current && node.id && byId.has(node.id) && !nextNodes.some(n => n.name === byId.get(node.id).name)) {
+      current = byId.get(node.id);
+    }
+    if (current && !matched.has(current)) {
+      matched.add(current);
+      pairs.push([current, node]);
+    } else {
+      pairs.push([null, node]);
+    }
+  });
+
+  currentNodes.filter(node => !matched.has(node)).forEach(node => pairs.push([node, null]));
+  return pairs;
+};
+
+const summarizeNode = (node) => ({ name: node.name, type: node.type });
+
+const diffCredentials = (node, current = {}, next = {}) => {
+  const keys = new Set([...Object.keys(current || {}), ...Object.keys(next || {})]);
+  return [...keys]
+    .filter(key => (current?.[key]?.id || null) !== (next?.[key]?.id || null))
+    .map(key => ({
+      node: node.name,
+      credentialType: key,
+      before: current?.[key] ? { id: current[key].id || null, name: current[key].name || null } : null,
+      after: next?.[key] ? { id: next[key].id || null, name: next[key].name || null } : null
+    }));
+};
+
+/**
+ * Remove what the deploy-n8n Edge Function adds on top of the rendered workflow
+ * Deployed workflows carry PII redact/restore Code nodes around every AI agent and,
+ * when rendered server-side, a department scope block in the classifier prompt. The
+ * client render has neither, so they are taken out of the deployed copy before diffing
+ * instead of showing up as removals on every preview.
+ * @param {Object|null} workflow - Workflow JSON as deployed in n8n
+ * @returns {Object|null} Copy without server-generated nodes, rewired around them
+ */
+export function stripServerGeneratedNodes(workflow) {
+  if (!workflow) return workflow;
+
+  const isGenerated = (name) => name?.startsWith(REDACT_NODE_PREFIX) || name?.startsWith(RESTORE_NODE_PREFIX);
+  const copy = JSON.parse(JSON.stringify(workflow));
+  const connections = copy.connections || {};
+
+  (copy.nodes || []).filter(node => isGenerated(node.name)).forEach(node => {
+    if (node.name.startsWith(RESTORE_NODE_PREFIX)) {
+      // The agent's outputs were handed to the restore node
+      const agentName = node.name.slice(RESTORE_NODE_PREFIX.length);
+      if (connections[agentName]) {
+        connections[agentName] = { ...connections[agentName], main: connections[node.name]?.main || [[]] };
+      }
+    } else {
+      const agentName = node.name.slice(REDACT_NODE_PREFIX.length);
+      Object.values(connections).forEach(byType => {
+        Object.values(byType || {}).forEach(outputs => {
+          (outputs || []).forEach(targets => {
+            (targets || []).forEach(target => {
+              if (target?.node === node.name) target.node = agentName;
+            });
+          });
+        });
+      });
+    }
+  });
+
+  (copy.nodes || []).filter(node => isGenerated(node.name)).forEach(node => delete connections[node.name]);
+  copy.nodes = (copy.nodes || []).filter(node => !isGenerated(node.name));
+
+  copy.nodes.forEach(node => {
+    const systemMessage = node.parameters?.options?.systemMessage;
+    if (typeof systemMessage === 'string' && DEPARTMENT_SCOPE_SECTION.test(systemMessage)) {
+      node.parameters.options.systemMessage = systemMessage.replace(DEPARTMENT_SCOPE_SECTION, '');
+    }
+  });
+
+  return copy;
+}
+
+/**
+ * Diff a deployed workflow against a newly rendered one
+ * @param {Object|null} current - Workflow JSON currently deployed in n8n (null for a first deploy)
+ * @param {Object} next - Workflow JSON that would be pushed
+ * @returns {Object} Structural diff with a summary suitable for a confirmation UI
+ */
+export function diffWorkflows(current, next) {
+  const currentNodes = current?.nodes || [];
+  const nextNodes = next?.nodes || [];
+
+  const nodes = { added: [], removed: [], renamed: [], changed: [] };
+  const prompts = [];
+  const credentials = [];
+
+  matchNodes(currentNodes, nextNodes).forEach(([before, after]) => {
+    if (!before) {
+      nodes.added.push(summarizeNode(after));
+      return;
+    }
+    if (!after) {
+      nodes.removed.push(summarizeNode(before));
+      return;
+    }
+
+    if (before.name !== after.name) {
+      nodes.renamed.push({ from: before.name, to: after.name, type: after.type });
+    }
+
+    const changes = [];
+    Object.keys({ ...before, ...after })
+      .filter(field => !['parameters', 'credentials', 'name', ...IGNORED_NODE_FIELDS].includes(field))
+      .forEach(field => {
+        if (stableStringify(before[field]) !== stableStringify(after[field])) {
+          changes.push({ path: field, before: before[field] ?? null, after: after[field] ?? null });
+        }
+      });
+
+    const beforeParams = flattenParameters(before.parameters || {});
+    const afterParams = flattenParameters(after.parameters || {});
+    Object.keys({ ...beforeParams, ...afterParams }).sort().forEach(path => {
+      const was = beforeParams[path];
+      const now = afterParams[path];
+      if (stableStringify(was) === stableStringify(now)) return;
+
+      if (isPromptPath(path, was, now)) {
+        const lines = diffLines(was || '', now || '');
+        prompts.push({
+          node: after.name,
+          field: `parameters.${path}`,
+          beforeLength: (was || '').length,
+          afterLength: (now || '').length,
+          ...lines
+        });
+      } else {
+        changes.push({ path: `parameters.${path}`, before: was ?? null, after: now ?? null });
+      }
+    });
+
+    credentials.push(...diffCredentials(after, before.credentials, after.credentials));
+
+    if (changes.length > 0) {
+      nodes.changed.push({ ...summarizeNode(after), changes });
+    }
+  });
+
+  const currentEdges = flattenConnections(current?.connections);
+  const nextEdges = flattenConnections(next?.connections);
+  const connections = {
+    added: [...nextEdges].filter(([key]) => !currentEdges.has(key)).map(([, edge]) => edge),
+    removed: [...currentEdges].filter(([key]) => !nextEdges.has(key)).map(([, edge]) => edge)
+  };
+
+  const settings = Object.keys(next?.settings || {})
+    .filter(key => stableStringify(current?.settings?.[key]) !== stableStringify(next.settings[key]))
+    .map(key => ({ key, before: current?.settings?.[key] ?? null, after: next.settings[key] }));
+
+  const summary = {
+    isNewDeployment: !current,
+    nameChanged: !!current && current.name !== next?.name,
+    nodesAdded: nodes.added.length,
+    nodesRemoved: nodes.removed.length,
+    nodesRenamed: nodes.renamed.length,
+    nodesChanged: nodes.changed.length,
+    promptChanges: prompts.length,
+    credentialChanges: credentials.length,
+    connectionChanges: connections.added.length + connections.removed.length,
+    settingsChanges: settings.length
+  };
+
+  const hasChanges = summary.isNewDeployment || summary.nameChanged || Object.entries(summary)
+    .some(([key, value]) => typeof value === 'number' && value > 0 && key !== 'isNewDeployment');
+
+  return {
+    hasChanges,
+    summary,
+    name: { before: current?.name ?? null, after: next?.name ?? null },
+    nodes,
+    prompts,
+    credentials,
+    connections,
+    settings
+  };
+}
+
+/**
+ * One-line description of a diff for logs and confirmation prompts
+ * @param {Object} diff - Result of diffWorkflows
+ * @returns {string}
+ */
+export function describeWorkflowDiff(diff) {
+  if (!diff) return 'No diff available';
+  if (diff.summary.isNewDeployment) return 'No workflow is currently deployed - this will be a fresh deployment';
+  if (!diff.hasChanges) return 'No changes - the deployed workflow already matches';
+
+  const { summary } = diff;
+  const parts = [
+    summary.nameChanged && 'workflow renamed',
+    summary.nodesAdded && `${summary.nodesAdded} node(s) added`,
+    summary.nodesRemoved && `${summary.nodesRemoved} node(s) removed`,
+    summary.nodesRenamed && `${summary.nodesRenamed} node(s) renamed`,
+    summary.nodesChanged && `${summary.nodesChanged} node(s) changed`,
+    summary.promptChanges && `${summary.promptChanges} prompt(s) changed`,
+    summary.credentialChanges && `${summary.credentialChanges} credential swap(s)`,
+    summary.connectionChanges && `${summary.connectionChanges} connection change(s)`,
+    summary.settingsChanges && `${summary.settingsChanges} setting(s) changed`
+  ].filter(Boolean);
+
+  return parts.join(', ');
+}
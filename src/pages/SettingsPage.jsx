@@ -25,6 +25,7 @@ import { supabase } from '@/lib/customSupabaseClient';
 import Logo from '@/components/Logo';
 import { useNavigate } from 'react-router-dom';
 import OutlookHelpGuide from '@/components/OutlookHelpGuide';
+import RetentionReport from '@/components/RetentionReport';
 
 const SettingsPage = () => {
   const { user, signOut, signInWithOAuth } = useAuth();
@@ -562,6 +563,20 @@ const SettingsPage = () => {
             </div>
           </div>
         </motion.div>
+
+        {/* Data Retention */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6, delay: 0.5 }}
+          className="bg-white rounded-2xl p-6 mb-8 border border-gray-200 shadow-lg"
+        >
+          <h2 className="text-xl font-bold text-gray-800 mb-2">Data Retention</h2>
+          <p className="text-gray-600 mb-4">
+            How long FloWorx keeps your email data. Older data is purged daily; analytics keep working on anonymized records.
+          </p>
+          <RetentionReport userId={user?.id} />
+        </motion.div>
       </main>
 
       {/* Help Guide Modal */}
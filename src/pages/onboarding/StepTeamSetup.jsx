@@ -2,7 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { Helmet } from 'react-helmet-async';
-import { Users, Briefcase, Info, PlusCircle, XCircle, Loader2, ArrowLeft, Mail, MailX } from 'lucide-react';
+import { Users, Briefcase, Info, PlusCircle, XCircle, Loader2, ArrowLeft, Mail, MailX, AlertTriangle, Undo2 } from 'lucide-react';
 import { useAuth } from '@/contexts/SupabaseAuthContext';
 import { businessPresets } from '@/lib/businessPresets';
 import { supabase } from '@/lib/customSupabaseClient';
@@ -14,11 +14,103 @@ import { useNavigate } from 'react-router-dom';
 import { useOnboardingData } from '@/lib/onboardingDataAggregator';
 import { provisionLabelSchemaFor } from '@/lib/labelProvisionService';
 import { emailVoiceAnalyzer } from '@/lib/emailVoiceAnalyzer';
-import { TeamReconfigurationManager } from '@/lib/teamReconfigurationManager';
+import { TeamReconfigurationManager, UNDO_WINDOW_HOURS } from '@/lib/teamReconfigurationManager';
 import { AVAILABLE_ROLES } from '@/constants/managerRoles';
 
 const MAX_MANAGERS = 5;
 const MAX_SUPPLIERS = 10;
+const MAX_PROMPT_LINES = 10;
+
+function TeamReconfigurationPlan({ plan, isLoading, onConfirm, onCancel }) {
+  return (
+    <div className="mt-8 p-5 bg-amber-50 border border-amber-300 rounded-lg space-y-4">
+      <div className="flex items-start gap-3">
+        <AlertTriangle className="w-6 h-6 text-amber-600 mt-0.5 flex-shrink-0" />
+        <div>
+          <h3 className="font-semibold text-gray-800">Review team changes before they are applied</h3>
+          <p className="text-sm text-gray-600">
+            Removing team members deletes their email labels and updates your AI instructions.
+            You can undo this for {UNDO_WINDOW_HOURS} hours.
+          </p>
+        </div>
+      </div>
+
+      {(plan.removedManagers.length > 0 || plan.removedSuppliers.length > 0) && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-1">Removed</h4>
+          <ul className="text-sm text-gray-700 list-disc list-inside">
+            {plan.removedManagers.map(m => <li key={`manager-${m.email || m.name}`}>Manager: {m.name}{m.email ? ` (${m.email})` : ''}</li>)}
+            {plan.removedSuppliers.map(s => <li key={`supplier-${s.name}`}>Supplier: {s.name}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {plan.labels.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-1">Labels / folders to delete</h4>
+          <ul className="text-sm text-gray-700 list-disc list-inside">
+            {plan.labels.map(item => (
+              <li key={`${item.type}-${item.label}`}>
+                {item.label}{item.reassignTo ? ` → reassigned to ${item.reassignTo.name}` : ''}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {plan.emailReassignments.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-1">Emails to reassign</h4>
+          <ul className="text-sm text-gray-700 list-disc list-inside">
+            {plan.emailReassignments.map(item => (
+              <li key={`${item.type}-${item.name}`}>
+                {item.type === 'manager'
+                  ? `${item.count} email(s) assigned to ${item.name} → ${item.to ? item.to.name : 'Unassigned'}`
+                  : `${item.count} email(s) lose the ${item.name} supplier tag`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {plan.promptChanges.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-1">AI prompt changes</h4>
+          {plan.promptChanges.map(prompt => (
+            <details key={`${prompt.node}-${prompt.field}`} className="text-sm text-gray-700">
+              <summary className="cursor-pointer">{prompt.node}: +{prompt.added.length} / -{prompt.removed.length} lines</summary>
+              <pre className="mt-2 p-2 bg-white border border-gray-200 rounded text-xs whitespace-pre-wrap">
+                {[
+                  ...prompt.removed.slice(0, MAX_PROMPT_LINES).map(line => `- ${line}`),
+                  ...prompt.added.slice(0, MAX_PROMPT_LINES).map(line => `+ ${line}`)
+                ].join('\n')}
+              </pre>
+            </details>
+          ))}
+        </div>
+      )}
+
+      {plan.ruleChanges.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-800 mb-1">Routing / escalation rule changes</h4>
+          <ul className="text-sm text-gray-700 list-disc list-inside">
+            {plan.ruleChanges.map(rule => <li key={rule.key}>{rule.key} updated</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <Button variant="outline" onClick={onCancel} disabled={isLoading} className="text-gray-700 border-gray-300 hover:bg-gray-100">
+          Cancel
+        </Button>
+        <Button variant="destructive" onClick={onConfirm} disabled={isLoading}>
+          {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+          Confirm and apply changes
+        </Button>
+      </div>
+    </div>
+  );
+}
 
 const StepTeamSetup = () => {
   const { user } = useAuth();
@@ -29,12 +121,31 @@ const StepTeamSetup = () => {
   const [businessType, setBusinessType] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [errors, setErrors] = useState({ managers: [], suppliers: [] });
+  const [reconfiguration, setReconfiguration] = useState(null);
+  const [undoableChange, setUndoableChange] = useState(null);
+  const [isUndoing, setIsUndoing] = useState(false);
 
   // Scroll to top when component mounts
   useEffect(() => {
     window.scrollTo({ top: 0, behavior: 'smooth' });
   }, []);
 
+  const applyProfileTeam = (data) => {
+    if (data.managers && data.managers.length > 0) {
+      // CRITICAL: Normalize managers to ensure roles is always an array
+      const normalizedManagers = data.managers.map(m => ({
+        name: m.name || '',
+        email: m.email || '',
+        roles: Array.isArray(m.roles) ? m.roles : (m.role ? [m.role] : []),
+        forward_enabled: m.forward_enabled !== undefined ? m.forward_enabled : (!!m.email)
+      }));
+      setManagers(normalizedManagers);
+    }
+    if (data.suppliers && data.suppliers.length > 0) {
+      setSuppliers(data.suppliers.map(s => ({ ...s, domains: Array.isArray(s.domains) ? s.domains.join(', ') : s.domains })));
+    }
+  };
+
   useEffect(() => {
     const fetchProfile = async () => {
       if (!user) return;
@@ -48,21 +159,12 @@ const StepTeamSetup = () => {
       if (error && error.code !== 'PGRST116') {
         console.error('Error fetching profile:', error);
       } else if (data) {
-        if (data.managers && data.managers.length > 0) {
-          // CRITICAL: Normalize managers to ensure roles is always an array
-          const normalizedManagers = data.managers.map(m => ({
-            name: m.name || '',
-            email: m.email || '',
-            roles: Array.isArray(m.roles) ? m.roles : (m.role ? [m.role] : []),
-            forward_enabled: m.forward_enabled !== undefined ? m.forward_enabled : (!!m.email)
-          }));
-          setManagers(normalizedManagers);
-        }
-        if (data.suppliers && data.suppliers.length > 0) {
-          setSuppliers(data.suppliers.map(s => ({ ...s, domains: Array.isArray(s.domains) ? s.domains.join(', ') : s.domains })));
-        }
+        applyProfileTeam(data);
         setBusinessType(data.business_type || '');
       }
+
+      // Offer to revert a recent team change
+      setUndoableChange(await new TeamReconfigurationManager(user.id).getUndoableReconfiguration());
       setIsLoading(false);
     };
     fetchProfile();
@@ -210,7 +312,7 @@ const StepTeamSetup = () => {
     const isReconfigure = await detectTeamChanges(finalManagers, finalSuppliers);
     
     if (isReconfigure) {
-      console.log('🔄 Team changes detected, handling reconfiguration...');
+      console.log('🔄 Team changes detected, planning reconfiguration...');
       
       try {
         // Get current team data for comparison
@@ -230,33 +332,113 @@ const StepTeamSetup = () => {
           suppliers: finalSuppliers
         };
 
-        // Handle team reconfiguration with proper userId
+        // Nothing is deleted until the user confirms the plan
         const teamReconfigurationManager = new TeamReconfigurationManager(user.id);
-        const reconfigResult = await teamReconfigurationManager.handleTeamReconfiguration(
+        const { requiresConfirmation, plan } = await teamReconfigurationManager.handleTeamReconfiguration(
           currentTeam,
           newTeam
         );
-        
-        console.log('✅ Team reconfiguration completed:', reconfigResult);
-        
-        // Show reconfiguration summary
-        toast({
-          title: 'Team Updated Successfully!',
-          description: `Removed ${reconfigResult.removedManagers.length} managers and ${reconfigResult.removedSuppliers.length} suppliers. Labels and workflows updated.`,
-          duration: 5000
-        });
-        
+
+        if (requiresConfirmation) {
+          setReconfiguration({ plan, currentTeam, newTeam });
+          setIsLoading(false);
+          return;
+        }
       } catch (error) {
-        console.error('❌ Team reconfiguration failed:', error);
+        console.error('❌ Failed to plan team reconfiguration:', error);
+        setIsLoading(false);
         toast({
           variant: 'destructive',
-          title: 'Reconfiguration Warning',
-          description: 'Team updated but some cleanup tasks failed. Please check your email labels and workflow settings.',
+          title: 'Could Not Preview Team Changes',
+          description: 'Nothing was changed. Please try again.',
           duration: 7000
         });
+        return;
       }
     }
 
+    await saveTeamSetup(finalManagers, finalSuppliers);
+  };
+
+  const handleUndoReconfiguration = async (journalId) => {
+    setIsUndoing(true);
+    try {
+      const teamReconfigurationManager = new TeamReconfigurationManager(user.id);
+      const undoResult = await teamReconfigurationManager.undoReconfiguration(journalId);
+
+      applyProfileTeam(undoResult.team);
+      setUndoableChange(null);
+
+      const onboardingData = useOnboardingData(user.id);
+      await onboardingData.storeStepData('team_setup', {
+        managers: undoResult.team.managers,
+        suppliers: undoResult.team.suppliers,
+        businessType: businessType,
+        completedAt: new Date().toISOString()
+      });
+
+      toast({
+        title: 'Team Change Undone',
+        description: `Restored ${undoResult.restoredLabels.length} labels and ${undoResult.restoredEmails} email assignments.` +
+          (undoResult.failures.length > 0 ? ` ${undoResult.failures.length} item(s) could not be restored.` : ''),
+        duration: 7000
+      });
+    } catch (error) {
+      console.error('❌ Team reconfiguration undo failed:', error);
+      toast({ variant: 'destructive', title: 'Undo Failed', description: error.message, duration: 7000 });
+    } finally {
+      setIsUndoing(false);
+    }
+  };
+
+  const confirmReconfiguration = async () => {
+    const { plan, currentTeam, newTeam } = reconfiguration;
+    setIsLoading(true);
+
+    try {
+      const teamReconfigurationManager = new TeamReconfigurationManager(user.id);
+      const reconfigResult = await teamReconfigurationManager.handleTeamReconfiguration(
+        currentTeam,
+        newTeam,
+        { confirmed: true, plan }
+      );
+      
+      console.log('✅ Team reconfiguration completed:', reconfigResult);
+      
+      // Show reconfiguration summary with an undo shortcut
+      toast({
+        title: 'Team Updated Successfully!',
+        description: `Removed ${reconfigResult.removedManagers.length} managers and ${reconfigResult.removedSuppliers.length} suppliers. Labels and workflows updated.` +
+          (reconfigResult.failures.length > 0 ? ` ${reconfigResult.failures.length} cleanup task(s) failed.` : ''),
+        action: reconfigResult.journalId ? (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => handleUndoReconfiguration(reconfigResult.journalId)}
+          >
+            Undo
+          </Button>
+        ) : undefined,
+        duration: 10000
+      });
+      
+    } catch (error) {
+      console.error('❌ Team reconfiguration failed:', error);
+      toast({
+        variant: 'destructive',
+        title: 'Reconfiguration Warning',
+        description: 'Team updated but some cleanup tasks failed. Please check your email labels and workflow settings.',
+        duration: 7000
+      });
+    }
+
+    setReconfiguration(null);
+    await saveTeamSetup(newTeam.managers, newTeam.suppliers);
+  };
+
+  const saveTeamSetup = async (finalManagers, finalSuppliers) => {
+    setIsLoading(true);
+
     // Store team setup data for onboarding aggregation
     const onboardingData = useOnboardingData(user.id);
     await onboardingData.storeStepData('team_setup', {
@@ -421,6 +603,27 @@ const StepTeamSetup = () => {
             </div>
           </div>
 
+          {undoableChange && (
+            <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 flex items-center justify-between gap-4 mb-8">
+              <p className="text-sm text-gray-700">
+                Your last team change ({[
+                  ...(undoableChange.plan?.removedManagers || []),
+                  ...(undoableChange.plan?.removedSuppliers || [])
+                ].map(member => member.name).join(', ') || 'team update'} removed) can be undone until{' '}
+                {new Date(undoableChange.undo_expires_at).toLocaleString()}.
+              </p>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => handleUndoReconfiguration(undoableChange.id)}
+                disabled={isUndoing || isLoading}
+              >
+                {isUndoing ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Undo2 className="mr-2 h-4 w-4" />}
+                Undo
+              </Button>
+            </div>
+          )}
+
           <div className="space-y-8">
             <div>
               <h2 className="text-xl font-semibold text-gray-800 flex items-center mb-4">
@@ -621,6 +824,15 @@ const StepTeamSetup = () => {
             </div>
           </div>
 
+          {reconfiguration && (
+            <TeamReconfigurationPlan
+              plan={reconfiguration.plan}
+              isLoading={isLoading}
+              onConfirm={confirmReconfiguration}
+              onCancel={() => setReconfiguration(null)}
+            />
+          )}
+
           <div className="flex justify-between items-center mt-8">
             <Button
               onClick={() => navigate('/onboarding/business-type')}
@@ -630,7 +842,7 @@ const StepTeamSetup = () => {
               <ArrowLeft className="mr-2 h-4 w-4" />
               Back
             </Button>
-            <Button onClick={handleContinue} disabled={isLoading} size="lg" className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-8 rounded-lg">
+            <Button onClick={handleContinue} disabled={isLoading || !!reconfiguration} size="lg" className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-8 rounded-lg">
               {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
               {isLoading ? 'Saving...' : 'Save and Continue'}
             </Button>
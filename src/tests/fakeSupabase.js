@@ -0,0 +1,201 @@
+/**
+ * In-memory Supabase client for lib tests
+ *
+ * Queries run against the plain row arrays in `tables`. Querying a table that
+ * is not seeded fails the way PostgREST does (42P01). `respond(call)` can
+ * answer a query itself; returning undefined falls through to the tables.
+ * Every query is recorded in `calls` as
+ * { table, op, columns, head, count, payload, filters: [[method, ...args]] }.
+ */
+
+const likeToRegExp = (pattern, flags) => new RegExp(`^${pattern
+  .replace(/\\([\\%_])|([.*+?^${}()|[\]])|(%)|(_)/g, (match, escaped, special, percent) => {
+    if (escaped) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (special) return `\\${special}`;
+    return percent ? '.*' : '.';
+  })}$`, flags);
+
+const contains = (actual, expected) => {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every(item => actual.some(value => contains(value, item)));
+  }
+  if (expected && typeof expected === 'object') {
+    return !!actual && typeof actual === 'object' &&
+      Object.entries(expected).every(([key, value]) => contains(actual[key], value));
+  }
+  return actual === expected;
+};
+
+const parseLiteral = (value) => {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+const OPERATORS = {
+  eq: (actual, value) => actual === value,
+  neq: (actual, value) => actual !== value,
+  gt: (actual, value) => actual > value,
+  gte: (actual, value) => actual >= value,
+  lt: (actual, value) => actual < value,
+  lte: (actual, value) => actual <= value,
+  is: (actual, value) => (value === null ? actual == null : actual === value),
+  in: (actual, values) => values.map(String).includes(String(actual)),
+  like: (actual, pattern) => typeof actual === 'string' && likeToRegExp(pattern).test(actual),
+  ilike: (actual, pattern) => typeof actual === 'string' && likeToRegExp(pattern, 'i').test(actual),
+  contains
+};
+
+const predicate = (column, operator, value) => (row) => OPERATORS[operator](row[column], value);
+
+/**
+ * Parse a PostgREST or() expression such as "body.not.is.null,subject.neq."
+ */
+const parseOr = (expression) => {
+  const conditions = expression.split(',').map(condition => {
+    const [column, ...rest] = condition.split('.');
+    const negated = rest[0] === 'not';
+    const [operator, ...value] = negated ? rest.slice(1) : rest;
+    const test = predicate(column, operator, parseLiteral(value.join('.')));
+    return negated ? (row) => !test(row) : test;
+  });
+  return (row) => conditions.some(test => test(row));
+};
+
+export function createFakeSupabase(tables = {}, { respond, rowDefaults = {}, rpc = {} } = {}) {
+  const calls = [];
+
+  const from = (table) => {
+    const call = { table, op: 'select', filters: [] };
+    calls.push(call);
+    const tests = [];
+    const shape = { order: [], limit: Infinity, range: null, single: false, conflict: ['id'], ignoreDuplicates: false };
+
+    const record = (method, args, test) => {
+      call.filters.push([method, ...args]);
+      if (test) tests.push(test);
+      return builder;
+    };
+
+    const run = () => {
+      const response = respond?.(call);
+      if (response !== undefined) return response;
+
+      const rows = tables[table];
+      if (!rows) {
+        return { data: null, error: { code: '42P01', message: `relation "${table}" does not exist` } };
+      }
+
+      let data;
+      if (call.op === 'insert' || call.op === 'upsert') {
+        data = [].concat(call.payload).flatMap(payload => {
+          const existing = call.op === 'upsert' && rows.find(row => shape.conflict.every(column => row[column] === payload[column]));
+          if (existing) return shape.ignoreDuplicates ? [] : [Object.assign(existing, payload)];
+          const row = { id: `${table}-${rows.length + 1}`, ...rowDefaults[table], ...payload };
+          rows.push(row);
+          return [row];
+        });
+      } else {
+        data = rows.filter(row => tests.every(test => test(row)));
+        if (call.op === 'update') {
+          data.forEach(row => Object.assign(row, call.payload));
+        } else if (call.op === 'delete') {
+          tables[table] = rows.filter(row => !data.includes(row));
+        }
+      }
+
+      shape.order.forEach(([column, ascending]) => {
+        data = [...data].sort((a, b) => (ascending ? 1 : -1) * String(a[column]).localeCompare(String(b[column])));
+      });
+      const count = call.count ? data.length : null;
+      data = data.slice(shape.range?.[0] ?? 0, shape.range ? shape.range[1] + 1 : shape.limit).map(row => ({ ...row }));
+
+      if (call.head) return { data: null, count, error: null };
+      return { data: shape.single ? (data[0] ?? null) : data, count, error: null };
+    };
+
+    const builder = {
+      select(columns, options = {}) {
+        if (call.op === 'select') {
+          call.columns = columns;
+          call.head = options.head;
+          call.count = options.count;
+        }
+        return record('select', [columns, options].filter(arg => arg !== undefined));
+      },
+      insert(payload) {
+        call.op = 'insert';
+        call.payload = payload;
+        return record('insert', [payload]);
+      },
+      upsert(payload, options = {}) {
+        call.op = 'upsert';
+        call.payload = payload;
+        shape.conflict = (options.onConflict || 'id').split(',');
+        shape.ignoreDuplicates = !!options.ignoreDuplicates;
+        return record('upsert', [payload]);
+      },
+      update(payload) {
+        call.op = 'update';
+        call.payload = payload;
+        return record('update', [payload]);
+      },
+      delete() {
+        call.op = 'delete';
+        return record('delete', []);
+      },
+      match(values) {
+        Object.entries(values).forEach(([column, value]) => builder.eq(column, value));
+        return builder;
+      },
+      not(column, operator, value) {
+        const test = predicate(column, operator, value);
+        return record('not', [column, operator, value], row => !test(row));
+      },
+      or(expression) {
+        return record('or', [expression], parseOr(expression));
+      },
+      filter(column, operator, value) {
+        return record('filter', [column, operator, value], predicate(column, operator, parseLiteral(value)));
+      },
+      order(column, { ascending = true } = {}) {
+        shape.order.push([column, ascending]);
+        return record('order', [column, { ascending }]);
+      },
+      limit(count) {
+        shape.limit = count;
+        return record('limit', [count]);
+      },
+      range(start, end) {
+        shape.range = [start, end];
+        return record('range', [start, end]);
+      },
+      single() {
+        shape.single = true;
+        return builder;
+      },
+      maybeSingle() {
+        shape.single = true;
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(run).then(resolve, reject);
+      }
+    };
+
+    Object.keys(OPERATORS).forEach(operator => {
+      builder[operator] = (column, value) => record(operator, [column, value], predicate(column, operator, value));
+    });
+
+    return builder;
+  };
+
+  return {
+    tables,
+    calls,
+    from,
+    rpc: async (name, params) => (rpc[name] ? rpc[name](params) : { data: null, error: { message: `function ${name} does not exist` } }),
+    auth: { admin: { deleteUser: async () => ({ error: null }) } }
+  };
+}
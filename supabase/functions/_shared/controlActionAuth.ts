@@ -0,0 +1,34 @@
+// Authorization for webhook control actions (subscribe, watch, renew,
+// catchup). Those run on a service-role client, so they come either from the
+// cron with the service-role key or from a signed-in user managing their own
+// mailbox. Used by gmail-webhook and outlook-webhook.
+
+export interface ControlActionDenial {
+  status: number
+  error: string
+}
+
+/**
+ * @param userId - Mailbox owner the action targets; omit for service-role-only actions
+ * @returns null when allowed, otherwise the status and message to respond with
+ */
+export async function authorizeControlAction(req: Request, supabase: any, userId?: string): Promise<ControlActionDenial | null> {
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+  const authHeader = req.headers.get('Authorization') ?? ''
+
+  if (serviceRoleKey && authHeader === `Bearer ${serviceRoleKey}`) {
+    return null
+  }
+  if (!userId || !authHeader.startsWith('Bearer ')) {
+    return { status: 401, error: 'Service role required' }
+  }
+
+  const { data: { user }, error } = await supabase.auth.getUser(authHeader.slice('Bearer '.length))
+  if (error || !user) {
+    return { status: 401, error: 'Invalid token' }
+  }
+  if (user.id !== userId) {
+    return { status: 403, error: 'Cannot manage another user\'s mailbox' }
+  }
+  return null
+}
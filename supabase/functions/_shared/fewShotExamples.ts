@@ -0,0 +1,196 @@
+// Few-shot classifier examples built from a business's own corrections.
+// Mirrors src/lib/classifierFewShotExamples.js so deploy-n8n can refresh the
+// section on every redeploy - keep the two in sync.
+
+import { maskPii } from './piiRedaction.ts';
+
+export const FEW_SHOT_SECTION_HEADER = '### Examples From Your Corrections:';
+
+const DEFAULT_OPTIONS = {
+  maxExamples: 8,
+  maxTokens: 800,
+  maxPerCategory: 2,
+  bodyChars: 240,
+  minConfidenceRating: 3,
+  lookback: 200
+};
+
+const USABLE_STATUSES = ['pending', 'approved', 'used_in_training'];
+
+// On top of the PII entity types shared with the n8n redaction nodes (piiRedaction.ts)
+const LINK_PATTERN = /\bhttps?:\/\/\S+/gi;
+const NAME_PATTERNS: Array<[RegExp, string]> = [
+  [/\b(Hi|Hello|Hey|Dear)\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?/g, '$1 [name]'],
+  [/\b(Thanks|Thank you|Regards|Best regards|Cheers|Sincerely|Best),?(\s*\n\s*)[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?/g, '$1,$2[name]']
+];
+
+interface FewShotExample {
+  id: string;
+  subject: string;
+  from: string | null;
+  body: string;
+  primary: string;
+  secondary: string | null;
+  tertiary: string | null;
+  originalPrimary: string | null;
+  misclassified: boolean;
+  rating: number;
+}
+
+const estimateTokens = (text: string) => Math.ceil(String(text || '').length / 4);
+
+export function scrubPii(text: string): string {
+  // Links first, so digits in URLs are not read as phone numbers
+  const masked = maskPii(String(text || '').replace(LINK_PATTERN, '[link]'));
+  return NAME_PATTERNS.reduce((scrubbed, [pattern, replacement]) => scrubbed.replace(pattern, replacement), masked);
+}
+
+const senderDomain = (from: string) => {
+  const match = String(from || '').match(/@([A-Z0-9.-]+\.[A-Z]{2,})/i);
+  return match ? `@${match[1].toLowerCase()}` : null;
+};
+
+const sameCategory = (a: string, b: string) => String(a || '').trim().toUpperCase() === String(b || '').trim().toUpperCase();
+
+const dedupeKey = (row: any) => `${row.email_subject || ''}|${String(row.email_body_preview || '').slice(0, 120)}`
+  .toLowerCase()
+  .replace(/\d+/g, '#')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const truncate = (text: string, max: number) => (text.length > max ? `${text.slice(0, max).trimEnd()}…` : text);
+
+function formatExample(example: FewShotExample, index: number): string {
+  const classification = JSON.stringify({
+    primary_category: example.primary,
+    secondary_category: example.secondary,
+    tertiary_category: example.tertiary
+  });
+  const lines = [
+    `Example ${index + 1}:`,
+    `Subject: ${example.subject || '(no subject)'}`
+  ];
+  if (example.from) lines.push(`From: ${example.from}`);
+  if (example.body) lines.push(`Body: ${example.body}`);
+  lines.push(`Correct classification: ${classification}`);
+  if (example.originalPrimary && !sameCategory(example.originalPrimary, example.primary)) {
+    lines.push(`(Previously misclassified as ${example.originalPrimary})`);
+  }
+  return lines.join('\n');
+}
+
+export function selectFewShotExamples(rows: any[] = [], options: Partial<typeof DEFAULT_OPTIONS> = {}): FewShotExample[] {
+  const { maxExamples, maxTokens, maxPerCategory, bodyChars, minConfidenceRating } = { ...DEFAULT_OPTIONS, ...options };
+
+  const seen = new Set<string>();
+  const candidates: FewShotExample[] = [];
+
+  [...(rows || [])]
+    .sort((a, b) => new Date(b.created_at || 0).getTime() - new Date(a.created_at || 0).getTime())
+    .forEach(row => {
+      if (!row?.corrected_primary_category) return;
+      if (row.training_status && !USABLE_STATUSES.includes(row.training_status)) return;
+      if ((row.confidence_rating ?? 3) < minConfidenceRating) return;
+      if (!row.email_subject && !row.email_body_preview) return;
+
+      const key = dedupeKey(row);
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      candidates.push({
+        id: row.id,
+        subject: truncate(scrubPii(row.email_subject).trim(), 120),
+        from: senderDomain(row.email_from),
+        body: truncate(scrubPii(row.email_body_preview).replace(/\s+/g, ' ').trim(), bodyChars),
+        primary: row.corrected_primary_category,
+        secondary: row.corrected_secondary_category || null,
+        tertiary: row.corrected_tertiary_category || null,
+        originalPrimary: row.original_primary_category || null,
+        misclassified: !sameCategory(row.original_primary_category, row.corrected_primary_category),
+        rating: row.confidence_rating ?? 3
+      });
+    });
+
+  const ranked = candidates
+    .map((example, order) => ({ example, order }))
+    .sort((a, b) => (Number(b.example.misclassified) - Number(a.example.misclassified))
+      || (b.example.rating - a.example.rating)
+      || (a.order - b.order))
+    .map(({ example }) => example);
+
+  const byCategory = new Map<string, FewShotExample[]>();
+  ranked.forEach(example => {
+    const category = example.primary.toUpperCase();
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category)!.push(example);
+  });
+
+  const selected: FewShotExample[] = [];
+  let tokens = estimateTokens(FEW_SHOT_SECTION_HEADER) + 40;
+  for (let round = 0; round < maxPerCategory; round++) {
+    for (const examples of byCategory.values()) {
+      const example = examples[round];
+      if (!example || selected.length >= maxExamples) continue;
+
+      const cost = estimateTokens(formatExample(example, selected.length)) + 1;
+      if (tokens + cost > maxTokens) continue;
+
+      tokens += cost;
+      selected.push(example);
+    }
+  }
+
+  return selected;
+}
+
+export function formatFewShotSection(examples: FewShotExample[] = []): string {
+  if (!examples || examples.length === 0) {
+    return '';
+  }
+
+  return `${FEW_SHOT_SECTION_HEADER}
+These are real emails this business re-classified by hand. Personal details are redacted.
+Classify similar emails the same way; they take precedence over the generic keywords above.
+
+${examples.map(formatExample).join('\n\n')}
+`;
+}
+
+// Drops any stale section (e.g. from the frontend build) before inserting the fresh one
+export function injectFewShotSection(systemMessage: string, section: string): string {
+  const message = String(systemMessage || '');
+  const start = message.indexOf(FEW_SHOT_SECTION_HEADER);
+  let stripped = message;
+  if (start !== -1) {
+    const next = message.indexOf('\n### ', start + FEW_SHOT_SECTION_HEADER.length);
+    stripped = `${message.slice(0, start).trimEnd()}\n\n${next === -1 ? '' : message.slice(next + 1)}`.trimEnd();
+  }
+
+  if (!section) {
+    return stripped;
+  }
+
+  const anchor = stripped.indexOf('### JSON Output Format:');
+  if (anchor === -1) {
+    return `${stripped}\n\n${section}`;
+  }
+  return `${stripped.slice(0, anchor)}${section}\n${stripped.slice(anchor)}`;
+}
+
+export async function loadFewShotExamples(supabase: any, userId: string, options: Partial<typeof DEFAULT_OPTIONS> = {}): Promise<FewShotExample[]> {
+  const { lookback } = { ...DEFAULT_OPTIONS, ...options };
+  const { data, error } = await supabase
+    .from('classification_feedback')
+    .select('id, email_subject, email_from, email_body_preview, original_primary_category, corrected_primary_category, corrected_secondary_category, corrected_tertiary_category, confidence_rating, training_status, created_at')
+    .eq('user_id', userId)
+    .in('training_status', USABLE_STATUSES)
+    .order('created_at', { ascending: false })
+    .limit(lookback);
+
+  if (error) {
+    console.warn('⚠️ Could not load classification feedback for few-shot examples:', error.message);
+    return [];
+  }
+
+  return selectFewShotExamples(data || [], options);
+}
@@ -0,0 +1,61 @@
+// Mailbox credential helpers shared by Edge Functions.
+// Passwords are encrypted by the backend (backend/src/utils/credentialCrypto.js)
+// as v1:<iv>:<ciphertext+authTag> with AES-256-GCM and MAILBOX_CREDENTIAL_KEY.
+
+let cachedKey: CryptoKey | null = null;
+
+function fromBase64(value: string): Uint8Array {
+  return Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+}
+
+async function loadKey(): Promise<CryptoKey> {
+  if (cachedKey) return cachedKey;
+  const encoded = Deno.env.get('MAILBOX_CREDENTIAL_KEY');
+  if (!encoded) {
+    throw new Error('MAILBOX_CREDENTIAL_KEY not configured in Edge Function secrets');
+  }
+  const raw = fromBase64(encoded);
+  if (raw.length !== 32) {
+    throw new Error('MAILBOX_CREDENTIAL_KEY must be 32 bytes, base64 encoded');
+  }
+  cachedKey = await crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['decrypt']);
+  return cachedKey;
+}
+
+export async function decryptSecret(value: string): Promise<string> {
+  const [version, ivPart, dataPart] = String(value || '').split(':');
+  if (version !== 'v1' || !ivPart || !dataPart) {
+    throw new Error('Unsupported encrypted credential format');
+  }
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(ivPart) },
+    await loadKey(),
+    fromBase64(dataPart)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+// sha256 hex digest, as stored for automation tokens
+export async function hashToken(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Random bearer token plus the sha256 hex digest the backend compares against
+export async function generateAutomationToken(): Promise<{ token: string, hash: string }> {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  const token = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  return { token, hash: await hashToken(token) };
+}
+
+// Compare a presented token with a stored hash without leaking timing
+export async function verifyToken(token: string | null, storedHash: string | null): Promise<boolean> {
+  if (!token || !storedHash) return false;
+  const presented = await hashToken(token);
+  if (presented.length !== storedHash.length) return false;
+  let difference = 0;
+  for (let i = 0; i < presented.length; i++) {
+    difference |= presented.charCodeAt(i) ^ storedHash.charCodeAt(i);
+  }
+  return difference === 0;
+}
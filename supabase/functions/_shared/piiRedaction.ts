@@ -0,0 +1,265 @@
+// PII redaction around the AI agent nodes of deployed n8n workflows.
+// Mirrors the patterns and settings of backend/src/lib/piiRedaction.js -
+// keep the two in sync.
+//
+// Every @n8n/n8n-nodes-langchain.agent node gets a "Redact PII: <agent>"
+// Code node in front of it, which replaces personal data in the agent's
+// input with placeholders such as [PHONE_1] and reports the redacted
+// categories to the pii-redaction-log function, and a "Restore PII: <agent>"
+// Code node after it, which puts the original values back into the agent's
+// output. The report carries a token issued on each deploy, so the audit log
+// only accepts entries from the tenant's own workflow.
+
+export const REDACT_NODE_PREFIX = 'Redact PII: ';
+export const RESTORE_NODE_PREFIX = 'Restore PII: ';
+
+const AGENT_NODE_TYPE = '@n8n/n8n-nodes-langchain.agent';
+
+// Matching order matters: cards and government ids before phone numbers
+const PII_ENTITY_TYPES: Array<[string, string, RegExp]> = [
+  ['email', 'EMAIL', /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi],
+  ['card', 'CARD', /\b(?:\d[ -]?){12,18}\d\b/g],
+  ['government_id', 'GOVERNMENT_ID', /\b\d{3}-\d{2}-\d{4}\b|\b\d{3}[ -]\d{3}[ -]\d{3}\b/g],
+  ['phone', 'PHONE', /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]\d{4}\b/g],
+  ['address', 'ADDRESS', /\b\d{1,6}\s+(?:[A-Z][a-z]+\s+){1,3}(?:St|Street|Ave|Avenue|Rd|Road|Dr|Drive|Blvd|Boulevard|Ln|Lane|Way|Ct|Court|Cres|Crescent|Pl|Place)\b\.?/g],
+  ['postal_code', 'POSTAL_CODE', /\b[A-Z]\d[A-Z][ -]?\d[A-Z]\d\b|\b\d{5}-\d{4}\b/gi]
+];
+
+export const DEFAULT_PII_ENTITY_TYPES = PII_ENTITY_TYPES.map(([type]) => type);
+
+// Identifiers downstream nodes match on are passed through untouched
+const SKIP_KEYS = ['id', 'threadId', 'messageId', 'message_id', 'thread_id'];
+
+interface PiiSettings {
+  enabled: boolean;
+  entityTypes: string[];
+}
+
+interface RedactionNodeOptions {
+  supabaseUrl: string;
+  anonKey: string;
+  userId: string;
+  logToken: string;
+}
+
+function luhnValid(digits: string): boolean {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+// Fixed label per entity type ("[phone]", "[postal code]") for text that is kept, not restored
+export function maskPii(text: string, entityTypes: string[] = DEFAULT_PII_ENTITY_TYPES): string {
+  return PII_ENTITY_TYPES
+    .filter(([type]) => entityTypes.includes(type))
+    .reduce((current, [type, label, pattern]) => current.replace(pattern, (match) => (
+      type === 'card' && !luhnValid(match.replace(/\D/g, ''))
+        ? match
+        : `[${label.toLowerCase().replace(/_/g, ' ')}]`
+    )), String(text || ''));
+}
+
+// Audit entries carry categories and counts only: { phone: 2, email: 1 }
+export function validateEntityCounts(counts: any): boolean {
+  return !!counts && typeof counts === 'object' && !Array.isArray(counts) &&
+    Object.keys(counts).length > 0 &&
+    Object.entries(counts).every(([type, count]) =>
+      DEFAULT_PII_ENTITY_TYPES.includes(type) && Number.isInteger(count) && (count as number) > 0 && (count as number) <= 10000);
+}
+
+export function resolvePiiSettings(settings: any): PiiSettings {
+  const entityTypes = settings?.entity_types;
+  const valid = settings === null || settings === undefined || (
+    typeof settings === 'object' && !Array.isArray(settings) &&
+    (settings.enabled === undefined || typeof settings.enabled === 'boolean') &&
+    (entityTypes === undefined || (Array.isArray(entityTypes) && entityTypes.every((type: string) => DEFAULT_PII_ENTITY_TYPES.includes(type))))
+  );
+
+  if (!valid) {
+    console.warn('⚠️ Invalid PII redaction settings, redacting all entity types');
+    return { enabled: true, entityTypes: [...DEFAULT_PII_ENTITY_TYPES] };
+  }
+
+  return {
+    enabled: settings?.enabled !== false,
+    entityTypes: entityTypes
+      ? DEFAULT_PII_ENTITY_TYPES.filter(type => entityTypes.includes(type))
+      : [...DEFAULT_PII_ENTITY_TYPES]
+  };
+}
+
+export function buildRedactCode(agentName: string, entityTypes: string[], { supabaseUrl, anonKey, userId, logToken }: RedactionNodeOptions): string {
+  const patterns = PII_ENTITY_TYPES
+    .filter(([type]) => entityTypes.includes(type))
+    .map(([type, label, pattern]) => `  [${JSON.stringify(type)}, ${JSON.stringify(label)}, ${String(pattern)}]`)
+    .join(',\n');
+
+  return `// Redacts PII before ${JSON.stringify(agentName)} (generated by deploy-n8n - edits are replaced on redeploy)
+const PATTERNS = [
+${patterns}
+];
+const SKIP_KEYS = ${JSON.stringify(SKIP_KEYS)};
+
+const luhnValid = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+};
+
+const normalize = (type, value) => type === 'email'
+  ? value.toLowerCase()
+  : ['card', 'government_id', 'phone'].includes(type)
+    ? value.replace(/\\D/g, '').replace(/^1(?=\\d{10}$)/, '')
+    : value.toLowerCase().replace(/\\s+/g, ' ');
+
+const results = [];
+const items = $input.all();
+
+for (let index = 0; index < items.length; index++) {
+  const tokens = {};
+  const seen = {};
+  const counts = {};
+
+  const redactText = (text) => PATTERNS.reduce((current, [type, label, pattern]) => current.replace(pattern, (match) => {
+    if (type === 'card' && !luhnValid(match.replace(/\\D/g, ''))) return match;
+    const key = type + ':' + normalize(type, match);
+    if (!seen[key]) {
+      counts[type] = (counts[type] || 0) + 1;
+      seen[key] = '[' + label + '_' + counts[type] + ']';
+      tokens[seen[key]] = match;
+    }
+    return seen[key];
+  }), text);
+
+  const redactValue = (value, key) => {
+    if (SKIP_KEYS.includes(key)) return value;
+    if (typeof value === 'string') return redactText(value);
+    if (Array.isArray(value)) return value.map(entry => redactValue(entry));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, redactValue(child, childKey)]));
+    }
+    return value;
+  };
+
+  const { _pii, ...input } = items[index].json;
+  results.push({ json: { ...redactValue(input), _pii: { tokens, counts } }, pairedItem: index });
+
+  if (Object.keys(counts).length > 0) {
+    try {
+      await this.helpers.httpRequest({
+        method: 'POST',
+        url: ${JSON.stringify(`${supabaseUrl}/functions/v1/pii-redaction-log`)},
+        headers: {
+          apikey: ${JSON.stringify(anonKey)},
+          Authorization: ${JSON.stringify(`Bearer ${anonKey}`)},
+          'x-pii-log-token': ${JSON.stringify(logToken)},
+          'Content-Type': 'application/json'
+        },
+        body: {
+          userId: ${JSON.stringify(userId)},
+          operation: ${JSON.stringify(agentName)},
+          entity_counts: counts
+        },
+        json: true
+      });
+    } catch (error) {
+      // The audit write must never block the email
+      console.log('PII redaction audit log failed: ' + error.message);
+    }
+  }
+}
+
+return results;`;
+}
+
+export function buildRestoreCode(agentName: string): string {
+  const labels = PII_ENTITY_TYPES.map(([, label]) => label).join('|');
+
+  return `// Restores PII placeholders in the output of ${JSON.stringify(agentName)} (generated by deploy-n8n - edits are replaced on redeploy)
+const redacted = $(${JSON.stringify(REDACT_NODE_PREFIX + agentName)}).all();
+
+return $input.all().map((item, index) => {
+  const tokens = (redacted[index] || redacted[redacted.length - 1])?.json._pii?.tokens || {};
+  const restore = (text) => typeof text === 'string'
+    ? text.replace(/\\[(${labels})_\\d+\\]/g, (token) => tokens[token] ?? token)
+    : text;
+
+  return { json: { ...item.json, output: restore(item.json.output) }, pairedItem: index };
+});`;
+}
+
+const codeNode = (name: string, jsCode: string, position: number[]) => ({
+  parameters: { jsCode },
+  id: `pii-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`,
+  name,
+  type: 'n8n-nodes-base.code',
+  typeVersion: 2,
+  position
+});
+
+/**
+ * Wrap every AI agent of a workflow in redact/restore Code nodes. Safe to run
+ * on a workflow that already has them (e.g. one injected by the frontend):
+ * existing nodes get fresh code for the current settings. With redaction
+ * disabled, workflows without the nodes are left alone and existing nodes
+ * pass content through unchanged.
+ */
+export function injectPiiRedactionNodes(workflow: any, settings: any, options: RedactionNodeOptions): any {
+  const { enabled, entityTypes } = resolvePiiSettings(settings);
+  const activeTypes = enabled ? entityTypes : [];
+  const connections = workflow.connections || (workflow.connections = {});
+  const agents = (workflow.nodes || []).filter((node: any) => node.type === AGENT_NODE_TYPE);
+
+  agents.forEach((agent: any) => {
+    const redactName = REDACT_NODE_PREFIX + agent.name;
+    const restoreName = RESTORE_NODE_PREFIX + agent.name;
+    const existing = workflow.nodes.find((node: any) => node.name === redactName);
+
+    if (existing) {
+      existing.parameters.jsCode = buildRedactCode(agent.name, activeTypes, options);
+      const restore = workflow.nodes.find((node: any) => node.name === restoreName);
+      if (restore) restore.parameters.jsCode = buildRestoreCode(agent.name);
+      return;
+    }
+    if (activeTypes.length === 0) return;
+
+    // Inputs of the agent now feed the redact node
+    Object.values(connections).forEach((outputs: any) => {
+      (outputs.main || []).forEach((targets: any[]) => {
+        (targets || []).forEach(target => {
+          if (target.node === agent.name && target.type === 'main') {
+            target.node = redactName;
+            target.index = 0;
+          }
+        });
+      });
+    });
+
+    // The restore node takes over the agent's outputs
+    connections[restoreName] = { main: connections[agent.name]?.main || [[]] };
+    connections[redactName] = { main: [[{ node: agent.name, type: 'main', index: 0 }]] };
+    connections[agent.name] = { ...(connections[agent.name] || {}), main: [[{ node: restoreName, type: 'main', index: 0 }]] };
+
+    const [x, y] = agent.position || [0, 0];
+    workflow.nodes.push(
+      codeNode(redactName, buildRedactCode(agent.name, activeTypes, options), [x - 120, y - 200]),
+      codeNode(restoreName, buildRestoreCode(agent.name), [x + 120, y - 200])
+    );
+  });
+
+  return workflow;
+}
@@ -0,0 +1,148 @@
+// Retention rules for the retention-purge function.
+// Mirrors src/lib/retentionPolicies.js (which the settings report uses) -
+// keep the two in sync.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const DATA_CLASS_ORDER = ['bodies', 'metadata', 'analytics'] as const
+
+export type DataClass = typeof DATA_CLASS_ORDER[number]
+export type RetentionPolicy = Record<DataClass, number | null>
+
+const DATA_CLASSES: Record<DataClass, { defaultDays: number | null; minDays: number }> = {
+  bodies: { defaultDays: null, minDays: 7 },
+  metadata: { defaultDays: 730, minDays: 30 },
+  analytics: { defaultDays: null, minDays: 90 }
+}
+
+// Rows belonging to the tenant through another table's ids instead of user_id
+export interface RetentionScope {
+  table: string
+  column: string
+}
+
+interface RetentionRule {
+  table: string
+  dateColumn?: string
+  scope?: RetentionScope
+  bodies?: Record<string, unknown>
+  metadata?: 'delete' | Record<string, unknown>
+  analytics?: boolean
+}
+
+export interface PurgeStep {
+  table: string
+  dataClass: DataClass
+  action: 'scrub' | 'anonymize' | 'delete'
+  dateColumn: string
+  cutoff: string
+  scope?: RetentionScope
+  values?: Record<string, unknown>
+}
+
+export const RETENTION_RULES: RetentionRule[] = [
+  { table: 'classification_feedback', bodies: { email_body_preview: null }, metadata: { email_from: null, email_subject: null, email_metadata: null }, analytics: true },
+  { table: 'ai_draft_learning', bodies: { original_body: null, ai_draft: null }, metadata: 'delete' },
+  { table: 'ai_draft_corrections', bodies: { ai_draft_text: '', ai_draft_html: null, user_final_text: '', user_final_html: null }, metadata: { metadata: null }, analytics: true },
+  { table: 'ai_responses', bodies: { response_text: null }, metadata: { source_email_id: null }, analytics: true },
+  { table: 'email_queue', bodies: { body: null }, metadata: 'delete' },
+  { table: 'email_thread_messages', dateColumn: 'received_at', scope: { table: 'email_threads', column: 'thread_id' }, bodies: { body: null }, metadata: 'delete' },
+  { table: 'email_threads', dateColumn: 'last_message_at', metadata: 'delete' },
+  { table: 'email_attachment_links', metadata: 'delete' },
+  { table: 'email_attachments', metadata: 'delete' },
+  { table: 'email_logs', metadata: { email_from: null, email_subject: null }, analytics: true },
+  { table: 'email_sla_clocks', metadata: { email_from: null, email_subject: null }, analytics: true },
+  { table: 'pii_redaction_logs', metadata: 'delete' },
+  { table: 'ai_usage_logs', analytics: true },
+  { table: 'performance_metrics', analytics: true },
+  { table: 'classification_performance_metrics', analytics: true },
+  { table: 'outlook_analytics_events', analytics: true },
+  { table: 'outlook_business_events', analytics: true }
+]
+
+export function resolveRetentionPolicy(policy: any): RetentionPolicy {
+  return Object.fromEntries(DATA_CLASS_ORDER.map(dataClass => [
+    dataClass,
+    policy && policy[dataClass] !== undefined ? policy[dataClass] : DATA_CLASSES[dataClass].defaultDays
+  ])) as RetentionPolicy
+}
+
+export function validateRetentionPolicy(policy: any): string[] {
+  if (policy === null || policy === undefined) return []
+  if (typeof policy !== 'object' || Array.isArray(policy)) return ['Retention policy must be an object']
+
+  const errors: string[] = Object.keys(policy)
+    .filter(key => !(DATA_CLASS_ORDER as readonly string[]).includes(key))
+    .map(key => `Unknown data class: ${key}`)
+
+  DATA_CLASS_ORDER.forEach(dataClass => {
+    const days = policy[dataClass]
+    if (days === undefined || days === null) return
+    if (!Number.isInteger(days) || days < DATA_CLASSES[dataClass].minDays) {
+      errors.push(`${dataClass} must be kept at least ${DATA_CLASSES[dataClass].minDays} days`)
+    }
+  })
+
+  // Bodies kept forever simply go with their rows
+  if (errors.length === 0) {
+    const resolved = resolveRetentionPolicy(policy)
+    for (let i = 1; i < DATA_CLASS_ORDER.length; i++) {
+      const shorter = resolved[DATA_CLASS_ORDER[i - 1]]
+      const longer = resolved[DATA_CLASS_ORDER[i]]
+      if (longer === null) continue
+      if (shorter === null ? DATA_CLASS_ORDER[i - 1] !== 'bodies' : shorter > longer) {
+        errors.push(`${DATA_CLASS_ORDER[i - 1]} cannot be kept longer than ${DATA_CLASS_ORDER[i]}`)
+      }
+    }
+  }
+
+  return errors
+}
+
+export function getHeldClasses(holds: any[] = [], now = new Date()): Set<DataClass> {
+  const held = new Set<DataClass>()
+
+  holds
+    .filter(hold => !hold.released_at && (!hold.expires_at || new Date(hold.expires_at) > now))
+    .forEach(hold => {
+      (hold.data_classes?.length ? hold.data_classes : DATA_CLASS_ORDER).forEach((dataClass: DataClass) => held.add(dataClass))
+    })
+
+  return held
+}
+
+export function buildPurgePlan(policy: RetentionPolicy, heldClasses = new Set<DataClass>(), now = new Date()): PurgeStep[] {
+  const steps: PurgeStep[] = []
+
+  DATA_CLASS_ORDER.forEach(dataClass => {
+    const days = policy[dataClass]
+    if (days === null || heldClasses.has(dataClass)) return
+    const cutoff = new Date(now.getTime() - days * DAY_MS).toISOString()
+
+    RETENTION_RULES.forEach(rule => {
+      const base = { table: rule.table, dataClass, dateColumn: rule.dateColumn || 'created_at', cutoff, ...(rule.scope && { scope: rule.scope }) }
+      const setting = rule[dataClass]
+
+      if (dataClass === 'bodies' && setting) {
+        steps.push({ ...base, action: 'scrub', values: setting as Record<string, unknown> })
+      } else if (dataClass === 'metadata' && setting === 'delete') {
+        steps.push({ ...base, action: 'delete' })
+      } else if (dataClass === 'metadata' && setting) {
+        steps.push({ ...base, action: 'anonymize', values: setting as Record<string, unknown> })
+      } else if (dataClass === 'analytics' && setting) {
+        steps.push({ ...base, action: 'delete' })
+      }
+    })
+  })
+
+  return steps
+}
+
+export function pendingFilter(values: Record<string, unknown>): string {
+  return Object.entries(values)
+    .map(([column, value]) => {
+      if (value === null) return `${column}.not.is.null`
+      return `${column}.neq.${value}`
+    })
+    .join(',')
+}
@@ -0,0 +1,86 @@
+/**
+ * ClamAV daemon client
+ * Streams bytes to clamd with the INSTREAM command:
+ *   zINSTREAM\0, then <uint32 BE length><chunk>..., then a zero-length chunk.
+ * clamd answers "stream: OK", "stream: <Signature> FOUND" or "... ERROR".
+ */
+
+const CHUNK_SIZE = 64 * 1024
+
+export interface ClamdResult {
+  status: 'clean' | 'infected' | 'error'
+  signature?: string
+  error?: string
+}
+
+export interface ClamdOptions {
+  hostname: string
+  port: number
+  timeoutMs?: number
+}
+
+/**
+ * Parse a clamd INSTREAM reply
+ */
+export function parseClamdReply(reply: string): ClamdResult {
+  const text = reply.replace(/\0/g, '').trim()
+
+  if (/:\s*OK$/.test(text)) {
+    return { status: 'clean' }
+  }
+
+  const found = text.match(/:\s*(.+)\s+FOUND$/)
+  if (found) {
+    return { status: 'infected', signature: found[1] }
+  }
+
+  return { status: 'error', error: text || 'Empty reply from clamd' }
+}
+
+async function writeAll(conn: Deno.Conn, data: Uint8Array) {
+  let written = 0
+  while (written < data.length) {
+    written += await conn.write(data.subarray(written))
+  }
+}
+
+/**
+ * Scan bytes with clamd over TCP
+ */
+export async function scanWithClamd(bytes: Uint8Array, options: ClamdOptions): Promise<ClamdResult> {
+  const conn = await Deno.connect({ hostname: options.hostname, port: options.port })
+  const timer = setTimeout(() => conn.close(), options.timeoutMs ?? 30000)
+
+  try {
+    await writeAll(conn, new TextEncoder().encode('zINSTREAM\0'))
+
+    for (let offset = 0; offset < bytes.length; offset += CHUNK_SIZE) {
+      const chunk = bytes.subarray(offset, offset + CHUNK_SIZE)
+      const header = new Uint8Array(4)
+      new DataView(header.buffer).setUint32(0, chunk.length)
+      await writeAll(conn, header)
+      await writeAll(conn, chunk)
+    }
+
+    await writeAll(conn, new Uint8Array(4))
+
+    const decoder = new TextDecoder()
+    const buffer = new Uint8Array(1024)
+    let reply = ''
+
+    while (!reply.includes('\0')) {
+      const read = await conn.read(buffer)
+      if (read === null) break
+      reply += decoder.decode(buffer.subarray(0, read))
+    }
+
+    return parseClamdReply(reply)
+  } finally {
+    clearTimeout(timer)
+    try {
+      conn.close()
+    } catch (_) {
+      // Already closed by the timeout
+    }
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Attachment Scan
+ * Antivirus scanning for email attachments via a ClamAV daemon.
+ *
+ * POST { fileName, content } where content is base64. Returns
+ * { status: 'clean' | 'infected' | 'error', signature?, error? }.
+ *
+ * Requires CLAMD_HOST (and optionally CLAMD_PORT, default 3310). Callers must
+ * be authenticated; the content is never stored.
+ */
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { scanWithClamd } from './clamd.ts'
+
+const MAX_SCAN_BYTES = 25 * 1024 * 1024
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const jsonResponse = (payload: any, status = 200) => new Response(
+  JSON.stringify(payload),
+  { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+)
+
+function decodeBase64(content: string): Uint8Array {
+  const binary = atob(content.replace(/\s+/g, ''))
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL')!,
+      Deno.env.get('SUPABASE_ANON_KEY')!,
+      { global: { headers: { Authorization: req.headers.get('Authorization') ?? '' } } }
+    )
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) {
+      return jsonResponse({ error: 'Unauthorized' }, 401)
+    }
+
+    const clamdHost = Deno.env.get('CLAMD_HOST')
+    if (!clamdHost) {
+      return jsonResponse({ status: 'error', error: 'CLAMD_HOST is not configured' }, 503)
+    }
+
+    const { fileName, content } = await req.json()
+    if (!content) {
+      return jsonResponse({ error: 'Missing content' }, 400)
+    }
+
+    const bytes = decodeBase64(content)
+    if (bytes.length > MAX_SCAN_BYTES) {
+      return jsonResponse({ status: 'error', error: 'Attachment exceeds scan size limit' }, 413)
+    }
+
+    const result = await scanWithClamd(bytes, {
+      hostname: clamdHost,
+      port: Number(Deno.env.get('CLAMD_PORT') ?? 3310),
+      timeoutMs: 30000
+    })
+
+    if (result.status === 'infected') {
+      console.warn(`🦠 ClamAV flagged ${fileName} for user ${user.id}: ${result.signature}`)
+    }
+
+    return jsonResponse(result)
+
+  } catch (error) {
+    console.error('Attachment scan failed:', error)
+    return jsonResponse({ status: 'error', error: error.message }, 500)
+  }
+})
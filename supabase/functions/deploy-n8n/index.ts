@@ -4,6 +4,9 @@
 // - Injects client data into workflow template and creates/updates + activates in n8n
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { decryptSecret, generateAutomationToken } from '../_shared/mailboxCredentials.ts';
+import { formatFewShotSection, injectFewShotSection, loadFewShotExamples } from '../_shared/fewShotExamples.ts';
+import { injectPiiRedactionNodes } from '../_shared/piiRedaction.ts';
 
 /**
  * Refresh OAuth token for a provider
@@ -432,6 +435,7 @@ const SUPABASE_URL = Deno.env.get('SUPABASE_URL');
 const SERVICE_ROLE_KEY = Deno.env.get('SERVICE_ROLE_KEY');
 const GMAIL_CLIENT_ID = Deno.env.get('GMAIL_CLIENT_ID') || Deno.env.get('GOOGLE_CLIENT_ID') || '';
 const GMAIL_CLIENT_SECRET = Deno.env.get('GMAIL_CLIENT_SECRET') || Deno.env.get('GOOGLE_CLIENT_SECRET') || '';
+const BACKEND_URL = Deno.env.get('BACKEND_URL') || '';
 
 // Debug environment variables
 console.log('Environment check:', {
@@ -928,9 +932,9 @@ if (parsed.tertiary_category) {
   }
 }
 
-// Remove duplicates and filter valid label IDs
+// Remove duplicates and filter valid label IDs (IMAP folder IDs are mailbox paths)
 const uniqueLabelIds = [...new Set(labelIds)].filter(id => 
-  id && typeof id === 'string' && (id.startsWith('Label_') || id.startsWith('AAMk'))
+  id && typeof id === 'string' && (provider === 'imap' || id.startsWith('Label_') || id.startsWith('AAMk'))
 );
 
 // Fallback to MISC label if no labels found
@@ -1309,10 +1313,10 @@ async function resolveCredentialIdByName(name) {
   }
 }
 /**
- * Load workflow template based on email provider (Gmail or Outlook)
+ * Load workflow template based on email provider (Gmail, Outlook or IMAP)
  * Loads from the actual template JSON files
  */ async function loadWorkflowTemplateByProvider(provider) {
-  const templateFileName = provider === 'outlook' ? 'outlook-template.json' : 'gmail-template.json';
+  const templateFileName = provider === 'outlook' ? 'outlook-template.json' : provider === 'imap' ? 'imap-template.json' : 'gmail-template.json';
   const templatePath = `./templates/${templateFileName}`;
   console.log(`📂 Loading template from: ${templatePath}`);
   try {
@@ -1834,6 +1838,16 @@ async function injectOnboardingData(clientData: any, workflowTemplate: any, user
   // The frontend already generates comprehensive system messages with all business context
   let aiSystemMessage = clientData.aiSystemMessage || 'You are an email classifier. Categorize emails accurately and return JSON with summary, primary_category, confidence, and ai_can_reply fields.';
   
+  // FEW-SHOT EXAMPLES: Re-read the business's own corrections on every deploy so the
+  // classifier reflects them even when the frontend-built message is stale
+  try {
+    const fewShotExamples = await loadFewShotExamples(supabaseAdmin, userId);
+    aiSystemMessage = injectFewShotSection(aiSystemMessage, formatFewShotSection(fewShotExamples));
+    console.log(`🎓 Few-shot examples injected: ${fewShotExamples.length}`);
+  } catch (fewShotError) {
+    console.warn('⚠️ Could not refresh few-shot examples, keeping existing system message:', fewShotError.message);
+  }
+  
   // DEPARTMENT FILTERING: Add department-specific instructions to AI (supports multi-select)
   if (!departmentScopeArray.includes('all')) {
     const departmentCategoryMap = {
@@ -1984,6 +1998,8 @@ SIGNATURE: ${signatureBlock}
     // Credentials
     '<<<CLIENT_GMAIL_CRED_ID>>>': integrations.gmail?.credentialId || '',
     '<<<CLIENT_OUTLOOK_CRED_ID>>>': integrations.outlook?.credentialId || '',
+    '<<<CLIENT_IMAP_CRED_ID>>>': integrations.imap?.credentialId || '',
+    '<<<IMAP_AUTOMATION_TOKEN>>>': integrations.imap?.automationToken || '',
     '<<<CLIENT_POSTGRES_CRED_ID>>>': integrations.postgres?.credentialId || 'supabase-metrics',
     '<<<CLIENT_SUPABASE_CRED_ID>>>': integrations.postgres?.credentialId || 'supabase-metrics',
     '<<<CLIENT_OPENAI_CRED_ID>>>': integrations.openai?.credentialId || 'openai-shared',
@@ -2042,7 +2058,9 @@ SIGNATURE: ${signatureBlock}
     '<<<BEHAVIOR_SIGNATURE_TEMPLATE>>>': signatureBlock,
     // Supabase Configuration
     '<<<SUPABASE_URL>>>': SUPABASE_URL || '',
-    '<<<SUPABASE_ANON_KEY>>>': Deno.env.get('ANON_KEY') || ''
+    '<<<SUPABASE_ANON_KEY>>>': Deno.env.get('ANON_KEY') || '',
+    // Backend API (IMAP folder moves and drafts)
+    '<<<BACKEND_URL>>>': BACKEND_URL
   };
   // DYNAMIC LABEL ID INJECTION (Layer 3)
   // Add individual label IDs for routing nodes
@@ -2167,7 +2185,7 @@ async function handler(req: Request): Promise<Response> {
     // WorkflowData might be included in the main requestBody if sent from frontend
     const { workflowData } = requestBody;
     // Fetch client config and integrations
-    const { data: profile, error: profileError } = await supabaseAdmin.from('profiles').select('client_config, managers, suppliers, email_labels, business_types').eq('id', userId).single(); // Type assertion for profile
+    const { data: profile, error: profileError } = await supabaseAdmin.from('profiles').select('client_config, managers, suppliers, email_labels, business_types, pii_redaction').eq('id', userId).single(); // Type assertion for profile
     if (profileError || !profile?.client_config) throw new Error('Client configuration not found');
     
     // DEBUG: Log the profile data to understand the structure
@@ -2187,7 +2205,8 @@ async function handler(req: Request): Promise<Response> {
       'google',
       'gmail',
       'outlook',
-      'microsoft'
+      'microsoft',
+      'imap'
     ]);
     console.log(`🔍 Found ${activeIntegrations?.length || 0} active integrations:`, activeIntegrations?.map((i)=>({
         provider: i.provider,
@@ -2204,7 +2223,7 @@ async function handler(req: Request): Promise<Response> {
       integration = integrationWithCred || activeIntegrations[0];
       // CRITICAL FIX: Normalize provider detection (case-insensitive)
       const normalizedProvider = (integration.provider || '').toLowerCase();
-      provider = ['outlook', 'microsoft'].includes(normalizedProvider) ? 'outlook' : 'gmail';
+      provider = ['outlook', 'microsoft'].includes(normalizedProvider) ? 'outlook' : normalizedProvider === 'imap' ? 'imap' : 'gmail';
     }
     
     // Fetch learned voice profile (communication style)
@@ -2250,118 +2269,135 @@ async function handler(req: Request): Promise<Response> {
     const clientShort = String(userId).replace(/-/g, '').slice(0, 5);
     
     // ✅ NEW: Provision email folders/labels BEFORE workflow deployment
-    console.log('📁 Starting folder/label provisioning for email integration...');
-    try {
-      // CRITICAL FIX: Use standardized business types (single source of truth)
-      const businessTypes = getStandardizedBusinessTypes(profile);
+    // IMAP folders are created through the backend during onboarding (labelSyncValidator),
+    // so only their stored label map is needed here
+    if (provider === 'imap') {
+      const imapLabelMap = profile.client_config?.channels?.email?.label_map || {};
+      if (Object.keys(imapLabelMap).length > 0) {
+        profile.email_labels = Object.fromEntries(Object.entries(imapLabelMap).map(([name, label]: [string, any])=>[
+            name,
+            label?.id || label
+          ]));
+        console.log(`📊 Using ${Object.keys(profile.email_labels).length} IMAP folder mappings`);
+      } else {
+        console.warn('⚠️ No IMAP folder mappings found - run label provisioning before deploying');
+      }
+    } else {
+      console.log('📁 Starting folder/label provisioning for email integration...');
+      try {
+        // CRITICAL FIX: Use standardized business types (single source of truth)
+        const businessTypes = getStandardizedBusinessTypes(profile);
       
-      console.log(`📋 Provisioning folders for business types: ${businessTypes.join(', ')}`);
+        console.log(`📋 Provisioning folders for business types: ${businessTypes.join(', ')}`);
       
-      // CRITICAL FIX: Validate and refresh token before folder provisioning
-      let validAccessToken = integration?.access_token || refreshToken;
-      if (integration?.refresh_token) {
-        try {
-          // Check if token is expired or will expire soon
-          const expiresAt = integration.expires_at ? new Date(integration.expires_at) : null;
-          const now = new Date();
-          const minutesUntilExpiry = expiresAt ? (expiresAt.getTime() - now.getTime()) / (1000 * 60) : 0;
+        // CRITICAL FIX: Validate and refresh token before folder provisioning
+        let validAccessToken = integration?.access_token || refreshToken;
+        if (integration?.refresh_token) {
+          try {
+            // Check if token is expired or will expire soon
+            const expiresAt = integration.expires_at ? new Date(integration.expires_at) : null;
+            const now = new Date();
+            const minutesUntilExpiry = expiresAt ? (expiresAt.getTime() - now.getTime()) / (1000 * 60) : 0;
           
-          // Refresh if expired or expiring within 5 minutes
-          if (!expiresAt || minutesUntilExpiry < 5) {
-            console.log(`🔄 Token expired or expiring soon (${minutesUntilExpiry.toFixed(1)} min), refreshing...`);
-            const refreshed = await refreshOAuthToken(integration.refresh_token, provider);
+            // Refresh if expired or expiring within 5 minutes
+            if (!expiresAt || minutesUntilExpiry < 5) {
+              console.log(`🔄 Token expired or expiring soon (${minutesUntilExpiry.toFixed(1)} min), refreshing...`);
+              const refreshed = await refreshOAuthToken(integration.refresh_token, provider);
             
-            if (refreshed && refreshed.access_token) {
-              validAccessToken = refreshed.access_token;
-              console.log(`✅ Token refreshed successfully for ${provider}`);
+              if (refreshed && refreshed.access_token) {
+                validAccessToken = refreshed.access_token;
+                console.log(`✅ Token refreshed successfully for ${provider}`);
               
-              // Update integration with new token in database
-              const { error: updateError } = await supabaseAdmin
-                .from('integrations')
-                .update({
-                  access_token: refreshed.access_token,
-                  expires_at: refreshed.expires_in 
-                    ? new Date(Date.now() + (refreshed.expires_in * 1000)).toISOString()
-                    : null,
-                  updated_at: new Date().toISOString()
-                })
-                .eq('id', integration.id);
+                // Update integration with new token in database
+                const { error: updateError } = await supabaseAdmin
+                  .from('integrations')
+                  .update({
+                    access_token: refreshed.access_token,
+                    expires_at: refreshed.expires_in 
+                      ? new Date(Date.now() + (refreshed.expires_in * 1000)).toISOString()
+                      : null,
+                    updated_at: new Date().toISOString()
+                  })
+                  .eq('id', integration.id);
               
-              if (updateError) {
-                console.warn('⚠️ Failed to update refreshed token in database:', updateError);
+                if (updateError) {
+                  console.warn('⚠️ Failed to update refreshed token in database:', updateError);
+                }
               }
+            } else {
+              console.log(`✅ Token still valid for ${minutesUntilExpiry.toFixed(1)} more minutes`);
             }
-          } else {
-            console.log(`✅ Token still valid for ${minutesUntilExpiry.toFixed(1)} more minutes`);
+          } catch (tokenError) {
+            console.warn(`⚠️ Token refresh failed, using existing token:`, tokenError.message);
+            // Continue with existing token - if it's expired, API calls will fail gracefully
           }
-        } catch (tokenError) {
-          console.warn(`⚠️ Token refresh failed, using existing token:`, tokenError.message);
-          // Continue with existing token - if it's expired, API calls will fail gracefully
         }
-      }
       
-      // Call folder provisioning function with validated token
-      const provisioningResult = await provisionEmailFolders(
-        userId, 
-        businessTypes, 
-        provider,
-        validAccessToken,
-        profile.managers || [],
-        profile.suppliers || []
-      );
+        // Call folder provisioning function with validated token
+        const provisioningResult = await provisionEmailFolders(
+          userId, 
+          businessTypes, 
+          provider,
+          validAccessToken,
+          profile.managers || [],
+          profile.suppliers || []
+        );
       
-      if (provisioningResult.success) {
-        console.log(`✅ Folder provisioning completed successfully:`);
-        console.log(`   - Created: ${provisioningResult.created || 0} folders`);
-        console.log(`   - Matched: ${provisioningResult.matched || 0} folders`);
-        console.log(`   - Total: ${provisioningResult.total || 0} folders`);
+        if (provisioningResult.success) {
+          console.log(`✅ Folder provisioning completed successfully:`);
+          console.log(`   - Created: ${provisioningResult.created || 0} folders`);
+          console.log(`   - Matched: ${provisioningResult.matched || 0} folders`);
+          console.log(`   - Total: ${provisioningResult.total || 0} folders`);
         
-        // Update email_labels in profile for workflow injection
-        if (provisioningResult.labelMap && Object.keys(provisioningResult.labelMap).length > 0) {
-          profile.email_labels = provisioningResult.labelMap;
-          console.log(`📊 Updated email_labels with ${Object.keys(provisioningResult.labelMap).length} folder mappings`);
-        }
+          // Update email_labels in profile for workflow injection
+          if (provisioningResult.labelMap && Object.keys(provisioningResult.labelMap).length > 0) {
+            profile.email_labels = provisioningResult.labelMap;
+            console.log(`📊 Updated email_labels with ${Object.keys(provisioningResult.labelMap).length} folder mappings`);
+          }
         
-        // ✅ NEW: Validate folder health after provisioning
-        console.log('🔍 Validating folder health after provisioning...');
-        const folderHealthResult = await validateFolderHealth(userId, provider, businessTypes);
+          // ✅ NEW: Validate folder health after provisioning
+          console.log('🔍 Validating folder health after provisioning...');
+          const folderHealthResult = await validateFolderHealth(userId, provider, businessTypes);
         
-        if (folderHealthResult.success) {
-          console.log(`✅ Folder health check passed:`);
-          console.log(`   - Health: ${folderHealthResult.healthPercentage}%`);
-          console.log(`   - Expected: ${folderHealthResult.totalExpected} folders`);
-          console.log(`   - Found: ${folderHealthResult.totalFound} folders`);
+          if (folderHealthResult.success) {
+            console.log(`✅ Folder health check passed:`);
+            console.log(`   - Health: ${folderHealthResult.healthPercentage}%`);
+            console.log(`   - Expected: ${folderHealthResult.totalExpected} folders`);
+            console.log(`   - Found: ${folderHealthResult.totalFound} folders`);
           
-          // Check if critical folders are missing
-          if (folderHealthResult.missingCriticalFolders && folderHealthResult.missingCriticalFolders.length > 0) {
-            console.warn(`⚠️ Missing ${folderHealthResult.missingCriticalFolders.length} critical folders:`, folderHealthResult.missingCriticalFolders);
+            // Check if critical folders are missing
+            if (folderHealthResult.missingCriticalFolders && folderHealthResult.missingCriticalFolders.length > 0) {
+              console.warn(`⚠️ Missing ${folderHealthResult.missingCriticalFolders.length} critical folders:`, folderHealthResult.missingCriticalFolders);
             
-            // If health is too low, fail deployment
-            if (folderHealthResult.healthPercentage < 70) {
-              throw new Error(`Cannot deploy: Only ${folderHealthResult.healthPercentage}% of folders exist. Missing critical folders: ${folderHealthResult.missingCriticalFolders.join(', ')}`);
+              // If health is too low, fail deployment
+              if (folderHealthResult.healthPercentage < 70) {
+                throw new Error(`Cannot deploy: Only ${folderHealthResult.healthPercentage}% of folders exist. Missing critical folders: ${folderHealthResult.missingCriticalFolders.join(', ')}`);
+              }
             }
-          }
           
-          if (!folderHealthResult.allFoldersPresent && folderHealthResult.missingFolders && folderHealthResult.missingFolders.length > 0) {
-            console.warn(`⚠️ ${folderHealthResult.missingFolders.length} non-critical folders missing:`, folderHealthResult.missingFolders.slice(0, 5));
-            console.warn(`⚠️ Deployment will continue, but some email routing may not work until folders are created`);
+            if (!folderHealthResult.allFoldersPresent && folderHealthResult.missingFolders && folderHealthResult.missingFolders.length > 0) {
+              console.warn(`⚠️ ${folderHealthResult.missingFolders.length} non-critical folders missing:`, folderHealthResult.missingFolders.slice(0, 5));
+              console.warn(`⚠️ Deployment will continue, but some email routing may not work until folders are created`);
+            }
+          } else {
+            console.warn(`⚠️ Folder health check failed: ${folderHealthResult.error || 'Unknown error'}`);
+            console.warn(`⚠️ Continuing with deployment - manual folder verification recommended`);
           }
         } else {
-          console.warn(`⚠️ Folder health check failed: ${folderHealthResult.error || 'Unknown error'}`);
-          console.warn(`⚠️ Continuing with deployment - manual folder verification recommended`);
+          console.warn(`⚠️ Folder provisioning failed: ${provisioningResult.error || 'Unknown error'}`);
+          console.warn(`⚠️ Continuing with deployment - folders may need to be created manually`);
         }
-      } else {
-        console.warn(`⚠️ Folder provisioning failed: ${provisioningResult.error || 'Unknown error'}`);
-        console.warn(`⚠️ Continuing with deployment - folders may need to be created manually`);
+      } catch (folderError) {
+        console.error(`❌ Error during folder provisioning:`, folderError);
+        console.warn(`⚠️ Continuing with deployment despite folder provisioning error`);
+        // Don't throw - we want deployment to continue even if folder provisioning fails
       }
-    } catch (folderError) {
-      console.error(`❌ Error during folder provisioning:`, folderError);
-      console.warn(`⚠️ Continuing with deployment despite folder provisioning error`);
-      // Don't throw - we want deployment to continue even if folder provisioning fails
     }
-    // Ensure email credential in n8n (Gmail OR Outlook based on detected provider)
+    // Ensure email credential in n8n (Gmail, Outlook or IMAP based on detected provider)
     let gmailId = null;
     let outlookId = null;
+    let imapId = null;
+    let imapAutomationToken = null;
     if (provider === 'gmail') {
       // CREDENTIAL DEDUPLICATION: Clean up old credentials for this user
     console.log(`🧹 Starting credential cleanup for user: ${userId}`);
@@ -2594,6 +2630,69 @@ async function handler(req: Request): Promise<Response> {
       } else {
         console.log(`✅ Using existing Outlook credential: ${outlookId}`);
       }
+    } else if (provider === 'imap') {
+      // IMAP credential handling - the password is stored encrypted by the backend
+      const { data: mailbox, error: mailboxError } = await supabaseAdmin.from('mailbox_credentials').select('email_address, imap_host, imap_port, imap_secure, username, password_encrypted').eq('user_id', userId).maybeSingle();
+      if (mailboxError || !mailbox) {
+        throw new Error('IMAP mailbox credentials not found - reconnect the mailbox before deploying');
+      }
+      if (!BACKEND_URL) {
+        throw new Error('BACKEND_URL not configured in Edge Function environment (required for IMAP workflows)');
+      }
+      const { data: existingMap } = await supabaseAdmin.from('n8n_credential_mappings').select('imap_credential_id').eq('user_id', userId).maybeSingle();
+      imapId = integration?.n8n_credential_id || existingMap?.imap_credential_id || null;
+      if (!imapId) {
+        const credBody = {
+          name: `imap-${businessSlug}-${clientShort}`,
+          type: 'imap',
+          data: {
+            user: mailbox.username,
+            password: await decryptSecret(mailbox.password_encrypted),
+            host: mailbox.imap_host,
+            port: mailbox.imap_port,
+            secure: mailbox.imap_secure
+          }
+        };
+        console.log(`🔧 Creating IMAP credential:`, {
+          name: credBody.name,
+          host: mailbox.imap_host,
+          port: mailbox.imap_port,
+          user: mailbox.username
+        });
+        const created = await n8nRequest('/credentials', {
+          method: 'POST',
+          body: JSON.stringify(credBody)
+        });
+        imapId = created.id || created.credentialId || created.data?.id || created.data?.credentialId;
+        if (!imapId) {
+          console.error(`❌ Failed to extract credential ID from response:`, created);
+          throw new Error(`Failed to create IMAP credential: No ID returned from n8n API`);
+        }
+        await supabaseAdmin.from('n8n_credential_mappings').upsert({
+          user_id: userId,
+          imap_credential_id: imapId
+        }, {
+          onConflict: 'user_id'
+        });
+        if (integration) {
+          await supabaseAdmin.from('integrations').update({
+            n8n_credential_id: imapId
+          }).eq('user_id', userId).eq('provider', 'imap');
+        }
+        console.log(`✅ Created IMAP credential: ${imapId}`);
+      } else {
+        console.log(`✅ Using existing IMAP credential: ${imapId}`);
+      }
+      // Folder moves and drafts go through the backend; rotate its token on every deploy
+      const automation = await generateAutomationToken();
+      const { error: tokenError } = await supabaseAdmin.from('mailbox_credentials').update({
+        automation_token_hash: automation.hash,
+        updated_at: new Date().toISOString()
+      }).eq('user_id', userId);
+      if (tokenError) {
+        throw new Error(`Failed to store IMAP automation token: ${tokenError.message}`);
+      }
+      imapAutomationToken = automation.token;
     }
     // Use existing shared OpenAI credential (hardcoded ID since API listing fails)
     console.log(`🔍 Using hardcoded openai-shared credential ID...`);
@@ -2673,6 +2772,10 @@ async function handler(req: Request): Promise<Response> {
         outlook: {
           credentialId: outlookId || ''
         },
+        imap: {
+          credentialId: imapId || '',
+          automationToken: imapAutomationToken || ''
+        },
         openai: {
           credentialId: openaiId
         },
@@ -2694,12 +2797,29 @@ async function handler(req: Request): Promise<Response> {
     }
     // Ensure workflow has proper name and credentials
     workflowJson.name = `${businessSlug}-${clientShort}-workflow`;
+    // Tokenize customer PII around every AI agent (frontend- and server-injected workflows alike)
+    // The redact nodes report to pii-redaction-log with a token rotated on every deploy
+    const piiLogToken = await generateAutomationToken();
+    const { error: piiTokenError } = await supabaseAdmin.from('profiles').update({
+      pii_log_token_hash: piiLogToken.hash
+    }).eq('id', userId);
+    if (piiTokenError) {
+      throw new Error(`Failed to store PII log token: ${piiTokenError.message}`);
+    }
+    workflowJson = injectPiiRedactionNodes(workflowJson, profile.pii_redaction, {
+      supabaseUrl: SUPABASE_URL || '',
+      anonKey: Deno.env.get('ANON_KEY') || '',
+      userId,
+      logToken: piiLogToken.token
+    });
+    console.log(`🔒 PII redaction nodes in place (${profile.pii_redaction?.enabled === false ? 'disabled' : 'enabled'})`);
     // DEBUG: Log credential IDs before injection
     console.log(`🔑 Credential IDs ready for injection (Provider: ${provider}):`);
     console.log(`   - OpenAI ID: ${openaiId || 'NOT SET'}`);
     console.log(`   - Supabase ID: ${postgresId || 'NOT SET'}`);
     console.log(`   - Gmail ID: ${gmailId || 'NOT SET'}`);
     console.log(`   - Outlook ID: ${outlookId || 'NOT SET'}`);
+    console.log(`   - IMAP ID: ${imapId || 'NOT SET'}`);
     // Update credential IDs in the workflow nodes (important for dynamic credentials)
     if (workflowJson.nodes && Array.isArray(workflowJson.nodes)) {
       let openaiNodesUpdated = 0;
@@ -2772,6 +2892,17 @@ async function handler(req: Request): Promise<Response> {
             emailNodesUpdated++;
           }
         }
+        // Update IMAP credentials (only for IMAP provider)
+        if (provider === 'imap') {
+          if (node.type === 'n8n-nodes-base.emailReadImap' || node.credentials.imap) {
+            console.log(`🔧 Injecting IMAP credential into node: ${node.name} (${node.id})`);
+            node.credentials.imap = {
+              id: imapId || '',
+              name: `${clientData.business?.name || 'Client'} IMAP`
+            };
+            emailNodesUpdated++;
+          }
+        }
         // Update existing Supabase credentials if they exist
         if (node.credentials.supabaseApi) {
           console.log(`🔧 Updating existing Supabase credential in node: ${node.name} (${node.id})`);
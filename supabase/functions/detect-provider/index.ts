@@ -15,11 +15,15 @@ interface ProviderDetectionRequest {
   email: string;
 }
 
+type Provider = 'gmail' | 'outlook' | 'imap' | 'unknown';
+type ImapHosting = 'godaddy' | 'zoho' | 'cpanel' | 'custom';
+
 interface ProviderDetectionResponse {
-  provider: 'gmail' | 'outlook' | 'unknown';
+  provider: Provider;
   domain: string;
   method: string;
   confidence: number;
+  hosting?: ImapHosting;
   mxRecords?: MXRecord[];
   cached?: boolean;
   error?: string;
@@ -75,7 +79,8 @@ serve(async (req) => {
         provider: knownProvider,
         domain: domain,
         method: 'known_domain',
-        confidence: 1.0
+        confidence: 1.0,
+        ...(knownProvider === 'imap' && { hosting: 'zoho' as ImapHosting })
       }
       
       return new Response(
@@ -111,7 +116,7 @@ serve(async (req) => {
     console.log(`Performing MX lookup for domain: ${domain}`)
     const mxResult = await lookupMXRecords(domain)
     
-    let provider: 'gmail' | 'outlook' | 'unknown' = 'unknown'
+    let provider: Provider = 'unknown'
     let mxRecords: MXRecord[] = []
     
     if (mxResult.success) {
@@ -127,7 +132,8 @@ serve(async (req) => {
       domain: domain,
       method: 'mx_lookup',
       confidence: 0.8,
-      mxRecords: mxRecords
+      mxRecords: mxRecords,
+      ...(provider === 'imap' && { hosting: detectImapHosting(mxRecords, domain) })
     }
 
     return new Response(
@@ -167,9 +173,10 @@ function extractDomain(email: string): string | null {
 /**
  * Check if domain is directly known
  */
-function getKnownProvider(domain: string): 'gmail' | 'outlook' | null {
+function getKnownProvider(domain: string): 'gmail' | 'outlook' | 'imap' | null {
   const gmailDomains = ['gmail.com', 'googlemail.com']
   const outlookDomains = ['outlook.com', 'hotmail.com', 'live.com', 'msn.com']
+  const zohoDomains = ['zoho.com', 'zohomail.com']
   
   if (gmailDomains.includes(domain)) {
     return 'gmail'
@@ -177,6 +184,9 @@ function getKnownProvider(domain: string): 'gmail' | 'outlook' | null {
   if (outlookDomains.includes(domain)) {
     return 'outlook'
   }
+  if (zohoDomains.includes(domain)) {
+    return 'imap'
+  }
   return null
 }
 
@@ -263,7 +273,7 @@ async function lookupMXRecords(domain: string): Promise<{ success: boolean; mxRe
 /**
  * Analyze MX records to determine provider
  */
-function analyzeMXRecords(mxRecords: MXRecord[]): 'gmail' | 'outlook' | 'unknown' {
+function analyzeMXRecords(mxRecords: MXRecord[]): Provider {
   if (!mxRecords || mxRecords.length === 0) {
     return 'unknown'
   }
@@ -306,5 +316,25 @@ function analyzeMXRecords(mxRecords: MXRecord[]): 'gmail' | 'outlook' | 'unknown
     }
   }
 
-  return 'unknown'
+  // Mail is hosted somewhere else (GoDaddy, Zoho, cPanel, ...): connect over IMAP/SMTP
+  return 'imap'
+}
+
+/**
+ * Identify the IMAP hosting company from MX records
+ */
+function detectImapHosting(mxRecords: MXRecord[], domain: string): ImapHosting {
+  const hosts = mxRecords.map(r => r.exchange.toLowerCase().replace(/\.$/, ''))
+
+  if (hosts.some(host => /\.secureserver\.net$/.test(host))) {
+    return 'godaddy'
+  }
+  if (hosts.some(host => /(^|\.)zoho(mail)?\.(com|eu|in|com\.au|jp)$/.test(host))) {
+    return 'zoho'
+  }
+  // cPanel servers receive mail for the domain itself
+  if (hosts.some(host => host === domain || host === `mail.${domain}`)) {
+    return 'cpanel'
+  }
+  return 'custom'
 }
@@ -0,0 +1,240 @@
+/**
+ * Gmail History Sync helpers
+ * Wraps users.history.list and users.watch for the gmail-webhook function
+ */
+
+const GMAIL_API_BASE = 'https://gmail.googleapis.com/gmail/v1/users/me';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+
+// Gmail watches expire after 7 days; renew once less than a day remains
+export const WATCH_RENEWAL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// A full resync never reaches back further than this
+export const FULL_SYNC_MAX_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+
+export class HistoryExpiredError extends Error {
+  constructor(startHistoryId: string) {
+    super(`Gmail history ${startHistoryId} is no longer available`);
+    this.name = 'HistoryExpiredError';
+  }
+}
+
+/**
+ * Compare two Gmail historyIds (unsigned 64-bit numbers encoded as strings)
+ */
+export function compareHistoryIds(a: string | null, b: string | null): number {
+  if (!a && !b) return 0;
+  if (!a) return -1;
+  if (!b) return 1;
+  const left = BigInt(a);
+  const right = BigInt(b);
+  return left === right ? 0 : left > right ? 1 : -1;
+}
+
+/**
+ * Return a valid access token for a Gmail integration, refreshing and
+ * persisting it when it is expired or about to expire
+ */
+export async function getGmailAccessToken(supabase: any, integration: any): Promise<string> {
+  const expiresAt = integration.expires_at ? new Date(integration.expires_at).getTime() : 0;
+  if (integration.access_token && expiresAt - Date.now() > 5 * 60 * 1000) {
+    return integration.access_token;
+  }
+
+  if (!integration.refresh_token) {
+    throw new Error('Gmail token expired and no refresh token available');
+  }
+
+  const params = new URLSearchParams();
+  params.append('client_id', Deno.env.get('GMAIL_CLIENT_ID') || Deno.env.get('GOOGLE_CLIENT_ID') || '');
+  params.append('client_secret', Deno.env.get('GMAIL_CLIENT_SECRET') || Deno.env.get('GOOGLE_CLIENT_SECRET') || '');
+  params.append('refresh_token', integration.refresh_token);
+  params.append('grant_type', 'refresh_token');
+
+  const response = await fetch(GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Token refresh failed: ${response.status} - ${errorText}`);
+  }
+
+  const refreshed = await response.json();
+
+  const { error: updateError } = await supabase
+    .from('integrations')
+    .update({
+      access_token: refreshed.access_token,
+      expires_at: refreshed.expires_in
+        ? new Date(Date.now() + (refreshed.expires_in * 1000)).toISOString()
+        : null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', integration.id);
+
+  if (updateError) {
+    console.warn('⚠️ Failed to update refreshed Gmail token in database:', updateError);
+  }
+
+  return refreshed.access_token;
+}
+
+/**
+ * Fetch the IDs of messages added to the mailbox since startHistoryId.
+ * Follows nextPageToken until the history is exhausted.
+ * @returns messageIds plus the latest historyId reported by Gmail
+ */
+export async function listAddedMessagesSince(
+  accessToken: string,
+  startHistoryId: string,
+  labelId = 'INBOX'
+): Promise<{ messageIds: string[], historyId: string }> {
+  const messageIds = new Set<string>();
+  let latestHistoryId = startHistoryId;
+  let pageToken: string | undefined;
+
+  do {
+    const params = new URLSearchParams({
+      startHistoryId,
+      historyTypes: 'messageAdded',
+      labelId,
+      maxResults: '500'
+    });
+    if (pageToken) params.set('pageToken', pageToken);
+
+    const response = await fetch(`${GMAIL_API_BASE}/history?${params.toString()}`, {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+
+    // Gmail returns 404 when startHistoryId is older than the retained history
+    if (response.status === 404) {
+      throw new HistoryExpiredError(startHistoryId);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Gmail history.list failed: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+
+    for (const record of data.history || []) {
+      for (const added of record.messagesAdded || []) {
+        // Drafts and sent items also surface as messageAdded
+        const labels: string[] = added.message?.labelIds || [];
+        if (added.message?.id && !labels.includes('DRAFT') && !labels.includes('SENT')) {
+          messageIds.add(added.message.id);
+        }
+      }
+    }
+
+    if (data.historyId && compareHistoryIds(data.historyId, latestHistoryId) > 0) {
+      latestHistoryId = data.historyId;
+    }
+
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return { messageIds: Array.from(messageIds), historyId: latestHistoryId };
+}
+
+/**
+ * Start of the window a full resync covers: the last successful sync (less
+ * an hour, so mail delivered out of order is not missed), capped at
+ * FULL_SYNC_MAX_LOOKBACK_MS
+ */
+export function getFullSyncStart(lastSyncedAt: string | null, now = new Date()): Date {
+  const earliest = now.getTime() - FULL_SYNC_MAX_LOOKBACK_MS;
+  const lastSynced = lastSyncedAt ? new Date(lastSyncedAt).getTime() - 60 * 60 * 1000 : NaN;
+  return new Date(Number.isNaN(lastSynced) ? earliest : Math.max(lastSynced, earliest));
+}
+
+/**
+ * Fetch the IDs of INBOX messages received since a point in time. Used when
+ * the history cursor has expired and users.history.list can no longer say
+ * what was added.
+ */
+export async function listInboxMessagesSince(accessToken: string, since: Date): Promise<string[]> {
+  const messageIds: string[] = [];
+  let pageToken: string | undefined;
+
+  do {
+    const params = new URLSearchParams({
+      q: `after:${Math.floor(since.getTime() / 1000)}`,
+      labelIds: 'INBOX',
+      maxResults: '500'
+    });
+    if (pageToken) params.set('pageToken', pageToken);
+
+    const response = await fetch(`${GMAIL_API_BASE}/messages?${params.toString()}`, {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Gmail messages.list failed: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    for (const message of data.messages || []) {
+      if (message.id) messageIds.push(message.id);
+    }
+
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return messageIds;
+}
+
+/**
+ * Register (or renew) a users.watch on the mailbox's INBOX
+ * @returns the historyId at registration and the watch expiration
+ */
+export async function startGmailWatch(
+  accessToken: string,
+  topicName: string
+): Promise<{ historyId: string, expiration: string }> {
+  const response = await fetch(`${GMAIL_API_BASE}/watch`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      topicName,
+      labelIds: ['INBOX'],
+      labelFilterBehavior: 'include'
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Gmail watch failed: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  return {
+    historyId: String(data.historyId),
+    expiration: new Date(Number(data.expiration)).toISOString()
+  };
+}
+
+/**
+ * Fetch the mailbox address and current historyId for an access token
+ */
+export async function getGmailProfile(accessToken: string): Promise<{ emailAddress: string, historyId: string }> {
+  const response = await fetch(`${GMAIL_API_BASE}/profile`, {
+    headers: { 'Authorization': `Bearer ${accessToken}` }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Gmail profile lookup failed: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  return { emailAddress: data.emailAddress.toLowerCase(), historyId: String(data.historyId) };
+}
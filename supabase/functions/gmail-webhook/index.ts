@@ -1,16 +1,271 @@
 /**
  * Gmail Webhook Handler
  * Handles Gmail push notifications and Pub/Sub messages
+ *
+ * Pub/Sub pushes carry `{ emailAddress, historyId }`. For each push we call
+ * users.history.list from the mailbox's stored historyId, log exactly the
+ * messages added since then, and advance the cursor. When the cursor has
+ * fallen out of Gmail's history window the mailbox is resynced from its last
+ * sync time instead. Redelivered pushes are ignored via gmail_push_receipts.
+ *
+ * Control actions (POST JSON body):
+ *   { action: 'watch', userId }  register users.watch for the user's Gmail mailbox
+ *                                (service role, or that user's own JWT)
+ *   { action: 'renew' }          renew every watch expiring within a day and prune
+ *                                old push receipts (cron, service role)
  */
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import {
+  HistoryExpiredError,
+  WATCH_RENEWAL_WINDOW_MS,
+  compareHistoryIds,
+  getFullSyncStart,
+  getGmailAccessToken,
+  getGmailProfile,
+  listAddedMessagesSince,
+  listInboxMessagesSince,
+  startGmailWatch
+} from './historySync.ts'
+import { authorizeControlAction } from '../_shared/controlActionAuth.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+const jsonResponse = (payload: any, status = 200) => new Response(
+  JSON.stringify(payload),
+  { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+)
+
+/**
+ * Insert email_logs rows for message IDs not yet logged for this user
+ */
+async function logNewMessages(supabase: any, userId: string, messageIds: string[]): Promise<string[]> {
+  const processedEmails: string[] = []
+
+  for (const messageId of messageIds) {
+    // Check if we've already processed this email
+    const { data: existing } = await supabase
+      .from('email_logs')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('message_id', messageId)
+      .eq('provider', 'gmail')
+      .maybeSingle()
+
+    if (!existing) {
+      // Store new email
+      const { error } = await supabase
+        .from('email_logs')
+        .insert({
+          user_id: userId,
+          provider: 'gmail',
+          message_id: messageId,
+          status: 'new',
+          processed_at: new Date().toISOString()
+        })
+
+      if (!error) {
+        processedEmails.push(messageId)
+        console.log(`✅ New Gmail email logged: ${messageId}`)
+      }
+    }
+  }
+
+  return processedEmails
+}
+
+async function getActiveGmailIntegration(supabase: any, userId: string, integrationId?: string) {
+  let query = supabase
+    .from('integrations')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('provider', 'gmail')
+    .eq('status', 'active')
+
+  if (integrationId) {
+    query = query.eq('id', integrationId)
+  }
+
+  const { data, error } = await query.limit(1).maybeSingle()
+  if (error) throw error
+  return data
+}
+
+/**
+ * Register or renew users.watch for a user's Gmail mailbox and persist the state
+ */
+async function registerWatch(supabase: any, userId: string, integrationId?: string) {
+  const topicName = Deno.env.get('GMAIL_PUBSUB_TOPIC')
+  if (!topicName) {
+    throw new Error('GMAIL_PUBSUB_TOPIC is not configured')
+  }
+
+  const integration = await getActiveGmailIntegration(supabase, userId, integrationId)
+  if (!integration) {
+    throw new Error(`No active Gmail integration for user ${userId}`)
+  }
+
+  const accessToken = await getGmailAccessToken(supabase, integration)
+  const profile = await getGmailProfile(accessToken)
+  const watch = await startGmailWatch(accessToken, topicName)
+
+  const { data: existingState } = await supabase
+    .from('gmail_watch_state')
+    .select('history_id')
+    .eq('email_address', profile.emailAddress)
+    .maybeSingle()
+
+  // Keep an existing cursor so mail that arrived between watches is still synced
+  const historyId = existingState?.history_id || watch.historyId
+
+  const { error } = await supabase
+    .from('gmail_watch_state')
+    .upsert({
+      user_id: userId,
+      integration_id: integration.id,
+      email_address: profile.emailAddress,
+      history_id: historyId,
+      topic_name: topicName,
+      watch_expiration: watch.expiration,
+      watch_status: 'active',
+      last_error: null
+    }, { onConflict: 'email_address' })
+
+  if (error) throw error
+
+  console.log(`👀 Gmail watch active for ${profile.emailAddress} until ${watch.expiration}`)
+  return { emailAddress: profile.emailAddress, historyId, expiration: watch.expiration }
+}
+
+/**
+ * Renew every active watch that expires within WATCH_RENEWAL_WINDOW_MS
+ */
+async function renewExpiringWatches(supabase: any) {
+  const renewBefore = new Date(Date.now() + WATCH_RENEWAL_WINDOW_MS).toISOString()
+
+  const { data: states, error } = await supabase
+    .from('gmail_watch_state')
+    .select('user_id, integration_id, email_address, watch_expiration')
+    .in('watch_status', ['active', 'expired', 'error'])
+    .lt('watch_expiration', renewBefore)
+
+  if (error) throw error
+
+  const results = []
+  for (const state of states || []) {
+    try {
+      const renewed = await registerWatch(supabase, state.user_id, state.integration_id)
+      results.push({ emailAddress: state.email_address, success: true, expiration: renewed.expiration })
+    } catch (renewError) {
+      console.error(`❌ Failed to renew Gmail watch for ${state.email_address}:`, renewError)
+      const expired = state.watch_expiration && new Date(state.watch_expiration).getTime() < Date.now()
+      await supabase
+        .from('gmail_watch_state')
+        .update({ watch_status: expired ? 'expired' : 'error', last_error: renewError.message })
+        .eq('email_address', state.email_address)
+      results.push({ emailAddress: state.email_address, success: false, error: renewError.message })
+    }
+  }
+
+  return results
+}
+
+/**
+ * Sync a mailbox from its stored historyId up to the pushed historyId
+ */
+async function syncMailboxHistory(supabase: any, emailAddress: string, pushedHistoryId: string) {
+  const { data: state, error: stateError } = await supabase
+    .from('gmail_watch_state')
+    .select('*')
+    .eq('email_address', emailAddress)
+    .maybeSingle()
+
+  if (stateError) throw stateError
+  if (!state) {
+    console.warn(`⚠️ Gmail push for unwatched mailbox ${emailAddress}`)
+    return { userId: null, messageIds: [], skipped: 'unknown_mailbox' }
+  }
+
+  const now = new Date().toISOString()
+
+  // Nothing new if this push does not move past the stored cursor
+  if (state.history_id && compareHistoryIds(pushedHistoryId, state.history_id) <= 0) {
+    await supabase
+      .from('gmail_watch_state')
+      .update({ last_notification_at: now })
+      .eq('id', state.id)
+    return { userId: state.user_id, messageIds: [], skipped: 'stale_history' }
+  }
+
+  // First push after registration without a cursor: start from here
+  if (!state.history_id) {
+    await supabase
+      .from('gmail_watch_state')
+      .update({ history_id: pushedHistoryId, last_notification_at: now, last_synced_at: now })
+      .eq('id', state.id)
+    return { userId: state.user_id, messageIds: [], skipped: 'cursor_initialized' }
+  }
+
+  const integration = await getActiveGmailIntegration(supabase, state.user_id, state.integration_id)
+  if (!integration) {
+    throw new Error(`No active Gmail integration for ${emailAddress}`)
+  }
+
+  const accessToken = await getGmailAccessToken(supabase, integration)
+
+  let messageIds: string[] = []
+  let nextHistoryId = pushedHistoryId
+  let needsFullSync = Boolean(state.needs_full_sync)
+
+  try {
+    const history = await listAddedMessagesSince(accessToken, state.history_id)
+    messageIds = history.messageIds
+    if (compareHistoryIds(history.historyId, nextHistoryId) > 0) {
+      nextHistoryId = history.historyId
+    }
+  } catch (historyError) {
+    if (!(historyError instanceof HistoryExpiredError)) throw historyError
+
+    // Cursor fell out of Gmail's history window; resync and restart from the push
+    console.warn(`⚠️ ${historyError.message} for ${emailAddress}, running full sync`)
+    needsFullSync = true
+  }
+
+  let fullSync = false
+  if (needsFullSync) {
+    try {
+      const since = getFullSyncStart(state.last_synced_at)
+      const resynced = await listInboxMessagesSince(accessToken, since)
+      messageIds = Array.from(new Set([...messageIds, ...resynced]))
+      needsFullSync = false
+      fullSync = true
+      console.log(`🔄 Full Gmail sync for ${emailAddress} since ${since.toISOString()}: ${resynced.length} messages`)
+    } catch (fullSyncError) {
+      // Keep the flag so the next push retries the resync
+      console.error(`❌ Full Gmail sync failed for ${emailAddress}:`, fullSyncError)
+    }
+  }
+
+  const processedEmails = await logNewMessages(supabase, state.user_id, messageIds)
+
+  await supabase
+    .from('gmail_watch_state')
+    .update({
+      history_id: nextHistoryId,
+      last_notification_at: now,
+      last_synced_at: now,
+      needs_full_sync: needsFullSync,
+      last_error: needsFullSync ? 'Full sync pending' : null
+    })
+    .eq('id', state.id)
+
+  return { userId: state.user_id, messageIds: processedEmails, needsFullSync, fullSync }
+}
+
 serve(async (req) => {
   // Handle CORS preflight requests
   if (req.method === 'OPTIONS') {
@@ -25,87 +280,113 @@ serve(async (req) => {
 
     // Gmail webhooks come as Pub/Sub messages
     const body = await req.json()
-    
-    console.log('📧 Gmail webhook received:', body)
+
+    if (body.action === 'watch') {
+      if (!body.userId) {
+        return jsonResponse({ error: 'Missing userId' }, 400)
+      }
+      const denied = await authorizeControlAction(req, supabase, body.userId)
+      if (denied) return jsonResponse({ error: denied.error }, denied.status)
+
+      const watch = await registerWatch(supabase, body.userId, body.integrationId)
+      return jsonResponse({ success: true, ...watch })
+    }
+
+    if (body.action === 'renew') {
+      const denied = await authorizeControlAction(req, supabase)
+      if (denied) return jsonResponse({ error: denied.error }, denied.status)
+
+      const results = await renewExpiringWatches(supabase)
+
+      // Receipts only guard against Pub/Sub redelivery, which stops after 7 days
+      const { error: cleanupError } = await supabase.rpc('cleanup_gmail_push_receipts')
+      if (cleanupError) console.error('❌ Failed to clean up Gmail push receipts:', cleanupError)
+
+      return jsonResponse({ success: true, renewed: results.filter(r => r.success).length, results })
+    }
+
+    console.log('📧 Gmail webhook received:', body.message?.messageId)
 
     // Verify the webhook (in production, verify the signature)
     if (!body.message || !body.message.data) {
-      return new Response(
-        JSON.stringify({ error: 'Invalid Gmail webhook format' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
+      return jsonResponse({ error: 'Invalid Gmail webhook format' }, 400)
     }
 
     // Decode the base64 message data
     const messageData = JSON.parse(atob(body.message.data))
-    
-    // Extract user ID and message IDs
-    const userId = messageData.userId
-    const messageIds = messageData.messageIds || []
-
-    if (!userId || !messageIds.length) {
-      return new Response(
-        JSON.stringify({ error: 'Missing userId or messageIds' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
+    const pubsubMessageId = body.message.messageId || body.message.message_id
+
+    // Pub/Sub delivers at least once, sometimes concurrently. Claim the
+    // receipt before processing so only one delivery does the work.
+    if (pubsubMessageId) {
+      const { error: receiptError } = await supabase
+        .from('gmail_push_receipts')
+        .insert({
+          pubsub_message_id: pubsubMessageId,
+          email_address: messageData.emailAddress || 'unknown',
+          history_id: messageData.historyId ? String(messageData.historyId) : null
+        })
+
+      if (receiptError?.code === '23505') {
+        return jsonResponse({ success: true, duplicate: true, processed: 0, messageIds: [] })
+      }
+      if (receiptError) throw receiptError
     }
 
-    // Process new emails
-    const processedEmails = []
-    for (const messageId of messageIds) {
-      // Check if we've already processed this email
-      const { data: existing } = await supabase
-        .from('email_logs')
-        .select('id')
-        .eq('user_id', userId)
-        .eq('message_id', messageId)
-        .eq('provider', 'gmail')
-        .single()
-
-      if (!existing) {
-        // Store new email
-        const { error } = await supabase
-          .from('email_logs')
-          .insert({
-            user_id: userId,
-            provider: 'gmail',
-            message_id: messageId,
-            status: 'new',
-            processed_at: new Date().toISOString()
-          })
-
-        if (!error) {
-          processedEmails.push(messageId)
-          console.log(`✅ New Gmail email logged: ${messageId}`)
+    let userId = messageData.userId
+    let processedEmails: string[] = []
+    let syncResult: any = null
+
+    try {
+      if (messageData.emailAddress && messageData.historyId) {
+        syncResult = await syncMailboxHistory(
+          supabase,
+          messageData.emailAddress.toLowerCase(),
+          String(messageData.historyId)
+        )
+        userId = syncResult.userId
+        processedEmails = syncResult.messageIds
+      } else {
+        // Legacy payload that lists message IDs directly
+        const messageIds = messageData.messageIds || []
+
+        if (!userId || !messageIds.length) {
+          return jsonResponse({ error: 'Missing emailAddress/historyId or userId/messageIds' }, 400)
         }
+
+        processedEmails = await logNewMessages(supabase, userId, messageIds)
+      }
+    } catch (processingError) {
+      // Release the receipt so Pub/Sub's redelivery is processed
+      if (pubsubMessageId) {
+        await supabase.from('gmail_push_receipts').delete().eq('pubsub_message_id', pubsubMessageId)
       }
+      throw processingError
     }
 
     // Store webhook record
-    await supabase
-      .from('email_webhooks')
-      .insert({
-        user_id: userId,
-        provider: 'gmail',
-        webhook_data: body,
-        processed_data: { messageIds: processedEmails },
-        received_at: new Date().toISOString()
-      })
-
-    return new Response(
-      JSON.stringify({ 
-        success: true, 
-        processed: processedEmails.length,
-        messageIds: processedEmails 
-      }),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
+    if (userId) {
+      await supabase
+        .from('email_webhooks')
+        .insert({
+          user_id: userId,
+          provider: 'gmail',
+          webhook_data: body,
+          processed_data: { messageIds: processedEmails, sync: syncResult },
+          received_at: new Date().toISOString()
+        })
+    }
+
+    return jsonResponse({
+      success: true,
+      processed: processedEmails.length,
+      messageIds: processedEmails,
+      ...(syncResult?.skipped ? { skipped: syncResult.skipped } : {})
+    })
 
   } catch (error) {
     console.error('❌ Gmail webhook error:', error)
-    return new Response(
-      JSON.stringify({ error: error.message }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
+    // Non-2xx makes Pub/Sub redeliver, which is what we want for transient failures
+    return jsonResponse({ error: error.message }, 500)
   }
 })
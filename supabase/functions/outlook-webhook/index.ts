@@ -1,22 +1,315 @@
 /**
  * Outlook Webhook Handler
  * Handles Microsoft Graph webhook notifications
+ *
+ * Change notifications are matched to their outlook_subscriptions row by
+ * subscriptionId and rejected unless clientState matches the stored secret.
+ * Lifecycle notifications are acknowledged first and handled in the
+ * background, since Graph only waits a few seconds for the response:
+ *   reauthorizationRequired  reauthorize (or renew) the subscription
+ *   subscriptionRemoved      recreate the subscription, then delta catch-up
+ *   missed                   delta catch-up so no message goes unclassified
+ *
+ * Control actions (POST JSON body):
+ *   { action: 'subscribe', userId }  create or replace the mailbox subscription
+ *                                    (service role, or that user's own JWT)
+ *   { action: 'renew' }              renew subscriptions expiring soon (cron, service role)
+ *   { action: 'catchup', userId }    run a /messages/delta catch-up now
+ *                                    (service role, or that user's own JWT)
  */
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import {
+  GraphRequestError,
+  INBOX_RESOURCE,
+  RENEWAL_WINDOW_MS,
+  clientStateMatches,
+  createSubscription,
+  deleteSubscription,
+  generateClientState,
+  getOutlookAccessToken,
+  reauthorizeSubscription,
+  renewSubscription,
+  runMessagesDelta
+} from './subscriptionManager.ts'
+import { authorizeControlAction } from '../_shared/controlActionAuth.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+const jsonResponse = (payload: any, status = 200) => new Response(
+  JSON.stringify(payload),
+  { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+)
+
+declare const EdgeRuntime: { waitUntil(promise: Promise<unknown>): void } | undefined
+
+/**
+ * Keep work running after the response has been sent
+ */
+function runInBackground(label: string, work: Promise<unknown>) {
+  const guarded = work.catch(error => console.error(`❌ ${label} failed:`, error))
+  if (typeof EdgeRuntime !== 'undefined') {
+    EdgeRuntime.waitUntil(guarded)
+  }
+}
+
+const getNotificationUrl = () => `${Deno.env.get('SUPABASE_URL') ?? ''}/functions/v1/outlook-webhook`
+
+/**
+ * Insert email_logs rows for Outlook messages not yet logged for this user
+ */
+async function logNewMessages(supabase: any, userId: string, messages: any[]): Promise<string[]> {
+  const processedEmails: string[] = []
+
+  for (const message of messages) {
+    // Check if we've already processed this email
+    const { data: existing } = await supabase
+      .from('email_logs')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('message_id', message.id)
+      .eq('provider', 'outlook')
+      .maybeSingle()
+
+    if (existing) continue
+
+    // Store new email
+    const { error } = await supabase
+      .from('email_logs')
+      .insert({
+        user_id: userId,
+        provider: 'outlook',
+        message_id: message.id,
+        subject: message.subject,
+        from_email: message.from?.emailAddress?.address,
+        from_name: message.from?.emailAddress?.name,
+        body_preview: message.bodyPreview,
+        received_at: message.receivedDateTime,
+        has_attachments: message.hasAttachments,
+        status: 'new',
+        processed_at: new Date().toISOString()
+      })
+
+    if (!error) {
+      processedEmails.push(message.id)
+      console.log(`✅ New Outlook email logged: ${message.id}`)
+    }
+  }
+
+  return processedEmails
+}
+
+async function getActiveOutlookIntegration(supabase: any, userId: string) {
+  const { data, error } = await supabase
+    .from('integrations')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('provider', 'outlook')
+    .eq('status', 'active')
+    .limit(1)
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw new Error(`No active Outlook integration for user ${userId}`)
+  return data
+}
+
+async function updateSubscriptionRow(supabase: any, id: string, fields: Record<string, any>) {
+  const { error } = await supabase
+    .from('outlook_subscriptions')
+    .update(fields)
+    .eq('id', id)
+
+  if (error) {
+    console.warn('⚠️ Failed to update outlook subscription state:', error)
+  }
+}
+
+/**
+ * Create (or replace) the Graph subscription for a user's inbox and seed the
+ * delta cursor so later catch-ups only return mail received after this point
+ */
+async function subscribeMailbox(supabase: any, userId: string) {
+  const integration = await getActiveOutlookIntegration(supabase, userId)
+  const accessToken = await getOutlookAccessToken(supabase, integration)
+
+  const { data: existing } = await supabase
+    .from('outlook_subscriptions')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('resource', INBOX_RESOURCE)
+    .maybeSingle()
+
+  if (existing?.subscription_id) {
+    try {
+      await deleteSubscription(accessToken, existing.subscription_id)
+    } catch (deleteError) {
+      // Already gone on the Graph side is fine
+      if (!(deleteError instanceof GraphRequestError && deleteError.status === 404)) {
+        console.warn('⚠️ Failed to delete previous Graph subscription:', deleteError.message)
+      }
+    }
+  }
+
+  const clientState = generateClientState()
+  const notificationUrl = getNotificationUrl()
+  const subscription = await createSubscription(accessToken, {
+    notificationUrl,
+    lifecycleNotificationUrl: notificationUrl,
+    clientState
+  })
+
+  let deltaLink = existing?.delta_link || null
+  if (!deltaLink) {
+    const baseline = await runMessagesDelta(accessToken, { since: new Date().toISOString() })
+    deltaLink = baseline.deltaLink
+  }
+
+  const { data: row, error } = await supabase
+    .from('outlook_subscriptions')
+    .upsert({
+      user_id: userId,
+      integration_id: integration.id,
+      resource: INBOX_RESOURCE,
+      subscription_id: subscription.id,
+      client_state: clientState,
+      expiration_at: subscription.expirationDateTime,
+      status: 'active',
+      delta_link: deltaLink,
+      last_error: null
+    }, { onConflict: 'user_id,resource' })
+    .select()
+    .single()
+
+  if (error) throw error
+
+  console.log(`👀 Graph subscription ${subscription.id} active until ${subscription.expirationDateTime}`)
+  return row
+}
+
+/**
+ * Fetch everything added since the stored deltaLink and log it
+ */
+async function runDeltaCatchUp(supabase: any, subscriptionRow: any) {
+  const integration = await getActiveOutlookIntegration(supabase, subscriptionRow.user_id)
+  const accessToken = await getOutlookAccessToken(supabase, integration)
+
+  // Without a cursor, look back to the last notification we know we received
+  const since = subscriptionRow.last_notification_at ||
+    new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+
+  const { messages, deltaLink } = await runMessagesDelta(accessToken, {
+    deltaLink: subscriptionRow.delta_link,
+    since
+  })
+
+  const processedEmails = await logNewMessages(supabase, subscriptionRow.user_id, messages)
+
+  await updateSubscriptionRow(supabase, subscriptionRow.id, {
+    delta_link: deltaLink,
+    last_delta_sync_at: new Date().toISOString()
+  })
+
+  console.log(`🔄 Delta catch-up for user ${subscriptionRow.user_id}: ${processedEmails.length} new messages`)
+  return processedEmails
+}
+
+/**
+ * Renew every subscription expiring within RENEWAL_WINDOW_MS; recreate the
+ * ones Graph no longer knows about
+ */
+async function renewExpiringSubscriptions(supabase: any) {
+  const renewBefore = new Date(Date.now() + RENEWAL_WINDOW_MS).toISOString()
+
+  const { data: rows, error } = await supabase
+    .from('outlook_subscriptions')
+    .select('*')
+    .in('status', ['active', 'reauthorization_required', 'expired', 'error'])
+    .lt('expiration_at', renewBefore)
+
+  if (error) throw error
+
+  const results = []
+  for (const row of rows || []) {
+    try {
+      const expired = row.expiration_at && new Date(row.expiration_at).getTime() <= Date.now()
+      if (expired || row.status !== 'active') {
+        // Expired subscriptions cannot be renewed; recreate and catch up on the gap
+        const recreated = await subscribeMailbox(supabase, row.user_id)
+        await runDeltaCatchUp(supabase, recreated)
+        results.push({ userId: row.user_id, success: true, recreated: true })
+        continue
+      }
+
+      const integration = await getActiveOutlookIntegration(supabase, row.user_id)
+      const accessToken = await getOutlookAccessToken(supabase, integration)
+      const expirationAt = await renewSubscription(accessToken, row.subscription_id)
+      await updateSubscriptionRow(supabase, row.id, { expiration_at: expirationAt, status: 'active', last_error: null })
+      results.push({ userId: row.user_id, success: true, expirationAt })
+    } catch (renewError) {
+      console.error(`❌ Failed to renew Graph subscription for user ${row.user_id}:`, renewError)
+      await updateSubscriptionRow(supabase, row.id, { status: 'error', last_error: renewError.message })
+      results.push({ userId: row.user_id, success: false, error: renewError.message })
+    }
+  }
+
+  return results
+}
+
+async function handleLifecycleEvent(supabase: any, notification: any, subscriptionRow: any) {
+  const event = notification.lifecycleEvent
+  await updateSubscriptionRow(supabase, subscriptionRow.id, {
+    last_lifecycle_event: event,
+    last_lifecycle_event_at: new Date().toISOString()
+  })
+
+  console.log(`♻️ Graph lifecycle event ${event} for subscription ${subscriptionRow.subscription_id}`)
+
+  if (event === 'reauthorizationRequired') {
+    const integration = await getActiveOutlookIntegration(supabase, subscriptionRow.user_id)
+    const accessToken = await getOutlookAccessToken(supabase, integration)
+    try {
+      await reauthorizeSubscription(accessToken, subscriptionRow.subscription_id)
+      await updateSubscriptionRow(supabase, subscriptionRow.id, { status: 'active', last_error: null })
+    } catch (reauthError) {
+      console.warn('⚠️ Reauthorize failed, renewing instead:', reauthError.message)
+      await updateSubscriptionRow(supabase, subscriptionRow.id, { status: 'reauthorization_required' })
+      const expirationAt = await renewSubscription(accessToken, subscriptionRow.subscription_id)
+      await updateSubscriptionRow(supabase, subscriptionRow.id, { expiration_at: expirationAt, status: 'active' })
+    }
+    return []
+  }
+
+  if (event === 'subscriptionRemoved') {
+    await updateSubscriptionRow(supabase, subscriptionRow.id, { status: 'removed' })
+    const recreated = await subscribeMailbox(supabase, subscriptionRow.user_id)
+    return await runDeltaCatchUp(supabase, recreated)
+  }
+
+  if (event === 'missed') {
+    return await runDeltaCatchUp(supabase, subscriptionRow)
+  }
+
+  console.warn(`⚠️ Unhandled Graph lifecycle event: ${event}`)
+  return []
+}
+
 serve(async (req) => {
   // Handle CORS preflight requests
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
   }
 
+  // Graph validates notification and lifecycle URLs by echoing this token
+  const validationToken = new URL(req.url).searchParams.get('validationToken')
+  if (validationToken) {
+    return new Response(validationToken, { status: 200, headers: { 'Content-Type': 'text/plain' } })
+  }
+
   try {
     const supabase = createClient(
       Deno.env.get('SUPABASE_URL') ?? '',
@@ -24,81 +317,123 @@ serve(async (req) => {
     )
 
     const body = await req.json()
-    
-    console.log('📧 Outlook webhook received:', body)
+
+    if (body.action === 'subscribe') {
+      if (!body.userId) {
+        return jsonResponse({ error: 'Missing userId' }, 400)
+      }
+      const denied = await authorizeControlAction(req, supabase, body.userId)
+      if (denied) return jsonResponse({ error: denied.error }, denied.status)
+
+      const row = await subscribeMailbox(supabase, body.userId)
+      return jsonResponse({ success: true, expiration: row.expiration_at })
+    }
+
+    if (body.action === 'renew') {
+      const denied = await authorizeControlAction(req, supabase)
+      if (denied) return jsonResponse({ error: denied.error }, denied.status)
+
+      const results = await renewExpiringSubscriptions(supabase)
+      return jsonResponse({ success: true, renewed: results.filter(r => r.success).length, results })
+    }
+
+    if (body.action === 'catchup') {
+      if (!body.userId) {
+        return jsonResponse({ error: 'Missing userId' }, 400)
+      }
+      const denied = await authorizeControlAction(req, supabase, body.userId)
+      if (denied) return jsonResponse({ error: denied.error }, denied.status)
+
+      const { data: row } = await supabase
+        .from('outlook_subscriptions')
+        .select('*')
+        .eq('user_id', body.userId)
+        .eq('resource', INBOX_RESOURCE)
+        .maybeSingle()
+
+      if (!row) {
+        return jsonResponse({ error: 'No Outlook subscription for user' }, 404)
+      }
+      const processedEmails = await runDeltaCatchUp(supabase, row)
+      return jsonResponse({ success: true, processed: processedEmails.length, messageIds: processedEmails })
+    }
+
+    console.log('📧 Outlook webhook received:', body.value?.length ?? 0, 'notifications')
 
     // Validate webhook format
     if (!body.value || !Array.isArray(body.value)) {
-      return new Response(
-        JSON.stringify({ error: 'Invalid Outlook webhook format' }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      )
+      return jsonResponse({ error: 'Invalid Outlook webhook format' }, 400)
     }
 
     // Process each notification
     const processedEmails = []
+    let lifecycleEvents = 0
+    const subscriptionCache = new Map<string, any>()
+
     for (const notification of body.value) {
-      const userId = notification.clientState // This should contain the user ID
-      const messageId = notification.resourceData?.id
+      const subscriptionId = notification.subscriptionId
+      if (!subscriptionId) {
+        console.warn('⚠️ Missing subscriptionId in notification')
+        continue
+      }
 
-      if (!userId || !messageId) {
-        console.warn('⚠️ Missing userId or messageId in notification:', notification)
+      if (!subscriptionCache.has(subscriptionId)) {
+        const { data: row } = await supabase
+          .from('outlook_subscriptions')
+          .select('*')
+          .eq('subscription_id', subscriptionId)
+          .maybeSingle()
+        subscriptionCache.set(subscriptionId, row)
+      }
+
+      const subscriptionRow = subscriptionCache.get(subscriptionId)
+      if (!subscriptionRow || !clientStateMatches(subscriptionRow.client_state, notification.clientState)) {
+        console.warn(`⚠️ Rejected notification with unknown subscription or clientState: ${subscriptionId}`)
         continue
       }
 
-      // Check if we've already processed this email
-      const { data: existing } = await supabase
-        .from('email_logs')
-        .select('id')
-        .eq('user_id', userId)
-        .eq('message_id', messageId)
-        .eq('provider', 'outlook')
-        .single()
-
-      if (!existing) {
-        // Store new email
-        const { error } = await supabase
-          .from('email_logs')
-          .insert({
-            user_id: userId,
-            provider: 'outlook',
-            message_id: messageId,
-            status: 'new',
-            processed_at: new Date().toISOString()
-          })
-
-        if (!error) {
-          processedEmails.push(messageId)
-          console.log(`✅ New Outlook email logged: ${messageId}`)
-        }
+      if (notification.lifecycleEvent) {
+        // Recreating the subscription and delta catch-up outlast Graph's timeout
+        const event = notification.lifecycleEvent
+        runInBackground(
+          `Graph lifecycle event ${event}`,
+          handleLifecycleEvent(supabase, notification, subscriptionRow)
+            .then(caughtUp => console.log(`✅ Graph lifecycle event ${event} handled, ${caughtUp.length} messages caught up`))
+        )
+        lifecycleEvents++
+        continue
       }
-    }
 
-    // Store webhook record
-    await supabase
-      .from('email_webhooks')
-      .insert({
-        user_id: 'system', // Outlook webhooks don't always have clear user context
-        provider: 'outlook',
-        webhook_data: body,
-        processed_data: { messageIds: processedEmails },
-        received_at: new Date().toISOString()
-      })
+      const messageId = notification.resourceData?.id
+      if (!messageId) continue
 
-    return new Response(
-      JSON.stringify({ 
-        success: true, 
-        processed: processedEmails.length,
-        messageIds: processedEmails 
-      }),
-      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
+      const logged = await logNewMessages(supabase, subscriptionRow.user_id, [{ id: messageId }])
+      processedEmails.push(...logged)
+
+      await updateSubscriptionRow(supabase, subscriptionRow.id, { last_notification_at: new Date().toISOString() })
+
+      // Store webhook record
+      await supabase
+        .from('email_webhooks')
+        .insert({
+          user_id: subscriptionRow.user_id,
+          provider: 'outlook',
+          webhook_data: notification,
+          processed_data: { messageIds: logged },
+          received_at: new Date().toISOString()
+        })
+    }
+
+    // Graph expects a 2xx within a few seconds or it starts dropping notifications
+    return jsonResponse({
+      success: true,
+      processed: processedEmails.length,
+      messageIds: processedEmails,
+      lifecycleEvents
+    }, 202)
 
   } catch (error) {
     console.error('❌ Outlook webhook error:', error)
-    return new Response(
-      JSON.stringify({ error: error.message }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    )
+    return jsonResponse({ error: error.message }, 500)
   }
 })
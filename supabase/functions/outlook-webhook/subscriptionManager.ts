@@ -0,0 +1,205 @@
+/**
+ * Microsoft Graph Subscription Manager
+ * Creates, renews and recovers Graph mail subscriptions for the
+ * outlook-webhook function, and runs /messages/delta catch-up syncs
+ */
+
+const GRAPH_API_BASE = 'https://graph.microsoft.com/v1.0';
+const MICROSOFT_TOKEN_URL = 'https://login.microsoftonline.com/common/oauth2/v2.0/token';
+
+export const INBOX_RESOURCE = "me/mailFolders('Inbox')/messages";
+
+// Graph caps message subscriptions just under 3 days; request slightly less
+export const SUBSCRIPTION_LIFETIME_MS = 70 * 60 * 60 * 1000;
+
+// Renew anything expiring within the next 12 hours
+export const RENEWAL_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+export class GraphRequestError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = 'GraphRequestError';
+    this.status = status;
+  }
+}
+
+/**
+ * Random secret Graph echoes back in every notification for this subscription
+ */
+export function generateClientState(): string {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Constant-time comparison so clientState checks do not leak timing
+ */
+export function clientStateMatches(expected: string | null, received: string | null): boolean {
+  if (!expected || !received || expected.length !== received.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ received.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Return a valid access token for an Outlook integration, refreshing and
+ * persisting it when it is expired or about to expire
+ */
+export async function getOutlookAccessToken(supabase: any, integration: any): Promise<string> {
+  const expiresAt = integration.expires_at ? new Date(integration.expires_at).getTime() : 0;
+  if (integration.access_token && expiresAt - Date.now() > 5 * 60 * 1000) {
+    return integration.access_token;
+  }
+
+  if (!integration.refresh_token) {
+    throw new Error('Outlook token expired and no refresh token available');
+  }
+
+  const params = new URLSearchParams();
+  params.append('client_id', Deno.env.get('OUTLOOK_CLIENT_ID') || Deno.env.get('MICROSOFT_CLIENT_ID') || '');
+  params.append('client_secret', Deno.env.get('OUTLOOK_CLIENT_SECRET') || Deno.env.get('MICROSOFT_CLIENT_SECRET') || '');
+  params.append('refresh_token', integration.refresh_token);
+  params.append('grant_type', 'refresh_token');
+  params.append('scope', 'Mail.ReadWrite Mail.Send offline_access');
+
+  const response = await fetch(MICROSOFT_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Token refresh failed: ${response.status} - ${errorText}`);
+  }
+
+  const refreshed = await response.json();
+
+  const { error: updateError } = await supabase
+    .from('integrations')
+    .update({
+      access_token: refreshed.access_token,
+      ...(refreshed.refresh_token ? { refresh_token: refreshed.refresh_token } : {}),
+      expires_at: refreshed.expires_in
+        ? new Date(Date.now() + (refreshed.expires_in * 1000)).toISOString()
+        : null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', integration.id);
+
+  if (updateError) {
+    console.warn('⚠️ Failed to update refreshed Outlook token in database:', updateError);
+  }
+
+  return refreshed.access_token;
+}
+
+async function graphRequest(accessToken: string, url: string, init: RequestInit = {}): Promise<any> {
+  const response = await fetch(url.startsWith('http') ? url : `${GRAPH_API_BASE}${url}`, {
+    ...init,
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      ...(init.headers || {})
+    }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new GraphRequestError(`Graph request failed: ${response.status} - ${errorText}`, response.status);
+  }
+
+  return response.status === 204 ? null : await response.json();
+}
+
+/**
+ * Create a subscription for new messages in the given resource
+ */
+export async function createSubscription(
+  accessToken: string,
+  { notificationUrl, lifecycleNotificationUrl, clientState, resource = INBOX_RESOURCE }:
+    { notificationUrl: string, lifecycleNotificationUrl: string, clientState: string, resource?: string }
+): Promise<{ id: string, expirationDateTime: string }> {
+  const subscription = await graphRequest(accessToken, '/subscriptions', {
+    method: 'POST',
+    body: JSON.stringify({
+      changeType: 'created',
+      notificationUrl,
+      lifecycleNotificationUrl,
+      resource,
+      clientState,
+      expirationDateTime: new Date(Date.now() + SUBSCRIPTION_LIFETIME_MS).toISOString()
+    })
+  });
+
+  return { id: subscription.id, expirationDateTime: subscription.expirationDateTime };
+}
+
+/**
+ * Extend an existing subscription's expiry
+ */
+export async function renewSubscription(accessToken: string, subscriptionId: string): Promise<string> {
+  const subscription = await graphRequest(accessToken, `/subscriptions/${subscriptionId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({
+      expirationDateTime: new Date(Date.now() + SUBSCRIPTION_LIFETIME_MS).toISOString()
+    })
+  });
+
+  return subscription.expirationDateTime;
+}
+
+/**
+ * Respond to a reauthorizationRequired lifecycle event
+ */
+export async function reauthorizeSubscription(accessToken: string, subscriptionId: string): Promise<void> {
+  await graphRequest(accessToken, `/subscriptions/${subscriptionId}/reauthorize`, { method: 'POST' });
+}
+
+export async function deleteSubscription(accessToken: string, subscriptionId: string): Promise<void> {
+  await graphRequest(accessToken, `/subscriptions/${subscriptionId}`, { method: 'DELETE' });
+}
+
+/**
+ * Page through /messages/delta. Without a stored deltaLink the query starts
+ * at `since` so the initial round only returns recent mail.
+ * @returns messages added since the previous round and the next deltaLink
+ */
+export async function runMessagesDelta(
+  accessToken: string,
+  { deltaLink, since }: { deltaLink?: string | null, since?: string }
+): Promise<{ messages: any[], deltaLink: string }> {
+  const select = 'id,subject,from,bodyPreview,receivedDateTime,hasAttachments,conversationId';
+  let url = deltaLink || `/me/mailFolders('Inbox')/messages/delta?$select=${select}` +
+    (since ? `&$filter=receivedDateTime+ge+${encodeURIComponent(since)}` : '');
+
+  const messages: any[] = [];
+  let nextDeltaLink: string | null = null;
+
+  while (url && !nextDeltaLink) {
+    const page = await graphRequest(accessToken, url, {
+      headers: { 'Prefer': 'odata.maxpagesize=100' }
+    });
+
+    for (const item of page.value || []) {
+      // Deleted items come back as tombstones
+      if (!item['@removed']) {
+        messages.push(item);
+      }
+    }
+
+    nextDeltaLink = page['@odata.deltaLink'] || null;
+    url = page['@odata.nextLink'];
+  }
+
+  if (!nextDeltaLink) {
+    throw new Error('Graph delta query ended without a deltaLink');
+  }
+
+  return { messages, deltaLink: nextDeltaLink };
+}
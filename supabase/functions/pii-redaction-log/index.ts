@@ -0,0 +1,87 @@
+/**
+ * PII Redaction Log
+ * Records the categories redacted by the "Redact PII" Code nodes of a
+ * deployed n8n workflow in pii_redaction_logs. The workflow presents the
+ * token deploy-n8n issued it (x-pii-log-token), which is checked against
+ * profiles.pii_log_token_hash, so entries can only be written for the tenant
+ * whose workflow holds the current token.
+ *
+ * POST JSON body:
+ *   { userId, operation, entity_counts: { phone: 2, email: 1 } }
+ */
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { verifyToken } from '../_shared/mailboxCredentials.ts'
+import { validateEntityCounts } from '../_shared/piiRedaction.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-pii-log-token',
+}
+
+const jsonResponse = (payload: any, status = 200) => new Response(
+  JSON.stringify(payload),
+  { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+)
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const MAX_OPERATION_LENGTH = 200
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405)
+  }
+
+  const body = await req.json().catch(() => null)
+  if (!body || typeof body.userId !== 'string' || !UUID_PATTERN.test(body.userId)) {
+    return jsonResponse({ error: 'userId is required' }, 400)
+  }
+  if (!validateEntityCounts(body.entity_counts)) {
+    return jsonResponse({ error: 'entity_counts must map known entity types to positive counts' }, 400)
+  }
+  if (body.operation !== undefined && (typeof body.operation !== 'string' || body.operation.length > MAX_OPERATION_LENGTH)) {
+    return jsonResponse({ error: 'operation must be a short string' }, 400)
+  }
+
+  try {
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('pii_log_token_hash')
+      .eq('id', body.userId)
+      .maybeSingle()
+
+    if (profileError) throw new Error(profileError.message)
+
+    // Same response for unknown tenants and wrong tokens
+    if (!(await verifyToken(req.headers.get('x-pii-log-token'), profile?.pii_log_token_hash ?? null))) {
+      return jsonResponse({ error: 'Invalid token' }, 401)
+    }
+
+    const { error } = await supabase
+      .from('pii_redaction_logs')
+      .insert({
+        user_id: body.userId,
+        source: 'n8n',
+        operation: body.operation ?? null,
+        entity_counts: body.entity_counts
+      })
+
+    if (error) throw new Error(error.message)
+
+    return jsonResponse({ success: true })
+  } catch (error) {
+    console.error('❌ Failed to record PII redaction log:', error)
+    return jsonResponse({ error: 'Failed to record PII redaction log' }, 500)
+  }
+})
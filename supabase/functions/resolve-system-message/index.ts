@@ -4,10 +4,12 @@
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { crypto as stdCrypto } from "https://deno.land/std@0.168.0/crypto/mod.ts";
 
 const SUPABASE_URL = Deno.env.get('SUPABASE_URL');
 const SUPABASE_SERVICE_ROLE_KEY = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY');
 const SYSTEM_MESSAGE_ENCRYPTION_KEY = Deno.env.get('SYSTEM_MESSAGE_ENCRYPTION_KEY');
+const SYSTEM_MESSAGE_ENCRYPTION_KEYS = Deno.env.get('SYSTEM_MESSAGE_ENCRYPTION_KEYS');
 
 const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
   auth: {
@@ -34,21 +36,103 @@ function checkRateLimit(userId: string): void {
   rateLimiter.set(userId, recentRequests);
 }
 
-function decryptContent(encryptedDataString: string): string {
+// Keyring: same formats as src/lib/systemMessageKeyring.js
+// SYSTEM_MESSAGE_ENCRYPTION_KEYS is JSON or "id:secret,id:secret";
+// SYSTEM_MESSAGE_ENCRYPTION_KEY is loaded as the "legacy" key
+function loadKeyring(): Map<string, string> {
+  const keys = new Map<string, string>();
+  const configured = (SYSTEM_MESSAGE_ENCRYPTION_KEYS || '').trim();
+
+  if (configured.startsWith('{')) {
+    Object.entries(JSON.parse(configured)).forEach(([keyId, secret]) => keys.set(keyId, String(secret)));
+  } else if (configured) {
+    configured.split(',').forEach((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) keys.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+    });
+  }
+
+  if (SYSTEM_MESSAGE_ENCRYPTION_KEY && !keys.has('legacy')) {
+    keys.set('legacy', SYSTEM_MESSAGE_ENCRYPTION_KEY);
+  }
+  return keys;
+}
+
+const keyring = loadKeyring();
+const encoder = new TextEncoder();
+
+function hexToBytes(hex: string): Uint8Array {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+function bytesToHex(bytes: ArrayBuffer): string {
+  return Array.from(new Uint8Array(bytes))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// 64-character hex secrets are raw keys, anything else is hashed with SHA-256
+async function deriveKeyBytes(secret: string): Promise<Uint8Array> {
+  if (/^[a-f0-9]{64}$/i.test(secret)) return hexToBytes(secret);
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(secret)));
+}
+
+// Legacy rows were written by Node's crypto.createCipher, which derives key and
+// IV from the passphrase with EVP_BytesToKey (MD5, no salt)
+async function deriveLegacyKeyAndIv(passphrase: string): Promise<{ key: Uint8Array; iv: Uint8Array }> {
+  const derived: number[] = [];
+  let block = new Uint8Array(0);
+
+  while (derived.length < 44) {
+    const input = new Uint8Array([...block, ...encoder.encode(passphrase)]);
+    block = new Uint8Array(await stdCrypto.subtle.digest('MD5', input));
+    derived.push(...block);
+  }
+
+  return { key: new Uint8Array(derived.slice(0, 32)), iv: new Uint8Array(derived.slice(32, 44)) };
+}
+
+async function decryptContent(encryptedDataString: string): Promise<string> {
   try {
     const encryptedData = JSON.parse(encryptedDataString);
-    
-    // In a real implementation, you would use proper encryption
-    // For now, we'll simulate decryption
-    // In production, implement proper AES-256-GCM decryption
-    
-    // This is a placeholder - replace with actual decryption logic
-    if (encryptedData.encrypted && encryptedData.iv && encryptedData.authTag) {
-      // Simulate decryption (replace with actual crypto operations)
-      return encryptedData.encrypted; // This would be the decrypted content
+
+    if (!encryptedData.encrypted || !encryptedData.authTag) {
+      throw new Error('Invalid encrypted data format');
     }
-    
-    throw new Error('Invalid encrypted data format');
+
+    const isV2 = encryptedData.v === 2;
+    const keyId = isV2 ? encryptedData.kid : 'legacy';
+    const secret = keyring.get(keyId);
+    if (!secret) {
+      throw new Error(`Decryption key ${keyId} is not configured`);
+    }
+
+    let keyBytes: Uint8Array;
+    let iv: Uint8Array;
+    let aad: string;
+    if (isV2) {
+      keyBytes = await deriveKeyBytes(secret);
+      iv = hexToBytes(encryptedData.iv);
+      aad = `system-message:${keyId}`;
+    } else {
+      ({ key: keyBytes, iv } = await deriveLegacyKeyAndIv(secret));
+      aad = 'system-message';
+    }
+
+    const key = await crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['decrypt']);
+    // WebCrypto expects the auth tag appended to the ciphertext
+    const sealed = new Uint8Array([...hexToBytes(encryptedData.encrypted), ...hexToBytes(encryptedData.authTag)]);
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode(aad), tagLength: 128 },
+      key,
+      sealed
+    );
+
+    return new TextDecoder().decode(plain);
   } catch (error) {
     console.error('Decryption error:', error);
     throw new Error('Failed to decrypt content');
@@ -81,17 +165,13 @@ async function resolveSystemMessage(messageId: string, userId: string) {
     const message = messageData[0];
     
     // Decrypt content
-    const decryptedContent = decryptContent(message.content);
+    const decryptedContent = await decryptContent(message.content);
     
-    // Verify integrity (in production, verify SHA-256 hash)
-    // const computedHash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(decryptedContent));
-    // const computedHashHex = Array.from(new Uint8Array(computedHash))
-    //   .map(b => b.toString(16).padStart(2, '0'))
-    //   .join('');
-    
-    // if (computedHashHex !== message.message_hash) {
-    //   throw new Error('System message integrity check failed');
-    // }
+    // Verify integrity against the SHA-256 hash stored with the message
+    const computedHash = await crypto.subtle.digest('SHA-256', encoder.encode(decryptedContent));
+    if (bytesToHex(computedHash) !== message.message_hash) {
+      throw new Error('System message integrity check failed');
+    }
 
     console.log(`System message resolved successfully for user ${userId}`);
     
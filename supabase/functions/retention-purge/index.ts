@@ -0,0 +1,232 @@
+/**
+ * Retention Purge
+ * Applies each tenant's retention policy (profiles.retention_policy): email
+ * bodies are scrubbed, metadata rows deleted or anonymized where analytics
+ * depend on them, and analytics rows deleted once past their period. Data
+ * classes under an active legal hold are left untouched. Every tenant run is
+ * recorded in retention_purge_runs.
+ *
+ * Control actions (POST JSON body, service role only):
+ *   { action: 'purge' }                    purge every tenant (cron)
+ *   { action: 'purge', userId }            purge one tenant
+ *   { action: 'purge', dryRun: true }      count what would change, change nothing
+ */
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import {
+  buildPurgePlan,
+  getHeldClasses,
+  pendingFilter,
+  resolveRetentionPolicy,
+  validateRetentionPolicy,
+  type PurgeStep,
+  type RetentionScope
+} from '../_shared/retentionPolicies.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const jsonResponse = (payload: any, status = 200) => new Response(
+  JSON.stringify(payload),
+  { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+)
+
+const PROFILE_PAGE_SIZE = 500
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205']
+const SCOPE_PAGE_SIZE = 1000
+// Ids per in() filter, keeping request URLs short
+const SCOPE_CHUNK_SIZE = 100
+
+/**
+ * Ids of the tenant's rows in a scope table, e.g. their thread ids
+ * @returns null if the table is not deployed
+ */
+async function loadScopeIds(supabase: any, userId: string, scope: RetentionScope): Promise<string[] | null> {
+  const ids: string[] = []
+  for (let from = 0; ; from += SCOPE_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(scope.table)
+      .select('id')
+      .eq('user_id', userId)
+      .order('id')
+      .range(from, from + SCOPE_PAGE_SIZE - 1)
+
+    if (error) {
+      if (MISSING_TABLE_CODES.includes(error.code)) return null
+      throw new Error(error.message)
+    }
+    ids.push(...(data || []).map((row: any) => String(row.id)))
+    if (!data || data.length < SCOPE_PAGE_SIZE) return ids
+  }
+}
+
+/**
+ * Run one step for one tenant
+ * @returns Rows changed (or that would change on a dry run); null if the table is not deployed
+ */
+async function runStep(supabase: any, userId: string, step: PurgeStep, dryRun: boolean): Promise<number | null> {
+  const run = async (scopeFilter: (query: any) => any) => {
+    let query
+    if (dryRun) {
+      query = supabase.from(step.table).select('*', { count: 'exact', head: true })
+    } else if (step.action === 'delete') {
+      query = supabase.from(step.table).delete({ count: 'exact' })
+    } else {
+      query = supabase.from(step.table).update(step.values, { count: 'exact' })
+    }
+
+    query = scopeFilter(query).lt(step.dateColumn, step.cutoff)
+    if (step.values) {
+      query = query.or(pendingFilter(step.values))
+    }
+
+    const { count, error } = await query
+    if (error) {
+      if (MISSING_TABLE_CODES.includes(error.code)) return null
+      throw new Error(error.message)
+    }
+    return count || 0
+  }
+
+  if (!step.scope) {
+    return run(query => query.eq('user_id', userId))
+  }
+
+  const scope = step.scope
+  const ids = await loadScopeIds(supabase, userId, scope)
+  if (ids === null) return null
+
+  let total = 0
+  for (let i = 0; i < ids.length; i += SCOPE_CHUNK_SIZE) {
+    const count = await run(query => query.in(scope.column, ids.slice(i, i + SCOPE_CHUNK_SIZE)))
+    if (count === null) return null
+    total += count
+  }
+  return total
+}
+
+async function purgeTenant(supabase: any, profile: any, dryRun: boolean, now: Date) {
+  const userId = profile.id
+  const startedAt = new Date().toISOString()
+  const results: Record<string, Record<string, number>> = {}
+  const errors: Array<{ table: string; error: string }> = []
+
+  const policyErrors = validateRetentionPolicy(profile.retention_policy)
+
+  const { data: holds, error: holdsError } = await supabase
+    .from('legal_holds')
+    .select('data_classes, released_at, expires_at')
+    .eq('user_id', userId)
+    .is('released_at', null)
+
+  // Without a readable hold list nothing may be purged
+  const heldClasses = holdsError ? null : getHeldClasses(holds || [], now)
+  let status = 'completed'
+
+  if (policyErrors.length > 0 || !heldClasses) {
+    status = 'skipped'
+    errors.push(...policyErrors.map(error => ({ table: 'profiles', error })))
+    if (holdsError) errors.push({ table: 'legal_holds', error: holdsError.message })
+  } else {
+    const plan = buildPurgePlan(resolveRetentionPolicy(profile.retention_policy), heldClasses, now)
+
+    for (const step of plan) {
+      try {
+        const count = await runStep(supabase, userId, step, dryRun)
+        if (count) {
+          results[step.dataClass] = results[step.dataClass] || {}
+          results[step.dataClass][`${step.table}.${step.action}`] = count
+        }
+      } catch (error) {
+        errors.push({ table: step.table, error: error.message })
+      }
+    }
+    if (errors.length > 0) status = 'failed'
+  }
+
+  const { error: runError } = await supabase
+    .from('retention_purge_runs')
+    .insert({
+      user_id: userId,
+      status,
+      dry_run: dryRun,
+      results,
+      held_classes: heldClasses ? [...heldClasses] : [],
+      errors,
+      started_at: startedAt,
+      completed_at: new Date().toISOString()
+    })
+
+  if (runError) {
+    console.error(`❌ Failed to record retention run for ${userId}:`, runError.message)
+  }
+
+  return { userId, status, results, errors, heldClasses: heldClasses ? [...heldClasses] : [] }
+}
+
+async function purgeAll(supabase: any, { userId, dryRun }: { userId?: string; dryRun: boolean }) {
+  const now = new Date()
+  const runs = []
+
+  for (let from = 0; ; from += PROFILE_PAGE_SIZE) {
+    let query = supabase
+      .from('profiles')
+      .select('id, retention_policy')
+      .order('id')
+      .range(from, from + PROFILE_PAGE_SIZE - 1)
+    if (userId) query = query.eq('id', userId)
+
+    const { data: profiles, error } = await query
+    if (error) throw new Error(`Failed to load profiles: ${error.message}`)
+
+    for (const profile of profiles || []) {
+      runs.push(await purgeTenant(supabase, profile, dryRun, now))
+    }
+    if (!profiles || profiles.length < PROFILE_PAGE_SIZE) break
+  }
+
+  return runs
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+  if (!serviceRoleKey || req.headers.get('Authorization') !== `Bearer ${serviceRoleKey}`) {
+    return jsonResponse({ error: 'Service role required' }, 401)
+  }
+
+  try {
+    const supabase = createClient(Deno.env.get('SUPABASE_URL') ?? '', serviceRoleKey)
+    const body = await req.json().catch(() => ({}))
+
+    if (body.action !== 'purge') {
+      return jsonResponse({ error: 'Unknown action' }, 400)
+    }
+
+    const dryRun = body.dryRun === true
+    const runs = await purgeAll(supabase, { userId: body.userId, dryRun })
+    const count = (status: string) => runs.filter(run => run.status === status).length
+
+    console.log(`🧹 Retention ${dryRun ? 'dry run' : 'purge'}: ${runs.length} tenants, ${count('failed')} failed, ${count('skipped')} skipped`)
+
+    return jsonResponse({
+      success: count('failed') === 0,
+      dryRun,
+      tenants: runs.length,
+      completed: count('completed'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      runs
+    })
+  } catch (error) {
+    console.error('❌ Retention purge failed:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
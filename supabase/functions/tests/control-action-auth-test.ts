@@ -0,0 +1,40 @@
+// Tests for the webhook control action check used by gmail-webhook and outlook-webhook.
+// Run with: deno test --allow-env supabase/functions/tests/control-action-auth-test.ts
+
+import { strict as assert } from 'node:assert'
+import { authorizeControlAction } from '../_shared/controlActionAuth.ts'
+
+const SERVICE_ROLE_KEY = 'service-role-key'
+
+// auth.getUser knows one signed-in user
+const supabase = {
+  auth: {
+    getUser: async (token: string) => token === 'user-1-jwt'
+      ? { data: { user: { id: 'user-1' } }, error: null }
+      : { data: { user: null }, error: { message: 'invalid JWT' } }
+  }
+}
+
+const controlRequest = (authorization?: string) => new Request('https://project.supabase.co/functions/v1/outlook-webhook', {
+  method: 'POST',
+  headers: authorization ? { Authorization: authorization } : {}
+})
+
+Deno.env.set('SUPABASE_SERVICE_ROLE_KEY', SERVICE_ROLE_KEY)
+
+Deno.test('unauthenticated control requests get a 401', async () => {
+  assert.deepEqual(await authorizeControlAction(controlRequest(), supabase, 'user-1'), { status: 401, error: 'Service role required' })
+  assert.deepEqual(await authorizeControlAction(controlRequest(), supabase), { status: 401, error: 'Service role required' })
+  assert.deepEqual(await authorizeControlAction(controlRequest('Bearer forged'), supabase, 'user-1'), { status: 401, error: 'Invalid token' })
+})
+
+Deno.test('the service role may run every control action', async () => {
+  assert.equal(await authorizeControlAction(controlRequest(`Bearer ${SERVICE_ROLE_KEY}`), supabase), null)
+  assert.equal(await authorizeControlAction(controlRequest(`Bearer ${SERVICE_ROLE_KEY}`), supabase, 'user-2'), null)
+})
+
+Deno.test('users may only manage their own mailbox, and never renew', async () => {
+  assert.equal(await authorizeControlAction(controlRequest('Bearer user-1-jwt'), supabase, 'user-1'), null)
+  assert.equal((await authorizeControlAction(controlRequest('Bearer user-1-jwt'), supabase, 'user-2'))?.status, 403)
+  assert.equal((await authorizeControlAction(controlRequest('Bearer user-1-jwt'), supabase))?.status, 401)
+})
@@ -0,0 +1,133 @@
+// Tests for the gmail-webhook history sync helpers.
+// Run with: deno test --allow-env supabase/functions/tests/gmail-history-sync-test.ts
+
+import { strict as assert } from 'node:assert'
+import {
+  FULL_SYNC_MAX_LOOKBACK_MS,
+  HistoryExpiredError,
+  compareHistoryIds,
+  getFullSyncStart,
+  getGmailAccessToken,
+  listAddedMessagesSince,
+  listInboxMessagesSince,
+  startGmailWatch
+} from '../gmail-webhook/historySync.ts'
+
+type Handler = (url: URL, init?: RequestInit) => Response
+
+/**
+ * Replace fetch for the duration of a test, recording requested URLs
+ */
+async function withFetch(handler: Handler, run: (urls: URL[]) => Promise<void>) {
+  const original = globalThis.fetch
+  const urls: URL[] = []
+  globalThis.fetch = ((input: string | URL, init?: RequestInit) => {
+    const url = new URL(String(input))
+    urls.push(url)
+    return Promise.resolve(handler(url, init))
+  }) as typeof fetch
+  try {
+    await run(urls)
+  } finally {
+    globalThis.fetch = original
+  }
+}
+
+const json = (payload: unknown, status = 200) => new Response(JSON.stringify(payload), { status })
+
+Deno.test('compareHistoryIds compares 64-bit ids numerically', () => {
+  assert.equal(compareHistoryIds('18446744073709551615', '9'), 1)
+  assert.equal(compareHistoryIds('100', '100'), 0)
+  assert.equal(compareHistoryIds(null, '1'), -1)
+  assert.equal(compareHistoryIds('1', null), 1)
+})
+
+Deno.test('getFullSyncStart starts an hour before the last sync, capped at the lookback', () => {
+  const now = new Date('2025-11-01T12:00:00Z')
+
+  assert.equal(getFullSyncStart('2025-10-30T12:00:00Z', now).toISOString(), '2025-10-30T11:00:00.000Z')
+  assert.equal(getFullSyncStart(null, now).getTime(), now.getTime() - FULL_SYNC_MAX_LOOKBACK_MS)
+  assert.equal(getFullSyncStart('2024-01-01T00:00:00Z', now).getTime(), now.getTime() - FULL_SYNC_MAX_LOOKBACK_MS)
+})
+
+Deno.test('listAddedMessagesSince follows pages and skips drafts and sent mail', async () => {
+  await withFetch((url) => url.searchParams.get('pageToken')
+    ? json({ historyId: '250', history: [{ messagesAdded: [{ message: { id: 'm3', labelIds: ['INBOX'] } }] }] })
+    : json({
+      historyId: '200',
+      nextPageToken: 'next',
+      history: [{
+        messagesAdded: [
+          { message: { id: 'm1', labelIds: ['INBOX'] } },
+          { message: { id: 'm1', labelIds: ['INBOX'] } },
+          { message: { id: 'd1', labelIds: ['DRAFT'] } },
+          { message: { id: 's1', labelIds: ['SENT'] } }
+        ]
+      }]
+    }), async (urls) => {
+    const result = await listAddedMessagesSince('token', '100')
+
+    assert.deepEqual(result, { messageIds: ['m1', 'm3'], historyId: '250' })
+    assert.equal(urls.length, 2)
+    assert.equal(urls[0].searchParams.get('startHistoryId'), '100')
+    assert.equal(urls[0].searchParams.get('historyTypes'), 'messageAdded')
+  })
+})
+
+Deno.test('listAddedMessagesSince reports an expired cursor', async () => {
+  await withFetch(() => json({ error: { code: 404 } }, 404), async () => {
+    await assert.rejects(() => listAddedMessagesSince('token', '1'), HistoryExpiredError)
+  })
+})
+
+Deno.test('listInboxMessagesSince queries INBOX after the start time across pages', async () => {
+  const since = new Date('2025-10-30T11:00:00Z')
+
+  await withFetch((url) => url.searchParams.get('pageToken')
+    ? json({ messages: [{ id: 'b' }] })
+    : json({ messages: [{ id: 'a' }], nextPageToken: 'p2' }), async (urls) => {
+    assert.deepEqual(await listInboxMessagesSince('token', since), ['a', 'b'])
+    assert.equal(urls[0].pathname.endsWith('/messages'), true)
+    assert.equal(urls[0].searchParams.get('q'), `after:${since.getTime() / 1000}`)
+    assert.equal(urls[0].searchParams.get('labelIds'), 'INBOX')
+  })
+})
+
+Deno.test('getGmailAccessToken reuses a fresh token and refreshes an expired one', async () => {
+  const updates: any[] = []
+  const supabase = {
+    from: () => ({
+      update: (values: any) => ({
+        eq: () => {
+          updates.push(values)
+          return Promise.resolve({ error: null })
+        }
+      })
+    })
+  }
+
+  const fresh = { id: 'i1', access_token: 'fresh', expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() }
+  assert.equal(await getGmailAccessToken(supabase, fresh), 'fresh')
+
+  await withFetch(() => json({ access_token: 'renewed', expires_in: 3600 }), async (urls) => {
+    const expired = { id: 'i1', access_token: 'old', refresh_token: 'refresh', expires_at: new Date(0).toISOString() }
+    assert.equal(await getGmailAccessToken(supabase, expired), 'renewed')
+    assert.equal(urls[0].hostname, 'oauth2.googleapis.com')
+  })
+  assert.equal(updates.length, 1)
+  assert.equal(updates[0].access_token, 'renewed')
+
+  await assert.rejects(() => getGmailAccessToken(supabase, { id: 'i1', expires_at: null }), /no refresh token/)
+})
+
+Deno.test('startGmailWatch returns the historyId and expiration as an ISO date', async () => {
+  await withFetch((_url, init) => {
+    assert.equal(JSON.parse(String(init?.body)).topicName, 'projects/p/topics/t')
+    return json({ historyId: 123, expiration: '1762000000000' })
+  }, async () => {
+    assert.deepEqual(await startGmailWatch('token', 'projects/p/topics/t'), {
+      historyId: '123',
+      expiration: new Date(1762000000000).toISOString()
+    })
+  })
+})
@@ -0,0 +1,56 @@
+// Tests for the shared PII redaction helpers used by deploy-n8n and pii-redaction-log.
+// Run with: deno test --allow-env supabase/functions/tests/pii-redaction-test.ts
+
+import { strict as assert } from 'node:assert'
+import { buildRedactCode, maskPii, validateEntityCounts } from '../_shared/piiRedaction.ts'
+import { hashToken, verifyToken } from '../_shared/mailboxCredentials.ts'
+import { scrubPii } from '../_shared/fewShotExamples.ts'
+
+Deno.test('maskPii replaces each entity type with a fixed label', () => {
+  const masked = maskPii('Call 555-123-4567 or mail jane@example.com, card 4242 4242 4242 4242, code M5V 2T6')
+
+  assert.equal(masked, 'Call [phone] or mail [email], card [card], code [postal code]')
+  assert.equal(maskPii('Order 1234 5678 9012 3456 shipped'), 'Order 1234 5678 9012 3456 shipped')
+  assert.equal(maskPii('Call 555-123-4567', ['email']), 'Call 555-123-4567')
+})
+
+Deno.test('scrubPii masks links before phone numbers, then names', () => {
+  assert.equal(
+    scrubPii('Hi Jane Smith,\nSee https://example.com/orders/5551234567 or call 555-123-4567.\nThanks,\nBob'),
+    'Hi [name],\nSee [link] or call [phone].\nThanks,\n[name]'
+  )
+})
+
+Deno.test('validateEntityCounts accepts only known entity types with positive counts', () => {
+  assert.equal(validateEntityCounts({ phone: 2, email: 1 }), true)
+
+  assert.equal(validateEntityCounts({}), false)
+  assert.equal(validateEntityCounts(null), false)
+  assert.equal(validateEntityCounts([1]), false)
+  assert.equal(validateEntityCounts({ phone: 'Jane Smith, 555-123-4567' }), false)
+  assert.equal(validateEntityCounts({ phone: 1.5 }), false)
+  assert.equal(validateEntityCounts({ phone: 0 }), false)
+  assert.equal(validateEntityCounts({ full_name: 1 }), false)
+})
+
+Deno.test('redact nodes report to pii-redaction-log with the deploy token', () => {
+  const code = buildRedactCode('AI Classifier', ['phone'], {
+    supabaseUrl: 'https://project.supabase.co',
+    anonKey: 'anon-key',
+    userId: 'user-1',
+    logToken: 'log-token'
+  })
+
+  assert.ok(code.includes('"https://project.supabase.co/functions/v1/pii-redaction-log"'))
+  assert.ok(code.includes(`'x-pii-log-token': "log-token"`))
+  assert.ok(!code.includes('/rest/v1/pii_redaction_logs'))
+})
+
+Deno.test('verifyToken matches only the token that was hashed', async () => {
+  const hash = await hashToken('log-token')
+
+  assert.equal(await verifyToken('log-token', hash), true)
+  assert.equal(await verifyToken('other-token', hash), false)
+  assert.equal(await verifyToken(null, hash), false)
+  assert.equal(await verifyToken('log-token', null), false)
+})
@@ -0,0 +1,97 @@
+-- ============================================================================
+-- Gmail Pub/Sub History Sync
+-- Date: October 31, 2025
+-- Purpose: Track each Gmail mailbox's watch and last processed historyId so
+--          the gmail-webhook function can fetch exactly the messages added
+--          since the previous push instead of relying on polling
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Gmail Watch State Table (one row per watched mailbox)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.gmail_watch_state (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  integration_id uuid,
+  email_address text NOT NULL,
+
+  -- Sync cursor (Gmail historyIds are unsigned 64-bit, kept as text)
+  history_id text,
+  last_synced_at timestamptz,
+  needs_full_sync boolean DEFAULT false,
+
+  -- users.watch registration
+  topic_name text,
+  watch_expiration timestamptz,
+  watch_status text DEFAULT 'inactive' CHECK (watch_status IN ('active', 'inactive', 'expired', 'error')),
+  last_notification_at timestamptz,
+  last_error text,
+
+  -- Audit
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+
+  UNIQUE(email_address)
+);
+
+-- ============================================================================
+-- 2. Pub/Sub Delivery Receipts (dedupes redelivered notifications)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.gmail_push_receipts (
+  pubsub_message_id text PRIMARY KEY,
+  email_address text NOT NULL,
+  history_id text,
+  received_at timestamptz DEFAULT now()
+);
+
+-- ============================================================================
+-- 3. Indexes for Performance
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_gmail_watch_state_user_id ON gmail_watch_state(user_id);
+CREATE INDEX IF NOT EXISTS idx_gmail_watch_state_expiration ON gmail_watch_state(watch_expiration)
+  WHERE watch_status = 'active';
+CREATE INDEX IF NOT EXISTS idx_gmail_push_receipts_received_at ON gmail_push_receipts(received_at);
+
+-- ============================================================================
+-- 4. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE gmail_watch_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE gmail_push_receipts ENABLE ROW LEVEL SECURITY;
+
+-- Users can see the sync status of their own mailboxes; writes happen through
+-- the service role in the gmail-webhook function
+CREATE POLICY "Users can view own gmail watch state" ON gmail_watch_state
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- 5. Automatic Timestamp Updates
+-- ============================================================================
+CREATE OR REPLACE FUNCTION update_gmail_watch_state_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER gmail_watch_state_updated_at
+  BEFORE UPDATE ON gmail_watch_state
+  FOR EACH ROW
+  EXECUTE FUNCTION update_gmail_watch_state_updated_at();
+
+-- ============================================================================
+-- 6. Receipt Cleanup (Pub/Sub stops redelivering after 7 days)
+-- Called by the gmail-webhook 'renew' action, which runs on a schedule
+-- ============================================================================
+CREATE OR REPLACE FUNCTION cleanup_gmail_push_receipts()
+RETURNS void AS $$
+BEGIN
+  DELETE FROM gmail_push_receipts WHERE received_at < now() - interval '8 days';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE ALL ON FUNCTION cleanup_gmail_push_receipts() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cleanup_gmail_push_receipts() TO service_role;
+
+COMMENT ON TABLE gmail_watch_state IS 'Per-mailbox Gmail users.watch registration and history sync cursor';
+COMMENT ON TABLE gmail_push_receipts IS 'Processed Pub/Sub message IDs used to ignore redelivered Gmail notifications';
@@ -0,0 +1,87 @@
+-- ============================================================================
+-- Microsoft Graph Subscription Lifecycle
+-- Date: November 1, 2025
+-- Purpose: Track Graph mail subscriptions per Outlook mailbox so the
+--          outlook-webhook function can renew them before expiry, validate
+--          clientState, and catch up through /messages/delta after missed
+--          notifications
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Outlook Subscriptions Table (one row per mailbox subscription)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.outlook_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  integration_id uuid,
+
+  -- Graph subscription
+  subscription_id text UNIQUE,
+  resource text NOT NULL DEFAULT 'me/mailFolders(''Inbox'')/messages',
+  client_state text NOT NULL,
+  expiration_at timestamptz,
+  status text DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'expired', 'removed', 'reauthorization_required', 'error')),
+
+  -- Delta catch-up cursor
+  delta_link text,
+  last_delta_sync_at timestamptz,
+
+  -- Lifecycle tracking
+  last_notification_at timestamptz,
+  last_lifecycle_event text,
+  last_lifecycle_event_at timestamptz,
+  last_error text,
+
+  -- Audit
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+
+  UNIQUE(user_id, resource)
+);
+
+-- ============================================================================
+-- 2. Indexes for Performance
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_outlook_subscriptions_user_id ON outlook_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_outlook_subscriptions_expiration ON outlook_subscriptions(expiration_at)
+  WHERE status IN ('active', 'reauthorization_required');
+
+-- ============================================================================
+-- 3. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE outlook_subscriptions ENABLE ROW LEVEL SECURITY;
+
+-- Users can see the subscription status of their own mailboxes; writes happen
+-- through the service role in the outlook-webhook function. client_state is a
+-- shared secret, so expose status columns only through the view below.
+CREATE OR REPLACE VIEW public.outlook_subscription_status AS
+SELECT
+  user_id,
+  resource,
+  status,
+  expiration_at,
+  last_notification_at,
+  last_lifecycle_event,
+  last_delta_sync_at
+FROM outlook_subscriptions
+WHERE user_id = auth.uid();
+
+GRANT SELECT ON public.outlook_subscription_status TO authenticated;
+
+-- ============================================================================
+-- 4. Automatic Timestamp Updates
+-- ============================================================================
+CREATE OR REPLACE FUNCTION update_outlook_subscriptions_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER outlook_subscriptions_updated_at
+  BEFORE UPDATE ON outlook_subscriptions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_outlook_subscriptions_updated_at();
+
+COMMENT ON TABLE outlook_subscriptions IS 'Microsoft Graph mail subscriptions, their expiry, clientState secret and delta cursor per Outlook mailbox';
@@ -0,0 +1,97 @@
+-- ============================================================================
+-- Response-Time SLA Policies and Clocks
+-- Date: November 2, 2025
+-- Purpose: Per-business, per-category response SLAs and a clock per email
+--          that EscalationEngine checks for warnings and breaches
+-- ============================================================================
+
+-- ============================================================================
+-- 1. SLA Policies Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.sla_policies (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  category text NOT NULL, -- Primary category (URGENT, SALES, ...) or DEFAULT
+
+  target_minutes integer NOT NULL CHECK (target_minutes > 0),
+  warning_thresholds jsonb DEFAULT '[0.8]'::jsonb, -- Fractions of the target, e.g. [0.5, 0.8]
+  business_hours_only boolean DEFAULT true, -- Pause the clock outside business hours
+  breach_actions text[] DEFAULT ARRAY['notify_manager'],
+  enabled boolean DEFAULT true,
+
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+
+  UNIQUE(user_id, category)
+);
+
+-- ============================================================================
+-- 2. Email SLA Clocks Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.email_sla_clocks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  email_id text NOT NULL,
+  email_from text,
+  email_subject text,
+  category text,
+
+  -- Policy snapshot at the time the clock started
+  policy jsonb NOT NULL,
+  target_minutes integer NOT NULL,
+
+  received_at timestamptz NOT NULL,
+  due_at timestamptz,
+  responded_at timestamptz,
+
+  status text DEFAULT 'on_track' CHECK (status IN ('on_track', 'warning', 'breached', 'met')),
+  elapsed_minutes integer DEFAULT 0,
+  warnings_sent jsonb DEFAULT '[]'::jsonb, -- Thresholds already notified
+  breached_at timestamptz,
+
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+
+  UNIQUE(user_id, email_id)
+);
+
+-- ============================================================================
+-- 3. Indexes for Performance
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_sla_policies_user_id ON sla_policies(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_sla_clocks_user_received ON email_sla_clocks(user_id, received_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_sla_clocks_open ON email_sla_clocks(user_id, due_at)
+  WHERE responded_at IS NULL;
+
+-- ============================================================================
+-- 4. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE sla_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_sla_clocks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own sla policies" ON sla_policies
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own sla clocks" ON email_sla_clocks
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- ============================================================================
+-- 5. Automatic Timestamp Updates
+-- ============================================================================
+CREATE OR REPLACE FUNCTION update_sla_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER sla_policies_updated_at
+  BEFORE UPDATE ON sla_policies
+  FOR EACH ROW
+  EXECUTE FUNCTION update_sla_updated_at();
+
+CREATE TRIGGER email_sla_clocks_updated_at
+  BEFORE UPDATE ON email_sla_clocks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_sla_updated_at();
@@ -0,0 +1,103 @@
+-- ============================================================================
+-- Header-Based Email Threading
+-- Date: November 3, 2025
+-- Purpose: Thread emails by Message-ID / In-Reply-To / References and provider
+--          thread keys, store a confidence score per thread and message, and
+--          record manual merge/split corrections for EmailThreading to learn from
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Email Threads Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.email_threads (
+  id text PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  original_subject text,
+  subject text,
+  participants text[] DEFAULT ARRAY[]::text[],
+  message_count integer DEFAULT 1,
+  message_id text, -- Message-ID of the first message
+  thread_type text DEFAULT 'new',
+  created_at timestamptz DEFAULT now(),
+  last_message_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE public.email_threads
+  ADD COLUMN IF NOT EXISTS provider text, -- gmail, outlook
+  ADD COLUMN IF NOT EXISTS provider_thread_id text, -- Gmail threadId / Outlook conversationId
+  ADD COLUMN IF NOT EXISTS threading_method text,
+  ADD COLUMN IF NOT EXISTS thread_confidence numeric(4,3) CHECK (thread_confidence >= 0 AND thread_confidence <= 1);
+
+-- ============================================================================
+-- 2. Email Thread Messages Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.email_thread_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  thread_id text NOT NULL REFERENCES public.email_threads(id) ON DELETE CASCADE,
+  message_id text,
+  "from" text,
+  subject text,
+  body text,
+  received_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE public.email_thread_messages
+  ADD COLUMN IF NOT EXISTS user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS in_reply_to text,
+  ADD COLUMN IF NOT EXISTS "references" text[] DEFAULT ARRAY[]::text[],
+  ADD COLUMN IF NOT EXISTS threading_method text, -- existing, in_reply_to, references, provider_thread, reply_subject, subject_match, sender_match, new
+  ADD COLUMN IF NOT EXISTS thread_confidence numeric(4,3) CHECK (thread_confidence >= 0 AND thread_confidence <= 1);
+
+-- Messages stored before user_id existed take it from their thread
+UPDATE public.email_thread_messages m
+SET user_id = t.user_id
+FROM public.email_threads t
+WHERE m.thread_id = t.id
+  AND m.user_id IS NULL;
+
+-- ============================================================================
+-- 3. Thread Corrections Table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.email_thread_corrections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  correction_type text NOT NULL CHECK (correction_type IN ('merge', 'split')),
+  source_thread_id text NOT NULL,
+  target_thread_id text,
+  threading_method text, -- Method that produced the wrong grouping
+  thread_confidence numeric(4,3),
+  message_ids text[] DEFAULT ARRAY[]::text[],
+  created_at timestamptz DEFAULT now()
+);
+
+-- ============================================================================
+-- 4. Indexes for Performance
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_email_threads_user_message_id ON email_threads(user_id, message_id);
+CREATE INDEX IF NOT EXISTS idx_email_threads_provider_thread ON email_threads(user_id, provider, provider_thread_id)
+  WHERE provider_thread_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_email_threads_user_last_message ON email_threads(user_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_thread_messages_user_message_id ON email_thread_messages(user_id, message_id);
+CREATE INDEX IF NOT EXISTS idx_email_thread_messages_thread_id ON email_thread_messages(thread_id);
+CREATE INDEX IF NOT EXISTS idx_email_thread_corrections_user_method ON email_thread_corrections(user_id, threading_method);
+
+-- ============================================================================
+-- 5. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE email_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_thread_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_thread_corrections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own email threads" ON email_threads;
+CREATE POLICY "Users can manage own email threads" ON email_threads
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own thread messages" ON email_thread_messages;
+CREATE POLICY "Users can manage own thread messages" ON email_thread_messages
+  FOR ALL USING (
+    EXISTS (SELECT 1 FROM email_threads t WHERE t.id = thread_id AND t.user_id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Users can manage own thread corrections" ON email_thread_corrections;
+CREATE POLICY "Users can manage own thread corrections" ON email_thread_corrections
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,66 @@
+-- ============================================================================
+-- Attachment Security Scans and Quarantine
+-- Date: November 4, 2025
+-- Purpose: Persist AttachmentProcessor.scanAttachment results (sniffed MIME
+--          type, archive/macro findings, antivirus verdicts) per email
+--          attachment, and track quarantine and manual release
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Attachment Tables
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.email_attachments (
+  id text PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  type text,
+  size bigint,
+  url text,
+  inline boolean DEFAULT false,
+  metadata jsonb DEFAULT '{}'::jsonb,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.email_attachment_links (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email_id text,
+  attachment_id text NOT NULL REFERENCES public.email_attachments(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at timestamptz DEFAULT now()
+);
+
+-- ============================================================================
+-- 2. Scan Result Columns
+-- ============================================================================
+ALTER TABLE public.email_attachment_links
+  ADD COLUMN IF NOT EXISTS scan_status text DEFAULT 'unscanned'
+    CHECK (scan_status IN ('clean', 'suspicious', 'infected', 'error', 'unscanned')),
+  ADD COLUMN IF NOT EXISTS quarantined boolean DEFAULT false,
+  ADD COLUMN IF NOT EXISTS detected_mime_type text, -- From magic bytes, not the file name
+  ADD COLUMN IF NOT EXISTS threats text[] DEFAULT ARRAY[]::text[],
+  ADD COLUMN IF NOT EXISTS scan_results jsonb DEFAULT '{}'::jsonb, -- Warnings, scanner verdicts, archive summary, macros
+  ADD COLUMN IF NOT EXISTS scanned_at timestamptz,
+  ADD COLUMN IF NOT EXISTS released_at timestamptz,
+  ADD COLUMN IF NOT EXISTS released_by uuid REFERENCES auth.users(id);
+
+-- ============================================================================
+-- 3. Indexes for Performance
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_email_attachments_user_id ON email_attachments(user_id);
+CREATE INDEX IF NOT EXISTS idx_email_attachment_links_email ON email_attachment_links(user_id, email_id);
+CREATE INDEX IF NOT EXISTS idx_email_attachment_links_quarantined ON email_attachment_links(user_id, scanned_at DESC)
+  WHERE quarantined = true;
+
+-- ============================================================================
+-- 4. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE email_attachments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_attachment_links ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own attachments" ON email_attachments;
+CREATE POLICY "Users can manage own attachments" ON email_attachments
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own attachment links" ON email_attachment_links;
+CREATE POLICY "Users can manage own attachment links" ON email_attachment_links
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
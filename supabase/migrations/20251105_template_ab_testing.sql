@@ -0,0 +1,154 @@
+-- ============================================================================
+-- Template A/B Testing
+-- Date: November 5, 2025
+-- Purpose: Tables behind TemplateABTesting, with the state its statistical
+--          engine needs: primary metric, planned sample size, alpha spent by
+--          sequential looks, per-variant send/reply/acceptance counters and
+--          the promoted winning template
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Tests and Variants
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.template_ab_tests (
+  id text PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text,
+  objective text,
+  hypothesis text,
+  target_audience text,
+  test_duration integer DEFAULT 7,
+  traffic_split numeric DEFAULT 50,
+  success_metrics text[] DEFAULT ARRAY['reply_rate', 'acceptance_rate'],
+  status text DEFAULT 'draft' CHECK (status IN ('draft', 'running', 'completed')),
+  started_at timestamptz,
+  started_by uuid,
+  created_by uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE public.template_ab_tests
+  ADD COLUMN IF NOT EXISTS primary_metric text DEFAULT 'reply_rate'
+    CHECK (primary_metric IN ('reply_rate', 'acceptance_rate')),
+  ADD COLUMN IF NOT EXISTS baseline_rate numeric,
+  ADD COLUMN IF NOT EXISTS minimum_detectable_effect numeric, -- Relative lift
+  ADD COLUMN IF NOT EXISTS alpha numeric DEFAULT 0.05,
+  ADD COLUMN IF NOT EXISTS power numeric DEFAULT 0.8,
+  ADD COLUMN IF NOT EXISTS required_sample_size integer, -- Sends per variant
+  ADD COLUMN IF NOT EXISTS alpha_spent numeric DEFAULT 0, -- Cumulative, O'Brien-Fleming spending
+  ADD COLUMN IF NOT EXISTS interim_looks integer DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS promoted_variant_id text,
+  ADD COLUMN IF NOT EXISTS promoted_template_id uuid,
+  ADD COLUMN IF NOT EXISTS promoted_at timestamptz;
+
+CREATE TABLE IF NOT EXISTS public.template_test_variants (
+  id text PRIMARY KEY,
+  test_id text NOT NULL REFERENCES public.template_ab_tests(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text,
+  template_id uuid,
+  traffic_percentage numeric,
+  is_control boolean DEFAULT false,
+  created_by uuid,
+  created_at timestamptz DEFAULT now()
+);
+
+-- ============================================================================
+-- 2. Metrics, Events and Results
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.template_test_metrics (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  test_id text NOT NULL REFERENCES public.template_ab_tests(id) ON DELETE CASCADE,
+  variant_id text NOT NULL REFERENCES public.template_test_variants(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  sent integer DEFAULT 0,
+  replies integer DEFAULT 0,
+  acceptances integer DEFAULT 0,
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (test_id, variant_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.template_test_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  test_id text NOT NULL REFERENCES public.template_ab_tests(id) ON DELETE CASCADE,
+  variant_id text NOT NULL,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  event_type text NOT NULL CHECK (event_type IN ('sent', 'replied', 'accepted')),
+  email_id text,
+  occurred_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.template_test_results (
+  test_id text PRIMARY KEY REFERENCES public.template_ab_tests(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  results jsonb NOT NULL, -- Variants, z-tests, posteriors, sequential boundary
+  winner_variant_id text,
+  is_significant boolean DEFAULT false,
+  generated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.template_test_activities (
+  id text PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  activity_type text NOT NULL,
+  activity_data jsonb DEFAULT '{}'::jsonb,
+  timestamp timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.template_test_configurations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  configuration jsonb DEFAULT '{}'::jsonb,
+  created_at timestamptz DEFAULT now()
+);
+
+-- ============================================================================
+-- 3. Indexes for Performance
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_template_ab_tests_user_status ON template_ab_tests(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_template_test_variants_test ON template_test_variants(test_id);
+CREATE INDEX IF NOT EXISTS idx_template_test_metrics_user ON template_test_metrics(user_id);
+CREATE INDEX IF NOT EXISTS idx_template_test_events_test ON template_test_events(test_id, variant_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_template_test_activities_user ON template_test_activities(user_id, timestamp DESC);
+
+-- ============================================================================
+-- 4. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE template_ab_tests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_test_variants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_test_metrics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_test_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_test_results ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_test_activities ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_test_configurations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own A/B tests" ON template_ab_tests;
+CREATE POLICY "Users can manage own A/B tests" ON template_ab_tests
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own test variants" ON template_test_variants;
+CREATE POLICY "Users can manage own test variants" ON template_test_variants
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own test metrics" ON template_test_metrics;
+CREATE POLICY "Users can manage own test metrics" ON template_test_metrics
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own test events" ON template_test_events;
+CREATE POLICY "Users can manage own test events" ON template_test_events
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own test results" ON template_test_results;
+CREATE POLICY "Users can manage own test results" ON template_test_results
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own test activities" ON template_test_activities;
+CREATE POLICY "Users can manage own test activities" ON template_test_activities
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own test configurations" ON template_test_configurations;
+CREATE POLICY "Users can manage own test configurations" ON template_test_configurations
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,81 @@
+-- ============================================================================
+-- Template Bandits
+-- Date: November 6, 2025
+-- Purpose: Thompson-sampling traffic allocation for draft templates per
+--          business and email category. Arms count human acceptances
+--          (edit similarity from learningLoop.recordAIHumanComparison), and
+--          every allocation keeps the probabilities it was drawn from
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Bandits and Arms
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.template_bandits (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  category text NOT NULL,
+  exploration_floor numeric DEFAULT 0.05 CHECK (exploration_floor >= 0 AND exploration_floor <= 1),
+  acceptance_threshold numeric DEFAULT 0.8 CHECK (acceptance_threshold > 0 AND acceptance_threshold <= 1),
+  status text DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE (user_id, category)
+);
+
+CREATE TABLE IF NOT EXISTS public.template_bandit_arms (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  bandit_id uuid NOT NULL REFERENCES public.template_bandits(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  template_id uuid NOT NULL,
+  successes integer DEFAULT 0, -- Drafts accepted (edit similarity >= threshold)
+  failures integer DEFAULT 0,
+  pulls integer DEFAULT 0,
+  last_pulled_at timestamptz,
+  last_rewarded_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (bandit_id, template_id)
+);
+
+-- ============================================================================
+-- 2. Allocation History
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.template_bandit_allocations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  bandit_id uuid NOT NULL REFERENCES public.template_bandits(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  category text NOT NULL,
+  template_id uuid NOT NULL,
+  email_id text,
+  allocation_probabilities jsonb NOT NULL, -- template_id -> probability at selection time
+  posterior_means jsonb DEFAULT '{}'::jsonb, -- template_id -> posterior acceptance rate
+  accepted boolean,
+  edit_similarity numeric,
+  rewarded_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+-- ============================================================================
+-- 3. Indexes for Performance
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_template_bandit_arms_bandit ON template_bandit_arms(bandit_id);
+CREATE INDEX IF NOT EXISTS idx_template_bandit_allocations_history
+  ON template_bandit_allocations(user_id, category, created_at DESC);
+
+-- ============================================================================
+-- 4. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE template_bandits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_bandit_arms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE template_bandit_allocations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own template bandits" ON template_bandits;
+CREATE POLICY "Users can manage own template bandits" ON template_bandits
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own bandit arms" ON template_bandit_arms;
+CREATE POLICY "Users can manage own bandit arms" ON template_bandit_arms
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own bandit allocations" ON template_bandit_allocations;
+CREATE POLICY "Users can manage own bandit allocations" ON template_bandit_allocations
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,106 @@
+-- ============================================================================
+-- AI Spend Caps
+-- Date: November 7, 2025
+-- Purpose: Monthly soft and hard AI spend caps per business, enforced by the
+--          backend ai routes before every OpenAI call, plus admin overrides
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Usage and Budget Tables
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.ai_usage_logs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  model text,
+  operation text,
+  prompt_tokens integer DEFAULT 0,
+  completion_tokens integer DEFAULT 0,
+  total_tokens integer DEFAULT 0,
+  estimated_cost numeric DEFAULT 0,
+  response_time_ms integer,
+  success boolean DEFAULT true,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.ai_budget_settings (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+  monthly_budget numeric DEFAULT 100,
+  daily_budget numeric,
+  cost_alerts_enabled boolean DEFAULT true,
+  alert_threshold_percentage integer DEFAULT 80,
+  auto_optimization_enabled boolean DEFAULT false,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- ============================================================================
+-- 2. Cap and Override Columns
+-- ============================================================================
+ALTER TABLE public.ai_budget_settings
+  ADD COLUMN IF NOT EXISTS soft_cap_usd numeric, -- Defaults to alert_threshold_percentage of the hard cap
+  ADD COLUMN IF NOT EXISTS hard_cap_usd numeric, -- Defaults to monthly_budget
+  ADD COLUMN IF NOT EXISTS soft_cap_action text DEFAULT 'cheaper_model'
+    CHECK (soft_cap_action IN ('cheaper_model', 'rules_only', 'drafts_paused')),
+  ADD COLUMN IF NOT EXISTS override_until timestamptz,
+  ADD COLUMN IF NOT EXISTS override_reason text,
+  ADD COLUMN IF NOT EXISTS override_by uuid REFERENCES auth.users(id);
+
+-- ============================================================================
+-- 3. Indexes for Performance
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_ai_usage_logs_user_created ON ai_usage_logs(user_id, created_at DESC);
+
+-- ============================================================================
+-- 4. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE ai_usage_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_budget_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own AI usage" ON ai_usage_logs;
+CREATE POLICY "Users can view own AI usage" ON ai_usage_logs
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own AI usage" ON ai_usage_logs;
+CREATE POLICY "Users can insert own AI usage" ON ai_usage_logs
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own AI budget" ON ai_budget_settings;
+CREATE POLICY "Users can manage own AI budget" ON ai_budget_settings
+  FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Users set their own caps but cannot grant themselves an override
+CREATE OR REPLACE FUNCTION public.protect_ai_budget_override()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.role() <> 'service_role' AND (
+    NEW.override_until IS DISTINCT FROM (CASE WHEN TG_OP = 'UPDATE' THEN OLD.override_until ELSE NULL END) OR
+    NEW.override_by IS DISTINCT FROM (CASE WHEN TG_OP = 'UPDATE' THEN OLD.override_by ELSE NULL END)
+  ) THEN
+    RAISE EXCEPTION 'AI budget overrides can only be set by an administrator';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_protect_ai_budget_override ON ai_budget_settings;
+CREATE TRIGGER trg_protect_ai_budget_override
+  BEFORE INSERT OR UPDATE ON ai_budget_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_ai_budget_override();
+
+-- ============================================================================
+-- 5. Monthly Spend
+-- ============================================================================
+-- Summed in the database: a row select stops at PostgREST's 1000-row limit,
+-- which would undercount exactly the tenants the caps exist for
+CREATE OR REPLACE FUNCTION public.ai_monthly_spend(p_user_id uuid, p_since timestamptz)
+RETURNS numeric AS $$
+  SELECT COALESCE(SUM(estimated_cost), 0)
+  FROM public.ai_usage_logs
+  WHERE user_id = p_user_id
+    AND created_at >= p_since;
+$$ LANGUAGE sql STABLE;
+
+REVOKE ALL ON FUNCTION public.ai_monthly_spend(uuid, timestamptz) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.ai_monthly_spend(uuid, timestamptz) TO service_role;
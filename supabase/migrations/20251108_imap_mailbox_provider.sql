@@ -0,0 +1,78 @@
+-- ============================================================================
+-- Generic IMAP/SMTP Mailbox Provider
+-- Date: November 8, 2025
+-- Purpose: Mailbox credentials for GoDaddy, Zoho, cPanel and other IMAP hosts.
+--          Passwords are AES-256-GCM encrypted by the backend
+--          (MAILBOX_CREDENTIAL_KEY) and never leave it in plaintext except
+--          to create the n8n IMAP credential during deployment
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Mailbox Credentials
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.mailbox_credentials (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE,
+  email_address text NOT NULL,
+  hosting text DEFAULT 'custom' CHECK (hosting IN ('godaddy', 'zoho', 'cpanel', 'custom')),
+  imap_host text NOT NULL,
+  imap_port integer NOT NULL DEFAULT 993,
+  imap_secure boolean NOT NULL DEFAULT true,
+  smtp_host text NOT NULL,
+  smtp_port integer NOT NULL DEFAULT 465,
+  smtp_secure boolean NOT NULL DEFAULT true,
+  username text NOT NULL,
+  password_encrypted text NOT NULL, -- v1:<iv>:<ciphertext+tag>, base64
+  folder_delimiter text,
+  drafts_folder text,
+  sent_folder text,
+  last_seen_uid bigint DEFAULT 0, -- Highest INBOX UID recorded in email_logs
+  uid_validity bigint, -- Resets last_seen_uid when the server renumbers INBOX
+  automation_token_hash text, -- sha256 of the token n8n uses for folder moves and drafts
+  last_verified_at timestamptz,
+  last_error text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- ============================================================================
+-- 2. Allow IMAP in Provider Columns
+-- ============================================================================
+ALTER TABLE public.business_labels DROP CONSTRAINT IF EXISTS business_labels_provider_check;
+ALTER TABLE public.business_labels
+  ADD CONSTRAINT business_labels_provider_check CHECK (provider IN ('gmail', 'outlook', 'imap'));
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'profiles' AND column_name = 'primary_provider'
+  ) THEN
+    ALTER TABLE public.profiles DROP CONSTRAINT IF EXISTS profiles_primary_provider_check;
+    ALTER TABLE public.profiles
+      ADD CONSTRAINT profiles_primary_provider_check CHECK (primary_provider IN ('gmail', 'outlook', 'imap'));
+  END IF;
+END $$;
+
+-- n8n IMAP credential created by deploy-n8n
+ALTER TABLE IF EXISTS public.n8n_credential_mappings
+  ADD COLUMN IF NOT EXISTS imap_credential_id text;
+
+-- ============================================================================
+-- 3. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE mailbox_credentials ENABLE ROW LEVEL SECURITY;
+
+-- Users can see their connection settings; only the backend (service role)
+-- writes them, so the encrypted password is never set from the browser
+DROP POLICY IF EXISTS "Users can view own mailbox credentials" ON mailbox_credentials;
+CREATE POLICY "Users can view own mailbox credentials" ON mailbox_credentials
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Column grants keep the secrets out of reach even for the row owner
+REVOKE ALL ON mailbox_credentials FROM anon, authenticated;
+GRANT SELECT (
+  id, user_id, email_address, hosting, imap_host, imap_port, imap_secure,
+  smtp_host, smtp_port, smtp_secure, username, folder_delimiter, drafts_folder,
+  sent_folder, last_verified_at, last_error, created_at, updated_at
+) ON mailbox_credentials TO authenticated;
@@ -0,0 +1,99 @@
+-- ============================================================================
+-- Label Schema Migrations
+-- Date: November 9, 2025
+-- Purpose: Track each tenant's label schema version and persist declarative
+--          label migrations (rename, move, merge, split) applied by
+--          labelSchemaMigrations.js. Label names, the stored label map
+--          (profiles.email_labels, which feeds the n8n label variables) and the
+--          schema version are updated in one transaction
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Schema Version per Tenant
+-- ============================================================================
+-- NULL = provisioned before versioning (treated as 1.3.0)
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS label_schema_version text;
+
+-- ============================================================================
+-- 2. Migration Log
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.label_schema_migration_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  provider text NOT NULL,
+  from_version text,
+  to_version text NOT NULL,
+  steps jsonb NOT NULL DEFAULT '[]'::jsonb, -- Planned steps (rename/move/create/relabel/delete)
+  label_changes jsonb NOT NULL DEFAULT '[]'::jsonb, -- { op, label_id, label_name } applied to business_labels
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_label_schema_migration_log_user
+  ON public.label_schema_migration_log(user_id, created_at DESC);
+
+-- ============================================================================
+-- 3. Atomic Apply
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.apply_label_schema_migration(
+  p_user_id uuid,
+  p_provider text,
+  p_from_version text,
+  p_to_version text,
+  p_label_changes jsonb,
+  p_email_labels jsonb,
+  p_steps jsonb
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_change jsonb;
+BEGIN
+  IF auth.uid() IS NOT NULL AND auth.uid() <> p_user_id THEN
+    RAISE EXCEPTION 'Cannot migrate labels for another user';
+  END IF;
+
+  FOR v_change IN SELECT * FROM jsonb_array_elements(COALESCE(p_label_changes, '[]'::jsonb))
+  LOOP
+    IF v_change->>'op' = 'rename' THEN
+      UPDATE public.business_labels
+      SET label_name = v_change->>'label_name', updated_at = now()
+      WHERE label_id = v_change->>'label_id'
+        AND provider = p_provider
+        AND business_profile_id IN (SELECT id FROM public.business_profiles WHERE user_id = p_user_id);
+    ELSIF v_change->>'op' = 'delete' THEN
+      UPDATE public.business_labels
+      SET is_deleted = true, deleted_at = now(), updated_at = now()
+      WHERE label_id = v_change->>'label_id'
+        AND provider = p_provider
+        AND business_profile_id IN (SELECT id FROM public.business_profiles WHERE user_id = p_user_id);
+    END IF;
+    -- 'create' rows are picked up by the label sync that follows the migration
+  END LOOP;
+
+  UPDATE public.profiles
+  SET email_labels = COALESCE(p_email_labels, email_labels),
+      label_schema_version = p_to_version
+  WHERE id = p_user_id;
+
+  INSERT INTO public.label_schema_migration_log (user_id, provider, from_version, to_version, steps, label_changes)
+  VALUES (p_user_id, p_provider, p_from_version, p_to_version, COALESCE(p_steps, '[]'::jsonb), COALESCE(p_label_changes, '[]'::jsonb));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.apply_label_schema_migration(uuid, text, text, text, jsonb, jsonb, jsonb) TO authenticated, service_role;
+
+-- ============================================================================
+-- 4. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE label_schema_migration_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own label schema migrations" ON label_schema_migration_log;
+CREATE POLICY "Users can view own label schema migrations" ON label_schema_migration_log
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own label schema migrations" ON label_schema_migration_log;
+CREATE POLICY "Users can insert own label schema migrations" ON label_schema_migration_log
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
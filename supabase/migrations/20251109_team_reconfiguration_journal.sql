@@ -0,0 +1,45 @@
+-- ============================================================================
+-- Team Reconfiguration Journal
+-- Date: November 9, 2025
+-- Purpose: Undo journal for TeamReconfigurationManager. Each applied team
+--          change records the pre-change profile snapshot, deleted labels /
+--          folders and reassigned email_logs so it can be reverted within
+--          the undo window (UNDO_WINDOW_HOURS, 24h)
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Journal
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.team_reconfiguration_journal (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status text NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'undone', 'expired')),
+  plan jsonb NOT NULL DEFAULT '{}'::jsonb, -- Removed members, label/email changes shown for confirmation
+  snapshot jsonb NOT NULL DEFAULT '{}'::jsonb, -- managers, suppliers, email_labels, n8n_workflow_config before the change
+  label_entries jsonb NOT NULL DEFAULT '[]'::jsonb, -- Gmail label ids + message ids / Outlook folder + parent ids
+  email_log_entries jsonb NOT NULL DEFAULT '[]'::jsonb, -- { id, key, previous } per reassigned email_logs row
+  undo_expires_at timestamptz NOT NULL,
+  undone_at timestamptz,
+  undo_result jsonb,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_reconfiguration_journal_user
+  ON public.team_reconfiguration_journal(user_id, created_at DESC);
+
+-- ============================================================================
+-- 2. Row Level Security (RLS)
+-- ============================================================================
+ALTER TABLE team_reconfiguration_journal ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own reconfiguration journal" ON team_reconfiguration_journal;
+CREATE POLICY "Users can view own reconfiguration journal" ON team_reconfiguration_journal
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert own reconfiguration journal" ON team_reconfiguration_journal;
+CREATE POLICY "Users can insert own reconfiguration journal" ON team_reconfiguration_journal
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own reconfiguration journal" ON team_reconfiguration_journal;
+CREATE POLICY "Users can update own reconfiguration journal" ON team_reconfiguration_journal
+  FOR UPDATE USING (auth.uid() = user_id);
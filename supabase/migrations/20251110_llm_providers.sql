@@ -0,0 +1,33 @@
+-- ============================================================================
+-- LLM Providers
+-- Date: November 10, 2025
+-- Purpose: Per-tenant LLM provider selection (OpenAI, Azure OpenAI or an
+--          OpenAI-compatible local endpoint) per task, read by LLMRouter in
+--          backend/src/lib/llmProvider.js, and the provider of each usage log row
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Tenant Provider Settings
+-- ============================================================================
+-- { "classify": { "provider": "local", "model": "llama3.1:8b" },
+--   "draft": { "provider": "azure", "model": "gpt-4o" },
+--   "default": { "provider": "openai" } }
+-- Credentials stay in the server environment; tenants only choose among
+-- configured providers
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS llm_settings jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE public.profiles
+  DROP CONSTRAINT IF EXISTS profiles_llm_settings_object;
+ALTER TABLE public.profiles
+  ADD CONSTRAINT profiles_llm_settings_object CHECK (jsonb_typeof(llm_settings) = 'object');
+
+-- ============================================================================
+-- 2. Provider per Usage Log
+-- ============================================================================
+-- Local and mock calls are logged with estimated_cost = 0
+ALTER TABLE public.ai_usage_logs
+  ADD COLUMN IF NOT EXISTS provider text NOT NULL DEFAULT 'openai';
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_logs_user_provider
+  ON public.ai_usage_logs(user_id, provider, created_at DESC);
@@ -0,0 +1,78 @@
+-- ============================================================================
+-- System Message Key Rotation
+-- Date: November 10, 2025
+-- Purpose: Record which key encrypted each system_message_content row, track
+--          resumable re-encryption jobs and the lifecycle of each key id
+--          (active -> decrypt_only -> retired). Secrets stay in the
+--          environment; only key ids are stored
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Key Id per Ciphertext
+-- ============================================================================
+ALTER TABLE public.system_message_content
+  ADD COLUMN IF NOT EXISTS key_id text;
+
+-- Rows written before rotation were encrypted with SYSTEM_MESSAGE_ENCRYPTION_KEY
+UPDATE public.system_message_content SET key_id = 'legacy' WHERE key_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_system_message_content_key_id
+  ON public.system_message_content(key_id, id);
+
+-- ============================================================================
+-- 2. Key Registry
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.system_message_keys (
+  key_id text PRIMARY KEY,
+  status text NOT NULL DEFAULT 'decrypt_only'
+    CHECK (status IN ('active', 'decrypt_only', 'retired')),
+  created_at timestamptz DEFAULT now(),
+  retired_at timestamptz
+);
+
+-- ============================================================================
+-- 3. Re-encryption Jobs
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.system_message_reencryption_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  target_key_id text NOT NULL,
+  status text NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'completed', 'completed_with_errors')),
+  cursor uuid, -- Last system_message_content.id processed
+  processed integer NOT NULL DEFAULT 0,
+  failed integer NOT NULL DEFAULT 0,
+  errors jsonb NOT NULL DEFAULT '[]'::jsonb, -- { id, keyId, error }, first 50 only
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  completed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_system_message_reencryption_jobs_target
+  ON public.system_message_reencryption_jobs(target_key_id, status, created_at DESC);
+
+-- ============================================================================
+-- 4. Row Level Security (service role only)
+-- ============================================================================
+ALTER TABLE public.system_message_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.system_message_reencryption_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role manages system message keys" ON public.system_message_keys;
+CREATE POLICY "Service role manages system message keys" ON public.system_message_keys
+  FOR ALL USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Service role manages re-encryption jobs" ON public.system_message_reencryption_jobs;
+CREATE POLICY "Service role manages re-encryption jobs" ON public.system_message_reencryption_jobs
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- 5. Key Usage
+-- ============================================================================
+CREATE OR REPLACE FUNCTION public.system_message_key_usage()
+RETURNS TABLE(key_id text, row_count bigint) AS $$
+  SELECT COALESCE(smc.key_id, 'legacy'), COUNT(*)
+  FROM public.system_message_content smc
+  GROUP BY COALESCE(smc.key_id, 'legacy');
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION public.system_message_key_usage() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION public.system_message_key_usage() TO service_role;
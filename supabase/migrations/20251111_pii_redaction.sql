@@ -0,0 +1,67 @@
+-- ============================================================================
+-- PII Redaction
+-- Date: November 11, 2025
+-- Purpose: Per-tenant entity types for the reversible PII tokenization applied
+--          to outbound LLM calls (backend/src/lib/piiRedaction.js, used by
+--          LLMRouter, and the n8n "Redact PII" Code nodes), and an audit log
+--          of the categories redacted on each call. n8n reports through the
+--          pii-redaction-log edge function with a per-deploy token; the log
+--          itself is not writable with the anon key
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Tenant Settings
+-- ============================================================================
+-- { "enabled": true, "entity_types": ["email", "phone", "card", "government_id", "address", "postal_code"] }
+-- NULL redacts every entity type; changes reach n8n on the next redeploy
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS pii_redaction jsonb;
+
+-- sha256 of the token the deployed workflow presents to pii-redaction-log,
+-- rotated by deploy-n8n on every deploy
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS pii_log_token_hash text;
+
+ALTER TABLE public.profiles
+  DROP CONSTRAINT IF EXISTS profiles_pii_redaction_object;
+ALTER TABLE public.profiles
+  ADD CONSTRAINT profiles_pii_redaction_object
+  CHECK (pii_redaction IS NULL OR jsonb_typeof(pii_redaction) = 'object');
+
+-- ============================================================================
+-- 2. Redaction Audit Log
+-- ============================================================================
+-- Categories and counts only; redacted values are never stored
+CREATE TABLE IF NOT EXISTS public.pii_redaction_logs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  source text NOT NULL CHECK (source IN ('backend', 'n8n')),
+  task text,
+  operation text,
+  provider text,
+  entity_counts jsonb NOT NULL DEFAULT '{}'::jsonb CHECK (jsonb_typeof(entity_counts) = 'object'),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pii_redaction_logs_user_created
+  ON public.pii_redaction_logs(user_id, created_at DESC);
+
+-- ============================================================================
+-- 3. Row Level Security
+-- ============================================================================
+ALTER TABLE public.pii_redaction_logs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own PII redaction logs" ON public.pii_redaction_logs;
+CREATE POLICY "Users can view own PII redaction logs" ON public.pii_redaction_logs
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role manages PII redaction logs" ON public.pii_redaction_logs;
+CREATE POLICY "Service role manages PII redaction logs" ON public.pii_redaction_logs
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- n8n entries are inserted by pii-redaction-log after it checks the workflow's
+-- token; an anon insert policy would let anyone write entries for any tenant
+DROP POLICY IF EXISTS "n8n can append PII redaction logs" ON public.pii_redaction_logs;
+
+GRANT SELECT ON public.pii_redaction_logs TO authenticated;
+REVOKE INSERT ON public.pii_redaction_logs FROM anon;
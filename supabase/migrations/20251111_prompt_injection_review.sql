@@ -0,0 +1,28 @@
+-- ============================================================================
+-- Prompt Injection Review
+-- Date: November 11, 2025
+-- Purpose: Review fields for emails held by the prompt injection guard
+--          (backend/src/lib/promptInjectionGuard.js). EmailProcessor.queueForReview
+--          writes review_required and review_reason; the guard's score and
+--          signals are kept in metadata.classification.prompt_injection
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Queue Review Fields
+-- ============================================================================
+ALTER TABLE public.email_queue
+  ADD COLUMN IF NOT EXISTS review_required boolean NOT NULL DEFAULT false;
+
+ALTER TABLE public.email_queue
+  ADD COLUMN IF NOT EXISTS review_reason text;
+
+-- ============================================================================
+-- 2. Indexes
+-- ============================================================================
+-- Review inbox: held emails per user, newest first
+CREATE INDEX IF NOT EXISTS idx_email_queue_review_required
+  ON public.email_queue (user_id, created_at DESC)
+  WHERE review_required;
+
+COMMENT ON COLUMN public.email_queue.review_reason IS
+  'Why the email was held for manual review, e.g. the prompt injection signals that matched';
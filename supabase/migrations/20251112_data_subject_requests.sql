@@ -0,0 +1,53 @@
+-- ============================================================================
+-- Data Subject Requests
+-- Date: November 12, 2025
+-- Purpose: Receipts for GDPR/CCPA exports and erasures handled by
+--          backend/src/lib/dataSubjectRequests.js (/api/privacy). user_id has
+--          no foreign key so the receipt of an account erasure survives the
+--          account; customer erasures record a SHA-256 of the address only
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Requests
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.data_subject_requests (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  request_type text NOT NULL CHECK (request_type IN ('export', 'account_erasure', 'customer_erasure')),
+  status text NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed', 'failed')),
+  subject_hash text,
+  options jsonb NOT NULL DEFAULT '{}'::jsonb,
+  -- Tables and row counts touched, rows left after verification, errors
+  result jsonb,
+  error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz,
+  CONSTRAINT data_subject_requests_subject_hash CHECK (
+    (request_type = 'customer_erasure') = (subject_hash IS NOT NULL)
+  )
+);
+
+-- ============================================================================
+-- 2. Indexes
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_user_created
+  ON public.data_subject_requests(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_subject
+  ON public.data_subject_requests(subject_hash)
+  WHERE subject_hash IS NOT NULL;
+
+-- ============================================================================
+-- 3. Row Level Security
+-- ============================================================================
+ALTER TABLE public.data_subject_requests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own data subject requests" ON public.data_subject_requests;
+CREATE POLICY "Users can view own data subject requests" ON public.data_subject_requests
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role manages data subject requests" ON public.data_subject_requests;
+CREATE POLICY "Service role manages data subject requests" ON public.data_subject_requests
+  FOR ALL USING (auth.role() = 'service_role');
+
+GRANT SELECT ON public.data_subject_requests TO authenticated;
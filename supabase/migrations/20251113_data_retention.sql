@@ -0,0 +1,94 @@
+-- ============================================================================
+-- Data Retention
+-- Date: November 13, 2025
+-- Purpose: Per-tenant retention policies applied by the retention-purge edge
+--          function (rules in src/lib/retentionPolicies.js), legal holds that
+--          pause purging, and a record of every purge run
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Policy per tenant
+-- ============================================================================
+-- { "bodies": null, "metadata": 730, "analytics": null } in days, null = forever.
+-- NULL policy = defaults: bodies are kept until their rows are deleted with the
+-- metadata, so nothing is scrubbed unless the tenant chooses a period.
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS retention_policy jsonb;
+
+ALTER TABLE public.profiles
+  DROP CONSTRAINT IF EXISTS profiles_retention_policy_object;
+ALTER TABLE public.profiles
+  ADD CONSTRAINT profiles_retention_policy_object
+  CHECK (retention_policy IS NULL OR jsonb_typeof(retention_policy) = 'object');
+
+-- ============================================================================
+-- 2. Legal holds
+-- ============================================================================
+-- No foreign key to auth.users: a hold must outlive the account it covers,
+-- and erasing that account is refused while the hold is active
+CREATE TABLE IF NOT EXISTS public.legal_holds (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  reason text NOT NULL,
+  -- NULL holds every data class
+  data_classes text[] CHECK (data_classes IS NULL OR data_classes <@ ARRAY['bodies', 'metadata', 'analytics']),
+  created_by uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz,
+  released_at timestamptz,
+  released_by uuid
+);
+
+ALTER TABLE public.legal_holds
+  DROP CONSTRAINT IF EXISTS legal_holds_user_id_fkey;
+
+-- ============================================================================
+-- 3. Purge runs
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.retention_purge_runs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  status text NOT NULL CHECK (status IN ('completed', 'failed', 'skipped')),
+  dry_run boolean NOT NULL DEFAULT false,
+  -- { "bodies": { "email_queue.scrub": 12 }, ... }
+  results jsonb NOT NULL DEFAULT '{}'::jsonb,
+  held_classes text[] NOT NULL DEFAULT '{}',
+  errors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz
+);
+
+-- ============================================================================
+-- 4. Indexes
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_legal_holds_user_active
+  ON public.legal_holds(user_id)
+  WHERE released_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_retention_purge_runs_user_started
+  ON public.retention_purge_runs(user_id, started_at DESC);
+
+-- ============================================================================
+-- 5. Row Level Security
+-- ============================================================================
+ALTER TABLE public.legal_holds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.retention_purge_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own legal holds" ON public.legal_holds;
+CREATE POLICY "Users can view own legal holds" ON public.legal_holds
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role manages legal holds" ON public.legal_holds;
+CREATE POLICY "Service role manages legal holds" ON public.legal_holds
+  FOR ALL USING (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "Users can view own retention purge runs" ON public.retention_purge_runs;
+CREATE POLICY "Users can view own retention purge runs" ON public.retention_purge_runs
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Service role manages retention purge runs" ON public.retention_purge_runs;
+CREATE POLICY "Service role manages retention purge runs" ON public.retention_purge_runs
+  FOR ALL USING (auth.role() = 'service_role');
+
+GRANT SELECT ON public.legal_holds TO authenticated;
+GRANT SELECT ON public.retention_purge_runs TO authenticated;